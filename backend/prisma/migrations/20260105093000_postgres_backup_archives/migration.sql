@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "backup_records" ADD COLUMN     "checksum" TEXT,
+ADD COLUMN     "format" TEXT NOT NULL DEFAULT 'pg_custom',
+ADD COLUMN     "isSafetySnapshot" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "rowCounts" JSONB,
+ADD COLUMN     "tables" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "verification" JSONB,
+ADD COLUMN     "verifiedAt" TIMESTAMP(3);
+
+-- Existing archives were produced by mongodump and cannot be restored into PostgreSQL
+UPDATE "backup_records" SET "format" = 'mongodump';
+
+-- AlterTable
+ALTER TABLE "backup_schedules" ADD COLUMN     "tables" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,113 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'INDUSTRY_SUPERVISOR';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "companyId" TEXT;
+
+-- AlterTable
+ALTER TABLE "internship_applications" ADD COLUMN     "companyId" TEXT,
+ADD COLUMN     "joiningConfirmedAt" TIMESTAMP(3),
+ADD COLUMN     "joiningConfirmedBy" TEXT;
+
+-- CreateTable
+CREATE TABLE "companies" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "industryType" TEXT,
+    "address" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "contactEmail" TEXT,
+    "contactPhone" TEXT,
+    "website" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "companies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "monthly_feedback" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "submittedById" TEXT NOT NULL,
+    "feedbackMonth" TIMESTAMP(3) NOT NULL,
+    "attendanceRating" INTEGER,
+    "performanceRating" INTEGER,
+    "punctualityRating" INTEGER,
+    "technicalSkillsRating" INTEGER,
+    "overallRating" INTEGER,
+    "strengths" TEXT,
+    "areasForImprovement" TEXT,
+    "overallComments" TEXT NOT NULL,
+    "tasksAssigned" TEXT,
+    "tasksCompleted" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "monthly_feedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "completion_feedback" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "submittedById" TEXT NOT NULL,
+    "industryRating" INTEGER NOT NULL,
+    "industryFeedback" TEXT NOT NULL,
+    "finalPerformance" TEXT,
+    "recommendForHire" BOOLEAN NOT NULL DEFAULT false,
+    "completionCertificate" TEXT,
+    "isCompleted" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "completion_feedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "User_companyId_idx" ON "User"("companyId");
+
+-- CreateIndex
+CREATE INDEX "internship_applications_companyId_idx" ON "internship_applications"("companyId");
+
+-- CreateIndex
+CREATE INDEX "internship_applications_companyId_status_idx" ON "internship_applications"("companyId", "status");
+
+-- CreateIndex
+CREATE INDEX "companies_name_idx" ON "companies"("name");
+
+-- CreateIndex
+CREATE INDEX "companies_isActive_idx" ON "companies"("isActive");
+
+-- CreateIndex
+CREATE INDEX "monthly_feedback_submittedById_idx" ON "monthly_feedback"("submittedById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "monthly_feedback_applicationId_feedbackMonth_key" ON "monthly_feedback"("applicationId", "feedbackMonth");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "completion_feedback_applicationId_key" ON "completion_feedback"("applicationId");
+
+-- CreateIndex
+CREATE INDEX "completion_feedback_submittedById_idx" ON "completion_feedback"("submittedById");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "internship_applications" ADD CONSTRAINT "internship_applications_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "monthly_feedback" ADD CONSTRAINT "monthly_feedback_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "internship_applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "monthly_feedback" ADD CONSTRAINT "monthly_feedback_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "completion_feedback" ADD CONSTRAINT "completion_feedback_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "internship_applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "completion_feedback" ADD CONSTRAINT "completion_feedback_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN     "normalizedName" TEXT,
+ADD COLUMN     "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "gstin" TEXT,
+ADD COLUMN     "cin" TEXT,
+ADD COLUMN     "pinCode" TEXT;
+
+-- Backfill normalized names for companies registered before this migration
+-- (mirrors normalizeCompanyName in src/common/utils/company-name.util.ts for ASCII names)
+UPDATE "companies"
+SET "normalizedName" = trim(regexp_replace(replace(lower("name"), '&', ' and '), '[^a-z0-9]+', ' ', 'g'));
+
+UPDATE "companies"
+SET "normalizedName" = regexp_replace(
+    "normalizedName",
+    '( (pvt|private|ltd|limited|llp|llc|inc|incorporated|corp|corporation|co|company|plc|opc))+$',
+    ''
+)
+WHERE "normalizedName" ~ ' ';
+
+-- Keep the oldest company on collisions; later ones get a unique suffix until merged
+UPDATE "companies" c
+SET "normalizedName" = c."normalizedName" || ' ' || c."id"
+WHERE EXISTS (
+    SELECT 1 FROM "companies" o
+    WHERE o."normalizedName" = c."normalizedName"
+      AND (o."createdAt" < c."createdAt" OR (o."createdAt" = c."createdAt" AND o."id" < c."id"))
+);
+
+ALTER TABLE "companies" ALTER COLUMN "normalizedName" SET NOT NULL,
+ALTER COLUMN "aliases" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "companies_normalizedName_key" ON "companies"("normalizedName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "companies_gstin_key" ON "companies"("gstin");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "companies_cin_key" ON "companies"("cin");
@@ -0,0 +1,52 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'CERTIFICATE_ISSUE';
+ALTER TYPE "AuditAction" ADD VALUE 'CERTIFICATE_DOWNLOAD';
+
+-- CreateTable
+CREATE TABLE "internship_certificates" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "institutionId" TEXT,
+    "certificateNumber" TEXT NOT NULL,
+    "verificationCode" TEXT NOT NULL,
+    "studentName" TEXT NOT NULL,
+    "rollNumber" TEXT,
+    "branchName" TEXT,
+    "institutionName" TEXT NOT NULL,
+    "companyName" TEXT NOT NULL,
+    "jobProfile" TEXT,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "mentorName" TEXT,
+    "reportsSubmitted" INTEGER NOT NULL DEFAULT 0,
+    "reportsExpected" INTEGER NOT NULL DEFAULT 0,
+    "visitsCompleted" INTEGER NOT NULL DEFAULT 0,
+    "visitsExpected" INTEGER NOT NULL DEFAULT 0,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "issuedById" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "revokedReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "internship_certificates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "internship_certificates_applicationId_key" ON "internship_certificates"("applicationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "internship_certificates_certificateNumber_key" ON "internship_certificates"("certificateNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "internship_certificates_verificationCode_key" ON "internship_certificates"("verificationCode");
+
+-- CreateIndex
+CREATE INDEX "internship_certificates_studentId_idx" ON "internship_certificates"("studentId");
+
+-- CreateIndex
+CREATE INDEX "internship_certificates_institutionId_issuedAt_idx" ON "internship_certificates"("institutionId", "issuedAt");
+
+-- AddForeignKey
+ALTER TABLE "internship_certificates" ADD CONSTRAINT "internship_certificates_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "internship_applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'VERIFICATION_LOOKUP';
+
+-- AlterTable
+ALTER TABLE "internship_applications" ADD COLUMN "joiningLetterVerificationCode" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "internship_applications_joiningLetterVerificationCode_key" ON "internship_applications"("joiningLetterVerificationCode");
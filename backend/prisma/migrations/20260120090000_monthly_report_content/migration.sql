@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "monthly_reports" ADD COLUMN "content" JSONB,
+ADD COLUMN "contentVersion" INTEGER,
+ADD COLUMN "contentText" TEXT;
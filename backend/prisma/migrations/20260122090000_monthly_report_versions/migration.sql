@@ -0,0 +1,48 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'MONTHLY_REPORT_REVISION_REQUEST';
+
+-- AlterTable
+ALTER TABLE "monthly_reports" ADD COLUMN "currentVersion" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "monthly_report_versions" (
+    "id" TEXT NOT NULL,
+    "reportId" TEXT NOT NULL,
+    "versionNumber" INTEGER NOT NULL,
+    "reportFileUrl" TEXT,
+    "content" JSONB,
+    "contentVersion" INTEGER,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "submittedBy" TEXT,
+    "reviewStatus" "MonthlyReportStatus",
+    "reviewComments" TEXT,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "monthly_report_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "monthly_report_versions_reportId_idx" ON "monthly_report_versions"("reportId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "monthly_report_versions_reportId_versionNumber_key" ON "monthly_report_versions"("reportId", "versionNumber");
+
+-- AddForeignKey
+ALTER TABLE "monthly_report_versions" ADD CONSTRAINT "monthly_report_versions_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "monthly_reports"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: every report submitted before versioning becomes version 1, carrying its existing review
+INSERT INTO "monthly_report_versions" (
+    "id", "reportId", "versionNumber", "reportFileUrl", "content", "contentVersion",
+    "submittedAt", "reviewStatus", "reviewComments", "reviewedBy", "reviewedAt"
+)
+SELECT
+    gen_random_uuid()::text, "id", 1, "reportFileUrl", "content", "contentVersion",
+    COALESCE("submittedAt", "createdAt"),
+    CASE WHEN "status" IN ('APPROVED', 'REJECTED', 'REVISION_REQUIRED') THEN "status" END,
+    "reviewComments", "reviewedBy", "reviewedAt"
+FROM "monthly_reports"
+WHERE "status" <> 'DRAFT';
+
+UPDATE "monthly_reports" SET "currentVersion" = 1 WHERE "status" <> 'DRAFT';
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "monthly_report_annotations" (
+    "id" TEXT NOT NULL,
+    "versionId" TEXT NOT NULL,
+    "page" INTEGER NOT NULL,
+    "x" DOUBLE PRECISION,
+    "y" DOUBLE PRECISION,
+    "width" DOUBLE PRECISION,
+    "height" DOUBLE PRECISION,
+    "comment" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "authorName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "monthly_report_annotations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "monthly_report_annotations_versionId_idx" ON "monthly_report_annotations"("versionId");
+
+-- AddForeignKey
+ALTER TABLE "monthly_report_annotations" ADD CONSTRAINT "monthly_report_annotations_versionId_fkey" FOREIGN KEY ("versionId") REFERENCES "monthly_report_versions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
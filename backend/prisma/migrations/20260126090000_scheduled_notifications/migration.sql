@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "ScheduledNotificationStatus" AS ENUM ('PENDING', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "scheduled_notifications" (
+    "id" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'ANNOUNCEMENT',
+    "title" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "scheduledAt" TIMESTAMP(3) NOT NULL,
+    "status" "ScheduledNotificationStatus" NOT NULL DEFAULT 'PENDING',
+    "jobId" TEXT,
+    "createdById" TEXT NOT NULL,
+    "createdByRole" "Role" NOT NULL,
+    "institutionId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "cancelledBy" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scheduled_notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_notifications_status_scheduledAt_idx" ON "scheduled_notifications"("status", "scheduledAt");
+
+-- CreateIndex
+CREATE INDEX "scheduled_notifications_createdById_idx" ON "scheduled_notifications"("createdById");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Grievance" ADD COLUMN     "responseDueAt" TIMESTAMP(3),
+ADD COLUMN     "resolutionDueAt" TIMESTAMP(3),
+ADD COLUMN     "slaReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "slaBreachedAt" TIMESTAMP(3),
+ADD COLUMN     "slaBreachCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "GrievanceStatusHistory" ALTER COLUMN "changedById" DROP NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "GrievanceStatusHistory" DROP CONSTRAINT "GrievanceStatusHistory_changedById_fkey";
+
+-- AddForeignKey
+ALTER TABLE "GrievanceStatusHistory" ADD CONSTRAINT "GrievanceStatusHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "Grievance_status_resolutionDueAt_idx" ON "Grievance"("status", "resolutionDueAt");
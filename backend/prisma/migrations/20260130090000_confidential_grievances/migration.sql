@@ -0,0 +1,32 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'GRIEVANCE_VIEW';
+
+-- AlterTable
+ALTER TABLE "Grievance" ADD COLUMN     "isConfidential" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "grievance_committee_members" (
+    "id" TEXT NOT NULL,
+    "institutionId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "isChair" BOOLEAN NOT NULL DEFAULT false,
+    "addedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "grievance_committee_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Grievance_isConfidential_idx" ON "Grievance"("isConfidential");
+
+-- CreateIndex
+CREATE INDEX "grievance_committee_members_userId_idx" ON "grievance_committee_members"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "grievance_committee_members_institutionId_userId_key" ON "grievance_committee_members"("institutionId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "grievance_committee_members" ADD CONSTRAINT "grievance_committee_members_institutionId_fkey" FOREIGN KEY ("institutionId") REFERENCES "Institution"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "grievance_committee_members" ADD CONSTRAINT "grievance_committee_members_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
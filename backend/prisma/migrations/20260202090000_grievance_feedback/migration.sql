@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'GRIEVANCE_REOPEN';
+
+-- AlterTable
+ALTER TABLE "Grievance" ADD COLUMN     "satisfactionRating" INTEGER,
+ADD COLUMN     "satisfactionComment" TEXT,
+ADD COLUMN     "feedbackAt" TIMESTAMP(3),
+ADD COLUMN     "reopenCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "reopenedAt" TIMESTAMP(3);
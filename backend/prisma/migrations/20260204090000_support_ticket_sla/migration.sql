@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "support_tickets" ADD COLUMN     "firstResponseDueAt" TIMESTAMP(3),
+ADD COLUMN     "firstRespondedAt" TIMESTAMP(3),
+ADD COLUMN     "resolutionDueAt" TIMESTAMP(3),
+ADD COLUMN     "firstResponseBreachedAt" TIMESTAMP(3),
+ADD COLUMN     "resolutionBreachedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "canned_responses" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "category" "SupportCategory",
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "usageCount" INTEGER NOT NULL DEFAULT 0,
+    "createdById" TEXT NOT NULL,
+    "createdByName" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "canned_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "support_tickets_status_resolutionDueAt_idx" ON "support_tickets"("status", "resolutionDueAt");
+
+-- CreateIndex
+CREATE INDEX "canned_responses_category_isActive_idx" ON "canned_responses"("category", "isActive");
@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "SupportTicketSource" AS ENUM ('WEB', 'EMAIL');
+
+-- AlterTable
+ALTER TABLE "support_tickets" ADD COLUMN     "source" "SupportTicketSource" NOT NULL DEFAULT 'WEB',
+ADD COLUMN     "emailMessageId" TEXT;
+
+-- AlterTable
+ALTER TABLE "support_responses" ADD COLUMN     "emailMessageId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "support_tickets_emailMessageId_key" ON "support_tickets"("emailMessageId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "support_responses_emailMessageId_key" ON "support_responses"("emailMessageId");
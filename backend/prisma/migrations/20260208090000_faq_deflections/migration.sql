@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "FAQDeflectionOutcome" AS ENUM ('DEFLECTED', 'SUBMITTED');
+
+-- CreateTable
+CREATE TABLE "faq_deflections" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userRole" "Role" NOT NULL,
+    "outcome" "FAQDeflectionOutcome" NOT NULL,
+    "suggestedIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "faqArticleId" TEXT,
+    "ticketId" TEXT,
+    "query" TEXT,
+    "category" "SupportCategory",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "faq_deflections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "faq_deflections_outcome_createdAt_idx" ON "faq_deflections"("outcome", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "faq_deflections_faqArticleId_idx" ON "faq_deflections"("faqArticleId");
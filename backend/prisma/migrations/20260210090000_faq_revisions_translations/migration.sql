@@ -0,0 +1,86 @@
+-- CreateEnum
+CREATE TYPE "ContentLanguage" AS ENUM ('EN', 'HI', 'PA');
+
+-- CreateEnum
+CREATE TYPE "FAQRevisionStatus" AS ENUM ('DRAFT', 'IN_REVIEW', 'REJECTED', 'PUBLISHED', 'SUPERSEDED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "preferredLanguage" "ContentLanguage" NOT NULL DEFAULT 'EN';
+
+-- CreateTable
+CREATE TABLE "faq_article_translations" (
+    "id" TEXT NOT NULL,
+    "articleId" TEXT NOT NULL,
+    "language" "ContentLanguage" NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "summary" TEXT,
+    "searchTerms" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "revisionId" TEXT,
+    "publishedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "publishedBy" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "faq_article_translations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "faq_article_revisions" (
+    "id" TEXT NOT NULL,
+    "articleId" TEXT NOT NULL,
+    "language" "ContentLanguage" NOT NULL,
+    "version" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "summary" TEXT,
+    "searchTerms" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "changeNote" TEXT,
+    "status" "FAQRevisionStatus" NOT NULL DEFAULT 'DRAFT',
+    "basedOnVersion" INTEGER,
+    "restoredFrom" INTEGER,
+    "authorId" TEXT NOT NULL,
+    "authorName" TEXT NOT NULL,
+    "submittedAt" TIMESTAMP(3),
+    "reviewedById" TEXT,
+    "reviewedByName" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "faq_article_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "faq_article_translations_language_idx" ON "faq_article_translations"("language");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "faq_article_translations_articleId_language_key" ON "faq_article_translations"("articleId", "language");
+
+-- CreateIndex
+CREATE INDEX "faq_article_revisions_articleId_language_status_idx" ON "faq_article_revisions"("articleId", "language", "status");
+
+-- CreateIndex
+CREATE INDEX "faq_article_revisions_status_idx" ON "faq_article_revisions"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "faq_article_revisions_articleId_language_version_key" ON "faq_article_revisions"("articleId", "language", "version");
+
+-- AddForeignKey
+ALTER TABLE "faq_article_translations" ADD CONSTRAINT "faq_article_translations_articleId_fkey" FOREIGN KEY ("articleId") REFERENCES "faq_articles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "faq_article_revisions" ADD CONSTRAINT "faq_article_revisions_articleId_fkey" FOREIGN KEY ("articleId") REFERENCES "faq_articles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: the current English content of every article becomes version 1
+INSERT INTO "faq_article_revisions" (
+    "id", "articleId", "language", "version", "title", "content", "summary", "searchTerms",
+    "changeNote", "status", "authorId", "authorName", "publishedAt", "createdAt", "updatedAt"
+)
+SELECT
+    gen_random_uuid()::text, "id", 'EN', 1, "title", "content", "summary", "searchTerms",
+    'Imported from the original article',
+    CASE WHEN "isPublished" THEN 'PUBLISHED'::"FAQRevisionStatus" ELSE 'DRAFT'::"FAQRevisionStatus" END,
+    "authorId", "authorName", "publishedAt", "createdAt", "updatedAt"
+FROM "faq_articles";
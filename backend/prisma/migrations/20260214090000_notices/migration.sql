@@ -0,0 +1,72 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'NOTICE_PUBLISH';
+ALTER TYPE "AuditAction" ADD VALUE 'NOTICE_UPDATE';
+ALTER TYPE "AuditAction" ADD VALUE 'NOTICE_DELETE';
+
+-- CreateEnum
+CREATE TYPE "NoticePriority" AS ENUM ('NORMAL', 'IMPORTANT', 'URGENT');
+
+-- CreateTable
+CREATE TABLE "notices" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "priority" "NoticePriority" NOT NULL DEFAULT 'NORMAL',
+    "createdById" TEXT NOT NULL,
+    "institutionId" TEXT,
+    "targetRoles" "Role"[] DEFAULT ARRAY[]::"Role"[],
+    "institutionIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "branchIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "batchIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "attachments" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "requiresAcknowledgement" BOOLEAN NOT NULL DEFAULT false,
+    "acknowledgementDueAt" TIMESTAMP(3),
+    "isPublished" BOOLEAN NOT NULL DEFAULT false,
+    "publishAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3),
+    "notifiedAt" TIMESTAMP(3),
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "notice_acknowledgements" (
+    "id" TEXT NOT NULL,
+    "noticeId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "readAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acknowledgedAt" TIMESTAMP(3),
+
+    CONSTRAINT "notice_acknowledgements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notices_isPublished_publishAt_idx" ON "notices"("isPublished", "publishAt");
+
+-- CreateIndex
+CREATE INDEX "notices_institutionId_idx" ON "notices"("institutionId");
+
+-- CreateIndex
+CREATE INDEX "notices_createdById_idx" ON "notices"("createdById");
+
+-- CreateIndex
+CREATE INDEX "notices_isDeleted_idx" ON "notices"("isDeleted");
+
+-- CreateIndex
+CREATE INDEX "notice_acknowledgements_userId_idx" ON "notice_acknowledgements"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "notice_acknowledgements_noticeId_userId_key" ON "notice_acknowledgements"("noticeId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "notices" ADD CONSTRAINT "notices_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notice_acknowledgements" ADD CONSTRAINT "notice_acknowledgements_noticeId_fkey" FOREIGN KEY ("noticeId") REFERENCES "notices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notice_acknowledgements" ADD CONSTRAINT "notice_acknowledgements_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
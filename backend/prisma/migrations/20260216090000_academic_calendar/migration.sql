@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'ACADEMIC_EVENT_CREATE';
+ALTER TYPE "AuditAction" ADD VALUE 'ACADEMIC_EVENT_UPDATE';
+ALTER TYPE "AuditAction" ADD VALUE 'ACADEMIC_EVENT_DELETE';
+
+-- CreateEnum
+CREATE TYPE "AcademicEventType" AS ENUM ('INTERNSHIP_WINDOW', 'REPORT_BLACKOUT', 'HOLIDAY', 'EXAMINATION', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "academic_events" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "AcademicEventType" NOT NULL,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE NOT NULL,
+    "institutionId" TEXT,
+    "createdById" TEXT NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "academic_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "academic_events_startDate_endDate_idx" ON "academic_events"("startDate", "endDate");
+
+-- CreateIndex
+CREATE INDEX "academic_events_institutionId_idx" ON "academic_events"("institutionId");
+
+-- CreateIndex
+CREATE INDEX "academic_events_type_idx" ON "academic_events"("type");
+
+-- AddForeignKey
+ALTER TABLE "academic_events" ADD CONSTRAINT "academic_events_institutionId_fkey" FOREIGN KEY ("institutionId") REFERENCES "Institution"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "academic_events" ADD CONSTRAINT "academic_events_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
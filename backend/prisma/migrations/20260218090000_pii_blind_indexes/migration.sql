@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "phoneNoHash" TEXT,
+ADD COLUMN     "emailHash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "User_phoneNoHash_idx" ON "User"("phoneNoHash");
+
+-- CreateIndex
+CREATE INDEX "User_emailHash_idx" ON "User"("emailHash");
@@ -0,0 +1,35 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'AUDIT_LOG_ARCHIVE';
+ALTER TYPE "AuditAction" ADD VALUE 'AUDIT_CHAIN_VERIFY';
+
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "sequence" INTEGER,
+ADD COLUMN     "previousHash" TEXT,
+ADD COLUMN     "hash" TEXT;
+
+-- CreateTable
+CREATE TABLE "audit_archive_segments" (
+    "id" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "entryCount" INTEGER NOT NULL,
+    "firstSequence" INTEGER,
+    "lastSequence" INTEGER,
+    "firstPreviousHash" TEXT,
+    "lastHash" TEXT,
+    "fromTimestamp" TIMESTAMP(3) NOT NULL,
+    "toTimestamp" TIMESTAMP(3) NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_archive_segments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuditLog_sequence_key" ON "AuditLog"("sequence");
+
+-- CreateIndex
+CREATE INDEX "audit_archive_segments_lastSequence_idx" ON "audit_archive_segments"("lastSequence");
+
+-- CreateIndex
+CREATE INDEX "audit_archive_segments_fromTimestamp_toTimestamp_idx" ON "audit_archive_segments"("fromTimestamp", "toTimestamp");
@@ -0,0 +1,79 @@
+/**
+ * =============================================================================
+ * PII ENCRYPTION KEY ROTATION SCRIPT
+ * =============================================================================
+ *
+ * Re-encrypts the PII columns configured in src/config/pii-encryption.config.ts
+ * with the current ENCRYPTION_KEY, in batches:
+ * - plaintext rows (written before encryption was enabled) are encrypted
+ * - rows encrypted with a key listed in ENCRYPTION_PREVIOUS_KEYS are re-encrypted
+ * - blind indexes (phoneNoHash, emailHash) are recomputed
+ *
+ * ROTATING A KEY:
+ *   1. Move the old key to ENCRYPTION_PREVIOUS_KEYS and set a new ENCRYPTION_KEY
+ *      (openssl rand -hex 32), then restart the backend
+ *   2. Run this script until it reports 0 rows to update
+ *   3. Remove the old key from ENCRYPTION_PREVIOUS_KEYS
+ *
+ * USAGE:
+ *   npm run db:rotate-encryption-key
+ *
+ * OPTIONS (via environment variables):
+ *   DRY_RUN=true          - Count rows that need updating without writing
+ *   BATCH_SIZE=500        - Rows per batch
+ *
+ * =============================================================================
+ */
+
+import * as path from 'path';
+import * as dotenv from 'dotenv';
+import { Pool } from 'pg';
+import { PrismaPg } from '@prisma/adapter-pg';
+
+// Load environment variables before the encryption keys are read
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+import { PrismaClient } from '../src/generated/prisma/client';
+import { EncryptionService } from '../src/core/common/services/encryption.service';
+import { rotatePiiEncryption } from '../src/core/database/pii-key-rotation';
+
+const CONFIG = {
+  DRY_RUN: process.env.DRY_RUN === 'true',
+  BATCH_SIZE: parseInt(process.env.BATCH_SIZE || '', 10) || undefined,
+};
+
+async function main() {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  // Plain client: rows must be read exactly as stored
+  const prisma = new PrismaClient({ adapter: new PrismaPg(pool) } as any);
+  const encryption = new EncryptionService();
+
+  console.log(`Rotating PII encryption${CONFIG.DRY_RUN ? ' (DRY RUN)' : ''}...\n`);
+
+  try {
+    const results = await rotatePiiEncryption(prisma, encryption, {
+      batchSize: CONFIG.BATCH_SIZE,
+      dryRun: CONFIG.DRY_RUN,
+      log: (message) => console.log(`  ${message}`),
+    });
+
+    console.log('\nSummary:');
+    for (const result of results) {
+      console.log(
+        `  ${result.model}: ${result.scanned} scanned, ${result.updated} ${CONFIG.DRY_RUN ? 'to update' : 'updated'}, ${result.failed} failed`,
+      );
+    }
+
+    if (results.some((result) => result.failed > 0)) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await prisma.$disconnect();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -33,6 +33,7 @@ export enum VisitStatus {
 export enum ReportStatus {
   APPROVED = 'APPROVED',
   REJECTED = 'REJECTED',
+  REVISION_REQUIRED = 'REVISION_REQUIRED',
 }
 
 export enum ApprovalStatus {
@@ -633,6 +634,63 @@ export class RejectMonthlyReportDto {
   reason: string;
 }
 
+export class RequestReportRevisionDto {
+  @ApiProperty({ description: 'What the student needs to change' })
+  @IsString()
+  @MinLength(10, { message: 'Revision comments must be at least 10 characters' })
+  @MaxLength(2000)
+  comments: string;
+}
+
+export class CreateReportAnnotationDto {
+  @ApiPropertyOptional({ description: 'Report version being annotated (defaults to the latest)' })
+  @IsOptional()
+  @Type(() => Number)
+  @IsNumber()
+  @Min(1)
+  versionNumber?: number;
+
+  @ApiProperty({ description: '1-based page number in the report file' })
+  @Type(() => Number)
+  @IsNumber()
+  @Min(1)
+  page: number;
+
+  @ApiPropertyOptional({ description: 'Left edge of the highlighted region as a fraction of page width' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  x?: number;
+
+  @ApiPropertyOptional({ description: 'Top edge of the highlighted region as a fraction of page height' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  y?: number;
+
+  @ApiPropertyOptional({ description: 'Region width as a fraction of page width' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  width?: number;
+
+  @ApiPropertyOptional({ description: 'Region height as a fraction of page height' })
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  height?: number;
+
+  @ApiProperty({ description: 'Comment shown to the student' })
+  @IsString()
+  @MinLength(1)
+  @MaxLength(1000)
+  comment: string;
+}
+
 // ==================== Approval DTOs ====================
 
 export class UpdateSelfIdentifiedApprovalDto {
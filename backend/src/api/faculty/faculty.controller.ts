@@ -29,6 +29,8 @@ import {
   ReviewMonthlyReportDto,
   ApproveMonthlyReportDto,
   RejectMonthlyReportDto,
+  RequestReportRevisionDto,
+  CreateReportAnnotationDto,
   UpdateSelfIdentifiedApprovalDto,
   SubmitMonthlyFeedbackDto,
   UpdateInternshipDto,
@@ -173,8 +175,9 @@ export class FacultyController {
     @Query('page') page?: number,
     @Query('limit') limit?: number,
     @Query('status') status?: string,
+    @Query('search') search?: string,
   ) {
-    return this.facultyService.getMonthlyReports(req.user.userId, { page, limit, status });
+    return this.facultyService.getMonthlyReports(req.user.userId, { page, limit, status, search });
   }
 
   @Put('monthly-reports/:id/review')
@@ -182,6 +185,9 @@ export class FacultyController {
   @ApiOperation({ summary: 'Review monthly report' })
   @ApiResponse({ status: 200, description: 'Monthly report reviewed successfully' })
   async reviewMonthlyReport(@Param('id') id: string, @Body() reviewDto: ReviewMonthlyReportDto, @Req() req) {
+    if (reviewDto.status === 'REVISION_REQUIRED') {
+      return this.facultyService.requestMonthlyReportRevision(id, reviewDto.remarks || reviewDto.reason, req.user.userId);
+    }
     return this.facultyService.reviewMonthlyReport(id, {
       facultyId: req.user.userId,
       reviewComments: reviewDto.remarks,
@@ -281,6 +287,50 @@ export class FacultyController {
     return this.facultyService.rejectMonthlyReport(id, body.reason, req.user.userId);
   }
 
+  @Put('monthly-reports/:id/request-revision')
+  @Roles(Role.TEACHER, Role.TEACHER)
+  @ApiOperation({ summary: 'Send monthly report back to the student for revision' })
+  @ApiResponse({ status: 200, description: 'Revision requested successfully' })
+  async requestMonthlyReportRevision(@Param('id') id: string, @Body() body: RequestReportRevisionDto, @Req() req) {
+    return this.facultyService.requestMonthlyReportRevision(id, body.comments, req.user.userId);
+  }
+
+  @Get('monthly-reports/:id/versions')
+  @Roles(Role.TEACHER, Role.TEACHER)
+  @ApiOperation({ summary: 'Get every submitted version of a monthly report with its review' })
+  @ApiResponse({ status: 200, description: 'Report versions retrieved successfully' })
+  async getMonthlyReportVersions(@Param('id') id: string, @Req() req) {
+    return this.facultyService.getMonthlyReportVersions(id, req.user.userId);
+  }
+
+  @Get('monthly-reports/:id/annotations')
+  @Roles(Role.TEACHER, Role.TEACHER)
+  @ApiOperation({ summary: 'Get page and region annotations on a monthly report version' })
+  @ApiResponse({ status: 200, description: 'Annotations retrieved successfully' })
+  async getMonthlyReportAnnotations(@Param('id') id: string, @Req() req, @Query('version') version?: string) {
+    return this.facultyService.getMonthlyReportAnnotations(id, req.user.userId, version ? Number(version) : undefined);
+  }
+
+  @Post('monthly-reports/:id/annotations')
+  @Roles(Role.TEACHER, Role.TEACHER)
+  @ApiOperation({ summary: 'Annotate a page or region of the latest monthly report file' })
+  @ApiResponse({ status: 201, description: 'Annotation added successfully' })
+  async addMonthlyReportAnnotation(@Param('id') id: string, @Body() body: CreateReportAnnotationDto, @Req() req) {
+    return this.facultyService.addMonthlyReportAnnotation(id, body, req.user.userId);
+  }
+
+  @Delete('monthly-reports/:id/annotations/:annotationId')
+  @Roles(Role.TEACHER, Role.TEACHER)
+  @ApiOperation({ summary: 'Delete your annotation on a monthly report' })
+  @ApiResponse({ status: 200, description: 'Annotation deleted successfully' })
+  async deleteMonthlyReportAnnotation(
+    @Param('id') id: string,
+    @Param('annotationId') annotationId: string,
+    @Req() req,
+  ) {
+    return this.facultyService.deleteMonthlyReportAnnotation(id, annotationId, req.user.userId);
+  }
+
   @Delete('monthly-reports/:id')
   @Roles(Role.TEACHER, Role.TEACHER)
   @ApiOperation({ summary: 'Delete monthly report' })
@@ -394,8 +444,13 @@ export class FacultyController {
   @Roles(Role.TEACHER, Role.TEACHER)
   @ApiOperation({ summary: 'Get presigned URL to view monthly report' })
   @ApiResponse({ status: 200, description: 'Presigned URL generated successfully' })
-  async viewMonthlyReport(@Param('id') id: string, @Req() req) {
-    return this.facultyService.getMonthlyReportViewUrl(id, req.user.userId, this.fileStorageService);
+  async viewMonthlyReport(@Param('id') id: string, @Req() req, @Query('version') version?: string) {
+    return this.facultyService.getMonthlyReportViewUrl(
+      id,
+      req.user.userId,
+      this.fileStorageService,
+      version ? Number(version) : undefined,
+    );
   }
 
   @Post('assignments')
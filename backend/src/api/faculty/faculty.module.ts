@@ -4,9 +4,11 @@ import { FacultyService } from './faculty.service';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
 import { FileStorageModule } from '../../infrastructure/file-storage/file-storage.module';
 import { InternshipModule } from '../../domain/internship/internship.module';
+import { VerificationModule } from '../../domain/verification/verification.module';
+import { ReportModule } from '../../domain/report/report.module';
 
 @Module({
-  imports: [AuditModule, FileStorageModule, InternshipModule],
+  imports: [AuditModule, FileStorageModule, InternshipModule, VerificationModule, ReportModule],
   controllers: [FacultyController],
   providers: [FacultyService],
   exports: [FacultyService],
@@ -0,0 +1,77 @@
+import { BadRequestException, NotFoundException } from '@nestjs/common';
+import { FacultyService } from './faculty.service';
+
+function createService() {
+  const reports = [
+    { id: 'report-1', studentId: 'student-1', isDeleted: false, application: { mentorId: 'mentor-1' } },
+    { id: 'report-deleted', studentId: 'student-1', isDeleted: true, application: { mentorId: 'mentor-1' } },
+  ];
+  const prisma: any = {
+    monthlyReport: {
+      findUnique: jest.fn(async ({ where }: any) => reports.find((report) => report.id === where.id) ?? null),
+    },
+    mentorAssignment: {
+      findFirst: jest.fn(async ({ where }: any) =>
+        where.mentorId === 'assigned-mentor' && where.studentId === 'student-1' && where.isActive ? { id: 'assignment-1' } : null,
+      ),
+    },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => ({ name: where.id === 'mentor-1' ? 'Meera' : 'Arjun' })),
+    },
+  };
+  const monthlyReportService: any = {
+    getAnnotations: jest.fn(async () => ({ annotations: [] })),
+    addAnnotation: jest.fn(async (_reportId: string, author: any, input: any) => ({ id: 'annotation-1', ...input, authorId: author.userId })),
+    deleteAnnotation: jest.fn(async (_reportId: string, annotationId: string) => ({ id: annotationId })),
+  };
+
+  const service = new FacultyService(prisma, {} as any, {} as any, {} as any, {} as any, monthlyReportService);
+  return { service, monthlyReportService };
+}
+
+describe('FacultyService monthly report annotations', () => {
+  it('lets the application mentor and assigned mentors view, add and delete annotations', async () => {
+    const { service, monthlyReportService } = createService();
+
+    await service.getMonthlyReportAnnotations('report-1', 'mentor-1', 2);
+    const added = await service.addMonthlyReportAnnotation('report-1', { page: 3, comment: 'Typo' }, 'assigned-mentor');
+    const deleted = await service.deleteMonthlyReportAnnotation('report-1', 'annotation-1', 'mentor-1');
+
+    expect(monthlyReportService.getAnnotations).toHaveBeenCalledWith('report-1', 2);
+    expect(monthlyReportService.addAnnotation).toHaveBeenCalledWith(
+      'report-1',
+      { userId: 'assigned-mentor', name: 'Arjun' },
+      { page: 3, comment: 'Typo' },
+    );
+    expect(added).toMatchObject({ success: true, data: { authorId: 'assigned-mentor' } });
+    expect(monthlyReportService.deleteAnnotation).toHaveBeenCalledWith('report-1', 'annotation-1', 'mentor-1');
+    expect(deleted).toEqual({ success: true, message: 'Annotation deleted' });
+  });
+
+  it('turns away faculty who do not mentor the student', async () => {
+    const { service, monthlyReportService } = createService();
+
+    await expect(service.getMonthlyReportAnnotations('report-1', 'stranger')).rejects.toThrow(
+      new BadRequestException('You are not authorized to view this report'),
+    );
+    await expect(service.addMonthlyReportAnnotation('report-1', { page: 1, comment: 'Hi' }, 'stranger')).rejects.toThrow(
+      new BadRequestException('You are not authorized to annotate this report'),
+    );
+    await expect(service.deleteMonthlyReportAnnotation('report-1', 'annotation-1', 'stranger')).rejects.toThrow(
+      new BadRequestException('You are not authorized to annotate this report'),
+    );
+
+    expect(monthlyReportService.getAnnotations).not.toHaveBeenCalled();
+    expect(monthlyReportService.addAnnotation).not.toHaveBeenCalled();
+    expect(monthlyReportService.deleteAnnotation).not.toHaveBeenCalled();
+  });
+
+  it('reports deleted and unknown reports as not found', async () => {
+    const { service } = createService();
+
+    await expect(service.getMonthlyReportAnnotations('report-deleted', 'mentor-1')).rejects.toThrow(NotFoundException);
+    await expect(service.addMonthlyReportAnnotation('missing', { page: 1, comment: 'Hi' }, 'mentor-1')).rejects.toThrow(
+      new NotFoundException('Monthly report not found'),
+    );
+  });
+});
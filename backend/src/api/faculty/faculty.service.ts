@@ -4,6 +4,9 @@ import { LruCacheService } from '../../core/cache/lru-cache.service';
 import { Prisma, ApplicationStatus, MonthlyReportStatus, AuditAction, AuditCategory, AuditSeverity, Role, InternshipPhase } from '../../generated/prisma/client';
 import { AuditService } from '../../infrastructure/audit/audit.service';
 import { ExpectedCycleService } from '../../domain/internship/expected-cycle/expected-cycle.service';
+import { VerificationService } from '../../domain/verification/verification.service';
+import { MonthlyReportService, ReportAnnotationInput } from '../../domain/report/monthly/monthly-report.service';
+import { toFullTextQuery } from '../../domain/report/monthly/monthly-report-content.util';
 import {
   calculateExpectedMonths,
   getTotalExpectedCount,
@@ -20,6 +23,8 @@ export class FacultyService {
     private readonly cache: LruCacheService,
     private readonly auditService: AuditService,
     private readonly expectedCycleService: ExpectedCycleService,
+    private readonly verificationService: VerificationService,
+    private readonly monthlyReportService: MonthlyReportService,
   ) {}
 
   /**
@@ -196,6 +201,7 @@ export class FacultyService {
       where: { id: studentId },
       select: {
         id: true,
+        parentContact: true,
         user: {
           select: {
             id: true,
@@ -235,6 +241,7 @@ export class FacultyService {
       email: student.user.email,
       phoneNo: student.user.phoneNo,
       dob: student.user.dob,
+      parentContact: student.parentContact,
       internship: internship ? {
         companyEmail: internship.companyEmail,
         companyContact: internship.companyContact,
@@ -1074,15 +1081,12 @@ export class FacultyService {
     // Filter to only valid Prisma schema fields (excludes unknown fields like 'notes')
     let filteredUpdateData = this.buildVisitLogFields(updateVisitLogDto);
 
-    // SECURITY: Fields that are ALWAYS LOCKED after creation (regardless of status)
-    // These core visit details cannot be modified via API - prevents DevTools bypass
+    // SECURITY: Fields that are LOCKED after creation - prevents DevTools bypass.
+    // A SCHEDULED visit has not happened yet, so its planned date, type and location
+    // (and the GPS fix captured on arrival) are filled in when it is completed.
+    const isScheduled = visitLog.status === 'SCHEDULED';
     const lockedFields = [
-      'latitude',
-      'longitude',
-      'gpsAccuracy',
-      'visitLocation',
-      'visitDate',
-      'visitType',
+      ...(isScheduled ? [] : ['latitude', 'longitude', 'gpsAccuracy', 'visitLocation', 'visitDate', 'visitType']),
       'applicationId',
       'studentId',
       'internshipId',
@@ -1098,7 +1102,8 @@ export class FacultyService {
     if (attemptedLockedFields.length > 0) {
       throw new BadRequestException(
         `Cannot modify locked fields: ${attemptedLockedFields.join(', ')}. ` +
-        `Visit date, type, location, GPS coordinates, and student cannot be changed after creation.`
+        `Visit date, type, location, GPS coordinates, and student cannot be changed after creation ` +
+        `(only while the visit is still scheduled).`
       );
     }
 
@@ -1169,6 +1174,11 @@ export class FacultyService {
       },
     });
 
+    // Completing a planned visit counts towards the application like a directly logged one
+    if (isScheduled && updated.status === 'COMPLETED') {
+      await this.expectedCycleService.incrementVisitCount(visitLog.applicationId);
+    }
+
     // Get faculty for audit
     const userId = facultyId || visitLog.facultyId;
     const faculty = await this.prisma.user.findUnique({ where: { id: userId } });
@@ -1278,7 +1288,7 @@ export class FacultyService {
    */
   async getMonthlyReports(
     facultyId: string,
-    params: { page?: number; limit?: number; status?: string },
+    params: { page?: number; limit?: number; status?: string; search?: string },
   ) {
     const { status } = params;
     const page = Number(params.page) || 1;
@@ -1318,6 +1328,12 @@ export class FacultyService {
       where.status = status as MonthlyReportStatus;
     }
 
+    // Full-text search over structured report answers
+    const searchQuery = toFullTextQuery(params.search);
+    if (searchQuery) {
+      where.contentText = { search: searchQuery };
+    }
+
     const [reports, total] = await Promise.all([
       this.prisma.monthlyReport.findMany({
         where,
@@ -1397,6 +1413,12 @@ export class FacultyService {
       },
     });
 
+    await this.monthlyReportService.recordReview(id, {
+      reviewerId: reviewDto.facultyId,
+      status: updated.status,
+      comments: reviewDto.reviewComments,
+    });
+
     // Get faculty for audit
     const faculty = await this.prisma.user.findUnique({ where: { id: reviewDto.facultyId } });
 
@@ -1839,6 +1861,12 @@ export class FacultyService {
       },
     });
 
+    await this.monthlyReportService.recordReview(id, {
+      reviewerId: facultyId,
+      status: MonthlyReportStatus.APPROVED,
+      comments: remarks,
+    });
+
     // Get faculty for audit
     const faculty = await this.prisma.user.findUnique({ where: { id: facultyId } });
 
@@ -1911,6 +1939,12 @@ export class FacultyService {
       },
     });
 
+    await this.monthlyReportService.recordReview(id, {
+      reviewerId: facultyId,
+      status: MonthlyReportStatus.REJECTED,
+      comments: reason,
+    });
+
     // Get faculty for audit
     const faculty = await this.prisma.user.findUnique({ where: { id: facultyId } });
 
@@ -1944,6 +1978,127 @@ export class FacultyService {
     };
   }
 
+  /**
+   * Send a monthly report back to the student with comments on what to change.
+   * The comments are kept with the version that was reviewed.
+   */
+  async requestMonthlyReportRevision(id: string, comments: string, facultyId: string) {
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id },
+      include: { application: { select: { mentorId: true } } },
+    });
+
+    if (!report || report.isDeleted) {
+      throw new NotFoundException('Monthly report not found');
+    }
+
+    await this.assertMentorOfReport(report, facultyId, 'request a revision of');
+
+    const faculty = await this.prisma.user.findUnique({
+      where: { id: facultyId },
+      select: { name: true, role: true, institutionId: true },
+    });
+
+    const updated = await this.monthlyReportService.requestRevision(
+      id,
+      { userId: facultyId, ...faculty },
+      comments,
+    );
+
+    await this.cache.invalidateByTags(['reports', `report:${id}`]);
+
+    return {
+      success: true,
+      message: 'Revision requested from the student',
+      data: updated,
+    };
+  }
+
+  /**
+   * Get the version history of a monthly report for side-by-side comparison
+   */
+  async getMonthlyReportVersions(id: string, facultyId: string) {
+    await this.findReportAsMentor(id, facultyId, 'view');
+    return this.monthlyReportService.getVersions(id);
+  }
+
+  /**
+   * Get the mentor annotations on a version of a monthly report file
+   */
+  async getMonthlyReportAnnotations(id: string, facultyId: string, version?: number) {
+    await this.findReportAsMentor(id, facultyId, 'view');
+    return this.monthlyReportService.getAnnotations(id, version);
+  }
+
+  /**
+   * Pin a comment to a page or region of the latest report file
+   */
+  async addMonthlyReportAnnotation(id: string, dto: ReportAnnotationInput, facultyId: string) {
+    await this.findReportAsMentor(id, facultyId, 'annotate');
+
+    const faculty = await this.prisma.user.findUnique({
+      where: { id: facultyId },
+      select: { name: true },
+    });
+
+    const annotation = await this.monthlyReportService.addAnnotation(
+      id,
+      { userId: facultyId, name: faculty?.name },
+      dto,
+    );
+
+    return {
+      success: true,
+      message: 'Annotation added',
+      data: annotation,
+    };
+  }
+
+  async deleteMonthlyReportAnnotation(id: string, annotationId: string, facultyId: string) {
+    await this.findReportAsMentor(id, facultyId, 'annotate');
+    await this.monthlyReportService.deleteAnnotation(id, annotationId, facultyId);
+
+    return {
+      success: true,
+      message: 'Annotation deleted',
+    };
+  }
+
+  private async findReportAsMentor(id: string, facultyId: string, action: string) {
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id },
+      include: { application: { select: { mentorId: true } } },
+    });
+
+    if (!report || report.isDeleted) {
+      throw new NotFoundException('Monthly report not found');
+    }
+
+    await this.assertMentorOfReport(report, facultyId, action);
+    return report;
+  }
+
+  /**
+   * Faculty may act on a report when they are the application's mentor or have an
+   * active mentor assignment for the student
+   */
+  private async assertMentorOfReport(
+    report: { studentId: string; application?: { mentorId: string | null } | null },
+    facultyId: string,
+    action: string,
+  ) {
+    if (report.application?.mentorId === facultyId) return;
+
+    const mentorAssignment = await this.prisma.mentorAssignment.findFirst({
+      where: { mentorId: facultyId, studentId: report.studentId, isActive: true },
+      select: { id: true },
+    });
+
+    if (!mentorAssignment) {
+      throw new BadRequestException(`You are not authorized to ${action} this report`);
+    }
+  }
+
   /**
    * Delete monthly report
    */
@@ -2145,6 +2300,8 @@ export class FacultyService {
         reviewRemarks: remarks,
         joiningDate: new Date(),
         internshipPhase: InternshipPhase.ACTIVE,
+        joiningLetterVerificationCode:
+          application.joiningLetterVerificationCode ?? this.verificationService.generateJoiningLetterCode(),
       },
     });
 
@@ -2219,6 +2376,7 @@ export class FacultyService {
         reviewRemarks: reason,
         joiningDate: null,
         internshipPhase: InternshipPhase.NOT_STARTED,
+        joiningLetterVerificationCode: null,
       },
     });
 
@@ -2572,6 +2730,8 @@ export class FacultyService {
       },
     });
 
+    await this.monthlyReportService.createVersion(report.id, facultyId);
+
     // Increment report count for the application
     await this.expectedCycleService.incrementReportCount(appId);
 
@@ -2591,6 +2751,7 @@ export class FacultyService {
     reportId: string,
     facultyId: string,
     fileStorageService: any,
+    version?: number,
   ) {
     // Find the report
     const report = await this.prisma.monthlyReport.findUnique({
@@ -2620,18 +2781,31 @@ export class FacultyService {
       throw new BadRequestException('You are not authorized to view this report');
     }
 
+    // Earlier versions keep their own file
+    let fileUrl = report.reportFileUrl;
+    if (version) {
+      const reportVersion = await this.prisma.monthlyReportVersion.findUnique({
+        where: { reportId_versionNumber: { reportId, versionNumber: version } },
+        select: { reportFileUrl: true },
+      });
+      if (!reportVersion) {
+        throw new NotFoundException(`Version ${version} of this report not found`);
+      }
+      fileUrl = reportVersion.reportFileUrl;
+    }
+
     // Check if report has a file
-    if (!report.reportFileUrl) {
+    if (!fileUrl) {
       throw new BadRequestException('No file attached to this report');
     }
 
     // Generate presigned URL (valid for 1 hour)
     try {
-      const presignedUrl = await fileStorageService.getSignedUrl(report.reportFileUrl, 3600);
+      const presignedUrl = await fileStorageService.getSignedUrl(fileUrl, 3600);
       return {
         success: true,
         url: presignedUrl,
-        filename: `report_${report.monthName}_${report.reportYear}.pdf`,
+        filename: `report_${report.monthName}_${report.reportYear}${version ? `_v${version}` : ''}.pdf`,
         expiresIn: 3600,
       };
     } catch (error) {
@@ -0,0 +1,146 @@
+import {
+  IsString,
+  IsOptional,
+  IsDateString,
+  IsInt,
+  IsBoolean,
+  IsUUID,
+  IsNotEmpty,
+  Min,
+  Max,
+  MaxLength,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+import { ApiProperty, ApiPropertyOptional, PartialType, OmitType } from '@nestjs/swagger';
+
+// ==================== Joining DTOs ====================
+
+export class ConfirmJoiningDto {
+  @ApiPropertyOptional({ description: 'Date the student reported for work (defaults to today)' })
+  @IsOptional()
+  @IsDateString()
+  joiningDate?: string;
+}
+
+// ==================== Feedback DTOs ====================
+
+export class CreateMonthlyFeedbackDto {
+  @ApiProperty({ description: 'Internship application ID' })
+  @IsUUID()
+  applicationId: string;
+
+  @ApiProperty({ description: 'Month the feedback covers (any date within the month)' })
+  @IsDateString()
+  feedbackMonth: string;
+
+  @ApiPropertyOptional({ description: 'Attendance rating (1-5)' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  attendanceRating?: number;
+
+  @ApiPropertyOptional({ description: 'Performance rating (1-5)' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  performanceRating?: number;
+
+  @ApiPropertyOptional({ description: 'Punctuality rating (1-5)' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  punctualityRating?: number;
+
+  @ApiPropertyOptional({ description: 'Technical skills rating (1-5)' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  technicalSkillsRating?: number;
+
+  @ApiPropertyOptional({ description: 'Overall rating (1-5)' })
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  overallRating?: number;
+
+  @ApiPropertyOptional({ description: 'Key strengths' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(400)
+  strengths?: string;
+
+  @ApiPropertyOptional({ description: 'Areas for improvement' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(400)
+  areasForImprovement?: string;
+
+  @ApiProperty({ description: 'Overall comments' })
+  @IsString()
+  @IsNotEmpty({ message: 'Overall comments are required' })
+  @MaxLength(500)
+  overallComments: string;
+
+  @ApiPropertyOptional({ description: 'Tasks assigned this month' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(400)
+  tasksAssigned?: string;
+
+  @ApiPropertyOptional({ description: 'Tasks completed this month' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(400)
+  tasksCompleted?: string;
+}
+
+export class UpdateMonthlyFeedbackDto extends PartialType(
+  OmitType(CreateMonthlyFeedbackDto, ['applicationId', 'feedbackMonth'] as const),
+) {}
+
+export class CompletionFeedbackDto {
+  @ApiProperty({ description: 'Overall performance rating (1-5)' })
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  @Type(() => Number)
+  industryRating: number;
+
+  @ApiProperty({ description: 'Detailed industry feedback' })
+  @IsString()
+  @IsNotEmpty({ message: 'Feedback is required' })
+  @MaxLength(1000)
+  industryFeedback: string;
+
+  @ApiPropertyOptional({ description: 'Final performance assessment' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  finalPerformance?: string;
+
+  @ApiPropertyOptional({ description: 'Recommend the student for future employment' })
+  @IsOptional()
+  @IsBoolean()
+  recommendForHire?: boolean;
+
+  @ApiPropertyOptional({ description: 'Completion certificate reference' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(200)
+  completionCertificate?: string;
+
+  @ApiPropertyOptional({ description: 'Whether the internship has been completed' })
+  @IsOptional()
+  @IsBoolean()
+  isCompleted?: boolean;
+}
@@ -0,0 +1,130 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Body,
+  Param,
+  Query,
+  UseGuards,
+  Req,
+} from '@nestjs/common';
+import { ApiTags, ApiOperation, ApiResponse, ApiBearerAuth } from '@nestjs/swagger';
+import { IndustryService } from './industry.service';
+import { JwtAuthGuard } from '../../core/auth/guards/jwt-auth.guard';
+import { RolesGuard } from '../../core/auth/guards/roles.guard';
+import { Roles } from '../../core/auth/decorators/roles.decorator';
+import { Role, InternshipPhase } from '../../generated/prisma/client';
+import {
+  ConfirmJoiningDto,
+  CreateMonthlyFeedbackDto,
+  UpdateMonthlyFeedbackDto,
+  CompletionFeedbackDto,
+} from './dto';
+
+@ApiTags('Industry Portal')
+@Controller('industry')
+@UseGuards(JwtAuthGuard, RolesGuard)
+@Roles(Role.INDUSTRY_SUPERVISOR)
+@ApiBearerAuth()
+export class IndustryController {
+  constructor(private readonly industryService: IndustryService) {}
+
+  @Get('dashboard')
+  @ApiOperation({ summary: 'Get industry supervisor dashboard data' })
+  @ApiResponse({ status: 200, description: 'Dashboard data retrieved successfully' })
+  async getDashboard(@Req() req) {
+    return this.industryService.getDashboard(req.user.userId);
+  }
+
+  @Get('profile')
+  @ApiOperation({ summary: 'Get supervisor profile with company details' })
+  @ApiResponse({ status: 200, description: 'Profile retrieved successfully' })
+  async getProfile(@Req() req) {
+    return this.industryService.getProfile(req.user.userId);
+  }
+
+  // Placed Students
+  @Get('students')
+  @ApiOperation({ summary: 'Get students placed with the company' })
+  @ApiResponse({ status: 200, description: 'Students list retrieved successfully' })
+  async getStudents(
+    @Req() req,
+    @Query('page') page?: number,
+    @Query('limit') limit?: number,
+    @Query('search') search?: string,
+    @Query('phase') phase?: InternshipPhase,
+  ) {
+    return this.industryService.getStudents(req.user.userId, { page, limit, search, phase });
+  }
+
+  @Get('students/:applicationId')
+  @ApiOperation({ summary: 'Get placed student detail with feedback history' })
+  @ApiResponse({ status: 200, description: 'Student detail retrieved successfully' })
+  async getStudentDetail(@Req() req, @Param('applicationId') applicationId: string) {
+    return this.industryService.getStudentDetail(req.user.userId, applicationId);
+  }
+
+  @Post('students/:applicationId/confirm-joining')
+  @ApiOperation({ summary: 'Confirm the student has joined the company' })
+  @ApiResponse({ status: 201, description: 'Joining confirmed successfully' })
+  async confirmJoining(
+    @Req() req,
+    @Param('applicationId') applicationId: string,
+    @Body() dto: ConfirmJoiningDto,
+  ) {
+    return this.industryService.confirmJoining(req.user.userId, applicationId, dto);
+  }
+
+  // Monthly Feedback
+  @Get('monthly-feedback')
+  @ApiOperation({ summary: 'Get submitted monthly feedback' })
+  @ApiResponse({ status: 200, description: 'Monthly feedback retrieved successfully' })
+  async getMonthlyFeedback(@Req() req, @Query('applicationId') applicationId?: string) {
+    return this.industryService.getMonthlyFeedback(req.user.userId, { applicationId });
+  }
+
+  @Post('monthly-feedback')
+  @ApiOperation({ summary: 'Submit monthly feedback for a placed student' })
+  @ApiResponse({ status: 201, description: 'Monthly feedback submitted successfully' })
+  async createMonthlyFeedback(@Req() req, @Body() dto: CreateMonthlyFeedbackDto) {
+    return this.industryService.createMonthlyFeedback(req.user.userId, dto);
+  }
+
+  @Put('monthly-feedback/:id')
+  @ApiOperation({ summary: 'Update monthly feedback' })
+  @ApiResponse({ status: 200, description: 'Monthly feedback updated successfully' })
+  async updateMonthlyFeedback(@Req() req, @Param('id') id: string, @Body() dto: UpdateMonthlyFeedbackDto) {
+    return this.industryService.updateMonthlyFeedback(req.user.userId, id, dto);
+  }
+
+  // Completion Feedback
+  @Get('completion-feedback')
+  @ApiOperation({ summary: 'Get submitted completion feedback' })
+  @ApiResponse({ status: 200, description: 'Completion feedback retrieved successfully' })
+  async getCompletionFeedback(@Req() req) {
+    return this.industryService.getCompletionFeedback(req.user.userId);
+  }
+
+  @Post('completion-feedback/:applicationId')
+  @ApiOperation({ summary: 'Submit completion feedback for a placed student' })
+  @ApiResponse({ status: 201, description: 'Completion feedback submitted successfully' })
+  async submitCompletionFeedback(
+    @Req() req,
+    @Param('applicationId') applicationId: string,
+    @Body() dto: CompletionFeedbackDto,
+  ) {
+    return this.industryService.submitCompletionFeedback(req.user.userId, applicationId, dto);
+  }
+
+  @Put('completion-feedback/:applicationId')
+  @ApiOperation({ summary: 'Update completion feedback' })
+  @ApiResponse({ status: 200, description: 'Completion feedback updated successfully' })
+  async updateCompletionFeedback(
+    @Req() req,
+    @Param('applicationId') applicationId: string,
+    @Body() dto: CompletionFeedbackDto,
+  ) {
+    return this.industryService.updateCompletionFeedback(req.user.userId, applicationId, dto);
+  }
+}
@@ -0,0 +1,166 @@
+import { ForbiddenException, NotFoundException } from '@nestjs/common';
+import { ApplicationStatus, InternshipPhase, Role } from '../../generated/prisma/client';
+import { IndustryService } from './industry.service';
+
+const student = (name: string) => ({
+  id: `student-${name}`,
+  institutionId: 'inst-1',
+  user: { name, rollNumber: name, email: `${name}@example.com`, phoneNo: null, branchName: 'CSE' },
+  Institution: { id: 'inst-1', name: 'GPC', code: 'GPC01' },
+});
+
+function createService() {
+  const users = [
+    { id: 'supervisor-a', name: 'Anil', role: Role.INDUSTRY_SUPERVISOR, companyId: 'company-a', active: true },
+    { id: 'supervisor-unlinked', name: 'Uma', role: Role.INDUSTRY_SUPERVISOR, companyId: null, active: true },
+    { id: 'teacher-1', name: 'Tara', role: Role.TEACHER, companyId: 'company-a', active: true },
+  ];
+  const applications = [
+    {
+      id: 'application-a',
+      companyId: 'company-a',
+      isActive: true,
+      status: ApplicationStatus.APPROVED,
+      internshipPhase: InternshipPhase.NOT_STARTED,
+      joiningDate: null,
+      joiningConfirmedAt: null,
+      completionDate: null,
+      student: student('Asha'),
+    },
+    {
+      id: 'application-b',
+      companyId: 'company-b',
+      isActive: true,
+      status: ApplicationStatus.APPROVED,
+      internshipPhase: InternshipPhase.NOT_STARTED,
+      joiningDate: null,
+      joiningConfirmedAt: null,
+      completionDate: null,
+      student: student('Bala'),
+    },
+  ];
+  const feedback = [
+    { id: 'feedback-a', applicationId: 'application-a', application: applications[0] },
+    { id: 'feedback-b', applicationId: 'application-b', application: applications[1] },
+  ];
+
+  const prisma: any = {
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => users.find((user) => user.id === where.id) ?? null),
+    },
+    internshipApplication: {
+      findFirst: jest.fn(async ({ where }: any) =>
+        applications.find((application) => application.id === where.id && application.companyId === where.companyId) ?? null,
+      ),
+      findMany: jest.fn(async () => []),
+      findUnique: jest.fn(async ({ where }: any) => applications.find((application) => application.id === where.id)),
+      count: jest.fn(async () => 0),
+      update: jest.fn(async ({ where, data }: any) => ({ id: where.id, ...data })),
+    },
+    monthlyFeedback: {
+      findMany: jest.fn(async () => []),
+      findFirst: jest.fn(async ({ where }: any) =>
+        feedback.find((row) => row.id === where.id && row.application.companyId === where.application.companyId) ?? null,
+      ),
+      findUnique: jest.fn(async () => null),
+      create: jest.fn(async ({ data }: any) => ({ id: 'feedback-new', ...data })),
+      update: jest.fn(async ({ where, data }: any) => ({ id: where.id, ...data })),
+    },
+    completionFeedback: {
+      findMany: jest.fn(async () => []),
+      findUnique: jest.fn(async () => null),
+      create: jest.fn(),
+    },
+  };
+  const auditService: any = { log: jest.fn(async () => null) };
+
+  return { service: new IndustryService(prisma, auditService), prisma };
+}
+
+describe('IndustryService', () => {
+  describe('company scoping', () => {
+    it('lists only applications and feedback of the supervisor company', async () => {
+      const { service, prisma } = createService();
+
+      await service.getDashboard('supervisor-a');
+      await service.getStudents('supervisor-a', { search: 'Bala' });
+      await service.getMonthlyFeedback('supervisor-a', { applicationId: 'application-b' });
+      await service.getCompletionFeedback('supervisor-a');
+
+      for (const [{ where }] of prisma.internshipApplication.count.mock.calls) {
+        expect(where.companyId).toBe('company-a');
+      }
+      expect(prisma.internshipApplication.findMany.mock.calls[0][0].where.companyId).toBe('company-a');
+      expect(prisma.monthlyFeedback.findMany.mock.calls[0][0].where).toEqual({
+        applicationId: 'application-b',
+        application: { companyId: 'company-a' },
+      });
+      expect(prisma.completionFeedback.findMany.mock.calls[0][0].where).toEqual({
+        application: { companyId: 'company-a' },
+      });
+    });
+
+    it('reports students placed elsewhere as not found and changes nothing', async () => {
+      const { service, prisma } = createService();
+
+      await expect(service.getStudentDetail('supervisor-a', 'application-b')).rejects.toThrow(NotFoundException);
+      await expect(service.confirmJoining('supervisor-a', 'application-b', {})).rejects.toThrow(NotFoundException);
+      await expect(
+        service.createMonthlyFeedback('supervisor-a', {
+          applicationId: 'application-b',
+          feedbackMonth: '2026-01-01',
+        } as any),
+      ).rejects.toThrow(NotFoundException);
+      await expect(
+        service.submitCompletionFeedback('supervisor-a', 'application-b', { isCompleted: true } as any),
+      ).rejects.toThrow(NotFoundException);
+      await expect(
+        service.updateMonthlyFeedback('supervisor-a', 'feedback-b', { overallRating: 1 } as any),
+      ).rejects.toThrow(new NotFoundException('Monthly feedback not found'));
+
+      expect(prisma.internshipApplication.findUnique).not.toHaveBeenCalled();
+      expect(prisma.internshipApplication.update).not.toHaveBeenCalled();
+      expect(prisma.monthlyFeedback.create).not.toHaveBeenCalled();
+      expect(prisma.monthlyFeedback.update).not.toHaveBeenCalled();
+      expect(prisma.completionFeedback.create).not.toHaveBeenCalled();
+    });
+
+    it('acts on placements with the supervisor company', async () => {
+      const { service, prisma } = createService();
+
+      await service.confirmJoining('supervisor-a', 'application-a', { joiningDate: '2026-01-05' } as any);
+      await service.updateMonthlyFeedback('supervisor-a', 'feedback-a', { overallRating: 4 } as any);
+
+      expect(prisma.internshipApplication.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: 'application-a' },
+          data: expect.objectContaining({ joiningConfirmedBy: 'supervisor-a', internshipPhase: InternshipPhase.ACTIVE }),
+        }),
+      );
+      expect(prisma.monthlyFeedback.update).toHaveBeenCalledWith({ where: { id: 'feedback-a' }, data: { overallRating: 4 } });
+    });
+
+    it('refuses supervisors without a company and users who are not supervisors', async () => {
+      const { service, prisma } = createService();
+
+      await expect(service.getStudents('supervisor-unlinked', {})).rejects.toThrow(ForbiddenException);
+      await expect(service.getStudents('teacher-1', {})).rejects.toThrow(NotFoundException);
+      expect(prisma.internshipApplication.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('feedback month', () => {
+    it('stores the first day of the month at UTC midnight', async () => {
+      const { service, prisma } = createService();
+
+      await service.createMonthlyFeedback('supervisor-a', {
+        applicationId: 'application-a',
+        feedbackMonth: '2026-01-31T23:30:00.000Z',
+      } as any);
+
+      expect(prisma.monthlyFeedback.create.mock.calls[0][0].data.feedbackMonth).toEqual(
+        new Date('2026-01-01T00:00:00.000Z'),
+      );
+    });
+  });
+});
@@ -0,0 +1,525 @@
+import { Injectable, NotFoundException, BadRequestException, ForbiddenException } from '@nestjs/common';
+import { PrismaService } from '../../core/database/prisma.service';
+import {
+  Prisma,
+  ApplicationStatus,
+  InternshipPhase,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  Role,
+} from '../../generated/prisma/client';
+import { AuditService } from '../../infrastructure/audit/audit.service';
+import {
+  ConfirmJoiningDto,
+  CreateMonthlyFeedbackDto,
+  UpdateMonthlyFeedbackDto,
+  CompletionFeedbackDto,
+} from './dto';
+
+// Applications that never turned into a placement are hidden from the company
+const EXCLUDED_STATUSES: ApplicationStatus[] = [ApplicationStatus.REJECTED, ApplicationStatus.WITHDRAWN];
+
+const STUDENT_SELECT = {
+  id: true,
+  institutionId: true,
+  user: {
+    select: { name: true, rollNumber: true, email: true, phoneNo: true, branchName: true },
+  },
+  Institution: {
+    select: { id: true, name: true, code: true },
+  },
+} satisfies Prisma.StudentSelect;
+
+/**
+ * IndustryService
+ * Portal for INDUSTRY_SUPERVISOR users: students placed with their company,
+ * joining confirmation, and monthly/completion feedback
+ */
+@Injectable()
+export class IndustryService {
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly auditService: AuditService,
+  ) {}
+
+  /**
+   * Resolve the supervisor and the company they belong to
+   */
+  private async getSupervisor(userId: string) {
+    const supervisor = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, role: true, companyId: true, active: true },
+    });
+
+    if (!supervisor || supervisor.role !== Role.INDUSTRY_SUPERVISOR) {
+      throw new NotFoundException('Supervisor not found');
+    }
+    if (!supervisor.companyId) {
+      throw new ForbiddenException('Your account is not linked to a company');
+    }
+
+    return supervisor as typeof supervisor & { companyId: string };
+  }
+
+  /**
+   * Load an application placed with the supervisor's company
+   * SECURITY: Applications of other companies are reported as not found
+   */
+  private async getPlacedApplication(applicationId: string, companyId: string) {
+    const application = await this.prisma.internshipApplication.findFirst({
+      where: {
+        id: applicationId,
+        companyId,
+        isActive: true,
+        status: { notIn: EXCLUDED_STATUSES },
+      },
+      include: { student: { select: STUDENT_SELECT } },
+    });
+
+    if (!application) {
+      throw new NotFoundException('Student placement not found');
+    }
+
+    return application;
+  }
+
+  /**
+   * Normalize any date within a month to the first day of that month (UTC midnight),
+   * so the stored month does not depend on the server's timezone
+   */
+  private toFeedbackMonth(value: string | Date): Date {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new BadRequestException('Invalid feedback month');
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  private placedWhere(companyId: string): Prisma.InternshipApplicationWhereInput {
+    return {
+      companyId,
+      isActive: true,
+      status: { notIn: EXCLUDED_STATUSES },
+    };
+  }
+
+  // ==================== Dashboard & Profile ====================
+
+  async getDashboard(userId: string) {
+    const supervisor = await this.getSupervisor(userId);
+    const where = this.placedWhere(supervisor.companyId);
+    const now = new Date();
+    const currentMonth = this.toFeedbackMonth(now);
+
+    const [totalStudents, awaitingJoining, activeStudents, completedStudents, monthlyFeedbackDue, completionFeedbackDue] =
+      await Promise.all([
+        this.prisma.internshipApplication.count({ where }),
+        this.prisma.internshipApplication.count({ where: { ...where, joiningConfirmedAt: null } }),
+        this.prisma.internshipApplication.count({ where: { ...where, internshipPhase: InternshipPhase.ACTIVE } }),
+        this.prisma.internshipApplication.count({ where: { ...where, internshipPhase: InternshipPhase.COMPLETED } }),
+        this.prisma.internshipApplication.count({
+          where: {
+            ...where,
+            internshipPhase: InternshipPhase.ACTIVE,
+            monthlyFeedback: { none: { feedbackMonth: currentMonth } },
+          },
+        }),
+        this.prisma.internshipApplication.count({
+          where: {
+            ...where,
+            endDate: { lte: now },
+            completionFeedback: { is: null },
+          },
+        }),
+      ]);
+
+    return {
+      totalStudents,
+      awaitingJoining,
+      activeStudents,
+      completedStudents,
+      pendingFeedback: {
+        monthly: monthlyFeedbackDue,
+        completion: completionFeedbackDue,
+      },
+    };
+  }
+
+  async getProfile(userId: string) {
+    const supervisor = await this.getSupervisor(userId);
+
+    const profile = await this.prisma.user.findUnique({
+      where: { id: supervisor.id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        phoneNo: true,
+        designation: true,
+        role: true,
+        company: {
+          select: {
+            id: true,
+            name: true,
+            industryType: true,
+            address: true,
+            city: true,
+            state: true,
+            contactEmail: true,
+            contactPhone: true,
+            website: true,
+          },
+        },
+      },
+    });
+
+    return profile;
+  }
+
+  // ==================== Placed Students ====================
+
+  async getStudents(
+    userId: string,
+    params: { page?: number; limit?: number; search?: string; phase?: InternshipPhase },
+  ) {
+    const supervisor = await this.getSupervisor(userId);
+    const page = Number(params.page) || 1;
+    const limit = Number(params.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where: Prisma.InternshipApplicationWhereInput = this.placedWhere(supervisor.companyId);
+    if (params.phase) {
+      where.internshipPhase = params.phase;
+    }
+    if (params.search) {
+      where.student = {
+        user: {
+          OR: [
+            { name: { contains: params.search, mode: 'insensitive' } },
+            { rollNumber: { contains: params.search, mode: 'insensitive' } },
+          ],
+        },
+      };
+    }
+
+    const [applications, total] = await Promise.all([
+      this.prisma.internshipApplication.findMany({
+        where,
+        skip,
+        take: limit,
+        select: {
+          id: true,
+          status: true,
+          internshipPhase: true,
+          jobProfile: true,
+          startDate: true,
+          endDate: true,
+          joiningDate: true,
+          joiningConfirmedAt: true,
+          student: { select: STUDENT_SELECT },
+          mentor: { select: { id: true, name: true, email: true } },
+          completionFeedback: { select: { id: true } },
+          _count: { select: { monthlyFeedback: true } },
+        },
+        orderBy: { startDate: 'desc' },
+      }),
+      this.prisma.internshipApplication.count({ where }),
+    ]);
+
+    return {
+      data: applications.map(({ completionFeedback, _count, ...application }) => ({
+        ...application,
+        monthlyFeedbackCount: _count.monthlyFeedback,
+        hasCompletionFeedback: !!completionFeedback,
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  async getStudentDetail(userId: string, applicationId: string) {
+    const supervisor = await this.getSupervisor(userId);
+    await this.getPlacedApplication(applicationId, supervisor.companyId);
+
+    return this.prisma.internshipApplication.findUnique({
+      where: { id: applicationId },
+      select: {
+        id: true,
+        status: true,
+        internshipPhase: true,
+        jobProfile: true,
+        internshipDuration: true,
+        stipend: true,
+        startDate: true,
+        endDate: true,
+        joiningDate: true,
+        joiningConfirmedAt: true,
+        completionDate: true,
+        student: { select: STUDENT_SELECT },
+        mentor: { select: { id: true, name: true, email: true, phoneNo: true } },
+        monthlyFeedback: { orderBy: { feedbackMonth: 'desc' } },
+        completionFeedback: true,
+      },
+    });
+  }
+
+  /**
+   * Confirm that the student has reported for work at the company
+   */
+  async confirmJoining(userId: string, applicationId: string, dto: ConfirmJoiningDto) {
+    const supervisor = await this.getSupervisor(userId);
+    const application = await this.getPlacedApplication(applicationId, supervisor.companyId);
+
+    if (application.joiningConfirmedAt) {
+      throw new BadRequestException('Joining has already been confirmed for this student');
+    }
+
+    const now = new Date();
+    const joiningDate = dto.joiningDate ? new Date(dto.joiningDate) : application.joiningDate ?? now;
+    if (joiningDate > now) {
+      throw new BadRequestException('Joining date cannot be in the future');
+    }
+
+    const updated = await this.prisma.internshipApplication.update({
+      where: { id: applicationId },
+      data: {
+        joiningDate,
+        joiningConfirmedAt: now,
+        joiningConfirmedBy: supervisor.id,
+        internshipPhase:
+          application.internshipPhase === InternshipPhase.NOT_STARTED
+            ? InternshipPhase.ACTIVE
+            : undefined,
+      },
+      select: { id: true, joiningDate: true, joiningConfirmedAt: true, internshipPhase: true },
+    });
+
+    this.auditService.log({
+      action: AuditAction.APPLICATION_UPDATE,
+      entityType: 'InternshipApplication',
+      entityId: applicationId,
+      userId: supervisor.id,
+      userName: supervisor.name,
+      userRole: Role.INDUSTRY_SUPERVISOR,
+      description: `Joining confirmed by industry supervisor for ${application.student.user?.name}`,
+      category: AuditCategory.APPLICATION_PROCESS,
+      severity: AuditSeverity.MEDIUM,
+      institutionId: application.student.institutionId || undefined,
+      oldValues: { joiningDate: application.joiningDate, internshipPhase: application.internshipPhase },
+      newValues: { joiningDate: updated.joiningDate, internshipPhase: updated.internshipPhase },
+    }).catch(() => {});
+
+    return updated;
+  }
+
+  // ==================== Monthly Feedback ====================
+
+  async getMonthlyFeedback(userId: string, params: { applicationId?: string }) {
+    const supervisor = await this.getSupervisor(userId);
+
+    return this.prisma.monthlyFeedback.findMany({
+      where: {
+        applicationId: params.applicationId,
+        application: { companyId: supervisor.companyId },
+      },
+      include: {
+        application: {
+          select: { id: true, jobProfile: true, student: { select: STUDENT_SELECT } },
+        },
+      },
+      orderBy: [{ feedbackMonth: 'desc' }, { createdAt: 'desc' }],
+    });
+  }
+
+  async createMonthlyFeedback(userId: string, dto: CreateMonthlyFeedbackDto) {
+    const supervisor = await this.getSupervisor(userId);
+    const application = await this.getPlacedApplication(dto.applicationId, supervisor.companyId);
+
+    const feedbackMonth = this.toFeedbackMonth(dto.feedbackMonth);
+    const now = new Date();
+    if (feedbackMonth > now) {
+      throw new BadRequestException('Feedback cannot be submitted for a future month');
+    }
+
+    const existing = await this.prisma.monthlyFeedback.findUnique({
+      where: { applicationId_feedbackMonth: { applicationId: application.id, feedbackMonth } },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new BadRequestException('Feedback for this month has already been submitted. Edit the existing feedback instead.');
+    }
+
+    const { applicationId, feedbackMonth: _, ...fields } = dto;
+    const feedback = await this.prisma.monthlyFeedback.create({
+      data: {
+        ...fields,
+        applicationId,
+        feedbackMonth,
+        submittedById: supervisor.id,
+      },
+    });
+
+    this.auditService.log({
+      action: AuditAction.MONTHLY_FEEDBACK_SUBMIT,
+      entityType: 'MonthlyFeedback',
+      entityId: feedback.id,
+      userId: supervisor.id,
+      userName: supervisor.name,
+      userRole: Role.INDUSTRY_SUPERVISOR,
+      description: `Monthly feedback submitted for ${application.student.user?.name}`,
+      category: AuditCategory.FEEDBACK_SYSTEM,
+      severity: AuditSeverity.MEDIUM,
+      institutionId: application.student.institutionId || undefined,
+      newValues: {
+        applicationId,
+        feedbackMonth,
+        overallRating: feedback.overallRating,
+      },
+    }).catch(() => {});
+
+    return feedback;
+  }
+
+  async updateMonthlyFeedback(userId: string, id: string, dto: UpdateMonthlyFeedbackDto) {
+    const supervisor = await this.getSupervisor(userId);
+
+    const existing = await this.prisma.monthlyFeedback.findFirst({
+      where: { id, application: { companyId: supervisor.companyId } },
+      include: { application: { select: { student: { select: STUDENT_SELECT } } } },
+    });
+    if (!existing) {
+      throw new NotFoundException('Monthly feedback not found');
+    }
+
+    const feedback = await this.prisma.monthlyFeedback.update({
+      where: { id },
+      data: dto,
+    });
+
+    const changedFields = Object.keys(dto).filter((key) => dto[key] !== existing[key]);
+
+    this.auditService.log({
+      action: AuditAction.MONTHLY_FEEDBACK_UPDATE,
+      entityType: 'MonthlyFeedback',
+      entityId: id,
+      userId: supervisor.id,
+      userName: supervisor.name,
+      userRole: Role.INDUSTRY_SUPERVISOR,
+      description: `Monthly feedback updated for ${existing.application.student.user?.name}`,
+      category: AuditCategory.FEEDBACK_SYSTEM,
+      severity: AuditSeverity.LOW,
+      institutionId: existing.application.student.institutionId || undefined,
+      changedFields,
+    }).catch(() => {});
+
+    return feedback;
+  }
+
+  // ==================== Completion Feedback ====================
+
+  async getCompletionFeedback(userId: string) {
+    const supervisor = await this.getSupervisor(userId);
+
+    return this.prisma.completionFeedback.findMany({
+      where: { application: { companyId: supervisor.companyId } },
+      include: {
+        application: {
+          select: { id: true, jobProfile: true, student: { select: STUDENT_SELECT } },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async submitCompletionFeedback(userId: string, applicationId: string, dto: CompletionFeedbackDto) {
+    const supervisor = await this.getSupervisor(userId);
+    const application = await this.getPlacedApplication(applicationId, supervisor.companyId);
+
+    const existing = await this.prisma.completionFeedback.findUnique({
+      where: { applicationId },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new BadRequestException('Completion feedback has already been submitted for this student');
+    }
+
+    const feedback = await this.prisma.completionFeedback.create({
+      data: {
+        ...dto,
+        applicationId,
+        submittedById: supervisor.id,
+      },
+    });
+
+    if (feedback.isCompleted && !application.completionDate) {
+      await this.prisma.internshipApplication.update({
+        where: { id: applicationId },
+        data: { completionDate: new Date() },
+      });
+    }
+
+    this.auditService.log({
+      action: AuditAction.COMPLETION_FEEDBACK_SUBMIT,
+      entityType: 'CompletionFeedback',
+      entityId: feedback.id,
+      userId: supervisor.id,
+      userName: supervisor.name,
+      userRole: Role.INDUSTRY_SUPERVISOR,
+      description: `Completion feedback submitted for ${application.student.user?.name}`,
+      category: AuditCategory.FEEDBACK_SYSTEM,
+      severity: AuditSeverity.MEDIUM,
+      institutionId: application.student.institutionId || undefined,
+      newValues: {
+        applicationId,
+        industryRating: feedback.industryRating,
+        recommendForHire: feedback.recommendForHire,
+        isCompleted: feedback.isCompleted,
+      },
+    }).catch(() => {});
+
+    return feedback;
+  }
+
+  async updateCompletionFeedback(userId: string, applicationId: string, dto: CompletionFeedbackDto) {
+    const supervisor = await this.getSupervisor(userId);
+    const application = await this.getPlacedApplication(applicationId, supervisor.companyId);
+
+    const existing = await this.prisma.completionFeedback.findUnique({ where: { applicationId } });
+    if (!existing) {
+      throw new NotFoundException('Completion feedback not found');
+    }
+
+    const feedback = await this.prisma.completionFeedback.update({
+      where: { applicationId },
+      data: dto,
+    });
+
+    if (feedback.isCompleted && !application.completionDate) {
+      await this.prisma.internshipApplication.update({
+        where: { id: applicationId },
+        data: { completionDate: new Date() },
+      });
+    }
+
+    const changedFields = Object.keys(dto).filter((key) => dto[key] !== existing[key]);
+
+    this.auditService.log({
+      action: AuditAction.COMPLETION_FEEDBACK_SUBMIT,
+      entityType: 'CompletionFeedback',
+      entityId: feedback.id,
+      userId: supervisor.id,
+      userName: supervisor.name,
+      userRole: Role.INDUSTRY_SUPERVISOR,
+      description: `Completion feedback updated for ${application.student.user?.name}`,
+      category: AuditCategory.FEEDBACK_SYSTEM,
+      severity: AuditSeverity.LOW,
+      institutionId: application.student.institutionId || undefined,
+      changedFields,
+    }).catch(() => {});
+
+    return feedback;
+  }
+}
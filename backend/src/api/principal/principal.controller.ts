@@ -12,7 +12,9 @@ import {
   Request,
   UploadedFile,
   UseInterceptors,
+  Res,
 } from '@nestjs/common';
+import { Response } from 'express';
 import { Throttle } from '@nestjs/throttler';
 import { THROTTLE_PRESETS } from '../../core/config/throttle.config';
 import { FileInterceptor } from '@nestjs/platform-express';
@@ -424,6 +426,19 @@ export class PrincipalController {
     return this.principalService.deleteInternship(req.user.userId, applicationId);
   }
 
+  // ==================== Certificates ====================
+
+  @Get('applications/:applicationId/certificate')
+  @ApiOperation({ summary: 'Download internship completion certificate' })
+  async downloadCertificate(@Request() req, @Param('applicationId') applicationId: string, @Res() res: Response) {
+    const { certificate, buffer } = await this.principalService.downloadCertificate(req.user.userId, applicationId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateNumber}.pdf"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.end(buffer);
+  }
+
   // ==================== Student Documents ====================
 
   @Get('students/:id/documents')
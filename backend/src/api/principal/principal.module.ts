@@ -8,9 +8,12 @@ import { AcademicModule } from '../../domain/academic/academic.module';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
 import { FileStorageModule } from '../../infrastructure/file-storage/file-storage.module';
 import { InternshipModule } from '../../domain/internship/internship.module';
+import { CertificateModule } from '../../domain/certificate/certificate.module';
+import { VerificationModule } from '../../domain/verification/verification.module';
+import { SupportModule } from '../../domain/support/support.module';
 
 @Module({
-  imports: [PrismaModule, UserModule, MentorModule, AcademicModule, AuditModule, FileStorageModule, InternshipModule],
+  imports: [PrismaModule, UserModule, MentorModule, AcademicModule, AuditModule, FileStorageModule, InternshipModule, CertificateModule, VerificationModule, SupportModule],
   controllers: [PrincipalController],
   providers: [PrincipalService],
   exports: [PrincipalService],
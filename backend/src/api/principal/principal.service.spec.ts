@@ -0,0 +1,133 @@
+import { AuditAction, Role } from '../../generated/prisma/client';
+import { GrievanceService } from '../../domain/support/grievance/grievance.service';
+import { PrincipalService } from './principal.service';
+
+const PRINCIPAL = { id: 'principal-1', role: Role.PRINCIPAL, institutionId: 'inst-1' };
+
+const grievance = (id: string, isConfidential: boolean) => ({
+  id,
+  title: 'Stipend not paid',
+  status: 'PENDING',
+  submittedDate: new Date('2026-01-05T00:00:00.000Z'),
+  isConfidential,
+  studentId: `student-${id}`,
+  attachments: [],
+  student: {
+    id: `student-${id}`,
+    userId: `student-user-${id}`,
+    institutionId: 'inst-1',
+    user: { name: 'Asha', rollNumber: 'R1' },
+  },
+});
+
+function createService(committeeMembers: string[] = []) {
+  const grievances = [grievance('open', false), grievance('confidential', true)];
+  const prisma: any = {
+    user: { findUnique: jest.fn(async () => PRINCIPAL), findMany: jest.fn(async () => []) },
+    internshipApplication: { findMany: jest.fn(async () => []) },
+    mentorAssignment: { findMany: jest.fn(async () => []) },
+    facultyVisitLog: { groupBy: jest.fn(async () => []) },
+    monthlyReport: { findMany: jest.fn(async () => []) },
+    grievance: {
+      findMany: jest.fn(async () => grievances),
+      count: jest.fn(async () => grievances.length),
+    },
+    student: {
+      findMany: jest.fn(async () => []),
+      count: jest.fn(async () => 0),
+    },
+  };
+  const auditService: any = { log: jest.fn(async () => null) };
+  const committeeService: any = {
+    getCommitteeInstitutionIds: jest.fn(async (userId: string) => (committeeMembers.includes(userId) ? ['inst-1'] : [])),
+  };
+  const grievanceService = new GrievanceService(
+    prisma,
+    { del: jest.fn() } as any,
+    {} as any,
+    auditService,
+    {} as any,
+    committeeService,
+  );
+
+  const service = new PrincipalService(
+    prisma,
+    {} as any,
+    {} as any,
+    auditService,
+    {} as any,
+    {} as any,
+    {} as any,
+    {} as any,
+    grievanceService,
+  );
+  return { service, prisma, auditService };
+}
+
+describe('PrincipalService', () => {
+  describe('dashboard grievance lists', () => {
+    const confidentialViews = (auditService: any) =>
+      auditService.log.mock.calls.filter(([entry]: any) => entry.action === AuditAction.GRIEVANCE_VIEW);
+
+    it('hides the student behind a confidential pending grievance and audits the view', async () => {
+      const { service, auditService } = createService();
+
+      const { pendingGrievances } = await service.getDashboardAlerts(PRINCIPAL.id);
+
+      expect(pendingGrievances[0]).toMatchObject({ id: 'open', studentId: 'student-open', student: { user: { name: 'Asha' } } });
+      expect(pendingGrievances[1]).toMatchObject({
+        id: 'confidential',
+        studentId: null,
+        identityHidden: true,
+        student: { user: { name: 'Confidential', rollNumber: null } },
+      });
+      expect(confidentialViews(auditService)).toEqual([
+        [expect.objectContaining({ entityId: 'confidential', userId: PRINCIPAL.id, newValues: { identityHidden: true } })],
+      ]);
+    });
+
+    it('hides the student behind a confidential urgent grievance and audits the view', async () => {
+      const { service, auditService } = createService();
+
+      const { alerts } = await service.getDashboardAlertsEnhanced(PRINCIPAL.id);
+
+      expect(alerts.urgentGrievances).toEqual([
+        expect.objectContaining({ grievanceId: 'open', studentId: 'student-open', studentName: 'Asha', rollNumber: 'R1' }),
+        expect.objectContaining({ grievanceId: 'confidential', studentId: null, studentName: 'Confidential', rollNumber: null }),
+      ]);
+      expect(confidentialViews(auditService)).toHaveLength(1);
+    });
+
+    it('shows the full grievance to a principal on the committee and still audits the view', async () => {
+      const { service, auditService } = createService([PRINCIPAL.id]);
+
+      const { pendingGrievances } = await service.getDashboardAlerts(PRINCIPAL.id);
+
+      expect(pendingGrievances[1]).toMatchObject({ studentId: 'student-confidential', student: { user: { name: 'Asha' } } });
+      expect(confidentialViews(auditService)).toEqual([
+        [expect.objectContaining({ entityId: 'confidential', newValues: { identityHidden: false } })],
+      ]);
+    });
+  });
+
+  describe('faculty progress search', () => {
+    const searchFilter = async (search: string) => {
+      const { service, prisma } = createService();
+      await service.getFacultyProgressList(PRINCIPAL.id, { search });
+      return prisma.user.findMany.mock.calls[0][0].where.OR;
+    };
+
+    it('looks phone numbers up by the full normalised number', async () => {
+      await expect(searchFilter('+91 98765-43210')).resolves.toContainEqual({ phoneNo: '9876543210' });
+    });
+
+    it('searches part of a phone number by name and email only', async () => {
+      const filter = await searchFilter('98765');
+
+      expect(filter).toEqual([
+        { name: { contains: '98765', mode: 'insensitive' } },
+        { email: { contains: '98765', mode: 'insensitive' } },
+      ]);
+    });
+  });
+});
@@ -10,6 +10,9 @@ import { UserService } from '../../domain/user/user.service';
 import { AuditService } from '../../infrastructure/audit/audit.service';
 import { FileStorageService } from '../../infrastructure/file-storage/file-storage.service';
 import { ExpectedCycleService } from '../../domain/internship/expected-cycle/expected-cycle.service';
+import { CertificateService } from '../../domain/certificate/certificate.service';
+import { VerificationService } from '../../domain/verification/verification.service';
+import { GrievanceService } from '../../domain/support/grievance/grievance.service';
 import {
   calculateExpectedMonths,
   getTotalExpectedCount,
@@ -21,6 +24,7 @@ import {
 import * as bcrypt from 'bcrypt';
 import { ExcelUtils } from '../../core/common/utils/excel.util';
 import { BCRYPT_SALT_ROUNDS } from '../../core/auth/services/auth.service';
+import { toPhoneLookup } from '../../core/database/pii-encryption.util';
 
 // Static month names array - toLocaleString is unreliable in Node.js
 const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -36,6 +40,9 @@ export class PrincipalService {
     private readonly auditService: AuditService,
     private readonly fileStorageService: FileStorageService,
     private readonly expectedCycleService: ExpectedCycleService,
+    private readonly certificateService: CertificateService,
+    private readonly verificationService: VerificationService,
+    private readonly grievanceService: GrievanceService,
   ) {}
 
   /**
@@ -87,6 +94,8 @@ export class PrincipalService {
           activeApplicationsForCurrentMonth,
           pendingGrievances,
           totalGrievances,
+          slaBreachedOpenGrievances,
+          slaBreachedTotalGrievances,
           applicationCounters,
           studentsByBranch,
           joiningLetterApplications,
@@ -171,6 +180,21 @@ export class PrincipalService {
               student: { institutionId },
             }
           }),
+          // Open grievances that have missed an SLA at some level
+          this.prisma.grievance.count({
+            where: {
+              student: { institutionId },
+              slaBreachCount: { gt: 0 },
+              status: { notIn: [GrievanceStatus.RESOLVED, GrievanceStatus.CLOSED, GrievanceStatus.REJECTED] },
+            }
+          }),
+          // All grievances that have ever missed an SLA
+          this.prisma.grievance.count({
+            where: {
+              student: { institutionId },
+              slaBreachCount: { gt: 0 },
+            }
+          }),
           // Aggregate counter fields from active internship applications (for cumulative totals)
           // Exclude rejected/withdrawn only
           this.prisma.internshipApplication.aggregate({
@@ -355,6 +379,10 @@ export class PrincipalService {
           grievances: {
             total: totalGrievances,
             pending: pendingGrievances,
+            slaBreached: {
+              open: slaBreachedOpenGrievances,
+              total: slaBreachedTotalGrievances,
+            },
           },
           // Monthly reports overview - CURRENT MONTH specific data
           // Cards show "Monthly Reports - Jan 2026" so we show current month data
@@ -444,6 +472,8 @@ export class PrincipalService {
           student: {
             select: {
               id: true,
+              userId: true,
+              institutionId: true,
               user: { select: { name: true, rollNumber: true } },
             },
           },
@@ -454,7 +484,11 @@ export class PrincipalService {
     return {
       pendingSelfIdentified,
       upcomingDeadlines: [], // Internship model removed - no deadlines to track
-      pendingGrievances,
+      // Confidential grievances never name the student outside the committee
+      pendingGrievances: await this.grievanceService.presentGrievances(pendingGrievances, {
+        userId: principalId,
+        role: principal.role,
+      }),
     };
   }
 
@@ -1272,6 +1306,7 @@ export class PrincipalService {
       email: student.user?.email,
       phoneNo: student.user?.phoneNo,
       rollNumber: student.user?.rollNumber,
+      parentContact: student.parentContact,
     };
   }
 
@@ -3841,10 +3876,12 @@ export class PrincipalService {
     };
 
     if (search) {
+      // Phone numbers are encrypted, so they only match when the full number is given
+      const phoneNo = toPhoneLookup(search);
       where.OR = [
         { name: { contains: search, mode: 'insensitive' } },
         { email: { contains: search, mode: 'insensitive' } },
-        { phoneNo: { contains: search, mode: 'insensitive' } },
+        ...(phoneNo ? [{ phoneNo }] : []),
       ];
     }
 
@@ -4843,7 +4880,7 @@ export class PrincipalService {
         where: urgentGrievancesWhere,
         include: {
           student: {
-            select: { id: true, user: { select: { name: true, rollNumber: true } } },
+            select: { id: true, userId: true, institutionId: true, user: { select: { name: true, rollNumber: true } } },
           },
         },
         orderBy: { submittedDate: 'asc' },
@@ -4947,6 +4984,12 @@ export class PrincipalService {
       return app && (!app.joiningLetterUrl || app.joiningLetterUrl === '');
     }).length;
 
+    // Confidential grievances never name the student outside the committee
+    const presentedUrgentGrievances = await this.grievanceService.presentGrievances(urgentGrievances, {
+      userId: principalId,
+      role: principal.role,
+    });
+
     return {
       summary: {
         urgentGrievancesCount,
@@ -4957,14 +5000,15 @@ export class PrincipalService {
         totalAlerts: urgentGrievancesCount + overdueReportsCount + missingVisitsCount + unassignedStudentsCount + pendingJoiningLettersCount,
       },
       alerts: {
-        urgentGrievances: urgentGrievances.map(g => ({
+        urgentGrievances: presentedUrgentGrievances.map(g => ({
           grievanceId: g.id,
           title: g.title,
           status: g.status,
           submittedDate: g.submittedDate,
-          studentId: g.student.id,
-          studentName: g.student.user?.name,
-          rollNumber: g.student.user?.rollNumber,
+          studentId: g.studentId,
+          studentName: g.student?.user?.name,
+          rollNumber: g.student?.user?.rollNumber,
+          isConfidential: g.isConfidential,
           daysPending: Math.floor((now.getTime() - new Date(g.submittedDate).getTime()) / (1000 * 60 * 60 * 24)),
           priority: 'urgent',
         })),
@@ -5377,6 +5421,8 @@ export class PrincipalService {
         joiningDate: data.joiningDate || new Date(),
         reviewedAt: new Date(),
         reviewRemarks: data.remarks || 'Verified by Principal',
+        joiningLetterVerificationCode:
+          application.joiningLetterVerificationCode ?? this.verificationService.generateJoiningLetterCode(),
       },
       include: {
         student: {
@@ -5396,6 +5442,7 @@ export class PrincipalService {
         studentName: updated.student.user?.name,
         rollNumber: updated.student.user?.rollNumber,
         verifiedAt: updated.reviewedAt,
+        verificationCode: updated.joiningLetterVerificationCode,
       },
     };
   }
@@ -5446,6 +5493,7 @@ export class PrincipalService {
         // Clear the joining letter so student can re-upload
         joiningLetterUrl: null,
         joiningLetterUploadedAt: null,
+        joiningLetterVerificationCode: null,
       },
       include: {
         student: {
@@ -5623,6 +5671,38 @@ export class PrincipalService {
     };
   }
 
+  // ==================== Certificates ====================
+
+  /**
+   * Completion certificate PDF for a completed internship in the principal's institution
+   */
+  async downloadCertificate(principalId: string, applicationId: string) {
+    const principal = await this.prisma.user.findUnique({
+      where: { id: principalId },
+    });
+
+    if (!principal || !principal.institutionId) {
+      throw new NotFoundException('Principal or institution not found');
+    }
+
+    const application = await this.prisma.internshipApplication.findFirst({
+      where: {
+        id: applicationId,
+        student: { institutionId: principal.institutionId },
+      },
+      select: { id: true },
+    });
+
+    if (!application) {
+      throw new NotFoundException('Application not found in your institution');
+    }
+
+    return this.certificateService.renderCertificatePdf(applicationId, {
+      userId: principalId,
+      role: Role.PRINCIPAL,
+    });
+  }
+
   // ==================== Student Document Management ====================
 
   /**
@@ -1,4 +1,4 @@
-import { IsString, IsOptional, IsArray, IsEnum, IsBoolean, MinLength, MaxLength, IsObject } from 'class-validator';
+import { IsString, IsOptional, IsArray, IsEnum, IsBoolean, MinLength, MaxLength, IsObject, IsDateString } from 'class-validator';
 import { Role } from '../../../generated/prisma/client';
 
 /**
@@ -59,6 +59,10 @@ export class SendNotificationDto {
   @IsOptional()
   @IsObject()
   data?: Record<string, any>; // Additional data payload
+
+  @IsOptional()
+  @IsDateString()
+  scheduledAt?: string; // Deliver later instead of now (ISO date-time)
 }
 
 /**
@@ -87,6 +91,10 @@ export class SendStudentReminderDto {
   @IsOptional()
   @IsObject()
   data?: Record<string, any>;
+
+  @IsOptional()
+  @IsDateString()
+  scheduledAt?: string; // Deliver later instead of now (ISO date-time)
 }
 
 /**
@@ -115,6 +123,10 @@ export class SendInstitutionAnnouncementDto {
   @IsOptional()
   @IsObject()
   data?: Record<string, any>;
+
+  @IsOptional()
+  @IsDateString()
+  scheduledAt?: string; // Deliver later instead of now (ISO date-time)
 }
 
 /**
@@ -147,4 +159,16 @@ export class SendSystemAnnouncementDto {
   @IsOptional()
   @IsObject()
   data?: Record<string, any>;
+
+  @IsOptional()
+  @IsDateString()
+  scheduledAt?: string; // Deliver later instead of now (ISO date-time)
+}
+
+/**
+ * DTO for moving a scheduled notification to a new time
+ */
+export class RescheduleNotificationDto {
+  @IsDateString()
+  scheduledAt: string;
 }
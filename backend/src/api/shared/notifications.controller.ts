@@ -16,12 +16,13 @@ import { NotificationsService } from './notifications.service';
 import { JwtAuthGuard } from '../../core/auth/guards/jwt-auth.guard';
 import { RolesGuard } from '../../core/auth/guards/roles.guard';
 import { Roles } from '../../core/auth/decorators/roles.decorator';
-import { Role } from '../../generated/prisma/client';
+import { Role, ScheduledNotificationStatus } from '../../generated/prisma/client';
 import {
   SendNotificationDto,
   SendStudentReminderDto,
   SendInstitutionAnnouncementDto,
   SendSystemAnnouncementDto,
+  RescheduleNotificationDto,
 } from './dto';
 
 @Controller('shared/notifications')
@@ -55,6 +56,33 @@ export class NotificationsController {
     return this.notificationsService.getNotificationSettings(req.user.userId);
   }
 
+  /**
+   * Notifications scheduled for later delivery (own, or all for State/Admin)
+   */
+  @Throttle({ default: THROTTLE_PRESETS.list })
+  @Get('scheduled')
+  @UseGuards(RolesGuard)
+  @Roles(Role.PRINCIPAL, Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN, Role.TEACHER)
+  async getScheduledNotifications(
+    @Request() req,
+    @Query('status') status?: ScheduledNotificationStatus,
+    @Query('page') page?: string,
+    @Query('limit') limit?: string,
+  ) {
+    return this.notificationsService.getScheduledNotifications(
+      {
+        userId: req.user.userId,
+        role: req.user.role,
+        institutionId: req.user.institutionId,
+      },
+      {
+        status,
+        page: page ? parseInt(page, 10) : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined,
+      },
+    );
+  }
+
   // Parameterized GET route MUST come AFTER specific GET routes
   @Get(':id')
   async getNotificationById(@Param('id') id: string, @Request() req) {
@@ -81,6 +109,39 @@ export class NotificationsController {
     );
   }
 
+  @Put('scheduled/:id/cancel')
+  @UseGuards(RolesGuard)
+  @Roles(Role.PRINCIPAL, Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN, Role.TEACHER)
+  async cancelScheduledNotification(@Param('id') id: string, @Request() req) {
+    return this.notificationsService.cancelScheduledNotification(
+      {
+        userId: req.user.userId,
+        role: req.user.role,
+        institutionId: req.user.institutionId,
+      },
+      id,
+    );
+  }
+
+  @Put('scheduled/:id/reschedule')
+  @UseGuards(RolesGuard)
+  @Roles(Role.PRINCIPAL, Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN, Role.TEACHER)
+  async rescheduleNotification(
+    @Param('id') id: string,
+    @Request() req,
+    @Body() dto: RescheduleNotificationDto,
+  ) {
+    return this.notificationsService.rescheduleNotification(
+      {
+        userId: req.user.userId,
+        role: req.user.role,
+        institutionId: req.user.institutionId,
+      },
+      id,
+      dto.scheduledAt,
+    );
+  }
+
   // Parameterized PUT route MUST come AFTER specific PUT routes
   @Put(':id/read')
   async markAsRead(@Param('id') id: string, @Request() req) {
@@ -1,7 +1,21 @@
 import { Injectable, NotFoundException, ForbiddenException, BadRequestException, Logger } from '@nestjs/common';
-import { Role, AuditAction, AuditCategory, AuditSeverity } from '../../generated/prisma/client';
+import {
+  Role,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  Prisma,
+  ScheduledNotificationStatus,
+} from '../../generated/prisma/client';
 import { PrismaService } from '../../core/database/prisma.service';
-import { NotificationSenderService } from '../../infrastructure/notification/notification-sender.service';
+import {
+  NotificationSenderService,
+  NotificationType,
+} from '../../infrastructure/notification/notification-sender.service';
+import {
+  NotificationSchedulerService,
+  ScheduledNotificationKind,
+} from '../../infrastructure/notification/notification-scheduler.service';
 import { AuditService } from '../../infrastructure/audit/audit.service';
 import {
   SendNotificationDto,
@@ -33,6 +47,12 @@ interface UserContext {
   institutionId?: string;
 }
 
+// Scheduling further ahead than this is almost always a typo in the year
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+
+// Roles that can see and manage every scheduled notification, not just their own
+const SCHEDULE_ADMIN_ROLES: Role[] = [Role.SYSTEM_ADMIN, Role.STATE_DIRECTORATE];
+
 @Injectable()
 export class NotificationsService {
   private readonly logger = new Logger(NotificationsService.name);
@@ -40,6 +60,7 @@ export class NotificationsService {
   constructor(
     private readonly prisma: PrismaService,
     private readonly notificationSender: NotificationSenderService,
+    private readonly notificationScheduler: NotificationSchedulerService,
     private readonly auditService: AuditService,
   ) {}
 
@@ -451,6 +472,12 @@ export class NotificationsService {
   async sendNotification(user: UserContext, dto: SendNotificationDto) {
     const { target, title, body, sendEmail, data } = dto;
 
+    if (dto.scheduledAt) {
+      this.assertCanSendToTarget(user, dto);
+      const { scheduledAt, ...payload } = dto;
+      return this.scheduleSend(user, 'send', 'ANNOUNCEMENT', scheduledAt, payload);
+    }
+
     try {
       let result: { sentCount: number; skippedCount: number } | any;
 
@@ -634,6 +661,11 @@ export class NotificationsService {
       throw new ForbiddenException('Only faculty can send student reminders');
     }
 
+    if (dto.scheduledAt) {
+      const { scheduledAt, ...payload } = dto;
+      return this.scheduleSend(user, 'student-reminder', 'ANNOUNCEMENT', scheduledAt, payload);
+    }
+
     try {
       // Get assigned students
       let studentIds = dto.studentIds;
@@ -757,6 +789,11 @@ export class NotificationsService {
       throw new BadRequestException('Principal must be associated with an institution');
     }
 
+    if (dto.scheduledAt) {
+      const { scheduledAt, ...payload } = dto;
+      return this.scheduleSend(user, 'institution-announcement', 'ANNOUNCEMENT', scheduledAt, payload);
+    }
+
     try {
       // Use async queue for institution announcements (non-blocking)
       const asyncResult = await this.notificationSender.sendToInstitutionAsync(
@@ -812,6 +849,11 @@ export class NotificationsService {
       throw new ForbiddenException('Only State/Admin can send system announcements');
     }
 
+    if (dto.scheduledAt) {
+      const { scheduledAt, ...payload } = dto;
+      return this.scheduleSend(user, 'system-announcement', 'SYSTEM_ALERT', scheduledAt, payload);
+    }
+
     try {
       const jobIds: string[] = [];
       let totalUsers = 0;
@@ -896,6 +938,197 @@ export class NotificationsService {
     }
   }
 
+  // ============ SCHEDULED NOTIFICATIONS ============
+
+  /**
+   * List scheduled notifications. State/Admin see everyone's; other senders see their own.
+   */
+  async getScheduledNotifications(
+    user: UserContext,
+    filters?: PaginationParams & { status?: ScheduledNotificationStatus },
+  ) {
+    const page = filters?.page || 1;
+    const limit = Math.min(filters?.limit || 20, 100);
+
+    const where: Prisma.ScheduledNotificationWhereInput = {
+      ...(SCHEDULE_ADMIN_ROLES.includes(user.role) ? {} : { createdById: user.userId }),
+      ...(filters?.status ? { status: filters.status } : {}),
+    };
+
+    const [items, total] = await Promise.all([
+      this.prisma.scheduledNotification.findMany({
+        where,
+        orderBy: { scheduledAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      this.prisma.scheduledNotification.count({ where }),
+    ]);
+
+    return {
+      data: items,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Cancel a pending scheduled notification
+   */
+  async cancelScheduledNotification(user: UserContext, id: string) {
+    const scheduled = await this.findManageableSchedule(user, id);
+    const cancelled = await this.notificationScheduler.cancelScheduledNotification(id, user.userId);
+
+    await this.auditService.log({
+      userId: user.userId,
+      userRole: user.role,
+      action: AuditAction.BULK_OPERATION,
+      entityType: 'ScheduledNotification',
+      entityId: id,
+      description: `Scheduled notification cancelled: "${scheduled.title}"`,
+      oldValues: { status: scheduled.status, scheduledAt: scheduled.scheduledAt },
+      newValues: { status: cancelled.status },
+    });
+
+    return {
+      success: true,
+      message: 'Scheduled notification cancelled',
+      data: cancelled,
+    };
+  }
+
+  /**
+   * Move a pending scheduled notification to a new time
+   */
+  async rescheduleNotification(user: UserContext, id: string, scheduledAt: string) {
+    const scheduled = await this.findManageableSchedule(user, id);
+    const updated = await this.notificationScheduler.rescheduleNotification(
+      id,
+      this.parseScheduledAt(scheduledAt),
+    );
+
+    await this.auditService.log({
+      userId: user.userId,
+      userRole: user.role,
+      action: AuditAction.BULK_OPERATION,
+      entityType: 'ScheduledNotification',
+      entityId: id,
+      description: `Scheduled notification rescheduled: "${scheduled.title}"`,
+      oldValues: { scheduledAt: scheduled.scheduledAt },
+      newValues: { scheduledAt: updated.scheduledAt },
+    });
+
+    return {
+      success: true,
+      message: 'Scheduled notification rescheduled',
+      data: updated,
+    };
+  }
+
+  private async scheduleSend(
+    user: UserContext,
+    kind: ScheduledNotificationKind,
+    type: NotificationType,
+    scheduledAt: string,
+    payload: { title: string; body: string } & Record<string, any>,
+  ) {
+    const { title, body, ...audience } = payload;
+    const scheduled = await this.notificationScheduler.scheduleNotification({
+      kind,
+      type,
+      title,
+      body,
+      payload: audience,
+      scheduledAt: this.parseScheduledAt(scheduledAt),
+      createdBy: user,
+    });
+
+    await this.auditService.log({
+      userId: user.userId,
+      userRole: user.role,
+      action: AuditAction.BULK_OPERATION,
+      entityType: 'ScheduledNotification',
+      entityId: scheduled.id,
+      description: `Notification scheduled for ${scheduled.scheduledAt.toISOString()}: "${title}"`,
+      newValues: { kind, title, scheduledAt: scheduled.scheduledAt },
+    });
+
+    return {
+      success: true,
+      message: `Notification scheduled for ${scheduled.scheduledAt.toISOString()}`,
+      scheduled: true,
+      data: scheduled,
+    };
+  }
+
+  private parseScheduledAt(value: string): Date {
+    const scheduledAt = new Date(value);
+    const now = Date.now();
+
+    if (Number.isNaN(scheduledAt.getTime())) {
+      throw new BadRequestException('scheduledAt must be a valid date');
+    }
+    if (scheduledAt.getTime() <= now) {
+      throw new BadRequestException('scheduledAt must be in the future');
+    }
+    if (scheduledAt.getTime() > now + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestException(`Notifications can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`);
+    }
+    return scheduledAt;
+  }
+
+  private async findManageableSchedule(user: UserContext, id: string) {
+    const scheduled = await this.prisma.scheduledNotification.findUnique({ where: { id } });
+
+    if (!scheduled) {
+      throw new NotFoundException('Scheduled notification not found');
+    }
+    if (scheduled.createdById !== user.userId && !SCHEDULE_ADMIN_ROLES.includes(user.role)) {
+      throw new ForbiddenException('You can only manage notifications you scheduled');
+    }
+    return scheduled;
+  }
+
+  /**
+   * Same target rules as immediate sending, checked up front for scheduled sends
+   */
+  private assertCanSendToTarget(user: UserContext, dto: SendNotificationDto) {
+    const isStateOrAdmin = ([Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN] as Role[]).includes(user.role);
+
+    switch (dto.target) {
+      case NotificationTarget.USER:
+        if (!dto.userId) throw new BadRequestException('userId is required for user target');
+        return;
+      case NotificationTarget.USERS:
+        if (!dto.userIds?.length) throw new BadRequestException('userIds is required for users target');
+        return;
+      case NotificationTarget.ROLE:
+        if (!dto.role) throw new BadRequestException('role is required for role target');
+        if (!isStateOrAdmin) throw new ForbiddenException('Only State/Admin can send to roles');
+        return;
+      case NotificationTarget.INSTITUTION: {
+        const institutionId = dto.institutionId || user.institutionId;
+        if (!institutionId) throw new BadRequestException('institutionId is required');
+        if (user.role === Role.PRINCIPAL && institutionId !== user.institutionId) {
+          throw new ForbiddenException('Principals can only send to their own institution');
+        }
+        return;
+      }
+      case NotificationTarget.MY_STUDENTS:
+        if (user.role !== Role.TEACHER) throw new ForbiddenException('Only faculty can send to their students');
+        return;
+      case NotificationTarget.BROADCAST:
+        if (!isStateOrAdmin) throw new ForbiddenException('Only State/Admin can broadcast');
+        return;
+      default:
+        throw new BadRequestException('Invalid target type');
+    }
+  }
+
   /**
    * Get status of a bulk notification job
    */
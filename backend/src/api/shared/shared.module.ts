@@ -3,6 +3,7 @@ import { NotificationsController } from './notifications.controller';
 import { ReportsController } from './reports.controller';
 import { DocumentsController } from './documents.controller';
 import { LookupController } from './lookup.controller';
+import { VerificationController } from './verification.controller';
 import { NotificationsService } from './notifications.service';
 import { ReportsService } from './reports.service';
 import { DocumentsService } from './documents.service';
@@ -12,6 +13,7 @@ import { ReportBuilderModule } from '../../domain/report/builder/report-builder.
 import { FileStorageModule } from '../../infrastructure/file-storage/file-storage.module';
 import { NotificationModule } from '../../infrastructure/notification/notification.module';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
+import { VerificationModule } from '../../domain/verification/verification.module';
 
 @Module({
   imports: [
@@ -20,6 +22,7 @@ import { AuditModule } from '../../infrastructure/audit/audit.module';
     FileStorageModule,
     NotificationModule,
     AuditModule,
+    VerificationModule,
     // CacheModule is @Global so LruCacheService is available automatically
   ],
   controllers: [
@@ -27,6 +30,7 @@ import { AuditModule } from '../../infrastructure/audit/audit.module';
     ReportsController,
     DocumentsController,
     LookupController,
+    VerificationController,
   ],
   providers: [
     NotificationsService,
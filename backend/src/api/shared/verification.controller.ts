@@ -0,0 +1,31 @@
+import { Controller, Get, Param, Req } from '@nestjs/common';
+import { Request } from 'express';
+import { Throttle } from '@nestjs/throttler';
+import { ApiTags, ApiOperation, ApiResponse } from '@nestjs/swagger';
+import { Public } from '../../core/auth/decorators/public.decorator';
+import { VerificationService } from '../../domain/verification/verification.service';
+
+/**
+ * Public lookup for the verification codes printed on certificates and joining-letter approvals.
+ * Lets employers and universities confirm a document without calling the institution.
+ */
+@ApiTags('Verification')
+@Controller('verify')
+export class VerificationController {
+  constructor(private readonly verificationService: VerificationService) {}
+
+  /**
+   * SECURITY: Rate limited to 10 lookups per minute per client to prevent code enumeration
+   */
+  @Public()
+  @Get(':code')
+  @Throttle({ default: { limit: 10, ttl: 60000 } })
+  @ApiOperation({ summary: 'Verify a certificate or joining letter by its verification code' })
+  @ApiResponse({ status: 200, description: 'Verification result' })
+  async verify(@Param('code') code: string, @Req() req: Request) {
+    return this.verificationService.verify(code, {
+      ipAddress: req.ip || (req.headers['x-forwarded-for'] as string),
+      userAgent: req.headers['user-agent'],
+    });
+  }
+}
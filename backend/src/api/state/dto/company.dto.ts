@@ -0,0 +1,163 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEmail,
+  IsOptional,
+  IsBoolean,
+  IsArray,
+  IsUUID,
+  IsNumber,
+  MinLength,
+  Matches,
+  Min,
+  Max,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+import { ApiProperty, ApiPropertyOptional, PartialType } from '@nestjs/swagger';
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^$|^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/i;
+// 21-character Corporate Identification Number issued by the MCA
+const CIN_PATTERN = /^$|^[LU][0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/i;
+
+export class CreateCompanyDto {
+  @ApiProperty({ description: 'Registered company name' })
+  @IsString()
+  @IsNotEmpty({ message: 'Company name is required' })
+  name: string;
+
+  @ApiPropertyOptional({ description: 'Industry type (e.g. IT, Manufacturing)' })
+  @IsOptional()
+  @IsString()
+  industryType?: string;
+
+  @ApiPropertyOptional({ description: 'GST identification number (send an empty string to clear)' })
+  @IsOptional()
+  @IsString()
+  @Matches(GSTIN_PATTERN, { message: 'Invalid GSTIN format' })
+  gstin?: string;
+
+  @ApiPropertyOptional({ description: 'Corporate identification number (send an empty string to clear)' })
+  @IsOptional()
+  @IsString()
+  @Matches(CIN_PATTERN, { message: 'Invalid CIN format' })
+  cin?: string;
+
+  @ApiPropertyOptional({ description: 'Address' })
+  @IsOptional()
+  @IsString()
+  address?: string;
+
+  @ApiPropertyOptional({ description: 'City' })
+  @IsOptional()
+  @IsString()
+  city?: string;
+
+  @ApiPropertyOptional({ description: 'State' })
+  @IsOptional()
+  @IsString()
+  state?: string;
+
+  @ApiPropertyOptional({ description: 'PIN code' })
+  @IsOptional()
+  @IsString()
+  @Matches(/^[1-9][0-9]{5}$/, { message: 'PIN code must be 6 digits' })
+  pinCode?: string;
+
+  @ApiPropertyOptional({ description: 'Contact email' })
+  @IsOptional()
+  @IsEmail({}, { message: 'Invalid email format' })
+  contactEmail?: string;
+
+  @ApiPropertyOptional({ description: 'Contact phone' })
+  @IsOptional()
+  @IsString()
+  @Matches(/^\+?[0-9]{10,15}$/, { message: 'Phone number must be 10-15 digits' })
+  contactPhone?: string;
+
+  @ApiPropertyOptional({ description: 'Website' })
+  @IsOptional()
+  @IsString()
+  website?: string;
+
+  @ApiPropertyOptional({ description: 'Active status' })
+  @IsOptional()
+  @IsBoolean()
+  isActive?: boolean;
+}
+
+export class UpdateCompanyDto extends PartialType(CreateCompanyDto) {}
+
+export class CreateCompanySupervisorDto {
+  @ApiProperty({ description: 'Full name of the supervisor' })
+  @IsString()
+  @IsNotEmpty({ message: 'Name is required' })
+  name: string;
+
+  @ApiProperty({ description: 'Email address (must be unique)' })
+  @IsEmail({}, { message: 'Invalid email format' })
+  @IsNotEmpty({ message: 'Email is required' })
+  email: string;
+
+  @ApiPropertyOptional({ description: 'Password (min 8 characters). A temporary password is generated when omitted' })
+  @IsOptional()
+  @IsString()
+  @MinLength(8, { message: 'Password must be at least 8 characters' })
+  password?: string;
+
+  @ApiPropertyOptional({ description: 'Phone number' })
+  @IsOptional()
+  @IsString()
+  @Matches(/^\+?[0-9]{10,15}$/, { message: 'Phone number must be 10-15 digits' })
+  phoneNo?: string;
+
+  @ApiPropertyOptional({ description: 'Designation/Title' })
+  @IsOptional()
+  @IsString()
+  designation?: string;
+}
+
+export class LinkCompanyApplicationsDto {
+  @ApiPropertyOptional({ description: 'Internship application IDs to link', type: [String] })
+  @IsOptional()
+  @IsArray()
+  @IsUUID('all', { each: true })
+  applicationIds?: string[];
+
+  @ApiPropertyOptional({ description: 'Also link unlinked applications whose normalized company name matches the company name or an alias' })
+  @IsOptional()
+  @IsBoolean()
+  matchByName?: boolean;
+}
+
+export class MergeCompaniesDto {
+  @ApiPropertyOptional({ description: 'Free-text company names whose applications should be linked', type: [String] })
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  names?: string[];
+
+  @ApiPropertyOptional({ description: 'Duplicate registered companies to fold into this one', type: [String] })
+  @IsOptional()
+  @IsArray()
+  @IsUUID('all', { each: true })
+  companyIds?: string[];
+}
+
+export class CompanyDuplicatesQueryDto {
+  @ApiPropertyOptional({ description: 'Minimum name similarity (0.5-1)', default: 0.8 })
+  @IsOptional()
+  @Type(() => Number)
+  @IsNumber()
+  @Min(0.5)
+  @Max(1)
+  threshold?: number;
+
+  @ApiPropertyOptional({ description: 'Maximum clusters to return', default: 50 })
+  @IsOptional()
+  @Type(() => Number)
+  @IsNumber()
+  @Min(1)
+  @Max(200)
+  limit?: number;
+}
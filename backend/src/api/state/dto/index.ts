@@ -4,3 +4,4 @@ export * from './create-principal.dto';
 export * from './update-principal.dto';
 export * from './create-staff.dto';
 export * from './update-staff.dto';
+export * from './company.dto';
@@ -6,3 +6,5 @@ export { StateStaffService } from './state-staff.service';
 export { StateReportsService } from './state-reports.service';
 export { StateIndustryService } from './state-industry.service';
 export { StateMentorService } from './state-mentor.service';
+export { StateRestoreService } from './state-restore.service';
+export { StateBackupRestoreService } from './state-backup-restore.service';
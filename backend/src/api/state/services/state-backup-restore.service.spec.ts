@@ -0,0 +1,107 @@
+import { EncryptionService } from '../../../core/common/services/encryption.service';
+import { StateBackupRestoreService } from './state-backup-restore.service';
+
+describe('StateBackupRestoreService', () => {
+  const originalKey = process.env.ENCRYPTION_KEY;
+  let encryption: EncryptionService;
+
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEY = 'cd'.repeat(32);
+    encryption = new EncryptionService();
+  });
+
+  afterAll(() => {
+    process.env.ENCRYPTION_KEY = originalKey;
+  });
+
+  /**
+   * Raw SQL stand-in: the browse schema holds `backupRows`, the live schema `liveRows`
+   */
+  function createService(backupRows: Record<string, any>[], liveRows: Record<string, any>[]) {
+    const state = { schemaOpen: true, executed: [] as { sql: string; values: unknown[] }[] };
+
+    const prisma: any = {
+      $queryRawUnsafe: jest.fn(async (sql: string, ...values: unknown[]) => {
+        if (sql.includes('FROM pg_namespace WHERE nspname = $1')) return [{ exists: state.schemaOpen }];
+        if (sql.includes('information_schema.columns')) {
+          return ['id', 'name', 'password', 'resetPasswordToken', 'mfaSecret'].map((column_name) => ({ column_name }));
+        }
+        if (sql.includes('"backup_browse_')) return JSON.parse(JSON.stringify(backupRows));
+        return JSON.parse(JSON.stringify(liveRows));
+      }),
+      $executeRawUnsafe: jest.fn(async (sql: string, ...values: unknown[]) => {
+        state.executed.push({ sql, values });
+        return 1;
+      }),
+    };
+    const auditService: any = { log: jest.fn(async () => null) };
+    const backupService: any = {
+      getBackupById: jest.fn(async (id: string) => ({ id, filename: 'backup.dump', tables: [], format: 'pg_custom' })),
+      assertRestorableFormat: jest.fn(),
+      retrieveArchive: jest.fn(async () => 0),
+      restoreIntoScratchSchema: jest.fn(async () => {
+        state.schemaOpen = true;
+        return [];
+      }),
+      dropScratchSchema: jest.fn(),
+      getDatabaseSchema: () => 'public',
+      restoreRowsFromScratchSchema: jest.fn(async () => []),
+    };
+
+    const service = new StateBackupRestoreService(prisma, auditService, {} as any, backupService, encryption);
+    return { service, state, auditService, backupService };
+  }
+
+  const student = (overrides: Record<string, any> = {}) => ({
+    id: 'student-1',
+    userId: 'user-1',
+    institutionId: 'inst-1',
+    address: encryption.encrypt('Ludhiana'),
+    parentContact: encryption.encrypt('9876543210'),
+    updatedAt: new Date('2026-01-01T00:00:00.000Z').toISOString(),
+    ...overrides,
+  });
+
+  it('compares and returns PII by its plaintext value', async () => {
+    // Same values re-encrypted with a different IV, plus one real change
+    const backup = { ...student(), __studentName: 'Asha', __rollNumber: 'R1', __institutionId: 'inst-1' };
+    const live = student({ parentContact: encryption.encrypt('9000000000') });
+    const { service } = createService([backup], [live]);
+
+    const result = await service.browseBackupRecords('backup-1', 'students', { institutionId: 'inst-1' });
+
+    expect(result.data[0]).toMatchObject({
+      change: 'modified',
+      changedFields: ['parentContact'],
+      backup: { address: 'Ludhiana', parentContact: '9876543210' },
+      current: { address: 'Ludhiana', parentContact: '9000000000' },
+    });
+  });
+
+  it('keeps PII out of the restore audit entry', async () => {
+    const backup = { ...student(), __studentName: 'Asha', __institutionId: 'inst-1' };
+    const live = student({ address: encryption.encrypt('Jalandhar') });
+    const { service, auditService } = createService([backup], [live]);
+
+    await service.restoreBackupRecords('backup-1', 'students', ['student-1'], 'admin-1');
+
+    const entry = auditService.log.mock.calls[0][0];
+    expect(entry.changedFields).toEqual(['address']);
+    expect(entry.oldValues).toMatchObject({ address: '***REDACTED***', parentContact: '***REDACTED***', userId: 'user-1' });
+    expect(entry.newValues).toMatchObject({ address: '***REDACTED***', parentContact: '***REDACTED***' });
+    expect(JSON.stringify(entry)).not.toMatch(/enc:v1:|Ludhiana|Jalandhar/);
+  });
+
+  it('scrubs login secrets from the browse copy of User', async () => {
+    const { service, state } = createService([], []);
+    state.schemaOpen = false;
+
+    await service.openBackup('backup-1', 'admin-1');
+
+    const update = state.executed.find(({ sql }) => sql.startsWith('UPDATE'));
+    expect(update.sql).toBe(
+      'UPDATE "backup_browse_backup1"."User" SET "password" = $1, "resetPasswordToken" = NULL, "mfaSecret" = NULL',
+    );
+    expect(update.values).toEqual([expect.stringMatching(/^\$2[aby]\$10\$/)]);
+  });
+});
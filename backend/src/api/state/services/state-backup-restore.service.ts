@@ -0,0 +1,566 @@
+import { Injectable, NotFoundException, BadRequestException, Logger } from '@nestjs/common';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import * as bcrypt from 'bcrypt';
+import { randomBytes } from 'crypto';
+import * as os from 'os';
+import * as path from 'path';
+import { promises as fsPromises } from 'fs';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { EncryptionService } from '../../../core/common/services/encryption.service';
+import { createPiiCipher } from '../../../core/database/pii-encryption.extension';
+import { PiiCipher, decryptPiiResult, getEncryptedFieldNames } from '../../../core/database/pii-encryption.util';
+import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { ExpectedCycleService } from '../../../domain/internship/expected-cycle/expected-cycle.service';
+import { BackupService } from '../../system-admin/services/backup.service';
+import {
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  BackupStatus,
+  Role,
+} from '../../../generated/prisma/client';
+
+/**
+ * Entity types that can be restored record-by-record from a backup archive
+ */
+export type BackupRestorableEntityType = 'students' | 'applications' | 'monthly-reports' | 'grievances';
+
+export type BackupRecordChange = 'deleted' | 'modified' | 'unchanged';
+
+interface BackupEntityConfig {
+  table: string;
+  entityType: string;
+  /** Column that links the record to a Student row */
+  studentColumn: string;
+  describe: (row: Record<string, any>) => string;
+}
+
+const BACKUP_ENTITIES: Record<BackupRestorableEntityType, BackupEntityConfig> = {
+  students: {
+    table: 'Student',
+    entityType: 'Student',
+    studentColumn: 'id',
+    describe: (row) => `Student ${row.__studentName || 'Unknown'}${row.__rollNumber ? ` (${row.__rollNumber})` : ''}`,
+  },
+  applications: {
+    table: 'internship_applications',
+    entityType: 'InternshipApplication',
+    studentColumn: 'studentId',
+    describe: (row) => `Internship application${row.companyName ? ` at ${row.companyName}` : ''} for ${row.__studentName || 'Unknown Student'}`,
+  },
+  'monthly-reports': {
+    table: 'monthly_reports',
+    entityType: 'MonthlyReport',
+    studentColumn: 'studentId',
+    describe: (row) => `Monthly Report - ${row.reportMonth}/${row.reportYear} for ${row.__studentName || 'Unknown Student'}`,
+  },
+  grievances: {
+    table: 'Grievance',
+    entityType: 'Grievance',
+    studentColumn: 'studentId',
+    describe: (row) => `Grievance "${row.title}" by ${row.__studentName || 'Unknown Student'}`,
+  },
+};
+
+/** Tables loaded into a browse session; User and Student are needed for institution filtering */
+const BROWSE_TABLES = ['User', 'Student', 'internship_applications', 'monthly_reports', 'Grievance'];
+
+const BROWSE_SCHEMA_PREFIX = 'backup_browse_';
+
+/** Browse sessions left open longer than this are dropped by the hourly cleanup */
+const BROWSE_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+/** Columns that change on every write and would mark every record as modified */
+const IGNORED_DIFF_COLUMNS = ['updatedAt'];
+
+/**
+ * Login secrets overwritten in the browse copy of User (column -> new value, $1 is an
+ * unusable password hash). Only names and roll numbers are read from it, and the schema
+ * stays around for up to BROWSE_SESSION_TTL_MS.
+ */
+const BROWSE_SCRUBBED_USER_COLUMNS: Record<string, string> = {
+  password: '$1',
+  resetPasswordToken: 'NULL',
+  resetPasswordExpiry: 'NULL',
+  mfaSecret: 'NULL',
+  mfaBackupCodes: `'{}'`,
+  calendarFeedTokenHash: 'NULL',
+};
+
+/** Stands in for encrypted PII columns (config/pii-encryption.config.ts) in audit values */
+const REDACTED_AUDIT_VALUE = '***REDACTED***';
+
+@Injectable()
+export class StateBackupRestoreService {
+  private readonly logger = new Logger(StateBackupRestoreService.name);
+  // Raw queries bypass the Prisma PII extension, so rows are decrypted here
+  private readonly piiCipher: PiiCipher | null;
+  private readonly piiFields = getEncryptedFieldNames();
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly auditService: AuditService,
+    private readonly expectedCycleService: ExpectedCycleService,
+    private readonly backupService: BackupService,
+    encryption: EncryptionService,
+  ) {
+    this.piiCipher = encryption.isEncryptionEnabled() ? createPiiCipher(encryption) : null;
+  }
+
+  /**
+   * List backups that can be opened for record-level restore
+   */
+  async listRestorableBackups() {
+    const backups = await this.prisma.backupRecord.findMany({
+      where: {
+        status: { in: [BackupStatus.COMPLETED, BackupStatus.RESTORED] },
+        format: 'pg_custom',
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100,
+      select: {
+        id: true,
+        filename: true,
+        description: true,
+        size: true,
+        tables: true,
+        isSafetySnapshot: true,
+        createdAt: true,
+      },
+    });
+
+    const openSchemas = new Set((await this.listBrowseSchemas()).map((schema) => schema.name));
+
+    return backups.map((backup) => ({
+      ...backup,
+      isOpen: openSchemas.has(this.getBrowseSchemaName(backup.id)),
+    }));
+  }
+
+  /**
+   * Load the student-facing tables of a backup into a scratch schema so they can be browsed.
+   * Opening an already open backup is a no-op.
+   */
+  async openBackup(backupId: string, openedBy?: string) {
+    const backup = await this.backupService.getBackupById(backupId);
+    this.backupService.assertRestorableFormat(backup);
+
+    const schema = this.getBrowseSchemaName(backup.id);
+    if (await this.schemaExists(schema)) {
+      return { success: true, backupId: backup.id, message: 'Backup is already open' };
+    }
+
+    const missing = backup.tables.length > 0
+      ? BROWSE_TABLES.filter((table) => !backup.tables.includes(table))
+      : [];
+    if (missing.length > 0) {
+      throw new BadRequestException(`Backup does not contain data for: ${missing.join(', ')}`);
+    }
+
+    const tempPath = path.join(os.tmpdir(), `browse_${backup.id}_${backup.filename}`);
+
+    try {
+      await this.backupService.retrieveArchive(backup, tempPath);
+      await this.backupService.restoreIntoScratchSchema(tempPath, schema, BROWSE_TABLES);
+      await this.scrubBrowseCredentials(schema);
+
+      const session = JSON.stringify({ backupId: backup.id, openedBy, openedAt: new Date().toISOString() });
+      await this.prisma.$executeRawUnsafe(`COMMENT ON SCHEMA ${this.quoteIdent(schema)} IS '${session.replace(/'/g, "''")}'`);
+    } catch (error) {
+      await this.backupService.dropScratchSchema(schema);
+      this.logger.error(`Failed to open backup ${backup.id} for browsing: ${error.message}`);
+      throw error;
+    } finally {
+      await fsPromises.unlink(tempPath).catch(() => undefined);
+    }
+
+    this.logger.log(`Backup ${backup.id} opened for record restore by ${openedBy}`);
+
+    return { success: true, backupId: backup.id, message: `Backup ${backup.filename} is ready to browse` };
+  }
+
+  /**
+   * Drop the browse session of a backup
+   */
+  async closeBackup(backupId: string) {
+    await this.backupService.dropScratchSchema(this.getBrowseSchemaName(backupId));
+    return { success: true, message: 'Backup closed' };
+  }
+
+  /**
+   * Browse one institution's records in an open backup, diffed against the live database
+   */
+  async browseBackupRecords(
+    backupId: string,
+    type: BackupRestorableEntityType,
+    params: {
+      institutionId: string;
+      page?: number;
+      limit?: number;
+      search?: string;
+      change?: BackupRecordChange;
+    },
+  ) {
+    const { institutionId, page = 1, limit = 20, search, change } = params;
+
+    if (!institutionId) {
+      throw new BadRequestException('institutionId is required to browse a backup');
+    }
+
+    const config = this.getEntityConfig(type);
+    const schema = await this.getOpenSchema(backupId);
+
+    const backupRows = await this.findBackupRows(schema, config, { institutionId, search });
+    const liveRows = await this.findLiveRows(config, backupRows.map((row) => row.id));
+
+    const records = backupRows.map((row) => this.compareRecord(config, row, liveRows.get(row.id)));
+
+    const summary = {
+      total: records.length,
+      deleted: records.filter((record) => record.change === 'deleted').length,
+      modified: records.filter((record) => record.change === 'modified').length,
+      unchanged: records.filter((record) => record.change === 'unchanged').length,
+    };
+
+    const filtered = change ? records.filter((record) => record.change === change) : records;
+    const skip = (page - 1) * limit;
+
+    return {
+      data: filtered.slice(skip, skip + limit),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total: filtered.length,
+        totalPages: Math.ceil(filtered.length / limit),
+      },
+    };
+  }
+
+  /**
+   * Copy selected records from an open backup over their live versions.
+   * Each record is restored in its own transaction and audited with before/after values.
+   */
+  async restoreBackupRecords(
+    backupId: string,
+    type: BackupRestorableEntityType,
+    ids: string[],
+    restoredBy?: string,
+    restoredByRole: Role = Role.STATE_DIRECTORATE,
+  ) {
+    if (!ids || ids.length === 0) {
+      throw new BadRequestException('No items to restore');
+    }
+
+    if (ids.length > 100) {
+      throw new BadRequestException('Cannot restore more than 100 items at once');
+    }
+
+    const config = this.getEntityConfig(type);
+    const schema = await this.getOpenSchema(backupId);
+    const backup = await this.backupService.getBackupById(backupId);
+
+    const backupRows = new Map(
+      (await this.findBackupRows(schema, config, { ids })).map((row) => [row.id, row]),
+    );
+    const liveRows = await this.findLiveRows(config, ids);
+
+    let restored = 0;
+    const errors: string[] = [];
+
+    // Sequential so parent rows restored earlier in the batch are visible to later ones
+    for (const id of ids) {
+      const backupRow = backupRows.get(id);
+      if (!backupRow) {
+        errors.push(`${id}: not found in backup`);
+        continue;
+      }
+
+      const record = this.compareRecord(config, backupRow, liveRows.get(id));
+
+      try {
+        await this.backupService.restoreRowsFromScratchSchema(schema, this.getRestoreSteps(type, backupRow));
+      } catch (error) {
+        const reason = /foreign key/i.test(error.message)
+          ? 'a related record no longer exists in the live database; restore it first'
+          : error.message;
+        errors.push(`${record.title}: ${reason}`);
+        continue;
+      }
+
+      await this.adjustCounters(type, backupRow, record.current);
+
+      await this.auditService.log({
+        action: AuditAction.SYSTEM_RESTORE,
+        entityType: config.entityType,
+        entityId: id,
+        userId: restoredBy,
+        userRole: restoredByRole,
+        category: AuditCategory.DATA_MANAGEMENT,
+        severity: AuditSeverity.HIGH,
+        institutionId: backupRow.__institutionId ?? undefined,
+        description: `Restored ${record.title} from backup ${backup.filename} (${record.change})`,
+        oldValues: record.current ? this.redactPii(record.current) : undefined,
+        newValues: this.redactPii(record.backup),
+        changedFields: record.changedFields,
+      });
+
+      restored++;
+    }
+
+    this.logger.log(`Restored ${restored}/${ids.length} ${type} from backup ${backupId} by ${restoredBy}`);
+
+    return {
+      success: errors.length === 0,
+      message: `Restored ${restored} items.${errors.length > 0 ? ` ${errors.length} items failed.` : ''}`,
+      restored,
+      failed: errors.length,
+      total: ids.length,
+      errors: errors.length > 0 ? errors : undefined,
+    };
+  }
+
+  /**
+   * Drop browse sessions that were left open
+   */
+  @Cron(CronExpression.EVERY_HOUR)
+  async cleanupStaleBrowseSessions() {
+    const cutoff = Date.now() - BROWSE_SESSION_TTL_MS;
+
+    for (const schema of await this.listBrowseSchemas()) {
+      const openedAt = schema.session?.openedAt ? new Date(schema.session.openedAt).getTime() : 0;
+      if (openedAt < cutoff) {
+        this.logger.log(`Dropping stale backup browse session ${schema.name}`);
+        await this.backupService.dropScratchSchema(schema.name);
+      }
+    }
+  }
+
+  private getEntityConfig(type: BackupRestorableEntityType): BackupEntityConfig {
+    const config = BACKUP_ENTITIES[type];
+    if (!config) {
+      throw new BadRequestException(`Unknown item type: ${type}. Valid types: ${Object.keys(BACKUP_ENTITIES).join(', ')}`);
+    }
+    return config;
+  }
+
+  private getBrowseSchemaName(backupId: string): string {
+    return `${BROWSE_SCHEMA_PREFIX}${backupId.replace(/[^a-zA-Z0-9]/g, '').slice(0, 32).toLowerCase()}`;
+  }
+
+  private async getOpenSchema(backupId: string): Promise<string> {
+    const schema = this.getBrowseSchemaName(backupId);
+    if (!(await this.schemaExists(schema))) {
+      throw new NotFoundException('Backup is not open. Open it before browsing or restoring records.');
+    }
+    return schema;
+  }
+
+  private async schemaExists(schema: string): Promise<boolean> {
+    const rows = await this.prisma.$queryRawUnsafe<{ exists: boolean }[]>(
+      `SELECT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = $1) AS "exists"`,
+      schema,
+    );
+    return rows[0]?.exists === true;
+  }
+
+  private async listBrowseSchemas(): Promise<{ name: string; session: Record<string, any> | null }[]> {
+    const rows = await this.prisma.$queryRawUnsafe<{ name: string; comment: string | null }[]>(
+      `SELECT nspname AS "name", obj_description(oid, 'pg_namespace') AS "comment"
+       FROM pg_namespace WHERE nspname LIKE $1`,
+      `${BROWSE_SCHEMA_PREFIX.replace(/_/g, '\\_')}%`,
+    );
+
+    return rows.map((row) => {
+      let session: Record<string, any> | null = null;
+      try {
+        session = row.comment ? JSON.parse(row.comment) : null;
+      } catch {
+        // Schema was created but never stamped; treat it as stale
+      }
+      return { name: row.name, session };
+    });
+  }
+
+  /**
+   * Read records from the backup with the owning student's name and institution attached
+   */
+  private async findBackupRows(
+    schema: string,
+    config: BackupEntityConfig,
+    filter: { institutionId?: string; search?: string; ids?: string[] },
+  ): Promise<Record<string, any>[]> {
+    const s = this.quoteIdent(schema);
+    const conditions: string[] = [];
+    const values: any[] = [];
+
+    if (filter.ids) {
+      values.push(filter.ids);
+      conditions.push(`t."id" = ANY($${values.length}::text[])`);
+    }
+    if (filter.institutionId) {
+      values.push(filter.institutionId);
+      conditions.push(`s."institutionId" = $${values.length}`);
+    }
+    if (filter.search) {
+      values.push(`%${filter.search}%`);
+      conditions.push(`(u."name" ILIKE $${values.length} OR u."rollNumber" ILIKE $${values.length})`);
+    }
+
+    const rows = await this.prisma.$queryRawUnsafe<Record<string, any>[]>(
+      `SELECT t.*, u."name" AS "__studentName", u."rollNumber" AS "__rollNumber", s."institutionId" AS "__institutionId"
+       FROM ${s}.${this.quoteIdent(config.table)} t
+       JOIN ${s}."Student" s ON s."id" = t.${this.quoteIdent(config.studentColumn)}
+       LEFT JOIN ${s}."User" u ON u."id" = s."userId"
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY u."name" ASC NULLS LAST, t."id" ASC`,
+      ...values,
+    );
+
+    return this.decryptRows(rows);
+  }
+
+  private async findLiveRows(config: BackupEntityConfig, ids: string[]): Promise<Map<string, Record<string, any>>> {
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const schema = this.quoteIdent(this.backupService.getDatabaseSchema());
+    const rows = await this.prisma.$queryRawUnsafe<Record<string, any>[]>(
+      `SELECT * FROM ${schema}.${this.quoteIdent(config.table)} WHERE "id" = ANY($1::text[])`,
+      ids,
+    );
+
+    return new Map(this.decryptRows(rows).map((row) => [row.id, row]));
+  }
+
+  /**
+   * Plaintext PII columns, so that records are compared and shown by value rather than
+   * by (randomly salted) ciphertext
+   */
+  private decryptRows(rows: Record<string, any>[]): Record<string, any>[] {
+    if (!this.piiCipher) {
+      return rows;
+    }
+    return decryptPiiResult(rows, this.piiCipher, this.piiFields, (field, error) => {
+      this.logger.warn(`Failed to decrypt ${field} of a backup record: ${error.message}`);
+    });
+  }
+
+  /**
+   * Audit values without the encrypted PII columns; changedFields still names them
+   */
+  private redactPii(row: Record<string, any>): Record<string, any> {
+    return Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [
+        key,
+        this.piiFields.has(key) && value !== null && value !== undefined ? REDACTED_AUDIT_VALUE : value,
+      ]),
+    );
+  }
+
+  /**
+   * Overwrite login secrets in the browse copy of User. A login restored along with a
+   * deleted student therefore comes back without a usable password and must be reset.
+   */
+  private async scrubBrowseCredentials(schema: string) {
+    const present = new Set(
+      (await this.prisma.$queryRawUnsafe<{ column_name: string }[]>(
+        `SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = 'User'`,
+        schema,
+      )).map((row) => row.column_name),
+    );
+    const assignments = Object.entries(BROWSE_SCRUBBED_USER_COLUMNS)
+      .filter(([column]) => present.has(column))
+      .map(([column, value]) => `${this.quoteIdent(column)} = ${value}`);
+
+    if (assignments.length === 0) {
+      return;
+    }
+
+    // A hash of a discarded random secret: well-formed, but nothing can match it
+    const values = present.has('password') ? [await bcrypt.hash(randomBytes(32).toString('hex'), 10)] : [];
+    await this.prisma.$executeRawUnsafe(
+      `UPDATE ${this.quoteIdent(schema)}."User" SET ${assignments.join(', ')}`,
+      ...values,
+    );
+  }
+
+  private compareRecord(config: BackupEntityConfig, backupRow: Record<string, any>, liveRow?: Record<string, any>) {
+    const backup = Object.fromEntries(Object.entries(backupRow).filter(([key]) => !key.startsWith('__')));
+
+    const changedFields = liveRow
+      ? Object.keys(backup).filter(
+          (key) => !IGNORED_DIFF_COLUMNS.includes(key) && this.normalizeValue(backup[key]) !== this.normalizeValue(liveRow[key]),
+        )
+      : [];
+
+    const change: BackupRecordChange = !liveRow ? 'deleted' : changedFields.length > 0 ? 'modified' : 'unchanged';
+
+    return {
+      id: backupRow.id,
+      title: config.describe(backupRow),
+      studentName: backupRow.__studentName,
+      studentRollNo: backupRow.__rollNumber,
+      institutionId: backupRow.__institutionId,
+      change,
+      changedFields,
+      backup,
+      current: liveRow ?? null,
+    };
+  }
+
+  private normalizeValue(value: unknown): unknown {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Students carry their login row with them. An existing User is never overwritten so
+   * credentials changed since the backup stay intact; a missing one is recreated from
+   * the scrubbed browse copy (see scrubBrowseCredentials).
+   */
+  private getRestoreSteps(type: BackupRestorableEntityType, backupRow: Record<string, any>) {
+    const { table } = BACKUP_ENTITIES[type];
+
+    if (type === 'students') {
+      return [
+        { table: 'User', ids: [backupRow.userId], overwrite: false },
+        { table, ids: [backupRow.id] },
+      ];
+    }
+
+    return [{ table, ids: [backupRow.id] }];
+  }
+
+  /**
+   * Keep the application's submitted report counter in step when a report comes back
+   */
+  private async adjustCounters(
+    type: BackupRestorableEntityType,
+    backupRow: Record<string, any>,
+    liveRow: Record<string, any> | null,
+  ) {
+    if (type !== 'monthly-reports' || backupRow.isDeleted) {
+      return;
+    }
+
+    const wasCounted = liveRow && !liveRow.isDeleted;
+    if (wasCounted || !backupRow.applicationId) {
+      return;
+    }
+
+    try {
+      await this.expectedCycleService.incrementReportCount(backupRow.applicationId);
+    } catch (error) {
+      this.logger.warn(`Failed to increment report count for application ${backupRow.applicationId}: ${error.message}`);
+    }
+  }
+
+  private quoteIdent(identifier: string): string {
+    return `"${identifier.replace(/"/g, '""')}"`;
+  }
+}
@@ -1,7 +1,7 @@
 import { Injectable, Logger } from '@nestjs/common';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { LruCacheService } from '../../../core/cache/lru-cache.service';
-import { ApplicationStatus, Role } from '../../../generated/prisma/client';
+import { ApplicationStatus, GrievanceStatus, Role } from '../../../generated/prisma/client';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
 import { LookupService } from '../../shared/lookup.service';
 import {
@@ -85,6 +85,10 @@ export class StateDashboardService {
           totalReportsSubmitted,
           // Recent activity
           recentApplications,
+          // Grievance SLA
+          grievancesBreachedOpen,
+          grievancesBreachedTotal,
+          grievancesAutoEscalated,
         ] = await this.prisma.$transaction([
           this.prisma.institution.count(),
           this.prisma.institution.count({ where: { isActive: true } }),
@@ -251,6 +255,20 @@ export class StateDashboardService {
               student: { user: { active: true }, Institution: { isActive: true } },
             },
           }),
+          // Open grievances that have missed an SLA at some level
+          this.prisma.grievance.count({
+            where: {
+              slaBreachCount: { gt: 0 },
+              status: { notIn: [GrievanceStatus.RESOLVED, GrievanceStatus.CLOSED, GrievanceStatus.REJECTED] },
+              student: { Institution: { isActive: true } },
+            },
+          }),
+          this.prisma.grievance.count({
+            where: { slaBreachCount: { gt: 0 }, student: { Institution: { isActive: true } } },
+          }),
+          this.prisma.grievanceStatusHistory.count({
+            where: { action: 'AUTO_ESCALATED', grievance: { student: { Institution: { isActive: true } } } },
+          }),
         ]);
 
         // Get count from the distinct studentIds arrays
@@ -403,6 +421,12 @@ export class StateDashboardService {
           recentActivity: {
             applicationsLastWeek: recentApplications,
           },
+          // Grievances that missed their response/resolution SLA
+          grievanceSla: {
+            breachedOpen: grievancesBreachedOpen,
+            breachedTotal: grievancesBreachedTotal,
+            autoEscalated: grievancesAutoEscalated,
+          },
         };
       },
       { ttl: 900, tags: ['state', 'dashboard'] }, // OPTIMIZED: Increased from 5 to 15 minutes - data rarely changes
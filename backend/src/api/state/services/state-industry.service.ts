@@ -1,7 +1,32 @@
 import { Injectable, NotFoundException, BadRequestException, Logger } from '@nestjs/common';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { LruCacheService } from '../../../core/cache/lru-cache.service';
-import { ApplicationStatus } from '../../../generated/prisma/client';
+import { ApplicationStatus, Prisma } from '../../../generated/prisma/client';
+import {
+  CompanyService,
+  CompanyData,
+  CreateSupervisorData,
+  LinkApplicationsOptions,
+  MergeCompaniesOptions,
+  DuplicateSearchOptions,
+  CompanyActor,
+} from '../../../domain/company/company.service';
+import { normalizeCompanyName } from '../../../domain/company/company-name.util';
+
+// Registered company fields shown alongside the aggregated placement stats
+const COMPANY_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  industryType: true,
+  address: true,
+  city: true,
+  state: true,
+  contactEmail: true,
+  contactPhone: true,
+  gstin: true,
+  cin: true,
+  isActive: true,
+} satisfies Prisma.CompanySelect;
 
 @Injectable()
 export class StateIndustryService {
@@ -10,8 +35,19 @@ export class StateIndustryService {
   constructor(
     private readonly prisma: PrismaService,
     private readonly cache: LruCacheService,
+    private readonly companyService: CompanyService,
   ) {}
 
+  /**
+   * Grouping key for an application's employer: the registered company ID when linked,
+   * otherwise `self-<normalized name>` so "Infosys Ltd" and "INFOSYS LIMITED" land together
+   */
+  private companyKey(app: { companyId?: string | null; companyName?: string | null }): string {
+    if (app.companyId) return app.companyId;
+    const normalized = normalizeCompanyName(app.companyName);
+    return normalized ? `self-${normalized.replace(/\s+/g, '-')}` : '';
+  }
+
   /**
    * Get top industries by interns hired
    * OPTIMIZED: Uses caching with 15-minute TTL
@@ -42,9 +78,11 @@ export class StateIndustryService {
         student: { user: { active: true } },
       },
       select: {
+        companyId: true,
         companyName: true,
         companyAddress: true,
         companyEmail: true,
+        company: { select: { name: true, address: true, contactEmail: true } },
         jobProfile: true,
         stipend: true,
         student: {
@@ -56,7 +94,7 @@ export class StateIndustryService {
       },
     });
 
-    // Aggregate by company name (normalize to lowercase for grouping)
+    // Aggregate by registered company, falling back to the normalized free-text name
     const companyMap = new Map<string, {
       name: string;
       address: string | null;
@@ -69,18 +107,14 @@ export class StateIndustryService {
     }>();
 
     for (const app of applications) {
-      // Normalize key: lowercase, trim, replace hyphens with spaces, and collapse multiple spaces
-      // This ensures "Multi-Skill" and "Multi Skill" are treated as the same company
-      const companyKey = app.companyName?.toLowerCase().trim()
-        .replace(/-/g, ' ')
-        .replace(/\s+/g, ' ') || '';
+      const companyKey = this.companyKey(app);
       if (!companyKey) continue;
 
       if (!companyMap.has(companyKey)) {
         companyMap.set(companyKey, {
-          name: app.companyName || '',
-          address: app.companyAddress,
-          email: app.companyEmail,
+          name: app.company?.name ?? app.companyName ?? '',
+          address: app.company?.address ?? app.companyAddress,
+          email: app.company?.contactEmail ?? app.companyEmail,
           internsCount: 0,
           institutions: new Set(),
           jobProfiles: new Set(),
@@ -103,10 +137,10 @@ export class StateIndustryService {
     }
 
     // Convert to array and calculate averages
-    // Use map key for ID to ensure uniqueness (key is already normalized)
+    // The map key doubles as the ID accepted by getCompanyDetails
     const companies = Array.from(companyMap.entries())
       .map(([key, company]) => ({
-        id: `self-${key.replace(/\s+/g, '-')}`,
+        id: key,
         name: company.name,
         address: company.address,
         email: company.email,
@@ -149,27 +183,27 @@ export class StateIndustryService {
     const { page = 1, limit = 20, search, industryType, sortBy = 'studentCount', sortOrder = 'desc' } = params;
     const skip = (page - 1) * limit;
 
-    // Industry portal removed: only self-identified companies remain
-    if (industryType && industryType !== 'Self-Identified') {
-      this.logger.debug(`Ignoring industryType filter (industry portal removed): ${industryType}`);
-    }
-
-    const selfIdWhere: any = {
+    const selfIdWhere: Prisma.InternshipApplicationWhereInput = {
       isSelfIdentified: true,
       student: { user: { active: true } },
     };
     if (search) {
-      selfIdWhere.companyName = { contains: search, mode: 'insensitive' };
+      selfIdWhere.OR = [
+        { companyName: { contains: search, mode: 'insensitive' } },
+        { company: { name: { contains: search, mode: 'insensitive' } } },
+      ];
     }
 
     const selfIdentifiedApps = await this.prisma.internshipApplication.findMany({
       where: selfIdWhere,
       select: {
         id: true,
+        companyId: true,
         companyName: true,
         companyAddress: true,
         companyContact: true,
         companyEmail: true,
+        company: { select: COMPANY_SUMMARY_SELECT },
         jobProfile: true,
         stipend: true,
         status: true,
@@ -193,27 +227,27 @@ export class StateIndustryService {
 
     const companyMap = new Map<string, any>();
 
-    // Process self-identified applications - group by company name
-    // Normalize key to ensure consistent grouping (lowercase, trim, replace hyphens/spaces)
+    // Process self-identified applications - group by registered company when linked,
+    // otherwise by the normalized free-text company name
     const selfIdCompanyMap = new Map<string, any>();
     selfIdentifiedApps.forEach((app) => {
       const companyName = app.companyName || 'Unknown Company';
-      const normalizedName = companyName.toLowerCase().trim().replace(/-/g, ' ').replace(/\s+/g, ' ');
-      const companyKey = `self-${normalizedName.replace(/\s+/g, '-')}`;
+      const companyKey = this.companyKey(app) || 'self-unknown-company';
+      const registered = app.company;
 
       if (!selfIdCompanyMap.has(companyKey)) {
         selfIdCompanyMap.set(companyKey, {
           id: companyKey,
-          companyName,
-          industryType: 'Self-Identified',
-          city: null,
-          state: null,
-          address: app.companyAddress,
-          email: app.companyEmail,
-          phone: app.companyContact,
-          isApproved: true,
-          isVerified: false,
-          isSelfIdentifiedCompany: true,
+          companyName: registered?.name ?? companyName,
+          industryType: registered ? registered.industryType || 'Registered' : 'Self-Identified',
+          city: registered?.city ?? null,
+          state: registered?.state ?? null,
+          address: registered?.address ?? app.companyAddress,
+          email: registered?.contactEmail ?? app.companyEmail,
+          phone: registered?.contactPhone ?? app.companyContact,
+          isApproved: registered ? registered.isActive : true,
+          isVerified: !!(registered?.gstin || registered?.cin),
+          isSelfIdentifiedCompany: !registered,
           totalStudents: 0,
           totalApplications: 0, // Track total applications (not deduplicated)
           institutionCount: 0,
@@ -255,7 +289,7 @@ export class StateIndustryService {
           stipend: app.stipend,
           status: app.status,
           hasJoiningLetter: !!app.joiningLetterUrl,
-          isSelfIdentified: true,
+          isSelfIdentified: app.isSelfIdentified,
         });
 
         const branch = student.user?.branchName || 'Unknown';
@@ -263,7 +297,7 @@ export class StateIndustryService {
       }
     });
 
-    // Finalize self-identified companies
+    // Finalize companies
     selfIdCompanyMap.forEach((company, key) => {
       const institutions = Array.from(company.institutionMap.values()).map((inst: any) => ({
         ...inst,
@@ -271,8 +305,8 @@ export class StateIndustryService {
         branchWiseData: Object.entries(inst.branchWise).map(([branch, count]) => ({ branch, count })),
       }));
 
-      // Only add if has students and not filtered by industryType (unless searching for self-identified)
-      if (institutions.length > 0 && (!industryType || industryType === 'Self-Identified')) {
+      // Only add if has students and matches the industryType filter
+      if (institutions.length > 0 && (!industryType || company.industryType === industryType)) {
         companyMap.set(key, {
           id: company.id,
           companyName: company.companyName,
@@ -327,7 +361,7 @@ export class StateIndustryService {
     const totalSelfIdentified = companies
       .filter(c => c.isSelfIdentifiedCompany)
       .reduce((sum, c) => sum + c.totalStudents, 0);
-    const uniqueIndustryTypes = ['Self-Identified'];
+    const uniqueIndustryTypes = Array.from(new Set(companies.map((c) => c.industryType))).sort();
 
     return {
       companies: paginatedCompanies,
@@ -349,24 +383,29 @@ export class StateIndustryService {
 
   /**
    * Get company details with all institutions and students
-   * NOTE: Industry portal removed; self-identified companies only.
+   * Accepts a registered company ID or a `self-<normalized name>` key for unlinked employers
    */
   async getCompanyDetails(companyId: string) {
-    if (!companyId.startsWith('self-')) {
+    const isRegistered = !companyId.startsWith('self-');
+    const registered = isRegistered
+      ? await this.prisma.company.findUnique({ where: { id: companyId }, select: COMPANY_SUMMARY_SELECT })
+      : null;
+    if (isRegistered && !registered) {
       throw new NotFoundException('Company not found');
     }
 
-    const normalizedKey = companyId.replace('self-', '');
-    const normalize = (name: string) => name.toLowerCase().trim().replace(/-/g, ' ').replace(/\s+/g, '-');
-
-    const allSelfIdApps = await this.prisma.internshipApplication.findMany({
-      where: {
-        isSelfIdentified: true,
-        companyName: { not: '' },
-        student: { user: { active: true } },
-      },
+    const candidateApps = await this.prisma.internshipApplication.findMany({
+      where: isRegistered
+        ? { companyId, student: { user: { active: true } } }
+        : {
+            isSelfIdentified: true,
+            companyId: null,
+            companyName: { not: '' },
+            student: { user: { active: true } },
+          },
       select: {
         id: true,
+        companyId: true,
         companyName: true,
         companyAddress: true,
         companyContact: true,
@@ -395,12 +434,11 @@ export class StateIndustryService {
       },
     });
 
-    const applications = allSelfIdApps.filter((app) => {
-      const companyName = app.companyName || 'Unknown Company';
-      return normalize(companyName) === normalizedKey;
-    });
+    const applications = isRegistered
+      ? candidateApps
+      : candidateApps.filter((app) => this.companyKey(app) === companyId);
 
-    if (applications.length === 0) {
+    if (applications.length === 0 && !registered) {
       throw new NotFoundException('Company not found');
     }
 
@@ -457,18 +495,70 @@ export class StateIndustryService {
 
     return {
       id: companyId,
-      companyName: firstApp.companyName,
-      industryType: 'Self-Identified',
-      address: firstApp.companyAddress,
-      email: firstApp.companyEmail,
-      phone: firstApp.companyContact,
-      hrName: firstApp.hrName,
-      isSelfIdentifiedCompany: true,
-      isApproved: true,
-      isVerified: false,
+      companyName: registered?.name ?? firstApp?.companyName,
+      industryType: registered ? registered.industryType || 'Registered' : 'Self-Identified',
+      city: registered?.city ?? null,
+      state: registered?.state ?? null,
+      address: registered?.address ?? firstApp?.companyAddress,
+      email: registered?.contactEmail ?? firstApp?.companyEmail,
+      phone: registered?.contactPhone ?? firstApp?.companyContact,
+      hrName: firstApp?.hrName,
+      gstin: registered?.gstin ?? null,
+      cin: registered?.cin ?? null,
+      isSelfIdentifiedCompany: !registered,
+      isApproved: registered ? registered.isActive : true,
+      isVerified: !!(registered?.gstin || registered?.cin),
       totalStudents: globalStudentSet.size,
       institutionCount: institutions.length,
       institutions,
     };
   }
+
+  // ==================== Industry Partners (registered companies) ====================
+
+  async getIndustryPartners(params: { page?: number; limit?: number; search?: string; isActive?: boolean }) {
+    return this.companyService.listCompanies(params);
+  }
+
+  async getIndustryPartner(id: string) {
+    return this.companyService.getCompany(id);
+  }
+
+  async createIndustryPartner(data: CompanyData, actor: CompanyActor) {
+    const company = await this.companyService.createCompany(data, actor);
+    await this.cache.invalidateByTags(['industries']);
+    return company;
+  }
+
+  async updateIndustryPartner(id: string, data: Partial<CompanyData>, actor: CompanyActor) {
+    const company = await this.companyService.updateCompany(id, data, actor);
+    await this.cache.invalidateByTags(['industries']);
+    return company;
+  }
+
+  async createIndustrySupervisor(companyId: string, data: CreateSupervisorData, actor: CompanyActor) {
+    return this.companyService.createSupervisor(companyId, data, actor);
+  }
+
+  async linkIndustryPartnerApplications(companyId: string, options: LinkApplicationsOptions, actor: CompanyActor) {
+    const result = await this.companyService.linkApplications(companyId, options, actor);
+    await this.cache.invalidateByTags(['industries']);
+    return result;
+  }
+
+  async unlinkIndustryPartnerApplication(applicationId: string, actor: CompanyActor) {
+    const result = await this.companyService.unlinkApplication(applicationId, actor);
+    await this.cache.invalidateByTags(['industries']);
+    return result;
+  }
+
+  async getCompanyDuplicates(options: DuplicateSearchOptions) {
+    return this.companyService.findDuplicates(options);
+  }
+
+  async mergeIndustryPartner(companyId: string, options: MergeCompaniesOptions, actor: CompanyActor) {
+    const result = await this.companyService.mergeCompanies(companyId, options, actor);
+    await this.cache.invalidateByTags(['industries']);
+    return result;
+  }
 }
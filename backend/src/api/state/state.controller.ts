@@ -27,6 +27,12 @@ import {
   UpdatePrincipalDto,
   CreateStaffDto,
   UpdateStaffDto,
+  CreateCompanyDto,
+  UpdateCompanyDto,
+  CreateCompanySupervisorDto,
+  LinkCompanyApplicationsDto,
+  MergeCompaniesDto,
+  CompanyDuplicatesQueryDto,
 } from './dto';
 
 @ApiTags('State Directorate')
@@ -186,6 +192,84 @@ export class StateController {
     return this.stateService.getCompanyDetails(id);
   }
 
+  // ==================== INDUSTRY PARTNERS (REGISTERED COMPANIES) ====================
+
+  @Get('industry-partners')
+  @ApiOperation({ summary: 'Get registered industry partner companies' })
+  async getIndustryPartners(
+    @Query('page') page?: string,
+    @Query('limit') limit?: string,
+    @Query('search') search?: string,
+    @Query('isActive') isActive?: string,
+  ) {
+    return this.stateService.getIndustryPartners({
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 20,
+      search,
+      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+    });
+  }
+
+  @Post('industry-partners')
+  @ApiOperation({ summary: 'Register an industry partner company' })
+  async createIndustryPartner(@Body() data: CreateCompanyDto, @Req() req) {
+    return this.stateService.createIndustryPartner(data, { userId: req.user.userId, role: req.user.role });
+  }
+
+  @Get('industry-partners/duplicates')
+  @ApiOperation({ summary: 'Find free-text company names that look like the same employer' })
+  async getCompanyDuplicates(@Query() query: CompanyDuplicatesQueryDto) {
+    return this.stateService.getCompanyDuplicates(query);
+  }
+
+  @Get('industry-partners/:id')
+  @ApiOperation({ summary: 'Get industry partner company with its supervisors' })
+  async getIndustryPartner(@Param('id') id: string) {
+    return this.stateService.getIndustryPartner(id);
+  }
+
+  @Put('industry-partners/:id')
+  @ApiOperation({ summary: 'Update industry partner company' })
+  async updateIndustryPartner(@Param('id') id: string, @Body() data: UpdateCompanyDto, @Req() req) {
+    return this.stateService.updateIndustryPartner(id, data, { userId: req.user.userId, role: req.user.role });
+  }
+
+  @Post('industry-partners/:id/supervisors')
+  @ApiOperation({ summary: 'Create an industry supervisor login for the company' })
+  async createIndustrySupervisor(
+    @Param('id') id: string,
+    @Body() data: CreateCompanySupervisorDto,
+    @Req() req,
+  ) {
+    return this.stateService.createIndustrySupervisor(id, data, { userId: req.user.userId, role: req.user.role });
+  }
+
+  @Post('industry-partners/:id/applications')
+  @ApiOperation({ summary: 'Link internship applications to the company' })
+  async linkIndustryPartnerApplications(
+    @Param('id') id: string,
+    @Body() data: LinkCompanyApplicationsDto,
+    @Req() req,
+  ) {
+    return this.stateService.linkIndustryPartnerApplications(id, data, { userId: req.user.userId, role: req.user.role });
+  }
+
+  @Post('industry-partners/:id/merge')
+  @ApiOperation({ summary: 'Merge company name variants and duplicate companies into this company' })
+  async mergeIndustryPartner(
+    @Param('id') id: string,
+    @Body() data: MergeCompaniesDto,
+    @Req() req,
+  ) {
+    return this.stateService.mergeIndustryPartner(id, data, { userId: req.user.userId, role: req.user.role });
+  }
+
+  @Delete('industry-partners/applications/:applicationId')
+  @ApiOperation({ summary: 'Unlink an internship application from its company' })
+  async unlinkIndustryPartnerApplication(@Param('applicationId') applicationId: string, @Req() req) {
+    return this.stateService.unlinkIndustryPartnerApplication(applicationId, { userId: req.user.userId, role: req.user.role });
+  }
+
   @Get('institutions/:id/faculty-principal')
   @ApiOperation({ summary: 'Get institution faculty and principal with stats' })
   async getInstitutionFacultyAndPrincipal(@Param('id') id: string) {
@@ -603,6 +687,92 @@ export class StateController {
     return this.stateService.getDeletedItemsSummary(institutionId);
   }
 
+  // ---------- Restore from backup ----------
+  // IMPORTANT: backup routes must come BEFORE the parameterized :type routes
+
+  private readonly VALID_BACKUP_RESTORE_TYPES = ['students', 'applications', 'monthly-reports', 'grievances'] as const;
+
+  private validateBackupRestoreType(type: string): type is 'students' | 'applications' | 'monthly-reports' | 'grievances' {
+    return this.VALID_BACKUP_RESTORE_TYPES.includes(type as any);
+  }
+
+  @Get('restore/backups')
+  @ApiOperation({ summary: 'List backups that can be browsed for record-level restore' })
+  async listRestorableBackups() {
+    return this.stateService.listRestorableBackups();
+  }
+
+  @Post('restore/backups/:backupId/open')
+  @ApiOperation({ summary: 'Load a backup into a temporary schema for browsing' })
+  async openBackup(
+    @Param('backupId') backupId: string,
+    @Req() req,
+  ) {
+    const openedBy = req.user?.userId || 'state-admin';
+    return this.stateService.openBackup(backupId, openedBy);
+  }
+
+  @Delete('restore/backups/:backupId')
+  @ApiOperation({ summary: 'Close a backup browse session' })
+  async closeBackup(@Param('backupId') backupId: string) {
+    return this.stateService.closeBackup(backupId);
+  }
+
+  @Get('restore/backups/:backupId/:type')
+  @ApiOperation({ summary: "Browse an institution's records in an open backup, diffed against live data" })
+  async browseBackupRecords(
+    @Param('backupId') backupId: string,
+    @Param('type') type: string,
+    @Query('institutionId') institutionId: string,
+    @Query('page') page?: string,
+    @Query('limit') limit?: string,
+    @Query('search') search?: string,
+    @Query('change') change?: string,
+  ) {
+    if (!this.validateBackupRestoreType(type)) {
+      throw new BadRequestException(
+        `Invalid type: ${type}. Valid types are: ${this.VALID_BACKUP_RESTORE_TYPES.join(', ')}`
+      );
+    }
+    if (!institutionId) {
+      throw new BadRequestException('institutionId is required');
+    }
+    if (change && !['deleted', 'modified', 'unchanged'].includes(change)) {
+      throw new BadRequestException('change must be one of: deleted, modified, unchanged');
+    }
+    return this.stateService.browseBackupRecords(backupId, type, {
+      institutionId,
+      page: page ? Number(page) : undefined,
+      limit: limit ? Number(limit) : undefined,
+      search,
+      change: change as 'deleted' | 'modified' | 'unchanged' | undefined,
+    });
+  }
+
+  @Post('restore/backups/:backupId/:type/restore')
+  @ApiOperation({ summary: 'Restore selected records from an open backup' })
+  async restoreBackupRecords(
+    @Param('backupId') backupId: string,
+    @Param('type') type: string,
+    @Body('ids') ids: string[],
+    @Req() req,
+  ) {
+    if (!this.validateBackupRestoreType(type)) {
+      throw new BadRequestException(
+        `Invalid type: ${type}. Valid types are: ${this.VALID_BACKUP_RESTORE_TYPES.join(', ')}`
+      );
+    }
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      throw new BadRequestException('ids must be a non-empty array of strings');
+    }
+    const invalidIds = ids.filter(id => typeof id !== 'string' || !id.trim());
+    if (invalidIds.length > 0) {
+      throw new BadRequestException('All ids must be non-empty strings');
+    }
+    const restoredBy = req.user?.userId || 'state-admin';
+    return this.stateService.restoreBackupRecords(backupId, type, ids, restoredBy);
+  }
+
   @Get('restore/:type')
   @ApiOperation({ summary: 'Get deleted items by type with pagination and filters' })
   async getDeletedItems(
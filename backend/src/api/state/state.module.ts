@@ -11,6 +11,7 @@ import { StateReportsService } from './services/state-reports.service';
 import { StateIndustryService } from './services/state-industry.service';
 import { StateMentorService } from './services/state-mentor.service';
 import { StateRestoreService } from './services/state-restore.service';
+import { StateBackupRestoreService } from './services/state-backup-restore.service';
 
 // Import domain modules for business logic reuse
 import { ReportModule } from '../../domain/report/report.module';
@@ -19,8 +20,10 @@ import { AcademicModule } from '../../domain/academic/academic.module';
 import { InstitutionModule } from '../../domain/institution/institution.module';
 import { InternshipModule } from '../../domain/internship/internship.module';
 import { UserModule } from '../../domain/user/user.module';
+import { CompanyModule } from '../../domain/company/company.module';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
 import { SharedModule } from '../shared/shared.module';
+import { SystemAdminModule } from '../system-admin/system-admin.module';
 
 @Module({
   imports: [
@@ -31,8 +34,10 @@ import { SharedModule } from '../shared/shared.module';
     InstitutionModule,
     InternshipModule, // For ExpectedCycleService (counter adjustments)
     UserModule,
+    CompanyModule, // For CompanyService (industry partner registry)
     AuditModule,
     SharedModule, // For LookupService
+    SystemAdminModule, // For BackupService (record restore from backups)
   ],
   controllers: [StateController],
   providers: [
@@ -47,6 +52,7 @@ import { SharedModule } from '../shared/shared.module';
     StateIndustryService,
     StateMentorService,
     StateRestoreService,
+    StateBackupRestoreService,
   ],
   exports: [StateService],
 })
@@ -8,8 +8,21 @@ import { StatePrincipalService } from './services/state-principal.service';
 import { StateStaffService } from './services/state-staff.service';
 import { StateReportsService } from './services/state-reports.service';
 import { StateIndustryService } from './services/state-industry.service';
+import {
+  CompanyData,
+  CreateSupervisorData,
+  LinkApplicationsOptions,
+  MergeCompaniesOptions,
+  DuplicateSearchOptions,
+  CompanyActor,
+} from '../../domain/company/company.service';
 import { StateMentorService } from './services/state-mentor.service';
 import { StateRestoreService, RestorableEntityType } from './services/state-restore.service';
+import {
+  StateBackupRestoreService,
+  BackupRestorableEntityType,
+  BackupRecordChange,
+} from './services/state-backup-restore.service';
 
 /**
  * State Service - Main facade that delegates to specialized sub-services
@@ -37,6 +50,7 @@ export class StateService {
     private readonly industryService: StateIndustryService,
     private readonly mentorService: StateMentorService,
     private readonly restoreService: StateRestoreService,
+    private readonly backupRestoreService: StateBackupRestoreService,
   ) {}
 
   // ==========================================
@@ -380,6 +394,42 @@ export class StateService {
     return this.industryService.getCompanyDetails(companyId);
   }
 
+  async getIndustryPartners(params: { page?: number; limit?: number; search?: string; isActive?: boolean }) {
+    return this.industryService.getIndustryPartners(params);
+  }
+
+  async getIndustryPartner(id: string) {
+    return this.industryService.getIndustryPartner(id);
+  }
+
+  async createIndustryPartner(data: CompanyData, actor: CompanyActor) {
+    return this.industryService.createIndustryPartner(data, actor);
+  }
+
+  async updateIndustryPartner(id: string, data: Partial<CompanyData>, actor: CompanyActor) {
+    return this.industryService.updateIndustryPartner(id, data, actor);
+  }
+
+  async createIndustrySupervisor(companyId: string, data: CreateSupervisorData, actor: CompanyActor) {
+    return this.industryService.createIndustrySupervisor(companyId, data, actor);
+  }
+
+  async linkIndustryPartnerApplications(companyId: string, options: LinkApplicationsOptions, actor: CompanyActor) {
+    return this.industryService.linkIndustryPartnerApplications(companyId, options, actor);
+  }
+
+  async unlinkIndustryPartnerApplication(applicationId: string, actor: CompanyActor) {
+    return this.industryService.unlinkIndustryPartnerApplication(applicationId, actor);
+  }
+
+  async getCompanyDuplicates(options: DuplicateSearchOptions) {
+    return this.industryService.getCompanyDuplicates(options);
+  }
+
+  async mergeIndustryPartner(companyId: string, options: MergeCompaniesOptions, actor: CompanyActor) {
+    return this.industryService.mergeIndustryPartner(companyId, options, actor);
+  }
+
   // ==========================================
   // MENTOR METHODS
   // ==========================================
@@ -441,4 +491,34 @@ export class StateService {
   async bulkRestore(type: RestorableEntityType, ids: string[], restoredBy?: string) {
     return this.restoreService.bulkRestore(type, ids, restoredBy);
   }
+
+  async listRestorableBackups() {
+    return this.backupRestoreService.listRestorableBackups();
+  }
+
+  async openBackup(backupId: string, openedBy?: string) {
+    return this.backupRestoreService.openBackup(backupId, openedBy);
+  }
+
+  async closeBackup(backupId: string) {
+    return this.backupRestoreService.closeBackup(backupId);
+  }
+
+  async browseBackupRecords(
+    backupId: string,
+    type: BackupRestorableEntityType,
+    params: {
+      institutionId: string;
+      page?: number;
+      limit?: number;
+      search?: string;
+      change?: BackupRecordChange;
+    },
+  ) {
+    return this.backupRestoreService.browseBackupRecords(backupId, type, params);
+  }
+
+  async restoreBackupRecords(backupId: string, type: BackupRestorableEntityType, ids: string[], restoredBy?: string) {
+    return this.backupRestoreService.restoreBackupRecords(backupId, type, ids, restoredBy);
+  }
 }
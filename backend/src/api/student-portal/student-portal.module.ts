@@ -5,9 +5,12 @@ import { ReportModule } from '../../domain/report/report.module';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
 import { FileStorageModule } from '../../infrastructure/file-storage/file-storage.module';
 import { InternshipModule } from '../../domain/internship/internship.module';
+import { CompanyModule } from '../../domain/company/company.module';
+import { CertificateModule } from '../../domain/certificate/certificate.module';
+import { SupportModule } from '../../domain/support/support.module';
 
 @Module({
-  imports: [ReportModule, AuditModule, FileStorageModule, InternshipModule],
+  imports: [ReportModule, AuditModule, FileStorageModule, InternshipModule, CompanyModule, CertificateModule, SupportModule],
   controllers: [StudentController],
   providers: [StudentService],
   exports: [StudentService],
@@ -12,7 +12,9 @@ import {
   UseInterceptors,
   UploadedFile,
   BadRequestException,
+  Res,
 } from '@nestjs/common';
+import { Response } from 'express';
 import { Throttle } from '@nestjs/throttler';
 import { THROTTLE_PRESETS } from '../../core/config/throttle.config';
 import { ApiTags, ApiOperation, ApiResponse, ApiBearerAuth, ApiConsumes } from '@nestjs/swagger';
@@ -136,6 +138,19 @@ export class StudentController {
     return this.studentService.updateSelfIdentifiedApplication(req.user.userId, id, updateDto);
   }
 
+  @Get('applications/:id/certificate')
+  @Roles(Role.STUDENT)
+  @ApiOperation({ summary: 'Download internship completion certificate' })
+  @ApiResponse({ status: 200, description: 'Certificate PDF' })
+  async downloadCertificate(@Req() req, @Param('id') id: string, @Res() res: Response) {
+    const { certificate, buffer } = await this.studentService.downloadCertificate(req.user.userId, id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateNumber}.pdf"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.end(buffer);
+  }
+
   @Put('applications/:id/joining-letter')
   @Roles(Role.STUDENT)
   @ApiOperation({ summary: 'Upload or replace joining letter' })
@@ -199,6 +214,14 @@ export class StudentController {
     return this.studentService.submitSelfIdentified(req.user.userId, selfIdentifiedDto);
   }
 
+  @Get('self-identified/company-suggestions')
+  @Roles(Role.STUDENT)
+  @ApiOperation({ summary: 'Suggest registered companies matching a typed company name' })
+  @ApiResponse({ status: 200, description: 'Matching companies with contact details' })
+  async suggestCompanies(@Query('q') query?: string) {
+    return this.studentService.suggestCompanies(query || '');
+  }
+
   @Get('self-identified')
   @Roles(Role.STUDENT)
   @ApiOperation({ summary: 'Get self-identified internships' })
@@ -264,6 +287,14 @@ export class StudentController {
     return this.studentService.viewMonthlyReport(req.user.userId, id);
   }
 
+  @Get('monthly-reports/:id/annotations')
+  @Roles(Role.STUDENT)
+  @ApiOperation({ summary: 'Get mentor annotations on a monthly report file' })
+  @ApiResponse({ status: 200, description: 'Annotations retrieved successfully' })
+  async getMonthlyReportAnnotations(@Req() req, @Param('id') id: string, @Query('version') version?: string) {
+    return this.studentService.getMonthlyReportAnnotations(req.user.userId, id, version ? Number(version) : undefined);
+  }
+
   @Get('applications/:id/reports')
   @Roles(Role.STUDENT)
   @ApiOperation({ summary: 'Get monthly reports with status for an application' })
@@ -295,6 +326,12 @@ export class StudentController {
     const profile = await this.studentService.getProfile(req.user.userId);
     const reportMonth = parseInt(reportDto.reportMonth, 10);
     const reportYear = parseInt(reportDto.reportYear, 10);
+    const revision = await this.studentService.getNextReportVersion(
+      req.user.userId,
+      reportDto.applicationId,
+      reportMonth,
+      reportYear,
+    );
 
     // Get institution name for folder structure (Student has direct Institution relation)
     const institutionName = (profile as any).Institution?.name || 'default';
@@ -310,6 +347,7 @@ export class StudentController {
       documentType: 'monthly-report',
       month: monthNames[reportMonth - 1],
       year: reportYear.toString(),
+      revision,
     });
 
     return this.studentService.uploadReportFile(req.user.userId, {
@@ -0,0 +1,150 @@
+import { NotFoundException } from '@nestjs/common';
+import { AuditAction, MonthlyReportStatus, Role } from '../../generated/prisma/client';
+import { MonthlyReportService } from '../../domain/report/monthly/monthly-report.service';
+import { StudentService } from './student.service';
+
+const submittedAt = new Date('2026-02-05T09:00:00.000Z');
+
+const student = { id: 'student-1', institutionId: 'inst-1', user: { name: 'Asha', role: Role.STUDENT } };
+
+function createService() {
+  // A January report that was submitted once and sent back by the mentor
+  const report: Record<string, any> = {
+    id: 'report-1',
+    studentId: 'student-1',
+    reportMonth: 1,
+    reportYear: 2026,
+    status: MonthlyReportStatus.REVISION_REQUIRED,
+    isApproved: false,
+    currentVersion: 1,
+    reportFileUrl: 'reports/january-v1.pdf',
+    content: null,
+    contentVersion: 1,
+    submittedAt,
+  };
+  const versions: Record<string, any>[] = [
+    { id: 'version-1', reportId: 'report-1', versionNumber: 1, reportFileUrl: 'reports/january-v1.pdf' },
+  ];
+
+  const prisma: any = {
+    monthlyReport: {
+      update: jest.fn(async ({ data }: any) => {
+        for (const [key, value] of Object.entries(data)) {
+          report[key] = value && typeof value === 'object' && 'increment' in value
+            ? report[key] + (value as any).increment
+            : value;
+        }
+        return { ...report };
+      }),
+    },
+    monthlyReportVersion: {
+      create: jest.fn(async ({ data }: any) => {
+        const version = { id: `version-${data.versionNumber}`, ...data };
+        versions.push(version);
+        return version;
+      }),
+    },
+  };
+  prisma.$transaction = jest.fn(async (callback: any) => callback(prisma));
+
+  const auditService: any = { log: jest.fn(async () => null) };
+  const cache: any = { invalidateByTags: jest.fn(async () => undefined) };
+  const monthlyReportService = new MonthlyReportService(prisma, {} as any, auditService);
+  const service = new StudentService(
+    prisma,
+    cache,
+    {} as any,
+    {} as any,
+    auditService,
+    {} as any,
+    {} as any,
+    {} as any,
+    monthlyReportService,
+    {} as any,
+  );
+
+  return { service, prisma, auditService, report, versions };
+}
+
+describe('StudentService.resubmitMonthlyReport', () => {
+  const resubmit = (service: StudentService, report: Record<string, any>, reportFileUrl?: string) =>
+    (service as any).resubmitMonthlyReport('student-user-1', student, { ...report }, { reportFileUrl, contentData: null });
+
+  it('returns a report sent back for revision to the mentor as a new version', async () => {
+    const { service, report, versions, auditService } = createService();
+
+    const result = await resubmit(service, report, 'reports/january-v2.pdf');
+
+    expect(result).toMatchObject({
+      status: MonthlyReportStatus.SUBMITTED,
+      isApproved: false,
+      currentVersion: 2,
+      reportFileUrl: 'reports/january-v2.pdf',
+      autoApproved: false,
+    });
+    expect(versions.map(({ versionNumber, reportFileUrl }) => ({ versionNumber, reportFileUrl }))).toEqual([
+      { versionNumber: 1, reportFileUrl: 'reports/january-v1.pdf' },
+      { versionNumber: 2, reportFileUrl: 'reports/january-v2.pdf' },
+    ]);
+    expect(versions[1].submittedBy).toBe('student-user-1');
+    expect(auditService.log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: AuditAction.MONTHLY_REPORT_SUBMIT,
+        oldValues: { status: MonthlyReportStatus.REVISION_REQUIRED, version: 1 },
+        newValues: expect.objectContaining({ status: MonthlyReportStatus.SUBMITTED, version: 2 }),
+      }),
+    );
+  });
+
+  it('keeps the original submission date so lateness is judged on the first submission', async () => {
+    const { service, prisma, report } = createService();
+
+    await resubmit(service, report, 'reports/january-v2.pdf');
+
+    expect(prisma.monthlyReport.update.mock.calls[0][0].data).not.toHaveProperty('submittedAt');
+    expect(report.submittedAt).toBe(submittedAt);
+  });
+
+  it('keeps the previous file when only the form answers change', async () => {
+    const { service, report, versions } = createService();
+
+    await resubmit(service, report);
+
+    expect(report.reportFileUrl).toBe('reports/january-v1.pdf');
+    expect(versions[1]).toMatchObject({ versionNumber: 2, reportFileUrl: 'reports/january-v1.pdf' });
+  });
+});
+
+describe('StudentService.getMonthlyReportAnnotations', () => {
+  it('shows mentor annotations only on reports of the signed-in student', async () => {
+    const prisma: any = {
+      student: { findUnique: jest.fn(async () => ({ id: 'student-1' })) },
+      monthlyReport: {
+        findFirst: jest.fn(async ({ where }: any) =>
+          where.id === 'report-1' && where.studentId === 'student-1' && !where.isDeleted ? { id: 'report-1' } : null,
+        ),
+      },
+    };
+    const monthlyReportService: any = { getAnnotations: jest.fn(async () => ({ annotations: [] })) };
+    const service = new StudentService(
+      prisma,
+      {} as any,
+      {} as any,
+      {} as any,
+      {} as any,
+      {} as any,
+      {} as any,
+      {} as any,
+      monthlyReportService,
+      {} as any,
+    );
+
+    await service.getMonthlyReportAnnotations('student-user-1', 'report-1', 1);
+    await expect(service.getMonthlyReportAnnotations('student-user-1', 'report-of-someone-else')).rejects.toThrow(
+      new NotFoundException('Report not found'),
+    );
+
+    expect(monthlyReportService.getAnnotations).toHaveBeenCalledTimes(1);
+    expect(monthlyReportService.getAnnotations).toHaveBeenCalledWith('report-1', 1);
+  });
+});
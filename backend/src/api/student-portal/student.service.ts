@@ -18,8 +18,14 @@ import {
   AuditCategory,
   AuditSeverity,
   Role,
+  GrievanceCategory,
+  GrievancePriority,
 } from "../../generated/prisma/client";
 import { AuditService } from "../../infrastructure/audit/audit.service";
+import { CompanyService } from "../../domain/company/company.service";
+import { CertificateService } from "../../domain/certificate/certificate.service";
+import { MonthlyReportService } from "../../domain/report/monthly/monthly-report.service";
+import { GrievanceService } from "../../domain/support/grievance/grievance.service";
 import {
   calculateExpectedMonths,
   MonthlyCycle,
@@ -27,6 +33,11 @@ import {
   MONTHLY_CYCLE,
   getMonthName,
 } from "../../common/utils/monthly-cycle.util";
+import {
+  MONTHLY_REPORT_CONTENT_VERSION,
+  normalizeMonthlyReportContent,
+  monthlyReportContentToText,
+} from "../../domain/report/monthly/monthly-report-content.util";
 
 // Month names for display
 const MONTH_NAMES = [
@@ -63,7 +74,11 @@ export class StudentService {
     private readonly redisCache: CacheService,
     private readonly facultyVisitService: FacultyVisitService,
     private readonly auditService: AuditService,
-    private readonly expectedCycleService: ExpectedCycleService
+    private readonly expectedCycleService: ExpectedCycleService,
+    private readonly companyService: CompanyService,
+    private readonly certificateService: CertificateService,
+    private readonly monthlyReportService: MonthlyReportService,
+    private readonly grievanceService: GrievanceService
   ) {}
 
   // REMOVED: calculateExpectedReportPeriods function - was used by removed generateExpectedReports
@@ -837,6 +852,9 @@ export class StudentService {
         mentor: true,
         monthlyReports: true,
         facultyVisitLogs: true,
+        certificate: {
+          select: { certificateNumber: true, verificationCode: true, issuedAt: true, revokedAt: true },
+        },
       },
     });
 
@@ -852,6 +870,34 @@ export class StudentService {
     return application;
   }
 
+  /**
+   * Completion certificate PDF for one of the student's completed internships
+   */
+  async downloadCertificate(userId: string, applicationId: string) {
+    const student = await this.prisma.student.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+
+    if (!student) {
+      throw new NotFoundException("Student not found");
+    }
+
+    const application = await this.prisma.internshipApplication.findUnique({
+      where: { id: applicationId },
+      select: { studentId: true },
+    });
+
+    if (!application || application.studentId !== student.id) {
+      throw new NotFoundException("Application not found");
+    }
+
+    return this.certificateService.renderCertificatePdf(applicationId, {
+      userId,
+      role: Role.STUDENT,
+    });
+  }
+
   /**
    * Withdraw an application
    */
@@ -1010,13 +1056,15 @@ export class StudentService {
     if (updateDto.jobProfile !== undefined)
       updateData.jobProfile = updateDto.jobProfile;
 
-    // Handle joining letter
+    // Handle joining letter (a replaced or deleted letter loses its approval code)
     if (updateDto.deleteJoiningLetter) {
       updateData.joiningLetterUrl = null;
       updateData.joiningLetterUploadedAt = null;
+      updateData.joiningLetterVerificationCode = null;
     } else if (updateDto.joiningLetterUrl !== undefined) {
       updateData.joiningLetterUrl = updateDto.joiningLetterUrl;
       updateData.joiningLetterUploadedAt = new Date();
+      updateData.joiningLetterVerificationCode = null;
     }
 
     const updated = await this.prisma.internshipApplication.update({
@@ -1084,8 +1132,12 @@ export class StudentService {
       jobProfile?: string;
       joiningLetterUrl?: string;
       coverLetter?: string;
+      // Registered company picked from the name suggestions
+      companyId?: string;
     }
   ) {
+    const { companyId: selectedCompanyId, ...applicationData } = selfIdentifiedDto;
+
     const student = await this.prisma.student.findUnique({
       where: { userId },
       include: { user: true },
@@ -1145,6 +1197,11 @@ export class StudentService {
     // If joiningLetterUrl is provided, auto-approve joining as well
     const hasJoiningLetter = !!selfIdentifiedDto.joiningLetterUrl;
     const now = new Date();
+    // Link to the registered company when the student picked one or typed a known spelling
+    const companyId = await this.companyService.resolveCompanyId(
+      selfIdentifiedDto.companyName,
+      selectedCompanyId
+    );
     const application = await this.prisma.internshipApplication.create({
       data: {
         studentId,
@@ -1155,7 +1212,8 @@ export class StudentService {
         reviewedAt: now,
         joiningLetterUploadedAt: hasJoiningLetter ? now : null,
         joiningDate: hasJoiningLetter ? now : null,
-        ...selfIdentifiedDto,
+        ...applicationData,
+        companyId,
       },
     });
 
@@ -1175,6 +1233,7 @@ export class StudentService {
         newValues: {
           applicationId: application.id,
           companyName: selfIdentifiedDto.companyName,
+          companyId,
           isSelfIdentified: true,
           status: ApplicationStatus.APPROVED,
           startDate: selfIdentifiedDto.startDate,
@@ -1188,6 +1247,13 @@ export class StudentService {
     return application;
   }
 
+  /**
+   * Suggest registered companies while the student types the company name
+   */
+  async suggestCompanies(query: string) {
+    return this.companyService.suggestCompanies(query);
+  }
+
   /**
    * Get self-identified internship applications
    */
@@ -1255,6 +1321,9 @@ export class StudentService {
    * - If a DRAFT report exists, update it with file and auto-approve
    * - If no report exists, create and auto-approve
    * - Check submission window and mark overdue if applicable
+   * - Accepts a file, structured content, or both
+   * - Every submission is kept as a version; resubmitting after a mentor's review
+   *   goes back to the mentor and keeps the original submission date
    */
   async submitMonthlyReport(
     userId: string,
@@ -1262,7 +1331,8 @@ export class StudentService {
       applicationId: string;
       reportMonth: number;
       reportYear: number;
-      reportFileUrl: string; // Required for submission
+      reportFileUrl?: string;
+      content?: unknown; // Structured report answers
       monthName?: string;
     }
   ) {
@@ -1277,9 +1347,10 @@ export class StudentService {
 
     const studentId = student.id;
 
-    // Require file URL for submission
-    if (!reportDto.reportFileUrl) {
-      throw new BadRequestException("Report file is required for submission");
+    // Require a file or the structured form for submission
+    const contentData = this.toReportContentData(reportDto.content);
+    if (!reportDto.reportFileUrl && !contentData) {
+      throw new BadRequestException("Upload a report file or fill in the report form to submit");
     }
 
     // Verify application belongs to student
@@ -1375,6 +1446,9 @@ export class StudentService {
     );
     const now = new Date();
     const isOverdue = now > submissionWindowEnd;
+    const daysLate = isOverdue
+      ? Math.ceil((now.getTime() - submissionWindowEnd.getTime()) / (24 * 60 * 60 * 1000))
+      : null;
 
     // If report already exists
     if (existingReport) {
@@ -1383,6 +1457,14 @@ export class StudentService {
         throw new BadRequestException("Report has already been approved");
       }
 
+      // Already submitted once: this is a new version of the same report
+      if (existingReport.currentVersion > 0) {
+        return this.resubmitMonthlyReport(userId, student, existingReport, {
+          reportFileUrl: reportDto.reportFileUrl,
+          contentData,
+        });
+      }
+
       // Calculate period dates if not already set
       const periodStartDate =
         existingReport.periodStartDate ||
@@ -1395,7 +1477,8 @@ export class StudentService {
       const updated = await this.prisma.monthlyReport.update({
         where: { id: existingReport.id },
         data: {
-          reportFileUrl: reportDto.reportFileUrl,
+          reportFileUrl: reportDto.reportFileUrl ?? existingReport.reportFileUrl,
+          ...contentData,
           monthName:
             reportDto.monthName || MONTH_NAMES[reportDto.reportMonth - 1],
           status: MonthlyReportStatus.APPROVED, // AUTO-APPROVAL
@@ -1410,9 +1493,13 @@ export class StudentService {
           periodStartDate,
           periodEndDate,
           isOverdue,
+          isLateSubmission: isOverdue,
+          daysLate,
         },
       });
 
+      await this.monthlyReportService.createVersion(updated.id, userId);
+
       // Audit monthly report submission (update)
       this.auditService
         .log({
@@ -1433,6 +1520,7 @@ export class StudentService {
             status: MonthlyReportStatus.APPROVED,
             isOverdue,
             autoApproved: true,
+            structured: !!contentData,
           },
         })
         .catch(() => {});
@@ -1475,6 +1563,7 @@ export class StudentService {
         reportMonth: reportDto.reportMonth,
         reportYear: reportDto.reportYear,
         reportFileUrl: reportDto.reportFileUrl,
+        ...contentData,
         monthName:
           reportDto.monthName || MONTH_NAMES[reportDto.reportMonth - 1],
         status: MonthlyReportStatus.APPROVED, // AUTO-APPROVAL
@@ -1487,9 +1576,13 @@ export class StudentService {
         periodStartDate,
         periodEndDate,
         isOverdue,
+        isLateSubmission: isOverdue,
+        daysLate,
       },
     });
 
+    await this.monthlyReportService.createVersion(report.id, userId);
+
     // Audit monthly report submission (create)
     this.auditService
       .log({
@@ -1510,6 +1603,7 @@ export class StudentService {
           status: MonthlyReportStatus.APPROVED,
           isOverdue,
           autoApproved: true,
+          structured: !!contentData,
         },
       })
       .catch(() => {});
@@ -1528,6 +1622,88 @@ export class StudentService {
     };
   }
 
+  /**
+   * Submit a new version of a report that was already submitted, typically after the
+   * mentor asked for a revision. The report goes back to the mentor for review and keeps
+   * its original submission date and late-submission flags, so revising does not make a
+   * report late (or on time) after the fact. Submission counters are not touched because
+   * the month was already counted.
+   */
+  private async resubmitMonthlyReport(
+    userId: string,
+    student: { id: string; institutionId: string | null; user: { name: string; role: Role | null } },
+    existingReport: { id: string; reportMonth: number; reportYear: number; status: MonthlyReportStatus; currentVersion: number; reportFileUrl: string | null },
+    changes: {
+      reportFileUrl?: string;
+      contentData: ReturnType<StudentService["toReportContentData"]>;
+    }
+  ) {
+    const updated = await this.prisma.monthlyReport.update({
+      where: { id: existingReport.id },
+      data: {
+        reportFileUrl: changes.reportFileUrl ?? existingReport.reportFileUrl,
+        ...changes.contentData,
+        status: MonthlyReportStatus.SUBMITTED,
+        isApproved: false,
+        approvedAt: null,
+      },
+    });
+
+    const version = await this.monthlyReportService.createVersion(updated.id, userId);
+
+    this.auditService
+      .log({
+        action: AuditAction.MONTHLY_REPORT_SUBMIT,
+        entityType: "MonthlyReport",
+        entityId: updated.id,
+        userId,
+        userName: student.user.name,
+        userRole: student.user.role || Role.STUDENT,
+        description: `Monthly report resubmitted for ${MONTH_NAMES[existingReport.reportMonth - 1]} ${existingReport.reportYear} (version ${version.versionNumber})`,
+        category: AuditCategory.INTERNSHIP_WORKFLOW,
+        severity: AuditSeverity.LOW,
+        institutionId: student.institutionId || undefined,
+        oldValues: { status: existingReport.status, version: existingReport.currentVersion },
+        newValues: {
+          reportId: updated.id,
+          status: updated.status,
+          version: version.versionNumber,
+          structured: !!changes.contentData,
+        },
+      })
+      .catch(() => {});
+
+    await this.cache.invalidateByTags(["reports", `student:${student.id}`, `student:dashboard:${student.id}`]);
+
+    return {
+      ...updated,
+      currentVersion: version.versionNumber,
+      message: "Report resubmitted for mentor review",
+      autoApproved: false,
+    };
+  }
+
+  /**
+   * Validate structured report answers and map them onto the MonthlyReport columns.
+   * Returns null when the form was left empty.
+   */
+  private toReportContentData(rawContent: unknown) {
+    let content;
+    try {
+      content = normalizeMonthlyReportContent(rawContent);
+    } catch (error) {
+      throw new BadRequestException(`Invalid report form: ${error.message}`);
+    }
+
+    if (!content) return null;
+
+    return {
+      content: content as unknown as Prisma.InputJsonObject,
+      contentVersion: MONTHLY_REPORT_CONTENT_VERSION,
+      contentText: monthlyReportContentToText(content),
+    };
+  }
+
   /**
    * Update a monthly report (student-owned)
    */
@@ -1536,6 +1712,7 @@ export class StudentService {
     id: string,
     reportDto: {
       reportFileUrl?: string;
+      content?: unknown;
       monthName?: string;
       status?: MonthlyReportStatus;
       reviewComments?: string;
@@ -1566,10 +1743,31 @@ export class StudentService {
       status: existing.status,
     };
 
+    // Submitted versions are immutable; changes go through resubmission
+    if (
+      existing.currentVersion > 0 &&
+      (reportDto.reportFileUrl !== undefined || reportDto.content !== undefined)
+    ) {
+      throw new BadRequestException(
+        "This report has already been submitted. Resubmit it to add a new version instead of editing it"
+      );
+    }
+
+    // Sending content: null clears the structured form; leaving it out keeps it
+    const contentData =
+      reportDto.content !== undefined ? this.toReportContentData(reportDto.content) : undefined;
+    const hasFile = reportDto.reportFileUrl ?? existing.reportFileUrl;
+    const hasContent = contentData !== undefined ? !!contentData : !!existing.content;
+    if (existing.submittedAt && !hasFile && !hasContent) {
+      throw new BadRequestException("A submitted report needs a file or a filled-in report form");
+    }
+
     const updated = await this.prisma.monthlyReport.update({
       where: { id },
       data: {
         reportFileUrl: reportDto.reportFileUrl,
+        ...(contentData !== undefined &&
+          (contentData ?? { content: Prisma.DbNull, contentVersion: null, contentText: null })),
         monthName: reportDto.monthName,
         status: reportDto.status,
         reviewComments: reportDto.reviewComments,
@@ -1594,7 +1792,7 @@ export class StudentService {
         severity: AuditSeverity.LOW,
         institutionId: student.institutionId || undefined,
         oldValues,
-        newValues: reportDto,
+        newValues: { ...reportDto, content: undefined, structured: hasContent },
       })
       .catch(() => {});
 
@@ -1957,6 +2155,7 @@ export class StudentService {
       preferredContactMethod?: string;
       attachments?: string[];
       assignedToId?: string;
+      isConfidential?: boolean;
     }
   ) {
     console.log(
@@ -1979,58 +2178,16 @@ export class StudentService {
 
     const studentId = student.id;
 
-    const grievance = await this.prisma.grievance.create({
-      data: {
-        studentId,
-        title: grievanceDto.title,
-        category: grievanceDto.category as any,
-        description: grievanceDto.description,
-        severity: (grievanceDto.severity as any) || "MEDIUM",
-        actionRequested: grievanceDto.actionRequested,
-        preferredContactMethod: grievanceDto.preferredContactMethod,
-        attachments: grievanceDto.attachments || [],
-        assignedToId: grievanceDto.assignedToId,
-        escalationLevel: "MENTOR",
-        status: "SUBMITTED",
-      },
+    // The grievance service handles mentor/committee assignment, SLA clocks,
+    // notifications and auditing, including the confidential track
+    const grievance = await this.grievanceService.submitGrievance(userId, {
+      ...grievanceDto,
+      category: grievanceDto.category as GrievanceCategory,
+      severity: grievanceDto.severity as GrievancePriority,
     });
 
-    // Audit grievance submission
-    this.auditService
-      .log({
-        action: AuditAction.GRIEVANCE_SUBMIT,
-        entityType: "Grievance",
-        entityId: grievance.id,
-        userId,
-        userName: student.user.name,
-        userRole: student.user.role || Role.STUDENT,
-        description: `Grievance submitted: ${grievanceDto.title} (${grievanceDto.category})`,
-        category: AuditCategory.INTERNSHIP_WORKFLOW,
-        severity:
-          grievanceDto.severity === "HIGH" ||
-          grievanceDto.severity === "CRITICAL"
-            ? AuditSeverity.HIGH
-            : AuditSeverity.MEDIUM,
-        institutionId: student.institutionId || undefined,
-        newValues: {
-          grievanceId: grievance.id,
-          title: grievanceDto.title,
-          category: grievanceDto.category,
-          severity: grievanceDto.severity || "MEDIUM",
-          status: "PENDING",
-        },
-      })
-      .catch(() => {});
-
     await this.cache.invalidateByTags(["grievances", `student:${studentId}`]);
 
-    // Invalidate Redis cache for assigned faculty so they see the new grievance
-    if (grievanceDto.assignedToId) {
-      await this.redisCache.del(
-        `grievances:faculty:${grievanceDto.assignedToId}`
-      );
-    }
-
     return grievance;
   }
 
@@ -2077,6 +2234,10 @@ export class StudentService {
           submittedDate: true,
           resolvedDate: true,
           resolution: true,
+          satisfactionRating: true,
+          satisfactionComment: true,
+          feedbackAt: true,
+          reopenCount: true,
           createdAt: true,
           updatedAt: true,
           // Internship and Industry models removed
@@ -2093,8 +2254,14 @@ export class StudentService {
       this.prisma.grievance.count({ where }),
     ]);
 
+    // Resolved grievances can be reopened for a configurable number of days
+    const reopenWindowDays = await this.grievanceService.getReopenWindowDays();
+
     return {
-      grievances,
+      grievances: grievances.map((g) => ({
+        ...g,
+        reopenUntil: this.grievanceService.getReopenDeadline(g, reopenWindowDays),
+      })),
       total,
       page,
       limit,
@@ -2252,6 +2419,7 @@ export class StudentService {
             // Internship and Industry models removed
           },
         },
+        versions: { orderBy: { versionNumber: "asc" } },
       },
     });
 
@@ -2269,6 +2437,50 @@ export class StudentService {
     };
   }
 
+  /**
+   * Mentor annotations on the student's own report file (latest version unless one is given)
+   */
+  async getMonthlyReportAnnotations(userId: string, reportId: string, version?: number) {
+    const student = await this.prisma.student.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+
+    if (!student) {
+      throw new NotFoundException("Student not found");
+    }
+
+    const report = await this.prisma.monthlyReport.findFirst({
+      where: { id: reportId, studentId: student.id, isDeleted: false },
+      select: { id: true },
+    });
+
+    if (!report) {
+      throw new NotFoundException("Report not found");
+    }
+
+    return this.monthlyReportService.getAnnotations(reportId, version);
+  }
+
+  /**
+   * Version number the next upload for a report month will become.
+   * Used to give each version its own stored file so earlier versions are never overwritten.
+   */
+  async getNextReportVersion(userId: string, applicationId: string, reportMonth: number, reportYear: number) {
+    const report = await this.prisma.monthlyReport.findFirst({
+      where: {
+        applicationId,
+        reportMonth,
+        reportYear,
+        isDeleted: false,
+        student: { userId },
+      },
+      select: { currentVersion: true },
+    });
+
+    return (report?.currentVersion ?? 0) + 1;
+  }
+
   /**
    * Upload report file and save as DRAFT (for cases where user wants to upload before submitting)
    */
@@ -2369,6 +2581,11 @@ export class StudentService {
         throw new BadRequestException("Approved reports cannot be modified");
       }
 
+      // Submitted versions stay as they were; the file is attached when the report is resubmitted
+      if (existingReport.currentVersion > 0) {
+        return { ...existingReport, reportFileUrl: reportDto.reportFileUrl };
+      }
+
       // Update existing report with file
       const updated = await this.prisma.monthlyReport.update({
         where: { id: existingReport.id },
@@ -1,4 +1,4 @@
-import { IsString, IsOptional, IsEnum, IsBoolean, Equals } from 'class-validator';
+import { IsString, IsOptional, IsEnum, IsBoolean, IsArray, Equals } from 'class-validator';
 
 export enum StorageType {
   MINIO = 'minio',
@@ -14,6 +14,11 @@ export class CreateBackupDto {
   @IsOptional()
   @IsEnum(StorageType)
   storageType?: StorageType = StorageType.BOTH;
+
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  tables?: string[]; // Limit the backup to these tables (omit for full database)
 }
 
 export class RestoreBackupDto {
@@ -27,6 +32,15 @@ export class RestoreBackupDto {
   @IsOptional()
   @IsBoolean()
   dropExisting?: boolean = true; // Whether to drop existing data (default true for full restore)
+
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  tables?: string[]; // Restore only these tables (merged into existing data)
+
+  @IsOptional()
+  @IsBoolean()
+  skipSafetySnapshot?: boolean = false; // Skip the automatic pre-restore snapshot
 }
 
 export class BackupResponseDto {
@@ -36,6 +50,11 @@ export class BackupResponseDto {
   size: number;
   storageLocations: string[];
   status: string;
+  format: string;
+  checksum?: string;
+  tables: string[];
+  isSafetySnapshot: boolean;
+  verifiedAt?: Date;
   createdAt: Date;
   createdById: string;
 }
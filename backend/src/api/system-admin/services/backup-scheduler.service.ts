@@ -15,6 +15,7 @@ export interface BackupScheduleConfig {
   cronExpression: string;
   storageType: StorageType;
   retentionDays: number;
+  tables: string[];
   isActive: boolean;
   lastRun?: Date;
   nextRun?: Date;
@@ -64,6 +65,7 @@ export class BackupSchedulerService implements OnModuleInit {
           cronExpression: config.cronExpression,
           storageType: config.storageType as StorageType,
           retentionDays: config.retentionDays,
+          tables: config.tables,
           isActive: config.isActive,
           lastRun: config.lastRun || undefined,
           createdAt: config.createdAt,
@@ -91,7 +93,7 @@ export class BackupSchedulerService implements OnModuleInit {
 
       const job = new CronJob(config.cronExpression, async () => {
         this.logger.log(`Running scheduled backup: ${config.name}`);
-        await this.executeScheduledBackup(config.id, config.storageType);
+        await this.executeScheduledBackup(config.id, config.storageType, config.tables);
       });
 
       this.schedulerRegistry.addCronJob(jobName, job);
@@ -111,12 +113,13 @@ export class BackupSchedulerService implements OnModuleInit {
   /**
    * Execute a scheduled backup
    */
-  private async executeScheduledBackup(scheduleId: string, storageType: StorageType) {
+  private async executeScheduledBackup(scheduleId: string, storageType: StorageType, tables: string[] = []) {
     try {
       const result = await this.backupService.createBackup(
         {
           description: `Scheduled backup: ${scheduleId}`,
           storageType,
+          tables,
         },
         'system',
         Role.SYSTEM_ADMIN,
@@ -174,6 +177,7 @@ export class BackupSchedulerService implements OnModuleInit {
         where: {
           createdAt: { lt: cutoffDate },
           description: { contains: 'Scheduled backup' },
+          isSafetySnapshot: false,
         },
       });
 
@@ -204,6 +208,7 @@ export class BackupSchedulerService implements OnModuleInit {
     retentionDays: number,
     userId: string,
     userRole: Role,
+    tables: string[] = [],
   ) {
     // Validate cron expression
     try {
@@ -218,6 +223,7 @@ export class BackupSchedulerService implements OnModuleInit {
         cronExpression,
         storageType,
         retentionDays,
+        tables,
         isActive: true,
         createdById: userId,
       },
@@ -229,6 +235,7 @@ export class BackupSchedulerService implements OnModuleInit {
       cronExpression: schedule.cronExpression,
       storageType: schedule.storageType as StorageType,
       retentionDays: schedule.retentionDays,
+      tables: schedule.tables,
       isActive: schedule.isActive,
       createdAt: schedule.createdAt,
       createdById: schedule.createdById,
@@ -255,7 +262,7 @@ export class BackupSchedulerService implements OnModuleInit {
    */
   async updateSchedule(
     scheduleId: string,
-    updates: Partial<{ name: string; cronExpression: string; storageType: StorageType; retentionDays: number; isActive: boolean }>,
+    updates: Partial<{ name: string; cronExpression: string; storageType: StorageType; retentionDays: number; tables: string[]; isActive: boolean }>,
     userId: string,
     userRole: Role,
   ) {
@@ -288,6 +295,7 @@ export class BackupSchedulerService implements OnModuleInit {
         cronExpression: schedule.cronExpression,
         storageType: schedule.storageType as StorageType,
         retentionDays: schedule.retentionDays,
+        tables: schedule.tables,
         isActive: schedule.isActive,
         lastRun: schedule.lastRun || undefined,
         createdAt: schedule.createdAt,
@@ -405,7 +413,7 @@ export class BackupSchedulerService implements OnModuleInit {
       description: `Manually triggered backup schedule: ${schedule.name}`,
     });
 
-    await this.executeScheduledBackup(scheduleId, schedule.storageType);
+    await this.executeScheduledBackup(scheduleId, schedule.storageType, schedule.tables);
 
     return { success: true, message: 'Backup triggered successfully' };
   }
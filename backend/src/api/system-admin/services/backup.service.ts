@@ -11,27 +11,99 @@ import { PrismaService } from '../../../core/database/prisma.service';
 import { FileStorageService } from '../../../infrastructure/file-storage/file-storage.service';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
 import { WebSocketService } from '../../../infrastructure/websocket/websocket.service';
-import { AuditAction, AuditCategory, AuditSeverity, BackupStatus, Role } from '../../../generated/prisma/client';
+import {
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  BackupRecord,
+  BackupStatus,
+  Prisma,
+  Role,
+} from '../../../generated/prisma/client';
 import { CreateBackupDto, StorageType } from '../dto/backup.dto';
 import { spawn } from 'child_process';
+import { createHash, randomBytes } from 'crypto';
+import { createReadStream } from 'fs';
 import * as fsPromises from 'fs/promises';
 import * as path from 'path';
+import * as readline from 'readline';
 
 // Timeout constants (in milliseconds)
 const BACKUP_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes for backup
 const RESTORE_TIMEOUT_MS = 60 * 60 * 1000; // 60 minutes for restore
 const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes for file download
 
+// pg_dump custom-format archives start with this magic string
+const PG_ARCHIVE_MAGIC = 'PGDMP';
+const PG_ARCHIVE_FORMAT = 'pg_custom';
+
+// Backup bookkeeping is never dumped, so a restore cannot erase the record it restores from
+const EXCLUDED_TABLES = ['backup_records', 'backup_schedules'];
+
+// TOC entry types restored into a scratch schema (indexes and foreign keys are not needed there)
+const SCRATCH_TOC_TYPES = [
+  'TYPE',
+  'DOMAIN',
+  'TABLE',
+  'SEQUENCE',
+  'SEQUENCE OWNED BY',
+  'SEQUENCE SET',
+  'DEFAULT',
+  'CONSTRAINT',
+  'TABLE DATA',
+];
+
+// Query parameters understood by Prisma but rejected by libpq
+const PRISMA_ONLY_URL_PARAMS = [
+  'schema',
+  'connection_limit',
+  'pool_timeout',
+  'pgbouncer',
+  'statement_cache_size',
+  'socket_timeout',
+];
+
+type PgTool = 'pg_dump' | 'pg_restore' | 'psql';
+
 // Initialization states
 type InitState = 'pending' | 'initializing' | 'ready' | 'failed';
 
+interface PgConnection {
+  uri: string; // libpq-compatible URI without the password
+  password?: string;
+  schema: string;
+}
+
+interface ArchiveTocEntry {
+  line: string;
+  type: string;
+  schema: string;
+  name: string;
+}
+
+export interface BackupTableVerification {
+  table: string;
+  expected: number | null; // Row count recorded when the backup was taken
+  restored: number; // Row count after restoring into the scratch schema
+  live: number | null; // Current row count in the live database
+  match: boolean;
+}
+
+export interface BackupVerificationResult {
+  passed: boolean;
+  checkedAt: Date;
+  scratchSchema: string;
+  checksumValid: boolean;
+  tables: BackupTableVerification[];
+}
+
 @Injectable()
 export class BackupService implements OnModuleInit {
   private readonly logger = new Logger(BackupService.name);
   private readonly backupDir: string;
   private readonly localBackupDir: string;
-  private mongoToolsAvailable: boolean = false;
-  private mongoToolPaths: { mongodump: string; mongorestore: string } | null = null;
+  private pgToolsAvailable: boolean = false;
+  private pgToolPaths: Record<PgTool, string> | null = null;
   private initState: InitState = 'pending';
   private initError: Error | null = null;
   private initPromise: Promise<void> | null = null;
@@ -58,7 +130,7 @@ export class BackupService implements OnModuleInit {
    * Initialize async operations after module is ready
    */
   async onModuleInit() {
-    this.initPromise = this.verifyMongoToolsAsync();
+    this.initPromise = this.verifyPgToolsAsync();
     await this.initPromise;
   }
 
@@ -85,33 +157,26 @@ export class BackupService implements OnModuleInit {
   }
 
   /**
-   * Verify MongoDB tools exist asynchronously on startup
+   * Verify PostgreSQL client tools exist asynchronously on startup
    */
-  private async verifyMongoToolsAsync(): Promise<void> {
+  private async verifyPgToolsAsync(): Promise<void> {
     this.initState = 'initializing';
 
     try {
-      const mongodumpPath = await this.resolveMongoToolPath('mongodump');
-      const mongorestorePath = await this.resolveMongoToolPath('mongorestore');
-
-      // Check if tools exist on Windows
-      if (process.platform === 'win32') {
-        const dumpExists = await this.fileExists(mongodumpPath);
-        const restoreExists = await this.fileExists(mongorestorePath);
-        this.mongoToolsAvailable = dumpExists && restoreExists;
-
-        if (this.mongoToolsAvailable) {
-          // Cache the resolved paths
-          this.mongoToolPaths = { mongodump: mongodumpPath, mongorestore: mongorestorePath };
-          this.logger.log('MongoDB tools verified successfully');
-        } else {
-          this.logger.warn('MongoDB tools not found at expected Windows path. Backup/restore may fail.');
-          this.logger.warn(`Expected path: C:\\Program Files\\MongoDB\\Tools\\100\\bin\\`);
-        }
-      } else {
-        // On Unix, assume tools are in PATH (will fail at runtime if not)
-        this.mongoToolsAvailable = true;
-        this.mongoToolPaths = { mongodump: 'mongodump', mongorestore: 'mongorestore' };
+      const paths = {
+        pg_dump: await this.resolvePgToolPath('pg_dump'),
+        pg_restore: await this.resolvePgToolPath('pg_restore'),
+        psql: await this.resolvePgToolPath('psql'),
+      };
+
+      try {
+        const version = await this.runPgTool(paths.pg_dump, ['--version'], 10000);
+        this.pgToolPaths = paths;
+        this.pgToolsAvailable = true;
+        this.logger.log(`PostgreSQL tools verified: ${version.trim()}`);
+      } catch (error) {
+        this.logger.warn(`PostgreSQL client tools not found (${error.message}). Backup/restore will fail.`);
+        this.logger.warn('Install postgresql-client or set PG_BIN_PATH to the directory containing pg_dump.');
       }
 
       this.initState = 'ready';
@@ -128,14 +193,11 @@ export class BackupService implements OnModuleInit {
    * Pre-flight validation before backup/restore operations
    */
   private async validatePreFlight(operation: 'backup' | 'restore'): Promise<void> {
-    // Check MongoDB tools availability
-    if (!this.mongoToolsAvailable) {
-      const mongodumpPath = await this.resolveMongoToolPath('mongodump');
-      if (process.platform === 'win32' && !(await this.fileExists(mongodumpPath))) {
-        throw new BadRequestException(
-          'MongoDB tools not installed. Please install MongoDB Database Tools from https://www.mongodb.com/try/download/database-tools'
-        );
-      }
+    // Check PostgreSQL tools availability
+    if (!this.pgToolsAvailable) {
+      throw new BadRequestException(
+        'PostgreSQL client tools (pg_dump, pg_restore, psql) not installed. Install postgresql-client or set PG_BIN_PATH.'
+      );
     }
 
     // Check database connectivity
@@ -185,10 +247,22 @@ export class BackupService implements OnModuleInit {
     this.logger.debug(`Backup directories configured: temp=${this.backupDir}, local=${this.localBackupDir}`);
   }
 
+  /**
+   * List the tables that can be selected for a per-table backup or restore
+   */
+  async listBackupTables() {
+    const { schema } = this.getConnection();
+    const tables = await this.getLiveTables(schema);
+    const rowCounts = await this.captureRowCounts(schema, tables);
+
+    return tables.map(table => ({ table, rowCount: rowCounts[table] ?? 0 }));
+  }
+
   async createBackup(
     dto: CreateBackupDto,
     userId: string,
     userRole: Role,
+    options: { isSafetySnapshot?: boolean } = {},
   ) {
     // Ensure service is initialized
     await this.ensureInitialized();
@@ -196,8 +270,12 @@ export class BackupService implements OnModuleInit {
     // Pre-flight validation
     await this.validatePreFlight('backup');
 
+    const connection = this.getConnection();
+    const tables = await this.resolveTables(connection.schema, dto.tables);
+
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `backup_${timestamp}.gz`;
+    const prefix = options.isSafetySnapshot ? 'safety' : 'backup';
+    const filename = `${prefix}_${timestamp}.dump`;
     const tempPath = path.join(this.backupDir, filename);
     const startTime = Date.now();
 
@@ -209,6 +287,9 @@ export class BackupService implements OnModuleInit {
         size: 0,
         storageLocations: [],
         status: BackupStatus.IN_PROGRESS,
+        format: PG_ARCHIVE_FORMAT,
+        tables,
+        isSafetySnapshot: options.isSafetySnapshot ?? false,
         createdById: userId,
       },
     });
@@ -222,20 +303,21 @@ export class BackupService implements OnModuleInit {
     });
 
     try {
-      // Execute mongodump with progress callback
-      const dbUrl = this.configService.get<string>('DATABASE_URL');
+      const countedTables = tables.length > 0 ? tables : await this.getLiveTables(connection.schema);
 
       this.wsService.sendBackupProgress({
         backupId: backupRecord.id,
         status: 'in_progress',
         progress: 15,
-        message: 'Executing database dump...',
+        message: tables.length > 0
+          ? `Executing database dump (${tables.length} tables)...`
+          : 'Executing database dump...',
       });
 
-      // Progress callback for mongodump
+      // Progress callback for pg_dump
       let dumpProgress = 15;
       const onDumpProgress = (message: string) => {
-        dumpProgress = Math.min(dumpProgress + 3, 45);
+        dumpProgress = Math.min(dumpProgress + 1, 45);
         this.wsService.sendBackupProgress({
           backupId: backupRecord.id,
           status: 'in_progress',
@@ -244,11 +326,18 @@ export class BackupService implements OnModuleInit {
         });
       };
 
-      await this.executeMongoDump(dbUrl, tempPath, onDumpProgress);
+      // Row counts (the verification baseline) and the dump see the same snapshot,
+      // so rows written while the backup runs never show up as a mismatch
+      const rowCounts = await this.withExportedSnapshot(async (snapshot, tx) => {
+        const counts = await this.captureRowCounts(connection.schema, countedTables, tx);
+        await this.executePgDump(connection, tempPath, tables, onDumpProgress, snapshot);
+        return counts;
+      });
 
-      // Get file size (async)
+      // Get file size and checksum (async)
       const stats = await fsPromises.stat(tempPath);
       const size = stats.size;
+      const checksum = await this.computeChecksum(tempPath);
 
       this.wsService.sendBackupProgress({
         backupId: backupRecord.id,
@@ -275,7 +364,7 @@ export class BackupService implements OnModuleInit {
           const uploadResult = await this.fileStorageService.uploadBuffer(
             buffer,
             filename,
-            { folder: 'backups', contentType: 'application/gzip' },
+            { folder: 'backups', contentType: 'application/octet-stream' },
           );
           minioKey = uploadResult.key;
           storageLocations.push('minio');
@@ -338,6 +427,8 @@ export class BackupService implements OnModuleInit {
           storageLocations,
           minioKey,
           localPath,
+          checksum,
+          rowCounts,
           status: BackupStatus.COMPLETED,
         },
       });
@@ -365,6 +456,7 @@ export class BackupService implements OnModuleInit {
         category: AuditCategory.SYSTEM,
         severity: AuditSeverity.HIGH,
         description: `Database backup created: ${filename} (${this.formatBytes(size)}) in ${duration}s`,
+        newValues: { tables: tables.length > 0 ? tables : 'ALL', checksum },
       });
 
       return {
@@ -463,11 +555,19 @@ export class BackupService implements OnModuleInit {
     throw new NotFoundException('Backup file not available');
   }
 
+  /**
+   * Restore the database from a backup.
+   *
+   * A full archive restored with dropExisting replaces every table in one transaction.
+   * Partial archives, table selections and non-destructive restores are loaded into a
+   * scratch schema first and merged row by row (upsert when dropExisting, insert-only otherwise).
+   */
   async restoreBackup(
     backupId: string,
     userId: string,
     userRole: Role,
     dropExisting: boolean = true,
+    options: { tables?: string[]; skipSafetySnapshot?: boolean } = {},
   ) {
     // Ensure service is initialized
     await this.ensureInitialized();
@@ -492,7 +592,16 @@ export class BackupService implements OnModuleInit {
       );
     }
 
+    this.assertRestorableFormat(backup);
+
+    const connection = this.getConnection();
+    const requestedTables = options.tables?.length
+      ? await this.resolveTables(connection.schema, options.tables)
+      : backup.tables;
+    const fullRestore = requestedTables.length === 0 && dropExisting;
+
     const tempPath = path.join(this.backupDir, `restore_${backup.filename}`);
+    let safetySnapshotId: string | undefined;
 
     // Emit initial progress
     this.logger.log(`Starting restore for backup ${backupId}, sending initial progress...`);
@@ -505,7 +614,30 @@ export class BackupService implements OnModuleInit {
     });
 
     try {
-      // Stage 1: Download/copy backup file
+      // Stage 1: Snapshot current state so the restore itself can be undone
+      if (!options.skipSafetySnapshot) {
+        this.wsService.sendRestoreProgress({
+          backupId,
+          status: 'in_progress',
+          stage: 'safety_snapshot',
+          progress: 8,
+          message: 'Taking pre-restore safety snapshot...',
+        });
+
+        const snapshot = await this.createBackup(
+          {
+            description: `Pre-restore safety snapshot before restoring ${backup.filename}`,
+            storageType: StorageType.BOTH,
+            tables: requestedTables,
+          },
+          userId,
+          userRole,
+          { isSafetySnapshot: true },
+        );
+        safetySnapshotId = snapshot.backup.id;
+      }
+
+      // Stage 2: Download/copy backup file
       this.wsService.sendRestoreProgress({
         backupId,
         status: 'in_progress',
@@ -514,58 +646,31 @@ export class BackupService implements OnModuleInit {
         message: 'Retrieving backup file...',
       });
 
-      if (backup.minioKey && backup.storageLocations.includes('minio')) {
-        this.logger.log(`Downloading backup from MinIO: ${backup.minioKey}`);
-        const buffer = await this.fileStorageService.getFile(backup.minioKey);
-        await fsPromises.writeFile(tempPath, buffer);
-        this.logger.log(`Backup downloaded: ${this.formatBytes(buffer.length)}`);
-      } else if (backup.localPath && backup.storageLocations.includes('local')) {
-        try {
-          await fsPromises.access(backup.localPath);
-        } catch {
-          throw new NotFoundException(`Local backup file not found: ${backup.localPath}`);
-        }
-        this.logger.log(`Copying local backup: ${backup.localPath}`);
-        await fsPromises.copyFile(backup.localPath, tempPath);
-      } else {
-        throw new NotFoundException('Backup file not available in any storage location');
-      }
-
-      // Verify file was retrieved (async)
-      let fileSize: number;
-      try {
-        const fileStats = await fsPromises.stat(tempPath);
-        fileSize = fileStats.size;
-        this.logger.log(`Backup file ready: ${this.formatBytes(fileSize)}`);
-      } catch {
-        throw new Error('Failed to retrieve backup file');
-      }
+      const fileSize = await this.retrieveArchive(backup, tempPath);
 
       this.wsService.sendRestoreProgress({
         backupId,
         status: 'in_progress',
         stage: 'downloading',
         progress: 30,
-        message: `Backup file retrieved (${this.formatBytes(fileSize)})`,
+        message: `Backup file retrieved and checksum verified (${this.formatBytes(fileSize)})`,
       });
 
-      // Stage 2: Execute mongorestore with progress tracking
+      // Stage 3: Execute pg_restore with progress tracking
       this.wsService.sendRestoreProgress({
         backupId,
         status: 'in_progress',
         stage: 'restoring',
         progress: 35,
-        message: dropExisting
+        message: fullRestore
           ? 'Restoring database (existing data will be replaced)...'
           : 'Restoring database (merging with existing data)...',
       });
 
-      const dbUrl = this.configService.get<string>('DATABASE_URL');
-
-      // Progress callback for mongorestore
+      // Progress callback for pg_restore
       let lastProgress = 35;
       const onProgress = (message: string) => {
-        lastProgress = Math.min(lastProgress + 5, 85);
+        lastProgress = Math.min(lastProgress + 1, 85);
         this.wsService.sendRestoreProgress({
           backupId,
           status: 'in_progress',
@@ -575,9 +680,21 @@ export class BackupService implements OnModuleInit {
         });
       };
 
-      await this.executeMongoRestore(dbUrl, tempPath, dropExisting, onProgress);
+      let mergedTables: { table: string; rows: number }[] | undefined;
+
+      if (fullRestore) {
+        await this.executePgRestore(connection, tempPath, onProgress);
+      } else {
+        const scratchSchema = this.createScratchSchemaName('restore');
+        try {
+          const tables = await this.restoreIntoScratchSchema(tempPath, scratchSchema, requestedTables, onProgress);
+          mergedTables = await this.mergeFromScratchSchema(scratchSchema, connection.schema, tables, dropExisting);
+        } finally {
+          await this.dropScratchSchema(scratchSchema);
+        }
+      }
 
-      // Stage 3: Finalization
+      // Stage 4: Finalization
       this.wsService.sendRestoreProgress({
         backupId,
         status: 'in_progress',
@@ -611,6 +728,12 @@ export class BackupService implements OnModuleInit {
         category: AuditCategory.SYSTEM,
         severity: AuditSeverity.CRITICAL,
         description: `Database restored from backup: ${backup.filename} (took ${duration}s)`,
+        newValues: {
+          mode: fullRestore ? 'full' : dropExisting ? 'merge_overwrite' : 'merge_insert_only',
+          tables: requestedTables.length > 0 ? requestedTables : 'ALL',
+          mergedTables,
+          safetySnapshotId,
+        },
       });
 
       // Emit completion
@@ -627,6 +750,8 @@ export class BackupService implements OnModuleInit {
         message: `Database restored successfully from ${backup.filename}`,
         restoredAt: new Date(),
         duration: `${duration}s`,
+        safetySnapshotId,
+        mergedTables,
       };
     } catch (error) {
       // Cleanup temp file if exists (async)
@@ -638,7 +763,9 @@ export class BackupService implements OnModuleInit {
         status: 'failed',
         stage: 'done',
         progress: 0,
-        message: `Restore failed: ${error.message}`,
+        message: safetySnapshotId
+          ? `Restore failed: ${error.message}. Safety snapshot ${safetySnapshotId} is available.`
+          : `Restore failed: ${error.message}`,
       });
 
       this.logger.error('Restore failed', error);
@@ -646,6 +773,97 @@ export class BackupService implements OnModuleInit {
     }
   }
 
+  /**
+   * Dry-run verification: restore the archive into a throwaway schema and compare
+   * the restored row counts with the counts recorded when the backup was taken.
+   * The live schema is never touched.
+   */
+  async verifyBackup(backupId: string, userId: string, userRole: Role): Promise<BackupVerificationResult> {
+    await this.ensureInitialized();
+    await this.validatePreFlight('restore');
+
+    const backup = await this.prisma.backupRecord.findUnique({
+      where: { id: backupId },
+    });
+
+    if (!backup) {
+      throw new NotFoundException('Backup not found');
+    }
+
+    this.assertRestorableFormat(backup);
+
+    const connection = this.getConnection();
+    const tempPath = path.join(this.backupDir, `verify_${backup.filename}`);
+    const scratchSchema = this.createScratchSchemaName('verify');
+
+    try {
+      await this.retrieveArchive(backup, tempPath);
+
+      const tables = await this.restoreIntoScratchSchema(tempPath, scratchSchema, backup.tables);
+      const restoredCounts = await this.captureRowCounts(scratchSchema, tables);
+      const liveTables = new Set(await this.getLiveTables(connection.schema));
+      const liveCounts = await this.captureRowCounts(
+        connection.schema,
+        tables.filter(table => liveTables.has(table)),
+      );
+      const expectedCounts = (backup.rowCounts as Record<string, number> | null) ?? {};
+
+      const tableResults: BackupTableVerification[] = tables.map(table => {
+        const expected = expectedCounts[table] ?? null;
+        const restored = restoredCounts[table] ?? 0;
+        return {
+          table,
+          expected,
+          restored,
+          live: liveCounts[table] ?? null,
+          match: expected === null || expected === restored,
+        };
+      });
+
+      const result: BackupVerificationResult = {
+        passed: tableResults.every(t => t.match),
+        checkedAt: new Date(),
+        scratchSchema,
+        checksumValid: true,
+        tables: tableResults,
+      };
+
+      await this.prisma.backupRecord.update({
+        where: { id: backupId },
+        data: {
+          verifiedAt: result.checkedAt,
+          verification: JSON.parse(JSON.stringify(result)),
+        },
+      });
+
+      const mismatches = tableResults.filter(t => !t.match);
+      await this.auditService.log({
+        action: AuditAction.SYSTEM_BACKUP,
+        entityType: 'Backup',
+        entityId: backupId,
+        userId,
+        userRole,
+        category: AuditCategory.SYSTEM,
+        severity: result.passed ? AuditSeverity.MEDIUM : AuditSeverity.HIGH,
+        description: result.passed
+          ? `Backup verified: ${backup.filename} (${tables.length} tables)`
+          : `Backup verification failed: ${backup.filename} (${mismatches.length} tables with mismatched row counts)`,
+        newValues: { passed: result.passed, mismatches },
+      });
+
+      return result;
+    } catch (error) {
+      if (error instanceof BadRequestException || error instanceof NotFoundException) {
+        throw error;
+      }
+      this.logger.error(`Backup verification failed for ${backupId}`, error);
+      throw new InternalServerErrorException(`Verification failed: ${error.message}`);
+    } finally {
+      await this.dropScratchSchema(scratchSchema);
+      await this.safeUnlink(tempPath);
+    }
+  }
+
   async uploadBackup(
     file: Express.Multer.File,
     userId: string,
@@ -655,24 +873,41 @@ export class BackupService implements OnModuleInit {
       throw new BadRequestException('No file provided');
     }
 
-    const filename = `uploaded_${Date.now()}_${file.originalname}`;
+    if (file.buffer.subarray(0, PG_ARCHIVE_MAGIC.length).toString('ascii') !== PG_ARCHIVE_MAGIC) {
+      throw new BadRequestException(
+        'Unsupported backup file. Only PostgreSQL custom-format archives (pg_dump --format=custom) can be uploaded.'
+      );
+    }
+
+    const filename = `uploaded_${Date.now()}_${path.basename(file.originalname)}`;
     const storageLocations: string[] = [];
+    const checksum = createHash('sha256').update(file.buffer).digest('hex');
 
     try {
+      // Store locally first so the archive can be inspected (async)
+      const localPath = path.join(this.localBackupDir, filename);
+      await this.ensureDirectoriesAsync();
+      await fsPromises.writeFile(localPath, file.buffer);
+      storageLocations.push('local');
+
+      // Reject truncated or corrupt archives before they can be restored
+      if (this.pgToolsAvailable) {
+        try {
+          await this.readArchiveToc(localPath);
+        } catch (error) {
+          await this.safeUnlink(localPath);
+          throw new BadRequestException(`Backup archive is not readable: ${error.message}`);
+        }
+      }
+
       // Upload to MinIO
       const uploadResult = await this.fileStorageService.uploadBuffer(
         file.buffer,
         filename,
-        { folder: 'backups', contentType: file.mimetype },
+        { folder: 'backups', contentType: 'application/octet-stream' },
       );
       storageLocations.push('minio');
 
-      // Also store locally (async)
-      const localPath = path.join(this.localBackupDir, filename);
-      await this.ensureDirectoriesAsync();
-      await fsPromises.writeFile(localPath, file.buffer);
-      storageLocations.push('local');
-
       // Create backup record
       const backupRecord = await this.prisma.backupRecord.create({
         data: {
@@ -682,6 +917,8 @@ export class BackupService implements OnModuleInit {
           storageLocations,
           minioKey: uploadResult.key,
           localPath,
+          format: PG_ARCHIVE_FORMAT,
+          checksum,
           status: BackupStatus.COMPLETED,
           createdById: userId,
         },
@@ -697,6 +934,7 @@ export class BackupService implements OnModuleInit {
         category: AuditCategory.SYSTEM,
         severity: AuditSeverity.HIGH,
         description: `Backup file uploaded: ${filename}`,
+        newValues: { checksum },
       });
 
       return {
@@ -705,6 +943,9 @@ export class BackupService implements OnModuleInit {
         message: 'Backup uploaded successfully',
       };
     } catch (error) {
+      if (error instanceof BadRequestException) {
+        throw error;
+      }
       this.logger.error('Failed to upload backup', error);
       throw new InternalServerErrorException(`Upload failed: ${error.message}`);
     }
@@ -905,6 +1146,332 @@ export class BackupService implements OnModuleInit {
     };
   }
 
+  /**
+   * Load a backup archive into a new scratch schema and return the tables whose data was restored.
+   * Callers own the schema and must drop it with dropScratchSchema().
+   */
+  async restoreIntoScratchSchema(
+    archivePath: string,
+    scratchSchema: string,
+    tables: string[] = [],
+    onProgress?: (message: string) => void,
+  ): Promise<string[]> {
+    await this.ensureInitialized();
+    if (!this.pgToolsAvailable) {
+      throw new BadRequestException('PostgreSQL client tools (pg_restore, psql) not installed.');
+    }
+
+    const connection = this.getConnection();
+    const toc = await this.readArchiveToc(archivePath);
+    const sourceSchema = toc.find(entry => entry.type === 'TABLE')?.schema ?? connection.schema;
+
+    const selected = new Set(tables);
+    const entries = toc.filter(entry =>
+      SCRATCH_TOC_TYPES.includes(entry.type) &&
+      !this.isExcludedEntry(entry) &&
+      (entry.type !== 'TABLE DATA' || selected.size === 0 || selected.has(entry.name)),
+    );
+    const restoredTables = entries.filter(entry => entry.type === 'TABLE DATA').map(entry => entry.name);
+
+    const missing = tables.filter(table => !restoredTables.includes(table));
+    if (missing.length > 0) {
+      throw new BadRequestException(`Backup does not contain data for: ${missing.join(', ')}`);
+    }
+
+    const listPath = `${archivePath}.${scratchSchema}.list`;
+    await fsPromises.writeFile(listPath, entries.map(entry => entry.line).join('\n'));
+
+    try {
+      await this.prisma.$executeRawUnsafe(`CREATE SCHEMA ${this.quoteIdent(scratchSchema)}`);
+      await this.executeScratchRestore(connection, archivePath, listPath, sourceSchema, scratchSchema, onProgress);
+    } finally {
+      await this.safeUnlink(listPath);
+    }
+
+    return restoredTables;
+  }
+
+  async dropScratchSchema(scratchSchema: string): Promise<void> {
+    try {
+      await this.prisma.$executeRawUnsafe(`DROP SCHEMA IF EXISTS ${this.quoteIdent(scratchSchema)} CASCADE`);
+    } catch (error) {
+      this.logger.warn(`Failed to drop scratch schema ${scratchSchema}: ${error.message}`);
+    }
+  }
+
+  createScratchSchemaName(purpose: string): string {
+    return `backup_${purpose}_${randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Copy the backup file to tempPath and check it against the recorded checksum
+   */
+  async retrieveArchive(backup: BackupRecord, tempPath: string): Promise<number> {
+    await this.ensureDirectoriesAsync();
+
+    if (backup.minioKey && backup.storageLocations.includes('minio')) {
+      this.logger.log(`Downloading backup from MinIO: ${backup.minioKey}`);
+      const buffer = await this.withTimeout(
+        this.fileStorageService.getFile(backup.minioKey),
+        DOWNLOAD_TIMEOUT_MS,
+        'Backup download',
+      );
+      await fsPromises.writeFile(tempPath, buffer);
+      this.logger.log(`Backup downloaded: ${this.formatBytes(buffer.length)}`);
+    } else if (backup.localPath && backup.storageLocations.includes('local')) {
+      try {
+        await fsPromises.access(backup.localPath);
+      } catch {
+        throw new NotFoundException(`Local backup file not found: ${backup.localPath}`);
+      }
+      this.logger.log(`Copying local backup: ${backup.localPath}`);
+      await fsPromises.copyFile(backup.localPath, tempPath);
+    } else {
+      throw new NotFoundException('Backup file not available in any storage location');
+    }
+
+    // Verify file was retrieved (async)
+    let fileSize: number;
+    try {
+      const fileStats = await fsPromises.stat(tempPath);
+      fileSize = fileStats.size;
+      this.logger.log(`Backup file ready: ${this.formatBytes(fileSize)}`);
+    } catch {
+      throw new Error('Failed to retrieve backup file');
+    }
+
+    if (backup.checksum) {
+      const checksum = await this.computeChecksum(tempPath);
+      if (checksum !== backup.checksum) {
+        throw new BadRequestException(
+          `Backup file checksum mismatch (expected ${backup.checksum}, got ${checksum}). The archive may be corrupted.`
+        );
+      }
+    }
+
+    return fileSize;
+  }
+
+  assertRestorableFormat(backup: BackupRecord): void {
+    if (backup.format !== PG_ARCHIVE_FORMAT) {
+      throw new BadRequestException(
+        `Backup ${backup.filename} is a '${backup.format}' archive and cannot be restored into PostgreSQL.`
+      );
+    }
+  }
+
+  /**
+   * Validate a table selection against the live schema. An empty selection means the full database.
+   */
+  private async resolveTables(schema: string, requested?: string[]): Promise<string[]> {
+    if (!requested || requested.length === 0) {
+      return [];
+    }
+
+    const available = new Set(await this.getLiveTables(schema));
+    const unknown = requested.filter(table => !available.has(table));
+    if (unknown.length > 0) {
+      throw new BadRequestException(`Unknown or non-backupable tables: ${unknown.join(', ')}`);
+    }
+
+    return Array.from(new Set(requested));
+  }
+
+  private async getLiveTables(schema: string): Promise<string[]> {
+    const rows = await this.prisma.$queryRawUnsafe<{ table_name: string }[]>(
+      `SELECT table_name FROM information_schema.tables
+       WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+       ORDER BY table_name`,
+      schema,
+    );
+
+    return rows.map(row => row.table_name).filter(table => !EXCLUDED_TABLES.includes(table));
+  }
+
+  private async captureRowCounts(
+    schema: string,
+    tables: string[],
+    client: Pick<Prisma.TransactionClient, '$queryRawUnsafe'> = this.prisma,
+  ): Promise<Record<string, number>> {
+    const counts: Record<string, number> = {};
+
+    for (const table of tables) {
+      const [row] = await client.$queryRawUnsafe<{ count: bigint }[]>(
+        `SELECT COUNT(*) AS count FROM ${this.quoteIdent(schema)}.${this.quoteIdent(table)}`,
+      );
+      counts[table] = Number(row?.count ?? 0);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Run an operation inside a REPEATABLE READ transaction whose snapshot is exported
+   * (pg_export_snapshot) for pg_dump --snapshot. The transaction stays open until the
+   * operation finishes, as pg_dump needs the exporting transaction while it starts.
+   */
+  private withExportedSnapshot<T>(
+    operation: (snapshot: string, tx: Prisma.TransactionClient) => Promise<T>,
+  ): Promise<T> {
+    return this.prisma.$transaction(
+      async (tx) => {
+        const [{ snapshot }] = await tx.$queryRawUnsafe<{ snapshot: string }[]>(
+          'SELECT pg_export_snapshot() AS snapshot',
+        );
+        return operation(snapshot, tx);
+      },
+      {
+        isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead,
+        maxWait: 10000,
+        timeout: BACKUP_TIMEOUT_MS + 60 * 1000,
+      },
+    );
+  }
+
+  /**
+   * Upsert (or insert-only) rows from the scratch schema into the live schema.
+   * Parents are merged before children so foreign keys resolve; everything runs in one transaction.
+   */
+  private async mergeFromScratchSchema(
+    scratchSchema: string,
+    liveSchema: string,
+    tables: string[],
+    overwrite: boolean,
+  ): Promise<{ table: string; rows: number }[]> {
+    const liveTables = new Set(await this.getLiveTables(liveSchema));
+    const ordered = await this.orderByForeignKeys(
+      liveSchema,
+      tables.filter(table => liveTables.has(table)),
+    );
+
+    return this.restoreRowsFromScratchSchema(
+      scratchSchema,
+      ordered.map(table => ({ table })),
+      overwrite,
+    );
+  }
+
+  /**
+   * Copy rows from a scratch schema into the live schema in one transaction.
+   * Steps run in the given order; a step without ids copies the whole table and
+   * a step-level overwrite flag takes precedence over the default.
+   */
+  async restoreRowsFromScratchSchema(
+    scratchSchema: string,
+    steps: { table: string; ids?: string[]; overwrite?: boolean }[],
+    overwrite: boolean = true,
+  ): Promise<{ table: string; rows: number }[]> {
+    const { schema: liveSchema } = this.getConnection();
+
+    return this.prisma.$transaction(async (tx) => {
+      await tx.$executeRawUnsafe(`SET LOCAL search_path TO ${this.quoteIdent(liveSchema)}`);
+
+      const merged: { table: string; rows: number }[] = [];
+      for (const { table, ids, overwrite: stepOverwrite = overwrite } of steps) {
+        const liveColumns = await tx.$queryRawUnsafe<{ column: string; type: string; isLocalType: boolean }[]>(
+          `SELECT a.attname AS "column", format_type(a.atttypid, a.atttypmod) AS "type",
+                  (t.typnamespace = n.oid) AS "isLocalType"
+           FROM pg_attribute a
+           JOIN pg_class c ON c.oid = a.attrelid
+           JOIN pg_namespace n ON n.oid = c.relnamespace
+           JOIN pg_type t ON t.oid = a.atttypid
+           WHERE n.nspname = $1 AND c.relname = $2 AND a.attnum > 0 AND NOT a.attisdropped`,
+          liveSchema,
+          table,
+        );
+        const scratchColumns = new Set(
+          (await tx.$queryRawUnsafe<{ column_name: string }[]>(
+            `SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2`,
+            scratchSchema,
+            table,
+          )).map(row => row.column_name),
+        );
+        const primaryKey = (await tx.$queryRawUnsafe<{ column: string }[]>(
+          `SELECT a.attname AS "column"
+           FROM pg_index i
+           JOIN pg_class c ON c.oid = i.indrelid
+           JOIN pg_namespace n ON n.oid = c.relnamespace
+           JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = ANY(i.indkey)
+           WHERE n.nspname = $1 AND c.relname = $2 AND i.indisprimary`,
+          liveSchema,
+          table,
+        )).map(row => row.column);
+
+        if (primaryKey.length === 0) {
+          throw new BadRequestException(`Table ${table} has no primary key and cannot be merged`);
+        }
+        if (ids && !(primaryKey.length === 1 && primaryKey[0] === 'id')) {
+          throw new BadRequestException(`Table ${table} is not keyed by id and cannot be restored row by row`);
+        }
+
+        // Only columns present in both schemas; enum columns are cast across schemas via text
+        const columns = liveColumns.filter(col => scratchColumns.has(col.column));
+        const columnList = columns.map(col => this.quoteIdent(col.column)).join(', ');
+        const selectList = columns
+          .map(col => col.isLocalType
+            ? `${this.quoteIdent(col.column)}::text::${col.type}`
+            : this.quoteIdent(col.column))
+          .join(', ');
+        const updatable = columns.filter(col => !primaryKey.includes(col.column));
+        const conflictAction = stepOverwrite && updatable.length > 0
+          ? `DO UPDATE SET ${updatable.map(col => `${this.quoteIdent(col.column)} = EXCLUDED.${this.quoteIdent(col.column)}`).join(', ')}`
+          : 'DO NOTHING';
+        const idFilter = ids ? 'WHERE "id" = ANY($1::text[])' : '';
+
+        const rows = await tx.$executeRawUnsafe(
+          `INSERT INTO ${this.quoteIdent(liveSchema)}.${this.quoteIdent(table)} (${columnList})
+           SELECT ${selectList} FROM ${this.quoteIdent(scratchSchema)}.${this.quoteIdent(table)}
+           ${idFilter}
+           ON CONFLICT (${primaryKey.map(col => this.quoteIdent(col)).join(', ')}) ${conflictAction}`,
+          ...(ids ? [ids] : []),
+        );
+        merged.push({ table, rows });
+      }
+
+      return merged;
+    }, { timeout: RESTORE_TIMEOUT_MS, maxWait: 60000 });
+  }
+
+  /**
+   * Name of the live schema backups are taken from (the ?schema= of DATABASE_URL)
+   */
+  getDatabaseSchema(): string {
+    return this.getConnection().schema;
+  }
+
+  /**
+   * Topologically sort tables so referenced tables come before the tables referencing them
+   */
+  private async orderByForeignKeys(schema: string, tables: string[]): Promise<string[]> {
+    const edges = await this.prisma.$queryRawUnsafe<{ child: string; parent: string }[]>(
+      `SELECT c.relname AS child, p.relname AS parent
+       FROM pg_constraint con
+       JOIN pg_class c ON c.oid = con.conrelid
+       JOIN pg_class p ON p.oid = con.confrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE con.contype = 'f' AND n.nspname = $1`,
+      schema,
+    );
+
+    const selected = new Set(tables);
+    const ordered: string[] = [];
+    const visiting = new Set<string>();
+    const visit = (table: string) => {
+      if (ordered.includes(table) || visiting.has(table)) return; // Self/cyclic references keep current order
+      visiting.add(table);
+      for (const edge of edges) {
+        if (edge.child === table && edge.parent !== table && selected.has(edge.parent)) {
+          visit(edge.parent);
+        }
+      }
+      visiting.delete(table);
+      ordered.push(table);
+    };
+    tables.forEach(visit);
+
+    return ordered;
+  }
+
   private async checkMinioFileExists(key: string): Promise<boolean> {
     try {
       await this.fileStorageService.getFile(key);
@@ -915,158 +1482,372 @@ export class BackupService implements OnModuleInit {
   }
 
   /**
-   * Get cached MongoDB tool path (sync, uses pre-resolved paths)
+   * Parse DATABASE_URL into a libpq connection. Prisma-only parameters such as
+   * ?schema= are stripped and the password is passed through PGPASSWORD so it
+   * never shows up in the process list.
    */
-  private getMongoToolPath(tool: 'mongodump' | 'mongorestore'): string {
-    // Return cached path if available
-    if (this.mongoToolPaths) {
-      return this.mongoToolPaths[tool];
+  private getConnection(): PgConnection {
+    const dbUrl = this.configService.get<string>('DATABASE_URL');
+    if (!dbUrl) {
+      throw new InternalServerErrorException('DATABASE_URL is not configured');
     }
-    // Fallback to tool name (will be resolved via PATH)
-    return tool;
+
+    const url = new URL(dbUrl);
+    const schema = url.searchParams.get('schema') || 'public';
+    const password = url.password ? decodeURIComponent(url.password) : undefined;
+
+    PRISMA_ONLY_URL_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.password = '';
+
+    return { uri: url.toString(), password, schema };
   }
 
   /**
-   * Resolve MongoDB tool path asynchronously
+   * Resolve a PostgreSQL client tool path asynchronously
    */
-  private async resolveMongoToolPath(tool: 'mongodump' | 'mongorestore'): Promise<string> {
-    // Return cached path if available
-    if (this.mongoToolPaths) {
-      return this.mongoToolPaths[tool];
+  private async resolvePgToolPath(tool: PgTool): Promise<string> {
+    const executable = process.platform === 'win32' ? `${tool}.exe` : tool;
+
+    // Explicit override
+    const binDir = this.configService.get<string>('PG_BIN_PATH');
+    if (binDir) {
+      return path.join(binDir, executable);
     }
 
-    // On Windows, check full path
+    // On Windows, pick the newest installed PostgreSQL version
     if (process.platform === 'win32') {
-      const windowsPath = `C:\\Program Files\\MongoDB\\Tools\\100\\bin\\${tool}.exe`;
-      if (await this.fileExists(windowsPath)) {
-        return windowsPath;
+      const baseDir = 'C:\\Program Files\\PostgreSQL';
+      try {
+        const versions = (await fsPromises.readdir(baseDir))
+          .filter(name => /^\d+$/.test(name))
+          .sort((a, b) => Number(b) - Number(a));
+        for (const version of versions) {
+          const windowsPath = path.join(baseDir, version, 'bin', executable);
+          if (await this.fileExists(windowsPath)) {
+            return windowsPath;
+          }
+        }
+      } catch {
+        // Not installed in the default location
       }
     }
     // Fallback to PATH-based lookup
     return tool;
   }
 
-  private executeMongoDump(
-    dbUrl: string,
-    outputPath: string,
-    onProgress?: (message: string) => void,
-  ): Promise<void> {
+  private getPgToolPath(tool: PgTool): string {
+    return this.pgToolPaths?.[tool] ?? tool;
+  }
+
+  private getPgEnv(connection?: PgConnection): NodeJS.ProcessEnv {
+    return connection?.password
+      ? { ...process.env, PGPASSWORD: connection.password }
+      : process.env;
+  }
+
+  /**
+   * Run a PostgreSQL client tool to completion and return its stdout
+   */
+  private runPgTool(
+    toolPath: string,
+    args: string[],
+    timeoutMs: number,
+    connection?: PgConnection,
+    onStderr?: (output: string) => void,
+  ): Promise<string> {
     return new Promise((resolve, reject) => {
-      const mongodumpPath = this.getMongoToolPath('mongodump');
-      const child = spawn(mongodumpPath, [
-        `--uri=${dbUrl}`,
-        `--archive=${outputPath}`,
-        '--gzip',
-      ]);
+      const child = spawn(toolPath, args, { env: this.getPgEnv(connection) });
+      const toolName = path.basename(toolPath);
 
+      let stdout = '';
       let stderr = '';
-      let lastProgressUpdate = Date.now();
 
       // Timeout handler
       const timeoutId = setTimeout(() => {
         child.kill('SIGTERM');
-        reject(new Error(`Backup timed out after ${BACKUP_TIMEOUT_MS / 60000} minutes`));
-      }, BACKUP_TIMEOUT_MS);
+        reject(new Error(`${toolName} timed out after ${Math.round(timeoutMs / 60000)} minutes`));
+      }, timeoutMs);
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
 
       child.stderr.on('data', (data) => {
         const output = data.toString();
         stderr += output;
-        this.logger.debug(`mongodump: ${output}`);
-
-        // Parse progress from mongodump output (it outputs collection names)
-        if (onProgress && Date.now() - lastProgressUpdate > 1000) {
-          const collectionMatch = output.match(/writing (\S+) to/);
-          if (collectionMatch) {
-            onProgress(`Dumping collection: ${collectionMatch[1]}`);
-            lastProgressUpdate = Date.now();
-          }
-        }
+        this.logger.debug(`${toolName}: ${output}`);
+        onStderr?.(output);
       });
 
       child.on('close', (code) => {
         clearTimeout(timeoutId);
         if (code === 0) {
-          resolve();
+          resolve(stdout);
         } else if (code === null) {
-          reject(new Error('Backup process was terminated'));
+          reject(new Error(`${toolName} process was terminated`));
         } else {
-          reject(new Error(`mongodump exited with code ${code}: ${stderr.slice(-500)}`));
+          reject(new Error(`${toolName} exited with code ${code}: ${stderr.slice(-500)}`));
         }
       });
 
       child.on('error', (error) => {
         clearTimeout(timeoutId);
-        reject(new Error(`Failed to start mongodump: ${error.message}`));
+        reject(new Error(`Failed to start ${toolName}: ${error.message}`));
       });
     });
   }
 
-  private executeMongoRestore(
-    dbUrl: string,
-    archivePath: string,
-    dropExisting: boolean = true,
+  /**
+   * Dump the schema to a custom-format archive. A table selection keeps the full
+   * schema definition but only includes data for the selected tables. With a snapshot
+   * the dump reads the data as of that exported snapshot.
+   */
+  private async executePgDump(
+    connection: PgConnection,
+    outputPath: string,
+    tables: string[],
     onProgress?: (message: string) => void,
+    snapshot?: string,
   ): Promise<void> {
-    return new Promise((resolve, reject) => {
-      const mongorestorePath = this.getMongoToolPath('mongorestore');
-      const args = [
-        `--uri=${dbUrl}`,
-        `--archive=${archivePath}`,
-        '--gzip',
-      ];
-
-      // Only add --drop flag if explicitly requested (DANGEROUS: deletes all existing data!)
-      if (dropExisting) {
-        args.push('--drop');
-        this.logger.warn('Restore with --drop flag: existing collections will be deleted!');
+    const args = [
+      `--dbname=${connection.uri}`,
+      `--file=${outputPath}`,
+      ...(snapshot ? [`--snapshot=${snapshot}`] : []),
+      '--format=custom',
+      '--no-owner',
+      '--no-privileges',
+      '--verbose',
+      `--schema=${this.quoteIdent(connection.schema)}`,
+      ...EXCLUDED_TABLES.map(table => `--exclude-table=${this.qualifiedPattern(connection.schema, table)}`),
+    ];
+
+    if (tables.length > 0) {
+      const liveTables = await this.getLiveTables(connection.schema);
+      liveTables
+        .filter(table => !tables.includes(table))
+        .forEach(table => args.push(`--exclude-table-data=${this.qualifiedPattern(connection.schema, table)}`));
+    }
+
+    let lastProgressUpdate = Date.now();
+    await this.runPgTool(this.getPgToolPath('pg_dump'), args, BACKUP_TIMEOUT_MS, connection, (output) => {
+      // Parse progress from pg_dump --verbose output
+      if (onProgress && Date.now() - lastProgressUpdate > 1000) {
+        const tableMatch = output.match(/dumping contents of table "?([^"\s]+)"?/);
+        if (tableMatch) {
+          onProgress(`Dumping table: ${tableMatch[1]}`);
+          lastProgressUpdate = Date.now();
+        }
       }
+    });
+  }
+
+  /**
+   * Replace the live schema with the archive contents in a single transaction
+   */
+  private async executePgRestore(
+    connection: PgConnection,
+    archivePath: string,
+    onProgress?: (message: string) => void,
+  ): Promise<void> {
+    // Filter the archive TOC so bookkeeping tables in uploaded archives are never touched
+    const toc = await this.readArchiveToc(archivePath);
+    const listPath = `${archivePath}.restore.list`;
+    await fsPromises.writeFile(
+      listPath,
+      toc.filter(entry => !this.isExcludedEntry(entry)).map(entry => entry.line).join('\n'),
+    );
 
-      const child = spawn(mongorestorePath, args);
+    this.logger.warn('Restore with --clean: existing tables in the archive will be dropped and recreated!');
+
+    let lastProgressUpdate = Date.now();
+    try {
+      await this.runPgTool(
+        this.getPgToolPath('pg_restore'),
+        [
+          `--dbname=${connection.uri}`,
+          `--use-list=${listPath}`,
+          '--clean',
+          '--if-exists',
+          '--no-owner',
+          '--no-privileges',
+          '--single-transaction',
+          '--exit-on-error',
+          '--verbose',
+          archivePath,
+        ],
+        RESTORE_TIMEOUT_MS,
+        connection,
+        (output) => {
+          // Parse progress from pg_restore --verbose output
+          if (onProgress && Date.now() - lastProgressUpdate > 1000) {
+            const tableMatch = output.match(/processing data for table "?([^"\s]+)"?/);
+            if (tableMatch) {
+              onProgress(`Restoring table: ${tableMatch[1]}`);
+              lastProgressUpdate = Date.now();
+            }
+          }
+        },
+      );
+    } finally {
+      await this.safeUnlink(listPath);
+    }
+  }
+
+  /**
+   * Stream the archive as SQL through psql, rewriting references to the source
+   * schema so every object lands in the scratch schema. COPY data blocks are
+   * passed through untouched.
+   */
+  private executeScratchRestore(
+    connection: PgConnection,
+    archivePath: string,
+    listPath: string,
+    sourceSchema: string,
+    scratchSchema: string,
+    onProgress?: (message: string) => void,
+  ): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const env = this.getPgEnv(connection);
+      const restore = spawn(
+        this.getPgToolPath('pg_restore'),
+        ['--file=-', `--use-list=${listPath}`, '--no-owner', '--no-privileges', archivePath],
+        { env },
+      );
+      const psql = spawn(
+        this.getPgToolPath('psql'),
+        [`--dbname=${connection.uri}`, '--set=ON_ERROR_STOP=1', '--single-transaction', '--quiet', '--no-psqlrc'],
+        { env },
+      );
 
       let stderr = '';
-      let lastProgressUpdate = Date.now();
+      let settled = false;
+      const finish = (error?: Error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        if (error) {
+          restore.kill('SIGTERM');
+          psql.kill('SIGTERM');
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
 
-      // Timeout handler
       const timeoutId = setTimeout(() => {
-        child.kill('SIGTERM');
-        reject(new Error(`Restore timed out after ${RESTORE_TIMEOUT_MS / 60000} minutes`));
+        finish(new Error(`Scratch restore timed out after ${RESTORE_TIMEOUT_MS / 60000} minutes`));
       }, RESTORE_TIMEOUT_MS);
 
-      child.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        this.logger.debug(`mongorestore: ${output}`);
-
-        // Parse progress from mongorestore output
-        if (onProgress && Date.now() - lastProgressUpdate > 1000) {
-          const progressMatch = output.match(/(\d+) document\(s\) restored/);
-          const collectionMatch = output.match(/restoring (\S+)/);
-          if (progressMatch) {
-            onProgress(`Restored ${progressMatch[1]} documents`);
-            lastProgressUpdate = Date.now();
-          } else if (collectionMatch) {
-            onProgress(`Restoring collection: ${collectionMatch[1]}`);
-            lastProgressUpdate = Date.now();
+      restore.stderr.on('data', (data) => { stderr += data.toString(); });
+      psql.stderr.on('data', (data) => { stderr += data.toString(); });
+      psql.stdout.resume();
+
+      const schemaRef = new RegExp(`(^|[^\\w".])(?:${sourceSchema}|"${sourceSchema}")\\.`, 'g');
+      const target = `${this.quoteIdent(scratchSchema)}.`;
+
+      const pump = async () => {
+        const lines = readline.createInterface({ input: restore.stdout, crlfDelay: Infinity });
+        let inCopyData = false;
+        let lastProgressUpdate = Date.now();
+
+        for await (const line of lines) {
+          let out = line;
+          if (inCopyData) {
+            if (line === '\\.') inCopyData = false;
+          } else {
+            out = line.replace(schemaRef, `$1${target}`);
+            if (/^COPY .* FROM stdin;$/.test(line)) {
+              inCopyData = true;
+              if (onProgress && Date.now() - lastProgressUpdate > 1000) {
+                onProgress(`Loading ${line.split(' ')[1]} into scratch schema`);
+                lastProgressUpdate = Date.now();
+              }
+            }
           }
-        }
-      });
 
-      child.on('close', (code) => {
-        clearTimeout(timeoutId);
-        if (code === 0) {
-          resolve();
-        } else if (code === null) {
-          reject(new Error('Restore process was terminated'));
-        } else {
-          reject(new Error(`mongorestore exited with code ${code}: ${stderr.slice(-500)}`));
+          if (!psql.stdin.write(`${out}\n`)) {
+            await new Promise(resolveDrain => psql.stdin.once('drain', resolveDrain));
+          }
         }
+        psql.stdin.end();
+      };
+
+      pump().catch(error => finish(error));
+
+      restore.on('error', (error) => finish(new Error(`Failed to start pg_restore: ${error.message}`)));
+      psql.on('error', (error) => finish(new Error(`Failed to start psql: ${error.message}`)));
+      restore.on('close', (code) => {
+        if (code !== 0) finish(new Error(`pg_restore exited with code ${code}: ${stderr.slice(-500)}`));
+      });
+      psql.on('close', (code) => {
+        if (code === 0) finish();
+        else finish(new Error(`psql exited with code ${code}: ${stderr.slice(-500)}`));
       });
+    });
+  }
 
-      child.on('error', (error) => {
-        clearTimeout(timeoutId);
-        reject(new Error(`Failed to start mongorestore: ${error.message}`));
+  /**
+   * Read the archive table of contents (pg_restore --list)
+   */
+  private async readArchiveToc(archivePath: string): Promise<ArchiveTocEntry[]> {
+    const output = await this.runPgTool(
+      this.getPgToolPath('pg_restore'),
+      ['--list', archivePath],
+      DOWNLOAD_TIMEOUT_MS,
+    );
+
+    // e.g. "3456; 0 16423 TABLE DATA public User postgres"
+    const typePattern = SCRATCH_TOC_TYPES.concat(['FK CONSTRAINT', 'INDEX', 'SCHEMA', 'EXTENSION', 'COMMENT'])
+      .sort((a, b) => b.length - a.length)
+      .join('|');
+    const entryPattern = new RegExp(`^\\d+;\\s+\\d+\\s+\\d+\\s+(${typePattern}|[A-Z ]+?)\\s+(\\S+)\\s+(\\S+)`);
+
+    return output
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith(';'))
+      .map(line => {
+        const match = line.match(entryPattern);
+        return match
+          ? { line, type: match[1], schema: match[2], name: match[3] }
+          : { line, type: 'UNKNOWN', schema: '', name: '' };
       });
+  }
+
+  /**
+   * Whether a TOC entry belongs to a bookkeeping table (Prisma prefixes index names with the table name)
+   */
+  private isExcludedEntry(entry: ArchiveTocEntry): boolean {
+    return EXCLUDED_TABLES.some(table => entry.name === table || entry.name.startsWith(`${table}_`));
+  }
+
+  private async computeChecksum(filePath: string): Promise<string> {
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  private withTimeout<T>(promise: Promise<T>, timeoutMs: number, label: string): Promise<T> {
+    let timeoutId: NodeJS.Timeout;
+    const timeout = new Promise<never>((_, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error(`${label} timed out after ${timeoutMs / 60000} minutes`)),
+        timeoutMs,
+      );
     });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  private quoteIdent(identifier: string): string {
+    return `"${identifier.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * pg_dump pattern for an exact, case-sensitive schema.table match
+   */
+  private qualifiedPattern(schema: string, table: string): string {
+    return `${this.quoteIdent(schema)}.${this.quoteIdent(table)}`;
   }
 
   private formatBytes(bytes: number): string {
@@ -9,6 +9,14 @@ import { AuditService } from '../../../infrastructure/audit/audit.service';
 import { WebSocketService } from '../../../infrastructure/websocket/websocket.service';
 import { AdminChannel } from '../../../infrastructure/websocket/dto';
 import { AuditAction, AuditCategory, AuditSeverity, Role } from '../../../generated/prisma/client';
+import { DEFAULT_GRIEVANCE_SLA_POLICY } from '../../../domain/support/grievance/grievance-sla.util';
+import { DEFAULT_SUPPORT_TICKET_SLA_POLICY } from '../../../domain/support/help-support/support-ticket.util';
+import {
+  DEFAULT_SIEM_FORWARDING_CONFIG,
+  SIEM_FORWARDING_CONFIG_KEY,
+  parseSiemHostList,
+  siemSinkError,
+} from '../../../infrastructure/audit/siem-forwarding.util';
 
 export enum ConfigCategory {
   GENERAL = 'general',
@@ -128,6 +136,59 @@ const DEFAULT_CONFIGS: SystemConfigItem[] = [
     defaultValue: '2026-01-10',
   },
 
+  // Grievance SLA Settings
+  {
+    key: 'grievance.slaPolicy',
+    value: DEFAULT_GRIEVANCE_SLA_POLICY,
+    category: ConfigCategory.GENERAL,
+    description: 'Grievance response/resolution SLA in hours per priority, with optional stricter limits per category',
+    type: 'json',
+    defaultValue: DEFAULT_GRIEVANCE_SLA_POLICY,
+  },
+  {
+    key: 'support.slaPolicy',
+    value: DEFAULT_SUPPORT_TICKET_SLA_POLICY,
+    category: ConfigCategory.GENERAL,
+    description: 'Support ticket first-response and resolution SLA in hours per priority',
+    type: 'json',
+    defaultValue: DEFAULT_SUPPORT_TICKET_SLA_POLICY,
+  },
+  {
+    key: 'support.autoAssignStrategy',
+    value: 'NONE',
+    category: ConfigCategory.GENERAL,
+    description: 'How new support tickets are assigned: NONE (manual), ROUND_ROBIN, or CATEGORY (round-robin within support.categoryAssignees)',
+    type: 'string',
+    defaultValue: 'NONE',
+    validation: { options: ['NONE', 'ROUND_ROBIN', 'CATEGORY'] },
+  },
+  {
+    key: 'support.categoryAssignees',
+    value: {},
+    category: ConfigCategory.GENERAL,
+    description: 'User IDs handling each support category, e.g. { "TECHNICAL_ISSUES": ["<userId>"] }; categories without an entry use everyone',
+    type: 'json',
+    defaultValue: {},
+  },
+  {
+    key: 'grievance.reopenWindowDays',
+    value: 14,
+    category: ConfigCategory.GENERAL,
+    description: 'Days after resolution during which a student can reopen their grievance',
+    type: 'number',
+    defaultValue: 14,
+    validation: { min: 1, max: 90 },
+  },
+  {
+    key: 'calendar.dueDateHolidayShift',
+    value: 'NONE',
+    category: ConfigCategory.GENERAL,
+    description: 'Where report and visit due dates move when they fall on an academic-calendar holiday (or report blackout): NONE, NEXT_WORKING_DAY or PREVIOUS_WORKING_DAY',
+    type: 'string',
+    defaultValue: 'NONE',
+    validation: { options: ['NONE', 'NEXT_WORKING_DAY', 'PREVIOUS_WORKING_DAY'] },
+  },
+
   // Feature Flags
   {
     key: 'features.selfRegistration',
@@ -161,6 +222,14 @@ const DEFAULT_CONFIGS: SystemConfigItem[] = [
     type: 'boolean',
     defaultValue: true,
   },
+  {
+    key: 'features.grievanceAutoEscalation',
+    value: true,
+    category: ConfigCategory.FEATURES,
+    description: 'Automatically escalate grievances that miss their SLA to the next level',
+    type: 'boolean',
+    defaultValue: true,
+  },
   {
     key: 'features.maintenanceMode',
     value: false,
@@ -196,6 +265,16 @@ const DEFAULT_CONFIGS: SystemConfigItem[] = [
     defaultValue: '09:00',
   },
 
+  {
+    key: 'notifications.grievanceSlaReminderHours',
+    value: 12,
+    category: ConfigCategory.NOTIFICATIONS,
+    description: 'Hours before a grievance SLA breach to remind the assignee',
+    type: 'number',
+    defaultValue: 12,
+    validation: { min: 1, max: 72 },
+  },
+
   // Maintenance Settings
   {
     key: 'maintenance.autoBackupEnabled',
@@ -223,6 +302,16 @@ const DEFAULT_CONFIGS: SystemConfigItem[] = [
     defaultValue: 90,
     validation: { min: 30, max: 365 },
   },
+
+  // Integration Settings
+  {
+    key: SIEM_FORWARDING_CONFIG_KEY,
+    value: DEFAULT_SIEM_FORWARDING_CONFIG,
+    category: ConfigCategory.INTEGRATIONS,
+    description: 'Stream audit entries to SIEM collectors (syslog over UDP/TCP/TLS, JSON lines file, webhook), filtered by category and minimum severity; changes apply within 30 seconds',
+    type: 'json',
+    defaultValue: DEFAULT_SIEM_FORWARDING_CONFIG,
+  },
 ];
 
 @Injectable()
@@ -587,6 +676,15 @@ export class SystemConfigService {
           throw new BadRequestException(`${config.key} must be an array`);
         }
         break;
+      case 'json':
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+          throw new BadRequestException(`${config.key} must be an object`);
+        }
+        break;
+    }
+
+    if (config.key === SIEM_FORWARDING_CONFIG_KEY) {
+      this.validateSiemSinks(value);
     }
 
     // Additional validation rules
@@ -615,6 +713,23 @@ export class SystemConfigService {
     }
   }
 
+  /**
+   * Reject SIEM sinks the forwarder would refuse (paths outside SIEM_FILE_DIR, internal
+   * webhook hosts) instead of letting them be dropped silently
+   */
+  private validateSiemSinks(value: { sinks?: unknown }) {
+    const policy = { allowedWebhookHosts: parseSiemHostList(process.env.SIEM_WEBHOOK_ALLOWED_HOSTS) };
+    const sinks = Array.isArray(value.sinks) ? value.sinks : [];
+
+    sinks.forEach((sink, index) => {
+      const error = siemSinkError(sink, policy);
+      if (error) {
+        const name = (sink as { name?: string })?.name || `#${index + 1}`;
+        throw new BadRequestException(`SIEM sink ${name}: ${error}`);
+      }
+    });
+  }
+
   /**
    * Check if a feature is enabled
    */
@@ -0,0 +1,66 @@
+import { Role } from '../../../generated/prisma/client';
+import { EncryptionService } from '../../../core/common/services/encryption.service';
+import { createPiiCipher } from '../../../core/database/pii-encryption.extension';
+import { PiiCipher, rewritePiiWhere } from '../../../core/database/pii-encryption.util';
+import { UserManagementService } from './user-management.service';
+
+describe('UserManagementService.getUsers search', () => {
+  const originalKey = process.env.ENCRYPTION_KEY;
+  let cipher: PiiCipher;
+  let rows: Record<string, any>[];
+
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEY = 'ef'.repeat(32);
+    cipher = createPiiCipher(new EncryptionService());
+    rows = [
+      { id: 'user-1', name: 'Asha Verma', email: 'asha@example.edu', phoneNo: '9876543210' },
+      { id: 'user-2', name: 'Ravi Kumar', email: 'ravi@example.edu', phoneNo: '9123456789' },
+    ].map((user) => ({ ...user, role: Role.TEACHER, phoneNoHash: cipher.blindIndex(user.phoneNo, 'phoneNo') }));
+  });
+
+  afterAll(() => {
+    process.env.ENCRYPTION_KEY = originalKey;
+  });
+
+  /**
+   * User table behind the PII extension: filters are rewritten the way the extension
+   * rewrites them, then matched against the stored blind index
+   */
+  function createService() {
+    const matches = (row: any, where: any): boolean =>
+      Object.entries(where).every(([key, condition]: [string, any]) => {
+        if (key === 'OR') return condition.some((branch: any) => matches(row, branch));
+        if (condition?.contains !== undefined) return row[key].toLowerCase().includes(condition.contains.toLowerCase());
+        if (condition?.in) return condition.in.includes(row[key]);
+        return row[key] === (condition?.equals ?? condition);
+      });
+    const findMany = jest.fn(async ({ where }: any) => rows.filter((row) => matches(row, rewritePiiWhere('User', where, cipher))));
+
+    const prisma: any = {
+      user: {
+        findMany,
+        count: jest.fn(async ({ where }: any) => (await findMany({ where })).length),
+        groupBy: jest.fn(async () => []),
+      },
+    };
+    return new UserManagementService(prisma, {} as any, {} as any, {} as any);
+  }
+
+  const search = async (text: string) =>
+    (await createService().getUsers({ search: text } as any)).users.map((user) => user.id);
+
+  it('finds users by a full phone number in any format', async () => {
+    await expect(search('9876543210')).resolves.toEqual(['user-1']);
+    await expect(search('+91 98765 43210')).resolves.toEqual(['user-1']);
+  });
+
+  it('no longer matches part of a phone number', async () => {
+    await expect(search('98765')).resolves.toEqual([]);
+    await expect(search('43210')).resolves.toEqual([]);
+  });
+
+  it('still matches part of a name or email', async () => {
+    await expect(search('ravi')).resolves.toEqual(['user-2']);
+    await expect(search('example.edu')).resolves.toEqual(['user-1', 'user-2']);
+  });
+});
@@ -24,6 +24,7 @@ import {
 } from '../dto/user-management.dto';
 import * as bcrypt from 'bcrypt';
 import { BCRYPT_SALT_ROUNDS } from '../../../core/auth/services/auth.service';
+import { toPhoneLookup } from '../../../core/database/pii-encryption.util';
 
 @Injectable()
 export class UserManagementService {
@@ -51,10 +52,12 @@ export class UserManagementService {
     const where: Prisma.UserWhereInput = {};
 
     if (search) {
+      // Phone numbers are encrypted, so they only match when the full number is given
+      const phoneNo = toPhoneLookup(search);
       where.OR = [
         { name: { contains: search, mode: 'insensitive' } },
         { email: { contains: search, mode: 'insensitive' } },
-        { phoneNo: { contains: search } },
+        ...(phoneNo ? [{ phoneNo }] : []),
       ];
     }
 
@@ -133,6 +133,11 @@ export class SystemAdminController {
     };
   }
 
+  @Get('backup/tables')
+  async listBackupTables() {
+    return this.backupService.listBackupTables();
+  }
+
   @Get('backup/list')
   async listBackups(
     @Query('page') page?: number,
@@ -162,7 +167,7 @@ export class SystemAdminController {
     if (result.localPath) {
       const file = fs.createReadStream(result.localPath);
       res.set({
-        'Content-Type': 'application/gzip',
+        'Content-Type': 'application/octet-stream',
         'Content-Disposition': `attachment; filename="${result.filename}"`,
       });
       return new StreamableFile(file);
@@ -181,7 +186,10 @@ export class SystemAdminController {
 
     // Run restore in background - don't await
     // Progress will be sent via WebSocket
-    this.backupService.restoreBackup(id, user.userId, user.role, dto.dropExisting ?? true)
+    this.backupService.restoreBackup(id, user.userId, user.role, dto.dropExisting ?? true, {
+      tables: dto.tables,
+      skipSafetySnapshot: dto.skipSafetySnapshot,
+    })
       .catch(error => {
         // Error is already handled in the service with WebSocket notification
         console.error('Background restore error:', error.message);
@@ -194,6 +202,14 @@ export class SystemAdminController {
     };
   }
 
+  @Post('backup/:id/verify')
+  async verifyBackup(
+    @Param('id') id: string,
+    @CurrentUser() user: { userId: string; role: Role },
+  ) {
+    return this.backupService.verifyBackup(id, user.userId, user.role);
+  }
+
   @Post('backup/upload')
   @UseInterceptors(FileInterceptor('file'))
   async uploadBackup(
@@ -248,7 +264,7 @@ export class SystemAdminController {
 
   @Post('backup/schedules')
   async createBackupSchedule(
-    @Body() body: { name: string; cronExpression: string; storageType: string; retentionDays: number },
+    @Body() body: { name: string; cronExpression: string; storageType: string; retentionDays: number; tables?: string[] },
     @CurrentUser() user: { userId: string; role: Role },
   ) {
     return this.backupSchedulerService.createSchedule(
@@ -258,13 +274,14 @@ export class SystemAdminController {
       body.retentionDays,
       user.userId,
       user.role,
+      body.tables,
     );
   }
 
   @Put('backup/schedules/:id')
   async updateBackupSchedule(
     @Param('id') id: string,
-    @Body() body: Partial<{ name: string; cronExpression: string; storageType: string; retentionDays: number; isActive: boolean }>,
+    @Body() body: Partial<{ name: string; cronExpression: string; storageType: string; retentionDays: number; tables: string[]; isActive: boolean }>,
     @CurrentUser() user: { userId: string; role: Role },
   ) {
     return this.backupSchedulerService.updateSchedule(id, body as any, user.userId, user.role);
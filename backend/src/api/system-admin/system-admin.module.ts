@@ -45,6 +45,6 @@ import { MetricsGateway } from './gateways/metrics.gateway';
     HealthMonitorService,
     MetricsGateway,
   ],
-  exports: [MetricsService, MetricsGateway, SystemConfigService],
+  exports: [MetricsService, MetricsGateway, SystemConfigService, BackupService],
 })
 export class SystemAdminModule {}
@@ -21,6 +21,7 @@ import { StateModule } from './api/state/state.module';
 import { PrincipalModule } from './api/principal/principal.module';
 import { FacultyModule } from './api/faculty/faculty.module';
 import { StudentPortalModule } from './api/student-portal/student-portal.module';
+import { IndustryPortalModule } from './api/industry-portal/industry-portal.module';
 import { SharedModule } from './api/shared/shared.module';
 import { SystemAdminModule } from './api/system-admin/system-admin.module';
 
@@ -77,6 +78,7 @@ import { BulkModule } from './bulk/bulk.module';
     PrincipalModule,
     FacultyModule,
     StudentPortalModule,
+    IndustryPortalModule,
     SharedModule,
     SystemAdminModule,
 
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment ../test/timezone-environment.js
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import {
+  calculateExpectedMonths,
+  getTotalExpectedCount,
+  getExpectedReportsAsOfToday,
+  getExpectedVisitsAsOfToday,
+  getReportDueDate,
+  getVisitDueDate,
+  getReportSubmissionStatus,
+  getVisitSubmissionStatus,
+} from './monthly-cycle.util';
+
+declare function setTimezone(timezone: string): void;
+
+// Shared with frontend/src/utils/monthlyCycle.spec.js so the two implementations cannot drift
+const fixtures = JSON.parse(
+  readFileSync(join(__dirname, '../../../../shared/fixtures/monthly-cycle.fixtures.json'), 'utf8'),
+);
+
+/**
+ * Switch to the case's timezone before parsing any of its dates, and pin the clock if needed
+ */
+function useCase(testCase: { timezone?: string; now?: string }) {
+  setTimezone(testCase.timezone ?? fixtures.timezone);
+  if (testCase.now) {
+    jest.useFakeTimers({ now: new Date(testCase.now) });
+  }
+}
+
+describe('monthly-cycle.util', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('due dates', () => {
+    it.each(fixtures.dueDates)('$name', (testCase) => {
+      useCase(testCase);
+
+      expect(getReportDueDate(testCase.year, testCase.month)).toEqual(new Date(testCase.reportDueDate));
+      expect(getVisitDueDate(testCase.year, testCase.month)).toEqual(new Date(testCase.visitDueDate));
+    });
+
+    it('rejects invalid month numbers', () => {
+      expect(() => getReportDueDate(2025, 0)).toThrow('Invalid month number');
+      expect(() => getVisitDueDate(2025, 13)).toThrow('Invalid month number');
+    });
+  });
+
+  describe('calculateExpectedMonths', () => {
+    it.each(fixtures.expectedMonths)('$name', (testCase) => {
+      useCase(testCase);
+
+      const months = calculateExpectedMonths(new Date(testCase.startDate), new Date(testCase.endDate));
+
+      expect(
+        months.map(({ monthNumber, year, daysInMonth, isFirstMonth, isLastMonth }) => ({
+          monthNumber,
+          year,
+          daysInMonth,
+          isFirstMonth,
+          isLastMonth,
+        })),
+      ).toEqual(testCase.months);
+      expect(months.every((month) => month.isIncluded)).toBe(true);
+      expect(getTotalExpectedCount(new Date(testCase.startDate), new Date(testCase.endDate))).toBe(
+        testCase.months.length,
+      );
+    });
+
+    it('attaches the due dates of each month', () => {
+      useCase({});
+
+      const [first] = calculateExpectedMonths(new Date('2024-12-10T00:00:00'), new Date('2025-02-28T00:00:00'));
+
+      expect(first.monthName).toBe('December');
+      expect(first.reportDueDate).toEqual(getReportDueDate(2024, 12));
+      expect(first.visitDueDate).toEqual(getVisitDueDate(2024, 12));
+    });
+
+    it('throws on missing or invalid dates', () => {
+      expect(() => calculateExpectedMonths(null, new Date())).toThrow('Start date and end date are required');
+      expect(() => calculateExpectedMonths(new Date('not a date'), new Date())).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('expected counts as of today', () => {
+    it.each(fixtures.expectedCounts)('$name', (testCase) => {
+      useCase(testCase);
+
+      const start = new Date(testCase.startDate);
+      const end = new Date(testCase.endDate);
+
+      expect(getTotalExpectedCount(start, end)).toBe(testCase.total);
+      expect(getExpectedReportsAsOfToday(start, end)).toBe(testCase.reports);
+      expect(getExpectedVisitsAsOfToday(start, end)).toBe(testCase.visits);
+    });
+
+    it('returns 0 for missing dates', () => {
+      expect(getExpectedReportsAsOfToday(null, null)).toBe(0);
+      expect(getExpectedVisitsAsOfToday(undefined, new Date())).toBe(0);
+    });
+  });
+
+  describe('getReportSubmissionStatus', () => {
+    it.each(fixtures.reportStatus)('$name', (testCase) => {
+      useCase(testCase);
+
+      const report = testCase.report && {
+        ...testCase.report,
+        submittedAt: testCase.report.submittedAt ? new Date(testCase.report.submittedAt) : undefined,
+      };
+
+      expect(getReportSubmissionStatus(report, new Date(testCase.dueDate))).toMatchObject(testCase.expected);
+    });
+  });
+
+  describe('getVisitSubmissionStatus', () => {
+    it.each(fixtures.visitStatus)('$name', (testCase) => {
+      useCase(testCase);
+
+      const visit = testCase.visit && {
+        ...testCase.visit,
+        completedAt: testCase.visit.completedAt ? new Date(testCase.visit.completedAt) : undefined,
+      };
+
+      expect(getVisitSubmissionStatus(visit, new Date(testCase.dueDate))).toMatchObject(testCase.expected);
+    });
+  });
+});
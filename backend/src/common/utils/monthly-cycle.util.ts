@@ -211,10 +211,13 @@ function calculateDaysInMonth(
     return 0;
   }
 
-  // Calculate days (inclusive)
+  // Count calendar days (inclusive) between midnights; rounding absorbs the
+  // 23/25-hour days around DST changes
+  const lastDayStart = new Date(effectiveEnd);
+  lastDayStart.setHours(0, 0, 0, 0);
   const days =
-    Math.floor(
-      (effectiveEnd.getTime() - effectiveStart.getTime()) /
+    Math.round(
+      (lastDayStart.getTime() - effectiveStart.getTime()) /
         (1000 * 60 * 60 * 24),
     ) + 1;
 
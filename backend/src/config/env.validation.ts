@@ -14,6 +14,7 @@ interface ValidationResult {
 const REQUIRED_PRODUCTION_VARS = [
   'DATABASE_URL',
   'JWT_SECRET',
+  'VERIFICATION_SECRET',
   'ALLOWED_ORIGINS',
   'CORS_ORIGIN',
 ];
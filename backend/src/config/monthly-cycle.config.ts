@@ -9,7 +9,8 @@
  * After making changes:
  * 1. Rebuild the backend: npm run build
  * 2. Update frontend config: frontend/src/config/monthlyCycle.config.js
- * 3. Run tests: npx ts-node scripts/test-monthly-cycle.ts
+ * 3. Update the expectations in shared/fixtures/monthly-cycle.fixtures.json and run
+ *    the suites on both sides: npm test -- monthly-cycle (backend), npm test (frontend)
  * 4. Re-run migration if needed: npx ts-node scripts/populate-expected-counts.ts
  *
  * =============================================================================
@@ -0,0 +1,70 @@
+/**
+ * =============================================================================
+ * PII ENCRYPTION CONFIGURATION
+ * =============================================================================
+ *
+ * Columns listed here are encrypted transparently by the Prisma PII extension
+ * (src/core/database/pii-encryption.extension.ts) when ENCRYPTION_KEY is set:
+ * - Writes through prisma.user / prisma.student (and nested User <-> Student writes)
+ *   store AES-256-GCM ciphertext
+ * - Reads return plaintext wherever the column appears in a result, at any depth
+ *   (except for PASSTHROUGH_MODELS)
+ * - Columns with a blind index keep a keyed hash next to the ciphertext so that
+ *   equality lookups (where: { phoneNo }) keep working
+ *
+ * Limitations of encrypted columns:
+ * - Substring search (contains / startsWith) becomes an exact match on blind-indexed
+ *   columns and matches nothing on the others
+ * - Sorting by an encrypted column sorts ciphertext
+ * - Filters reaching User/Student through another model (e.g. application.student.user)
+ *   are not rewritten
+ *
+ * After adding a column:
+ * 1. Add its blind index column to prisma/schema.prisma if it needs lookups
+ * 2. Encrypt existing rows: npm run db:rotate-encryption-key
+ *
+ * =============================================================================
+ */
+
+export interface PiiModelConfig {
+  /** Columns stored encrypted */
+  encryptedFields: readonly string[];
+  /** Column -> blind index column holding its keyed hash */
+  blindIndexes: Readonly<Record<string, string>>;
+}
+
+export const PII_ENCRYPTION_CONFIG = {
+  MODELS: {
+    User: {
+      encryptedFields: ['phoneNo', 'dob'],
+      // emailHash is maintained so email can be added to encryptedFields without a schema change
+      blindIndexes: { phoneNo: 'phoneNoHash', email: 'emailHash' },
+    },
+    Student: {
+      encryptedFields: ['address', 'parentContact'],
+      blindIndexes: {},
+    },
+  } as Readonly<Record<string, PiiModelConfig>>,
+
+  /**
+   * Relations between configured models, followed for nested writes and filters
+   * (model -> relation field -> related model)
+   */
+  RELATIONS: {
+    User: { Student: 'Student' },
+    Student: { user: 'User' },
+  } as Readonly<Record<string, Readonly<Record<string, string>>>>,
+
+  /**
+   * Models whose results are returned exactly as stored, never decrypted. Audit entries
+   * are hashed over their stored values (oldValues / newValues may hold ciphertext), so
+   * decrypting them would break chain verification and put plaintext into archives.
+   */
+  PASSTHROUGH_MODELS: ['AuditLog', 'AuditArchiveSegment'] as readonly string[],
+
+  /**
+   * Rows re-encrypted per batch by the key rotation command
+   * @default 500
+   */
+  ROTATION_BATCH_SIZE: 500,
+};
@@ -4,7 +4,9 @@ import {
   IsOptional,
   MinLength,
   Matches,
+  IsEnum,
 } from 'class-validator';
+import { ContentLanguage } from '../../../generated/prisma/client';
 
 export class UpdateProfileDto {
   @IsString()
@@ -28,4 +30,8 @@ export class UpdateProfileDto {
   @IsString()
   @IsOptional()
   branchName?: string;
+
+  @IsEnum(ContentLanguage, { message: 'Preferred language must be one of EN, HI or PA' })
+  @IsOptional()
+  preferredLanguage?: ContentLanguage;
 }
@@ -15,7 +15,7 @@ import { AccountLockoutService } from './account-lockout.service';
 import { MfaService } from './mfa.service';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
 import { MailService } from '../../../infrastructure/mail/mail.service';
-import { User, AuditAction, AuditCategory, AuditSeverity, Role } from '../../../generated/prisma/client';
+import { User, AuditAction, AuditCategory, AuditSeverity, Role, ContentLanguage } from '../../../generated/prisma/client';
 
 // SECURITY: Bcrypt salt rounds for password hashing
 export const BCRYPT_SALT_ROUNDS = 10;
@@ -745,6 +745,7 @@ export class AuthService {
         institutionId: true,
         consent: true,
         consentAt: true,
+        preferredLanguage: true,
         Institution: {
           select: {
             id: true,
@@ -774,6 +775,7 @@ export class AuthService {
         email: true,
         phoneNo: true,
         dob: true,
+        Student: { select: { parentContact: true } },
       },
     });
 
@@ -789,6 +791,7 @@ export class AuthService {
       email: user.email,
       phoneNo: user.phoneNo,
       dob: user.dob,
+      parentContact: user.Student?.parentContact,
     };
   }
 
@@ -804,6 +807,7 @@ export class AuthService {
       phoneNo?: string;
       designation?: string;
       branchName?: string;
+      preferredLanguage?: ContentLanguage;
     },
     ipAddress?: string,
     userAgent?: string,
@@ -845,6 +849,7 @@ export class AuthService {
           ...(data.phoneNo !== undefined && { phoneNo: data.phoneNo }),
           ...(data.designation !== undefined && { designation: data.designation }),
           ...(data.branchName !== undefined && { branchName: data.branchName }),
+          ...(data.preferredLanguage && { preferredLanguage: data.preferredLanguage }),
         },
         select: {
           id: true,
@@ -862,6 +867,7 @@ export class AuthService {
           hasChangedDefaultPassword: true,
           createdAt: true,
           institutionId: true,
+          preferredLanguage: true,
           Institution: {
             select: {
               id: true,
@@ -899,6 +905,7 @@ export class AuthService {
         phoneNo: user.phoneNo,
         designation: user.designation,
         branchName: user.branchName,
+        preferredLanguage: user.preferredLanguage,
       },
       newValues: data,
     }).catch(() => {}); // Non-blocking
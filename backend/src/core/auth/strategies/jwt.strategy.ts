@@ -34,6 +34,7 @@ export class JwtStrategy extends PassportStrategy(Strategy) {
         role: true,
         institutionId: true,
         active: true,
+        preferredLanguage: true,
       },
     });
 
@@ -48,6 +49,7 @@ export class JwtStrategy extends PassportStrategy(Strategy) {
       role: user.role,                    // Single role string
       roles: payload.roles || [user.role], // Array for compatibility
       institutionId: user.institutionId,
+      preferredLanguage: user.preferredLanguage,
     };
   }
 }
@@ -7,6 +7,7 @@ import {
 } from '@nestjs/common';
 import { Observable } from 'rxjs';
 import { map, catchError } from 'rxjs/operators';
+import { ENCRYPTED_VALUE_PREFIX } from '../services/encryption.service';
 
 /**
  * Configuration constants for DoS protection
@@ -51,6 +52,7 @@ const MASKING_RULES: Readonly<Record<string, (value: string) => string>> =
     mobile: (value: string) => MASKING_RULES.phoneNo(value),
     mobileNumber: (value: string) => MASKING_RULES.phoneNo(value),
     contactNumber: (value: string) => MASKING_RULES.phoneNo(value),
+    parentContact: (value: string) => MASKING_RULES.phoneNo(value),
 
     // Bank Account: Show last 4 digits
     bankAccountNumber: (value: string) => {
@@ -98,9 +100,9 @@ const ALWAYS_MASK_FIELDS: ReadonlySet<string> = new Set([
  */
 const ROLE_BASED_MASK_FIELDS: Readonly<Record<string, ReadonlySet<string>>> =
   Object.freeze({
-    STUDENT: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber', 'email', 'dob', 'contactNumber']),
-    TEACHER: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber']),
-    FACULTY: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber']),
+    STUDENT: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber', 'email', 'dob', 'contactNumber', 'parentContact']),
+    TEACHER: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber', 'parentContact']),
+    FACULTY: new Set(['phoneNo', 'phone', 'mobile', 'mobileNumber', 'parentContact']),
   });
 
 /**
@@ -135,6 +137,9 @@ const SENSITIVE_FIELDS: ReadonlySet<string> = new Set([
   'cvv',
   'cardCvv',
   'pin',
+  // Blind indexes of encrypted PII (see config/pii-encryption.config.ts)
+  'phoneNoHash',
+  'emailHash',
 ]);
 
 /**
@@ -162,6 +167,7 @@ const ADMIN_ROLES: ReadonlySet<string> = new Set([
  * 1. Adding security headers to responses
  * 2. Removing sensitive fields (passwords, tokens, keys)
  * 3. Masking PII fields (Aadhaar, PAN, phone, etc.) based on user role
+ *    (encrypted columns arrive decrypted from the Prisma PII extension)
  * 4. Protection against DoS via deeply nested objects
  * 5. Prototype pollution protection
  *
@@ -400,6 +406,12 @@ export class SecurityInterceptor implements NestInterceptor {
         continue;
       }
 
+      // Ciphertext that could not be decrypted is never exposed, not even unmasked
+      if (typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX)) {
+        processed[key] = '****';
+        continue;
+      }
+
       // Check if field should be masked (only if userRole is set)
       const shouldMask =
         userRole !== null && this.shouldMaskField(key, roleMaskFields);
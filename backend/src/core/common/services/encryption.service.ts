@@ -2,12 +2,19 @@ import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import {
   createCipheriv,
   createDecipheriv,
+  createHash,
+  createHmac,
   randomBytes,
   scryptSync,
   CipherGCM,
   DecipherGCM,
 } from 'crypto';
 
+/**
+ * Prefix of values written by encrypt()
+ */
+export const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+
 /**
  * Encryption Configuration
  */
@@ -17,8 +24,24 @@ const ENCRYPTION_CONFIG = {
   ivLength: 16, // 128 bits for AES
   authTagLength: 16, // 128 bits
   saltLength: 16,
+  // Versioned values: enc:v1:<keyId>:base64(iv:authTag:ciphertext)
+  prefix: ENCRYPTED_VALUE_PREFIX,
+};
+
+/**
+ * Blind index normalisation per field, so that "+91 98765-43210" and "9876543210"
+ * (or differently cased emails) produce the same hash
+ */
+const BLIND_INDEX_NORMALIZERS: Record<string, (value: string) => string> = {
+  phoneNo: (value) => value.replace(/\D/g, '').slice(-10),
+  email: (value) => value.trim().toLowerCase(),
 };
 
+interface EncryptionKey {
+  id: string;
+  key: Buffer;
+}
+
 /**
  * Field-Level Encryption Service
  * Provides AES-256-GCM encryption for sensitive PII fields
@@ -26,42 +49,91 @@ const ENCRYPTION_CONFIG = {
  * Usage:
  * - Encrypt Aadhaar, PAN, phone numbers before storage
  * - Decrypt when reading for authorized users
+ * - Blind indexes (HMAC-SHA256) for equality lookups on encrypted fields
+ *
+ * Format: enc:v1:<keyId>:base64(iv:authTag:ciphertext)
+ * Values written before key versioning (plain base64) are still decrypted with the current key.
  *
- * Format: base64(iv:authTag:ciphertext)
+ * Keys:
+ * - ENCRYPTION_KEY: current key, used for all new values
+ * - ENCRYPTION_PREVIOUS_KEYS: comma-separated retired keys, kept for reading until
+ *   npm run db:rotate-encryption-key has re-encrypted every value
+ * - BLIND_INDEX_KEY: optional separate key for blind indexes (derived from ENCRYPTION_KEY otherwise).
+ *   It is not rotated with ENCRYPTION_KEY so that stored hashes stay valid.
  */
 @Injectable()
 export class EncryptionService implements OnModuleInit {
   private readonly logger = new Logger(EncryptionService.name);
   private encryptionKey: Buffer;
+  private currentKeyId: string;
+  private readonly keyRing = new Map<string, Buffer>();
+  private blindIndexKey: Buffer;
   private isEnabled: boolean = false;
 
-  onModuleInit() {
-    const keyEnv = process.env.ENCRYPTION_KEY;
+  // Keys are loaded eagerly so the service also works outside the Nest container
+  // (Prisma extension, maintenance scripts)
+  constructor() {
+    this.loadKeys();
+  }
 
-    if (!keyEnv) {
+  onModuleInit() {
+    if (!this.isEnabled) {
       this.logger.warn(
         'ENCRYPTION_KEY not set. Field-level encryption is DISABLED. ' +
           'Generate with: openssl rand -hex 32',
       );
+      return;
+    }
+
+    this.logger.log(
+      `Field-level encryption initialized (key ${this.currentKeyId}, ${this.keyRing.size - 1} previous key(s))`,
+    );
+  }
+
+  private loadKeys(): void {
+    const keyEnv = process.env.ENCRYPTION_KEY;
+    if (!keyEnv) {
       this.isEnabled = false;
       return;
     }
 
     try {
-      // Key should be 64 hex chars (32 bytes)
-      if (keyEnv.length !== 64) {
-        throw new Error('ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+      const current = this.parseKey(keyEnv);
+      const previous = (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map((value) => this.parseKey(value));
+
+      this.encryptionKey = current.key;
+      this.currentKeyId = current.id;
+      for (const { id, key } of [current, ...previous]) {
+        if (!this.keyRing.has(id)) {
+          this.keyRing.set(id, key);
+        }
       }
 
-      this.encryptionKey = Buffer.from(keyEnv, 'hex');
+      this.blindIndexKey = process.env.BLIND_INDEX_KEY
+        ? this.parseKey(process.env.BLIND_INDEX_KEY).key
+        : createHmac('sha256', current.key).update('blind-index').digest();
+
       this.isEnabled = true;
-      this.logger.log('Field-level encryption initialized');
     } catch (error) {
       this.logger.error(`Encryption initialization failed: ${error.message}`);
       this.isEnabled = false;
     }
   }
 
+  private parseKey(value: string): EncryptionKey {
+    // Key should be 64 hex chars (32 bytes)
+    if (!/^[0-9a-fA-F]{64}$/.test(value)) {
+      throw new Error('Encryption keys must be 64 hex characters (32 bytes)');
+    }
+
+    const key = Buffer.from(value, 'hex');
+    return { id: createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+  }
+
   /**
    * Check if encryption is enabled
    */
@@ -109,7 +181,7 @@ export class EncryptionService implements OnModuleInit {
         Buffer.from(encrypted, 'hex'),
       ]);
 
-      return combined.toString('base64');
+      return `${ENCRYPTION_CONFIG.prefix}${this.currentKeyId}:${combined.toString('base64')}`;
     } catch (error) {
       this.logger.error(`Encryption failed: ${error.message}`);
       throw new Error('Encryption failed');
@@ -118,7 +190,7 @@ export class EncryptionService implements OnModuleInit {
 
   /**
    * Decrypt an encrypted value
-   * @param ciphertext - Base64-encoded encrypted string
+   * @param ciphertext - Versioned (or legacy base64) encrypted string
    * @returns Decrypted plaintext
    */
   decrypt(ciphertext: string): string {
@@ -131,8 +203,10 @@ export class EncryptionService implements OnModuleInit {
     }
 
     try {
+      const { key, payload } = this.resolveKey(ciphertext);
+
       // Decode base64
-      const combined = Buffer.from(ciphertext, 'base64');
+      const combined = Buffer.from(payload, 'base64');
 
       // Extract components
       const iv = combined.subarray(0, ENCRYPTION_CONFIG.ivLength);
@@ -147,7 +221,7 @@ export class EncryptionService implements OnModuleInit {
       // Create decipher (cast to DecipherGCM for setAuthTag method)
       const decipher = createDecipheriv(
         ENCRYPTION_CONFIG.algorithm,
-        this.encryptionKey,
+        key,
         iv,
       ) as DecipherGCM;
 
@@ -164,22 +238,66 @@ export class EncryptionService implements OnModuleInit {
     }
   }
 
+  /**
+   * Key and payload of an encrypted value
+   */
+  private resolveKey(ciphertext: string): { key: Buffer; payload: string } {
+    if (!ciphertext.startsWith(ENCRYPTION_CONFIG.prefix)) {
+      return { key: this.encryptionKey, payload: ciphertext };
+    }
+
+    const rest = ciphertext.slice(ENCRYPTION_CONFIG.prefix.length);
+    const separator = rest.indexOf(':');
+    const keyId = rest.slice(0, separator);
+    const key = this.keyRing.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key ${keyId}`);
+    }
+
+    return { key, payload: rest.slice(separator + 1) };
+  }
+
   /**
    * Check if a value appears to be encrypted
-   * (Base64 encoded and of expected length)
+   * (Versioned prefix, or legacy base64 of the expected length)
    */
   isEncrypted(value: string): boolean {
-    if (!value || value.length < 50) {
+    if (!value) {
       return false;
     }
 
-    try {
-      const decoded = Buffer.from(value, 'base64');
-      // Minimum size: iv(16) + authTag(16) + at least 1 byte of data
-      return decoded.length >= 33;
-    } catch {
+    if (value.startsWith(ENCRYPTION_CONFIG.prefix)) {
+      return true;
+    }
+
+    if (value.length < 50 || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
       return false;
     }
+
+    // Minimum size: iv(16) + authTag(16) + at least 1 byte of data
+    return Buffer.from(value, 'base64').length >= 33;
+  }
+
+  /**
+   * Whether a stored value must be (re-)encrypted with the current key:
+   * plaintext, legacy unversioned ciphertext or ciphertext under a previous key
+   */
+  needsReEncryption(value: string): boolean {
+    if (!this.isEnabled || !value) {
+      return false;
+    }
+
+    return !value.startsWith(`${ENCRYPTION_CONFIG.prefix}${this.currentKeyId}:`);
+  }
+
+  /**
+   * Re-encrypt a stored value with the current key (plaintext is encrypted as is)
+   */
+  reEncrypt(value: string): string {
+    if (!this.needsReEncryption(value)) {
+      return value;
+    }
+    return this.encrypt(this.decryptIfNeeded(value));
   }
 
   /**
@@ -250,6 +368,24 @@ export class EncryptionService implements OnModuleInit {
     const hash = scryptSync(value, this.encryptionKey, 32);
     return hash.toString('hex');
   }
+
+  /**
+   * Blind index of a field value for equality lookups on encrypted columns.
+   * Values are normalised per field first; returns null when there is nothing to index.
+   */
+  blindIndex(value: string, field: string): string | null {
+    if (!this.isEnabled || value === null || value === undefined) {
+      return null;
+    }
+
+    const normalize = BLIND_INDEX_NORMALIZERS[field] || ((input: string) => input.trim());
+    const normalized = normalize(String(value));
+    if (!normalized) {
+      return null;
+    }
+
+    return createHmac('sha256', this.blindIndexKey).update(`${field}:${normalized}`).digest('hex');
+  }
 }
 
 /**
@@ -0,0 +1,64 @@
+import { EncryptionService } from '../common/services/encryption.service';
+import { createPiiCipher, runPiiOperation } from './pii-encryption.extension';
+import { getEncryptedFieldNames } from './pii-encryption.util';
+import {
+  AUDIT_CHAIN_GENESIS_HASH,
+  AuditChainEntry,
+  computeAuditEntryHash,
+  verifyAuditChain,
+} from '../../infrastructure/audit/audit-chain.util';
+
+describe('runPiiOperation', () => {
+  const originalKey = process.env.ENCRYPTION_KEY;
+  let encryption: EncryptionService;
+
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEY = 'ab'.repeat(32);
+    encryption = new EncryptionService();
+  });
+
+  afterAll(() => {
+    process.env.ENCRYPTION_KEY = originalKey;
+  });
+
+  const run = (model: string, rows: unknown, args: any = {}) =>
+    runPiiOperation(model, args, async () => JSON.parse(JSON.stringify(rows)), createPiiCipher(encryption), getEncryptedFieldNames());
+
+  it('decrypts PII columns in results of other models', async () => {
+    const address = encryption.encrypt('Ludhiana');
+    await expect(run('InternshipApplication', [{ id: 'a1', student: { address } }])).resolves.toEqual([
+      { id: 'a1', student: { address: 'Ludhiana' } },
+    ]);
+  });
+
+  it('returns audit entries as stored so chained entries holding ciphertext still verify', async () => {
+    const content = {
+      timestamp: new Date('2026-02-01T10:00:00.000Z'),
+      action: 'BULK_OPERATION',
+      entityType: 'Student',
+      entityId: 'student-1',
+      userRole: 'STATE_DIRECTORATE',
+      userName: 'Restore Admin',
+      description: 'Restored Student student-1 from backup',
+      oldValues: { address: encryption.encrypt('Ludhiana') },
+      newValues: { address: encryption.encrypt('Jalandhar'), parentContact: encryption.encrypt('9876543210') },
+      changedFields: ['address'],
+      category: 'DATA_MANAGEMENT',
+      severity: 'HIGH',
+    };
+    const hash = computeAuditEntryHash(content, 1, AUDIT_CHAIN_GENESIS_HASH, 'chain-key');
+    const entry = { ...content, id: 'log-1', sequence: 1, previousHash: AUDIT_CHAIN_GENESIS_HASH, hash };
+
+    const rows = (await run('AuditLog', [entry])) as AuditChainEntry[];
+
+    expect((rows[0].newValues as any).address.startsWith('enc:v1:')).toBe(true);
+    expect(verifyAuditChain(rows, { sequence: 0, hash: AUDIT_CHAIN_GENESIS_HASH }, 'chain-key').issues).toEqual([]);
+  });
+
+  it('leaves audit query arguments alone', async () => {
+    const query = jest.fn().mockResolvedValue([]);
+    const args = { where: { entityType: 'Student' } };
+    await runPiiOperation('AuditLog', args, query, createPiiCipher(encryption), getEncryptedFieldNames());
+    expect(query).toHaveBeenCalledWith(args);
+  });
+});
@@ -0,0 +1,86 @@
+import { Logger } from '@nestjs/common';
+import { Prisma } from '../../generated/prisma/client';
+import { EncryptionService } from '../common/services/encryption.service';
+import { PII_ENCRYPTION_CONFIG } from '../../config/pii-encryption.config';
+import {
+  PiiCipher,
+  encryptWriteData,
+  rewritePiiWhere,
+  decryptPiiResult,
+  getEncryptedFieldNames,
+} from './pii-encryption.util';
+
+/**
+ * Cipher backed by the EncryptionService key ring
+ */
+export function createPiiCipher(encryption: EncryptionService): PiiCipher {
+  return {
+    encrypt: (value) => encryption.encrypt(value),
+    decrypt: (value) => encryption.decrypt(value),
+    isEncrypted: (value) => encryption.isEncrypted(value),
+    blindIndex: (value, field) => encryption.blindIndex(value, field),
+  };
+}
+
+/**
+ * Rewrite the arguments of a model operation for encrypted columns
+ */
+function rewriteArgs(model: string, args: any, cipher: PiiCipher): any {
+  if (!args || !PII_ENCRYPTION_CONFIG.MODELS[model]) {
+    return args;
+  }
+
+  const rewritten = { ...args };
+  if (args.where) rewritten.where = rewritePiiWhere(model, args.where, cipher);
+  if (args.data) rewritten.data = encryptWriteData(model, args.data, cipher);
+  if (args.create) rewritten.create = encryptWriteData(model, args.create, cipher);
+  if (args.update) rewritten.update = encryptWriteData(model, args.update, cipher);
+  return rewritten;
+}
+
+/**
+ * Run one model operation with encrypted writes / filters and decrypted results.
+ * Passthrough models (audit entries) are queried and returned untouched.
+ */
+export async function runPiiOperation(
+  model: string,
+  args: any,
+  query: (args: any) => Promise<any>,
+  cipher: PiiCipher,
+  encryptedFields: Set<string>,
+  onError?: (field: string, error: Error) => void,
+): Promise<any> {
+  if (PII_ENCRYPTION_CONFIG.PASSTHROUGH_MODELS.includes(model)) {
+    return query(args);
+  }
+
+  const result = await query(rewriteArgs(model, args, cipher));
+  return decryptPiiResult(result, cipher, encryptedFields, onError);
+}
+
+/**
+ * Prisma extension for transparent field-level encryption of PII columns
+ * (see config/pii-encryption.config.ts).
+ *
+ * Writes and filters are rewritten for queries on the configured models; results of
+ * every other model are decrypted too so that includes (application -> student -> user)
+ * read plaintext. Audit models are left as stored (PASSTHROUGH_MODELS).
+ */
+export function createPiiEncryptionExtension(encryption: EncryptionService) {
+  const logger = new Logger('PiiEncryption');
+  const cipher = createPiiCipher(encryption);
+  const encryptedFields = getEncryptedFieldNames();
+
+  return Prisma.defineExtension({
+    name: 'pii-encryption',
+    query: {
+      $allModels: {
+        async $allOperations({ model, args, query }) {
+          return runPiiOperation(model, args, query, cipher, encryptedFields, (field, error) =>
+            logger.error(`Failed to decrypt ${model}.${field}: ${error.message}`),
+          );
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,162 @@
+import {
+  PiiCipher,
+  encryptWriteData,
+  rewritePiiWhere,
+  decryptPiiResult,
+  getEncryptedFieldNames,
+  toPhoneLookup,
+} from './pii-encryption.util';
+
+// Reversible stand-in for AES so the rewrites are easy to read
+const cipher: PiiCipher = {
+  encrypt: (value) => `enc:${value}`,
+  decrypt: (value) => value.slice(4),
+  isEncrypted: (value) => value.startsWith('enc:'),
+  blindIndex: (value, field) => (value ? `h(${field}:${value.replace(/\D/g, '') || value})` : null),
+};
+
+const schema = {
+  MODELS: {
+    User: { encryptedFields: ['phoneNo', 'dob'], blindIndexes: { phoneNo: 'phoneNoHash', email: 'emailHash' } },
+    Student: { encryptedFields: ['address', 'parentContact'], blindIndexes: {} },
+  },
+  RELATIONS: { User: { Student: 'Student' }, Student: { user: 'User' } },
+};
+
+describe('encryptWriteData', () => {
+  it('encrypts configured columns and fills blind indexes', () => {
+    expect(
+      encryptWriteData('User', { name: 'Asha', phoneNo: '98765 43210', email: 'a@x.in', dob: '2004-01-02' }, cipher, schema),
+    ).toEqual({
+      name: 'Asha',
+      phoneNo: 'enc:98765 43210',
+      phoneNoHash: 'h(phoneNo:9876543210)',
+      email: 'a@x.in',
+      emailHash: 'h(email:a@x.in)',
+      dob: 'enc:2004-01-02',
+    });
+  });
+
+  it('clears the blind index with the column and leaves ciphertext alone', () => {
+    expect(encryptWriteData('User', { phoneNo: null }, cipher, schema)).toEqual({ phoneNo: null, phoneNoHash: null });
+    expect(encryptWriteData('User', { dob: { set: 'enc:x' } }, cipher, schema)).toEqual({ dob: { set: 'enc:x' } });
+  });
+
+  it('follows nested writes across configured relations and createMany arrays', () => {
+    const data = encryptWriteData(
+      'Student',
+      {
+        address: 'Ludhiana',
+        user: { create: { phoneNo: '9876543210' } },
+      },
+      cipher,
+      schema,
+    );
+    expect(data.address).toBe('enc:Ludhiana');
+    expect(data.user.create).toEqual({ phoneNo: 'enc:9876543210', phoneNoHash: 'h(phoneNo:9876543210)' });
+
+    const update = encryptWriteData(
+      'User',
+      { Student: { upsert: { create: { parentContact: '111' }, update: { parentContact: '222' } } } },
+      cipher,
+      schema,
+    );
+    expect(update.Student.upsert).toEqual({ create: { parentContact: 'enc:111' }, update: { parentContact: 'enc:222' } });
+
+    expect(encryptWriteData('Student', [{ address: 'A' }, { address: 'B' }], cipher, schema)).toEqual([
+      { address: 'enc:A' },
+      { address: 'enc:B' },
+    ]);
+  });
+
+  it('ignores models without configuration', () => {
+    const data = { address: 'Plot 4' };
+    expect(encryptWriteData('Company', data, cipher, schema)).toBe(data);
+  });
+});
+
+describe('rewritePiiWhere', () => {
+  it('turns equality, in and not filters into blind index filters', () => {
+    expect(rewritePiiWhere('User', { phoneNo: '9876543210', active: true }, cipher, schema)).toEqual({
+      phoneNoHash: 'h(phoneNo:9876543210)',
+      active: true,
+    });
+    expect(rewritePiiWhere('User', { phoneNo: { in: ['1', '2'] } }, cipher, schema)).toEqual({
+      phoneNoHash: { in: ['h(phoneNo:1)', 'h(phoneNo:2)'] },
+    });
+    expect(rewritePiiWhere('User', { phoneNo: { not: '1' } }, cipher, schema)).toEqual({
+      phoneNoHash: { not: 'h(phoneNo:1)' },
+    });
+  });
+
+  it('answers substring searches with an exact match and keeps null checks on the column', () => {
+    expect(rewritePiiWhere('User', { phoneNo: { contains: '98765', mode: 'insensitive' } }, cipher, schema)).toEqual({
+      phoneNoHash: { equals: 'h(phoneNo:98765)' },
+    });
+    expect(rewritePiiWhere('User', { phoneNo: null }, cipher, schema)).toEqual({ phoneNo: null });
+  });
+
+  it('matches nothing when the searched value has nothing to index', () => {
+    const noDigits: PiiCipher = { ...cipher, blindIndex: (value) => (/\d/.test(value) ? cipher.blindIndex(value, 'phoneNo') : null) };
+    expect(
+      rewritePiiWhere('User', { OR: [{ name: { contains: 'asha' } }, { phoneNo: { contains: 'asha' } }] }, noDigits, schema),
+    ).toEqual({ OR: [{ name: { contains: 'asha' } }, { phoneNoHash: { in: [] } }] });
+  });
+
+  it('leaves plaintext columns searchable even when they have a blind index', () => {
+    const where = { email: { contains: 'gmail' } };
+    expect(rewritePiiWhere('User', where, cipher, schema)).toEqual(where);
+  });
+
+  it('recurses through logical operators and relation filters', () => {
+    expect(
+      rewritePiiWhere(
+        'Student',
+        { OR: [{ user: { phoneNo: '1' } }, { user: { is: { phoneNo: '2' } } }], NOT: { address: null } },
+        cipher,
+        schema,
+      ),
+    ).toEqual({
+      OR: [{ user: { phoneNoHash: 'h(phoneNo:1)' } }, { user: { is: { phoneNoHash: 'h(phoneNo:2)' } } }],
+      NOT: { address: null },
+    });
+  });
+});
+
+describe('decryptPiiResult', () => {
+  it('decrypts configured columns at any depth and skips other values', () => {
+    const createdAt = new Date('2026-01-01T00:00:00.000Z');
+    const result = decryptPiiResult(
+      [{ id: '1', address: 'enc:Ludhiana', createdAt, user: { phoneNo: 'enc:98765', name: 'enc:not-a-pii-column' } }],
+      cipher,
+      getEncryptedFieldNames(schema),
+    );
+    expect(result).toEqual([
+      { id: '1', address: 'Ludhiana', createdAt, user: { phoneNo: '98765', name: 'enc:not-a-pii-column' } },
+    ]);
+  });
+
+  it('keeps ciphertext that cannot be decrypted and reports it', () => {
+    const failing: PiiCipher = { ...cipher, decrypt: () => { throw new Error('Unknown encryption key'); } };
+    const onError = jest.fn();
+    expect(decryptPiiResult({ phoneNo: 'enc:1' }, failing, getEncryptedFieldNames(schema), onError)).toEqual({
+      phoneNo: 'enc:1',
+    });
+    expect(onError).toHaveBeenCalledWith('phoneNo', expect.any(Error));
+  });
+});
+
+describe('toPhoneLookup', () => {
+  it('normalises a complete phone number, with or without country code and formatting', () => {
+    expect(toPhoneLookup('9876543210')).toBe('9876543210');
+    expect(toPhoneLookup('+91 98765-43210')).toBe('9876543210');
+    expect(toPhoneLookup('(0) 98765 43210')).toBe('9876543210');
+  });
+
+  it('returns null for partial numbers and text', () => {
+    expect(toPhoneLookup('98765')).toBeNull();
+    expect(toPhoneLookup('asha')).toBeNull();
+    expect(toPhoneLookup('asha 9876543210')).toBeNull();
+    expect(toPhoneLookup('1234567890123')).toBeNull();
+  });
+});
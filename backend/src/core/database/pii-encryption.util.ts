@@ -0,0 +1,309 @@
+/**
+ * PII Encryption Utility
+ *
+ * Rewrites Prisma query arguments and results for encrypted PII columns
+ * (see config/pii-encryption.config.ts):
+ * - Write data: encrypted columns are replaced by ciphertext and their blind index
+ *   columns are filled, including nested writes across configured relations
+ * - Filters: equality / in / not on a blind-indexed encrypted column become filters
+ *   on the blind index; contains / startsWith / endsWith become exact matches
+ * - Results: ciphertext in encrypted columns is decrypted at any depth
+ *
+ * Example (User.phoneNo encrypted, indexed as phoneNoHash):
+ * { where: { phoneNo: { in: ['98765 43210'] } } } -> { where: { phoneNoHash: { in: ['<hmac>'] } } }
+ */
+
+import { PII_ENCRYPTION_CONFIG, PiiModelConfig } from '../../config/pii-encryption.config';
+
+export interface PiiCipher {
+  encrypt(value: string): string;
+  decrypt(value: string): string;
+  isEncrypted(value: string): boolean;
+  blindIndex(value: string, field: string): string | null;
+}
+
+export interface PiiEncryptionSchema {
+  MODELS: Readonly<Record<string, PiiModelConfig>>;
+  RELATIONS: Readonly<Record<string, Readonly<Record<string, string>>>>;
+}
+
+// Nested write operations whose payload is create/update data
+const NESTED_DATA_OPERATIONS = ['create', 'update', 'connectOrCreate', 'upsert', 'createMany'];
+
+// String filter operators that can only be answered with an exact blind index match
+const SUBSTRING_OPERATORS = ['contains', 'startsWith', 'endsWith'];
+
+const LOGICAL_OPERATORS = ['AND', 'OR', 'NOT'];
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Every column name that holds ciphertext in any configured model
+ */
+export function getEncryptedFieldNames(schema: PiiEncryptionSchema = PII_ENCRYPTION_CONFIG): Set<string> {
+  return new Set(Object.values(schema.MODELS).flatMap((model) => model.encryptedFields));
+}
+
+/**
+ * Encrypt the PII columns of create/update data for a model (returns a new object)
+ */
+export function encryptWriteData(
+  model: string,
+  data: any,
+  cipher: PiiCipher,
+  schema: PiiEncryptionSchema = PII_ENCRYPTION_CONFIG,
+): any {
+  if (Array.isArray(data)) {
+    return data.map((item) => encryptWriteData(model, item, cipher, schema));
+  }
+
+  const config = schema.MODELS[model];
+  if (!config || !isPlainObject(data)) {
+    return data;
+  }
+
+  const result: Record<string, any> = { ...data };
+  const relations = schema.RELATIONS[model] || {};
+
+  for (const [field, hashField] of Object.entries(config.blindIndexes)) {
+    if (!(field in data)) continue;
+    const value = unwrapSet(data[field]);
+    if (value === null) {
+      result[hashField] = null;
+    } else if (typeof value === 'string' && !cipher.isEncrypted(value)) {
+      result[hashField] = cipher.blindIndex(value, field);
+    }
+  }
+
+  for (const field of config.encryptedFields) {
+    if (!(field in data)) continue;
+    const value = unwrapSet(data[field]);
+    if (typeof value === 'string' && value && !cipher.isEncrypted(value)) {
+      result[field] = cipher.encrypt(value);
+    }
+  }
+
+  for (const [field, relatedModel] of Object.entries(relations)) {
+    if (isPlainObject(data[field])) {
+      result[field] = encryptNestedWrite(relatedModel, data[field], cipher, schema);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encrypt the data of a nested relation write ({ create }, { update }, { upsert }, ...)
+ */
+function encryptNestedWrite(
+  model: string,
+  write: Record<string, any>,
+  cipher: PiiCipher,
+  schema: PiiEncryptionSchema,
+): Record<string, any> {
+  const result: Record<string, any> = { ...write };
+
+  for (const operation of NESTED_DATA_OPERATIONS) {
+    const payload = write[operation];
+    if (payload === undefined) continue;
+
+    switch (operation) {
+      case 'connectOrCreate':
+        result[operation] = mapPayload(payload, (item) => ({
+          ...item,
+          create: encryptWriteData(model, item.create, cipher, schema),
+        }));
+        break;
+      case 'upsert':
+        result[operation] = mapPayload(payload, (item) => ({
+          ...item,
+          create: encryptWriteData(model, item.create, cipher, schema),
+          update: encryptWriteData(model, item.update, cipher, schema),
+        }));
+        break;
+      case 'createMany':
+        result[operation] = { ...payload, data: encryptWriteData(model, payload.data, cipher, schema) };
+        break;
+      case 'update':
+        // To-one updates take the data directly, to-many updates as { where, data }
+        result[operation] = mapPayload(payload, (item) =>
+          'data' in item && isPlainObject(item.data)
+            ? { ...item, data: encryptWriteData(model, item.data, cipher, schema) }
+            : encryptWriteData(model, item, cipher, schema),
+        );
+        break;
+      default:
+        result[operation] = encryptWriteData(model, payload, cipher, schema);
+    }
+  }
+
+  return result;
+}
+
+function mapPayload(payload: any, mapper: (item: Record<string, any>) => Record<string, any>): any {
+  if (Array.isArray(payload)) {
+    return payload.map((item) => (isPlainObject(item) ? mapper(item) : item));
+  }
+  return isPlainObject(payload) ? mapper(payload) : payload;
+}
+
+function unwrapSet(value: any): any {
+  return isPlainObject(value) && 'set' in value ? value.set : value;
+}
+
+/**
+ * Rewrite a where filter so that lookups on blind-indexed encrypted columns use the index.
+ * Encrypted columns without an index are left alone (they can only match null).
+ */
+export function rewritePiiWhere(
+  model: string,
+  where: any,
+  cipher: PiiCipher,
+  schema: PiiEncryptionSchema = PII_ENCRYPTION_CONFIG,
+): any {
+  const config = schema.MODELS[model];
+  if (!config || !isPlainObject(where)) {
+    return where;
+  }
+
+  const result: Record<string, any> = {};
+  const relations = schema.RELATIONS[model] || {};
+
+  for (const [key, value] of Object.entries(where)) {
+    const hashField = config.blindIndexes[key];
+
+    if (LOGICAL_OPERATORS.includes(key)) {
+      mergeFilter(
+        result,
+        key,
+        Array.isArray(value)
+          ? value.map((item) => rewritePiiWhere(model, item, cipher, schema))
+          : rewritePiiWhere(model, value, cipher, schema),
+      );
+    } else if (relations[key] && isPlainObject(value)) {
+      result[key] = rewriteRelationFilter(relations[key], value, cipher, schema);
+    } else if (hashField && config.encryptedFields.includes(key) && value !== null) {
+      mergeFilter(result, hashField, toBlindIndexFilter(key, value, cipher));
+    } else {
+      mergeFilter(result, key, value);
+    }
+  }
+
+  return result;
+}
+
+function rewriteRelationFilter(
+  model: string,
+  filter: Record<string, any>,
+  cipher: PiiCipher,
+  schema: PiiEncryptionSchema,
+): Record<string, any> {
+  if (!('is' in filter) && !('isNot' in filter)) {
+    return rewritePiiWhere(model, filter, cipher, schema);
+  }
+
+  const result: Record<string, any> = { ...filter };
+  if ('is' in filter) result.is = rewritePiiWhere(model, filter.is, cipher, schema);
+  if ('isNot' in filter) result.isNot = rewritePiiWhere(model, filter.isNot, cipher, schema);
+  return result;
+}
+
+/**
+ * Blind index filter equivalent to a string filter on the plaintext column.
+ * Values without anything to index (e.g. a name typed into a phone search) match nothing.
+ */
+function toBlindIndexFilter(field: string, filter: any, cipher: PiiCipher): any {
+  const hash = (value: any) => (typeof value === 'string' ? cipher.blindIndex(value, field) : value);
+  const exact = (value: any) => {
+    const hashed = hash(value);
+    return hashed === null && value !== null ? { in: [] } : { equals: hashed };
+  };
+
+  if (!isPlainObject(filter)) {
+    const result = exact(filter);
+    return 'equals' in result ? result.equals : result;
+  }
+
+  let result: Record<string, any> = {};
+  for (const [operator, operand] of Object.entries(filter)) {
+    if (SUBSTRING_OPERATORS.includes(operator) && operand === '') {
+      continue; // matches every value
+    } else if (operator === 'equals' || SUBSTRING_OPERATORS.includes(operator)) {
+      result = { ...result, ...exact(operand) };
+    } else if (operator === 'in' || operator === 'notIn') {
+      result[operator] = Array.isArray(operand) ? operand.map(hash).filter((value) => value !== null) : operand;
+    } else if (operator === 'not') {
+      result.not = toBlindIndexFilter(field, operand, cipher);
+    }
+    // mode (case sensitivity) is covered by blind index normalisation; ordering operators cannot be answered
+  }
+
+  return result;
+}
+
+function mergeFilter(target: Record<string, any>, field: string, filter: any): void {
+  if (!(field in target)) {
+    target[field] = filter;
+    return;
+  }
+  // Both the column and an explicit hash filter were given: require both
+  const existing = target[field];
+  const and = Array.isArray(target.AND) ? target.AND : target.AND ? [target.AND] : [];
+  delete target[field];
+  target.AND = [...and, { [field]: existing }, { [field]: filter }];
+}
+
+/**
+ * Decrypt encrypted columns in a query result in place (objects and arrays at any depth).
+ * Values that fail to decrypt are left as ciphertext and reported through onError.
+ */
+export function decryptPiiResult<T>(
+  result: T,
+  cipher: PiiCipher,
+  encryptedFields: Set<string> = getEncryptedFieldNames(),
+  onError?: (field: string, error: Error) => void,
+): T {
+  const visit = (value: any): void => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!isPlainObject(value)) {
+      return;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item === 'string') {
+        if (encryptedFields.has(key) && cipher.isEncrypted(item)) {
+          try {
+            value[key] = cipher.decrypt(item);
+          } catch (error) {
+            onError?.(key, error);
+          }
+        }
+      } else if (item !== null && typeof item === 'object') {
+        visit(item);
+      }
+    }
+  };
+
+  visit(result);
+  return result;
+}
+
+/**
+ * Phone number to look up for a free-text search. Encrypted phone numbers can only be
+ * matched whole, so this returns the normalised number (last 10 digits, as the blind
+ * index stores it) when the search is a complete phone number, and null otherwise.
+ */
+export function toPhoneLookup(search: string): string | null {
+  if (!/^[+\d\s().-]+$/.test(search)) {
+    return null;
+  }
+  const digits = search.replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 12 ? digits.slice(-10) : null;
+}
@@ -0,0 +1,98 @@
+import { PrismaClient } from '../../generated/prisma/client';
+import { EncryptionService } from '../common/services/encryption.service';
+import { PII_ENCRYPTION_CONFIG } from '../../config/pii-encryption.config';
+
+export interface PiiKeyRotationOptions {
+  batchSize?: number;
+  dryRun?: boolean;
+  log?: (message: string) => void;
+}
+
+export interface PiiKeyRotationResult {
+  model: string;
+  scanned: number;
+  updated: number;
+  failed: number;
+}
+
+/**
+ * Bring every configured PII column up to date with the current key ring:
+ * - plaintext values (rows written before encryption was enabled) are encrypted
+ * - values under a previous key (or the legacy unversioned format) are re-encrypted
+ * - blind indexes are recomputed (also after changing BLIND_INDEX_KEY)
+ *
+ * Must be given a client WITHOUT the PII extension so that ciphertext is read as stored.
+ * Rows are walked by id in batches, so the command can be re-run after an interruption.
+ */
+export async function rotatePiiEncryption(
+  prisma: PrismaClient,
+  encryption: EncryptionService,
+  options: PiiKeyRotationOptions = {},
+): Promise<PiiKeyRotationResult[]> {
+  if (!encryption.isEncryptionEnabled()) {
+    throw new Error('ENCRYPTION_KEY is not set; nothing to rotate');
+  }
+
+  const batchSize = options.batchSize || PII_ENCRYPTION_CONFIG.ROTATION_BATCH_SIZE;
+  const log = options.log || (() => undefined);
+  const results: PiiKeyRotationResult[] = [];
+
+  for (const [model, config] of Object.entries(PII_ENCRYPTION_CONFIG.MODELS)) {
+    const delegate = (prisma as any)[model.charAt(0).toLowerCase() + model.slice(1)];
+    const indexedFields = Object.keys(config.blindIndexes);
+    const columns = new Set(['id', ...config.encryptedFields, ...indexedFields, ...Object.values(config.blindIndexes)]);
+    const select = Object.fromEntries([...columns].map((column) => [column, true]));
+    const result: PiiKeyRotationResult = { model, scanned: 0, updated: 0, failed: 0 };
+
+    let cursor: string | undefined;
+    for (;;) {
+      const rows: Record<string, any>[] = await delegate.findMany({
+        select,
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        result.scanned++;
+        try {
+          const data: Record<string, string | null> = {};
+
+          for (const field of config.encryptedFields) {
+            const value = row[field];
+            if (typeof value === 'string' && value && encryption.needsReEncryption(value)) {
+              data[field] = encryption.reEncrypt(value);
+            }
+          }
+
+          for (const field of indexedFields) {
+            const value = row[field];
+            const plaintext = typeof value === 'string' ? encryption.decryptIfNeeded(value) : null;
+            const hash = plaintext === null ? null : encryption.blindIndex(plaintext, field);
+            if (hash !== row[config.blindIndexes[field]]) {
+              data[config.blindIndexes[field]] = hash;
+            }
+          }
+
+          if (Object.keys(data).length > 0) {
+            if (!options.dryRun) {
+              await delegate.update({ where: { id: row.id }, data });
+            }
+            result.updated++;
+          }
+        } catch (error) {
+          result.failed++;
+          log(`${model} ${row.id}: ${error.message}`);
+        }
+      }
+
+      cursor = rows[rows.length - 1].id;
+      log(`${model}: ${result.scanned} scanned, ${result.updated} ${options.dryRun ? 'to update' : 'updated'}`);
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
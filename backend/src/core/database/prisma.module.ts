@@ -1,10 +1,12 @@
 import { Global, Module } from '@nestjs/common';
 import { PrismaService } from './prisma.service';
 import { PrismaCacheService } from './prisma-cache.service';
+import { EncryptionService } from '../common/services/encryption.service';
 
 @Global()
 @Module({
-  providers: [PrismaService, PrismaCacheService],
-  exports: [PrismaService, PrismaCacheService],
+  // EncryptionService is shared with services that read PII through raw queries
+  providers: [PrismaService, PrismaCacheService, EncryptionService],
+  exports: [PrismaService, PrismaCacheService, EncryptionService],
 })
 export class PrismaModule {}
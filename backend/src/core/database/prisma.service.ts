@@ -2,6 +2,8 @@ import { Injectable, OnModuleInit, OnModuleDestroy, Logger } from '@nestjs/commo
 import { PrismaClient } from '../../generated/prisma/client';
 import { PrismaPg } from '@prisma/adapter-pg';
 import { Pool } from 'pg';
+import { EncryptionService } from '../common/services/encryption.service';
+import { createPiiEncryptionExtension } from './pii-encryption.extension';
 
 @Injectable()
 export class PrismaService extends PrismaClient implements OnModuleInit, OnModuleDestroy {
@@ -30,6 +32,13 @@ export class PrismaService extends PrismaClient implements OnModuleInit, OnModul
           ? ['query', 'error', 'warn']
           : ['error'],
     } as any);
+
+    // Transparent PII column encryption (config/pii-encryption.config.ts) when ENCRYPTION_KEY is set.
+    // The extended client keeps this instance as its prototype, so subclasses and helpers still work.
+    const encryption = new EncryptionService();
+    if (encryption.isEncryptionEnabled()) {
+      return this.$extends(createPiiEncryptionExtension(encryption)) as unknown as PrismaService;
+    }
   }
 
   async onModuleInit() {
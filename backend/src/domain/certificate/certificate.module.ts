@@ -0,0 +1,12 @@
+import { Module } from '@nestjs/common';
+import { CertificateService } from './certificate.service';
+import { AuditModule } from '../../infrastructure/audit/audit.module';
+import { PdfService } from '../report/builder/export/pdf.service';
+import { VerificationModule } from '../verification/verification.module';
+
+@Module({
+  imports: [AuditModule, VerificationModule],
+  providers: [CertificateService, PdfService],
+  exports: [CertificateService],
+})
+export class CertificateModule {}
@@ -0,0 +1,97 @@
+import { AuditAction, InternshipPhase } from '../../generated/prisma/client';
+import { CertificateService } from './certificate.service';
+
+const application = {
+  id: 'application-1',
+  studentId: 'student-1',
+  internshipPhase: InternshipPhase.COMPLETED,
+  companyName: null,
+  jobProfile: 'Trainee',
+  startDate: new Date('2026-01-05'),
+  endDate: new Date('2026-06-30'),
+  facultyMentorName: null,
+  submittedReportsCount: 6,
+  totalExpectedReports: 6,
+  completedVisitsCount: 3,
+  totalExpectedVisits: 3,
+  company: { name: 'Acme Tools' },
+  mentor: { name: 'Mentor' },
+  student: {
+    id: 'student-1',
+    institutionId: 'inst-1',
+    user: { name: 'Asha', rollNumber: 'R1', branchName: 'Mechanical' },
+    Institution: { name: 'GPC', code: 'GPC01' },
+  },
+};
+
+const uniqueViolation = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+function createService() {
+  const certificates: any[] = [];
+  let nextCode = 0;
+
+  const prisma: any = {
+    internshipCertificate: {
+      findUnique: jest.fn(async ({ where }: any) => certificates.find((row) => row.applicationId === where.applicationId) ?? null),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `certificate-${certificates.length + 1}`, ...data };
+        certificates.push(row);
+        return row;
+      }),
+    },
+    internshipApplication: { findUnique: jest.fn(async () => application) },
+  };
+  const auditService: any = { log: jest.fn(async () => null) };
+  const verificationService: any = { generateCertificateCode: jest.fn(() => `CODE-${++nextCode}`) };
+
+  const service = new CertificateService(prisma, auditService, {} as any, verificationService);
+  return { service, prisma, auditService, certificates };
+}
+
+describe('CertificateService.issueCertificate', () => {
+  it('returns the certificate a concurrent request created first', async () => {
+    const { service, prisma, auditService, certificates } = createService();
+    const winner = { id: 'certificate-0', applicationId: 'application-1', certificateNumber: 'GPC01-2026-AAAAAA' };
+    prisma.internshipCertificate.create.mockImplementationOnce(async () => {
+      certificates.push(winner);
+      throw uniqueViolation();
+    });
+
+    await expect(service.issueCertificate('application-1', 'principal-1')).resolves.toBe(winner);
+
+    expect(prisma.internshipCertificate.create).toHaveBeenCalledTimes(1);
+    expect(auditService.log).not.toHaveBeenCalled();
+  });
+
+  it('draws a new certificate number when the generated one is taken', async () => {
+    const { service, prisma, auditService } = createService();
+    prisma.internshipCertificate.create.mockImplementationOnce(async () => {
+      throw uniqueViolation();
+    });
+
+    const certificate = await service.issueCertificate('application-1', 'principal-1');
+
+    const [first, second] = prisma.internshipCertificate.create.mock.calls.map(([{ data }]: any) => data);
+    expect(second.certificateNumber).toMatch(/^GPC01-\d{4}-\w{6}$/);
+    expect(second.verificationCode).not.toBe(first.verificationCode);
+    expect(certificate).toMatchObject({ applicationId: 'application-1', companyName: 'Acme Tools' });
+    expect(auditService.log).toHaveBeenCalledTimes(1);
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({ action: AuditAction.CERTIFICATE_ISSUE }));
+  });
+
+  it('gives up after repeated collisions and passes other errors through', async () => {
+    const collisions = createService();
+    collisions.prisma.internshipCertificate.create.mockImplementation(async () => {
+      throw uniqueViolation();
+    });
+    await expect(collisions.service.issueCertificate('application-1')).rejects.toMatchObject({ code: 'P2002' });
+    expect(collisions.prisma.internshipCertificate.create).toHaveBeenCalledTimes(5);
+
+    const failure = createService();
+    failure.prisma.internshipCertificate.create.mockImplementation(async () => {
+      throw new Error('connection lost');
+    });
+    await expect(failure.service.issueCertificate('application-1')).rejects.toThrow('connection lost');
+    expect(failure.prisma.internshipCertificate.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,295 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  Logger,
+} from '@nestjs/common';
+import { randomInt } from 'crypto';
+import {
+  Prisma,
+  Role,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  InternshipPhase,
+  InternshipCertificate,
+} from '../../generated/prisma/client';
+import { PrismaService } from '../../core/database/prisma.service';
+import { AuditService } from '../../infrastructure/audit/audit.service';
+import { PdfService } from '../report/builder/export/pdf.service';
+import { CertificateContent } from '../report/builder/interfaces/report.interface';
+import { VerificationService } from '../verification/verification.service';
+import { VERIFICATION_CODE_ALPHABET } from '../verification/verification-code.util';
+
+const INSTITUTION_LETTERHEAD_SELECT = {
+  name: true,
+  code: true,
+  address: true,
+  city: true,
+  district: true,
+  pinCode: true,
+  contactEmail: true,
+  contactPhone: true,
+  affiliatedTo: true,
+} satisfies Prisma.InstitutionSelect;
+
+// New numbers to try when a generated certificate number or code is already taken
+const MAX_ISSUE_ATTEMPTS = 5;
+
+type InstitutionLetterhead = Prisma.InstitutionGetPayload<{ select: typeof INSTITUTION_LETTERHEAD_SELECT }>;
+
+export interface BatchCertificateFilters {
+  institutionId: string;
+  batchId?: string;
+  branchId?: string;
+}
+
+@Injectable()
+export class CertificateService {
+  private readonly logger = new Logger(CertificateService.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly auditService: AuditService,
+    private readonly pdfService: PdfService,
+    private readonly verificationService: VerificationService,
+  ) {}
+
+  /**
+   * Issue the completion certificate for an application.
+   * Details are copied onto the certificate at issue time so later edits to the
+   * student, company or mentor do not change a certificate already handed out.
+   * Issuing again returns the existing certificate, including when a concurrent
+   * request wins the race to create it.
+   */
+  async issueCertificate(applicationId: string, issuedById?: string): Promise<InternshipCertificate> {
+    const existing = await this.prisma.internshipCertificate.findUnique({
+      where: { applicationId },
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const application = await this.prisma.internshipApplication.findUnique({
+      where: { id: applicationId },
+      include: {
+        student: {
+          select: {
+            id: true,
+            institutionId: true,
+            user: { select: { name: true, rollNumber: true, branchName: true } },
+            Institution: { select: INSTITUTION_LETTERHEAD_SELECT },
+          },
+        },
+        company: { select: { name: true } },
+        mentor: { select: { name: true } },
+      },
+    });
+
+    if (!application) {
+      throw new NotFoundException('Application not found');
+    }
+
+    if (application.internshipPhase !== InternshipPhase.COMPLETED) {
+      throw new BadRequestException('A certificate can only be issued once the internship is completed');
+    }
+
+    const companyName = application.company?.name ?? application.companyName;
+    if (!companyName) {
+      throw new BadRequestException('The application has no company on record');
+    }
+
+    const institution = application.student.Institution;
+    const details = {
+      applicationId,
+      studentId: application.studentId,
+      institutionId: application.student.institutionId,
+      studentName: application.student.user?.name ?? 'Student',
+      rollNumber: application.student.user?.rollNumber,
+      branchName: application.student.user?.branchName,
+      institutionName: institution?.name ?? 'Institution',
+      companyName,
+      jobProfile: application.jobProfile,
+      startDate: application.startDate,
+      endDate: application.endDate,
+      mentorName: application.mentor?.name ?? application.facultyMentorName,
+      reportsSubmitted: application.submittedReportsCount,
+      reportsExpected: application.totalExpectedReports,
+      visitsCompleted: application.completedVisitsCount,
+      visitsExpected: application.totalExpectedVisits,
+      issuedById,
+    };
+
+    let certificate: InternshipCertificate | undefined;
+    for (let attempt = 1; !certificate; attempt++) {
+      try {
+        certificate = await this.prisma.internshipCertificate.create({
+          data: {
+            ...details,
+            certificateNumber: this.generateCertificateNumber(institution?.code),
+            verificationCode: this.verificationService.generateCertificateCode(),
+          },
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+
+        // Another request issued the certificate for this application first
+        const issued = await this.prisma.internshipCertificate.findUnique({
+          where: { applicationId },
+        });
+        if (issued) {
+          return issued;
+        }
+
+        // Otherwise the generated number or code collided with another certificate
+        if (attempt === MAX_ISSUE_ATTEMPTS) {
+          throw error;
+        }
+        this.logger.warn(`Certificate number collision for application ${applicationId}, retrying`);
+      }
+    }
+
+    this.auditService.log({
+      action: AuditAction.CERTIFICATE_ISSUE,
+      entityType: 'InternshipCertificate',
+      entityId: certificate.id,
+      userId: issuedById,
+      category: AuditCategory.INTERNSHIP_WORKFLOW,
+      severity: AuditSeverity.LOW,
+      institutionId: certificate.institutionId ?? undefined,
+      description: `Internship certificate ${certificate.certificateNumber} issued to ${certificate.studentName}`,
+      newValues: { applicationId, certificateNumber: certificate.certificateNumber },
+    }).catch(() => {});
+
+    return certificate;
+  }
+
+  /**
+   * Render the certificate for an application as a PDF, issuing it first if needed
+   */
+  async renderCertificatePdf(
+    applicationId: string,
+    requestedBy: { userId: string; role: Role },
+  ): Promise<{ certificate: InternshipCertificate; buffer: Buffer }> {
+    const certificate = await this.issueCertificate(applicationId, requestedBy.userId);
+
+    if (certificate.revokedAt) {
+      throw new BadRequestException('This certificate has been revoked');
+    }
+
+    const institution = certificate.institutionId
+      ? await this.prisma.institution.findUnique({
+          where: { id: certificate.institutionId },
+          select: INSTITUTION_LETTERHEAD_SELECT,
+        })
+      : null;
+
+    const buffer = await this.pdfService.generateCertificates([await this.toContent(certificate, institution)]);
+
+    this.auditService.log({
+      action: AuditAction.CERTIFICATE_DOWNLOAD,
+      entityType: 'InternshipCertificate',
+      entityId: certificate.id,
+      userId: requestedBy.userId,
+      userRole: requestedBy.role,
+      category: AuditCategory.INTERNSHIP_WORKFLOW,
+      severity: AuditSeverity.LOW,
+      institutionId: certificate.institutionId ?? undefined,
+      description: `Internship certificate ${certificate.certificateNumber} downloaded`,
+    }).catch(() => {});
+
+    return { certificate, buffer };
+  }
+
+  /**
+   * Issue certificates for every completed internship in an institution (optionally one batch or branch)
+   * and return them ready for printing
+   */
+  async issueForBatch(filters: BatchCertificateFilters, issuedById?: string): Promise<CertificateContent[]> {
+    const applications = await this.prisma.internshipApplication.findMany({
+      where: {
+        internshipPhase: InternshipPhase.COMPLETED,
+        student: {
+          institutionId: filters.institutionId,
+          ...(filters.batchId && { batchId: filters.batchId }),
+          ...(filters.branchId && { branchId: filters.branchId }),
+        },
+      },
+      select: { id: true },
+      orderBy: { student: { user: { name: 'asc' } } },
+    });
+
+    const certificates: InternshipCertificate[] = [];
+    for (const application of applications) {
+      try {
+        certificates.push(await this.issueCertificate(application.id, issuedById));
+      } catch (error) {
+        this.logger.warn(`Skipping certificate for application ${application.id}: ${error.message}`);
+      }
+    }
+
+    const institution = await this.prisma.institution.findUnique({
+      where: { id: filters.institutionId },
+      select: INSTITUTION_LETTERHEAD_SELECT,
+    });
+
+    const contents: CertificateContent[] = [];
+    for (const certificate of certificates.filter((c) => !c.revokedAt)) {
+      contents.push(await this.toContent(certificate, institution));
+    }
+    return contents;
+  }
+
+  /**
+   * Combine the certificate snapshot with the institution's current letterhead and the verification QR code
+   */
+  private async toContent(
+    certificate: InternshipCertificate,
+    institution: InstitutionLetterhead | null,
+  ): Promise<CertificateContent> {
+    const address = [institution?.address, institution?.city, institution?.district, institution?.pinCode]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      certificateNumber: certificate.certificateNumber,
+      verificationCode: certificate.verificationCode,
+      verificationUrl: this.verificationService.getVerificationUrl(certificate.verificationCode),
+      qrCode: await this.verificationService.getQrCode(certificate.verificationCode),
+      issuedAt: certificate.issuedAt,
+      studentName: certificate.studentName,
+      rollNumber: certificate.rollNumber,
+      branchName: certificate.branchName,
+      companyName: certificate.companyName,
+      jobProfile: certificate.jobProfile,
+      startDate: certificate.startDate,
+      endDate: certificate.endDate,
+      mentorName: certificate.mentorName,
+      reportsSubmitted: certificate.reportsSubmitted,
+      reportsExpected: certificate.reportsExpected,
+      visitsCompleted: certificate.visitsCompleted,
+      visitsExpected: certificate.visitsExpected,
+      institution: {
+        name: certificate.institutionName,
+        address: address || null,
+        contactEmail: institution?.contactEmail,
+        contactPhone: institution?.contactPhone,
+        affiliatedTo: institution?.affiliatedTo,
+      },
+    };
+  }
+
+  private generateCertificateNumber(institutionCode?: string | null): string {
+    return `${institutionCode || 'INST'}-${new Date().getFullYear()}-${this.randomCode(6)}`;
+  }
+
+  private randomCode(length: number): string {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += VERIFICATION_CODE_ALPHABET[randomInt(VERIFICATION_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+}
@@ -0,0 +1,2 @@
+export * from './certificate.service';
+export * from './certificate.module';
@@ -0,0 +1,54 @@
+import { normalizeCompanyName, companyNameSimilarity, levenshteinDistance } from './company-name.util';
+
+describe('normalizeCompanyName', () => {
+  it.each([
+    ['Infosys Ltd', 'infosys'],
+    ['INFOSYS LIMITED', 'infosys'],
+    ['infosys', 'infosys'],
+    ['M/s. Infosys Pvt. Ltd.', 'infosys'],
+    ['Multi-Skill  Solutions', 'multi skill solutions'],
+    ['Johnson & Johnson', 'johnson and johnson'],
+    ['Tata Consultancy Services Limited', 'tata consultancy services'],
+  ])('normalizes %p to %p', (input, expected) => {
+    expect(normalizeCompanyName(input)).toBe(expected);
+  });
+
+  it('keeps a name that is only a legal-form word', () => {
+    expect(normalizeCompanyName('Company')).toBe('company');
+  });
+
+  it('returns an empty key for blank input', () => {
+    expect(normalizeCompanyName('  ')).toBe('');
+    expect(normalizeCompanyName(null)).toBe('');
+  });
+});
+
+describe('companyNameSimilarity', () => {
+  it('scores identical and space-only differences as 1', () => {
+    expect(companyNameSimilarity('infosys', 'infosys')).toBe(1);
+    expect(companyNameSimilarity('tech mahindra', 'techmahindra')).toBe(1);
+  });
+
+  it('scores typos highly', () => {
+    expect(companyNameSimilarity('infosys', 'infosis')).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it('scores a longer form of the same name highly', () => {
+    expect(companyNameSimilarity('infosys', 'infosys technologies')).toBe(0.85);
+  });
+
+  it('does not treat a short common word as containment', () => {
+    expect(companyNameSimilarity('it', 'it solutions')).toBeLessThan(0.8);
+  });
+
+  it('scores unrelated names low', () => {
+    expect(companyNameSimilarity('infosys', 'wipro')).toBeLessThan(0.5);
+  });
+});
+
+describe('levenshteinDistance', () => {
+  it('counts single-character edits', () => {
+    expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
+    expect(levenshteinDistance('', 'abc')).toBe(3);
+  });
+});
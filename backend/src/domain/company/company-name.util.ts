@@ -0,0 +1,110 @@
+/**
+ * Company Name Utility
+ *
+ * Students type employer names free-hand on the self-identified form, so the same
+ * company shows up as "Infosys Ltd", "INFOSYS LIMITED" and "infosys". These helpers
+ * reduce a name to a comparable key and score how close two keys are.
+ *
+ * Example:
+ * normalizeCompanyName('M/s. Infosys Pvt. Ltd.')  -> 'infosys'
+ * normalizeCompanyName('Johnson & Johnson')       -> 'johnson and johnson'
+ * companyNameSimilarity('infosys', 'infosis')     -> 0.86
+ */
+
+// Trailing words that only describe the legal form of the company
+const LEGAL_SUFFIXES = new Set([
+  'pvt',
+  'private',
+  'ltd',
+  'limited',
+  'llp',
+  'llc',
+  'inc',
+  'incorporated',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'plc',
+  'opc',
+]);
+
+/**
+ * Reduce a company name to its comparison key: lowercase, punctuation collapsed to
+ * single spaces, a leading "M/s" and trailing legal-form words removed.
+ * Returns an empty string for blank input.
+ */
+export function normalizeCompanyName(name?: string | null): string {
+  if (!name) return '';
+
+  const tokens = name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (tokens.length > 2 && tokens[0] === 'm' && tokens[1] === 's') {
+    tokens.splice(0, 2);
+  }
+
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions and substitutions)
+ */
+export function levenshteinDistance(a: string, b: string): number {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two normalized company names, from 0 (unrelated) to 1 (same key).
+ * Takes the best of:
+ * - character similarity, which catches typos ("infosis" vs "infosys")
+ * - token overlap, which catches reordered words
+ * - word containment, which catches a longer form of the same name ("infosys" vs "infosys technologies")
+ */
+export function companyNameSimilarity(a: string, b: string): number {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const compactA = a.replace(/ /g, '');
+  const compactB = b.replace(/ /g, '');
+  if (compactA === compactB) return 1;
+
+  const maxLength = Math.max(compactA.length, compactB.length);
+  const characterScore = 1 - levenshteinDistance(compactA, compactB) / maxLength;
+
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+  const tokenScore = shared / (tokensA.size + tokensB.size - shared);
+
+  // Containment only counts when the shorter name is distinctive enough on its own
+  const [shorter, longer] = tokensA.size <= tokensB.size ? [tokensA, tokensB] : [tokensB, tokensA];
+  const contained =
+    [...shorter].join('').length >= 4 && [...shorter].every((token) => longer.has(token));
+  const containmentScore = contained ? 0.85 : 0;
+
+  return Math.round(Math.max(characterScore, tokenScore, containmentScore) * 100) / 100;
+}
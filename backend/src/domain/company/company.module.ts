@@ -0,0 +1,11 @@
+import { Module } from '@nestjs/common';
+import { CompanyService } from './company.service';
+import { AuditModule } from '../../infrastructure/audit/audit.module';
+import { InstitutionModule } from '../institution/institution.module';
+
+@Module({
+  imports: [AuditModule, InstitutionModule],
+  providers: [CompanyService],
+  exports: [CompanyService],
+})
+export class CompanyModule {}
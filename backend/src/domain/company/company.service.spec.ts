@@ -0,0 +1,40 @@
+import { AuditAction, Role } from '../../generated/prisma/client';
+import { CompanyService } from './company.service';
+
+function createService() {
+  const company = { id: 'company-1', name: 'Acme Tools', normalizedName: 'acme tools', aliases: [], isActive: true };
+  const prisma: any = {
+    company: {
+      findFirst: jest.fn(async () => null),
+      findUnique: jest.fn(async () => company),
+      create: jest.fn(async ({ data }: any) => ({ id: 'company-1', ...data })),
+    },
+    internshipApplication: {
+      findUnique: jest.fn(async () => ({ id: 'application-1', companyId: 'company-1' })),
+      update: jest.fn(async () => ({})),
+    },
+  };
+  const auditService: any = { log: jest.fn(async () => null) };
+
+  return { service: new CompanyService(prisma, auditService, {} as any), prisma, auditService };
+}
+
+describe('CompanyService audit trail', () => {
+  it('records the acting user and their role', async () => {
+    const { service, prisma, auditService } = createService();
+    const actor = { userId: 'admin-1', role: Role.SYSTEM_ADMIN };
+
+    await service.createCompany({ name: 'Acme Tools' }, actor);
+    await service.unlinkApplication('application-1', actor);
+
+    expect(prisma.company.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ createdById: 'admin-1' }),
+    });
+    expect(auditService.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: AuditAction.INDUSTRY_REGISTER, userId: 'admin-1', userRole: Role.SYSTEM_ADMIN }),
+    );
+    expect(auditService.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: AuditAction.APPLICATION_UPDATE, userId: 'admin-1', userRole: Role.SYSTEM_ADMIN }),
+    );
+  });
+});
@@ -0,0 +1,723 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  Logger,
+} from '@nestjs/common';
+import { Prisma, Role, AuditAction, AuditCategory, AuditSeverity } from '../../generated/prisma/client';
+import { PrismaService } from '../../core/database/prisma.service';
+import { AuditService } from '../../infrastructure/audit/audit.service';
+import { InstitutionService } from '../institution/institution.service';
+import * as bcrypt from 'bcrypt';
+import { BCRYPT_SALT_ROUNDS } from '../../core/auth/services/auth.service';
+import { normalizeCompanyName, companyNameSimilarity } from './company-name.util';
+
+// Minimum similarity for two names to be proposed as the same company
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+export interface CompanyData {
+  name: string;
+  industryType?: string;
+  gstin?: string;
+  cin?: string;
+  address?: string;
+  city?: string;
+  state?: string;
+  pinCode?: string;
+  contactEmail?: string;
+  contactPhone?: string;
+  website?: string;
+  isActive?: boolean;
+}
+
+export interface CreateSupervisorData {
+  name: string;
+  email: string;
+  password?: string;
+  phoneNo?: string;
+  designation?: string;
+}
+
+export interface LinkApplicationsOptions {
+  applicationIds?: string[];
+  // Link every unlinked application whose normalized companyName matches the company name or one of its aliases
+  matchByName?: boolean;
+}
+
+export interface MergeCompaniesOptions {
+  // Free-text company names whose unlinked applications move to the canonical company
+  names?: string[];
+  // Duplicate registered companies folded into the canonical one and then deleted
+  companyIds?: string[];
+}
+
+// The state user performing a change, recorded in the audit trail
+export interface CompanyActor {
+  userId: string;
+  role: Role | string;
+}
+
+export interface DuplicateSearchOptions {
+  threshold?: number;
+  limit?: number;
+}
+
+@Injectable()
+export class CompanyService {
+  private readonly logger = new Logger(CompanyService.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly auditService: AuditService,
+    private readonly institutionService: InstitutionService,
+  ) {}
+
+  /**
+   * List registered companies with supervisor and linked application counts
+   */
+  async listCompanies(params: { page?: number; limit?: number; search?: string; isActive?: boolean }) {
+    const { page = 1, limit = 20, search, isActive } = params;
+    const skip = (page - 1) * limit;
+
+    const where: Prisma.CompanyWhereInput = {};
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { has: normalizeCompanyName(search) } },
+        { gstin: search.trim().toUpperCase() },
+        { cin: search.trim().toUpperCase() },
+      ];
+    }
+    if (isActive !== undefined) {
+      where.isActive = isActive;
+    }
+
+    const [companies, total] = await Promise.all([
+      this.prisma.company.findMany({
+        where,
+        skip,
+        take: limit,
+        include: {
+          _count: { select: { supervisors: true, applications: true } },
+        },
+        orderBy: { name: 'asc' },
+      }),
+      this.prisma.company.count({ where }),
+    ]);
+
+    return {
+      data: companies,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  /**
+   * Get a company with its supervisors
+   */
+  async getCompany(id: string) {
+    const company = await this.prisma.company.findUnique({
+      where: { id },
+      include: {
+        supervisors: {
+          where: { role: Role.INDUSTRY_SUPERVISOR },
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phoneNo: true,
+            designation: true,
+            active: true,
+            lastLoginAt: true,
+          },
+          orderBy: { name: 'asc' },
+        },
+        _count: { select: { applications: true } },
+      },
+    });
+
+    if (!company) {
+      throw new NotFoundException(`Company with ID ${id} not found`);
+    }
+
+    return company;
+  }
+
+  /**
+   * Register a company
+   * Rejects names (or GSTIN/CIN) that already belong to a registered company
+   */
+  async createCompany(data: CompanyData, actor?: CompanyActor) {
+    const name = data.name?.trim();
+    const normalizedName = normalizeCompanyName(name);
+    if (!normalizedName) {
+      throw new BadRequestException('Company name is required');
+    }
+
+    const gstin = data.gstin?.trim().toUpperCase() || undefined;
+    const cin = data.cin?.trim().toUpperCase() || undefined;
+    await this.assertUnique({ normalizedName, gstin, cin });
+
+    const company = await this.prisma.company.create({
+      data: {
+        name,
+        normalizedName,
+        industryType: data.industryType,
+        gstin,
+        cin,
+        address: data.address,
+        city: data.city,
+        state: data.state,
+        pinCode: data.pinCode,
+        contactEmail: data.contactEmail?.toLowerCase(),
+        contactPhone: data.contactPhone,
+        website: data.website,
+        isActive: data.isActive ?? true,
+        createdById: actor?.userId,
+      },
+    });
+
+    this.logger.log(`Company registered: ${company.name} (${company.id})`);
+
+    this.auditService.log({
+      action: AuditAction.INDUSTRY_REGISTER,
+      entityType: 'Company',
+      entityId: company.id,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.ADMINISTRATIVE,
+      severity: AuditSeverity.MEDIUM,
+      description: `Company registered: ${company.name}`,
+      newValues: { name: company.name, industryType: company.industryType, gstin, cin },
+    }).catch(() => {});
+
+    return company;
+  }
+
+  /**
+   * Update a company
+   */
+  async updateCompany(id: string, data: Partial<CompanyData>, actor?: CompanyActor) {
+    const existing = await this.prisma.company.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundException(`Company with ID ${id} not found`);
+    }
+
+    const name = data.name?.trim() || undefined;
+    const normalizedName = name ? normalizeCompanyName(name) : undefined;
+    const gstin = data.gstin === undefined ? undefined : data.gstin?.trim().toUpperCase() || null;
+    const cin = data.cin === undefined ? undefined : data.cin?.trim().toUpperCase() || null;
+    await this.assertUnique({ normalizedName, gstin, cin }, id);
+
+    const company = await this.prisma.company.update({
+      where: { id },
+      data: {
+        name,
+        normalizedName,
+        industryType: data.industryType,
+        gstin,
+        cin,
+        address: data.address,
+        city: data.city,
+        state: data.state,
+        pinCode: data.pinCode,
+        contactEmail: data.contactEmail?.toLowerCase(),
+        contactPhone: data.contactPhone,
+        website: data.website,
+        isActive: data.isActive,
+      },
+    });
+
+    this.auditService.log({
+      action: AuditAction.INDUSTRY_PROFILE_UPDATE,
+      entityType: 'Company',
+      entityId: id,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.ADMINISTRATIVE,
+      severity: AuditSeverity.LOW,
+      description: `Company updated: ${company.name}`,
+      oldValues: { name: existing.name, isActive: existing.isActive },
+      newValues: { name: company.name, isActive: company.isActive },
+    }).catch(() => {});
+
+    return company;
+  }
+
+  /**
+   * Create an INDUSTRY_SUPERVISOR login for a company
+   * Returns the temporary password when one was generated
+   */
+  async createSupervisor(companyId: string, data: CreateSupervisorData, actor?: CompanyActor) {
+    const company = await this.prisma.company.findUnique({ where: { id: companyId } });
+    if (!company) {
+      throw new NotFoundException(`Company with ID ${companyId} not found`);
+    }
+    if (!company.isActive) {
+      throw new BadRequestException('Cannot add supervisors to an inactive company');
+    }
+
+    const email = data.email.toLowerCase();
+    if (await this.institutionService.emailExists(email)) {
+      throw new BadRequestException(`User with email ${email} already exists`);
+    }
+
+    const temporaryPassword = data.password || this.institutionService.generateDefaultPassword();
+    const hashedPassword = await bcrypt.hash(temporaryPassword, BCRYPT_SALT_ROUNDS);
+
+    const supervisor = await this.prisma.user.create({
+      data: {
+        name: data.name,
+        email,
+        password: hashedPassword,
+        role: Role.INDUSTRY_SUPERVISOR,
+        phoneNo: data.phoneNo,
+        designation: data.designation || 'Industry Supervisor',
+        companyId,
+        active: true,
+        hasChangedDefaultPassword: false,
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        phoneNo: true,
+        designation: true,
+        role: true,
+        companyId: true,
+        active: true,
+      },
+    });
+
+    this.logger.log(`Industry supervisor created for company ${company.name}: ${supervisor.email}`);
+
+    this.auditService.log({
+      action: AuditAction.USER_REGISTRATION,
+      entityType: 'User',
+      entityId: supervisor.id,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.USER_MANAGEMENT,
+      severity: AuditSeverity.MEDIUM,
+      description: `Industry supervisor ${supervisor.name} created for ${company.name}`,
+      newValues: { email: supervisor.email, role: Role.INDUSTRY_SUPERVISOR, companyId },
+    }).catch(() => {});
+
+    return {
+      supervisor,
+      temporaryPassword: data.password ? undefined : temporaryPassword,
+    };
+  }
+
+  /**
+   * Link internship applications to a company
+   * Applications can be picked explicitly or matched on their free-text companyName
+   */
+  async linkApplications(companyId: string, options: LinkApplicationsOptions, actor?: CompanyActor) {
+    const company = await this.prisma.company.findUnique({ where: { id: companyId } });
+    if (!company) {
+      throw new NotFoundException(`Company with ID ${companyId} not found`);
+    }
+
+    const conditions: Prisma.InternshipApplicationWhereInput[] = [];
+    if (options.applicationIds?.length) {
+      conditions.push({ id: { in: options.applicationIds } });
+    }
+    if (options.matchByName) {
+      const variants = await this.findUnlinkedNameVariants([company.normalizedName, ...company.aliases]);
+      if (variants.length) {
+        conditions.push({ companyId: null, companyName: { in: variants } });
+      }
+    }
+    if (!options.applicationIds?.length && !options.matchByName) {
+      throw new BadRequestException('Provide applicationIds or set matchByName');
+    }
+    if (conditions.length === 0) {
+      return { linked: 0 };
+    }
+
+    const result = await this.prisma.internshipApplication.updateMany({
+      where: { OR: conditions },
+      data: { companyId },
+    });
+
+    this.auditService.log({
+      action: AuditAction.BULK_OPERATION,
+      entityType: 'Company',
+      entityId: companyId,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.DATA_MANAGEMENT,
+      severity: AuditSeverity.MEDIUM,
+      description: `Linked ${result.count} application(s) to company ${company.name}`,
+      newValues: {
+        applicationIds: options.applicationIds,
+        matchByName: !!options.matchByName,
+        linked: result.count,
+      },
+    }).catch(() => {});
+
+    return { linked: result.count };
+  }
+
+  /**
+   * Detach an application from its company
+   */
+  async unlinkApplication(applicationId: string, actor?: CompanyActor) {
+    const application = await this.prisma.internshipApplication.findUnique({
+      where: { id: applicationId },
+      select: { id: true, companyId: true },
+    });
+    if (!application) {
+      throw new NotFoundException(`Application with ID ${applicationId} not found`);
+    }
+
+    await this.prisma.internshipApplication.update({
+      where: { id: applicationId },
+      data: { companyId: null },
+    });
+
+    this.auditService.log({
+      action: AuditAction.APPLICATION_UPDATE,
+      entityType: 'InternshipApplication',
+      entityId: applicationId,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.DATA_MANAGEMENT,
+      severity: AuditSeverity.LOW,
+      description: 'Application unlinked from company',
+      oldValues: { companyId: application.companyId },
+      newValues: { companyId: null },
+    }).catch(() => {});
+
+    return { success: true };
+  }
+
+  /**
+   * Suggest registered companies for a partially typed name (self-identified form autocomplete)
+   */
+  async suggestCompanies(query: string, limit = 8) {
+    const key = normalizeCompanyName(query);
+    if (key.length < 2) {
+      return [];
+    }
+
+    const candidates = await this.prisma.company.findMany({
+      where: {
+        isActive: true,
+        OR: [
+          { normalizedName: { contains: key.split(' ')[0] } },
+          { name: { contains: query.trim(), mode: 'insensitive' } },
+          { aliases: { has: key } },
+        ],
+      },
+      select: {
+        id: true,
+        name: true,
+        normalizedName: true,
+        aliases: true,
+        industryType: true,
+        address: true,
+        city: true,
+        state: true,
+        pinCode: true,
+        contactEmail: true,
+        contactPhone: true,
+      },
+      take: 50,
+    });
+
+    return candidates
+      .map(({ normalizedName, aliases, ...company }) => {
+        const prefixMatch = [normalizedName, ...aliases].some((name) => name.startsWith(key));
+        const score = Math.max(
+          prefixMatch ? 0.9 : 0,
+          ...[normalizedName, ...aliases].map((name) => companyNameSimilarity(key, name)),
+        );
+        return { ...company, score };
+      })
+      .filter((company) => company.score >= 0.5)
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Find the registered company a free-text name refers to
+   * An explicit companyId (picked from the suggestions) wins; otherwise the name must match
+   * the company's normalized name or one of its aliases exactly
+   */
+  async resolveCompanyId(companyName?: string | null, companyId?: string | null): Promise<string | null> {
+    if (companyId) {
+      const company = await this.prisma.company.findFirst({
+        where: { id: companyId, isActive: true },
+        select: { id: true },
+      });
+      if (company) return company.id;
+    }
+
+    const key = normalizeCompanyName(companyName);
+    if (!key) return null;
+
+    const company = await this.prisma.company.findFirst({
+      where: {
+        isActive: true,
+        OR: [{ normalizedName: key }, { aliases: { has: key } }],
+      },
+      select: { id: true },
+    });
+
+    return company?.id ?? null;
+  }
+
+  /**
+   * Group free-text company names that look like the same employer
+   * Each cluster lists its spellings with application counts and the registered companies it resembles,
+   * so a state admin can merge it into one canonical company
+   */
+  async findDuplicates(options: DuplicateSearchOptions = {}) {
+    const { threshold = DEFAULT_MATCH_THRESHOLD, limit = 50 } = options;
+
+    const [nameCounts, companies] = await Promise.all([
+      this.prisma.internshipApplication.groupBy({
+        by: ['companyName'],
+        where: { companyId: null, companyName: { not: null } },
+        _count: { _all: true },
+      }),
+      this.prisma.company.findMany({
+        select: { id: true, name: true, normalizedName: true, aliases: true, isActive: true },
+      }),
+    ]);
+
+    // Exact normalized matches form the initial groups
+    const groups = new Map<string, { key: string; variants: { name: string; count: number }[]; count: number }>();
+    for (const row of nameCounts) {
+      const key = normalizeCompanyName(row.companyName);
+      if (!key) continue;
+      if (!groups.has(key)) {
+        groups.set(key, { key, variants: [], count: 0 });
+      }
+      const group = groups.get(key)!;
+      group.variants.push({ name: row.companyName!, count: row._count._all });
+      group.count += row._count._all;
+    }
+
+    // Join groups whose keys are similar (union-find). Only keys sharing a first letter are compared,
+    // which keeps the pass cheap for a few thousand distinct names.
+    const keys = Array.from(groups.keys()).sort();
+    const parent = new Map(keys.map((key) => [key, key]));
+    const find = (key: string): string => {
+      while (parent.get(key) !== key) key = parent.get(key)!;
+      return key;
+    };
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length && keys[j][0] === keys[i][0]; j++) {
+        if (companyNameSimilarity(keys[i], keys[j]) >= threshold) {
+          parent.set(find(keys[j]), find(keys[i]));
+        }
+      }
+    }
+
+    const clusters = new Map<string, { keys: string[]; variants: { name: string; count: number }[]; count: number }>();
+    for (const key of keys) {
+      const root = find(key);
+      if (!clusters.has(root)) {
+        clusters.set(root, { keys: [], variants: [], count: 0 });
+      }
+      const cluster = clusters.get(root)!;
+      const group = groups.get(key)!;
+      cluster.keys.push(key);
+      cluster.variants.push(...group.variants);
+      cluster.count += group.count;
+    }
+
+    const results = Array.from(clusters.values())
+      .map((cluster) => {
+        const matches = companies
+          .map((company) => ({
+            id: company.id,
+            name: company.name,
+            isActive: company.isActive,
+            score: Math.max(
+              ...cluster.keys.flatMap((key) =>
+                [company.normalizedName, ...company.aliases].map((name) => companyNameSimilarity(key, name)),
+              ),
+            ),
+          }))
+          .filter((match) => match.score >= threshold)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 3);
+
+        const variants = cluster.variants.sort((a, b) => b.count - a.count);
+        return {
+          key: cluster.keys[0],
+          suggestedName: variants[0].name.trim(),
+          variants,
+          applicationCount: cluster.count,
+          matches,
+        };
+      })
+      // A single spelling with no registered lookalike has nothing to merge
+      .filter((cluster) => cluster.variants.length > 1 || cluster.matches.length > 0)
+      .sort((a, b) => b.applicationCount - a.applicationCount);
+
+    return {
+      data: results.slice(0, limit),
+      total: results.length,
+    };
+  }
+
+  /**
+   * Merge free-text spellings and duplicate registered companies into a canonical company
+   * Unlinked applications matching the names are linked, duplicates hand over their applications
+   * and supervisors, and every merged spelling is kept as an alias for future matching
+   */
+  async mergeCompanies(canonicalId: string, options: MergeCompaniesOptions, actor?: CompanyActor) {
+    const canonical = await this.prisma.company.findUnique({ where: { id: canonicalId } });
+    if (!canonical) {
+      throw new NotFoundException(`Company with ID ${canonicalId} not found`);
+    }
+
+    const nameKeys = [...new Set((options.names || []).map(normalizeCompanyName).filter(Boolean))];
+    const duplicateIds = [...new Set(options.companyIds || [])].filter((id) => id !== canonicalId);
+    if (nameKeys.length === 0 && duplicateIds.length === 0) {
+      throw new BadRequestException('Provide names or companyIds to merge');
+    }
+
+    const duplicates = duplicateIds.length
+      ? await this.prisma.company.findMany({ where: { id: { in: duplicateIds } } })
+      : [];
+    if (duplicates.length !== duplicateIds.length) {
+      throw new NotFoundException('One or more companies to merge were not found');
+    }
+
+    const variants = nameKeys.length ? await this.findUnlinkedNameVariants(nameKeys) : [];
+    const aliases = [
+      ...new Set([
+        ...canonical.aliases,
+        ...nameKeys,
+        ...duplicates.flatMap((duplicate) => [duplicate.normalizedName, ...duplicate.aliases]),
+      ]),
+    ].filter((alias) => alias !== canonical.normalizedName);
+
+    // Fill gaps in the canonical record from the duplicates (first non-empty value wins)
+    const fillable = ['industryType', 'gstin', 'cin', 'address', 'city', 'state', 'pinCode', 'contactEmail', 'contactPhone', 'website'] as const;
+    const filled: Prisma.CompanyUpdateInput = {};
+    for (const field of fillable) {
+      if (!canonical[field]) {
+        const value = duplicates.find((duplicate) => duplicate[field])?.[field];
+        if (value) filled[field] = value;
+      }
+    }
+
+    const result = await this.prisma.$transaction(async (tx) => {
+      const linked = variants.length
+        ? await tx.internshipApplication.updateMany({
+            where: { companyId: null, companyName: { in: variants } },
+            data: { companyId: canonicalId },
+          })
+        : { count: 0 };
+
+      let movedApplications = 0;
+      let movedSupervisors = 0;
+      if (duplicateIds.length) {
+        movedApplications = (await tx.internshipApplication.updateMany({
+          where: { companyId: { in: duplicateIds } },
+          data: { companyId: canonicalId },
+        })).count;
+        movedSupervisors = (await tx.user.updateMany({
+          where: { companyId: { in: duplicateIds } },
+          data: { companyId: canonicalId },
+        })).count;
+        // Delete first so GSTIN/CIN copied from a duplicate do not collide with its unique index
+        await tx.company.deleteMany({ where: { id: { in: duplicateIds } } });
+      }
+
+      const company = await tx.company.update({
+        where: { id: canonicalId },
+        data: { ...filled, aliases },
+      });
+
+      return { company, linked: linked.count + movedApplications, movedSupervisors };
+    });
+
+    this.logger.log(
+      `Merged into ${canonical.name}: ${variants.length} name variant(s), ${duplicateIds.length} duplicate company(ies), ${result.linked} application(s)`,
+    );
+
+    this.auditService.log({
+      action: AuditAction.BULK_OPERATION,
+      entityType: 'Company',
+      entityId: canonicalId,
+      userId: actor?.userId,
+      userRole: actor?.role,
+      category: AuditCategory.DATA_MANAGEMENT,
+      severity: AuditSeverity.HIGH,
+      description: `Merged ${variants.length + duplicates.length} duplicate(s) into company ${canonical.name}`,
+      oldValues: {
+        aliases: canonical.aliases,
+        duplicates: duplicates.map((duplicate) => ({ id: duplicate.id, name: duplicate.name })),
+      },
+      newValues: {
+        aliases,
+        mergedNames: variants,
+        linkedApplications: result.linked,
+        movedSupervisors: result.movedSupervisors,
+      },
+    }).catch(() => {});
+
+    return {
+      company: result.company,
+      linked: result.linked,
+      movedSupervisors: result.movedSupervisors,
+      mergedCompanies: duplicates.length,
+    };
+  }
+
+  /**
+   * Raw companyName values on unlinked applications whose normalized form is one of the given keys
+   */
+  private async findUnlinkedNameVariants(keys: string[]): Promise<string[]> {
+    const wanted = new Set(keys);
+    const rows = await this.prisma.internshipApplication.groupBy({
+      by: ['companyName'],
+      where: { companyId: null, companyName: { not: null } },
+    });
+
+    return rows
+      .map((row) => row.companyName!)
+      .filter((name) => wanted.has(normalizeCompanyName(name)));
+  }
+
+  /**
+   * Reject a name, GSTIN or CIN that already belongs to another company
+   */
+  private async assertUnique(
+    fields: { normalizedName?: string; gstin?: string | null; cin?: string | null },
+    excludeId?: string,
+  ) {
+    const { normalizedName, gstin, cin } = fields;
+    const conditions: Prisma.CompanyWhereInput[] = [];
+    if (normalizedName) {
+      conditions.push({ normalizedName }, { aliases: { has: normalizedName } });
+    }
+    if (gstin) conditions.push({ gstin });
+    if (cin) conditions.push({ cin });
+    if (conditions.length === 0) return;
+
+    const existing = await this.prisma.company.findFirst({
+      where: { OR: conditions, ...(excludeId && { id: { not: excludeId } }) },
+      select: { id: true, name: true, normalizedName: true, aliases: true, gstin: true, cin: true },
+    });
+    if (!existing) return;
+
+    if (gstin && existing.gstin === gstin) {
+      throw new BadRequestException(`GSTIN ${gstin} is already registered to ${existing.name}`);
+    }
+    if (cin && existing.cin === cin) {
+      throw new BadRequestException(`CIN ${cin} is already registered to ${existing.name}`);
+    }
+    throw new BadRequestException(`Company is already registered as "${existing.name}"`);
+  }
+}
@@ -101,6 +101,55 @@ export const complianceReportDefinitions: Record<string, ReportDefinition> = {
     exportFormats: ['excel', 'csv', 'pdf', 'json'],
   },
 
+  'monthly-report-content': {
+    type: 'monthly-report-content',
+    name: 'Monthly Report Content',
+    description: 'Tasks, hours, skills and plans from structured monthly reports, with full-text search',
+    category: 'Compliance',
+    icon: 'file-search',
+    availableFor: ['STATE_DIRECTORATE', 'PRINCIPAL', 'FACULTY', 'SYSTEM_ADMIN'],
+    columns: [
+      { id: 'studentName', label: 'Student Name', type: 'string', default: true, sortable: true },
+      { id: 'rollNumber', label: 'Roll Number', type: 'string', default: true },
+      { id: 'branchName', label: 'Branch', type: 'string', default: false },
+      { id: 'mentorName', label: 'Mentor', type: 'string', default: false },
+      { id: 'companyName', label: 'Company', type: 'string', default: true },
+      { id: 'reportPeriod', label: 'Month', type: 'string', default: true },
+      { id: 'hoursWorked', label: 'Hours Worked', type: 'number', default: true, sortable: true },
+      { id: 'tasksCompleted', label: 'Tasks Completed', type: 'string', default: true },
+      { id: 'skillsLearned', label: 'Skills Learned', type: 'string', default: true },
+      { id: 'challenges', label: 'Challenges', type: 'string', default: false },
+      { id: 'nextMonthPlan', label: 'Next Month Plan', type: 'string', default: false },
+      { id: 'status', label: 'Status', type: 'string', default: false },
+      { id: 'submittedAt', label: 'Submitted At', type: 'date', default: true },
+      { id: 'hasFile', label: 'File Attached', type: 'boolean', default: false },
+    ],
+    filters: [
+      { id: 'institutionId', label: 'Institution', type: 'select', dynamic: true, required: true },
+      { id: 'branchId', label: 'Branch', type: 'select', dynamic: true, required: false },
+      { id: 'mentorId', label: 'Mentor', type: 'select', dynamic: true, required: false },
+      { id: 'search', label: 'Search Content', type: 'text', required: false, placeholder: 'e.g. react, database design' },
+      { id: 'month', label: 'Month', type: 'select', required: false, options: [
+        { label: 'January', value: 1 },
+        { label: 'February', value: 2 },
+        { label: 'March', value: 3 },
+        { label: 'April', value: 4 },
+        { label: 'May', value: 5 },
+        { label: 'June', value: 6 },
+        { label: 'July', value: 7 },
+        { label: 'August', value: 8 },
+        { label: 'September', value: 9 },
+        { label: 'October', value: 10 },
+        { label: 'November', value: 11 },
+        { label: 'December', value: 12 },
+      ]},
+      { id: 'year', label: 'Year', type: 'select', dynamic: true, required: false },
+    ],
+    groupBy: ['branchName', 'mentorName', 'companyName'],
+    sortableColumns: ['studentName', 'hoursWorked'],
+    exportFormats: ['excel', 'csv', 'pdf', 'json'],
+  },
+
   'joining-report-status': {
     type: 'joining-report-status',
     name: 'Joining Report Status',
@@ -145,4 +145,25 @@ export const internshipReportDefinitions: Record<string, ReportDefinition> = {
     sortableColumns: ['studentName', 'companyName', 'startDate'],
     exportFormats: ['excel', 'csv', 'pdf', 'json'],
   },
+
+  'internship-certificates': {
+    type: 'internship-certificates',
+    name: 'Internship Completion Certificates',
+    description: 'Printable completion certificates for every completed internship in a batch',
+    category: 'Internship',
+    icon: 'safety-certificate',
+    availableFor: ['STATE_DIRECTORATE', 'PRINCIPAL', 'SYSTEM_ADMIN'],
+    columns: [
+      { id: 'studentName', label: 'Student Name', type: 'string', default: true },
+      { id: 'rollNumber', label: 'Roll Number', type: 'string', default: true },
+      { id: 'companyName', label: 'Company', type: 'string', default: true },
+      { id: 'certificateNumber', label: 'Certificate No.', type: 'string', default: true },
+    ],
+    filters: [
+      { id: 'institutionId', label: 'Institution', type: 'select', dynamic: true, required: true },
+      { id: 'batchId', label: 'Batch', type: 'select', dynamic: true, required: false },
+      { id: 'branchId', label: 'Branch', type: 'select', dynamic: true, required: false },
+    ],
+    exportFormats: ['pdf'],
+  },
 };
@@ -106,14 +106,16 @@ const VALID_REPORT_TYPES = [
   'mentor-student-assignments',
   'mentor-utilization',
   'unassigned-students',
-  // Internship Reports (4)
+  // Internship Reports (5)
   'internship-applications',
   'internship-by-institution',
   'internship-by-industry',
   'self-identified-internships',
-  // Compliance Reports (3)
+  'internship-certificates',
+  // Compliance Reports (4)
   'faculty-visit-compliance',
   'monthly-report-compliance',
+  'monthly-report-content',
   'joining-report-status',
   // Institute Reports (3)
   'institute-summary',
@@ -1,6 +1,6 @@
 import { Injectable } from '@nestjs/common';
 import PDFDocument from 'pdfkit';
-import { ExportConfig } from '../interfaces/report.interface';
+import { ExportConfig, CertificateContent } from '../interfaces/report.interface';
 
 @Injectable()
 export class PdfService {
@@ -44,6 +44,34 @@ export class PdfService {
     });
   }
 
+  /**
+   * Generate internship completion certificates, one landscape page each
+   * Passing a whole batch produces a single printable file
+   */
+  async generateCertificates(certificates: CertificateContent[]): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 50,
+        autoFirstPage: false,
+      });
+
+      const buffers: Buffer[] = [];
+
+      doc.on('data', (chunk) => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      for (const certificate of certificates) {
+        doc.addPage();
+        this.drawCertificate(doc, certificate);
+      }
+
+      doc.end();
+    });
+  }
+
   /**
    * Add header to PDF
    */
@@ -198,6 +226,144 @@ export class PdfService {
     }
   }
 
+  /**
+   * Draw a single certificate: letterhead, statement, internship details, signatures and verification code
+   */
+  private drawCertificate(doc: typeof PDFDocument, certificate: CertificateContent): void {
+    const { width, height } = doc.page;
+    const left = 60;
+    const contentWidth = width - left * 2;
+    const { institution } = certificate;
+
+    // Border
+    doc.lineWidth(3).strokeColor('#1F4E79').rect(20, 20, width - 40, height - 40).stroke();
+    doc.lineWidth(1).strokeColor('#5B9BD5').rect(28, 28, width - 56, height - 56).stroke();
+
+    // Institution letterhead
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(20)
+      .fillColor('#1F4E79')
+      .text(institution.name.toUpperCase(), left, 48, { width: contentWidth, align: 'center' });
+
+    doc.font('Helvetica').fontSize(9).fillColor('#333333');
+    if (institution.address) {
+      doc.text(institution.address, { width: contentWidth, align: 'center' });
+    }
+    const contactLine = [
+      institution.contactPhone && `Phone: ${institution.contactPhone}`,
+      institution.contactEmail && `Email: ${institution.contactEmail}`,
+    ].filter(Boolean).join('   |   ');
+    if (contactLine) {
+      doc.text(contactLine, { width: contentWidth, align: 'center' });
+    }
+    if (institution.affiliatedTo) {
+      doc.text(`Affiliated to ${institution.affiliatedTo}`, { width: contentWidth, align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+    doc.strokeColor('#5B9BD5').lineWidth(1.5).moveTo(left, doc.y).lineTo(width - left, doc.y).stroke();
+
+    // Title
+    doc.moveDown(1.2);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(24)
+      .fillColor('#1F4E79')
+      .text('INTERNSHIP COMPLETION CERTIFICATE', left, doc.y, { width: contentWidth, align: 'center', characterSpacing: 1 });
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor('#555555')
+      .text(
+        `Certificate No. ${certificate.certificateNumber}      Date of Issue: ${this.formatCertificateDate(certificate.issuedAt)}`,
+        { width: contentWidth, align: 'center' },
+      );
+
+    // Statement
+    const studentDetails = [
+      certificate.rollNumber && `Roll No. ${certificate.rollNumber}`,
+      certificate.branchName,
+    ].filter(Boolean).join(', ');
+    const period = certificate.startDate && certificate.endDate
+      ? ` from ${this.formatCertificateDate(certificate.startDate)} to ${this.formatCertificateDate(certificate.endDate)}`
+      : '';
+
+    doc.moveDown(1.5);
+    doc
+      .font('Helvetica')
+      .fontSize(13)
+      .fillColor('#000000')
+      .text('This is to certify that ', left, doc.y, { width: contentWidth, align: 'center', continued: true, lineGap: 4 })
+      .font('Helvetica-Bold')
+      .text(certificate.studentName, { continued: true })
+      .font('Helvetica')
+      .text(`${studentDetails ? ` (${studentDetails})` : ''}, a student of ${institution.name}, has successfully completed an internship at `, { continued: true })
+      .font('Helvetica-Bold')
+      .text(certificate.companyName, { continued: true })
+      .font('Helvetica')
+      .text(`${certificate.jobProfile ? ` as ${certificate.jobProfile}` : ''}${period}.`);
+
+    // Internship details
+    const details: [string, string][] = [
+      ['Host Organisation', certificate.companyName],
+      ['Faculty Mentor', certificate.mentorName || '-'],
+      ['Monthly Reports', `${certificate.reportsSubmitted} of ${certificate.reportsExpected} submitted`],
+      ['Faculty Visits', `${certificate.visitsCompleted} of ${certificate.visitsExpected} completed`],
+    ];
+    const columnWidth = contentWidth / 2;
+    let detailsY = doc.y + 25;
+    details.forEach(([label, value], index) => {
+      const x = left + (index % 2) * columnWidth + 40;
+      if (index > 0 && index % 2 === 0) {
+        detailsY += 22;
+      }
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#1F4E79').text(`${label}:`, x, detailsY, { width: 110 });
+      doc.font('Helvetica').fontSize(10).fillColor('#000000').text(value, x + 110, detailsY, { width: columnWidth - 160, ellipsis: true });
+    });
+
+    // Signatures
+    const signatureY = height - 120;
+    const signatureWidth = 180;
+    doc.strokeColor('#000000').lineWidth(0.8);
+    doc.moveTo(left + 40, signatureY).lineTo(left + 40 + signatureWidth, signatureY).stroke();
+    doc.moveTo(width - left - 40 - signatureWidth, signatureY).lineTo(width - left - 40, signatureY).stroke();
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .text('Faculty Mentor', left + 40, signatureY + 6, { width: signatureWidth, align: 'center' })
+      .text('Principal', width - left - 40 - signatureWidth, signatureY + 6, { width: signatureWidth, align: 'center' });
+
+    // Verification QR code and code
+    const qrSize = 70;
+    if (certificate.qrCode) {
+      doc.image(certificate.qrCode, (width - qrSize) / 2, signatureY - qrSize + 10, { width: qrSize, height: qrSize });
+    }
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor('#555555')
+      .text(
+        `Verification code: ${certificate.verificationCode}   |   Verify at ${certificate.verificationUrl}`,
+        left,
+        height - 60,
+        { width: contentWidth, align: 'center' },
+      );
+    doc.fillColor('#000000');
+  }
+
+  /**
+   * Long-form date used on certificates, e.g. "15 January 2026"
+   */
+  private formatCertificateDate(value: Date): string {
+    return new Date(value).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'Asia/Kolkata',
+    });
+  }
+
   /**
    * Get nested value from object using dot notation
    */
@@ -85,3 +85,34 @@ export interface ReportCatalogItem {
   columnsCount?: number;
   filtersCount?: number;
 }
+
+/**
+ * Everything printed on an internship completion certificate
+ */
+export interface CertificateContent {
+  certificateNumber: string;
+  verificationCode: string;
+  verificationUrl: string;
+  // PNG QR code encoding verificationUrl
+  qrCode?: Buffer;
+  issuedAt: Date;
+  studentName: string;
+  rollNumber?: string | null;
+  branchName?: string | null;
+  companyName: string;
+  jobProfile?: string | null;
+  startDate?: Date | null;
+  endDate?: Date | null;
+  mentorName?: string | null;
+  reportsSubmitted: number;
+  reportsExpected: number;
+  visitsCompleted: number;
+  visitsExpected: number;
+  institution: {
+    name: string;
+    address?: string | null;
+    contactEmail?: string | null;
+    contactPhone?: string | null;
+    affiliatedTo?: string | null;
+  };
+}
@@ -12,6 +12,7 @@ import { PrismaModule } from '../../../core/database/prisma.module';
 import { FileStorageModule } from '../../../infrastructure/file-storage/file-storage.module';
 import { QueueModule } from '../../../core/queue/queue.module';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { CertificateModule } from '../../certificate/certificate.module';
 
 @Module({
   imports: [
@@ -21,6 +22,7 @@ import { AuditService } from '../../../infrastructure/audit/audit.service';
     QueueModule,
     PrismaModule,
     FileStorageModule,
+    CertificateModule,
   ],
   controllers: [ReportBuilderController],
   providers: [
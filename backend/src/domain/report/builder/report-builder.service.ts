@@ -168,6 +168,8 @@ export class ReportBuilderService {
         return this.getInstitutionOptions();
       case 'branchId':
         return this.getBranchOptions(institutionId);
+      case 'batchId':
+        return this.getBatchOptions(institutionId);
       case 'mentorId':
         return this.getMentorOptions(institutionId);
       case 'department':
@@ -209,6 +211,17 @@ export class ReportBuilderService {
     return branches.map((b) => ({ label: b.name, value: b.id }));
   }
 
+  private async getBatchOptions(institutionId?: string): Promise<{ label: string; value: string }[]> {
+    // Batches without an institution are shared across all institutions
+    const where = institutionId ? { OR: [{ institutionId }, { institutionId: null }] } : {};
+    const batches = await this.prisma.batch.findMany({
+      where: { ...where, isActive: true },
+      select: { id: true, name: true },
+      orderBy: { name: 'desc' },
+    });
+    return batches.map((b) => ({ label: b.name, value: b.id }));
+  }
+
   private async getMentorOptions(institutionId?: string): Promise<{ label: string; value: string }[]> {
     const where: Record<string, unknown> = {
       role: { in: ['TEACHER'] }, // FACULTY_SUPERVISOR role removed
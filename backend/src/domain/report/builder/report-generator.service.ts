@@ -1,6 +1,7 @@
 import { Injectable, Logger, ForbiddenException } from '@nestjs/common';
-import { InternshipStatus, MonthlyReportStatus, Role } from '../../../generated/prisma/client';
+import { InternshipStatus, MonthlyReportStatus, Prisma, Role } from '../../../generated/prisma/client';
 import { PrismaService } from '../../../core/database/prisma.service';
+import { MonthlyReportContent, toFullTextQuery } from '../monthly/monthly-report-content.util';
 import { ReportType } from './interfaces/report.interface';
 
 /**
@@ -1825,11 +1826,13 @@ export class ReportGeneratorService {
         // Set filter to only show self-identified internships
         return this.generateInternshipReport({ ...filters, isSelfIdentified: true }, pagination);
 
-      // ==================== Compliance Reports (3) ====================
+      // ==================== Compliance Reports (4) ====================
       case 'faculty-visit-compliance':
         return this.generateFacultyVisitComplianceReport(filters, pagination);
       case 'monthly-report-compliance':
         return this.generateMonthlyReportComplianceReport(filters, pagination);
+      case 'monthly-report-content':
+        return this.generateMonthlyReportContentReport(filters, pagination);
       case 'joining-report-status':
         return this.generateJoiningReportStatusReport(filters, pagination);
 
@@ -2726,6 +2729,100 @@ export class ReportGeneratorService {
     return results;
   }
 
+  /**
+   * Generate Monthly Report Content Report
+   * Lists the answers from structured monthly reports, optionally narrowed by a full-text search
+   * @param filters - Filter criteria (institutionId, branchId, mentorId, search, month, year)
+   * @param pagination - Optional pagination options
+   */
+  async generateMonthlyReportContentReport(
+    filters: any,
+    pagination?: ReportPaginationOptions,
+  ): Promise<any[]> {
+    const where: Prisma.MonthlyReportWhereInput = {
+      isDeleted: false,
+      contentVersion: { not: null },
+    };
+    const { take, skip } = this.getPaginationParams(pagination);
+
+    const studentFilter: Prisma.StudentWhereInput = {};
+    if (filters?.institutionId) {
+      studentFilter.institutionId = filters.institutionId;
+    }
+    if (filters?.branchId) {
+      studentFilter.branchId = filters.branchId;
+    }
+    const isActiveValue = this.parseBooleanLike(filters?.isActive);
+    studentFilter.user = { active: isActiveValue ?? true };
+    where.student = studentFilter;
+
+    if (filters?.mentorId) {
+      where.application = { mentorId: filters.mentorId };
+    }
+    if (filters?.month) {
+      where.reportMonth = Number(filters.month);
+    }
+    if (filters?.year) {
+      where.reportYear = Number(filters.year);
+    }
+
+    const searchQuery = toFullTextQuery(filters?.search);
+    if (searchQuery) {
+      where.contentText = { search: searchQuery };
+    }
+
+    const reports = await this.prisma.monthlyReport.findMany({
+      where,
+      select: {
+        reportMonth: true,
+        reportYear: true,
+        monthName: true,
+        status: true,
+        submittedAt: true,
+        reportFileUrl: true,
+        content: true,
+        student: {
+          select: {
+            user: { select: { name: true, rollNumber: true, branchName: true } },
+            branch: { select: { name: true } },
+          },
+        },
+        application: {
+          select: {
+            companyName: true,
+            company: { select: { name: true } },
+            mentor: { select: { name: true } },
+          },
+        },
+      },
+      take,
+      skip,
+      orderBy: [{ reportYear: 'desc' }, { reportMonth: 'desc' }, { submittedAt: 'desc' }],
+    });
+
+    this.warnOnLargeResultSet(reports.length, 'MonthlyReportContentReport');
+
+    return reports.map((report) => {
+      const content = (report.content ?? {}) as Partial<MonthlyReportContent>;
+      return {
+        studentName: report.student.user?.name,
+        rollNumber: report.student.user?.rollNumber,
+        branchName: report.student.branch?.name ?? report.student.user?.branchName,
+        mentorName: report.application.mentor?.name ?? 'N/A',
+        companyName: report.application.company?.name ?? report.application.companyName ?? 'N/A',
+        reportPeriod: `${report.monthName || report.reportMonth} ${report.reportYear}`,
+        hoursWorked: content.hoursWorked ?? null,
+        tasksCompleted: (content.tasksCompleted ?? []).join('; '),
+        skillsLearned: (content.skillsLearned ?? []).join(', '),
+        challenges: content.challenges ?? '',
+        nextMonthPlan: content.nextMonthPlan ?? '',
+        status: report.status,
+        submittedAt: this.formatToIST(report.submittedAt),
+        hasFile: !!report.reportFileUrl,
+      };
+    });
+  }
+
   /**
    * Generate Joining Report Status Report
    * Track joining letter/report submission status
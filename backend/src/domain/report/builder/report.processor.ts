@@ -15,6 +15,10 @@ import {
 } from './interfaces/report.interface';
 import { FileStorageService } from '../../../infrastructure/file-storage/file-storage.service';
 import { WebSocketService } from '../../../infrastructure/websocket/websocket.service';
+import { CertificateService } from '../../certificate/certificate.service';
+
+// Certificates are printed one per page rather than as a table, so they bypass the column-based export
+const CERTIFICATE_REPORT_TYPE = 'internship-certificates';
 
 @Processor('report-generation')
 @Injectable()
@@ -29,6 +33,7 @@ export class ReportProcessor extends WorkerHost {
     private csvService: CsvService,
     private fileStorage: FileStorageService,
     private webSocketService: WebSocketService,
+    private certificateService: CertificateService,
   ) {
     super();
   }
@@ -64,6 +69,10 @@ export class ReportProcessor extends WorkerHost {
       // Update status to processing (with WebSocket notification)
       await this.updateReportStatus(reportId, ReportStatus.PROCESSING, null, null, userId, reportType);
 
+      if (reportType === CERTIFICATE_REPORT_TYPE) {
+        return await this.processCertificates(job, filters, isAdmin);
+      }
+
       // Fetch data based on report type
       this.logger.log(`Fetching data for report type: ${reportType}, isAdmin: ${isAdmin}`);
       const data = await this.reportGenerator.generateReport(
@@ -208,6 +217,75 @@ export class ReportProcessor extends WorkerHost {
     }
   }
 
+  /**
+   * Issue completion certificates for the selected institution/batch and upload them as one PDF.
+   * Non-admin users can only issue certificates for their own institution.
+   */
+  private async processCertificates(job: Job<ReportJobData>, filters: Record<string, any>, isAdmin: boolean) {
+    const { userId, reportType, reportId } = job.data;
+
+    let institutionId = filters?.institutionId as string | undefined;
+    if (!isAdmin) {
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+        select: { institutionId: true },
+      });
+      institutionId = user?.institutionId ?? undefined;
+    }
+
+    if (!institutionId) {
+      throw new Error('An institution is required to generate certificates');
+    }
+
+    const certificates = await this.certificateService.issueForBatch(
+      {
+        institutionId,
+        batchId: filters?.batchId,
+        branchId: filters?.branchId,
+      },
+      userId,
+    );
+
+    if (certificates.length === 0) {
+      throw new Error('No completed internships found for the given filters');
+    }
+
+    this.logger.log(`Generating ${certificates.length} certificate(s)`);
+    const fileBuffer = await this.pdfService.generateCertificates(certificates);
+
+    const institution = await this.prisma.institution.findUnique({
+      where: { id: institutionId },
+      select: { name: true },
+    });
+
+    const uploadResult = await this.fileStorage.uploadReport(fileBuffer, {
+      institutionName: institution?.name,
+      reportType,
+      format: 'pdf',
+    });
+
+    await this.updateReportStatus(
+      reportId,
+      ReportStatus.COMPLETED,
+      uploadResult.url,
+      null,
+      userId,
+      reportType,
+      certificates.length,
+    );
+
+    this.sendNotification(userId, reportType, uploadResult.url).catch((err) => {
+      this.logger.warn(`Failed to send notification: ${err.message}`);
+    });
+
+    this.logger.log(`Certificate generation completed for job ${job.id}`);
+
+    return {
+      success: true,
+      downloadUrl: uploadResult.url,
+    };
+  }
+
   /**
    * Update report status in database and emit WebSocket event
    */
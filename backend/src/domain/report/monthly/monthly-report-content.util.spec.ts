@@ -0,0 +1,63 @@
+import {
+  MONTHLY_REPORT_CONTENT_VERSION,
+  normalizeMonthlyReportContent,
+  monthlyReportContentToText,
+  toFullTextQuery,
+} from './monthly-report-content.util';
+
+describe('normalizeMonthlyReportContent', () => {
+  it('trims answers, drops blank entries and stamps the form version', () => {
+    expect(
+      normalizeMonthlyReportContent({
+        tasksCompleted: ['  Built login page ', '', 'Wrote API tests'],
+        hoursWorked: '96.25',
+        skillsLearned: 'React\n\nJest',
+        challenges: ' Flaky staging server ',
+      }),
+    ).toEqual({
+      version: MONTHLY_REPORT_CONTENT_VERSION,
+      tasksCompleted: ['Built login page', 'Wrote API tests'],
+      hoursWorked: 96.3,
+      skillsLearned: ['React', 'Jest'],
+      challenges: 'Flaky staging server',
+      nextMonthPlan: '',
+    });
+  });
+
+  it('returns null when nothing was filled in', () => {
+    expect(normalizeMonthlyReportContent(undefined)).toBeNull();
+    expect(normalizeMonthlyReportContent({ tasksCompleted: [' '], challenges: '' })).toBeNull();
+  });
+
+  it('rejects invalid hours and oversized answers', () => {
+    expect(() => normalizeMonthlyReportContent({ hoursWorked: -1 })).toThrow('hoursWorked');
+    expect(() => normalizeMonthlyReportContent({ hoursWorked: 'lots' })).toThrow('hoursWorked');
+    expect(() => normalizeMonthlyReportContent({ challenges: 'x'.repeat(5001) })).toThrow('challenges');
+    expect(() => normalizeMonthlyReportContent({ tasksCompleted: Array(31).fill('task') })).toThrow('tasksCompleted');
+    expect(() => normalizeMonthlyReportContent(['task'])).toThrow('object');
+  });
+});
+
+describe('monthlyReportContentToText', () => {
+  it('joins every answer into one searchable block', () => {
+    const content = normalizeMonthlyReportContent({
+      tasksCompleted: ['Built login page'],
+      skillsLearned: ['React'],
+      nextMonthPlan: 'Payments module',
+    });
+    expect(monthlyReportContentToText(content)).toBe('Built login page\nReact\nPayments module');
+    expect(monthlyReportContentToText(null)).toBeNull();
+  });
+});
+
+describe('toFullTextQuery', () => {
+  it('matches every word as a prefix and strips tsquery operators', () => {
+    expect(toFullTextQuery('React hooks')).toBe('react:* & hooks:*');
+    expect(toFullTextQuery("node.js & (sql | !mongo)'")).toBe('node:* & js:* & sql:* & mongo:*');
+  });
+
+  it('returns null when nothing searchable remains', () => {
+    expect(toFullTextQuery('  & | ! ')).toBeNull();
+    expect(toFullTextQuery(undefined)).toBeNull();
+  });
+});
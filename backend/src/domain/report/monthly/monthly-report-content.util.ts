@@ -0,0 +1,144 @@
+/**
+ * Monthly Report Content Utility
+ *
+ * Students can fill in their monthly report as a structured form instead of (or as well
+ * as) uploading a PDF. The answers are stored as JSON on the report, tagged with the
+ * version of the form they were written against so older reports stay readable when
+ * the form changes. A flattened plain-text copy is kept alongside for full-text search.
+ *
+ * Example:
+ * normalizeMonthlyReportContent({ tasksCompleted: ['Built login page'], hoursWorked: '96' })
+ *   -> { version: 1, tasksCompleted: ['Built login page'], hoursWorked: 96, skillsLearned: [], challenges: '', nextMonthPlan: '' }
+ * toFullTextQuery('react hooks') -> 'react:* & hooks:*'
+ */
+
+// Bump when fields are added or their meaning changes
+export const MONTHLY_REPORT_CONTENT_VERSION = 1;
+
+export const MONTHLY_REPORT_CONTENT_LIMITS = {
+  maxItems: 30,
+  maxItemLength: 500,
+  maxTextLength: 5000,
+  // A month of full-time work with overtime; anything above is a typo
+  maxHours: 400,
+} as const;
+
+export interface MonthlyReportContent {
+  version: number;
+  tasksCompleted: string[];
+  hoursWorked: number | null;
+  skillsLearned: string[];
+  challenges: string;
+  nextMonthPlan: string;
+}
+
+function toList(value: unknown, field: string): string[] {
+  if (value === undefined || value === null || value === '') return [];
+
+  const items = Array.isArray(value) ? value : String(value).split('\n');
+  if (items.length > MONTHLY_REPORT_CONTENT_LIMITS.maxItems) {
+    throw new Error(`${field} can have at most ${MONTHLY_REPORT_CONTENT_LIMITS.maxItems} entries`);
+  }
+
+  return items
+    .map((item) => (typeof item === 'string' || typeof item === 'number' ? String(item).trim() : ''))
+    .filter(Boolean)
+    .map((item) => {
+      if (item.length > MONTHLY_REPORT_CONTENT_LIMITS.maxItemLength) {
+        throw new Error(`Each entry in ${field} must be at most ${MONTHLY_REPORT_CONTENT_LIMITS.maxItemLength} characters`);
+      }
+      return item;
+    });
+}
+
+function toText(value: unknown, field: string): string {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be text`);
+  }
+
+  const text = value.trim();
+  if (text.length > MONTHLY_REPORT_CONTENT_LIMITS.maxTextLength) {
+    throw new Error(`${field} must be at most ${MONTHLY_REPORT_CONTENT_LIMITS.maxTextLength} characters`);
+  }
+  return text;
+}
+
+function toHours(value: unknown): number | null {
+  if (value === undefined || value === null || value === '') return null;
+
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0 || hours > MONTHLY_REPORT_CONTENT_LIMITS.maxHours) {
+    throw new Error(`hoursWorked must be a number between 0 and ${MONTHLY_REPORT_CONTENT_LIMITS.maxHours}`);
+  }
+  return Math.round(hours * 10) / 10;
+}
+
+/**
+ * Validate structured report answers submitted by a student and return them in the
+ * current stored shape. Returns null when nothing was filled in.
+ * @throws Error describing the first invalid field
+ */
+export function normalizeMonthlyReportContent(input: unknown): MonthlyReportContent | null {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Report content must be an object');
+  }
+
+  const raw = input as Record<string, unknown>;
+  const content: MonthlyReportContent = {
+    version: MONTHLY_REPORT_CONTENT_VERSION,
+    tasksCompleted: toList(raw.tasksCompleted, 'tasksCompleted'),
+    hoursWorked: toHours(raw.hoursWorked),
+    skillsLearned: toList(raw.skillsLearned, 'skillsLearned'),
+    challenges: toText(raw.challenges, 'challenges'),
+    nextMonthPlan: toText(raw.nextMonthPlan, 'nextMonthPlan'),
+  };
+
+  return hasMonthlyReportContent(content) ? content : null;
+}
+
+/**
+ * Whether any field of the structured report has been filled in
+ */
+export function hasMonthlyReportContent(content?: MonthlyReportContent | null): boolean {
+  if (!content) return false;
+  return (
+    content.tasksCompleted.length > 0 ||
+    content.skillsLearned.length > 0 ||
+    content.hoursWorked !== null ||
+    !!content.challenges ||
+    !!content.nextMonthPlan
+  );
+}
+
+/**
+ * Flatten structured report content into the plain text that is indexed for search
+ */
+export function monthlyReportContentToText(content?: MonthlyReportContent | null): string | null {
+  if (!hasMonthlyReportContent(content)) return null;
+
+  return [
+    ...content!.tasksCompleted,
+    ...content!.skillsLearned,
+    content!.challenges,
+    content!.nextMonthPlan,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Turn a free-text search box value into a Postgres tsquery that matches every word
+ * as a prefix. Operators typed by the user are stripped so the query can never be malformed.
+ * Returns null when nothing searchable is left.
+ */
+export function toFullTextQuery(search?: string | null): string | null {
+  const words = (search || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 10);
+
+  return words.length > 0 ? words.map((word) => `${word}:*`).join(' & ') : null;
+}
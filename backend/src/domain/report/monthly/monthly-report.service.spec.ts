@@ -0,0 +1,306 @@
+import { BadRequestException, ForbiddenException, NotFoundException } from '@nestjs/common';
+import { AuditAction, MonthlyReportStatus, Role } from '../../../generated/prisma/client';
+import { MonthlyReportService } from './monthly-report.service';
+
+const submittedAt = new Date('2026-02-05T09:00:00.000Z');
+
+/**
+ * Service over an in-memory report table holding one report and its versions
+ */
+function createMonthlyReportStore(reportOverrides: Record<string, any> = {}) {
+  const report: Record<string, any> = {
+    id: 'report-1',
+    studentId: 'student-1',
+    status: MonthlyReportStatus.DRAFT,
+    isDeleted: false,
+    isApproved: false,
+    currentVersion: 0,
+    monthName: 'January',
+    reportMonth: 1,
+    reportYear: 2026,
+    reportFileUrl: 'reports/january-v1.pdf',
+    content: null,
+    contentVersion: 1,
+    submittedAt,
+    ...reportOverrides,
+  };
+  const versions: Record<string, any>[] = [];
+  const annotations: Record<string, any>[] = [];
+
+  const prisma: any = {
+    monthlyReport: {
+      findUnique: jest.fn(async ({ where }: any) => (where.id === report.id ? { ...report } : null)),
+      update: jest.fn(async ({ where, data }: any) => {
+        if (where.id !== report.id) throw new Error('Record to update not found');
+        for (const [key, value] of Object.entries(data)) {
+          report[key] = value && typeof value === 'object' && 'increment' in value
+            ? report[key] + (value as any).increment
+            : value;
+        }
+        return { ...report };
+      }),
+    },
+    monthlyReportVersion: {
+      create: jest.fn(async ({ data }: any) => {
+        if (versions.some((version) => version.versionNumber === data.versionNumber)) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        const version = { id: `version-${data.versionNumber}`, createdAt: new Date(), ...data };
+        versions.push(version);
+        return version;
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const { reportId, versionNumber } = where.reportId_versionNumber;
+        return versions.find((version) => version.reportId === reportId && version.versionNumber === versionNumber) ?? null;
+      }),
+      update: jest.fn(async ({ where, data }: any) => {
+        const { versionNumber } = where.reportId_versionNumber;
+        const version = versions.find((candidate) => candidate.versionNumber === versionNumber);
+        if (!version) throw new Error('Record to update not found');
+        Object.assign(version, data);
+        return version;
+      }),
+    },
+    monthlyReportAnnotation: {
+      findMany: jest.fn(async ({ where }: any) => annotations.filter((annotation) => annotation.versionId === where.versionId)),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const annotation = annotations.find((candidate) => candidate.id === where.id);
+        if (!annotation) return null;
+        const version = versions.find((candidate) => candidate.id === annotation.versionId);
+        return { ...annotation, version: { reportId: version.reportId } };
+      }),
+      create: jest.fn(async ({ data }: any) => {
+        const annotation = { id: `annotation-${annotations.length + 1}`, ...data };
+        annotations.push(annotation);
+        return annotation;
+      }),
+      delete: jest.fn(async ({ where }: any) => {
+        annotations.splice(annotations.findIndex((annotation) => annotation.id === where.id), 1);
+      }),
+    },
+  };
+  prisma.$transaction = jest.fn(async (callback: any) => callback(prisma));
+
+  const auditService: any = { log: jest.fn(async () => null) };
+  const cache: any = { del: jest.fn(async () => undefined) };
+  const service = new MonthlyReportService(prisma, cache, auditService);
+
+  return { service, prisma, auditService, report, versions, annotations };
+}
+
+const mentor = { userId: 'mentor-1', name: 'Meera', role: Role.TEACHER, institutionId: 'inst-1' };
+
+describe('MonthlyReportService revision history', () => {
+  describe('createVersion', () => {
+    it('numbers versions consecutively and snapshots the submitted file and content', async () => {
+      const { service, report } = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+
+      const first = await service.createVersion('report-1', 'student-user-1');
+      report.reportFileUrl = 'reports/january-v2.pdf';
+      report.content = { summary: 'Revised' };
+      const second = await service.createVersion('report-1', 'student-user-1');
+
+      expect(first).toMatchObject({ versionNumber: 1, reportFileUrl: 'reports/january-v1.pdf', submittedBy: 'student-user-1' });
+      expect(second).toMatchObject({ versionNumber: 2, reportFileUrl: 'reports/january-v2.pdf', content: { summary: 'Revised' } });
+      expect(report.currentVersion).toBe(2);
+    });
+
+    it('bumps the counter and writes the version in one transaction', async () => {
+      const { service, prisma } = createMonthlyReportStore();
+
+      await service.createVersion('report-1');
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.monthlyReport.update).toHaveBeenCalledWith({
+        where: { id: 'report-1' },
+        data: { currentVersion: { increment: 1 } },
+      });
+    });
+  });
+
+  describe('recordReview', () => {
+    it('attaches the decision to the latest version only', async () => {
+      const { service, versions } = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+      await service.createVersion('report-1');
+      await service.createVersion('report-1');
+
+      await service.recordReview('report-1', {
+        reviewerId: 'mentor-1',
+        status: MonthlyReportStatus.APPROVED,
+        comments: 'Good work',
+      });
+
+      expect(versions[0].reviewStatus).toBeUndefined();
+      expect(versions[1]).toMatchObject({
+        reviewStatus: MonthlyReportStatus.APPROVED,
+        reviewComments: 'Good work',
+        reviewedBy: 'mentor-1',
+        reviewedAt: expect.any(Date),
+      });
+    });
+
+    it('does nothing for a report that was never submitted', async () => {
+      const { service, prisma } = createMonthlyReportStore();
+
+      await service.recordReview('report-1', { reviewerId: 'mentor-1', status: MonthlyReportStatus.APPROVED });
+
+      expect(prisma.monthlyReportVersion.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestRevision', () => {
+    it('sends the report back and keeps the comments on the reviewed version', async () => {
+      const { service, report, versions, auditService } = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+      await service.createVersion('report-1');
+
+      const updated = await service.requestRevision('report-1', mentor, '  Add the weekly log  ');
+
+      expect(updated).toMatchObject({
+        status: MonthlyReportStatus.REVISION_REQUIRED,
+        isApproved: false,
+        reviewedBy: 'mentor-1',
+        reviewComments: 'Add the weekly log',
+      });
+      expect(report.submittedAt).toBe(submittedAt);
+      expect(versions[0]).toMatchObject({
+        reviewStatus: MonthlyReportStatus.REVISION_REQUIRED,
+        reviewComments: 'Add the weekly log',
+      });
+      expect(auditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: AuditAction.MONTHLY_REPORT_REVISION_REQUEST,
+          userRole: Role.TEACHER,
+          newValues: expect.objectContaining({ version: 1 }),
+        }),
+      );
+    });
+
+    it('rejects empty comments, drafts and reports already sent back', async () => {
+      const draft = createMonthlyReportStore();
+      await expect(draft.service.requestRevision('report-1', mentor, '   ')).rejects.toThrow(
+        new BadRequestException('Explain what needs to change when requesting a revision'),
+      );
+      await expect(draft.service.requestRevision('report-1', mentor, 'Fix it')).rejects.toThrow(
+        new BadRequestException('Only submitted reports can be sent back for revision'),
+      );
+
+      const returned = createMonthlyReportStore({ status: MonthlyReportStatus.REVISION_REQUIRED, currentVersion: 1 });
+      await expect(returned.service.requestRevision('report-1', mentor, 'Again')).rejects.toThrow(
+        new BadRequestException('A revision has already been requested for this report'),
+      );
+
+      const deleted = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED, currentVersion: 1, isDeleted: true });
+      await expect(deleted.service.requestRevision('report-1', mentor, 'Fix it')).rejects.toThrow(NotFoundException);
+
+      for (const { prisma } of [draft, returned, deleted]) {
+        expect(prisma.monthlyReport.update).not.toHaveBeenCalled();
+      }
+    });
+  });
+
+  describe('findVersion', () => {
+    it('returns the latest version unless one is asked for', async () => {
+      const { service } = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+      await service.createVersion('report-1');
+      await service.createVersion('report-1');
+
+      await expect((service as any).findVersion('report-1')).resolves.toMatchObject({
+        report: { currentVersion: 2 },
+        version: { versionNumber: 2 },
+      });
+      await expect((service as any).findVersion('report-1', 1)).resolves.toMatchObject({
+        version: { versionNumber: 1 },
+      });
+    });
+
+    it('rejects unknown, invalid and not-yet-submitted versions', async () => {
+      const submitted = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+      await submitted.service.createVersion('report-1');
+
+      await expect((submitted.service as any).findVersion('report-1', 3)).rejects.toThrow(
+        new NotFoundException('Version 3 of this report was not found'),
+      );
+      await expect((submitted.service as any).findVersion('report-1', 0)).rejects.toThrow(
+        new BadRequestException('Version must be a positive whole number'),
+      );
+      await expect((submitted.service as any).findVersion('report-2')).rejects.toThrow(
+        new NotFoundException('Report not found'),
+      );
+
+      const draft = createMonthlyReportStore();
+      await expect((draft.service as any).findVersion('report-1')).rejects.toThrow(
+        new BadRequestException('This report has not been submitted yet'),
+      );
+    });
+  });
+});
+
+describe('MonthlyReportService annotations', () => {
+  async function submittedTwice() {
+    const store = createMonthlyReportStore({ status: MonthlyReportStatus.SUBMITTED });
+    await store.service.createVersion('report-1');
+    store.report.reportFileUrl = 'reports/january-v2.pdf';
+    await store.service.createVersion('report-1');
+    return store;
+  }
+
+  it('pins comments to a page or a region of the latest version', async () => {
+    const { service } = await submittedTwice();
+
+    await service.addAnnotation('report-1', { userId: 'mentor-1', name: 'Meera' }, { page: 1, comment: ' Cite sources ' });
+    await service.addAnnotation('report-1', { userId: 'mentor-1' }, {
+      page: 2,
+      x: 0.123456,
+      y: 0.5,
+      width: 0.25,
+      height: 0.1,
+      comment: 'Blurry chart',
+    });
+
+    const result = await service.getAnnotations('report-1');
+    expect(result).toMatchObject({ currentVersion: 2, versionNumber: 2, reportFileUrl: 'reports/january-v2.pdf' });
+    expect(result.annotations).toEqual([
+      expect.objectContaining({ versionId: 'version-2', page: 1, x: null, comment: 'Cite sources', authorName: 'Meera' }),
+      expect.objectContaining({ versionId: 'version-2', page: 2, x: 0.1235, width: 0.25, authorId: 'mentor-1' }),
+    ]);
+    await expect(service.getAnnotations('report-1', 1)).resolves.toMatchObject({ versionNumber: 1, annotations: [] });
+  });
+
+  it('rejects annotations on older versions, bad pages and regions off the page', async () => {
+    const { service, prisma } = await submittedTwice();
+    const author = { userId: 'mentor-1' };
+
+    await expect(service.addAnnotation('report-1', author, { versionNumber: 1, page: 1, comment: 'Late' })).rejects.toThrow(
+      new BadRequestException('Only the latest version of a report can be annotated'),
+    );
+    await expect(service.addAnnotation('report-1', author, { page: 0, comment: 'Cover' })).rejects.toThrow(
+      new BadRequestException('Page must be a positive whole number'),
+    );
+    await expect(service.addAnnotation('report-1', author, { page: 1, comment: '  ' })).rejects.toThrow(
+      new BadRequestException('Annotation comment is required'),
+    );
+    await expect(service.addAnnotation('report-1', author, { page: 1, x: 0.5, comment: 'Here' })).rejects.toThrow(
+      new BadRequestException('A highlighted region needs x, y, width and height'),
+    );
+    await expect(
+      service.addAnnotation('report-1', author, { page: 1, x: 0.8, y: 0, width: 0.5, height: 0.1, comment: 'Here' }),
+    ).rejects.toThrow(new BadRequestException('Highlighted region must lie within the page'));
+    expect(prisma.monthlyReportAnnotation.create).not.toHaveBeenCalled();
+  });
+
+  it('lets only the author delete an annotation', async () => {
+    const { service, annotations } = await submittedTwice();
+    const annotation = await service.addAnnotation('report-1', { userId: 'mentor-1' }, { page: 1, comment: 'Typo' });
+
+    await expect(service.deleteAnnotation('report-1', annotation.id, 'mentor-2')).rejects.toThrow(
+      new ForbiddenException('You can only delete your own annotations'),
+    );
+    await expect(service.deleteAnnotation('report-2', annotation.id, 'mentor-1')).rejects.toThrow(
+      new NotFoundException('Annotation not found'),
+    );
+    expect(annotations).toHaveLength(1);
+
+    await expect(service.deleteAnnotation('report-1', annotation.id, 'mentor-1')).resolves.toEqual({ id: annotation.id });
+    expect(annotations).toHaveLength(0);
+  });
+});
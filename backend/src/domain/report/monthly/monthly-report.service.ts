@@ -1,5 +1,12 @@
-import { Injectable, NotFoundException, BadRequestException, Logger } from '@nestjs/common';
-import { MonthlyReportStatus, AuditAction, AuditCategory, AuditSeverity } from '../../../generated/prisma/client';
+import { Injectable, NotFoundException, BadRequestException, ForbiddenException, Logger } from '@nestjs/common';
+import {
+  MonthlyReportStatus,
+  MonthlyReportVersion,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  Role,
+} from '../../../generated/prisma/client';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { CacheService } from '../../../core/cache/cache.service';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
@@ -16,6 +23,22 @@ export interface ReviewReportDto {
   reviewComments?: string;
 }
 
+export interface VersionReview {
+  reviewerId: string;
+  status: MonthlyReportStatus;
+  comments?: string | null;
+}
+
+export interface ReportAnnotationInput {
+  versionNumber?: number;
+  page: number;
+  x?: number | null;
+  y?: number | null;
+  width?: number | null;
+  height?: number | null;
+  comment: string;
+}
+
 @Injectable()
 export class MonthlyReportService {
   private readonly logger = new Logger(MonthlyReportService.name);
@@ -217,6 +240,279 @@ export class MonthlyReportService {
     return report;
   }
 
+  // ==================== Revision History ====================
+
+  /**
+   * Record the report's current file and structured content as a new immutable version.
+   * Call after every submission or resubmission, never for drafts.
+   */
+  async createVersion(reportId: string, submittedBy?: string): Promise<MonthlyReportVersion> {
+    return this.prisma.$transaction(async (tx) => {
+      const report = await tx.monthlyReport.update({
+        where: { id: reportId },
+        data: { currentVersion: { increment: 1 } },
+      });
+
+      return tx.monthlyReportVersion.create({
+        data: {
+          reportId,
+          versionNumber: report.currentVersion,
+          reportFileUrl: report.reportFileUrl,
+          content: report.content ?? undefined,
+          contentVersion: report.contentVersion,
+          submittedBy,
+        },
+      });
+    });
+  }
+
+  /**
+   * Attach a reviewer's decision and comments to the version they reviewed (the latest one)
+   */
+  async recordReview(reportId: string, review: VersionReview): Promise<void> {
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id: reportId },
+      select: { currentVersion: true },
+    });
+    if (!report?.currentVersion) return;
+
+    await this.prisma.monthlyReportVersion.update({
+      where: { reportId_versionNumber: { reportId, versionNumber: report.currentVersion } },
+      data: {
+        reviewStatus: review.status,
+        reviewComments: review.comments,
+        reviewedBy: review.reviewerId,
+        reviewedAt: new Date(),
+      },
+    });
+  }
+
+  /**
+   * Send a submitted report back to the student. The comments stay attached to the
+   * version being reviewed; the student's next submission becomes a new version.
+   * Authorization is the caller's responsibility.
+   */
+  async requestRevision(
+    reportId: string,
+    reviewer: { userId: string; name?: string | null; role?: Role | null; institutionId?: string | null },
+    comments: string,
+  ) {
+    if (!comments?.trim()) {
+      throw new BadRequestException('Explain what needs to change when requesting a revision');
+    }
+
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id: reportId },
+      select: { id: true, status: true, isDeleted: true, currentVersion: true, monthName: true, reportYear: true, studentId: true },
+    });
+
+    if (!report || report.isDeleted) {
+      throw new NotFoundException('Report not found');
+    }
+    if (report.currentVersion === 0 || report.status === MonthlyReportStatus.DRAFT) {
+      throw new BadRequestException('Only submitted reports can be sent back for revision');
+    }
+    if (report.status === MonthlyReportStatus.REVISION_REQUIRED) {
+      throw new BadRequestException('A revision has already been requested for this report');
+    }
+
+    const reviewedAt = new Date();
+    const updated = await this.prisma.monthlyReport.update({
+      where: { id: reportId },
+      data: {
+        status: MonthlyReportStatus.REVISION_REQUIRED,
+        isApproved: false,
+        reviewedBy: reviewer.userId,
+        reviewedAt,
+        reviewComments: comments.trim(),
+      },
+    });
+
+    await this.recordReview(reportId, {
+      reviewerId: reviewer.userId,
+      status: MonthlyReportStatus.REVISION_REQUIRED,
+      comments: comments.trim(),
+    });
+
+    await this.cache.del(`reports:student:${report.studentId}`);
+
+    this.auditService.log({
+      action: AuditAction.MONTHLY_REPORT_REVISION_REQUEST,
+      entityType: 'MonthlyReport',
+      entityId: reportId,
+      userId: reviewer.userId,
+      userName: reviewer.name ?? undefined,
+      userRole: reviewer.role ?? Role.TEACHER,
+      institutionId: reviewer.institutionId ?? undefined,
+      category: AuditCategory.INTERNSHIP_WORKFLOW,
+      severity: AuditSeverity.MEDIUM,
+      description: `Revision requested for monthly report ${report.monthName} ${report.reportYear} (version ${report.currentVersion})`,
+      oldValues: { status: report.status },
+      newValues: { status: updated.status, version: report.currentVersion, comments: comments.trim() },
+    }).catch(() => {});
+
+    return updated;
+  }
+
+  /**
+   * Every submitted version of a report, oldest first
+   */
+  async getVersions(reportId: string) {
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id: reportId },
+      select: {
+        id: true,
+        isDeleted: true,
+        status: true,
+        currentVersion: true,
+        monthName: true,
+        reportMonth: true,
+        reportYear: true,
+        submittedAt: true,
+        isOverdue: true,
+        isLateSubmission: true,
+        daysLate: true,
+        versions: { orderBy: { versionNumber: 'asc' } },
+      },
+    });
+
+    if (!report || report.isDeleted) {
+      throw new NotFoundException('Report not found');
+    }
+
+    const { isDeleted, ...rest } = report;
+    return rest;
+  }
+
+  /**
+   * Annotations on one version of a report (the latest unless a version is given),
+   * together with the file they were drawn on
+   */
+  async getAnnotations(reportId: string, versionNumber?: number) {
+    const { report, version } = await this.findVersion(reportId, versionNumber);
+
+    const annotations = await this.prisma.monthlyReportAnnotation.findMany({
+      where: { versionId: version.id },
+      orderBy: [{ page: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    return {
+      reportId,
+      currentVersion: report.currentVersion,
+      versionNumber: version.versionNumber,
+      reportFileUrl: version.reportFileUrl,
+      annotations,
+    };
+  }
+
+  /**
+   * Pin a comment to a page, or a region of a page, of the latest version's file.
+   * Older versions are read-only. Authorization is the caller's responsibility.
+   */
+  async addAnnotation(
+    reportId: string,
+    author: { userId: string; name?: string | null },
+    input: ReportAnnotationInput,
+  ) {
+    const { report, version } = await this.findVersion(reportId, input.versionNumber);
+
+    if (version.versionNumber !== report.currentVersion) {
+      throw new BadRequestException('Only the latest version of a report can be annotated');
+    }
+    if (!version.reportFileUrl) {
+      throw new BadRequestException('This version has no uploaded file to annotate');
+    }
+
+    const comment = input.comment?.trim();
+    if (!comment) {
+      throw new BadRequestException('Annotation comment is required');
+    }
+    if (!Number.isInteger(input.page) || input.page < 1) {
+      throw new BadRequestException('Page must be a positive whole number');
+    }
+
+    return this.prisma.monthlyReportAnnotation.create({
+      data: {
+        versionId: version.id,
+        page: input.page,
+        ...this.toAnnotationRegion(input),
+        comment,
+        authorId: author.userId,
+        authorName: author.name ?? null,
+      },
+    });
+  }
+
+  /**
+   * Remove an annotation. Only its author may delete it.
+   */
+  async deleteAnnotation(reportId: string, annotationId: string, authorId: string) {
+    const annotation = await this.prisma.monthlyReportAnnotation.findUnique({
+      where: { id: annotationId },
+      include: { version: { select: { reportId: true } } },
+    });
+
+    if (!annotation || annotation.version.reportId !== reportId) {
+      throw new NotFoundException('Annotation not found');
+    }
+    if (annotation.authorId !== authorId) {
+      throw new ForbiddenException('You can only delete your own annotations');
+    }
+
+    await this.prisma.monthlyReportAnnotation.delete({ where: { id: annotationId } });
+    return { id: annotationId };
+  }
+
+  private async findVersion(reportId: string, versionNumber?: number) {
+    if (versionNumber !== undefined && (!Number.isInteger(versionNumber) || versionNumber < 1)) {
+      throw new BadRequestException('Version must be a positive whole number');
+    }
+
+    const report = await this.prisma.monthlyReport.findUnique({
+      where: { id: reportId },
+      select: { id: true, isDeleted: true, currentVersion: true },
+    });
+
+    if (!report || report.isDeleted) {
+      throw new NotFoundException('Report not found');
+    }
+    if (report.currentVersion === 0) {
+      throw new BadRequestException('This report has not been submitted yet');
+    }
+
+    const version = await this.prisma.monthlyReportVersion.findUnique({
+      where: {
+        reportId_versionNumber: { reportId, versionNumber: versionNumber ?? report.currentVersion },
+      },
+    });
+
+    if (!version) {
+      throw new NotFoundException(`Version ${versionNumber} of this report was not found`);
+    }
+
+    return { report, version };
+  }
+
+  /**
+   * A region is either fully specified and inside the page, or absent (whole-page comment)
+   */
+  private toAnnotationRegion(input: ReportAnnotationInput) {
+    const parts = [input.x, input.y, input.width, input.height];
+    if (parts.every((value) => value === undefined || value === null)) {
+      return { x: null, y: null, width: null, height: null };
+    }
+    if (parts.some((value) => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new BadRequestException('A highlighted region needs x, y, width and height');
+    }
+
+    const [x, y, width, height] = parts.map((value) => Math.round((value as number) * 10000) / 10000);
+    if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1.0001 || y + height > 1.0001) {
+      throw new BadRequestException('Highlighted region must lie within the page');
+    }
+
+    return { x, y, width, height };
+  }
+
   async getReportStatistics(institutionId: string) {
     try {
       const cacheKey = `report-stats:institution:${institutionId}`;
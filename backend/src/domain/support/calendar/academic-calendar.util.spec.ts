@@ -0,0 +1,70 @@
+import {
+  addDaysToDayKey,
+  eachDayKey,
+  collectClosedDays,
+  shiftDueDay,
+  shiftDueDate,
+  normalizeDueDateShiftPolicy,
+} from './academic-calendar.util';
+
+describe('day keys', () => {
+  it('adds days across month and year boundaries', () => {
+    expect(addDaysToDayKey('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDaysToDayKey('2026-01-01', -1)).toBe('2025-12-31');
+    expect(addDaysToDayKey('2028-02-28', 1)).toBe('2028-02-29');
+  });
+
+  it('expands an inclusive range', () => {
+    expect(eachDayKey('2026-03-30', '2026-04-02')).toEqual(['2026-03-30', '2026-03-31', '2026-04-01', '2026-04-02']);
+    expect(eachDayKey('2026-04-02', '2026-04-01')).toEqual([]);
+  });
+});
+
+describe('collectClosedDays', () => {
+  const events = [
+    { type: 'HOLIDAY', startDay: '2026-11-05', endDay: '2026-11-05' },
+    { type: 'REPORT_BLACKOUT', startDay: '2026-11-06', endDay: '2026-11-07' },
+    { type: 'EXAMINATION', startDay: '2026-11-10', endDay: '2026-11-20' },
+  ];
+
+  it('closes holidays for every deadline and blackouts for reports only', () => {
+    expect([...collectClosedDays(events, 'REPORT')]).toEqual(['2026-11-05', '2026-11-06', '2026-11-07']);
+    expect([...collectClosedDays(events, 'VISIT')]).toEqual(['2026-11-05']);
+  });
+});
+
+describe('shiftDueDay', () => {
+  const closed = new Set(['2026-11-05', '2026-11-06']);
+
+  it('leaves open days and the NONE policy alone', () => {
+    expect(shiftDueDay('2026-11-04', closed, 'NEXT_WORKING_DAY')).toEqual({ day: '2026-11-04', shiftedBy: 0 });
+    expect(shiftDueDay('2026-11-05', closed, 'NONE')).toEqual({ day: '2026-11-05', shiftedBy: 0 });
+  });
+
+  it('moves to the next or previous open day', () => {
+    expect(shiftDueDay('2026-11-05', closed, 'NEXT_WORKING_DAY')).toEqual({ day: '2026-11-07', shiftedBy: 2 });
+    expect(shiftDueDay('2026-11-06', closed, 'PREVIOUS_WORKING_DAY')).toEqual({ day: '2026-11-04', shiftedBy: -2 });
+  });
+
+  it('gives up when no open day is found within the limit', () => {
+    expect(shiftDueDay('2026-11-05', closed, 'NEXT_WORKING_DAY', 1)).toEqual({ day: '2026-11-05', shiftedBy: 0 });
+  });
+});
+
+describe('shiftDueDate', () => {
+  it('keeps the time of day of the original due date', () => {
+    const due = new Date(2026, 10, 30, 23, 59, 59, 999);
+    const result = shiftDueDate(due, new Set(['2026-11-30']), 'PREVIOUS_WORKING_DAY');
+
+    expect(result.day).toBe('2026-11-29');
+    expect(result.dueDate).toEqual(new Date(2026, 10, 29, 23, 59, 59, 999));
+  });
+});
+
+describe('normalizeDueDateShiftPolicy', () => {
+  it('falls back to NONE for unknown values', () => {
+    expect(normalizeDueDateShiftPolicy('NEXT_WORKING_DAY')).toBe('NEXT_WORKING_DAY');
+    expect(normalizeDueDateShiftPolicy('SOMETIMES')).toBe('NONE');
+    expect(normalizeDueDateShiftPolicy(undefined)).toBe('NONE');
+  });
+});
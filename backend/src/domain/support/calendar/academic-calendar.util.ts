@@ -0,0 +1,147 @@
+/**
+ * Academic Calendar Utility
+ *
+ * Statewide and institution events (holidays, report blackouts, ...) close days for
+ * deadlines. When a due date falls on a closed day it can be moved according to the
+ * configured shift policy:
+ * - NONE: keep the monthly-cycle due date as is
+ * - NEXT_WORKING_DAY: move forward to the first open day
+ * - PREVIOUS_WORKING_DAY: move back to the last open day before it
+ *
+ * Holidays close a day for every deadline; a report blackout only closes it for
+ * report submissions. Days are YYYY-MM-DD keys and event ranges are inclusive.
+ *
+ * Example:
+ * Report due 2026-11-05 with a holiday on 11-05 and a blackout on 11-06
+ * - NEXT_WORKING_DAY -> 2026-11-07 (shifted by 2)
+ * - PREVIOUS_WORKING_DAY -> 2026-11-04 (shifted by -1)
+ */
+
+export type DueDateShiftPolicy = 'NONE' | 'NEXT_WORKING_DAY' | 'PREVIOUS_WORKING_DAY';
+
+export const DUE_DATE_SHIFT_POLICIES: DueDateShiftPolicy[] = ['NONE', 'NEXT_WORKING_DAY', 'PREVIOUS_WORKING_DAY'];
+
+export type AcademicDeadlineKind = 'REPORT' | 'VISIT';
+
+export interface AcademicEventDays {
+  type: string;
+  startDay: string;
+  endDay: string;
+}
+
+export interface ShiftedDueDay {
+  day: string;
+  shiftedBy: number;
+}
+
+// Never look further than this for an open day (a blackout longer than a month is a data error)
+export const MAX_DUE_DATE_SHIFT_DAYS = 31;
+
+// Longest event we expand into single days
+const MAX_EVENT_DAYS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a YYYY-MM-DD key by a number of days
+ */
+export function addDaysToDayKey(day: string, days: number): string {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Every day from start to end, both inclusive
+ */
+export function eachDayKey(startDay: string, endDay: string): string[] {
+  const days: string[] = [];
+  for (let day = startDay; day <= endDay && days.length < MAX_EVENT_DAYS; day = addDaysToDayKey(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Day key of a date column stored without time (@db.Date comes back as UTC midnight)
+ */
+export function dateOnlyToDayKey(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date value for a date-only column from a day key
+ */
+export function dayKeyToDateOnly(day: string): Date {
+  return new Date(`${day}T00:00:00.000Z`);
+}
+
+/**
+ * Day key of a due date built from local date components (see getVisitDueDate)
+ */
+export function localDayKey(date: Date): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Days on which a deadline of this kind cannot fall
+ */
+export function collectClosedDays(events: AcademicEventDays[], kind: AcademicDeadlineKind): Set<string> {
+  const closed = new Set<string>();
+
+  for (const event of events) {
+    const closes = event.type === 'HOLIDAY' || (event.type === 'REPORT_BLACKOUT' && kind === 'REPORT');
+    if (!closes) continue;
+    eachDayKey(event.startDay, event.endDay).forEach((day) => closed.add(day));
+  }
+
+  return closed;
+}
+
+/**
+ * Move a due day off closed days; it stays put when no open day is found within maxShift
+ */
+export function shiftDueDay(
+  day: string,
+  closedDays: Set<string>,
+  policy: DueDateShiftPolicy,
+  maxShift: number = MAX_DUE_DATE_SHIFT_DAYS,
+): ShiftedDueDay {
+  if (policy === 'NONE' || !closedDays.has(day)) {
+    return { day, shiftedBy: 0 };
+  }
+
+  const step = policy === 'NEXT_WORKING_DAY' ? 1 : -1;
+  for (let offset = 1; offset <= maxShift; offset++) {
+    const candidate = addDaysToDayKey(day, offset * step);
+    if (!closedDays.has(candidate)) {
+      return { day: candidate, shiftedBy: offset * step };
+    }
+  }
+
+  return { day, shiftedBy: 0 };
+}
+
+/**
+ * Apply the shift policy to a due date, keeping its time of day
+ */
+export function shiftDueDate(
+  dueDate: Date,
+  closedDays: Set<string>,
+  policy: DueDateShiftPolicy,
+): { dueDate: Date; day: string; shiftedBy: number } {
+  const shifted = shiftDueDay(localDayKey(dueDate), closedDays, policy);
+  if (shifted.shiftedBy === 0) {
+    return { dueDate, ...shifted };
+  }
+
+  const moved = new Date(dueDate);
+  moved.setDate(moved.getDate() + shifted.shiftedBy);
+  return { dueDate: moved, ...shifted };
+}
+
+/**
+ * Unknown or missing configuration values fall back to NONE
+ */
+export function normalizeDueDateShiftPolicy(value: unknown): DueDateShiftPolicy {
+  return DUE_DATE_SHIFT_POLICIES.includes(value as DueDateShiftPolicy) ? (value as DueDateShiftPolicy) : 'NONE';
+}
@@ -0,0 +1,229 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Patch,
+  Delete,
+  Body,
+  Param,
+  Query,
+  Res,
+  UseGuards,
+  Request,
+} from '@nestjs/common';
+import { Response } from 'express';
+import { CalendarService } from './calendar.service';
+import { VisitRouteService } from './visit-route.service';
+import { JwtAuthGuard } from '../../../core/auth/guards/jwt-auth.guard';
+import { RolesGuard } from '../../../core/auth/guards/roles.guard';
+import { Roles } from '../../../core/auth/decorators/roles.decorator';
+import { Public } from '../../../core/auth/decorators/public.decorator';
+import {
+  VisitCalendarQueryDto,
+  ScheduleVisitDto,
+  RescheduleVisitDto,
+  VisitTripPlanQueryDto,
+  ScheduleVisitTripDto,
+  CreateAcademicEventDto,
+  UpdateAcademicEventDto,
+  AcademicCalendarQueryDto,
+  UpcomingAcademicEventsQueryDto,
+} from './dto';
+import { Role } from '../../../generated/prisma/client';
+
+@Controller('calendar')
+@UseGuards(JwtAuthGuard, RolesGuard)
+export class CalendarController {
+  constructor(
+    private readonly calendarService: CalendarService,
+    private readonly visitRouteService: VisitRouteService,
+  ) {}
+
+  /**
+   * Statewide and institution events with report/visit deadlines (shifted off holidays when configured)
+   * Access: Authenticated users
+   */
+  @Get('academic')
+  async getAcademicCalendar(@Request() req: any, @Query() query: AcademicCalendarQueryDto) {
+    return this.calendarService.getEvents(req.user, new Date(query.from), new Date(query.to), query.institutionId);
+  }
+
+  /**
+   * Download the academic calendar as an .ics file
+   * Access: Authenticated users
+   */
+  @Get('academic/export')
+  async exportAcademicCalendar(@Request() req: any, @Query() query: AcademicCalendarQueryDto, @Res() res: Response) {
+    const ics = await this.calendarService.exportAcademicCalendar(
+      req.user,
+      new Date(query.from),
+      new Date(query.to),
+      query.institutionId,
+    );
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename=academic-calendar.ics');
+
+    res.send(ics);
+  }
+
+  /**
+   * Next academic events that have not ended yet
+   * Access: Authenticated users
+   */
+  @Get('events/upcoming')
+  async getUpcomingEvents(@Request() req: any, @Query() query: UpcomingAcademicEventsQueryDto) {
+    return this.calendarService.getUpcomingEvents(req.user, query.limit);
+  }
+
+  /**
+   * Add an academic event (state: statewide or for an institution; principal: own institution)
+   * Access: STATE_DIRECTORATE, PRINCIPAL, SYSTEM_ADMIN
+   */
+  @Post('events')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async createEvent(@Request() req: any, @Body() data: CreateAcademicEventDto) {
+    return this.calendarService.createEvent(req.user, data);
+  }
+
+  /**
+   * Update an academic event
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Patch('events/:id')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async updateEvent(@Param('id') id: string, @Request() req: any, @Body() data: UpdateAcademicEventDto) {
+    return this.calendarService.updateEvent(req.user, id, data);
+  }
+
+  /**
+   * Delete an academic event
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Delete('events/:id')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async deleteEvent(@Param('id') id: string, @Request() req: any) {
+    return this.calendarService.deleteEvent(req.user, id);
+  }
+
+  /**
+   * Mentee visit windows, planned visits and same-day conflicts
+   * Access: TEACHER
+   */
+  @Get('visits')
+  @Roles(Role.TEACHER)
+  async getVisitCalendar(@Request() req: any, @Query() query: VisitCalendarQueryDto) {
+    return this.calendarService.getFacultyVisitCalendar(req.user.userId, new Date(query.from), new Date(query.to));
+  }
+
+  /**
+   * Download the visit schedule as an .ics file
+   * Access: TEACHER
+   */
+  @Get('visits/export')
+  @Roles(Role.TEACHER)
+  async exportVisitCalendar(@Request() req: any, @Query() query: VisitCalendarQueryDto, @Res() res: Response) {
+    const ics = await this.calendarService.exportFacultyVisitCalendar(
+      req.user.userId,
+      new Date(query.from),
+      new Date(query.to),
+    );
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename=visit-schedule.ics');
+
+    res.send(ics);
+  }
+
+  /**
+   * Proposed multi-student trips for the month's pending physical visits
+   * Access: TEACHER
+   */
+  @Get('visits/trips')
+  @Roles(Role.TEACHER)
+  async getTripPlan(@Request() req: any, @Query() query: VisitTripPlanQueryDto) {
+    return this.visitRouteService.getTripPlan(req.user.userId, query.year, query.month);
+  }
+
+  /**
+   * Schedule all visits of a trip on one day
+   * Access: TEACHER
+   */
+  @Post('visits/trips')
+  @Roles(Role.TEACHER)
+  async scheduleTrip(@Request() req: any, @Body() data: ScheduleVisitTripDto) {
+    return this.visitRouteService.scheduleTrip(req.user.userId, data.day, data.applicationIds);
+  }
+
+  /**
+   * Schedule a visit on a day
+   * Access: TEACHER
+   */
+  @Post('visits')
+  @Roles(Role.TEACHER)
+  async scheduleVisit(@Request() req: any, @Body() data: ScheduleVisitDto) {
+    return this.calendarService.scheduleVisit(req.user.userId, data);
+  }
+
+  /**
+   * Move a scheduled visit to another day
+   * Access: TEACHER
+   */
+  @Patch('visits/:id/reschedule')
+  @Roles(Role.TEACHER)
+  async rescheduleVisit(@Param('id') id: string, @Request() req: any, @Body() data: RescheduleVisitDto) {
+    return this.calendarService.rescheduleVisit(req.user.userId, id, data);
+  }
+
+  /**
+   * Cancel a scheduled visit
+   * Access: TEACHER
+   */
+  @Post('visits/:id/cancel')
+  @Roles(Role.TEACHER)
+  async cancelVisit(@Param('id') id: string, @Request() req: any) {
+    return this.calendarService.cancelScheduledVisit(req.user.userId, id);
+  }
+
+  /**
+   * Whether the personal calendar feed is enabled
+   * Access: Authenticated users
+   */
+  @Get('feed-token')
+  async getFeedStatus(@Request() req: any) {
+    return this.calendarService.hasCalendarFeed(req.user.userId);
+  }
+
+  /**
+   * Issue a new calendar feed token (invalidates the previous subscription URL)
+   * Access: Authenticated users
+   */
+  @Post('feed-token')
+  async rotateFeedToken(@Request() req: any) {
+    return this.calendarService.rotateCalendarFeedToken(req.user.userId);
+  }
+
+  /**
+   * Disable the calendar feed
+   * Access: Authenticated users
+   */
+  @Delete('feed-token')
+  async revokeFeedToken(@Request() req: any) {
+    return this.calendarService.revokeCalendarFeedToken(req.user.userId);
+  }
+
+  /**
+   * iCalendar subscription feed; the token in the URL is the credential
+   * Access: Public
+   */
+  @Public()
+  @Get('feed/:token')
+  async getFeed(@Param('token') token: string, @Res() res: Response) {
+    const ics = await this.calendarService.getCalendarFeed(token.replace(/\.ics$/i, ''));
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+
+    res.send(ics);
+  }
+}
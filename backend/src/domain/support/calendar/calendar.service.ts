@@ -1,21 +1,198 @@
-import { Injectable, NotFoundException, Logger } from '@nestjs/common';
+import { Injectable, NotFoundException, BadRequestException, ForbiddenException, Logger } from '@nestjs/common';
+import * as crypto from 'crypto';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { CacheService } from '../../../core/cache/cache.service';
+import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { SystemConfigService } from '../../../api/system-admin/services/system-config.service';
+import {
+  calculateExpectedMonths,
+  getMonthName,
+  getReportDueDate,
+  getVisitDueDate,
+} from '../../../common/utils/monthly-cycle.util';
+import {
+  addDaysToDayKey,
+  collectClosedDays,
+  dateOnlyToDayKey,
+  dayKeyToDateOnly,
+  localDayKey,
+  normalizeDueDateShiftPolicy,
+  shiftDueDate,
+  AcademicDeadlineKind,
+  AcademicEventDays,
+  DueDateShiftPolicy,
+  MAX_DUE_DATE_SHIFT_DAYS,
+} from './academic-calendar.util';
+import {
+  dayKeyToDate,
+  findSameDayVisitConflicts,
+  getVisitWindowState,
+  toDayKey,
+  PlannedVisit,
+  VisitConflict,
+  VisitWindowState,
+} from './visit-schedule.util';
+import { buildICalendar, ICalEvent } from './ical.util';
+import { normalizeCompanyName } from '../../company/company-name.util';
+import {
+  AcademicEvent,
+  AcademicEventType,
+  ApplicationStatus,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  Prisma,
+  Role,
+  VisitLogStatus,
+  VisitType,
+} from '../../../generated/prisma/client';
+import {
+  ScheduleVisitDto,
+  RescheduleVisitDto,
+  CreateAcademicEventDto,
+  UpdateAcademicEventDto,
+} from './dto';
 
-export interface CreateEventDto {
-  title: string;
-  startDate?: Date;
-  endDate?: Date;
+interface UserContext {
+  userId: string;
+  role: Role;
   institutionId?: string;
 }
 
-export interface UpdateEventDto extends Partial<CreateEventDto> {}
+export interface AcademicDeadline {
+  type: 'REPORT_DUE' | 'VISIT_DUE';
+  month: number;
+  year: number;
+  monthName: string;
+  dueDate: Date;
+  /** Due day before the holiday shift */
+  originalDay: string;
+  day: string;
+  shiftedBy: number;
+}
+
+/**
+ * Moves report/visit due dates off holidays and blackouts of an institution
+ */
+interface DueDateAdjuster {
+  policy: DueDateShiftPolicy;
+  shift(
+    kind: AcademicDeadlineKind,
+    dueDate: Date,
+    institutionId?: string | null,
+  ): { dueDate: Date; day: string; shiftedBy: number };
+}
+
+export interface VisitWindow {
+  applicationId: string;
+  studentId: string;
+  studentName: string | null;
+  companyName: string | null;
+  month: number;
+  year: number;
+  monthName: string;
+  windowStart: Date;
+  dueDate: Date;
+  dueDay: string;
+  state: VisitWindowState;
+  visitIds: string[];
+}
+
+export interface CalendarVisit {
+  id: string;
+  applicationId: string;
+  studentName: string | null;
+  companyName: string | null;
+  visitDate: Date | null;
+  day: string | null;
+  visitType: VisitType;
+  status: VisitLogStatus;
+  visitLocation: string | null;
+}
+
+const ACTIVE_APPLICATION_STATUSES = [ApplicationStatus.JOINED, ApplicationStatus.APPROVED];
+
+// Feed subscribers see this much history and look-ahead
+const FEED_PAST_DAYS = 60;
+const FEED_FUTURE_DAYS = 180;
+
+// Longest range the calendar view or export may request in one go
+const MAX_RANGE_DAYS = 400;
+
+const VISIT_DURATION_MINUTES = 60;
+
+const ACADEMIC_EVENT_LABELS: Record<AcademicEventType, string> = {
+  INTERNSHIP_WINDOW: 'Internship Window',
+  REPORT_BLACKOUT: 'Report Blackout',
+  HOLIDAY: 'Holiday',
+  EXAMINATION: 'Examination',
+  OTHER: 'Event',
+};
 
-export interface DateRange {
-  startDate: Date;
-  endDate: Date;
+// Due dates of months around a range can be shifted into it
+const DUE_DATE_LOOKAROUND_DAYS = MAX_DUE_DATE_SHIFT_DAYS + 40;
+
+// Longest single academic event
+const MAX_EVENT_DAYS = 366;
+
+// Event types that close days for deadlines
+const CLOSING_EVENT_TYPES: AcademicEventType[] = [AcademicEventType.HOLIDAY, AcademicEventType.REPORT_BLACKOUT];
+
+const academicEventInclude = {
+  institution: { select: { id: true, name: true, code: true } },
+  createdBy: { select: { id: true, name: true, role: true } },
+} satisfies Prisma.AcademicEventInclude;
+
+const visitApplicationSelect = {
+  id: true,
+  studentId: true,
+  companyId: true,
+  companyName: true,
+  companyAddress: true,
+  company: { select: { name: true, address: true, city: true, pinCode: true } },
+  student: { select: { user: { select: { name: true, rollNumber: true } } } },
+  // Last GPS fix recorded at the company, used to place visits that have none yet
+  facultyVisitLogs: {
+    where: { isDeleted: false, latitude: { not: null }, longitude: { not: null } },
+    orderBy: { visitDate: 'desc' as const },
+    take: 1,
+    select: { latitude: true, longitude: true },
+  },
+} satisfies Prisma.InternshipApplicationSelect;
+
+const menteeApplicationSelect = {
+  id: true,
+  startDate: true,
+  endDate: true,
+  companyAddress: true,
+  company: { select: { address: true } },
+  student: { select: { institutionId: true } },
+} satisfies Prisma.InternshipApplicationSelect;
+
+type AcademicEventWithRelations = Prisma.AcademicEventGetPayload<{ include: typeof academicEventInclude }>;
+
+export interface AcademicEventResponse {
+  id: string;
+  title: string;
+  description: string | null;
+  type: AcademicEventType;
+  typeLabel: string;
+  /** Inclusive YYYY-MM-DD days */
+  startDate: string;
+  endDate: string;
+  isStatewide: boolean;
+  institutionId: string | null;
+  institution: { id: string; name: string; code: string | null } | null;
+  createdBy: { id: string; name: string; role: Role } | null;
+  updatedAt: Date;
 }
 
+type MenteeApplication = Prisma.InternshipApplicationGetPayload<{ select: typeof menteeApplicationSelect }>;
+
+type VisitWithApplication = Prisma.FacultyVisitLogGetPayload<{
+  include: { application: { select: typeof visitApplicationSelect } };
+}>;
+
 @Injectable()
 export class CalendarService {
   private readonly logger = new Logger(CalendarService.name);
@@ -24,29 +201,1142 @@ export class CalendarService {
   constructor(
     private readonly prisma: PrismaService,
     private readonly cache: CacheService,
+    private readonly auditService: AuditService,
+    private readonly systemConfigService: SystemConfigService,
   ) {}
 
-  async createEvent(creatorId: string, data: CreateEventDto) {
-    throw new NotFoundException('Calendar feature has been removed');
+  // ==================== Academic Calendar ====================
+
+  /**
+   * Add a statewide event (state) or an institution event (principal, or state for a chosen institution)
+   */
+  async createEvent(user: UserContext, data: CreateAcademicEventDto) {
+    try {
+      const institutionId = this.resolveEventInstitution(user, data.institutionId);
+      const { startDate, endDate } = this.resolveEventDays(data.startDate, data.endDate ?? data.startDate);
+
+      const event = await this.prisma.academicEvent.create({
+        data: {
+          title: data.title.trim(),
+          description: data.description?.trim() || null,
+          type: data.type,
+          startDate,
+          endDate,
+          institutionId,
+          createdById: user.userId,
+        },
+        include: academicEventInclude,
+      });
+
+      this.auditService.log({
+        action: AuditAction.ACADEMIC_EVENT_CREATE,
+        entityType: 'AcademicEvent',
+        entityId: event.id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `Academic calendar event created: ${event.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.LOW,
+        institutionId: institutionId ?? undefined,
+        newValues: { title: event.title, type: event.type, startDate: data.startDate, endDate: data.endDate, institutionId },
+      }).catch(() => {});
+
+      await this.invalidateAcademicCalendarCaches();
+
+      return this.toAcademicEventResponse(event);
+    } catch (error) {
+      this.logger.error(`Failed to create academic event: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Events and overlaid report/visit deadlines visible to the user in a date range.
+   * Students only see deadlines of their own internship months.
+   */
+  async getEvents(user: UserContext, from: Date, to: Date, institutionId?: string) {
+    try {
+      this.assertRange(from, to);
+
+      const scopeInstitutionId = this.resolveViewInstitution(user, institutionId);
+      const fromDay = toDayKey(from);
+      const toDay = toDayKey(to);
+
+      const events = await this.findAcademicEvents(scopeInstitutionId, fromDay, toDay);
+      const months =
+        user.role === Role.STUDENT ? await this.getStudentInternshipMonths(user.userId, from, to) : null;
+
+      const adjuster = await this.getDueDateAdjuster(scopeInstitutionId ? [scopeInstitutionId] : [], from, to);
+      const deadlines = this.buildDeadlines(adjuster, scopeInstitutionId, from, to, months);
+
+      return {
+        from,
+        to,
+        institutionId: scopeInstitutionId,
+        policy: adjuster.policy,
+        events,
+        deadlines,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get academic calendar: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  async updateEvent(user: UserContext, id: string, data: UpdateAcademicEventDto) {
+    try {
+      const existing = await this.findManagedEvent(user, id);
+      const institutionId =
+        data.institutionId !== undefined ? this.resolveEventInstitution(user, data.institutionId) : existing.institutionId;
+      const { startDate, endDate } = this.resolveEventDays(
+        data.startDate ?? dateOnlyToDayKey(existing.startDate),
+        data.endDate ?? (data.startDate && !data.endDate ? data.startDate : dateOnlyToDayKey(existing.endDate)),
+      );
+
+      const event = await this.prisma.academicEvent.update({
+        where: { id },
+        data: {
+          ...(data.title !== undefined && { title: data.title.trim() }),
+          ...(data.description !== undefined && { description: data.description?.trim() || null }),
+          ...(data.type !== undefined && { type: data.type }),
+          startDate,
+          endDate,
+          institutionId,
+        },
+        include: academicEventInclude,
+      });
+
+      this.auditService.log({
+        action: AuditAction.ACADEMIC_EVENT_UPDATE,
+        entityType: 'AcademicEvent',
+        entityId: id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `Academic calendar event updated: ${event.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.LOW,
+        institutionId: institutionId ?? undefined,
+        oldValues: {
+          title: existing.title,
+          type: existing.type,
+          startDate: dateOnlyToDayKey(existing.startDate),
+          endDate: dateOnlyToDayKey(existing.endDate),
+          institutionId: existing.institutionId,
+        },
+        newValues: {
+          title: event.title,
+          type: event.type,
+          startDate: dateOnlyToDayKey(event.startDate),
+          endDate: dateOnlyToDayKey(event.endDate),
+          institutionId,
+        },
+      }).catch(() => {});
+
+      await this.invalidateAcademicCalendarCaches();
+
+      return this.toAcademicEventResponse(event);
+    } catch (error) {
+      this.logger.error(`Failed to update academic event ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  async deleteEvent(user: UserContext, id: string) {
+    try {
+      const existing = await this.findManagedEvent(user, id);
+
+      await this.prisma.academicEvent.update({
+        where: { id },
+        data: { isDeleted: true, deletedAt: new Date() },
+      });
+
+      this.auditService.log({
+        action: AuditAction.ACADEMIC_EVENT_DELETE,
+        entityType: 'AcademicEvent',
+        entityId: id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `Academic calendar event deleted: ${existing.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.MEDIUM,
+        institutionId: existing.institutionId ?? undefined,
+        oldValues: { title: existing.title, type: existing.type, institutionId: existing.institutionId },
+      }).catch(() => {});
+
+      await this.invalidateAcademicCalendarCaches();
+
+      return { success: true, message: 'Event deleted successfully' };
+    } catch (error) {
+      this.logger.error(`Failed to delete academic event ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Next events that have not ended yet (dashboard widget)
+   */
+  async getUpcomingEvents(user: UserContext, limit: number = 10) {
+    const institutionId = this.resolveViewInstitution(user);
+    const today = dayKeyToDateOnly(toDayKey(new Date()));
+
+    const events = await this.prisma.academicEvent.findMany({
+      where: { isDeleted: false, endDate: { gte: today }, OR: this.eventScopeFilter(institutionId) },
+      include: academicEventInclude,
+      orderBy: [{ startDate: 'asc' }, { endDate: 'asc' }],
+      take: limit,
+    });
+
+    return events.map((event) => this.toAcademicEventResponse(event));
+  }
+
+  /**
+   * Holiday days (YYYY-MM-DD) of an institution, statewide ones included
+   */
+  async getHolidayDays(institutionId: string | null, fromDay: string, toDay: string): Promise<Set<string>> {
+    const events = await this.findAcademicEvents(institutionId, fromDay, toDay);
+    return collectClosedDays(
+      events.filter((event) => event.type === AcademicEventType.HOLIDAY).map((event) => this.toEventDays(event)),
+      'VISIT',
+    );
+  }
+
+  // ==================== Faculty Visit Calendar ====================
+
+  /**
+   * Visit windows of every mentee, the faculty's visits and same-day conflicts in a date range
+   */
+  async getFacultyVisitCalendar(facultyId: string, from: Date, to: Date) {
+    try {
+      this.assertRange(from, to);
+
+      // Tagged like the faculty visit-log caches so any visit change clears it
+      const cacheKey = `calendar:visits:${facultyId}:${toDayKey(from)}:${toDayKey(to)}`;
+      const cached = await this.cache.get(cacheKey);
+      if (cached) return cached;
+
+      const [windows, visits] = await Promise.all([
+        this.getVisitWindows(facultyId, from, to),
+        this.findFacultyVisits(facultyId, from, to),
+      ]);
+
+      const calendar = {
+        from,
+        to,
+        windows,
+        visits: visits.map((visit) => this.toCalendarVisit(visit)),
+        conflicts: this.detectConflicts(visits),
+      };
+
+      await this.cache.setWithTags(cacheKey, calendar, ['visits', `faculty:${facultyId}`], this.CACHE_TTL);
+
+      return calendar;
+    } catch (error) {
+      this.logger.error(`Failed to get visit calendar for faculty ${facultyId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a visit for a mentee on a day; returns the visit and any conflicts it causes
+   */
+  async scheduleVisit(facultyId: string, data: ScheduleVisitDto) {
+    try {
+      const application = await this.findMenteeApplication(facultyId, data.applicationId);
+      const visitDate = this.validateVisitDay(data.day, application);
+
+      const visitCount = await this.prisma.facultyVisitLog.count({
+        where: { applicationId: application.id, isDeleted: false },
+      });
+
+      const visitType = data.visitType ?? VisitType.PHYSICAL;
+      const adjuster = await this.getDueDateAdjuster([application.student?.institutionId ?? null], visitDate, visitDate);
+      const visit = await this.prisma.facultyVisitLog.create({
+        data: {
+          ...this.buildScheduledVisitData(facultyId, application, data.day, visitType, visitCount + 1, adjuster),
+          ...(data.visitLocation && { visitLocation: data.visitLocation }),
+        },
+        include: { application: { select: visitApplicationSelect } },
+      });
+
+      this.auditService.log({
+        action: AuditAction.VISIT_LOG_CREATE,
+        entityType: 'FacultyVisitLog',
+        entityId: visit.id,
+        userId: facultyId,
+        userRole: Role.TEACHER,
+        description: `Visit scheduled for ${data.day}`,
+        category: AuditCategory.INTERNSHIP_WORKFLOW,
+        severity: AuditSeverity.LOW,
+        newValues: { applicationId: application.id, visitDate, visitType, status: VisitLogStatus.SCHEDULED },
+      }).catch(() => {});
+
+      await this.invalidateVisitCaches(facultyId, application.id);
+
+      return {
+        visit: this.toCalendarVisit(visit),
+        conflicts: await this.getConflictsForVisit(facultyId, visit),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to schedule visit: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule physical visits for several mentees on the same day (one route-planner trip).
+   * All visits are created together or not at all.
+   */
+  async scheduleVisitTrip(facultyId: string, day: string, applicationIds: string[]) {
+    try {
+      const applications = await this.prisma.internshipApplication.findMany({
+        where: { id: { in: applicationIds }, ...this.menteeApplicationWhere(facultyId) },
+        select: menteeApplicationSelect,
+      });
+
+      if (applications.length !== applicationIds.length) {
+        throw new NotFoundException('One or more applications were not found or you are not the assigned mentor');
+      }
+      applications.forEach((application) => this.validateVisitDay(day, application));
+
+      const visitCounts = await this.prisma.facultyVisitLog.groupBy({
+        by: ['applicationId'],
+        where: { applicationId: { in: applicationIds }, isDeleted: false },
+        _count: { _all: true },
+      });
+      const countByApplication = new Map(visitCounts.map((row) => [row.applicationId, row._count._all]));
+      const tripDate = dayKeyToDate(day);
+      const adjuster = await this.getDueDateAdjuster(
+        applications.map((application) => application.student?.institutionId ?? null),
+        tripDate,
+        tripDate,
+      );
+
+      const visits = await this.prisma.$transaction(
+        applications.map((application) =>
+          this.prisma.facultyVisitLog.create({
+            data: this.buildScheduledVisitData(
+              facultyId,
+              application,
+              day,
+              VisitType.PHYSICAL,
+              (countByApplication.get(application.id) ?? 0) + 1,
+              adjuster,
+            ),
+            include: { application: { select: visitApplicationSelect } },
+          }),
+        ),
+      );
+
+      this.auditService.log({
+        action: AuditAction.VISIT_LOG_CREATE,
+        entityType: 'FacultyVisitLog',
+        userId: facultyId,
+        userRole: Role.TEACHER,
+        description: `Visit trip with ${visits.length} student(s) scheduled for ${day}`,
+        category: AuditCategory.INTERNSHIP_WORKFLOW,
+        severity: AuditSeverity.LOW,
+        newValues: { day, visitLogIds: visits.map((visit) => visit.id), applicationIds },
+      }).catch(() => {});
+
+      await Promise.all(applicationIds.map((applicationId) => this.invalidateVisitCaches(facultyId, applicationId)));
+
+      const tripVisitIds = new Set(visits.map((visit) => visit.id));
+      const sameDay = await this.findFacultyVisitsOnDay(facultyId, visits[0].visitDate as Date);
+
+      return {
+        visits: visits.map((visit) => this.toCalendarVisit(visit)),
+        // Conflicts between this trip and other visits already planned that day
+        conflicts: this.detectConflicts(sameDay).filter(
+          (conflict) => conflict.visitIds.some((id) => tripVisitIds.has(id)),
+        ),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to schedule visit trip: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a scheduled visit to another day (drag and drop on the calendar)
+   */
+  async rescheduleVisit(facultyId: string, visitId: string, data: RescheduleVisitDto) {
+    try {
+      const existing = await this.findScheduledVisit(facultyId, visitId);
+      const application = await this.findMenteeApplication(facultyId, existing.applicationId);
+      const visitDate = this.validateVisitDay(data.day, application);
+      const [year, month] = data.day.split('-').map(Number);
+      const institutionId = application.student?.institutionId ?? null;
+      const adjuster = await this.getDueDateAdjuster([institutionId], visitDate, visitDate);
+
+      const visit = await this.prisma.facultyVisitLog.update({
+        where: { id: visitId },
+        data: {
+          visitDate,
+          visitMonth: month,
+          visitYear: year,
+          requiredByDate: adjuster.shift('VISIT', getVisitDueDate(year, month), institutionId).dueDate,
+          ...(data.visitType && { visitType: data.visitType }),
+        },
+        include: { application: { select: visitApplicationSelect } },
+      });
+
+      this.auditService.log({
+        action: AuditAction.VISIT_LOG_UPDATE,
+        entityType: 'FacultyVisitLog',
+        entityId: visitId,
+        userId: facultyId,
+        userRole: Role.TEACHER,
+        description: `Scheduled visit moved to ${data.day}`,
+        category: AuditCategory.INTERNSHIP_WORKFLOW,
+        severity: AuditSeverity.LOW,
+        oldValues: { visitDate: existing.visitDate, visitType: existing.visitType },
+        newValues: { visitDate, visitType: visit.visitType },
+      }).catch(() => {});
+
+      await this.invalidateVisitCaches(facultyId, existing.applicationId);
+
+      return {
+        visit: this.toCalendarVisit(visit),
+        conflicts: await this.getConflictsForVisit(facultyId, visit),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to reschedule visit ${visitId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a visit that has not happened yet
+   */
+  async cancelScheduledVisit(facultyId: string, visitId: string) {
+    try {
+      const existing = await this.findScheduledVisit(facultyId, visitId);
+
+      const visit = await this.prisma.facultyVisitLog.update({
+        where: { id: visitId },
+        data: { status: VisitLogStatus.CANCELLED },
+        include: { application: { select: visitApplicationSelect } },
+      });
+
+      this.auditService.log({
+        action: AuditAction.VISIT_LOG_UPDATE,
+        entityType: 'FacultyVisitLog',
+        entityId: visitId,
+        userId: facultyId,
+        userRole: Role.TEACHER,
+        description: 'Scheduled visit cancelled',
+        category: AuditCategory.INTERNSHIP_WORKFLOW,
+        severity: AuditSeverity.LOW,
+        oldValues: { status: existing.status },
+        newValues: { status: VisitLogStatus.CANCELLED },
+      }).catch(() => {});
+
+      await this.invalidateVisitCaches(facultyId, existing.applicationId);
+
+      return this.toCalendarVisit(visit);
+    } catch (error) {
+      this.logger.error(`Failed to cancel visit ${visitId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Faculty visit schedule for a date range as an iCalendar document
+   */
+  async exportFacultyVisitCalendar(facultyId: string, from: Date, to: Date): Promise<string> {
+    this.assertRange(from, to);
+    return this.buildFacultyICalendar(facultyId, from, to);
+  }
+
+  // ==================== Calendar Feed ====================
+
+  /**
+   * Issue a new personal feed token; any previous subscription URL stops working.
+   * Only the hash is stored, so the token is returned this once.
+   */
+  async rotateCalendarFeedToken(userId: string) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: { calendarFeedTokenHash: this.hashFeedToken(token) },
+    });
+
+    this.logger.log(`Calendar feed token rotated for user ${userId}`);
+
+    return { token, feedPath: `calendar/feed/${token}.ics` };
+  }
+
+  /**
+   * Disable the personal feed
+   */
+  async revokeCalendarFeedToken(userId: string) {
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: { calendarFeedTokenHash: null },
+    });
+
+    return { success: true };
+  }
+
+  async hasCalendarFeed(userId: string) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { calendarFeedTokenHash: true },
+    });
+
+    return { enabled: !!user?.calendarFeedTokenHash };
   }
 
-  async getEvents(institutionId?: string, dateRange?: DateRange) {
-    return [];
+  /**
+   * Render the iCalendar feed behind a subscription token
+   */
+  async getCalendarFeed(token: string): Promise<string> {
+    const user = await this.prisma.user.findUnique({
+      where: { calendarFeedTokenHash: this.hashFeedToken(token) },
+      select: { id: true, name: true, role: true, active: true, institutionId: true },
+    });
+
+    if (!user || !user.active) {
+      throw new NotFoundException('Calendar feed not found');
+    }
+
+    const now = Date.now();
+    const from = new Date(now - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const to = new Date(now + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000);
+
+    const context: UserContext = { userId: user.id, role: user.role, institutionId: user.institutionId ?? undefined };
+    const events = await this.getAcademicICalEvents(context, from, to);
+
+    if (user.role === Role.TEACHER) {
+      // Per-mentee visit deadlines replace the generic monthly visit deadline
+      const visitEvents = await this.getFacultyVisitICalEvents(user.id, from, to);
+      return buildICalendar({
+        name: `${user.name} - Calendar`,
+        description: 'Academic calendar, planned internship visits and deadlines',
+        timezone: 'Asia/Kolkata',
+        events: [...events.filter((event) => !event.uid.startsWith('deadline-VISIT_DUE')), ...visitEvents],
+      });
+    }
+
+    return buildICalendar({
+      name: `${user.name} - Calendar`,
+      description: 'Academic calendar and deadlines',
+      timezone: 'Asia/Kolkata',
+      events,
+    });
+  }
+
+  /**
+   * Academic calendar (events and deadlines) for a date range as an iCalendar document
+   */
+  async exportAcademicCalendar(user: UserContext, from: Date, to: Date, institutionId?: string): Promise<string> {
+    const events = await this.getAcademicICalEvents(user, from, to, institutionId);
+
+    return buildICalendar({
+      name: 'Academic Calendar',
+      description: 'Statewide and institution academic events with report and visit deadlines',
+      timezone: 'Asia/Kolkata',
+      events,
+    });
+  }
+
+  // ==================== Helpers ====================
+
+  private hashFeedToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  private assertRange(from: Date, to: Date) {
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new BadRequestException('Invalid date range');
+    }
+    if (to < from) {
+      throw new BadRequestException('End date must be after start date');
+    }
+    if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestException(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+  }
+
+  private menteeApplicationWhere(facultyId: string): Prisma.InternshipApplicationWhereInput {
+    return {
+      isActive: true,
+      status: { in: ACTIVE_APPLICATION_STATUSES },
+      OR: [
+        { mentorId: facultyId },
+        { student: { mentorAssignments: { some: { mentorId: facultyId, isActive: true } } } },
+      ],
+    };
+  }
+
+  private async findMenteeApplication(facultyId: string, applicationId: string) {
+    const application = await this.prisma.internshipApplication.findFirst({
+      where: { id: applicationId, ...this.menteeApplicationWhere(facultyId) },
+      select: menteeApplicationSelect,
+    });
+
+    if (!application) {
+      throw new NotFoundException('Application not found or you are not the assigned mentor');
+    }
+
+    return application;
+  }
+
+  /**
+   * Fields of a new SCHEDULED visit log; the day must already be validated
+   */
+  private buildScheduledVisitData(
+    facultyId: string,
+    application: MenteeApplication,
+    day: string,
+    visitType: VisitType,
+    visitNumber: number,
+    adjuster: DueDateAdjuster,
+  ): Prisma.FacultyVisitLogUncheckedCreateInput {
+    const [year, month] = day.split('-').map(Number);
+
+    return {
+      applicationId: application.id,
+      facultyId,
+      visitNumber,
+      visitDate: dayKeyToDate(day),
+      visitType,
+      status: VisitLogStatus.SCHEDULED,
+      visitLocation:
+        visitType === VisitType.PHYSICAL ? application.companyAddress || application.company?.address || null : null,
+      visitMonth: month,
+      visitYear: year,
+      requiredByDate: adjuster.shift('VISIT', getVisitDueDate(year, month), application.student?.institutionId).dueDate,
+      isMonthlyVisit: true,
+    };
+  }
+
+  private async findScheduledVisit(facultyId: string, visitId: string) {
+    const visit = await this.prisma.facultyVisitLog.findUnique({ where: { id: visitId } });
+
+    if (!visit || visit.isDeleted || visit.facultyId !== facultyId) {
+      throw new NotFoundException('Visit not found');
+    }
+    if (visit.status !== VisitLogStatus.SCHEDULED) {
+      throw new BadRequestException('Only scheduled visits can be moved or cancelled');
+    }
+
+    return visit;
+  }
+
+  /**
+   * A planned day must be today or later and inside the internship period
+   */
+  private validateVisitDay(
+    day: string,
+    application: { startDate: Date | null; endDate: Date | null },
+  ): Date {
+    const visitDate = dayKeyToDate(day);
+
+    if (day < toDayKey(new Date())) {
+      throw new BadRequestException('Visits cannot be scheduled in the past');
+    }
+    if (application.startDate && day < toDayKey(application.startDate)) {
+      throw new BadRequestException(
+        `Visit date cannot be before internship start date (${toDayKey(application.startDate)})`,
+      );
+    }
+    if (application.endDate && day > toDayKey(application.endDate)) {
+      throw new BadRequestException(
+        `Visit date cannot be after internship end date (${toDayKey(application.endDate)})`,
+      );
+    }
+
+    return visitDate;
+  }
+
+  private async findFacultyVisits(facultyId: string, from: Date, to: Date): Promise<VisitWithApplication[]> {
+    return this.prisma.facultyVisitLog.findMany({
+      where: {
+        facultyId,
+        isDeleted: false,
+        visitDate: { gte: from, lte: to },
+      },
+      include: { application: { select: visitApplicationSelect } },
+      orderBy: { visitDate: 'asc' },
+    });
+  }
+
+  async findFacultyVisitsOnDay(facultyId: string, date: Date): Promise<VisitWithApplication[]> {
+    const dayStart = dayKeyToDate(toDayKey(date), 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+    return this.findFacultyVisits(facultyId, dayStart, dayEnd);
+  }
+
+  /**
+   * One window per included internship month of each mentee, overlapping the range
+   */
+  async getVisitWindows(facultyId: string, from: Date, to: Date): Promise<VisitWindow[]> {
+    const applications = await this.prisma.internshipApplication.findMany({
+      where: {
+        ...this.menteeApplicationWhere(facultyId),
+        startDate: { not: null, lte: to },
+        endDate: { not: null, gte: from },
+      },
+      select: {
+        id: true,
+        studentId: true,
+        startDate: true,
+        endDate: true,
+        companyName: true,
+        company: { select: { name: true } },
+        student: { select: { institutionId: true, user: { select: { name: true } } } },
+        facultyVisitLogs: {
+          where: { isDeleted: false },
+          select: { id: true, status: true, visitMonth: true, visitYear: true, visitDate: true },
+        },
+      },
+    });
+
+    const now = new Date();
+    const windows: VisitWindow[] = [];
+    const adjuster = await this.getDueDateAdjuster(
+      applications.map((application) => application.student?.institutionId ?? null),
+      from,
+      to,
+    );
+
+    for (const application of applications) {
+      const cycles = calculateExpectedMonths(application.startDate as Date, application.endDate as Date);
+
+      for (const cycle of cycles) {
+        const monthStart = new Date(cycle.year, cycle.monthNumber - 1, 1);
+        const windowStart =
+          application.startDate && application.startDate > monthStart ? application.startDate : monthStart;
+        const due = adjuster.shift('VISIT', cycle.visitDueDate, application.student?.institutionId);
+        if (due.dueDate < from || windowStart > to) continue;
+
+        const visits = application.facultyVisitLogs.filter((visit) => {
+          if (visit.visitMonth && visit.visitYear) {
+            return visit.visitMonth === cycle.monthNumber && visit.visitYear === cycle.year;
+          }
+          return (
+            !!visit.visitDate &&
+            visit.visitDate.getMonth() + 1 === cycle.monthNumber &&
+            visit.visitDate.getFullYear() === cycle.year
+          );
+        });
+
+        windows.push({
+          applicationId: application.id,
+          studentId: application.studentId,
+          studentName: application.student?.user?.name ?? null,
+          companyName: application.company?.name || application.companyName || null,
+          month: cycle.monthNumber,
+          year: cycle.year,
+          monthName: cycle.monthName,
+          windowStart,
+          dueDate: due.dueDate,
+          dueDay: due.day,
+          state: getVisitWindowState(
+            visits.map((visit) => visit.status),
+            due.dueDate,
+            now,
+          ),
+          visitIds: visits.map((visit) => visit.id),
+        });
+      }
+    }
+
+    return windows.sort((a, b) => a.dueDate.getTime() - b.dueDate.getTime());
+  }
+
+  private toPlannedVisit(visit: VisitWithApplication): PlannedVisit {
+    const application = visit.application;
+    const lastFix = application.facultyVisitLogs[0];
+
+    return {
+      id: visit.id,
+      visitDate: visit.visitDate as Date,
+      visitType: visit.visitType,
+      siteKey: application.companyId || normalizeCompanyName(application.companyName) || null,
+      latitude: visit.latitude ?? lastFix?.latitude ?? null,
+      longitude: visit.longitude ?? lastFix?.longitude ?? null,
+      city: application.company?.city ?? null,
+      pinCode: application.company?.pinCode ?? null,
+    };
+  }
+
+  private detectConflicts(visits: VisitWithApplication[]): VisitConflict[] {
+    return findSameDayVisitConflicts(
+      visits
+        .filter((visit) => visit.visitDate && visit.status !== VisitLogStatus.CANCELLED)
+        .map((visit) => this.toPlannedVisit(visit)),
+    );
+  }
+
+  private async getConflictsForVisit(facultyId: string, visit: VisitWithApplication): Promise<VisitConflict[]> {
+    if (!visit.visitDate || visit.visitType !== VisitType.PHYSICAL) return [];
+
+    const sameDay = await this.findFacultyVisitsOnDay(facultyId, visit.visitDate);
+
+    return this.detectConflicts(sameDay).filter((conflict) => conflict.visitIds.includes(visit.id));
   }
 
-  async updateEvent(id: string, data: UpdateEventDto) {
-    throw new NotFoundException('Calendar feature has been removed');
+  private toCalendarVisit(visit: VisitWithApplication): CalendarVisit {
+    return {
+      id: visit.id,
+      applicationId: visit.applicationId,
+      studentName: visit.application.student?.user?.name ?? null,
+      companyName: visit.application.company?.name || visit.application.companyName || null,
+      visitDate: visit.visitDate,
+      day: visit.visitDate ? toDayKey(visit.visitDate) : null,
+      visitType: visit.visitType,
+      status: visit.status,
+      visitLocation: visit.visitLocation,
+    };
   }
 
-  async deleteEvent(id: string) {
-    throw new NotFoundException('Calendar feature has been removed');
+  private async buildFacultyICalendar(facultyId: string, from: Date, to: Date): Promise<string> {
+    const [events, faculty] = await Promise.all([
+      this.getFacultyVisitICalEvents(facultyId, from, to),
+      this.prisma.user.findUnique({ where: { id: facultyId }, select: { name: true } }),
+    ]);
+
+    return buildICalendar({
+      name: `${faculty?.name ?? 'Faculty'} - Visit Schedule`,
+      description: 'Planned internship visits and monthly visit deadlines',
+      timezone: 'Asia/Kolkata',
+      events,
+    });
+  }
+
+  private async getFacultyVisitICalEvents(facultyId: string, from: Date, to: Date): Promise<ICalEvent[]> {
+    const [windows, visits] = await Promise.all([
+      this.getVisitWindows(facultyId, from, to),
+      this.findFacultyVisits(facultyId, from, to),
+    ]);
+
+    const events: ICalEvent[] = [];
+
+    for (const visit of visits) {
+      if (!visit.visitDate) continue;
+      const entry = this.toCalendarVisit(visit);
+      const typeLabel = visit.visitType.charAt(0) + visit.visitType.slice(1).toLowerCase();
+
+      events.push({
+        uid: `visit-${visit.id}@cms`,
+        summary: `${typeLabel} visit: ${entry.studentName ?? 'Student'}${entry.companyName ? ` (${entry.companyName})` : ''}`,
+        description: `Visit #${visit.visitNumber ?? '-'} - ${visit.status}`,
+        location: visit.visitLocation || visit.application.companyAddress || visit.application.company?.address,
+        start: visit.visitDate,
+        end: new Date(visit.visitDate.getTime() + VISIT_DURATION_MINUTES * 60 * 1000),
+        status:
+          visit.status === VisitLogStatus.CANCELLED
+            ? 'CANCELLED'
+            : visit.status === VisitLogStatus.COMPLETED
+              ? 'CONFIRMED'
+              : 'TENTATIVE',
+        lastModified: visit.updatedAt,
+        categories: ['Faculty Visit'],
+      });
+    }
+
+    for (const window of windows) {
+      if (window.state === 'COMPLETED') continue;
+
+      events.push({
+        uid: `visit-due-${window.applicationId}-${window.year}-${window.month}@cms`,
+        summary: `Visit due: ${window.studentName ?? 'Student'} - ${window.monthName} ${window.year}`,
+        description: window.companyName ? `Company: ${window.companyName}` : null,
+        allDay: true,
+        startDay: window.dueDay,
+        categories: ['Visit Deadline'],
+      });
+    }
+
+    return events;
+  }
+
+  private async getAcademicICalEvents(
+    user: UserContext,
+    from: Date,
+    to: Date,
+    institutionId?: string,
+  ): Promise<ICalEvent[]> {
+    const calendar = await this.getEvents(user, from, to, institutionId);
+
+    const events: ICalEvent[] = calendar.events.map((event) => ({
+      uid: `academic-event-${event.id}@cms`,
+      summary: `${event.typeLabel}: ${event.title}`,
+      description: event.description,
+      allDay: true,
+      startDay: event.startDate,
+      endDay: event.endDate,
+      lastModified: new Date(event.updatedAt),
+      categories: [event.typeLabel],
+    }));
+
+    for (const deadline of calendar.deadlines) {
+      const label = deadline.type === 'REPORT_DUE' ? 'Monthly report due' : 'Faculty visit due';
+      events.push({
+        uid: `deadline-${deadline.type}-${deadline.year}-${deadline.month}@cms`,
+        summary: `${label} - ${deadline.monthName} ${deadline.year}`,
+        description: deadline.shiftedBy
+          ? `Moved from ${deadline.originalDay} because of a holiday or blackout`
+          : null,
+        allDay: true,
+        startDay: deadline.day,
+        categories: ['Deadline'],
+      });
+    }
+
+    return events;
+  }
+
+  // ==================== Academic Calendar Helpers ====================
+
+  private canManageEvent(user: UserContext, event: Pick<AcademicEvent, 'institutionId'>): boolean {
+    if (user.role === Role.STATE_DIRECTORATE || user.role === Role.SYSTEM_ADMIN) return true;
+    return user.role === Role.PRINCIPAL && !!user.institutionId && event.institutionId === user.institutionId;
+  }
+
+  private async findManagedEvent(user: UserContext, id: string) {
+    const event = await this.prisma.academicEvent.findFirst({ where: { id, isDeleted: false } });
+    if (!event) {
+      throw new NotFoundException('Event not found');
+    }
+    if (!this.canManageEvent(user, event)) {
+      throw new ForbiddenException('You can only manage events of your institution');
+    }
+    return event;
+  }
+
+  /**
+   * Institution an event is created for; null means statewide
+   */
+  private resolveEventInstitution(user: UserContext, requested?: string | null): string | null {
+    if (user.role === Role.PRINCIPAL) {
+      if (!user.institutionId) {
+        throw new ForbiddenException('Principal is not linked to an institution');
+      }
+      if (requested && requested !== user.institutionId) {
+        throw new ForbiddenException('Principals can only add events for their own institution');
+      }
+      return user.institutionId;
+    }
+    if (user.role === Role.STATE_DIRECTORATE || user.role === Role.SYSTEM_ADMIN) {
+      return requested || null;
+    }
+    throw new ForbiddenException('You are not allowed to manage the academic calendar');
+  }
+
+  /**
+   * Institution whose events are shown next to the statewide ones
+   */
+  private resolveViewInstitution(user: UserContext, requested?: string): string | null {
+    if (user.role === Role.STATE_DIRECTORATE || user.role === Role.SYSTEM_ADMIN) {
+      return requested || null;
+    }
+    return user.institutionId ?? null;
+  }
+
+  private resolveEventDays(startDay: string, endDay: string) {
+    const startDate = dayKeyToDateOnly(startDay);
+    const endDate = dayKeyToDateOnly(endDay);
+
+    if (isNaN(startDate.getTime()) || dateOnlyToDayKey(startDate) !== startDay) {
+      throw new BadRequestException(`Invalid start date: ${startDay}`);
+    }
+    if (isNaN(endDate.getTime()) || dateOnlyToDayKey(endDate) !== endDay) {
+      throw new BadRequestException(`Invalid end date: ${endDay}`);
+    }
+    if (endDay < startDay) {
+      throw new BadRequestException('End date must be on or after the start date');
+    }
+    if (addDaysToDayKey(startDay, MAX_EVENT_DAYS) <= endDay) {
+      throw new BadRequestException(`An event cannot be longer than ${MAX_EVENT_DAYS} days`);
+    }
+
+    return { startDate, endDate };
+  }
+
+  private eventScopeFilter(institutionId: string | null): Prisma.AcademicEventWhereInput[] {
+    return [{ institutionId: null }, ...(institutionId ? [{ institutionId }] : [])];
+  }
+
+  /**
+   * Statewide and institution events overlapping a range of days
+   */
+  private async findAcademicEvents(
+    institutionId: string | null,
+    fromDay: string,
+    toDay: string,
+  ): Promise<AcademicEventResponse[]> {
+    return this.cache.getOrSet(
+      `academic-calendar:${institutionId ?? 'state'}:${fromDay}:${toDay}`,
+      async () => {
+        const events = await this.prisma.academicEvent.findMany({
+          where: {
+            isDeleted: false,
+            startDate: { lte: dayKeyToDateOnly(toDay) },
+            endDate: { gte: dayKeyToDateOnly(fromDay) },
+            OR: this.eventScopeFilter(institutionId),
+          },
+          include: academicEventInclude,
+          orderBy: [{ startDate: 'asc' }, { endDate: 'asc' }],
+        });
+        return events.map((event) => this.toAcademicEventResponse(event));
+      },
+      this.CACHE_TTL,
+    );
+  }
+
+  private toAcademicEventResponse(event: AcademicEventWithRelations): AcademicEventResponse {
+    return {
+      id: event.id,
+      title: event.title,
+      description: event.description,
+      type: event.type,
+      typeLabel: ACADEMIC_EVENT_LABELS[event.type],
+      startDate: dateOnlyToDayKey(event.startDate),
+      endDate: dateOnlyToDayKey(event.endDate),
+      isStatewide: !event.institutionId,
+      institutionId: event.institutionId,
+      institution: event.institution,
+      createdBy: event.createdBy,
+      updatedAt: event.updatedAt,
+    };
+  }
+
+  private toEventDays(event: AcademicEventResponse): AcademicEventDays {
+    return { type: event.type, startDay: event.startDate, endDay: event.endDate };
+  }
+
+  /**
+   * Applies the configured holiday shift; holidays and blackouts are loaded once for
+   * every institution involved, with a margin so due dates next to the range are covered
+   */
+  private async getDueDateAdjuster(
+    institutionIds: (string | null)[],
+    from: Date,
+    to: Date,
+  ): Promise<DueDateAdjuster> {
+    const policy = normalizeDueDateShiftPolicy(await this.systemConfigService.get('calendar.dueDateHolidayShift'));
+    if (policy === 'NONE') {
+      return { policy, shift: (_kind, dueDate) => ({ dueDate, day: localDayKey(dueDate), shiftedBy: 0 }) };
+    }
+
+    const ids = [...new Set(institutionIds.filter((id): id is string => !!id))];
+    const fromDay = addDaysToDayKey(toDayKey(from), -DUE_DATE_LOOKAROUND_DAYS);
+    const toDay = addDaysToDayKey(toDayKey(to), DUE_DATE_LOOKAROUND_DAYS);
+
+    const events = await this.prisma.academicEvent.findMany({
+      where: {
+        isDeleted: false,
+        type: { in: CLOSING_EVENT_TYPES },
+        startDate: { lte: dayKeyToDateOnly(toDay) },
+        endDate: { gte: dayKeyToDateOnly(fromDay) },
+        OR: [{ institutionId: null }, ...(ids.length ? [{ institutionId: { in: ids } }] : [])],
+      },
+      select: { type: true, startDate: true, endDate: true, institutionId: true },
+    });
+
+    const closedDays = new Map<string, Set<string>>();
+
+    return {
+      policy,
+      shift: (kind, dueDate, institutionId) => {
+        const key = `${kind}:${institutionId ?? ''}`;
+        if (!closedDays.has(key)) {
+          const applicable = events
+            .filter((event) => !event.institutionId || event.institutionId === institutionId)
+            .map((event) => ({
+              type: event.type,
+              startDay: dateOnlyToDayKey(event.startDate),
+              endDay: dateOnlyToDayKey(event.endDate),
+            }));
+          closedDays.set(key, collectClosedDays(applicable, kind));
+        }
+        return shiftDueDate(dueDate, closedDays.get(key) as Set<string>, policy);
+      },
+    };
+  }
+
+  /**
+   * Monthly report and visit deadlines due inside the range.
+   * With a month filter only those months (YYYY-M) and report deadlines are included.
+   */
+  private buildDeadlines(
+    adjuster: DueDateAdjuster,
+    institutionId: string | null,
+    from: Date,
+    to: Date,
+    months: Set<string> | null,
+  ): AcademicDeadline[] {
+    const deadlines: AcademicDeadline[] = [];
+    const kinds: AcademicDeadlineKind[] = months ? ['REPORT'] : ['REPORT', 'VISIT'];
+
+    // Reports of the month before the range are due inside it
+    const cursor = new Date(from.getFullYear(), from.getMonth() - 2, 1);
+    const last = new Date(to.getFullYear(), to.getMonth() + 1, 1);
+
+    for (; cursor <= last; cursor.setMonth(cursor.getMonth() + 1)) {
+      const year = cursor.getFullYear();
+      const month = cursor.getMonth() + 1;
+      if (months && !months.has(`${year}-${month}`)) continue;
+
+      for (const kind of kinds) {
+        const original = kind === 'REPORT' ? getReportDueDate(year, month) : getVisitDueDate(year, month);
+        const due = adjuster.shift(kind, original, institutionId);
+        if (due.dueDate < from || due.dueDate > to) continue;
+
+        deadlines.push({
+          type: kind === 'REPORT' ? 'REPORT_DUE' : 'VISIT_DUE',
+          month,
+          year,
+          monthName: getMonthName(month),
+          dueDate: due.dueDate,
+          originalDay: localDayKey(original),
+          day: due.day,
+          shiftedBy: due.shiftedBy,
+        });
+      }
+    }
+
+    return deadlines.sort((a, b) => a.dueDate.getTime() - b.dueDate.getTime());
+  }
+
+  /**
+   * Included internship months (YYYY-M) of a student's active internships
+   */
+  private async getStudentInternshipMonths(userId: string, from: Date, to: Date): Promise<Set<string>> {
+    const applications = await this.prisma.internshipApplication.findMany({
+      where: {
+        student: { userId },
+        isActive: true,
+        status: { in: ACTIVE_APPLICATION_STATUSES },
+        startDate: { not: null, lte: to },
+        endDate: { not: null },
+      },
+      select: { startDate: true, endDate: true },
+    });
+
+    const months = new Set<string>();
+    for (const application of applications) {
+      calculateExpectedMonths(application.startDate as Date, application.endDate as Date).forEach((cycle) =>
+        months.add(`${cycle.year}-${cycle.monthNumber}`),
+      );
+    }
+    return months;
   }
 
-  async getUpcomingEvents(limit: number = 10) {
-    return [];
+  private async invalidateAcademicCalendarCaches() {
+    // Visit calendars carry shifted due dates
+    await Promise.all([this.cache.invalidate('academic-calendar:*'), this.cache.invalidateByTags(['visits'])]);
   }
 
-  async getEventsByType(eventType: string) {
-    return [];
+  private async invalidateVisitCaches(facultyId: string, applicationId: string) {
+    await Promise.all([
+      this.cache.invalidateByTags(['visits', `application:${applicationId}`, `faculty:${facultyId}`]),
+      this.cache.del(`visits:faculty:${facultyId}`),
+      this.cache.del(`visits:application:${applicationId}`),
+    ]);
   }
 }
@@ -0,0 +1,69 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsDateString,
+  IsInt,
+  Matches,
+  MaxLength,
+  Min,
+  Max,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+import { PartialType } from '@nestjs/swagger';
+import { AcademicEventType } from '../../../../generated/prisma/client';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class CreateAcademicEventDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(200, { message: 'Title must not exceed 200 characters' })
+  title: string;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(2000, { message: 'Description must not exceed 2000 characters' })
+  description?: string;
+
+  @IsEnum(AcademicEventType)
+  type: AcademicEventType;
+
+  @Matches(DAY_PATTERN, { message: 'startDate must be in YYYY-MM-DD format' })
+  startDate: string;
+
+  // Inclusive; defaults to startDate for single-day events
+  @Matches(DAY_PATTERN, { message: 'endDate must be in YYYY-MM-DD format' })
+  @IsOptional()
+  endDate?: string;
+
+  // State only; principals always create events for their own institution
+  @IsString()
+  @IsOptional()
+  institutionId?: string;
+}
+
+export class UpdateAcademicEventDto extends PartialType(CreateAcademicEventDto) {}
+
+export class AcademicCalendarQueryDto {
+  @IsDateString()
+  from: string;
+
+  @IsDateString()
+  to: string;
+
+  // State only: include this institution's events next to the statewide ones
+  @IsString()
+  @IsOptional()
+  institutionId?: string;
+}
+
+export class UpcomingAcademicEventsQueryDto {
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(50)
+  @IsOptional()
+  limit?: number;
+}
@@ -0,0 +1,3 @@
+export * from './visit-calendar.dto';
+export * from './visit-trip.dto';
+export * from './academic-calendar.dto';
@@ -0,0 +1,47 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsDateString,
+  Matches,
+  MaxLength,
+} from 'class-validator';
+import { VisitType } from '../../../../generated/prisma/client';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class VisitCalendarQueryDto {
+  @IsDateString()
+  from: string;
+
+  @IsDateString()
+  to: string;
+}
+
+export class ScheduleVisitDto {
+  @IsString()
+  @IsNotEmpty()
+  applicationId: string;
+
+  @Matches(DAY_PATTERN, { message: 'day must be in YYYY-MM-DD format' })
+  day: string;
+
+  @IsEnum(VisitType)
+  @IsOptional()
+  visitType?: VisitType;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Visit location must not exceed 500 characters' })
+  visitLocation?: string;
+}
+
+export class RescheduleVisitDto {
+  @Matches(DAY_PATTERN, { message: 'day must be in YYYY-MM-DD format' })
+  day: string;
+
+  @IsEnum(VisitType)
+  @IsOptional()
+  visitType?: VisitType;
+}
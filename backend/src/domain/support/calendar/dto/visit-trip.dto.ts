@@ -0,0 +1,38 @@
+import {
+  IsString,
+  IsInt,
+  IsArray,
+  ArrayMinSize,
+  ArrayMaxSize,
+  ArrayUnique,
+  Matches,
+  Min,
+  Max,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+
+export class VisitTripPlanQueryDto {
+  @Type(() => Number)
+  @IsInt()
+  @Min(2000)
+  @Max(2100)
+  year: number;
+
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(12)
+  month: number;
+}
+
+export class ScheduleVisitTripDto {
+  @Matches(/^\d{4}-\d{2}-\d{2}$/, { message: 'day must be in YYYY-MM-DD format' })
+  day: string;
+
+  @IsArray()
+  @ArrayMinSize(1, { message: 'A trip needs at least one student' })
+  @ArrayMaxSize(20, { message: 'A trip can include at most 20 students' })
+  @ArrayUnique()
+  @IsString({ each: true })
+  applicationIds: string[];
+}
@@ -0,0 +1,83 @@
+import { buildICalendar, escapeICalText, foldICalLine, formatICalDateTime } from './ical.util';
+
+describe('escapeICalText', () => {
+  it('escapes separators, backslashes and newlines', () => {
+    expect(escapeICalText('Visit; Acme, Ltd\\Unit 2\nGate 3')).toBe('Visit\\; Acme\\, Ltd\\\\Unit 2\\nGate 3');
+  });
+});
+
+describe('foldICalLine', () => {
+  it('leaves short lines untouched', () => {
+    expect(foldICalLine('SUMMARY:Visit')).toBe('SUMMARY:Visit');
+  });
+
+  it('folds long lines at 75 octets with a leading space on continuations', () => {
+    const folded = foldICalLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part) => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    parts.slice(1).forEach((part) => expect(part.startsWith(' ')).toBe(true));
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'ਪ'.repeat(40)}`;
+    const parts = foldICalLine(line).split('\r\n');
+    parts.forEach((part) => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+});
+
+describe('buildICalendar', () => {
+  const now = new Date('2026-03-01T06:30:00.000Z');
+
+  it('formats UTC date-times without separators', () => {
+    expect(formatICalDateTime(now)).toBe('20260301T063000Z');
+  });
+
+  it('serializes timed and all-day events with CRLF line endings', () => {
+    const ics = buildICalendar(
+      {
+        name: 'Visit Schedule',
+        events: [
+          {
+            uid: 'visit-1@cms',
+            summary: 'Visit: Asha, Acme',
+            start: new Date('2026-03-10T04:30:00.000Z'),
+            end: new Date('2026-03-10T05:30:00.000Z'),
+            location: 'Ludhiana',
+            status: 'CONFIRMED',
+          },
+          { uid: 'window-1@cms', summary: 'Visit due', allDay: true, startDay: '2026-03-31' },
+        ],
+      },
+      now,
+    );
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    const lines = ics.trimEnd().split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Visit Schedule');
+    expect(lines).toContain('DTSTART:20260310T043000Z');
+    expect(lines).toContain('DTEND:20260310T053000Z');
+    expect(lines).toContain('SUMMARY:Visit: Asha\\, Acme');
+    expect(lines).toContain('DTSTAMP:20260301T063000Z');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20260331');
+    // DTEND is exclusive for all-day events
+    expect(lines).toContain('DTEND;VALUE=DATE:20260401');
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+  });
+
+  it('spans multi-day all-day events up to the inclusive end day', () => {
+    const ics = buildICalendar(
+      { name: 'Calendar', events: [{ uid: 'a', summary: 'Break', allDay: true, startDay: '2026-12-30', endDay: '2026-12-31' }] },
+      now,
+    );
+    expect(ics).toContain('DTEND;VALUE=DATE:20270101');
+  });
+
+  it('rejects events without a start', () => {
+    expect(() => buildICalendar({ name: 'x', events: [{ uid: 'a', summary: 'b' }] }, now)).toThrow('missing start');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * iCalendar Utility
+ *
+ * Builds RFC 5545 calendars for subscription feeds (faculty visit schedules and the
+ * academic calendar). Handles text escaping, 75-octet line folding and CRLF line
+ * endings so the output is accepted by Google Calendar, Outlook and Apple Calendar.
+ */
+
+export interface ICalEvent {
+  uid: string;
+  summary: string;
+  description?: string | null;
+  location?: string | null;
+  url?: string | null;
+  /** All-day events use startDay (YYYY-MM-DD) and an optional inclusive endDay */
+  allDay?: boolean;
+  startDay?: string;
+  endDay?: string;
+  /** Timed events use start and end */
+  start?: Date;
+  end?: Date;
+  status?: 'TENTATIVE' | 'CONFIRMED' | 'CANCELLED';
+  lastModified?: Date;
+  categories?: string[];
+}
+
+export interface ICalCalendar {
+  name: string;
+  description?: string;
+  timezone?: string;
+  events: ICalEvent[];
+}
+
+const PRODUCT_ID = '-//CMS//Internship Management//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+export function escapeICalText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n?|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ */
+export function foldICalLine(line: string): string {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+  const parts: string[] = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards their length
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ */
+export function formatICalDateTime(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a YYYY-MM-DD day key as a DATE value (YYYYMMDD)
+ */
+export function formatICalDate(day: string): string {
+  return day.replace(/-/g, '');
+}
+
+function nextDay(day: string): string {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function eventLines(event: ICalEvent, stamp: string): string[] {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+
+  if (event.allDay) {
+    if (!event.startDay) {
+      throw new Error(`All-day event ${event.uid} is missing startDay`);
+    }
+    // DTEND is exclusive for DATE values
+    lines.push(`DTSTART;VALUE=DATE:${formatICalDate(event.startDay)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatICalDate(nextDay(event.endDay || event.startDay))}`);
+  } else {
+    if (!event.start) {
+      throw new Error(`Timed event ${event.uid} is missing start`);
+    }
+    lines.push(`DTSTART:${formatICalDateTime(event.start)}`);
+    lines.push(`DTEND:${formatICalDateTime(event.end || event.start)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeICalText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeICalText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeICalText).join(',')}`);
+  }
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatICalDateTime(event.lastModified)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Serialize a calendar to an iCalendar (.ics) document
+ */
+export function buildICalendar(calendar: ICalCalendar, now: Date = new Date()): string {
+  const stamp = formatICalDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(calendar.name)}`,
+  ];
+  if (calendar.description) lines.push(`X-WR-CALDESC:${escapeICalText(calendar.description)}`);
+  if (calendar.timezone) lines.push(`X-WR-TIMEZONE:${calendar.timezone}`);
+
+  for (const event of calendar.events) {
+    lines.push(...eventLines(event, stamp));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,132 @@
+import {
+  assignTripDays,
+  extractPinCode,
+  getAreaKey,
+  groupStopsBySite,
+  planVisitTrips,
+} from './route-planning.util';
+
+// Ludhiana industrial areas, a few km apart
+const FOCAL_POINT = { latitude: 30.8898, longitude: 75.8936 };
+const GILL_ROAD = { latitude: 30.8783, longitude: 75.8589 };
+const DUGRI = { latitude: 30.8607, longitude: 75.8228 };
+const AMRITSAR = { latitude: 31.634, longitude: 74.8723 };
+
+describe('extractPinCode', () => {
+  it('finds a PIN code in a free-text address', () => {
+    expect(extractPinCode('Plot 12, Focal Point, Ludhiana - 141010')).toBe('141010');
+    expect(extractPinCode('GT Road, Amritsar 143 001, Punjab')).toBe('143001');
+  });
+
+  it('ignores phone numbers and missing addresses', () => {
+    expect(extractPinCode('Call 9876543210')).toBeNull();
+    expect(extractPinCode(null)).toBeNull();
+  });
+});
+
+describe('getAreaKey', () => {
+  it('prefers the PIN region over the city', () => {
+    expect(getAreaKey({ pinCode: '141010', city: 'Ludhiana' })).toBe('pin:141');
+    expect(getAreaKey({ pinCode: '14', city: ' Ludhiana ' })).toBe('city:ludhiana');
+    expect(getAreaKey({})).toBeNull();
+  });
+});
+
+describe('groupStopsBySite', () => {
+  it('merges students at the same company and keeps the first known location', () => {
+    const sites = groupStopsBySite([
+      { id: 'a', siteKey: 'acme' },
+      { id: 'b', siteKey: 'acme', ...FOCAL_POINT },
+      { id: 'c' },
+    ]);
+    expect(sites).toHaveLength(2);
+    expect(sites[0].stops.map((stop) => stop.id)).toEqual(['a', 'b']);
+    expect(sites[0].location).toEqual(FOCAL_POINT);
+    expect(sites[1].key).toBe('stop:c');
+  });
+});
+
+describe('planVisitTrips', () => {
+  it('clusters nearby companies into one trip and keeps distant ones apart', () => {
+    const trips = planVisitTrips([
+      { id: 'a', siteKey: 'focal', ...FOCAL_POINT },
+      { id: 'b', siteKey: 'focal', ...FOCAL_POINT },
+      { id: 'c', siteKey: 'gill', ...GILL_ROAD },
+      { id: 'd', siteKey: 'dugri', ...DUGRI },
+      { id: 'e', siteKey: 'asr', ...AMRITSAR },
+    ]);
+
+    expect(trips).toHaveLength(2);
+    expect(trips[0].sites.map((site) => site.key).sort()).toEqual(['dugri', 'focal', 'gill']);
+    expect(trips[0].sites.flatMap((site) => site.stops).map((stop) => stop.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+    expect(trips[0].distanceKm).toBeGreaterThan(0);
+    expect(trips[0].distanceKm).toBeLessThan(15);
+    expect(trips[1].sites.map((site) => site.key)).toEqual(['asr']);
+    expect(trips[1].distanceKm).toBe(0);
+  });
+
+  it('orders stops so the route sweeps across the area', () => {
+    const [trip] = planVisitTrips([
+      { id: 'g', siteKey: 'gill', ...GILL_ROAD },
+      { id: 'f', siteKey: 'focal', ...FOCAL_POINT },
+      { id: 'd', siteKey: 'dugri', ...DUGRI },
+    ]);
+    // Gill Road lies between the other two, so it is never the first or last stop
+    expect(trip.sites[1].key).toBe('gill');
+  });
+
+  it('caps the number of sites per trip', () => {
+    const trips = planVisitTrips(
+      [
+        { id: 'a', siteKey: 'focal', ...FOCAL_POINT },
+        { id: 'b', siteKey: 'gill', ...GILL_ROAD },
+        { id: 'c', siteKey: 'dugri', ...DUGRI },
+      ],
+      { maxSitesPerTrip: 2 },
+    );
+    expect(trips.map((trip) => trip.sites.length)).toEqual([2, 1]);
+  });
+
+  it('places sites without coordinates by PIN region or city', () => {
+    const trips = planVisitTrips([
+      { id: 'a', siteKey: 'focal', pinCode: '141010', ...FOCAL_POINT },
+      { id: 'b', siteKey: 'new-ldh', pinCode: '141003' },
+      { id: 'c', siteKey: 'new-asr-1', city: 'Amritsar' },
+      { id: 'd', siteKey: 'new-asr-2', city: 'amritsar' },
+      { id: 'e', siteKey: 'unknown' },
+    ]);
+
+    const byIds = trips.map((trip) => trip.sites.flatMap((site) => site.stops.map((stop) => stop.id)).sort());
+    expect(byIds).toContainEqual(['a', 'b']);
+    expect(byIds).toContainEqual(['c', 'd']);
+    expect(byIds).toContainEqual(['e']);
+
+    const ludhiana = trips.find((trip) => trip.sites.some((site) => site.key === 'focal'));
+    expect(ludhiana?.areaKey).toBe('pin:141');
+    expect(ludhiana?.unlocatedSites).toBe(1);
+    // Located stops come before the ones we can only place by area
+    expect(ludhiana?.sites[0].key).toBe('focal');
+  });
+});
+
+describe('assignTripDays', () => {
+  const days = ['2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23'];
+
+  it('spreads trips over the available days', () => {
+    const window = { earliestDay: '2026-03-01', latestDay: '2026-03-31' };
+    expect(assignTripDays([window, window], days)).toEqual(['2026-03-02', '2026-03-16']);
+  });
+
+  it('keeps each trip inside its own window and gives constrained trips priority', () => {
+    expect(
+      assignTripDays(
+        [
+          { earliestDay: '2026-03-01', latestDay: '2026-03-31' },
+          { earliestDay: '2026-03-01', latestDay: '2026-03-05' },
+          { earliestDay: '2026-04-01', latestDay: '2026-04-30' },
+        ],
+        days,
+      ),
+    ).toEqual(['2026-03-09', '2026-03-02', null]);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Route Planning Utility
+ *
+ * Groups a faculty member's pending physical visits into day trips using only data we
+ * already store (no maps API):
+ * - Students at the same company are one site
+ * - Sites with GPS coordinates (from earlier visit logs) are clustered greedily around
+ *   the site with the most neighbours within the trip radius
+ * - Sites without coordinates join a located trip in the same PIN region / city, or
+ *   form their own area trip
+ * - Stops inside a trip are ordered nearest-neighbour, starting from the outermost site,
+ *   and the straight-line distance is reported as a rough estimate
+ *
+ * Example:
+ * Four students at three companies in Ludhiana and one in Amritsar (~120 km away)
+ * -> Trip 1: the three Ludhiana sites, Trip 2: Amritsar.
+ */
+
+import { haversineDistanceKm, GeoPoint } from './visit-schedule.util';
+
+// Sites further than this from a trip's seed go on another trip
+export const DEFAULT_TRIP_RADIUS_KM = 25;
+
+// A day can't realistically cover more company sites than this
+export const DEFAULT_MAX_SITES_PER_TRIP = 5;
+
+export interface VisitStop {
+  /** Usually the application id */
+  id: string;
+  /** Same key = same company site */
+  siteKey?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  city?: string | null;
+  pinCode?: string | null;
+}
+
+export interface TripSite<T extends VisitStop = VisitStop> {
+  key: string;
+  location: GeoPoint | null;
+  areaKey: string | null;
+  stops: T[];
+}
+
+export interface PlannedTrip<T extends VisitStop = VisitStop> {
+  sites: TripSite<T>[];
+  /** Area used to group sites without coordinates ("pin:141", "city:ludhiana") */
+  areaKey: string | null;
+  center: GeoPoint | null;
+  /** Straight-line distance between consecutive located sites */
+  distanceKm: number;
+  unlocatedSites: number;
+}
+
+export interface TripPlanOptions {
+  radiusKm?: number;
+  maxSitesPerTrip?: number;
+}
+
+export interface DayWindow {
+  earliestDay: string;
+  latestDay: string;
+}
+
+/**
+ * Pull a six-digit Indian PIN code out of a free-text address
+ */
+export function extractPinCode(address?: string | null): string | null {
+  const match = (address || '').match(/(?:^|\D)([1-9]\d{2})\s?(\d{3})(?!\d)/);
+  return match ? `${match[1]}${match[2]}` : null;
+}
+
+/**
+ * Coarse area of a stop: first three PIN digits (sorting district), else the city
+ */
+export function getAreaKey(stop: Pick<VisitStop, 'pinCode' | 'city'>): string | null {
+  const pin = (stop.pinCode || '').replace(/\D/g, '');
+  if (pin.length === 6) return `pin:${pin.slice(0, 3)}`;
+  const city = (stop.city || '').trim().toLowerCase();
+  return city ? `city:${city}` : null;
+}
+
+function hasCoordinates(stop: VisitStop): boolean {
+  return typeof stop.latitude === 'number' && typeof stop.longitude === 'number';
+}
+
+/**
+ * Merge stops at the same company into sites
+ */
+export function groupStopsBySite<T extends VisitStop>(stops: T[]): TripSite<T>[] {
+  const sites = new Map<string, TripSite<T>>();
+
+  for (const stop of stops) {
+    const key = stop.siteKey || `stop:${stop.id}`;
+    const site = sites.get(key) || { key, location: null, areaKey: null, stops: [] };
+    site.stops.push(stop);
+    if (!site.location && hasCoordinates(stop)) {
+      site.location = { latitude: stop.latitude as number, longitude: stop.longitude as number };
+    }
+    site.areaKey = site.areaKey || getAreaKey(stop);
+    sites.set(key, site);
+  }
+
+  return [...sites.values()];
+}
+
+function centroid(points: GeoPoint[]): GeoPoint | null {
+  if (points.length === 0) return null;
+  return {
+    latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length,
+  };
+}
+
+/**
+ * Order located sites nearest-neighbour from the outermost one; unlocated sites go last
+ */
+export function orderTripSites<T extends VisitStop>(sites: TripSite<T>[]): { sites: TripSite<T>[]; distanceKm: number } {
+  const located = sites.filter((site) => site.location);
+  const unlocated = sites.filter((site) => !site.location);
+  const center = centroid(located.map((site) => site.location as GeoPoint));
+
+  const ordered: TripSite<T>[] = [];
+  let distanceKm = 0;
+
+  if (center) {
+    const remaining = [...located];
+    // Start at the site furthest from the centre so the route sweeps across the area
+    remaining.sort(
+      (a, b) =>
+        haversineDistanceKm(center, b.location as GeoPoint) - haversineDistanceKm(center, a.location as GeoPoint) ||
+        a.key.localeCompare(b.key),
+    );
+    let current = remaining.shift() as TripSite<T>;
+    ordered.push(current);
+
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      let bestDistance = Infinity;
+      remaining.forEach((site, index) => {
+        const distance = haversineDistanceKm(current.location as GeoPoint, site.location as GeoPoint);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestIndex = index;
+        }
+      });
+      current = remaining.splice(bestIndex, 1)[0];
+      distanceKm += bestDistance;
+      ordered.push(current);
+    }
+  }
+
+  return { sites: [...ordered, ...unlocated], distanceKm: Math.round(distanceKm * 10) / 10 };
+}
+
+function buildTrip<T extends VisitStop>(sites: TripSite<T>[]): PlannedTrip<T> {
+  const ordered = orderTripSites(sites);
+  const areaCounts = new Map<string, number>();
+  sites.forEach((site) => {
+    if (site.areaKey) areaCounts.set(site.areaKey, (areaCounts.get(site.areaKey) || 0) + 1);
+  });
+  const areaKey = [...areaCounts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] ?? null;
+
+  return {
+    sites: ordered.sites,
+    areaKey,
+    center: centroid(sites.filter((site) => site.location).map((site) => site.location as GeoPoint)),
+    distanceKm: ordered.distanceKm,
+    unlocatedSites: sites.filter((site) => !site.location).length,
+  };
+}
+
+/**
+ * Cluster visit stops into day trips
+ */
+export function planVisitTrips<T extends VisitStop>(stops: T[], options: TripPlanOptions = {}): PlannedTrip<T>[] {
+  const radiusKm = options.radiusKm ?? DEFAULT_TRIP_RADIUS_KM;
+  const maxSites = Math.max(1, options.maxSitesPerTrip ?? DEFAULT_MAX_SITES_PER_TRIP);
+
+  const sites = groupStopsBySite(stops).sort((a, b) => a.key.localeCompare(b.key));
+  const located = sites.filter((site) => site.location);
+  const unlocated = sites.filter((site) => !site.location);
+
+  const distance = (a: TripSite<T>, b: TripSite<T>) =>
+    haversineDistanceKm(a.location as GeoPoint, b.location as GeoPoint);
+
+  // 1. Greedy clustering of located sites
+  const groups: TripSite<T>[][] = [];
+  const remaining = new Set(located);
+  while (remaining.size > 0) {
+    const pool = [...remaining];
+    const neighbours = (seed: TripSite<T>) =>
+      pool.filter((site) => site !== seed && distance(seed, site) <= radiusKm);
+
+    let seed = pool[0];
+    let seedNeighbours = neighbours(seed);
+    for (const candidate of pool.slice(1)) {
+      const candidateNeighbours = neighbours(candidate);
+      if (candidateNeighbours.length > seedNeighbours.length) {
+        seed = candidate;
+        seedNeighbours = candidateNeighbours;
+      }
+    }
+
+    const group = [
+      seed,
+      ...seedNeighbours.sort((a, b) => distance(seed, a) - distance(seed, b)).slice(0, maxSites - 1),
+    ];
+    group.forEach((site) => remaining.delete(site));
+    groups.push(group);
+  }
+
+  // 2. Sites without coordinates join a located trip in the same area, else group by area
+  const areaGroups = new Map<string, TripSite<T>[][]>();
+  for (const site of unlocated) {
+    const host = site.areaKey
+      ? groups.find((group) => group.length < maxSites && group.some((member) => member.areaKey === site.areaKey))
+      : undefined;
+    if (host) {
+      host.push(site);
+      continue;
+    }
+
+    const key = site.areaKey || `site:${site.key}`;
+    const buckets = areaGroups.get(key) || [];
+    const open = buckets.find((bucket) => bucket.length < maxSites);
+    if (open) {
+      open.push(site);
+    } else {
+      buckets.push([site]);
+    }
+    areaGroups.set(key, buckets);
+  }
+
+  const trips = [...groups, ...[...areaGroups.values()].flat()].map((group) => buildTrip(group));
+
+  // Biggest trips first: they save the most travel
+  return trips.sort(
+    (a, b) =>
+      b.sites.reduce((sum, site) => sum + site.stops.length, 0) -
+        a.sites.reduce((sum, site) => sum + site.stops.length, 0) || a.distanceKm - b.distanceKm,
+  );
+}
+
+/**
+ * Spread trips over the available days, keeping each trip inside its feasible window.
+ * Returns one day per trip (null when no available day fits).
+ */
+export function assignTripDays(windows: DayWindow[], availableDays: string[]): (string | null)[] {
+  const days = [...new Set(availableDays)].sort();
+  const used = new Set<string>();
+
+  // Most constrained trips pick first
+  const order = windows
+    .map((window, index) => ({ window, index }))
+    .sort((a, b) => a.window.latestDay.localeCompare(b.window.latestDay) || a.index - b.index);
+
+  const result: (string | null)[] = new Array(windows.length).fill(null);
+  order.forEach(({ window, index }, position) => {
+    const feasible = days.filter((day) => day >= window.earliestDay && day <= window.latestDay);
+    if (feasible.length === 0) return;
+
+    // Aim for an even spread, then take the first free day from there (wrapping around)
+    const target = Math.min(feasible.length - 1, Math.floor((position * feasible.length) / windows.length));
+    const rotated = [...feasible.slice(target), ...feasible.slice(0, target)];
+    const day = rotated.find((candidate) => !used.has(candidate)) ?? rotated[0];
+    used.add(day);
+    result[index] = day;
+  });
+
+  return result;
+}
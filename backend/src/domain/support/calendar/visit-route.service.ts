@@ -0,0 +1,206 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { CalendarService } from './calendar.service';
+import { getMonthName } from '../../../common/utils/monthly-cycle.util';
+import { toDayKey, VisitWindowState } from './visit-schedule.util';
+import { normalizeCompanyName } from '../../company/company-name.util';
+import {
+  assignTripDays,
+  extractPinCode,
+  planVisitTrips,
+  VisitStop,
+} from './route-planning.util';
+import { Prisma, VisitLogStatus, VisitType } from '../../../generated/prisma/client';
+
+interface TripStop extends VisitStop {
+  studentName: string | null;
+  rollNumber: string | null;
+  companyName: string | null;
+  address: string | null;
+  startDay: string | null;
+  endDay: string | null;
+  dueDay: string;
+  state: VisitWindowState;
+}
+
+const stopApplicationSelect = {
+  id: true,
+  startDate: true,
+  endDate: true,
+  companyId: true,
+  companyName: true,
+  companyAddress: true,
+  company: { select: { name: true, address: true, city: true, pinCode: true } },
+  student: { select: { user: { select: { name: true, rollNumber: true } } } },
+  // Coordinates come from the GPS fix of the most recent visit at this placement
+  facultyVisitLogs: {
+    where: { isDeleted: false, latitude: { not: null }, longitude: { not: null } },
+    orderBy: { visitDate: 'desc' as const },
+    take: 1,
+    select: { latitude: true, longitude: true },
+  },
+} satisfies Prisma.InternshipApplicationSelect;
+
+const PLANNED_STATUSES: VisitLogStatus[] = [VisitLogStatus.SCHEDULED, VisitLogStatus.IN_PROGRESS];
+
+/**
+ * Proposes day trips for a faculty member's pending physical visits in a month,
+ * clustering placements by stored GPS coordinates and PIN/city.
+ */
+@Injectable()
+export class VisitRouteService {
+  private readonly logger = new Logger(VisitRouteService.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly calendarService: CalendarService,
+  ) {}
+
+  /**
+   * Trips covering every mentee whose visit for the month is not yet completed or planned
+   */
+  async getTripPlan(facultyId: string, year: number, month: number) {
+    try {
+      const monthStart = new Date(year, month - 1, 1);
+      const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+      const firstDayKey = this.dayKey(year, month, 1);
+      const lastDayKey = this.dayKey(year, month, monthEnd.getDate());
+
+      const windows = (await this.calendarService.getVisitWindows(facultyId, monthStart, monthEnd))
+        .filter((window) => window.year === year && window.month === month)
+        .filter((window) => window.state === 'UNPLANNED' || window.state === 'OVERDUE');
+
+      const applications = await this.prisma.internshipApplication.findMany({
+        where: { id: { in: windows.map((window) => window.applicationId) } },
+        select: stopApplicationSelect,
+      });
+      const applicationById = new Map(applications.map((application) => [application.id, application]));
+
+      const stops: TripStop[] = windows
+        .filter((window) => applicationById.has(window.applicationId))
+        .map((window) => {
+          const application = applicationById.get(window.applicationId)!;
+          const address = application.companyAddress || application.company?.address || null;
+          const fix = application.facultyVisitLogs[0];
+
+          return {
+            id: application.id,
+            siteKey: application.companyId || normalizeCompanyName(application.companyName) || null,
+            latitude: fix?.latitude ?? null,
+            longitude: fix?.longitude ?? null,
+            city: application.company?.city ?? null,
+            pinCode: application.company?.pinCode || extractPinCode(address),
+            studentName: application.student?.user?.name ?? null,
+            rollNumber: application.student?.user?.rollNumber ?? null,
+            companyName: application.company?.name || application.companyName || null,
+            address,
+            startDay: application.startDate ? toDayKey(application.startDate) : null,
+            endDay: application.endDate ? toDayKey(application.endDate) : null,
+            dueDay: window.dueDay,
+            state: window.state,
+          };
+        });
+
+      const trips = planVisitTrips(stops);
+
+      // Every stop of a trip has to be within its internship on the chosen day
+      const today = toDayKey(new Date());
+      const tripWindows = trips.map((trip) => {
+        const tripStops = trip.sites.flatMap((site) => site.stops);
+        const startDays = tripStops.map((stop) => stop.startDay || firstDayKey);
+        const endDays = tripStops.map((stop) => stop.endDay || lastDayKey);
+        return {
+          earliestDay: [firstDayKey, today, ...startDays].sort().pop() as string,
+          latestDay: [lastDayKey, ...endDays].sort()[0],
+        };
+      });
+      const suggestedDays = assignTripDays(tripWindows, await this.getAvailableDays(facultyId, year, month));
+
+      return {
+        year,
+        month,
+        monthName: getMonthName(month),
+        pendingVisits: stops.length,
+        trips: trips.map((trip, index) => ({
+          id: `trip-${index + 1}`,
+          area: this.describeArea(trip.sites.flatMap((site) => site.stops)),
+          suggestedDay: suggestedDays[index],
+          earliestDay: tripWindows[index].earliestDay,
+          latestDay: tripWindows[index].latestDay,
+          distanceKm: trip.distanceKm,
+          center: trip.center,
+          unlocatedSites: trip.unlocatedSites,
+          sites: trip.sites.map((site, order) => ({
+            order: order + 1,
+            companyName: site.stops[0].companyName,
+            address: site.stops[0].address,
+            location: site.location,
+            students: site.stops.map(({ id, studentName, rollNumber, dueDay, state }) => ({
+              applicationId: id,
+              studentName,
+              rollNumber,
+              dueDay,
+              state,
+            })),
+          })),
+        })),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to plan visit trips for faculty ${facultyId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule every visit of a trip on one day
+   */
+  async scheduleTrip(facultyId: string, day: string, applicationIds: string[]) {
+    return this.calendarService.scheduleVisitTrip(facultyId, day, applicationIds);
+  }
+
+  /**
+   * Working days (Monday-Saturday, not a holiday on the academic calendar) of the month
+   * without a physical visit already planned
+   */
+  private async getAvailableDays(facultyId: string, year: number, month: number): Promise<string[]> {
+    const lastDay = new Date(year, month, 0).getDate();
+    const faculty = await this.prisma.user.findUnique({ where: { id: facultyId }, select: { institutionId: true } });
+    const holidays = await this.calendarService.getHolidayDays(
+      faculty?.institutionId ?? null,
+      this.dayKey(year, month, 1),
+      this.dayKey(year, month, lastDay),
+    );
+
+    const planned = await this.prisma.facultyVisitLog.findMany({
+      where: {
+        facultyId,
+        isDeleted: false,
+        visitType: VisitType.PHYSICAL,
+        status: { in: PLANNED_STATUSES },
+        visitDate: { gte: new Date(year, month - 1, 1), lte: new Date(year, month, 0, 23, 59, 59, 999) },
+      },
+      select: { visitDate: true },
+    });
+    const busy = new Set(planned.filter((visit) => visit.visitDate).map((visit) => toDayKey(visit.visitDate as Date)));
+
+    const days: string[] = [];
+    for (let date = 1; date <= lastDay; date++) {
+      const day = this.dayKey(year, month, date);
+      const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+      if (weekday !== 0 && !busy.has(day) && !holidays.has(day)) days.push(day);
+    }
+
+    return days;
+  }
+
+  private dayKey(year: number, month: number, date: number): string {
+    return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+  }
+
+  private describeArea(stops: TripStop[]): string {
+    const city = stops.find((stop) => stop.city)?.city;
+    if (city) return city;
+    const pin = stops.find((stop) => stop.pinCode)?.pinCode;
+    return pin ? `PIN ${pin.slice(0, 3)}xxx` : 'Unknown area';
+  }
+}
@@ -0,0 +1,114 @@
+import {
+  dayKeyToDate,
+  findSameDayVisitConflicts,
+  getVisitWindowState,
+  haversineDistanceKm,
+  toDayKey,
+} from './visit-schedule.util';
+
+const LUDHIANA = { latitude: 30.901, longitude: 75.8573 };
+const AMRITSAR = { latitude: 31.634, longitude: 74.8723 };
+
+describe('haversineDistanceKm', () => {
+  it('returns zero for the same point', () => {
+    expect(haversineDistanceKm(LUDHIANA, LUDHIANA)).toBe(0);
+  });
+
+  it('measures the distance between two cities', () => {
+    expect(haversineDistanceKm(LUDHIANA, AMRITSAR)).toBeGreaterThan(115);
+    expect(haversineDistanceKm(LUDHIANA, AMRITSAR)).toBeLessThan(130);
+  });
+});
+
+describe('toDayKey / dayKeyToDate', () => {
+  it('uses the IST calendar day', () => {
+    // 19:00 UTC is 00:30 IST the next day
+    expect(toDayKey(new Date('2026-03-09T19:00:00.000Z'))).toBe('2026-03-10');
+    expect(toDayKey(new Date('2026-03-10T18:29:00.000Z'))).toBe('2026-03-10');
+  });
+
+  it('builds an instant at the requested IST hour', () => {
+    expect(dayKeyToDate('2026-03-10').toISOString()).toBe('2026-03-10T04:30:00.000Z');
+    expect(dayKeyToDate('2026-03-10', 14).toISOString()).toBe('2026-03-10T08:30:00.000Z');
+  });
+
+  it('rejects malformed days', () => {
+    expect(() => dayKeyToDate('10/03/2026')).toThrow('Invalid day');
+  });
+});
+
+describe('findSameDayVisitConflicts', () => {
+  const day = new Date('2026-03-10T04:30:00.000Z');
+  const nextDay = new Date('2026-03-11T04:30:00.000Z');
+
+  it('flags physical visits at distant sites on the same day', () => {
+    const conflicts = findSameDayVisitConflicts([
+      { id: 'a', visitDate: day, visitType: 'PHYSICAL', ...LUDHIANA },
+      { id: 'b', visitDate: day, visitType: 'PHYSICAL', ...AMRITSAR },
+    ]);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ day: '2026-03-10', visitIds: ['a', 'b'], reason: 'DISTANCE' });
+    expect(conflicts[0].distanceKm).toBeGreaterThan(40);
+  });
+
+  it('ignores nearby sites, other days, the same site and non-physical visits', () => {
+    expect(
+      findSameDayVisitConflicts([
+        { id: 'a', visitDate: day, visitType: 'PHYSICAL', ...LUDHIANA },
+        { id: 'b', visitDate: day, visitType: 'PHYSICAL', latitude: 30.91, longitude: 75.9 },
+        { id: 'c', visitDate: nextDay, visitType: 'PHYSICAL', ...AMRITSAR },
+        { id: 'd', visitDate: day, visitType: 'VIRTUAL', ...AMRITSAR },
+      ]),
+    ).toEqual([]);
+    expect(
+      findSameDayVisitConflicts([
+        { id: 'a', visitDate: day, visitType: 'PHYSICAL', siteKey: 'company-1', city: 'Ludhiana' },
+        { id: 'b', visitDate: day, visitType: 'PHYSICAL', siteKey: 'company-1', city: 'Amritsar' },
+      ]),
+    ).toEqual([]);
+  });
+
+  it('falls back to PIN region and city when coordinates are missing', () => {
+    expect(
+      findSameDayVisitConflicts([
+        { id: 'a', visitDate: day, visitType: 'PHYSICAL', pinCode: '141001', city: 'Ludhiana' },
+        { id: 'b', visitDate: day, visitType: 'PHYSICAL', pinCode: '143001', city: 'Amritsar' },
+      ]),
+    ).toEqual([{ day: '2026-03-10', visitIds: ['a', 'b'], reason: 'DIFFERENT_AREA' }]);
+    expect(
+      findSameDayVisitConflicts([
+        { id: 'a', visitDate: day, visitType: 'PHYSICAL', city: 'Mohali ' },
+        { id: 'b', visitDate: day, visitType: 'PHYSICAL', city: 'mohali' },
+        { id: 'c', visitDate: day, visitType: 'PHYSICAL' },
+      ]),
+    ).toEqual([]);
+  });
+
+  it('respects a custom distance threshold', () => {
+    const visits = [
+      { id: 'a', visitDate: day, visitType: 'PHYSICAL', ...LUDHIANA },
+      { id: 'b', visitDate: day, visitType: 'PHYSICAL', ...AMRITSAR },
+    ];
+    expect(findSameDayVisitConflicts(visits, { maxDistanceKm: 150 })).toEqual([]);
+  });
+});
+
+describe('getVisitWindowState', () => {
+  const due = new Date('2026-03-31T18:29:59.999Z');
+  const before = new Date('2026-03-15T00:00:00.000Z');
+  const after = new Date('2026-04-02T00:00:00.000Z');
+
+  it('is completed once any visit in the month is completed', () => {
+    expect(getVisitWindowState(['CANCELLED', 'COMPLETED'], due, after)).toBe('COMPLETED');
+  });
+
+  it('is scheduled or unplanned before the due date', () => {
+    expect(getVisitWindowState(['SCHEDULED'], due, before)).toBe('SCHEDULED');
+    expect(getVisitWindowState(['CANCELLED'], due, before)).toBe('UNPLANNED');
+    expect(getVisitWindowState([], due, before)).toBe('UNPLANNED');
+  });
+
+  it('is overdue after the due date without a completed visit', () => {
+    expect(getVisitWindowState(['SCHEDULED'], due, after)).toBe('OVERDUE');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Visit Schedule Utility
+ *
+ * Helpers for planning faculty visits on a calendar:
+ * - Day keys are computed in IST so a visit at 00:30 IST does not land on the previous day
+ * - Each mentee has one visit window per included internship month, closing at
+ *   getVisitDueDate(); the window state says whether it is covered
+ * - Two PHYSICAL visits on the same day conflict when the companies are too far apart
+ *   to visit both (great-circle distance when coordinates are known, otherwise a
+ *   different city or PIN region)
+ *
+ * Example:
+ * Ludhiana (30.90, 75.85) and Amritsar (31.63, 74.87) are ~120 km apart, so two
+ * physical visits there on 2026-03-10 produce a DISTANCE conflict.
+ */
+
+export const IST_OFFSET_MINUTES = 330;
+
+// Two company sites further apart than this can't reasonably be visited on one day
+export const DEFAULT_SAME_DAY_MAX_DISTANCE_KM = 40;
+
+// Hour (IST) used when a visit is planned for a day without a time
+export const DEFAULT_VISIT_HOUR_IST = 10;
+
+const EARTH_RADIUS_KM = 6371;
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface PlannedVisit {
+  id: string;
+  visitDate: Date;
+  visitType: string;
+  /** Same key = same site (e.g. companyId); never a conflict */
+  siteKey?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  city?: string | null;
+  pinCode?: string | null;
+}
+
+export type VisitConflictReason = 'DISTANCE' | 'DIFFERENT_AREA';
+
+export interface VisitConflict {
+  day: string;
+  visitIds: [string, string];
+  reason: VisitConflictReason;
+  distanceKm?: number;
+}
+
+export type VisitWindowState = 'COMPLETED' | 'SCHEDULED' | 'UNPLANNED' | 'OVERDUE';
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export function haversineDistanceKm(a: GeoPoint, b: GeoPoint): number {
+  const toRad = (deg: number) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a date in the given UTC offset (IST by default)
+ */
+export function toDayKey(date: Date, offsetMinutes: number = IST_OFFSET_MINUTES): string {
+  return new Date(date.getTime() + offsetMinutes * 60_000).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant for a day key at the given IST hour
+ */
+export function dayKeyToDate(day: string, hour: number = DEFAULT_VISIT_HOUR_IST): Date {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    throw new Error(`Invalid day: ${day}. Expected YYYY-MM-DD.`);
+  }
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date, hour) - IST_OFFSET_MINUTES * 60_000);
+}
+
+function hasCoordinates(visit: PlannedVisit): boolean {
+  return typeof visit.latitude === 'number' && typeof visit.longitude === 'number';
+}
+
+function normalizeArea(value?: string | null): string {
+  return (value || '').trim().toLowerCase();
+}
+
+function compareVisits(a: PlannedVisit, b: PlannedVisit, maxDistanceKm: number): Omit<VisitConflict, 'day' | 'visitIds'> | null {
+  if (a.siteKey && a.siteKey === b.siteKey) return null;
+
+  if (hasCoordinates(a) && hasCoordinates(b)) {
+    const distanceKm = haversineDistanceKm(
+      { latitude: a.latitude as number, longitude: a.longitude as number },
+      { latitude: b.latitude as number, longitude: b.longitude as number },
+    );
+    return distanceKm > maxDistanceKm ? { reason: 'DISTANCE', distanceKm: Math.round(distanceKm * 10) / 10 } : null;
+  }
+
+  // Without coordinates, the first three PIN digits identify the sorting district
+  const pinA = (a.pinCode || '').replace(/\D/g, '').slice(0, 3);
+  const pinB = (b.pinCode || '').replace(/\D/g, '').slice(0, 3);
+  if (pinA.length === 3 && pinB.length === 3) {
+    return pinA !== pinB ? { reason: 'DIFFERENT_AREA' } : null;
+  }
+
+  const cityA = normalizeArea(a.city);
+  const cityB = normalizeArea(b.city);
+  if (cityA && cityB && cityA !== cityB) return { reason: 'DIFFERENT_AREA' };
+
+  return null;
+}
+
+/**
+ * Find pairs of PHYSICAL visits on the same day that are too far apart
+ */
+export function findSameDayVisitConflicts(
+  visits: PlannedVisit[],
+  options: { maxDistanceKm?: number } = {},
+): VisitConflict[] {
+  const maxDistanceKm = options.maxDistanceKm ?? DEFAULT_SAME_DAY_MAX_DISTANCE_KM;
+  const byDay = new Map<string, PlannedVisit[]>();
+
+  for (const visit of visits) {
+    if (visit.visitType !== 'PHYSICAL') continue;
+    const day = toDayKey(new Date(visit.visitDate));
+    const list = byDay.get(day) || [];
+    list.push(visit);
+    byDay.set(day, list);
+  }
+
+  const conflicts: VisitConflict[] = [];
+  for (const [day, dayVisits] of [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    for (let i = 0; i < dayVisits.length; i++) {
+      for (let j = i + 1; j < dayVisits.length; j++) {
+        const conflict = compareVisits(dayVisits[i], dayVisits[j], maxDistanceKm);
+        if (conflict) {
+          conflicts.push({ day, visitIds: [dayVisits[i].id, dayVisits[j].id], ...conflict });
+        }
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * State of one monthly visit window given the visits logged against that month
+ */
+export function getVisitWindowState(
+  visitStatuses: string[],
+  dueDate: Date,
+  now: Date = new Date(),
+): VisitWindowState {
+  if (visitStatuses.includes('COMPLETED')) return 'COMPLETED';
+  if (now > dueDate) return 'OVERDUE';
+  if (visitStatuses.some((status) => status === 'SCHEDULED' || status === 'IN_PROGRESS')) return 'SCHEDULED';
+  return 'UNPLANNED';
+}
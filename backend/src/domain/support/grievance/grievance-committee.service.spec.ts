@@ -0,0 +1,121 @@
+import { EscalationLevel, GrievanceStatus, Role } from '../../../generated/prisma/client';
+import { GrievanceCommitteeService } from './grievance-committee.service';
+
+const actor = { userId: 'principal-1', role: Role.PRINCIPAL, institutionId: 'inst-1' };
+
+function createService(existingMembers: { userId: string; isChair: boolean }[] = []) {
+  const members = [...existingMembers];
+  const grievances = [
+    { id: 'waiting-1', isConfidential: true, assignedToId: null as string | null, status: GrievanceStatus.PENDING },
+    { id: 'waiting-2', isConfidential: true, assignedToId: null as string | null, status: GrievanceStatus.ESCALATED },
+  ];
+
+  const prisma: any = {
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => ({
+        id: where.id,
+        name: 'Meera',
+        role: Role.TEACHER,
+        institutionId: 'inst-1',
+        active: true,
+      })),
+    },
+    grievanceCommitteeMember: {
+      findMany: jest.fn(async () => members.map((member) => ({ ...member, user: { id: member.userId } }))),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+      upsert: jest.fn(async ({ create }: any) => {
+        members.push({ userId: create.userId, isChair: !!create.isChair });
+        return create;
+      }),
+    },
+    grievance: {
+      findMany: jest.fn(async ({ where }: any) =>
+        grievances
+          .filter((grievance) => grievance.assignedToId === where.assignedToId)
+          .map(({ id, status }) => ({ id, status, escalationLevel: EscalationLevel.PRINCIPAL })),
+      ),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const grievance = grievances.find((candidate) => candidate.id === where.id && candidate.assignedToId === null);
+        if (grievance) grievance.assignedToId = data.assignedToId;
+        return { count: grievance ? 1 : 0 };
+      }),
+    },
+    grievanceStatusHistory: { create: jest.fn(async () => ({})) },
+  };
+  prisma.$transaction = jest.fn(async (callback: any) => callback(prisma));
+
+  const notificationService: any = { create: jest.fn(async () => null) };
+  const service = new GrievanceCommitteeService(
+    prisma,
+    { del: jest.fn() } as any,
+    { log: jest.fn(async () => null) } as any,
+    notificationService,
+  );
+  return { service, prisma, grievances, notificationService };
+}
+
+describe('GrievanceCommitteeService', () => {
+  it('assigns confidential grievances waiting for a committee to the first member', async () => {
+    const { service, prisma, grievances, notificationService } = createService();
+
+    const result = await service.addMember(actor as any, { userId: 'teacher-1' });
+
+    expect(grievances.map((grievance) => grievance.assignedToId)).toEqual(['teacher-1', 'teacher-1']);
+    expect(prisma.grievance.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({
+          isConfidential: true,
+          assignedToId: null,
+          escalationLevel: { not: EscalationLevel.STATE_DIRECTORATE },
+          student: { institutionId: 'inst-1' },
+        }),
+      }),
+    );
+    expect(prisma.grievanceStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        grievanceId: 'waiting-1',
+        action: 'ASSIGNED',
+        escalatedToId: 'teacher-1',
+        toStatus: GrievanceStatus.PENDING,
+      }),
+    });
+    expect(notificationService.create).toHaveBeenCalledWith(
+      'teacher-1',
+      'GRIEVANCE_ASSIGNED',
+      expect.any(String),
+      expect.stringContaining('2 confidential grievance(s)'),
+      expect.objectContaining({ count: 2 }),
+    );
+    expect(result.message).toContain('2 waiting confidential grievance(s)');
+  });
+
+  it('gives waiting grievances to the chair rather than the member just added', async () => {
+    const { service, grievances } = createService([{ userId: 'chair-1', isChair: true }]);
+
+    await service.addMember(actor as any, { userId: 'teacher-2' });
+
+    expect(grievances.map((grievance) => grievance.assignedToId)).toEqual(['chair-1', 'chair-1']);
+  });
+
+  it('leaves grievances someone else assigned in the meantime', async () => {
+    const { service, prisma, grievances, notificationService } = createService();
+    prisma.grievance.findMany.mockImplementationOnce(async () => {
+      const listed = grievances.map(({ id, status }) => ({ id, status, escalationLevel: EscalationLevel.PRINCIPAL }));
+      grievances[0].assignedToId = 'teacher-9';
+      return listed;
+    });
+
+    const result = await service.addMember(actor as any, { userId: 'teacher-1' });
+
+    expect(grievances.map((grievance) => grievance.assignedToId)).toEqual(['teacher-9', 'teacher-1']);
+    expect(prisma.grievanceStatusHistory.create).toHaveBeenCalledTimes(1);
+    expect(notificationService.create).toHaveBeenCalledWith(
+      'teacher-1',
+      'GRIEVANCE_ASSIGNED',
+      expect.any(String),
+      expect.stringContaining('1 confidential grievance(s)'),
+      expect.anything(),
+    );
+    expect(result.message).toContain('1 waiting confidential grievance(s)');
+  });
+});
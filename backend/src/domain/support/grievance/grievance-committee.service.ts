@@ -0,0 +1,277 @@
+import { Injectable, Logger, NotFoundException, BadRequestException, ForbiddenException } from '@nestjs/common';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { CacheService } from '../../../core/cache/cache.service';
+import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { NotificationService } from '../../../infrastructure/notification/notification.service';
+import { GRIEVANCE_CLOSED_STATUSES } from './grievance-sla.util';
+import {
+  Role,
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  EscalationLevel,
+  GrievanceStatus,
+} from '../../../generated/prisma/client';
+
+export interface AddCommitteeMemberDto {
+  userId: string;
+  institutionId?: string; // Required for STATE_DIRECTORATE; principals manage their own institution
+  isChair?: boolean;
+}
+
+export interface CommitteeActor {
+  userId: string;
+  role: Role | string;
+  institutionId?: string | null;
+}
+
+// Only institution staff can sit on the committee
+const COMMITTEE_ROLES: Role[] = [Role.TEACHER, Role.PRINCIPAL];
+
+/**
+ * Per-institution committee that handles confidential grievances
+ * (harassment, discrimination). Members see the student's identity and attachments;
+ * everyone else gets a redacted view.
+ */
+@Injectable()
+export class GrievanceCommitteeService {
+  private readonly logger = new Logger(GrievanceCommitteeService.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly cache: CacheService,
+    private readonly auditService: AuditService,
+    private readonly notificationService: NotificationService,
+  ) {}
+
+  /**
+   * Institutions whose committee the user sits on
+   */
+  async getCommitteeInstitutionIds(userId: string): Promise<string[]> {
+    const memberships = await this.prisma.grievanceCommitteeMember.findMany({
+      where: { userId, user: { active: true } },
+      select: { institutionId: true },
+    });
+    return memberships.map((m) => m.institutionId);
+  }
+
+  async isMember(userId: string, institutionId: string): Promise<boolean> {
+    const membership = await this.prisma.grievanceCommitteeMember.findFirst({
+      where: { userId, institutionId, user: { active: true } },
+      select: { id: true },
+    });
+    return !!membership;
+  }
+
+  /**
+   * Active members of an institution's committee, chair first
+   */
+  async getMembers(institutionId: string) {
+    return this.prisma.grievanceCommitteeMember.findMany({
+      where: { institutionId, user: { active: true } },
+      include: {
+        user: { select: { id: true, name: true, email: true, role: true, designation: true } },
+      },
+      orderBy: [{ isChair: 'desc' }, { createdAt: 'asc' }],
+    });
+  }
+
+  /**
+   * The member confidential grievances are assigned to: the chair, or the
+   * longest-serving member when no chair is set (getMembers lists them first)
+   */
+  async getChair(institutionId: string) {
+    const [first] = await this.getMembers(institutionId);
+    return first ?? null;
+  }
+
+  /**
+   * Get committee members for an institution the actor manages
+   */
+  async getCommittee(actor: CommitteeActor, institutionId?: string) {
+    const instId = this.resolveInstitution(actor, institutionId);
+    return this.getMembers(instId);
+  }
+
+  /**
+   * Add a member to an institution's committee
+   */
+  async addMember(actor: CommitteeActor, data: AddCommitteeMemberDto) {
+    const institutionId = this.resolveInstitution(actor, data.institutionId);
+
+    const user = await this.prisma.user.findUnique({
+      where: { id: data.userId },
+      select: { id: true, name: true, role: true, institutionId: true, active: true },
+    });
+
+    if (!user || !user.active) {
+      throw new NotFoundException('User not found');
+    }
+    if (user.institutionId !== institutionId || !COMMITTEE_ROLES.includes(user.role)) {
+      throw new BadRequestException('Committee members must be faculty or the principal of the same institution');
+    }
+
+    const member = await this.prisma.$transaction(async (tx) => {
+      if (data.isChair) {
+        await tx.grievanceCommitteeMember.updateMany({
+          where: { institutionId, isChair: true },
+          data: { isChair: false },
+        });
+      }
+
+      return tx.grievanceCommitteeMember.upsert({
+        where: { institutionId_userId: { institutionId, userId: user.id } },
+        create: { institutionId, userId: user.id, isChair: !!data.isChair, addedById: actor.userId },
+        update: { isChair: !!data.isChair },
+        include: {
+          user: { select: { id: true, name: true, email: true, role: true, designation: true } },
+        },
+      });
+    });
+
+    // Membership decides which grievances appear in the member's list
+    await this.cache.del(`grievances:faculty:${user.id}`);
+
+    const assigned = await this.assignWaitingGrievances(institutionId, actor.userId);
+
+    this.auditService.log({
+      action: AuditAction.GRIEVANCE_UPDATE,
+      entityType: 'GrievanceCommitteeMember',
+      entityId: member.id,
+      userId: actor.userId,
+      userRole: actor.role,
+      category: AuditCategory.SUPPORT,
+      severity: AuditSeverity.HIGH,
+      institutionId,
+      description: `${user.name} added to the grievance committee${data.isChair ? ' as chair' : ''}`,
+      newValues: { userId: user.id, isChair: !!data.isChair, assignedGrievances: assigned },
+    }).catch(() => {});
+
+    return {
+      success: true,
+      message:
+        `${user.name} added to the grievance committee` +
+        (assigned > 0 ? `; ${assigned} waiting confidential grievance(s) assigned to the committee` : ''),
+      data: member,
+    };
+  }
+
+  /**
+   * Hand confidential grievances submitted while the institution had no committee to
+   * the chair (getChair). Grievances already at state level stay with the directorate.
+   */
+  private async assignWaitingGrievances(institutionId: string, actorId: string): Promise<number> {
+    const chair = await this.getChair(institutionId);
+    if (!chair) return 0;
+
+    const waiting = await this.prisma.grievance.findMany({
+      where: {
+        isConfidential: true,
+        assignedToId: null,
+        status: { notIn: [...GRIEVANCE_CLOSED_STATUSES] as GrievanceStatus[] },
+        escalationLevel: { not: EscalationLevel.STATE_DIRECTORATE },
+        student: { institutionId },
+      },
+      select: { id: true, status: true, escalationLevel: true },
+    });
+
+    let assigned = 0;
+    for (const grievance of waiting) {
+      const claimed = await this.prisma.$transaction(async (tx) => {
+        // Skip grievances someone assigned in the meantime
+        const { count } = await tx.grievance.updateMany({
+          where: { id: grievance.id, assignedToId: null },
+          data: { assignedToId: chair.userId },
+        });
+        if (count === 0) return false;
+
+        await tx.grievanceStatusHistory.create({
+          data: {
+            grievanceId: grievance.id,
+            fromStatus: grievance.status,
+            toStatus: grievance.status,
+            changedById: actorId,
+            escalationLevel: grievance.escalationLevel,
+            escalatedToId: chair.userId,
+            action: 'ASSIGNED',
+            remarks: 'Assigned to the grievance committee once it was set up',
+          },
+        });
+        return true;
+      });
+      if (claimed) assigned++;
+    }
+
+    if (assigned > 0) {
+      await this.notificationService.create(
+        chair.userId,
+        'GRIEVANCE_ASSIGNED',
+        'Confidential Grievances Waiting',
+        `${assigned} confidential grievance(s) submitted before the committee was set up are now assigned to you.`,
+        { institutionId, count: assigned, confidential: true },
+      );
+      await this.cache.del(`grievances:faculty:${chair.userId}`);
+      await this.cache.del(`grievances:institution:${institutionId}`);
+      this.logger.log(`Assigned ${assigned} waiting confidential grievance(s) in ${institutionId} to ${chair.userId}`);
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Remove a member from a committee
+   */
+  async removeMember(actor: CommitteeActor, memberId: string) {
+    const member = await this.prisma.grievanceCommitteeMember.findUnique({
+      where: { id: memberId },
+      include: { user: { select: { id: true, name: true } } },
+    });
+
+    if (!member) {
+      throw new NotFoundException('Committee member not found');
+    }
+    this.resolveInstitution(actor, member.institutionId);
+
+    await this.prisma.grievanceCommitteeMember.delete({ where: { id: memberId } });
+    await this.cache.del(`grievances:faculty:${member.userId}`);
+
+    this.auditService.log({
+      action: AuditAction.GRIEVANCE_UPDATE,
+      entityType: 'GrievanceCommitteeMember',
+      entityId: memberId,
+      userId: actor.userId,
+      userRole: actor.role,
+      category: AuditCategory.SUPPORT,
+      severity: AuditSeverity.HIGH,
+      institutionId: member.institutionId,
+      description: `${member.user.name} removed from the grievance committee`,
+      oldValues: { userId: member.userId, isChair: member.isChair },
+    }).catch(() => {});
+
+    return {
+      success: true,
+      message: `${member.user.name} removed from the grievance committee`,
+    };
+  }
+
+  /**
+   * Principals manage their own institution's committee; the state directorate can
+   * manage any institution's
+   */
+  private resolveInstitution(actor: CommitteeActor, institutionId?: string): string {
+    if (actor.role === Role.STATE_DIRECTORATE) {
+      if (!institutionId) {
+        throw new BadRequestException('Institution ID is required');
+      }
+      return institutionId;
+    }
+
+    if (!actor.institutionId) {
+      throw new BadRequestException('Institution ID is required');
+    }
+    if (institutionId && institutionId !== actor.institutionId) {
+      throw new ForbiddenException('You can only manage the committee of your own institution');
+    }
+    return actor.institutionId;
+  }
+}
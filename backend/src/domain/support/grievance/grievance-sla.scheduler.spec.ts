@@ -0,0 +1,179 @@
+import {
+  EscalationLevel,
+  GrievanceCategory,
+  GrievancePriority,
+  GrievanceStatus,
+  Role,
+} from '../../../generated/prisma/client';
+import { GrievanceService } from './grievance.service';
+import { GrievanceSlaScheduler } from './grievance-sla.scheduler';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * In-memory grievance table for the filters and updates the SLA scheduler uses
+ */
+function createPrisma(rows: Record<string, any>[]) {
+  const matches = (row: any, where: any): boolean =>
+    Object.entries(where).every(([key, condition]: [string, any]) => {
+      if (key === 'OR') return condition.some((branch: any) => matches(row, branch));
+      const value = row[key];
+      if (condition === null || typeof condition !== 'object' || condition instanceof Date) return value === condition;
+      if ('in' in condition && !condition.in.includes(value)) return false;
+      if ('notIn' in condition && condition.notIn.includes(value)) return false;
+      if ('not' in condition && value === condition.not) return false;
+      if ('lte' in condition && !(value && value <= condition.lte)) return false;
+      if ('gt' in condition && !(value && value > condition.gt)) return false;
+      return true;
+    });
+  const apply = (row: any, data: any) => {
+    for (const [key, value] of Object.entries<any>(data)) {
+      if (value && typeof value === 'object' && 'increment' in value) row[key] += value.increment;
+      else if (value && typeof value === 'object' && 'push' in value) row[key] = [...row[key], value.push];
+      else row[key] = value;
+    }
+    return row;
+  };
+
+  const prisma: any = {
+    grievance: {
+      findMany: jest.fn(async ({ where }: any) => rows.filter((row) => matches(row, where)).map((row) => ({ ...row }))),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const row = rows.find((candidate) => candidate.id === where.id);
+        return row && { ...row, assignedTo: null };
+      }),
+      update: jest.fn(async ({ where, data }: any) => ({ ...apply(rows.find((row) => row.id === where.id), data) })),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const matched = rows.filter((row) => matches(row, where));
+        matched.forEach((row) => apply(row, data));
+        return { count: matched.length };
+      }),
+    },
+    grievanceStatusHistory: { create: jest.fn(async () => ({})) },
+    user: {
+      findFirst: jest.fn(async ({ where }: any) => ({ id: where.role === Role.PRINCIPAL ? 'principal-1' : 'state-1' })),
+      findMany: jest.fn(async () => [{ id: 'state-1' }]),
+    },
+  };
+  prisma.$transaction = jest.fn(async (callback: any) => callback(prisma));
+  return prisma;
+}
+
+function createInstances(rows: Record<string, any>[], count = 2) {
+  const prisma = createPrisma(rows);
+  const notificationService: any = { create: jest.fn(async () => null) };
+  const systemConfigService: any = { get: jest.fn(async () => undefined) };
+
+  const schedulers = Array.from({ length: count }, () => {
+    const grievanceService = new GrievanceService(
+      prisma,
+      { del: jest.fn() } as any,
+      notificationService,
+      { log: jest.fn(async () => null) } as any,
+      systemConfigService,
+      {} as any,
+    );
+    return new GrievanceSlaScheduler(prisma, grievanceService, notificationService, systemConfigService);
+  });
+  return { schedulers, prisma, notificationService };
+}
+
+const grievance = (overrides: Record<string, any> = {}) => ({
+  id: 'grievance-1',
+  title: 'Stipend not paid',
+  category: GrievanceCategory.PAYMENT_ISSUE,
+  severity: GrievancePriority.MEDIUM,
+  status: GrievanceStatus.IN_PROGRESS,
+  escalationLevel: EscalationLevel.MENTOR,
+  escalationCount: 0,
+  assignedToId: 'mentor-1',
+  previousAssignees: [],
+  escalationHistory: [],
+  responseDueAt: null,
+  resolutionDueAt: new Date(Date.now() - HOUR),
+  slaReminderSentAt: null,
+  slaBreachedAt: null,
+  slaBreachCount: 0,
+  student: { userId: 'student-user-1', institutionId: 'inst-1' },
+  ...overrides,
+});
+
+describe('GrievanceSlaScheduler', () => {
+  it('escalates a breached grievance once when two instances run together', async () => {
+    const rows = [grievance()];
+    const { schedulers, prisma } = createInstances(rows);
+
+    await Promise.all(schedulers.map((scheduler) => (scheduler as any).handleBreaches()));
+
+    expect(rows[0]).toMatchObject({
+      escalationLevel: EscalationLevel.PRINCIPAL,
+      escalationCount: 1,
+      slaBreachCount: 1,
+      assignedToId: 'principal-1',
+    });
+    expect(rows[0].resolutionDueAt.getTime()).toBeGreaterThan(Date.now());
+    expect(prisma.grievanceStatusHistory.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('writes the breach and the escalation in one transaction', async () => {
+    const rows = [grievance()];
+    const { schedulers, prisma } = createInstances(rows, 1);
+    const writes: string[] = [];
+    let inTransaction = false;
+
+    prisma.$transaction.mockImplementation(async (callback: any) => {
+      inTransaction = true;
+      try {
+        return await callback(prisma);
+      } finally {
+        inTransaction = false;
+      }
+    });
+    for (const method of ['update', 'updateMany']) {
+      const write = prisma.grievance[method].getMockImplementation();
+      prisma.grievance[method].mockImplementation(async (args: any) => {
+        writes.push(`${method}${inTransaction ? ' in transaction' : ''}`);
+        return write(args);
+      });
+    }
+
+    await (schedulers[0] as any).handleBreaches();
+
+    expect(writes).toEqual(['updateMany in transaction', 'update in transaction']);
+    expect(rows[0]).toMatchObject({ escalationLevel: EscalationLevel.PRINCIPAL, slaBreachCount: 1 });
+  });
+
+  it('flags a state-level breach to the directorate once', async () => {
+    const rows = [grievance({ escalationLevel: EscalationLevel.STATE_DIRECTORATE, assignedToId: 'state-1' })];
+    const { schedulers, notificationService } = createInstances(rows);
+
+    await Promise.all(schedulers.map((scheduler) => (scheduler as any).handleBreaches()));
+
+    expect(rows[0]).toMatchObject({ slaBreachCount: 1, resolutionDueAt: null });
+    expect(notificationService.create).toHaveBeenCalledTimes(1);
+    expect(notificationService.create).toHaveBeenCalledWith(
+      'state-1',
+      'GRIEVANCE_SLA_BREACHED',
+      expect.any(String),
+      expect.any(String),
+      expect.anything(),
+    );
+  });
+
+  it('sends one reminder per level when two instances run together', async () => {
+    const rows = [grievance({ resolutionDueAt: new Date(Date.now() + HOUR) })];
+    const { schedulers, notificationService } = createInstances(rows);
+
+    await Promise.all(schedulers.map((scheduler) => (scheduler as any).sendReminders()));
+
+    expect(notificationService.create).toHaveBeenCalledTimes(1);
+    expect(notificationService.create).toHaveBeenCalledWith(
+      'mentor-1',
+      'GRIEVANCE_SLA_REMINDER',
+      expect.any(String),
+      expect.any(String),
+      expect.objectContaining({ grievanceId: 'grievance-1', clock: 'RESOLUTION' }),
+    );
+    expect(rows[0].slaReminderSentAt).toBeInstanceOf(Date);
+  });
+});
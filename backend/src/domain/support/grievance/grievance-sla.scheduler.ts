@@ -0,0 +1,236 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { Cron } from '@nestjs/schedule';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { NotificationService } from '../../../infrastructure/notification/notification.service';
+import { SystemConfigService } from '../../../api/system-admin/services/system-config.service';
+import { GrievanceService } from './grievance.service';
+import { EscalationLevel, GrievanceStatus, Prisma, Role } from '../../../generated/prisma/client';
+import {
+  GRIEVANCE_AWAITING_RESPONSE_STATUSES,
+  GRIEVANCE_CLOSED_STATUSES,
+} from './grievance-sla.util';
+
+// Grievances handled per run; the rest are picked up on the next run
+const BATCH_SIZE = 200;
+
+const AWAITING_RESPONSE = [...GRIEVANCE_AWAITING_RESPONSE_STATUSES] as GrievanceStatus[];
+const CLOSED = [...GRIEVANCE_CLOSED_STATUSES] as GrievanceStatus[];
+
+/**
+ * Watches grievance SLA clocks: reminds the assignee before a breach and escalates
+ * breached grievances to the next level. Grievances already at the highest level are
+ * flagged to the state directorate instead, and their clocks are cleared so they are
+ * reported only once. Every grievance is claimed with a conditional update before it
+ * is acted on, so instances running side by side handle it once.
+ */
+@Injectable()
+export class GrievanceSlaScheduler {
+  private readonly logger = new Logger(GrievanceSlaScheduler.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly grievanceService: GrievanceService,
+    private readonly notificationService: NotificationService,
+    private readonly systemConfigService: SystemConfigService,
+  ) {}
+
+  /**
+   * Check SLA timers every 15 minutes
+   */
+  @Cron('0 */15 * * * *')
+  async checkSlaTimers(): Promise<void> {
+    try {
+      await this.backfillDueDates();
+      await this.sendReminders();
+
+      const autoEscalation = await this.systemConfigService.get<boolean>('features.grievanceAutoEscalation');
+      if (autoEscalation !== false) {
+        await this.handleBreaches();
+      }
+    } catch (error) {
+      this.logger.error('Failed to check grievance SLA timers', error.stack);
+    }
+  }
+
+  /**
+   * Open grievances from before SLAs existed get due dates counted from when they
+   * reached their current level
+   */
+  private async backfillDueDates() {
+    const grievances = await this.prisma.grievance.findMany({
+      where: { status: { notIn: CLOSED }, resolutionDueAt: null, slaBreachCount: 0 },
+      select: { id: true, severity: true, escalationCount: true, category: true, submittedDate: true, escalatedAt: true },
+      take: BATCH_SIZE,
+    });
+
+    for (const grievance of grievances) {
+      const dueDates = await this.grievanceService.getSlaDueDates(
+        this.grievanceService.getSlaSeverity(grievance),
+        grievance.category,
+        grievance.escalatedAt ?? grievance.submittedDate,
+      );
+      await this.prisma.grievance.updateMany({ where: { id: grievance.id, resolutionDueAt: null }, data: dueDates });
+    }
+
+    if (grievances.length > 0) {
+      this.logger.log(`Set SLA due dates on ${grievances.length} existing grievances`);
+    }
+  }
+
+  /**
+   * Remind the assignee once per level when a due date is close
+   */
+  private async sendReminders() {
+    const now = new Date();
+    const reminderHours = (await this.systemConfigService.get<number>('notifications.grievanceSlaReminderHours')) || 12;
+    const soon = new Date(now.getTime() + reminderHours * 60 * 60 * 1000);
+
+    const where: Prisma.GrievanceWhereInput = {
+      status: { notIn: CLOSED },
+      assignedToId: { not: null },
+      slaReminderSentAt: null,
+      OR: [
+        { status: { in: AWAITING_RESPONSE }, responseDueAt: { gt: now, lte: soon } },
+        { resolutionDueAt: { gt: now, lte: soon } },
+      ],
+    };
+
+    const grievances = await this.prisma.grievance.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        assignedToId: true,
+        responseDueAt: true,
+        resolutionDueAt: true,
+      },
+      take: BATCH_SIZE,
+    });
+
+    let sent = 0;
+
+    for (const grievance of grievances) {
+      const { count } = await this.prisma.grievance.updateMany({
+        where: { ...where, id: grievance.id },
+        data: { slaReminderSentAt: now },
+      });
+      if (count === 0) continue;
+
+      const responseDue =
+        AWAITING_RESPONSE.includes(grievance.status) &&
+        grievance.responseDueAt &&
+        grievance.responseDueAt <= soon;
+      const dueAt = responseDue ? grievance.responseDueAt! : grievance.resolutionDueAt!;
+
+      await this.notificationService.create(
+        grievance.assignedToId!,
+        'GRIEVANCE_SLA_REMINDER',
+        responseDue ? 'Grievance Response Due Soon' : 'Grievance Resolution Due Soon',
+        `Grievance "${grievance.title}" must be ${responseDue ? 'picked up' : 'resolved'} by ${dueAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} or it will be escalated.`,
+        { grievanceId: grievance.id, dueAt, clock: responseDue ? 'RESPONSE' : 'RESOLUTION' },
+      );
+      sent++;
+    }
+
+    if (sent > 0) {
+      this.logger.log(`Sent ${sent} grievance SLA reminders`);
+    }
+  }
+
+  /**
+   * Escalate breached grievances, or flag them when there is no higher level
+   */
+  private async handleBreaches() {
+    const now = new Date();
+
+    const where: Prisma.GrievanceWhereInput = {
+      status: { notIn: CLOSED },
+      OR: [
+        { status: { in: AWAITING_RESPONSE }, responseDueAt: { lte: now } },
+        { resolutionDueAt: { lte: now } },
+      ],
+    };
+
+    const grievances = await this.prisma.grievance.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        escalationLevel: true,
+        assignedToId: true,
+        responseDueAt: true,
+      },
+      orderBy: { resolutionDueAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    let escalated = 0;
+    let flagged = 0;
+
+    for (const grievance of grievances) {
+      const responseMissed =
+        AWAITING_RESPONSE.includes(grievance.status) && !!grievance.responseDueAt && grievance.responseDueAt <= now;
+      const reason = responseMissed
+        ? `Automatically escalated: no response within the SLA at ${grievance.escalationLevel.replace(/_/g, ' ')} level`
+        : `Automatically escalated: not resolved within the SLA at ${grievance.escalationLevel.replace(/_/g, ' ')} level`;
+
+      try {
+        // Only the run that still finds the grievance breached at this level acts on it.
+        // Clearing the clocks takes it out of that filter for every other run; an
+        // escalation sets the new level's clocks in the same transaction.
+        const claimWhere = { ...where, id: grievance.id, escalationLevel: grievance.escalationLevel };
+        const breachData: Prisma.GrievanceUpdateManyMutationInput = {
+          slaBreachedAt: now,
+          slaBreachCount: { increment: 1 },
+          responseDueAt: null,
+          resolutionDueAt: null,
+        };
+
+        if (grievance.escalationLevel === EscalationLevel.STATE_DIRECTORATE) {
+          const { count } = await this.prisma.grievance.updateMany({ where: claimWhere, data: breachData });
+          if (count === 0) continue;
+
+          await this.notifyTopLevelBreach(grievance, responseMissed);
+          flagged++;
+          continue;
+        }
+
+        const result = await this.grievanceService.autoEscalateGrievance(grievance.id, reason, {
+          where: claimWhere,
+          data: breachData,
+        });
+        if (result) escalated++;
+      } catch (error) {
+        this.logger.warn(`Failed to handle SLA breach for grievance ${grievance.id}: ${error.message}`);
+      }
+    }
+
+    if (escalated > 0 || flagged > 0) {
+      this.logger.warn(`Grievance SLA breaches: ${escalated} auto-escalated, ${flagged} flagged at state level`);
+    }
+  }
+
+  private async notifyTopLevelBreach(
+    grievance: { id: string; title: string; assignedToId: string | null },
+    responseMissed: boolean,
+  ) {
+    const stateUsers = await this.prisma.user.findMany({
+      where: { role: Role.STATE_DIRECTORATE, active: true },
+      select: { id: true },
+    });
+    const recipients = new Set(stateUsers.map((user) => user.id));
+    if (grievance.assignedToId) recipients.add(grievance.assignedToId);
+
+    for (const userId of recipients) {
+      await this.notificationService.create(
+        userId,
+        'GRIEVANCE_SLA_BREACHED',
+        'Grievance SLA Breached',
+        `Grievance "${grievance.title}" was not ${responseMissed ? 'picked up' : 'resolved'} within the SLA at state level and needs immediate attention.`,
+        { grievanceId: grievance.id, clock: responseMissed ? 'RESPONSE' : 'RESOLUTION' },
+      );
+    }
+  }
+}
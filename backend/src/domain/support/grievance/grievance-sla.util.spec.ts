@@ -0,0 +1,98 @@
+import {
+  DEFAULT_GRIEVANCE_SLA_POLICY,
+  normalizeGrievanceSlaPolicy,
+  getGrievanceSlaHours,
+  computeGrievanceSlaDueDates,
+  getGrievanceSlaState,
+} from './grievance-sla.util';
+
+describe('normalizeGrievanceSlaPolicy', () => {
+  it('falls back to defaults for missing or invalid values', () => {
+    const policy = normalizeGrievanceSlaPolicy({
+      responseHours: { LOW: 96, MEDIUM: -1, HIGH: 'abc' },
+      resolutionHours: { URGENT: '36' },
+    });
+
+    expect(policy.responseHours).toEqual({ LOW: 96, MEDIUM: 48, HIGH: 24, URGENT: 8 });
+    expect(policy.resolutionHours.URGENT).toBe(36);
+    expect(policy.categoryOverrides).toEqual(DEFAULT_GRIEVANCE_SLA_POLICY.categoryOverrides);
+  });
+
+  it('returns the defaults for non-object input', () => {
+    expect(normalizeGrievanceSlaPolicy(null)).toEqual(DEFAULT_GRIEVANCE_SLA_POLICY);
+    expect(normalizeGrievanceSlaPolicy([1, 2])).toEqual(DEFAULT_GRIEVANCE_SLA_POLICY);
+  });
+
+  it('drops category overrides without any valid hours', () => {
+    const policy = normalizeGrievanceSlaPolicy({
+      categoryOverrides: { PAYMENT_ISSUE: { responseHours: 12 }, DOCUMENTATION: { responseHours: 0 } },
+    });
+
+    expect(policy.categoryOverrides).toEqual({ PAYMENT_ISSUE: { responseHours: 12 } });
+  });
+});
+
+describe('getGrievanceSlaHours', () => {
+  it('uses the priority hours when the category has no override', () => {
+    expect(getGrievanceSlaHours(DEFAULT_GRIEVANCE_SLA_POLICY, 'LOW', 'DOCUMENTATION')).toEqual({
+      responseHours: 72,
+      resolutionHours: 336,
+    });
+  });
+
+  it('applies the stricter of priority and category limits', () => {
+    expect(getGrievanceSlaHours(DEFAULT_GRIEVANCE_SLA_POLICY, 'HIGH', 'WORKPLACE_HARASSMENT')).toEqual({
+      responseHours: 4,
+      resolutionHours: 72,
+    });
+    expect(getGrievanceSlaHours(DEFAULT_GRIEVANCE_SLA_POLICY, 'URGENT', 'DISCRIMINATION')).toEqual({
+      responseHours: 8,
+      resolutionHours: 48,
+    });
+  });
+
+  it('treats an unknown priority as MEDIUM', () => {
+    expect(getGrievanceSlaHours(DEFAULT_GRIEVANCE_SLA_POLICY, 'CRITICAL', 'OTHER').responseHours).toBe(48);
+  });
+});
+
+describe('computeGrievanceSlaDueDates', () => {
+  it('adds the SLA hours to the start time', () => {
+    const from = new Date('2026-03-02T10:00:00.000Z');
+    const { responseDueAt, resolutionDueAt } = computeGrievanceSlaDueDates(
+      DEFAULT_GRIEVANCE_SLA_POLICY,
+      'URGENT',
+      'OTHER',
+      from,
+    );
+
+    expect(responseDueAt.toISOString()).toBe('2026-03-02T18:00:00.000Z');
+    expect(resolutionDueAt.toISOString()).toBe('2026-03-04T10:00:00.000Z');
+  });
+});
+
+describe('getGrievanceSlaState', () => {
+  const now = new Date('2026-03-02T10:00:00.000Z');
+  const hoursFromNow = (hours: number) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  it('is MET once the grievance is closed', () => {
+    expect(getGrievanceSlaState({ status: 'RESOLVED', resolutionDueAt: hoursFromNow(-5) }, now, 12)).toBe('MET');
+  });
+
+  it('only watches the response clock while awaiting a response', () => {
+    const grievance = { responseDueAt: hoursFromNow(-1), resolutionDueAt: hoursFromNow(48) };
+
+    expect(getGrievanceSlaState({ ...grievance, status: 'SUBMITTED' }, now, 12)).toBe('BREACHED');
+    expect(getGrievanceSlaState({ ...grievance, status: 'IN_PROGRESS' }, now, 12)).toBe('ON_TRACK');
+  });
+
+  it('is DUE_SOON inside the reminder window', () => {
+    expect(
+      getGrievanceSlaState({ status: 'UNDER_REVIEW', resolutionDueAt: hoursFromNow(6) }, now, 12),
+    ).toBe('DUE_SOON');
+  });
+
+  it('is ON_TRACK when no due dates are set', () => {
+    expect(getGrievanceSlaState({ status: 'PENDING' }, now, 12)).toBe('ON_TRACK');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Grievance SLA Utility
+ *
+ * Every grievance has two clocks: a response clock (someone at the current escalation
+ * level has to pick it up) and a resolution clock (it has to be resolved, closed or
+ * rejected). Both restart when the grievance moves up a level, so the new owner gets
+ * the full window. Hours come from the priority, and a category can set a tighter
+ * limit (e.g. harassment complaints), in which case the stricter of the two wins.
+ *
+ * The policy is stored in SystemConfig under `grievance.slaPolicy`; missing or invalid
+ * values fall back to DEFAULT_GRIEVANCE_SLA_POLICY so a bad edit never stops the timers.
+ *
+ * Example:
+ * getGrievanceSlaHours(DEFAULT_GRIEVANCE_SLA_POLICY, 'HIGH', 'WORKPLACE_HARASSMENT')
+ *   -> { responseHours: 4, resolutionHours: 72 }
+ */
+
+export type GrievanceSlaPriority = 'LOW' | 'MEDIUM' | 'HIGH' | 'URGENT';
+
+export interface GrievanceSlaHours {
+  responseHours: number;
+  resolutionHours: number;
+}
+
+export interface GrievanceSlaPolicy {
+  responseHours: Record<GrievanceSlaPriority, number>;
+  resolutionHours: Record<GrievanceSlaPriority, number>;
+  categoryOverrides: Record<string, Partial<GrievanceSlaHours>>;
+}
+
+export type GrievanceSlaState = 'ON_TRACK' | 'DUE_SOON' | 'BREACHED' | 'MET';
+
+const PRIORITIES: GrievanceSlaPriority[] = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Upper bound for any single SLA window (90 days); anything above is a typo
+const MAX_SLA_HOURS = 90 * 24;
+
+export const DEFAULT_GRIEVANCE_SLA_POLICY: GrievanceSlaPolicy = {
+  responseHours: { LOW: 72, MEDIUM: 48, HIGH: 24, URGENT: 8 },
+  resolutionHours: { LOW: 336, MEDIUM: 240, HIGH: 120, URGENT: 48 },
+  categoryOverrides: {
+    WORKPLACE_HARASSMENT: { responseHours: 4, resolutionHours: 72 },
+    HARASSMENT: { responseHours: 4, resolutionHours: 72 },
+    DISCRIMINATION: { responseHours: 8, resolutionHours: 96 },
+    SAFETY_CONCERN: { responseHours: 4, resolutionHours: 72 },
+  },
+};
+
+// Statuses where the current escalation level has not yet picked the grievance up
+export const GRIEVANCE_AWAITING_RESPONSE_STATUSES = ['SUBMITTED', 'PENDING', 'ESCALATED'] as const;
+
+// Statuses where the resolution clock has stopped
+export const GRIEVANCE_CLOSED_STATUSES = ['RESOLVED', 'CLOSED', 'REJECTED'] as const;
+
+function toHours(value: unknown, fallback: number): number {
+  const hours = typeof value === 'string' ? Number(value) : value;
+  if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > MAX_SLA_HOURS) {
+    return fallback;
+  }
+  return hours;
+}
+
+function toOptionalHours(value: unknown): number | undefined {
+  const hours = toHours(value, NaN);
+  return Number.isNaN(hours) ? undefined : hours;
+}
+
+/**
+ * Merge a stored policy over the defaults, dropping values that are not positive hours
+ */
+export function normalizeGrievanceSlaPolicy(raw: unknown): GrievanceSlaPolicy {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, any>) : {};
+  const defaults = DEFAULT_GRIEVANCE_SLA_POLICY;
+
+  const byPriority = (key: 'responseHours' | 'resolutionHours') =>
+    PRIORITIES.reduce(
+      (acc, priority) => {
+        acc[priority] = toHours(source[key]?.[priority], defaults[key][priority]);
+        return acc;
+      },
+      {} as Record<GrievanceSlaPriority, number>,
+    );
+
+  const overridesSource =
+    source.categoryOverrides && typeof source.categoryOverrides === 'object'
+      ? source.categoryOverrides
+      : defaults.categoryOverrides;
+
+  const categoryOverrides: Record<string, Partial<GrievanceSlaHours>> = {};
+  for (const [category, override] of Object.entries(overridesSource as Record<string, any>)) {
+    const responseHours = toOptionalHours(override?.responseHours);
+    const resolutionHours = toOptionalHours(override?.resolutionHours);
+    if (responseHours === undefined && resolutionHours === undefined) continue;
+    categoryOverrides[category] = {
+      ...(responseHours !== undefined && { responseHours }),
+      ...(resolutionHours !== undefined && { resolutionHours }),
+    };
+  }
+
+  return {
+    responseHours: byPriority('responseHours'),
+    resolutionHours: byPriority('resolutionHours'),
+    categoryOverrides,
+  };
+}
+
+/**
+ * SLA hours for a grievance. A category override only ever tightens the priority SLA.
+ */
+export function getGrievanceSlaHours(
+  policy: GrievanceSlaPolicy,
+  priority: string,
+  category: string,
+): GrievanceSlaHours {
+  const key = (PRIORITIES.includes(priority as GrievanceSlaPriority) ? priority : 'MEDIUM') as GrievanceSlaPriority;
+  const override = policy.categoryOverrides[category] || {};
+
+  return {
+    responseHours: Math.min(policy.responseHours[key], override.responseHours ?? Infinity),
+    resolutionHours: Math.min(policy.resolutionHours[key], override.resolutionHours ?? Infinity),
+  };
+}
+
+/**
+ * Due dates for both clocks, counted from when the grievance reached its current level
+ */
+export function computeGrievanceSlaDueDates(
+  policy: GrievanceSlaPolicy,
+  priority: string,
+  category: string,
+  from: Date,
+): { responseDueAt: Date; resolutionDueAt: Date } {
+  const { responseHours, resolutionHours } = getGrievanceSlaHours(policy, priority, category);
+  const start = from.getTime();
+
+  return {
+    responseDueAt: new Date(start + responseHours * 60 * 60 * 1000),
+    resolutionDueAt: new Date(start + resolutionHours * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Where a grievance stands against its SLA right now
+ */
+export function getGrievanceSlaState(
+  grievance: { status: string; responseDueAt?: Date | null; resolutionDueAt?: Date | null },
+  now: Date,
+  reminderBeforeHours: number,
+): GrievanceSlaState {
+  if ((GRIEVANCE_CLOSED_STATUSES as readonly string[]).includes(grievance.status)) {
+    return 'MET';
+  }
+
+  const awaitingResponse = (GRIEVANCE_AWAITING_RESPONSE_STATUSES as readonly string[]).includes(grievance.status);
+  const dueDates = [awaitingResponse ? grievance.responseDueAt : null, grievance.resolutionDueAt]
+    .filter((date): date is Date => !!date)
+    .map((date) => new Date(date).getTime());
+
+  if (dueDates.length === 0) return 'ON_TRACK';
+
+  const nextDue = Math.min(...dueDates);
+  if (nextDue <= now.getTime()) return 'BREACHED';
+  if (nextDue - now.getTime() <= reminderBeforeHours * 60 * 60 * 1000) return 'DUE_SOON';
+  return 'ON_TRACK';
+}
@@ -3,6 +3,7 @@ import {
   Get,
   Post,
   Patch,
+  Delete,
   Body,
   Param,
   Query,
@@ -17,7 +18,10 @@ import {
   RespondToGrievanceDto,
   AssignGrievanceDto,
   EscalateGrievanceDto,
+  GrievanceFeedbackDto,
+  ReopenGrievanceDto,
 } from './grievance.service';
+import { GrievanceCommitteeService, AddCommitteeMemberDto } from './grievance-committee.service';
 import { JwtAuthGuard } from '../../../core/auth/guards/jwt-auth.guard';
 import { RolesGuard } from '../../../core/auth/guards/roles.guard';
 import { Roles } from '../../../core/auth/decorators/roles.decorator';
@@ -26,7 +30,10 @@ import { GrievanceStatus } from '../../../generated/prisma/client';
 @Controller('grievances')
 @UseGuards(JwtAuthGuard, RolesGuard)
 export class GrievanceController {
-  constructor(private readonly grievanceService: GrievanceService) {}
+  constructor(
+    private readonly grievanceService: GrievanceService,
+    private readonly committeeService: GrievanceCommitteeService,
+  ) {}
 
   /**
    * Get all grievances (with optional filtering)
@@ -41,7 +48,7 @@ export class GrievanceController {
     if (req.user.role === 'STATE_DIRECTORATE') {
       // Optionally filter by escalation level if provided
       const escalationLevel = params.escalationLevel || null;
-      return this.grievanceService.getAllGrievances(escalationLevel);
+      return this.grievanceService.getAllGrievances(escalationLevel, req.user);
     }
 
     // For other roles, filter by institution
@@ -49,7 +56,7 @@ export class GrievanceController {
     if (!institutionId) {
       throw new HttpException('Institution ID is required', HttpStatus.BAD_REQUEST);
     }
-    return this.grievanceService.getGrievancesByInstitution(institutionId);
+    return this.grievanceService.getGrievancesByInstitution(institutionId, req.user);
   }
 
   /**
@@ -81,14 +88,47 @@ export class GrievanceController {
     return this.grievanceService.getAssignableUsers(instId);
   }
 
+  /**
+   * Get the confidential grievance committee of an institution
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution)
+   */
+  @Get('committee')
+  @Roles('STATE_DIRECTORATE', 'PRINCIPAL')
+  async getCommittee(@Query('institutionId') institutionId: string, @Request() req: any) {
+    return this.committeeService.getCommittee(req.user, institutionId);
+  }
+
+  /**
+   * Add a member to the confidential grievance committee
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution)
+   */
+  @Post('committee')
+  @Roles('STATE_DIRECTORATE', 'PRINCIPAL')
+  async addCommitteeMember(@Body() data: AddCommitteeMemberDto, @Request() req: any) {
+    if (!data?.userId) {
+      throw new HttpException('User ID is required', HttpStatus.BAD_REQUEST);
+    }
+    return this.committeeService.addMember(req.user, data);
+  }
+
+  /**
+   * Remove a member from the confidential grievance committee
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution)
+   */
+  @Delete('committee/:memberId')
+  @Roles('STATE_DIRECTORATE', 'PRINCIPAL')
+  async removeCommitteeMember(@Param('memberId') memberId: string, @Request() req: any) {
+    return this.committeeService.removeMember(req.user, memberId);
+  }
+
   /**
    * Get grievances by institution ID
    * Access: STATE_DIRECTORATE, PRINCIPAL, FACULTY_SUPERVISOR
    */
   @Get('institution/:institutionId')
   @Roles('STATE_DIRECTORATE', 'PRINCIPAL')
-  async getGrievancesByInstitution(@Param('institutionId') institutionId: string) {
-    return this.grievanceService.getGrievancesByInstitution(institutionId);
+  async getGrievancesByInstitution(@Param('institutionId') institutionId: string, @Request() req: any) {
+    return this.grievanceService.getGrievancesByInstitution(institutionId, req.user);
   }
 
   /**
@@ -102,7 +142,7 @@ export class GrievanceController {
     if (req.user.userId !== userId && !['STATE_DIRECTORATE', 'PRINCIPAL'].includes(req.user.role)) {
       throw new HttpException('Unauthorized', HttpStatus.FORBIDDEN);
     }
-    return this.grievanceService.getGrievancesByFaculty(userId);
+    return this.grievanceService.getGrievancesByFaculty(userId, req.user);
   }
 
   /**
@@ -118,7 +158,7 @@ export class GrievanceController {
       console.log(`[GrievanceController] Unauthorized - userId mismatch`);
       throw new HttpException('Unauthorized', HttpStatus.FORBIDDEN);
     }
-    return this.grievanceService.getGrievancesByUser(userId);
+    return this.grievanceService.getGrievancesByUser(userId, req.user);
   }
 
   /**
@@ -127,7 +167,7 @@ export class GrievanceController {
    */
   @Get('student/:studentId')
   async getGrievancesByStudentId(@Param('studentId') studentId: string, @Request() req: any) {
-    return this.grievanceService.getGrievancesByStudentId(studentId);
+    return this.grievanceService.getGrievancesByStudentId(studentId, req.user);
   }
 
   /**
@@ -135,8 +175,8 @@ export class GrievanceController {
    * Access: Any authenticated user
    */
   @Get(':id/escalation-chain')
-  async getEscalationChain(@Param('id') id: string) {
-    return this.grievanceService.getEscalationChain(id);
+  async getEscalationChain(@Param('id') id: string, @Request() req: any) {
+    return this.grievanceService.getEscalationChain(id, req.user);
   }
 
   /**
@@ -145,10 +185,11 @@ export class GrievanceController {
    */
   @Get(':id')
   async getGrievanceById(@Param('id') id: string, @Request() req: any) {
-    const grievance = await this.grievanceService.getGrievanceById(id);
+    const grievance: any = await this.grievanceService.getGrievanceById(id, req.user);
 
     // Check access - student can see their own, faculty/admin can see all
-    const isOwner = grievance.student?.userId === req.user.userId;
+    // (confidential grievances come back redacted for anyone outside the committee)
+    const isOwner = !!grievance.student?.userId && grievance.student.userId === req.user.userId;
     const isAssigned = grievance.assignedToId === req.user.userId || grievance.facultySupervisorId === req.user.userId;
     const isAdmin = ['STATE_DIRECTORATE', 'PRINCIPAL', 'FACULTY_SUPERVISOR', 'TEACHER'].includes(req.user.role);
 
@@ -256,6 +297,40 @@ export class GrievanceController {
     return this.grievanceService.rejectGrievance(id, req.user.userId, data.reason);
   }
 
+  /**
+   * Rate the resolution of own grievance
+   * Access: STUDENT (own grievance)
+   */
+  @Post(':id/feedback')
+  @Roles('STUDENT')
+  async submitFeedback(
+    @Param('id') id: string,
+    @Body() data: GrievanceFeedbackDto,
+    @Request() req: any,
+  ) {
+    if (data?.rating === undefined || data?.rating === null) {
+      throw new HttpException('Rating is required', HttpStatus.BAD_REQUEST);
+    }
+    return this.grievanceService.submitFeedback(id, req.user.userId, data);
+  }
+
+  /**
+   * Reopen own grievance within the reopen window after resolution
+   * Access: STUDENT (own grievance)
+   */
+  @Post(':id/reopen')
+  @Roles('STUDENT')
+  async reopenGrievance(
+    @Param('id') id: string,
+    @Body() data: ReopenGrievanceDto,
+    @Request() req: any,
+  ) {
+    if (!data?.reason?.trim()) {
+      throw new HttpException('Please tell us why the grievance is not resolved', HttpStatus.BAD_REQUEST);
+    }
+    return this.grievanceService.reopenGrievance(id, req.user.userId, { ...data, reason: data.reason.trim() });
+  }
+
   /**
    * Migrate existing grievances to have default escalation level
    * Access: STATE_DIRECTORATE only (admin operation)
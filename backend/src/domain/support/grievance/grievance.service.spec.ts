@@ -0,0 +1,251 @@
+import { BadRequestException, ForbiddenException } from '@nestjs/common';
+import {
+  EscalationLevel,
+  GrievanceCategory,
+  GrievancePriority,
+  GrievanceStatus,
+  Role,
+} from '../../../generated/prisma/client';
+import { GrievanceService } from './grievance.service';
+
+const grievance = (overrides: Record<string, any> = {}) => ({
+  id: 'grievance-1',
+  title: 'Stipend not paid',
+  description: 'Two months pending',
+  category: GrievanceCategory.PAYMENT_ISSUE,
+  severity: GrievancePriority.LOW,
+  status: GrievanceStatus.PENDING,
+  escalationLevel: EscalationLevel.MENTOR,
+  escalationCount: 0,
+  isConfidential: false,
+  assignedToId: 'mentor-1',
+  previousAssignees: [],
+  studentId: 'student-1',
+  attachments: ['https://files.example/proof.pdf'],
+  preferredContactMethod: 'phone',
+  statusHistory: [{ changedById: 'student-user-1', action: 'SUBMITTED' }],
+  student: {
+    userId: 'student-user-1',
+    institutionId: 'inst-1',
+    Institution: { id: 'inst-1', name: 'GPC' },
+    user: { name: 'Asha', email: 'asha@example.edu', phoneNo: '9876543210', rollNumber: 'R1' },
+  },
+  ...overrides,
+});
+
+function createService(stored: Record<string, any>, committeeMembers: string[] = [], config: Record<string, unknown> = {}) {
+  const prisma: any = {
+    grievance: {
+      findUnique: jest.fn(async () => stored),
+      update: jest.fn(async ({ data }: any) => ({ ...stored, ...data })),
+    },
+    grievanceStatusHistory: { create: jest.fn(async () => ({})) },
+    user: {
+      findFirst: jest.fn(async () => ({ id: 'principal-1' })),
+      findUnique: jest.fn(async ({ where }: any) => ({ id: where.id, name: 'Mentor', role: Role.TEACHER })),
+    },
+  };
+  prisma.$transaction = jest.fn(async (callback: any) => callback(prisma));
+  const auditService: any = { log: jest.fn(async () => null) };
+  const committeeService: any = {
+    isMember: jest.fn(async (userId: string) => committeeMembers.includes(userId)),
+    getCommitteeInstitutionIds: jest.fn(async (userId: string) => (committeeMembers.includes(userId) ? ['inst-1'] : [])),
+  };
+
+  const service = new GrievanceService(
+    prisma,
+    { del: jest.fn() } as any,
+    { create: jest.fn() } as any,
+    auditService,
+    { get: jest.fn(async (key: string) => config[key]) } as any,
+    committeeService,
+  );
+  return { service, prisma, auditService };
+}
+
+describe('GrievanceService', () => {
+  describe('escalation', () => {
+    it("keeps the student's severity and times the new level as URGENT", async () => {
+      const { service, prisma } = createService(grievance());
+
+      await service.escalateGrievance('grievance-1', 'mentor-1', { reason: 'Needs the principal' });
+
+      const { data } = prisma.grievance.update.mock.calls[0][0];
+      const urgentDueDates = await service.getSlaDueDates(
+        GrievancePriority.URGENT,
+        GrievanceCategory.PAYMENT_ISSUE,
+        data.escalatedAt,
+      );
+
+      expect(data).not.toHaveProperty('severity');
+      expect(data).toMatchObject({
+        status: GrievanceStatus.ESCALATED,
+        escalationLevel: EscalationLevel.PRINCIPAL,
+        ...urgentDueDates,
+      });
+    });
+
+    it('runs SLA clocks of escalated grievances as URGENT', () => {
+      const { service } = createService(grievance());
+
+      expect(service.getSlaSeverity({ severity: GrievancePriority.LOW, escalationCount: 0 })).toBe(GrievancePriority.LOW);
+      expect(service.getSlaSeverity({ severity: GrievancePriority.LOW, escalationCount: 1 })).toBe(GrievancePriority.URGENT);
+    });
+
+    it('lets only the committee or the assignee escalate a confidential grievance', async () => {
+      const confidential = grievance({ isConfidential: true, escalationLevel: EscalationLevel.PRINCIPAL, assignedToId: 'member-1' });
+
+      const outsider = createService(confidential, ['member-2']);
+      await expect(outsider.service.escalateGrievance('grievance-1', 'teacher-9', { reason: 'x' })).rejects.toThrow(
+        ForbiddenException,
+      );
+      expect(outsider.prisma.grievance.update).not.toHaveBeenCalled();
+
+      const member = createService(confidential, ['member-2']);
+      await member.service.escalateGrievance('grievance-1', 'member-2', { reason: 'Refer to state' });
+      expect(member.prisma.grievance.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('confidential grievances', () => {
+    const confidential = grievance({ isConfidential: true, category: GrievanceCategory.HARASSMENT });
+
+    it("hides the student's identity and attachments from viewers outside the committee", async () => {
+      const { service, auditService } = createService(confidential);
+
+      const shown = await service.getGrievanceById('grievance-1', { userId: 'principal-9', role: Role.PRINCIPAL });
+
+      expect(shown).toMatchObject({
+        studentId: null,
+        attachments: [],
+        attachmentCount: 1,
+        preferredContactMethod: null,
+        identityHidden: true,
+        student: { institutionId: 'inst-1', user: { name: 'Confidential', email: null, phoneNo: null, rollNumber: null } },
+        statusHistory: [{ changedById: null }],
+      });
+      expect(JSON.stringify(shown)).not.toMatch(/Asha|asha@example|9876543210|student-user-1/);
+      expect(auditService.log).toHaveBeenCalledWith(
+        expect.objectContaining({ entityId: 'grievance-1', userId: 'principal-9', newValues: { identityHidden: true } }),
+      );
+    });
+
+    it('shows the full grievance to the committee and the student', async () => {
+      const committee = createService(confidential, ['member-1']);
+      await expect(
+        committee.service.getGrievanceById('grievance-1', { userId: 'member-1', role: Role.TEACHER }),
+      ).resolves.toEqual(confidential);
+
+      const student = createService(confidential);
+      await expect(
+        student.service.getGrievanceById('grievance-1', { userId: 'student-user-1', role: Role.STUDENT }),
+      ).resolves.toEqual(confidential);
+      expect(student.auditService.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('after resolution', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const resolved = (daysAgo: number, overrides: Record<string, any> = {}) =>
+      grievance({
+        status: GrievanceStatus.RESOLVED,
+        resolvedDate: new Date(Date.now() - daysAgo * DAY_MS),
+        updatedAt: new Date(Date.now() - daysAgo * DAY_MS),
+        reopenCount: 0,
+        feedbackAt: null,
+        satisfactionRating: null,
+        ...overrides,
+      });
+
+    it('reopens a grievance inside the configured window with fresh SLA clocks', async () => {
+      const { service, prisma } = createService(resolved(6), [], { 'grievance.reopenWindowDays': 7 });
+
+      await service.reopenGrievance('grievance-1', 'student-user-1', { reason: 'Still not paid', rating: 2 });
+
+      const { data } = prisma.grievance.update.mock.calls[0][0];
+      expect(data).toMatchObject({
+        status: GrievanceStatus.PENDING,
+        resolvedDate: null,
+        reopenCount: { increment: 1 },
+        reopenedAt: expect.any(Date),
+        responseDueAt: expect.any(Date),
+        resolutionDueAt: expect.any(Date),
+        slaReminderSentAt: null,
+        satisfactionRating: 2,
+      });
+      expect(prisma.grievanceStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          fromStatus: GrievanceStatus.RESOLVED,
+          toStatus: GrievanceStatus.PENDING,
+          action: 'REOPENED',
+          remarks: 'Still not paid',
+        }),
+      });
+    });
+
+    it('refuses to reopen once the window has passed', async () => {
+      const configured = createService(resolved(8), [], { 'grievance.reopenWindowDays': 7 });
+      await expect(
+        configured.service.reopenGrievance('grievance-1', 'student-user-1', { reason: 'Still not paid' }),
+      ).rejects.toThrow(/can no longer be reopened \(the window closed on .+\)\. Please submit a new grievance\./);
+      expect(configured.prisma.grievance.update).not.toHaveBeenCalled();
+
+      // Without a configured window the default of 14 days applies
+      const unconfigured = createService(resolved(8));
+      await unconfigured.service.reopenGrievance('grievance-1', 'student-user-1', { reason: 'Still not paid' });
+      expect(unconfigured.prisma.grievance.update).toHaveBeenCalled();
+
+      const expired = createService(resolved(15));
+      await expect(
+        expired.service.reopenGrievance('grievance-1', 'student-user-1', { reason: 'Still not paid' }),
+      ).rejects.toThrow(BadRequestException);
+    });
+
+    it('only lets the student who filed it reopen or rate a grievance', async () => {
+      const { service, prisma } = createService(resolved(1));
+
+      await expect(service.reopenGrievance('grievance-1', 'student-user-2', { reason: 'x' })).rejects.toThrow(
+        new ForbiddenException('You can only act on your own grievances'),
+      );
+      await expect(service.submitFeedback('grievance-1', 'student-user-2', { rating: 5 })).rejects.toThrow(
+        ForbiddenException,
+      );
+      expect(prisma.grievance.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects feedback and reopening on grievances that are not resolved or closed', async () => {
+      for (const status of [GrievanceStatus.PENDING, GrievanceStatus.IN_PROGRESS, GrievanceStatus.ESCALATED]) {
+        const { service, prisma } = createService(resolved(1, { status, resolvedDate: null }));
+
+        await expect(service.submitFeedback('grievance-1', 'student-user-1', { rating: 4 })).rejects.toThrow(
+          new BadRequestException('Only resolved or closed grievances can be rated or reopened'),
+        );
+        await expect(service.reopenGrievance('grievance-1', 'student-user-1', { reason: 'x' })).rejects.toThrow(
+          new BadRequestException('Only resolved or closed grievances can be rated or reopened'),
+        );
+        expect(prisma.grievance.update).not.toHaveBeenCalled();
+      }
+    });
+
+    it('records one rating per resolution', async () => {
+      const { service, prisma } = createService(resolved(2, { status: GrievanceStatus.CLOSED }));
+
+      await service.submitFeedback('grievance-1', 'student-user-1', { rating: 4, comment: '  Sorted quickly ' });
+      expect(prisma.grievance.update.mock.calls[0][0].data).toEqual({
+        satisfactionRating: 4,
+        satisfactionComment: 'Sorted quickly',
+        feedbackAt: expect.any(Date),
+      });
+
+      const rated = createService(resolved(2, { feedbackAt: new Date() }));
+      await expect(rated.service.submitFeedback('grievance-1', 'student-user-1', { rating: 5 })).rejects.toThrow(
+        new BadRequestException('You have already rated this resolution'),
+      );
+
+      const invalid = createService(resolved(2));
+      await expect(invalid.service.submitFeedback('grievance-1', 'student-user-1', { rating: 6 })).rejects.toThrow(
+        new BadRequestException('Rating must be a whole number from 1 to 5'),
+      );
+    });
+  });
+});
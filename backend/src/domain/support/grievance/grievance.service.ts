@@ -1,8 +1,14 @@
-import { Injectable, NotFoundException, Logger, BadRequestException } from '@nestjs/common';
+import { Injectable, NotFoundException, Logger, BadRequestException, ForbiddenException } from '@nestjs/common';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { CacheService } from '../../../core/cache/cache.service';
 import { NotificationService } from '../../../infrastructure/notification/notification.service';
 import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { SystemConfigService } from '../../../api/system-admin/services/system-config.service';
+import { GrievanceCommitteeService } from './grievance-committee.service';
+import {
+  computeGrievanceSlaDueDates,
+  normalizeGrievanceSlaPolicy,
+} from './grievance-sla.util';
 import {
   GrievanceCategory,
   GrievancePriority,
@@ -12,6 +18,7 @@ import {
   AuditAction,
   AuditCategory,
   AuditSeverity,
+  Prisma,
 } from '../../../generated/prisma/client';
 
 export interface SubmitGrievanceDto {
@@ -24,6 +31,7 @@ export interface SubmitGrievanceDto {
   facultySupervisorId?: string;
   actionRequested?: string;
   preferredContactMethod?: string;
+  isConfidential?: boolean; // Opt in to the confidential track for any category
 }
 
 export interface RespondToGrievanceDto {
@@ -42,6 +50,49 @@ export interface EscalateGrievanceDto {
   escalateToId?: string; // Optional - if not provided, auto-determine next level
 }
 
+export interface GrievanceFeedbackDto {
+  rating: number; // 1-5
+  comment?: string;
+}
+
+export interface ReopenGrievanceDto {
+  reason: string;
+  rating?: number; // Optional rating of the resolution being rejected
+  comment?: string;
+}
+
+// The user a grievance is being shown to
+export interface GrievanceViewer {
+  userId: string;
+  role: Role | string;
+}
+
+// Categories that always go to the confidential track
+export const CONFIDENTIAL_GRIEVANCE_CATEGORIES: GrievanceCategory[] = [
+  GrievanceCategory.WORKPLACE_HARASSMENT,
+  GrievanceCategory.HARASSMENT,
+  GrievanceCategory.DISCRIMINATION,
+];
+
+// Loaded with the student and institution, as needed to escalate
+type EscalatableGrievance = Prisma.GrievanceGetPayload<{
+  include: { student: { include: { user: true; Institution: true } }; assignedTo: true };
+}>;
+
+/**
+ * Condition a grievance must still meet to be escalated automatically, and the
+ * breach bookkeeping written with the escalation
+ */
+export interface EscalationClaim {
+  where: Prisma.GrievanceWhereInput;
+  data: Prisma.GrievanceUpdateManyMutationInput;
+}
+
+// Statuses a student can rate and reopen from
+const REOPENABLE_STATUSES: GrievanceStatus[] = [GrievanceStatus.RESOLVED, GrievanceStatus.CLOSED];
+
+const DEFAULT_REOPEN_WINDOW_DAYS = 14;
+
 // Escalation chain definition
 const ESCALATION_CHAIN: EscalationLevel[] = [
   EscalationLevel.MENTOR,
@@ -59,8 +110,26 @@ export class GrievanceService {
     private readonly cache: CacheService,
     private readonly notificationService: NotificationService,
     private readonly auditService: AuditService,
+    private readonly systemConfigService: SystemConfigService,
+    private readonly committeeService: GrievanceCommitteeService,
   ) {}
 
+  /**
+   * SLA due dates for a grievance reaching its current level at `from`
+   */
+  async getSlaDueDates(severity: GrievancePriority, category: GrievanceCategory, from: Date = new Date()) {
+    const policy = normalizeGrievanceSlaPolicy(await this.systemConfigService.get('grievance.slaPolicy'));
+    return computeGrievanceSlaDueDates(policy, severity, category, from);
+  }
+
+  /**
+   * Severity the SLA clocks run on. Escalated grievances are timed as URGENT; the
+   * severity the student reported stays on the record.
+   */
+  getSlaSeverity(grievance: { severity: GrievancePriority; escalationCount: number }): GrievancePriority {
+    return grievance.escalationCount > 0 ? GrievancePriority.URGENT : grievance.severity;
+  }
+
   // Helper to get next escalation level
   private getNextEscalationLevel(current: EscalationLevel): EscalationLevel | null {
     const currentIndex = ESCALATION_CHAIN.indexOf(current);
@@ -128,11 +197,19 @@ export class GrievanceService {
       });
       if (!student) throw new NotFoundException('Student not found');
 
+      const isConfidential = !!data.isConfidential || CONFIDENTIAL_GRIEVANCE_CATEGORIES.includes(data.category);
+
       // Auto-assign to student's mentor if no assignedToId provided
-      let assignedToId = data.assignedToId;
+      let assignedToId = isConfidential ? undefined : data.assignedToId;
       let mentorUser: any = null;
-
-      if (!assignedToId) {
+      let committeeMembers: Awaited<ReturnType<GrievanceCommitteeService['getMembers']>> = [];
+
+      if (isConfidential) {
+        // Confidential grievances bypass the mentor and go to the institution's committee
+        // getMembers lists the chair first, so this is the committee's chair (see getChair)
+        committeeMembers = student.institutionId ? await this.committeeService.getMembers(student.institutionId) : [];
+        assignedToId = committeeMembers[0]?.userId;
+      } else if (!assignedToId) {
         // Find student's active mentor assignment
         const mentorAssignment = await this.prisma.mentorAssignment.findFirst({
           where: {
@@ -153,6 +230,9 @@ export class GrievanceService {
         }
       }
 
+      const severity = data.severity || GrievancePriority.MEDIUM;
+      const slaDueDates = await this.getSlaDueDates(severity, data.category);
+
       // Create grievance with initial status
       const grievance = await this.prisma.grievance.create({
         data: {
@@ -160,12 +240,15 @@ export class GrievanceService {
           title: data.title,
           category: data.category,
           description: data.description,
-          severity: data.severity || GrievancePriority.MEDIUM,
+          severity,
           attachments: data.attachments || [],
           status: GrievanceStatus.SUBMITTED,
-          escalationLevel: EscalationLevel.MENTOR,
+          ...slaDueDates,
+          // The committee acts at institution level, so confidential grievances skip the mentor level
+          escalationLevel: isConfidential ? EscalationLevel.PRINCIPAL : EscalationLevel.MENTOR,
+          isConfidential,
           assignedToId: assignedToId,
-          facultySupervisorId: data.facultySupervisorId,
+          facultySupervisorId: isConfidential ? null : data.facultySupervisorId,
           actionRequested: data.actionRequested,
           preferredContactMethod: data.preferredContactMethod,
         },
@@ -179,14 +262,16 @@ export class GrievanceService {
           fromStatus: null,
           toStatus: GrievanceStatus.SUBMITTED,
           changedById: userId,
-          escalationLevel: EscalationLevel.MENTOR,
+          escalationLevel: isConfidential ? EscalationLevel.PRINCIPAL : EscalationLevel.MENTOR,
           action: 'SUBMITTED',
-          remarks: 'Grievance submitted by student',
+          remarks: isConfidential ? 'Confidential grievance submitted' : 'Grievance submitted by student',
         },
       });
 
-      // Notify assigned person (mentor) if exists
-      if (assignedToId) {
+      if (isConfidential) {
+        await this.notifyCommitteeOfConfidentialGrievance(grievance.id, data.title, student.institutionId, committeeMembers);
+      } else if (assignedToId) {
+        // Notify assigned person (mentor) if exists
         const mentorName = mentorUser?.name || 'assigned mentor';
         await this.notificationService.create(
           assignedToId,
@@ -212,11 +297,12 @@ export class GrievanceService {
         category: AuditCategory.ADMINISTRATIVE,
         severity: data.severity === GrievancePriority.URGENT ? AuditSeverity.HIGH : AuditSeverity.MEDIUM,
         institutionId: student.institutionId,
-        description: `Grievance submitted: ${data.title}`,
+        description: `${isConfidential ? 'Confidential grievance' : 'Grievance'} submitted: ${data.title}`,
         newValues: {
           title: data.title,
           category: data.category,
           severity: data.severity || GrievancePriority.MEDIUM,
+          isConfidential,
         },
       }).catch(() => {});
 
@@ -231,10 +317,154 @@ export class GrievanceService {
     }
   }
 
+  /**
+   * Tell the committee about a new confidential grievance, without naming the student.
+   * With no committee set up yet, the principal is asked to form one.
+   */
+  private async notifyCommitteeOfConfidentialGrievance(
+    grievanceId: string,
+    title: string,
+    institutionId: string | null,
+    members: { userId: string }[],
+  ) {
+    if (members.length === 0) {
+      const principals = institutionId
+        ? await this.prisma.user.findMany({
+            where: { institutionId, role: Role.PRINCIPAL, active: true },
+            select: { id: true },
+          })
+        : [];
+      for (const principal of principals) {
+        await this.notificationService.create(
+          principal.id,
+          'GRIEVANCE_ASSIGNED',
+          'Confidential Grievance Needs a Committee',
+          `A confidential grievance "${title}" was submitted, but your institution has no grievance committee. Please set one up so it can be handled.`,
+          { grievanceId, confidential: true }
+        );
+      }
+      this.logger.warn(`Confidential grievance ${grievanceId} submitted with no committee for institution ${institutionId}`);
+      return;
+    }
+
+    for (const member of members) {
+      await this.notificationService.create(
+        member.userId,
+        'GRIEVANCE_ASSIGNED',
+        'New Confidential Grievance',
+        `A confidential grievance "${title}" has been submitted to the grievance committee.`,
+        { grievanceId, confidential: true }
+      );
+      await this.cache.del(`grievances:faculty:${member.userId}`);
+    }
+  }
+
+  /**
+   * Only the committee, the current assignee and (once escalated to state level) the
+   * state directorate may act on a confidential grievance
+   */
+  private async assertConfidentialAccess(
+    grievance: { isConfidential: boolean; assignedToId: string | null; escalationLevel: EscalationLevel; student: { institutionId: string | null } },
+    actorId: string,
+  ) {
+    if (!grievance.isConfidential || grievance.assignedToId === actorId) return;
+
+    if (grievance.student.institutionId && (await this.committeeService.isMember(actorId, grievance.student.institutionId))) {
+      return;
+    }
+
+    if (grievance.escalationLevel === EscalationLevel.STATE_DIRECTORATE) {
+      const actor = await this.prisma.user.findUnique({ where: { id: actorId }, select: { role: true } });
+      if (actor?.role === Role.STATE_DIRECTORATE) return;
+    }
+
+    throw new ForbiddenException('This confidential grievance is handled by the grievance committee');
+  }
+
+  /**
+   * Prepare grievances for a viewer. Confidential grievances are shown in full to the
+   * student and the institution's committee; everyone else gets them with the student's
+   * identity and attachments removed, or not at all when `hideRestricted` is set
+   * (e.g. when the query itself names the student). Every confidential grievance shown
+   * is recorded in the audit log. Grievances must carry `student.userId` and
+   * `student.institutionId`. Also used by other views that list grievances.
+   */
+  async presentGrievances<T extends Record<string, any>>(
+    grievances: T[],
+    viewer: GrievanceViewer,
+    options: { hideRestricted?: boolean } = {},
+  ): Promise<T[]> {
+    if (!grievances.some((g) => g.isConfidential)) {
+      return grievances;
+    }
+
+    const committeeInstitutions = new Set(await this.committeeService.getCommitteeInstitutionIds(viewer.userId));
+    const result: T[] = [];
+
+    for (const grievance of grievances) {
+      if (!grievance.isConfidential) {
+        result.push(grievance);
+        continue;
+      }
+
+      const fullAccess =
+        grievance.student?.userId === viewer.userId ||
+        committeeInstitutions.has(grievance.student?.institutionId);
+
+      if (!fullAccess && options.hideRestricted) continue;
+
+      result.push(fullAccess ? grievance : this.redactConfidential(grievance));
+      this.logConfidentialView(grievance, viewer, !fullAccess);
+    }
+
+    return result;
+  }
+
+  private redactConfidential<T extends Record<string, any>>(grievance: T): T {
+    const studentUserId = grievance.student?.userId;
+
+    return {
+      ...grievance,
+      studentId: null,
+      student: grievance.student
+        ? {
+            institutionId: grievance.student.institutionId,
+            Institution: grievance.student.Institution ?? null,
+            user: { name: 'Confidential', email: null, phoneNo: null, rollNumber: null },
+          }
+        : null,
+      attachments: [],
+      attachmentCount: grievance.attachments?.length ?? 0,
+      preferredContactMethod: null,
+      identityHidden: true,
+      statusHistory: grievance.statusHistory?.map((entry: any) =>
+        entry.changedById === studentUserId ? { ...entry, changedById: null } : entry,
+      ),
+    };
+  }
+
+  private logConfidentialView(grievance: Record<string, any>, viewer: GrievanceViewer, identityHidden: boolean) {
+    // Students reading their own grievance are not logged
+    if (grievance.student?.userId === viewer.userId) return;
+
+    this.auditService.log({
+      action: AuditAction.GRIEVANCE_VIEW,
+      entityType: 'Grievance',
+      entityId: grievance.id,
+      userId: viewer.userId,
+      userRole: viewer.role,
+      category: AuditCategory.SUPPORT,
+      severity: AuditSeverity.MEDIUM,
+      institutionId: grievance.student?.institutionId ?? undefined,
+      description: `Confidential grievance viewed${identityHidden ? ' (identity hidden)' : ''}`,
+      newValues: { identityHidden },
+    }).catch(() => {});
+  }
+
   /**
    * Get grievances by user ID (for students)
    */
-  async getGrievancesByUser(userId: string) {
+  async getGrievancesByUser(userId: string, viewer?: GrievanceViewer) {
     try {
       this.logger.log(`Fetching grievances for user: ${userId}`);
 
@@ -246,7 +476,7 @@ export class GrievanceService {
       });
 
       this.logger.log(`Found ${grievances.length} grievances for user ${userId}`);
-      return grievances;
+      return viewer ? await this.presentGrievances(grievances, viewer, { hideRestricted: true }) : grievances;
     } catch (error) {
       this.logger.error(`Failed to get grievances for user ${userId}: ${error.message}`, error.stack);
       throw error;
@@ -256,13 +486,15 @@ export class GrievanceService {
   /**
    * Get grievances by student ID
    */
-  async getGrievancesByStudentId(studentId: string) {
+  async getGrievancesByStudentId(studentId: string, viewer?: GrievanceViewer) {
     try {
-      return await this.prisma.grievance.findMany({
+      const grievances = await this.prisma.grievance.findMany({
         where: { studentId },
         include: this.getGrievanceListInclude(),
         orderBy: { createdAt: 'desc' },
       });
+
+      return viewer ? await this.presentGrievances(grievances, viewer, { hideRestricted: true }) : grievances;
     } catch (error) {
       this.logger.error(`Failed to get grievances for student ${studentId}: ${error.message}`, error.stack);
       throw error;
@@ -272,11 +504,11 @@ export class GrievanceService {
   /**
    * Get grievances by institution ID
    */
-  async getGrievancesByInstitution(institutionId: string) {
+  async getGrievancesByInstitution(institutionId: string, viewer?: GrievanceViewer) {
     try {
       const cacheKey = `grievances:institution:${institutionId}`;
 
-      return await this.cache.getOrSet(
+      const grievances = await this.cache.getOrSet(
         cacheKey,
         async () => {
           return await this.prisma.grievance.findMany({
@@ -289,6 +521,8 @@ export class GrievanceService {
         },
         this.CACHE_TTL,
       );
+
+      return viewer ? await this.presentGrievances(grievances, viewer) : grievances;
     } catch (error) {
       this.logger.error(`Failed to get grievances for institution ${institutionId}: ${error.message}`, error.stack);
       throw error;
@@ -299,7 +533,7 @@ export class GrievanceService {
    * Get all grievances (for STATE_DIRECTORATE users)
    * Can optionally filter by escalation level
    */
-  async getAllGrievances(escalationLevel?: EscalationLevel) {
+  async getAllGrievances(escalationLevel?: EscalationLevel, viewer?: GrievanceViewer) {
     try {
       // Skip cache for now to ensure fresh data
       const whereClause = escalationLevel
@@ -316,7 +550,7 @@ export class GrievanceService {
 
       this.logger.log(`Found ${grievances.length} grievances`);
 
-      return grievances;
+      return viewer ? await this.presentGrievances(grievances, viewer) : grievances;
     } catch (error) {
       this.logger.error(`Failed to get all grievances: ${error.message}`, error.stack);
       throw error;
@@ -326,7 +560,7 @@ export class GrievanceService {
   /**
    * Get grievances assigned to a faculty member
    */
-  async getGrievancesByFaculty(facultyUserId: string) {
+  async getGrievancesByFaculty(facultyUserId: string, viewer?: GrievanceViewer) {
     try {
       console.log('[GrievanceService.getGrievancesByFaculty] facultyUserId:', facultyUserId);
 
@@ -335,6 +569,8 @@ export class GrievanceService {
       const result = await this.cache.getOrSet(
         cacheKey,
         async () => {
+          // Committee members also see their institutions' confidential grievances
+          const committeeInstitutionIds = await this.committeeService.getCommitteeInstitutionIds(facultyUserId);
           console.log('[GrievanceService.getGrievancesByFaculty] Cache miss, querying DB...');
           const grievances = await this.prisma.grievance.findMany({
             where: {
@@ -342,6 +578,9 @@ export class GrievanceService {
               OR: [
                 { assignedToId: facultyUserId },
                 { facultySupervisorId: facultyUserId },
+                ...(committeeInstitutionIds.length > 0
+                  ? [{ isConfidential: true, student: { institutionId: { in: committeeInstitutionIds } } }]
+                  : []),
               ],
             },
             include: this.getGrievanceListInclude(),
@@ -354,7 +593,7 @@ export class GrievanceService {
       );
 
       console.log('[GrievanceService.getGrievancesByFaculty] Returning grievances:', Array.isArray(result) ? result.length : 'cached');
-      return result;
+      return viewer ? await this.presentGrievances(result, viewer) : result;
     } catch (error) {
       this.logger.error(`Failed to get grievances for faculty ${facultyUserId}: ${error.message}`, error.stack);
       throw error;
@@ -364,7 +603,7 @@ export class GrievanceService {
   /**
    * Get a single grievance by ID
    */
-  async getGrievanceById(id: string) {
+  async getGrievanceById(id: string, viewer?: GrievanceViewer) {
     try {
       const grievance = await this.prisma.grievance.findUnique({
         where: { id },
@@ -375,7 +614,9 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
-      return grievance;
+      if (!viewer) return grievance;
+      const [presented] = await this.presentGrievances([grievance], viewer);
+      return presented;
     } catch (error) {
       this.logger.error(`Failed to get grievance ${id}: ${error.message}`, error.stack);
       throw error;
@@ -401,6 +642,8 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
+      await this.assertConfidentialAccess(grievance, assignerId);
+
       // Validate assignee exists
       const assignee = await this.prisma.user.findUnique({
         where: { id: data.assigneeId },
@@ -410,6 +653,15 @@ export class GrievanceService {
         throw new NotFoundException('Assignee not found');
       }
 
+      // Below state level, confidential grievances stay with the committee
+      if (
+        grievance.isConfidential &&
+        grievance.escalationLevel !== EscalationLevel.STATE_DIRECTORATE &&
+        !(grievance.student.institutionId && (await this.committeeService.isMember(assignee.id, grievance.student.institutionId)))
+      ) {
+        throw new BadRequestException('Confidential grievances can only be assigned to grievance committee members');
+      }
+
       // Track previous assignee
       const previousAssignees = grievance.previousAssignees || [];
       if (grievance.assignedToId && !previousAssignees.includes(grievance.assignedToId)) {
@@ -502,6 +754,8 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
+      await this.assertConfidentialAccess(grievance, responderId);
+
       const responder = await this.prisma.user.findUnique({
         where: { id: responderId },
       });
@@ -537,7 +791,7 @@ export class GrievanceService {
         grievance.student.userId,
         'GRIEVANCE_RESPONSE',
         newStatus === GrievanceStatus.RESOLVED ? 'Grievance Resolved' : 'Grievance Update',
-        `Your grievance "${grievance.title}" has been ${newStatus === GrievanceStatus.RESOLVED ? 'resolved' : 'updated'} by ${responder?.name || 'staff'}.`,
+        `Your grievance "${grievance.title}" has been ${newStatus === GrievanceStatus.RESOLVED ? 'resolved' : 'updated'} by ${responder?.name || 'staff'}.${REOPENABLE_STATUSES.includes(newStatus) ? ' Please rate the resolution, or reopen the grievance if the issue is not fixed.' : ''}`,
         { grievanceId: id, status: newStatus, response: data.response }
       );
 
@@ -572,84 +826,143 @@ export class GrievanceService {
     try {
       this.logger.log(`Escalating grievance ${id}`);
 
-      const grievance = await this.prisma.grievance.findUnique({
-        where: { id },
-        include: {
-          student: { include: { user: true, Institution: true } },
-          assignedTo: true,
-        },
-      });
+      const grievance = await this.findEscalatableGrievance(id);
+      await this.assertConfidentialAccess(grievance, escalatorId);
 
-      if (!grievance) {
-        throw new NotFoundException('Grievance not found');
+      if (!this.getNextEscalationLevel(grievance.escalationLevel)) {
+        throw new BadRequestException('Grievance is already at the highest escalation level');
       }
 
-      // Determine next escalation level
-      const nextLevel = this.getNextEscalationLevel(grievance.escalationLevel);
+      return await this.applyEscalation(grievance, escalatorId, data);
+    } catch (error) {
+      this.logger.error(`Failed to escalate grievance: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
 
-      if (!nextLevel) {
-        throw new BadRequestException('Grievance is already at the highest escalation level');
-      }
+  /**
+   * Escalate a grievance that missed its SLA. Called by the SLA scheduler, so there is
+   * no acting user; the status history entry is recorded as AUTO_ESCALATED.
+   * `claim` is applied in the same transaction as the escalation and only when the
+   * grievance still matches it, so concurrent scheduler instances escalate it once.
+   * Returns null when the grievance is already at the highest level or was claimed
+   * by another run.
+   */
+  async autoEscalateGrievance(id: string, reason: string, claim?: EscalationClaim) {
+    const grievance = await this.findEscalatableGrievance(id);
 
-      // Find the person to escalate to
-      let escalateToId = data.escalateToId;
+    if (!this.getNextEscalationLevel(grievance.escalationLevel)) {
+      return null;
+    }
 
-      if (!escalateToId) {
-        // Auto-determine based on escalation level
-        const targetRole = this.getRoleForEscalationLevel(nextLevel);
+    return this.applyEscalation(grievance, null, { reason }, claim);
+  }
 
-        // Find a user with the target role in the same institution
-        const targetUser = await this.prisma.user.findFirst({
-          where: {
-            role: targetRole,
-            institutionId: grievance.student.institutionId,
-            active: true,
-          },
-        });
+  private async findEscalatableGrievance(id: string): Promise<EscalatableGrievance> {
+    const grievance = await this.prisma.grievance.findUnique({
+      where: { id },
+      include: {
+        student: { include: { user: true, Institution: true } },
+        assignedTo: true,
+      },
+    });
 
-        if (targetUser) {
-          escalateToId = targetUser.id;
-        }
-      }
+    if (!grievance) {
+      throw new NotFoundException('Grievance not found');
+    }
 
-      // Track previous assignee
-      const previousAssignees = grievance.previousAssignees || [];
-      if (grievance.assignedToId && !previousAssignees.includes(grievance.assignedToId)) {
-        previousAssignees.push(grievance.assignedToId);
+    return grievance;
+  }
+
+  /**
+   * Move a grievance one level up the chain and restart its SLA clocks.
+   * `escalatorId` is null for automatic (SLA) escalations.
+   */
+  private async applyEscalation(
+    grievance: EscalatableGrievance,
+    escalatorId: string | null,
+    data: EscalateGrievanceDto,
+    claim?: EscalationClaim,
+  ) {
+    const id = grievance.id;
+    const isAutomatic = escalatorId === null;
+    const nextLevel = this.getNextEscalationLevel(grievance.escalationLevel)!;
+
+    // Find the person to escalate to
+    let escalateToId = data.escalateToId;
+
+    if (!escalateToId) {
+      // Auto-determine based on escalation level
+      const targetRole = this.getRoleForEscalationLevel(nextLevel);
+
+      // Find a user with the target role in the same institution
+      const targetUser = await this.prisma.user.findFirst({
+        where: {
+          role: targetRole,
+          institutionId: grievance.student.institutionId,
+          active: true,
+        },
+      });
+
+      if (targetUser) {
+        escalateToId = targetUser.id;
       }
+    }
 
-      // Build escalation history entry
-      const escalationEntry = {
-        fromLevel: grievance.escalationLevel,
-        toLevel: nextLevel,
-        escalatedById: escalatorId,
-        escalatedToId: escalateToId,
-        reason: data.reason,
-        escalatedAt: new Date().toISOString(),
-        previousAssigneeId: grievance.assignedToId,
-      };
+    // Track previous assignee
+    const previousAssignees = grievance.previousAssignees || [];
+    if (grievance.assignedToId && !previousAssignees.includes(grievance.assignedToId)) {
+      previousAssignees.push(grievance.assignedToId);
+    }
+
+    const escalatedAt = new Date();
+
+    // Build escalation history entry
+    const escalationEntry = {
+      fromLevel: grievance.escalationLevel,
+      toLevel: nextLevel,
+      escalatedById: escalatorId,
+      escalatedToId: escalateToId,
+      reason: data.reason,
+      escalatedAt: escalatedAt.toISOString(),
+      previousAssigneeId: grievance.assignedToId,
+      automatic: isAutomatic,
+    };
+
+    // The new level gets a fresh SLA window, timed as URGENT (see getSlaSeverity)
+    const slaDueDates = await this.getSlaDueDates(GrievancePriority.URGENT, grievance.category, escalatedAt);
+
+    const updated = await this.prisma.$transaction(async (tx) => {
+      if (claim) {
+        const { count } = await tx.grievance.updateMany({
+          where: { ...claim.where, id, escalationLevel: grievance.escalationLevel },
+          data: claim.data,
+        });
+        if (count === 0) return null;
+      }
 
       // Update grievance
-      const updated = await this.prisma.grievance.update({
+      const escalated = await tx.grievance.update({
         where: { id },
         data: {
           status: GrievanceStatus.ESCALATED,
-          severity: GrievancePriority.URGENT,
           escalationLevel: nextLevel,
           escalationCount: { increment: 1 },
-          escalatedAt: new Date(),
+          escalatedAt,
           escalatedById: escalatorId,
           assignedToId: escalateToId,
           previousAssignees,
           escalationHistory: {
             push: escalationEntry,
           },
+          ...slaDueDates,
+          slaReminderSentAt: null,
         },
         include: this.getGrievanceListInclude(),
       });
 
       // Create status history entry
-      await this.prisma.grievanceStatusHistory.create({
+      await tx.grievanceStatusHistory.create({
         data: {
           grievanceId: id,
           fromStatus: grievance.status,
@@ -657,60 +970,64 @@ export class GrievanceService {
           changedById: escalatorId,
           escalationLevel: nextLevel,
           escalatedToId: escalateToId,
-          action: 'ESCALATED',
+          action: isAutomatic ? 'AUTO_ESCALATED' : 'ESCALATED',
           remarks: data.reason,
         },
       });
 
-      // Notify the new assignee
-      if (escalateToId) {
-        const escalator = await this.prisma.user.findUnique({ where: { id: escalatorId } });
-        await this.notificationService.create(
-          escalateToId,
-          'GRIEVANCE_ESCALATED',
-          'Grievance Escalated to You',
-          `Grievance "${grievance.title}" has been escalated to you for immediate attention. Reason: ${data.reason}`,
-          { grievanceId: id, reason: data.reason, escalatedBy: escalator?.name }
-        );
-      }
+      return escalated;
+    });
 
-      // Notify the student
+    if (!updated) {
+      return null;
+    }
+
+    // Notify the new assignee
+    if (escalateToId) {
+      const escalator = escalatorId ? await this.prisma.user.findUnique({ where: { id: escalatorId } }) : null;
       await this.notificationService.create(
-        grievance.student.userId,
+        escalateToId,
         'GRIEVANCE_ESCALATED',
-        'Grievance Escalated',
-        `Your grievance "${grievance.title}" has been escalated to a higher authority for faster resolution.`,
-        { grievanceId: id, newLevel: nextLevel }
+        'Grievance Escalated to You',
+        `Grievance "${grievance.title}" has been escalated to you for immediate attention. Reason: ${data.reason}`,
+        { grievanceId: id, reason: data.reason, escalatedBy: escalator?.name ?? 'System', automatic: isAutomatic }
       );
+    }
 
-      // Invalidate cache
-      await this.invalidateGrievanceCache(grievance.student.userId, grievance.student.institutionId);
-      if (escalateToId) {
-        await this.cache.del(`grievances:faculty:${escalateToId}`);
-      }
-      if (grievance.assignedToId) {
-        await this.cache.del(`grievances:faculty:${grievance.assignedToId}`);
-      }
-
-      // Audit: Grievance escalated
-      this.auditService.log({
-        action: AuditAction.GRIEVANCE_UPDATE,
-        entityType: 'Grievance',
-        entityId: id,
-        userId: escalatorId,
-        category: AuditCategory.ADMINISTRATIVE,
-        severity: AuditSeverity.HIGH,
-        institutionId: grievance.student.institutionId,
-        description: `Grievance escalated from ${grievance.escalationLevel} to ${nextLevel}`,
-        oldValues: { escalationLevel: grievance.escalationLevel, status: grievance.status },
-        newValues: { escalationLevel: nextLevel, status: GrievanceStatus.ESCALATED, reason: data.reason },
-      }).catch(() => {});
-
-      return updated;
-    } catch (error) {
-      this.logger.error(`Failed to escalate grievance: ${error.message}`, error.stack);
-      throw error;
+    // Notify the student
+    await this.notificationService.create(
+      grievance.student.userId,
+      'GRIEVANCE_ESCALATED',
+      'Grievance Escalated',
+      `Your grievance "${grievance.title}" has been escalated to a higher authority for faster resolution.`,
+      { grievanceId: id, newLevel: nextLevel }
+    );
+
+    // Invalidate cache
+    await this.invalidateGrievanceCache(grievance.student.userId, grievance.student.institutionId);
+    if (escalateToId) {
+      await this.cache.del(`grievances:faculty:${escalateToId}`);
     }
+    if (grievance.assignedToId) {
+      await this.cache.del(`grievances:faculty:${grievance.assignedToId}`);
+    }
+
+    // Audit: Grievance escalated
+    this.auditService.log({
+      action: AuditAction.GRIEVANCE_UPDATE,
+      entityType: 'Grievance',
+      entityId: id,
+      userId: escalatorId ?? undefined,
+      ...(isAutomatic && { userRole: Role.SYSTEM_ADMIN, userName: 'System' }),
+      category: AuditCategory.ADMINISTRATIVE,
+      severity: AuditSeverity.HIGH,
+      institutionId: grievance.student.institutionId,
+      description: `Grievance ${isAutomatic ? 'auto-' : ''}escalated from ${grievance.escalationLevel} to ${nextLevel}`,
+      oldValues: { escalationLevel: grievance.escalationLevel, status: grievance.status },
+      newValues: { escalationLevel: nextLevel, status: GrievanceStatus.ESCALATED, reason: data.reason },
+    }).catch(() => {});
+
+    return updated;
   }
 
   /**
@@ -729,12 +1046,17 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
+      await this.assertConfidentialAccess(grievance, updaterId);
+
       const updateData: any = { status };
 
       // Set dates based on status
       if (status === GrievanceStatus.RESOLVED) {
         updateData.resolvedDate = new Date();
         updateData.addressedDate = grievance.addressedDate || new Date();
+      } else if (status === GrievanceStatus.CLOSED) {
+        // Keep the resolution date if it was resolved first; the reopen window counts from it
+        updateData.resolvedDate = grievance.resolvedDate || new Date();
       } else if (status === GrievanceStatus.UNDER_REVIEW || status === GrievanceStatus.IN_PROGRESS) {
         updateData.addressedDate = grievance.addressedDate || new Date();
       }
@@ -763,7 +1085,7 @@ export class GrievanceService {
         grievance.student.userId,
         'GRIEVANCE_STATUS_UPDATE',
         'Grievance Status Updated',
-        `Your grievance "${grievance.title}" status has been updated to ${status.replace(/_/g, ' ')}.`,
+        `Your grievance "${grievance.title}" status has been updated to ${status.replace(/_/g, ' ')}.${REOPENABLE_STATUSES.includes(status) ? ' Please rate the resolution, or reopen the grievance if the issue is not fixed.' : ''}`,
         { grievanceId: id, status, updatedBy: updater?.name }
       );
 
@@ -798,6 +1120,8 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
+      await this.assertConfidentialAccess(grievance, rejecterId);
+
       const updated = await this.prisma.grievance.update({
         where: { id },
         data: {
@@ -853,6 +1177,206 @@ export class GrievanceService {
     }
   }
 
+  /**
+   * Days after resolution during which the student can reopen a grievance
+   */
+  async getReopenWindowDays(): Promise<number> {
+    const days = await this.systemConfigService.get<number>('grievance.reopenWindowDays');
+    return typeof days === 'number' && days > 0 ? days : DEFAULT_REOPEN_WINDOW_DAYS;
+  }
+
+  /**
+   * When the reopen window of a resolved or closed grievance ends, or null if it
+   * cannot be reopened
+   */
+  getReopenDeadline(
+    grievance: { status: GrievanceStatus; resolvedDate: Date | null; updatedAt: Date },
+    windowDays: number,
+  ): Date | null {
+    if (!REOPENABLE_STATUSES.includes(grievance.status)) return null;
+    const resolvedAt = grievance.resolvedDate ?? grievance.updatedAt;
+    return new Date(resolvedAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Student rates the resolution of their grievance. One rating per resolution;
+   * a grievance that is reopened and resolved again can be rated again.
+   */
+  async submitFeedback(id: string, userId: string, data: GrievanceFeedbackDto) {
+    try {
+      const grievance = await this.findOwnClosedGrievance(id, userId);
+      const rating = this.parseRating(data.rating);
+      if (rating === null) {
+        throw new BadRequestException('Rating must be a whole number from 1 to 5');
+      }
+
+      if (grievance.feedbackAt && grievance.resolvedDate && grievance.feedbackAt >= grievance.resolvedDate) {
+        throw new BadRequestException('You have already rated this resolution');
+      }
+
+      const comment = data.comment?.trim() || null;
+      const updated = await this.prisma.grievance.update({
+        where: { id },
+        data: { satisfactionRating: rating, satisfactionComment: comment, feedbackAt: new Date() },
+        include: this.getGrievanceListInclude(),
+      });
+
+      await this.prisma.grievanceStatusHistory.create({
+        data: {
+          grievanceId: id,
+          fromStatus: grievance.status,
+          toStatus: grievance.status,
+          changedById: userId,
+          escalationLevel: grievance.escalationLevel,
+          action: 'FEEDBACK',
+          remarks: `Rated ${rating}/5${comment ? `: ${comment}` : ''}`,
+        },
+      });
+
+      if (grievance.assignedToId) {
+        await this.notificationService.create(
+          grievance.assignedToId,
+          'GRIEVANCE_FEEDBACK',
+          'Grievance Feedback Received',
+          `The student rated the resolution of "${grievance.title}" ${rating}/5.`,
+          { grievanceId: id, rating }
+        );
+      }
+
+      await this.invalidateGrievanceCache(userId, grievance.student.institutionId);
+
+      this.auditService.log({
+        action: AuditAction.GRIEVANCE_UPDATE,
+        entityType: 'Grievance',
+        entityId: id,
+        userId,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.LOW,
+        institutionId: grievance.student.institutionId,
+        description: `Grievance resolution rated ${rating}/5: ${grievance.title}`,
+        oldValues: { satisfactionRating: grievance.satisfactionRating },
+        newValues: { satisfactionRating: rating },
+      }).catch(() => {});
+
+      return updated;
+    } catch (error) {
+      this.logger.error(`Failed to submit grievance feedback: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Student reopens a resolved or closed grievance within the reopen window.
+   * It goes back to the current assignee at the same level with fresh SLA clocks.
+   */
+  async reopenGrievance(id: string, userId: string, data: ReopenGrievanceDto) {
+    try {
+      const grievance = await this.findOwnClosedGrievance(id, userId);
+
+      const deadline = this.getReopenDeadline(grievance, await this.getReopenWindowDays());
+      if (!deadline || deadline < new Date()) {
+        throw new BadRequestException(
+          `This grievance can no longer be reopened${deadline ? ` (the window closed on ${deadline.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })})` : ''}. Please submit a new grievance.`
+        );
+      }
+
+      const rating = data.rating !== undefined && data.rating !== null ? this.parseRating(data.rating) : null;
+      if (rating === null && data.rating !== undefined && data.rating !== null) {
+        throw new BadRequestException('Rating must be a whole number from 1 to 5');
+      }
+      const now = new Date();
+      const slaDueDates = await this.getSlaDueDates(this.getSlaSeverity(grievance), grievance.category, now);
+
+      const updated = await this.prisma.grievance.update({
+        where: { id },
+        data: {
+          status: GrievanceStatus.PENDING,
+          resolvedDate: null,
+          reopenCount: { increment: 1 },
+          reopenedAt: now,
+          ...slaDueDates,
+          slaReminderSentAt: null,
+          ...(rating !== null && {
+            satisfactionRating: rating,
+            satisfactionComment: data.comment?.trim() || null,
+            feedbackAt: now,
+          }),
+        },
+        include: this.getGrievanceListInclude(),
+      });
+
+      await this.prisma.grievanceStatusHistory.create({
+        data: {
+          grievanceId: id,
+          fromStatus: grievance.status,
+          toStatus: GrievanceStatus.PENDING,
+          changedById: userId,
+          escalationLevel: grievance.escalationLevel,
+          action: 'REOPENED',
+          remarks: data.reason,
+        },
+      });
+
+      if (grievance.assignedToId) {
+        await this.notificationService.create(
+          grievance.assignedToId,
+          'GRIEVANCE_REOPENED',
+          'Grievance Reopened',
+          `The student reopened "${grievance.title}": ${data.reason}`,
+          { grievanceId: id, reopenCount: updated.reopenCount }
+        );
+        await this.cache.del(`grievances:faculty:${grievance.assignedToId}`);
+      }
+
+      await this.invalidateGrievanceCache(userId, grievance.student.institutionId);
+
+      this.auditService.log({
+        action: AuditAction.GRIEVANCE_REOPEN,
+        entityType: 'Grievance',
+        entityId: id,
+        userId,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.MEDIUM,
+        institutionId: grievance.student.institutionId,
+        description: `Grievance reopened: ${grievance.title}`,
+        oldValues: { status: grievance.status, reopenCount: grievance.reopenCount },
+        newValues: { status: GrievanceStatus.PENDING, reopenCount: updated.reopenCount, reason: data.reason },
+      }).catch(() => {});
+
+      return updated;
+    } catch (error) {
+      this.logger.error(`Failed to reopen grievance: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * A grievance the student filed that has been resolved or closed
+   */
+  private async findOwnClosedGrievance(id: string, userId: string) {
+    const grievance = await this.prisma.grievance.findUnique({
+      where: { id },
+      include: { student: { select: { userId: true, institutionId: true } } },
+    });
+
+    if (!grievance) {
+      throw new NotFoundException('Grievance not found');
+    }
+    if (grievance.student.userId !== userId) {
+      throw new ForbiddenException('You can only act on your own grievances');
+    }
+    if (!REOPENABLE_STATUSES.includes(grievance.status)) {
+      throw new BadRequestException('Only resolved or closed grievances can be rated or reopened');
+    }
+
+    return grievance;
+  }
+
+  private parseRating(value: unknown): number | null {
+    const rating = Number(value);
+    return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+  }
+
   /**
    * Get assignable users for a grievance (faculty, principal, etc.)
    */
@@ -926,6 +1450,22 @@ export class GrievanceService {
         this.prisma.grievance.count({ where: { ...whereClause, escalationLevel: EscalationLevel.STATE_DIRECTORATE } }),
       ]);
 
+      // Student feedback on resolutions
+      const [ratings, dissatisfied, reopened] = await Promise.all([
+        this.prisma.grievance.aggregate({
+          where: { ...whereClause, satisfactionRating: { not: null } },
+          _avg: { satisfactionRating: true },
+          _count: { satisfactionRating: true },
+        }),
+        this.prisma.grievance.count({ where: { ...whereClause, satisfactionRating: { lte: 2 } } }),
+        this.prisma.grievance.aggregate({
+          where: { ...whereClause, reopenCount: { gt: 0 } },
+          _count: { _all: true },
+          _sum: { reopenCount: true },
+        }),
+      ]);
+      const averageRating = ratings._avg.satisfactionRating;
+
       // Calculate notSet as total minus those with known escalation levels
       const notSet = total - (atMentor + atPrincipal + atStateDirectorate);
 
@@ -954,6 +1494,15 @@ export class GrievanceService {
           stateDirectorate: atStateDirectorate,
           notSet: notSet, // Grievances without escalation level (legacy data)
         },
+        satisfaction: {
+          rated: ratings._count.satisfactionRating,
+          averageRating: averageRating !== null ? Math.round(averageRating * 10) / 10 : null,
+          dissatisfied, // Rated 1 or 2
+        },
+        reopened: {
+          grievances: reopened._count._all,
+          total: reopened._sum.reopenCount || 0,
+        },
         // Summary for quick view
         summary: {
           active: pending + submitted + underReview + inProgress + escalated,
@@ -1003,7 +1552,7 @@ export class GrievanceService {
   /**
    * Get escalation chain info for a grievance
    */
-  async getEscalationChain(grievanceId: string) {
+  async getEscalationChain(grievanceId: string, viewer?: GrievanceViewer) {
     try {
       const grievance = await this.prisma.grievance.findUnique({
         where: { id: grievanceId },
@@ -1022,6 +1571,13 @@ export class GrievanceService {
         throw new NotFoundException('Grievance not found');
       }
 
+      // Hide who submitted a confidential grievance from viewers outside the committee
+      let history = grievance.statusHistory;
+      if (viewer && grievance.isConfidential) {
+        const [presented] = await this.presentGrievances([grievance], viewer);
+        history = presented.statusHistory;
+      }
+
       // Build escalation chain visualization
       const escalationChain = ESCALATION_CHAIN.map((level, index) => {
         const isCurrentLevel = grievance.escalationLevel === level;
@@ -1044,7 +1600,7 @@ export class GrievanceService {
         canEscalate: this.getNextEscalationLevel(grievance.escalationLevel) !== null,
         nextLevel: this.getNextEscalationLevel(grievance.escalationLevel),
         escalationChain,
-        history: grievance.statusHistory,
+        history,
         escalationHistory: grievance.escalationHistory,
       };
     } catch (error) {
@@ -0,0 +1,82 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Delete,
+  Body,
+  Param,
+  Query,
+  UseGuards,
+  Request,
+} from '@nestjs/common';
+import { CannedResponseService } from './canned-response.service';
+import { JwtAuthGuard } from '../../../core/auth/guards/jwt-auth.guard';
+import { RolesGuard } from '../../../core/auth/guards/roles.guard';
+import { Roles } from '../../../core/auth/decorators/roles.decorator';
+import { CreateCannedResponseDto, UpdateCannedResponseDto, RenderCannedResponseDto } from './dto';
+import { SupportCategory } from '../../../generated/prisma/client';
+
+@Controller('support/canned-responses')
+@UseGuards(JwtAuthGuard, RolesGuard)
+@Roles('STATE_DIRECTORATE', 'SYSTEM_ADMIN')
+export class CannedResponseController {
+  constructor(private readonly cannedResponseService: CannedResponseService) {}
+
+  /**
+   * Get canned responses, optionally narrowed to a ticket category
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Get()
+  async getCannedResponses(
+    @Query('category') category?: string,
+    @Query('includeInactive') includeInactive?: string,
+  ) {
+    return this.cannedResponseService.getCannedResponses({
+      category: Object.values(SupportCategory).includes(category as SupportCategory)
+        ? (category as SupportCategory)
+        : undefined,
+      includeInactive: includeInactive === 'true',
+    });
+  }
+
+  /**
+   * Create a canned response
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Post()
+  async createCannedResponse(@Body() data: CreateCannedResponseDto, @Request() req: any) {
+    return this.cannedResponseService.createCannedResponse(req.user.userId, data);
+  }
+
+  /**
+   * Fill a canned response's placeholders for a ticket
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Post(':id/render')
+  async renderCannedResponse(
+    @Param('id') id: string,
+    @Body() data: RenderCannedResponseDto,
+    @Request() req: any,
+  ) {
+    return this.cannedResponseService.renderForTicket(id, data.ticketId, req.user.userId);
+  }
+
+  /**
+   * Update a canned response
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Put(':id')
+  async updateCannedResponse(@Param('id') id: string, @Body() data: UpdateCannedResponseDto) {
+    return this.cannedResponseService.updateCannedResponse(id, data);
+  }
+
+  /**
+   * Delete a canned response
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Delete(':id')
+  async deleteCannedResponse(@Param('id') id: string) {
+    return this.cannedResponseService.deleteCannedResponse(id);
+  }
+}
@@ -0,0 +1,172 @@
+import { Injectable, NotFoundException, Logger } from '@nestjs/common';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { CacheService } from '../../../core/cache/cache.service';
+import { SupportCategory } from '../../../generated/prisma/client';
+import { renderCannedResponse } from './support-ticket.util';
+import { CreateCannedResponseDto, UpdateCannedResponseDto } from './dto';
+
+@Injectable()
+export class CannedResponseService {
+  private readonly logger = new Logger(CannedResponseService.name);
+  private readonly CACHE_TTL = 600; // 10 minutes (templates change rarely)
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly cache: CacheService,
+  ) {}
+
+  /**
+   * Get canned responses. Templates for the given category come first, followed by
+   * the ones that apply to any category.
+   */
+  async getCannedResponses(filters?: { category?: SupportCategory; includeInactive?: boolean }) {
+    try {
+      const load = () =>
+        this.prisma.cannedResponse.findMany({
+          where: {
+            ...(filters?.includeInactive ? {} : { isActive: true }),
+            ...(filters?.category && { OR: [{ category: filters.category }, { category: null }] }),
+          },
+          orderBy: [{ category: { sort: 'asc', nulls: 'last' } }, { usageCount: 'desc' }, { title: 'asc' }],
+        });
+
+      if (filters?.includeInactive) {
+        return await load();
+      }
+
+      return await this.cache.getOrSet(
+        `canned-responses:${filters?.category || 'all'}`,
+        load,
+        this.CACHE_TTL,
+      );
+    } catch (error) {
+      this.logger.error(`Failed to get canned responses: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a canned response
+   */
+  async createCannedResponse(authorId: string, data: CreateCannedResponseDto) {
+    try {
+      const author = await this.prisma.user.findUnique({ where: { id: authorId } });
+
+      if (!author) {
+        throw new NotFoundException('Author not found');
+      }
+
+      const cannedResponse = await this.prisma.cannedResponse.create({
+        data: {
+          title: data.title,
+          body: data.body,
+          category: data.category ?? null,
+          createdById: authorId,
+          createdByName: author.name,
+        },
+      });
+
+      await this.invalidateCache();
+
+      return cannedResponse;
+    } catch (error) {
+      this.logger.error(`Failed to create canned response: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a canned response
+   */
+  async updateCannedResponse(id: string, data: UpdateCannedResponseDto) {
+    try {
+      await this.findOrFail(id);
+
+      const updated = await this.prisma.cannedResponse.update({
+        where: { id },
+        data: {
+          title: data.title,
+          body: data.body,
+          category: data.category,
+          isActive: data.isActive,
+        },
+      });
+
+      await this.invalidateCache();
+
+      return updated;
+    } catch (error) {
+      this.logger.error(`Failed to update canned response ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a canned response
+   */
+  async deleteCannedResponse(id: string) {
+    try {
+      await this.findOrFail(id);
+      await this.prisma.cannedResponse.delete({ where: { id } });
+      await this.invalidateCache();
+
+      return { success: true, message: 'Canned response deleted successfully' };
+    } catch (error) {
+      this.logger.error(`Failed to delete canned response ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill a canned response's placeholders for a ticket, ready to paste in the reply box
+   */
+  async renderForTicket(id: string, ticketId: string, agentId: string) {
+    try {
+      const [cannedResponse, ticket, agent] = await Promise.all([
+        this.findOrFail(id),
+        this.prisma.supportTicket.findUnique({ where: { id: ticketId } }),
+        this.prisma.user.findUnique({ where: { id: agentId }, select: { name: true } }),
+      ]);
+
+      if (!ticket) {
+        throw new NotFoundException('Ticket not found');
+      }
+
+      const message = renderCannedResponse(cannedResponse.body, {
+        submitterName: ticket.submitterName,
+        ticketNumber: ticket.ticketNumber,
+        subject: ticket.subject,
+        category: ticket.category.replace(/_/g, ' ').toLowerCase(),
+        priority: ticket.priority.toLowerCase(),
+        agentName: agent?.name,
+      });
+
+      await this.prisma.cannedResponse.update({
+        where: { id },
+        data: { usageCount: { increment: 1 } },
+      });
+
+      return { id, title: cannedResponse.title, message };
+    } catch (error) {
+      this.logger.error(`Failed to render canned response ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  private async findOrFail(id: string) {
+    const cannedResponse = await this.prisma.cannedResponse.findUnique({ where: { id } });
+
+    if (!cannedResponse) {
+      throw new NotFoundException('Canned response not found');
+    }
+
+    return cannedResponse;
+  }
+
+  private async invalidateCache() {
+    await this.cache.del('canned-responses:all');
+    for (const category of Object.values(SupportCategory)) {
+      await this.cache.del(`canned-responses:${category}`);
+    }
+  }
+}
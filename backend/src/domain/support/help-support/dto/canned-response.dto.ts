@@ -0,0 +1,56 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsBoolean,
+  MaxLength,
+  MinLength,
+} from 'class-validator';
+import { SupportCategory } from '../../../../generated/prisma/client';
+
+export class CreateCannedResponseDto {
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(3, { message: 'Title must be at least 3 characters long' })
+  @MaxLength(100, { message: 'Title must not exceed 100 characters' })
+  title: string;
+
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(5, { message: 'Response must be at least 5 characters long' })
+  @MaxLength(5000, { message: 'Response must not exceed 5000 characters' })
+  body: string; // May contain {{placeholder}} tokens
+
+  @IsEnum(SupportCategory)
+  @IsOptional()
+  category?: SupportCategory;
+}
+
+export class UpdateCannedResponseDto {
+  @IsString()
+  @IsOptional()
+  @MinLength(3, { message: 'Title must be at least 3 characters long' })
+  @MaxLength(100, { message: 'Title must not exceed 100 characters' })
+  title?: string;
+
+  @IsString()
+  @IsOptional()
+  @MinLength(5, { message: 'Response must be at least 5 characters long' })
+  @MaxLength(5000, { message: 'Response must not exceed 5000 characters' })
+  body?: string;
+
+  @IsEnum(SupportCategory)
+  @IsOptional()
+  category?: SupportCategory | null;
+
+  @IsBoolean()
+  @IsOptional()
+  isActive?: boolean;
+}
+
+export class RenderCannedResponseDto {
+  @IsString()
+  @IsNotEmpty()
+  ticketId: string;
+}
@@ -57,6 +57,11 @@ export class CreateFAQDto {
   @Min(0)
   @IsOptional()
   sortOrder?: number;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Change note must not exceed 500 characters' })
+  changeNote?: string; // Recorded on version 1
 }
 
 export class UpdateFAQDto {
@@ -104,4 +109,9 @@ export class UpdateFAQDto {
   @Min(0)
   @IsOptional()
   sortOrder?: number;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Change note must not exceed 500 characters' })
+  changeNote?: string; // Saved on the English draft when content fields change
 }
@@ -4,6 +4,7 @@ import {
   IsEnum,
   IsOptional,
   IsArray,
+  ArrayMaxSize,
   MaxLength,
   MinLength,
 } from 'class-validator';
@@ -34,4 +35,11 @@ export class CreateTicketDto {
   @IsString({ each: true })
   @IsOptional()
   attachments?: string[];
+
+  // FAQ articles suggested while the ticket was drafted; recorded as a submitted outcome
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(20)
+  @IsOptional()
+  suggestedFaqIds?: string[];
 }
@@ -0,0 +1,47 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsArray,
+  ArrayMaxSize,
+  MaxLength,
+} from 'class-validator';
+import { SupportCategory } from '../../../../generated/prisma/client';
+
+export class SuggestFAQDto {
+  @IsString()
+  @IsOptional()
+  @MaxLength(200)
+  subject?: string;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(5000)
+  description?: string;
+
+  @IsEnum(SupportCategory)
+  @IsOptional()
+  category?: SupportCategory;
+}
+
+export class RecordDeflectionDto {
+  @IsString()
+  @IsNotEmpty()
+  faqArticleId: string; // Article that answered the question
+
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(20)
+  @IsOptional()
+  suggestedIds?: string[];
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(200)
+  query?: string;
+
+  @IsEnum(SupportCategory)
+  @IsOptional()
+  category?: SupportCategory;
+}
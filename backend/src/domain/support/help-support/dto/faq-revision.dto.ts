@@ -0,0 +1,61 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsArray,
+  IsBoolean,
+  MaxLength,
+  MinLength,
+} from 'class-validator';
+import { ContentLanguage } from '../../../../generated/prisma/client';
+
+export class SaveFAQDraftDto {
+  @IsEnum(ContentLanguage)
+  @IsNotEmpty()
+  language: ContentLanguage;
+
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(5, { message: 'Title must be at least 5 characters long' })
+  @MaxLength(200, { message: 'Title must not exceed 200 characters' })
+  title: string;
+
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(50, { message: 'Content must be at least 50 characters long' })
+  @MaxLength(10000, { message: 'Content must not exceed 10000 characters' })
+  content: string;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Summary must not exceed 500 characters' })
+  summary?: string;
+
+  @IsArray()
+  @IsString({ each: true })
+  @IsOptional()
+  searchTerms?: string[];
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Change note must not exceed 500 characters' })
+  changeNote?: string;
+}
+
+export class ReviewFAQRevisionDto {
+  @IsBoolean()
+  approve: boolean;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(1000, { message: 'Review note must not exceed 1000 characters' })
+  note?: string;
+}
+
+export class RollbackFAQRevisionDto {
+  @IsString()
+  @IsOptional()
+  @MaxLength(500, { message: 'Change note must not exceed 500 characters' })
+  changeNote?: string;
+}
@@ -2,3 +2,6 @@ export * from './create-ticket.dto';
 export * from './respond-ticket.dto';
 export * from './update-ticket.dto';
 export * from './create-faq.dto';
+export * from './canned-response.dto';
+export * from './faq-deflection.dto';
+export * from './faq-revision.dto';
@@ -0,0 +1,77 @@
+import { rankFaqSuggestions, stemTerm, tokenizeSearchText } from './faq-suggestion.util';
+
+const articles = [
+  {
+    id: 'upload',
+    title: 'Uploading your monthly report',
+    summary: 'Steps to upload the monthly report PDF',
+    content: 'Open Reports, choose the month and upload a PDF under 10 MB.',
+    category: 'INTERNSHIP_QUERIES',
+    tags: ['report', 'pdf'],
+    helpfulCount: 12,
+  },
+  {
+    id: 'password',
+    title: 'Resetting your password',
+    summary: 'Use the forgot password link',
+    content: 'Click "Forgot password" on the login page and follow the email link.',
+    category: 'ACCOUNT_PROFILE',
+    searchTerms: ['login', 'reset'],
+  },
+  {
+    id: 'mentor',
+    title: 'Changing your mentor',
+    content: 'Ask your principal to reassign a mentor. Reports are kept.',
+    category: 'INTERNSHIP_QUERIES',
+  },
+];
+
+describe('tokenizeSearchText', () => {
+  it('drops stop words and short words and stems the rest', () => {
+    expect(tokenizeSearchText('I am unable to upload my Reports, please help!')).toEqual(['upload', 'report']);
+  });
+
+  it('keeps non-latin words', () => {
+    expect(tokenizeSearchText('ਰਿਪੋਰਟ upload')).toEqual(['ਰਿਪੋਰਟ', 'upload']);
+  });
+
+  it('stems common suffixes', () => {
+    expect(stemTerm('uploading')).toBe('upload');
+    expect(stemTerm('queries')).toBe('query');
+    expect(stemTerm('pass')).toBe('pass');
+  });
+});
+
+describe('rankFaqSuggestions', () => {
+  it('ranks the article matching the subject first', () => {
+    const results = rankFaqSuggestions(articles, {
+      subject: 'Monthly report upload fails',
+      description: 'The PDF does not upload and the page shows an error',
+    });
+
+    expect(results[0].article.id).toBe('upload');
+    expect(results[0].matchedTerms).toEqual(expect.arrayContaining(['monthly', 'report', 'upload', 'pdf']));
+  });
+
+  it('requires at least two matching terms for longer queries', () => {
+    const results = rankFaqSuggestions(articles, { subject: 'Mentor attendance calendar' });
+    expect(results).toEqual([]);
+  });
+
+  it('accepts a single match for one-word queries', () => {
+    expect(rankFaqSuggestions(articles, { subject: 'password' }).map((r) => r.article.id)).toEqual(['password']);
+  });
+
+  it('boosts articles in the ticket category', () => {
+    const query = { subject: 'report change' };
+    const withoutCategory = rankFaqSuggestions(articles, query);
+    const withCategory = rankFaqSuggestions(articles, { ...query, category: 'INTERNSHIP_QUERIES' });
+
+    const mentorScore = (results: typeof withoutCategory) => results.find((r) => r.article.id === 'mentor')?.score;
+    expect(mentorScore(withCategory)).toBeGreaterThan(mentorScore(withoutCategory));
+  });
+
+  it('returns nothing for an empty draft', () => {
+    expect(rankFaqSuggestions(articles, { subject: '', description: 'the and for' })).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * FAQ Suggestion Utility
+ *
+ * Ranks FAQ articles against a support ticket draft (subject + description) so the
+ * help center can offer answers before the ticket is submitted.
+ *
+ * Scoring: every distinct query term found in an article adds a weight by field
+ * (title 5, tags/search terms 4, summary 2, content 1). Subject terms count double
+ * because the subject is usually the clearest statement of the problem. Articles in
+ * the ticket's category get a 20% boost, and articles that have been marked helpful
+ * get a small popularity boost. Articles that match fewer than MIN_MATCHED_TERMS
+ * terms (or one term for one-word queries) are dropped.
+ */
+
+export interface FaqSuggestionCandidate {
+  id: string;
+  title: string;
+  summary?: string | null;
+  content: string;
+  category: string;
+  tags?: string[];
+  searchTerms?: string[];
+  helpfulCount?: number;
+}
+
+export interface FaqSuggestionQuery {
+  subject?: string;
+  description?: string;
+  category?: string | null;
+}
+
+export interface RankedFaqSuggestion<T extends FaqSuggestionCandidate> {
+  article: T;
+  score: number;
+  matchedTerms: string[];
+}
+
+const FIELD_WEIGHTS = { title: 5, keywords: 4, summary: 2, content: 1 };
+const SUBJECT_MULTIPLIER = 2;
+const CATEGORY_BOOST = 1.2;
+const MIN_MATCHED_TERMS = 2;
+const MIN_TERM_LENGTH = 3;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'has', 'have',
+  'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'how', 'this', 'that', 'these', 'those',
+  'with', 'from', 'into', 'our', 'out', 'about', 'there', 'their', 'they', 'them', 'then', 'than', 'too',
+  'very', 'just', 'also', 'only', 'some', 'such', 'been', 'being', 'does', 'did', 'doing', 'its', 'it\'s',
+  'i\'m', 'cant', 'can\'t', 'dont', 'don\'t', 'unable', 'please', 'help', 'issue', 'problem', 'hello',
+  'sir', 'madam', 'kindly', 'regards', 'thanks', 'thank', 'able', 'get', 'got', 'will', 'would', 'could',
+  'should', 'need', 'want', 'still', 'even', 'again', 'after', 'before', 'while', 'since', 'because',
+]);
+
+/**
+ * Reduce a word to a rough stem so "uploading", "uploaded" and "uploads" match "upload"
+ * (and "changing" matches "change")
+ */
+export function stemTerm(word: string): string {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ing|ed)$/, '')
+    .replace(/ies$/, 'y')
+    .replace(/([^s])s$/, '$1')
+    .replace(/e$/, '');
+}
+
+/**
+ * Distinct search terms of a text: lower-cased, stop words removed, stemmed
+ */
+export function tokenizeSearchText(text: string | null | undefined): string[] {
+  if (!text) return [];
+
+  const terms = text
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}']+/u)
+    .map((word) => word.replace(/^'+|'+$/g, ''))
+    .filter((word) => word.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(word))
+    .map(stemTerm);
+
+  return [...new Set(terms)];
+}
+
+function termSet(...texts: Array<string | null | undefined>): Set<string> {
+  return new Set(texts.flatMap((text) => tokenizeSearchText(text)));
+}
+
+/**
+ * Rank candidate articles for a ticket draft, best first
+ */
+export function rankFaqSuggestions<T extends FaqSuggestionCandidate>(
+  articles: T[],
+  query: FaqSuggestionQuery,
+  limit = 5,
+): RankedFaqSuggestion<T>[] {
+  const subjectTerms = new Set(tokenizeSearchText(query.subject));
+  const queryTerms = [...new Set([...subjectTerms, ...tokenizeSearchText(query.description)])];
+
+  if (queryTerms.length === 0) return [];
+
+  const minMatched = Math.min(MIN_MATCHED_TERMS, queryTerms.length);
+
+  return articles
+    .map((article) => {
+      const fields = {
+        title: termSet(article.title),
+        keywords: termSet(...(article.tags || []), ...(article.searchTerms || [])),
+        summary: termSet(article.summary),
+        content: termSet(article.content),
+      };
+
+      let score = 0;
+      const matchedTerms: string[] = [];
+
+      for (const term of queryTerms) {
+        const termScore = (Object.keys(FIELD_WEIGHTS) as Array<keyof typeof FIELD_WEIGHTS>).reduce(
+          (sum, field) => sum + (fields[field].has(term) ? FIELD_WEIGHTS[field] : 0),
+          0,
+        );
+        if (termScore > 0) {
+          matchedTerms.push(term);
+          score += termScore * (subjectTerms.has(term) ? SUBJECT_MULTIPLIER : 1);
+        }
+      }
+
+      if (query.category && article.category === query.category) {
+        score *= CATEGORY_BOOST;
+      }
+      score *= 1 + Math.log10(1 + Math.max(0, article.helpfulCount || 0)) * 0.1;
+
+      return { article, score: Math.round(score * 100) / 100, matchedTerms };
+    })
+    .filter((result) => result.matchedTerms.length >= minMatched)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
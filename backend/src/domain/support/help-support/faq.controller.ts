@@ -15,22 +15,38 @@ import { JwtAuthGuard } from '../../../core/auth/guards/jwt-auth.guard';
 import { OptionalJwtAuthGuard } from '../../../core/auth/guards/optional-jwt-auth.guard';
 import { RolesGuard } from '../../../core/auth/guards/roles.guard';
 import { Roles } from '../../../core/auth/decorators/roles.decorator';
-import { CreateFAQDto, UpdateFAQDto } from './dto';
-import { SupportCategory } from '../../../generated/prisma/client';
+import {
+  CreateFAQDto,
+  UpdateFAQDto,
+  SuggestFAQDto,
+  RecordDeflectionDto,
+  SaveFAQDraftDto,
+  ReviewFAQRevisionDto,
+  RollbackFAQRevisionDto,
+} from './dto';
+import { ContentLanguage, SupportCategory } from '../../../generated/prisma/client';
 
+/**
+ * Public endpoints return content in the language given by `?lang=EN|HI|PA`,
+ * else the signed-in user's preferred language, else English.
+ */
 @Controller('support/faq')
 export class FAQController {
   constructor(private readonly faqService: FAQService) {}
 
+  private language(req: any, lang?: string): ContentLanguage {
+    return this.faqService.resolveLanguage(lang, req?.user?.preferredLanguage);
+  }
+
   /**
    * Get all published FAQ articles filtered by user role
    * Access: Public (optional auth - filters by role if authenticated)
    */
   @Get()
   @UseGuards(OptionalJwtAuthGuard)
-  async getPublishedFAQs(@Request() req: any) {
+  async getPublishedFAQs(@Request() req: any, @Query('lang') lang?: string) {
     const userRole = req.user?.role;
-    return this.faqService.getPublishedFAQs(userRole);
+    return this.faqService.getPublishedFAQs(userRole, this.language(req, lang));
   }
 
   /**
@@ -39,9 +55,9 @@ export class FAQController {
    */
   @Get('search')
   @UseGuards(OptionalJwtAuthGuard)
-  async searchFAQs(@Query('q') query: string, @Request() req: any) {
+  async searchFAQs(@Query('q') query: string, @Request() req: any, @Query('lang') lang?: string) {
     const userRole = req.user?.role;
-    return this.faqService.searchFAQs(query, userRole);
+    return this.faqService.searchFAQs(query, userRole, this.language(req, lang));
   }
 
   /**
@@ -61,10 +77,10 @@ export class FAQController {
    */
   @Get('popular')
   @UseGuards(OptionalJwtAuthGuard)
-  async getPopularFAQs(@Query('limit') limit?: string, @Request() req?: any) {
+  async getPopularFAQs(@Query('limit') limit?: string, @Request() req?: any, @Query('lang') lang?: string) {
     const limitNum = limit ? parseInt(limit, 10) : 10;
     const userRole = req?.user?.role;
-    return this.faqService.getPopularFAQs(limitNum, userRole);
+    return this.faqService.getPopularFAQs(limitNum, userRole, this.language(req, lang));
   }
 
   /**
@@ -73,9 +89,45 @@ export class FAQController {
    */
   @Get('category/:category')
   @UseGuards(OptionalJwtAuthGuard)
-  async getFAQsByCategory(@Param('category') category: SupportCategory, @Request() req: any) {
+  async getFAQsByCategory(
+    @Param('category') category: SupportCategory,
+    @Request() req: any,
+    @Query('lang') lang?: string,
+  ) {
     const userRole = req.user?.role;
-    return this.faqService.getFAQsByCategory(category, userRole);
+    return this.faqService.getFAQsByCategory(category, userRole, this.language(req, lang));
+  }
+
+  /**
+   * Suggest FAQs for a support ticket draft, filtered by user role
+   * Access: Public (optional auth)
+   */
+  @Post('suggest')
+  @UseGuards(OptionalJwtAuthGuard)
+  async suggestFAQs(@Body() draft: SuggestFAQDto, @Request() req: any, @Query('lang') lang?: string) {
+    return this.faqService.suggestFAQs(draft, req.user?.role, 5, this.language(req, lang));
+  }
+
+  /**
+   * Record that a suggested FAQ answered the user's question
+   * Access: All authenticated users
+   */
+  @Post('deflections')
+  @UseGuards(JwtAuthGuard)
+  async recordDeflection(@Body() data: RecordDeflectionDto, @Request() req: any) {
+    return this.faqService.recordDeflection(req.user.userId, req.user.role, data);
+  }
+
+  /**
+   * Get ticket deflection analytics for FAQ authors
+   * Access: STATE_DIRECTORATE only
+   */
+  @Get('admin/deflection-stats')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async getDeflectionStats(@Query('days') days?: string) {
+    const parsed = days ? parseInt(days, 10) : 90;
+    return this.faqService.getDeflectionStats(Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, 365) : 90);
   }
 
   /**
@@ -89,13 +141,88 @@ export class FAQController {
     return this.faqService.getAllFAQs();
   }
 
+  /**
+   * Get revisions awaiting review across all articles
+   * Access: STATE_DIRECTORATE only
+   */
+  @Get('admin/reviews')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async getPendingReviews() {
+    return this.faqService.getPendingReviews();
+  }
+
+  /**
+   * Get a revision with its content
+   * Access: STATE_DIRECTORATE only
+   */
+  @Get('admin/revisions/:revisionId')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async getRevision(@Param('revisionId') revisionId: string) {
+    return this.faqService.getRevision(revisionId);
+  }
+
+  /**
+   * Diff a revision against the live one (or `compareTo`)
+   * Access: STATE_DIRECTORATE only
+   */
+  @Get('admin/revisions/:revisionId/diff')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async getRevisionDiff(@Param('revisionId') revisionId: string, @Query('compareTo') compareTo?: string) {
+    return this.faqService.getRevisionDiff(revisionId, compareTo);
+  }
+
+  /**
+   * Submit a draft revision for review
+   * Access: STATE_DIRECTORATE only
+   */
+  @Post('admin/revisions/:revisionId/submit')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async submitRevision(@Param('revisionId') revisionId: string, @Request() req: any) {
+    return this.faqService.submitRevisionForReview(revisionId, req.user.userId);
+  }
+
+  /**
+   * Approve (publish) or reject a revision under review
+   * Access: STATE_DIRECTORATE only
+   */
+  @Post('admin/revisions/:revisionId/review')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async reviewRevision(
+    @Param('revisionId') revisionId: string,
+    @Body() data: ReviewFAQRevisionDto,
+    @Request() req: any,
+  ) {
+    return this.faqService.reviewRevision(revisionId, req.user.userId, data);
+  }
+
+  /**
+   * Restore an earlier published revision as the live content
+   * Access: STATE_DIRECTORATE only
+   */
+  @Post('admin/revisions/:revisionId/rollback')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async rollbackRevision(
+    @Param('revisionId') revisionId: string,
+    @Body() data: RollbackFAQRevisionDto,
+    @Request() req: any,
+  ) {
+    return this.faqService.rollbackToRevision(revisionId, req.user.userId, data);
+  }
+
   /**
    * Get FAQ by slug (public view)
-   * Access: Public
+   * Access: Public (optional auth - picks the user's language)
    */
   @Get('slug/:slug')
-  async getFAQBySlug(@Param('slug') slug: string) {
-    return this.faqService.getFAQBySlug(slug);
+  @UseGuards(OptionalJwtAuthGuard)
+  async getFAQBySlug(@Param('slug') slug: string, @Request() req: any, @Query('lang') lang?: string) {
+    return this.faqService.getFAQBySlug(slug, true, this.language(req, lang));
   }
 
   /**
@@ -130,7 +257,29 @@ export class FAQController {
   }
 
   /**
-   * Update an FAQ article
+   * Get the revision history of an FAQ article
+   * Access: STATE_DIRECTORATE only
+   */
+  @Get('admin/:id/revisions')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async getRevisions(@Param('id') id: string, @Query('language') language?: string) {
+    return this.faqService.getRevisions(id, language ? this.faqService.resolveLanguage(language) : undefined);
+  }
+
+  /**
+   * Save the draft of an FAQ article in one language
+   * Access: STATE_DIRECTORATE only
+   */
+  @Put('admin/:id/draft')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('STATE_DIRECTORATE')
+  async saveDraft(@Param('id') id: string, @Body() data: SaveFAQDraftDto, @Request() req: any) {
+    return this.faqService.saveDraft(id, req.user.userId, data);
+  }
+
+  /**
+   * Update an FAQ article (content changes are saved as an English draft)
    * Access: STATE_DIRECTORATE only
    */
   @Put(':id')
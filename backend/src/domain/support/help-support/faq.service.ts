@@ -1,8 +1,66 @@
-import { Injectable, NotFoundException, Logger, ConflictException } from '@nestjs/common';
+import {
+  Injectable,
+  NotFoundException,
+  Logger,
+  ConflictException,
+  BadRequestException,
+  ForbiddenException,
+} from '@nestjs/common';
 import { PrismaService } from '../../../core/database/prisma.service';
 import { CacheService } from '../../../core/cache/cache.service';
-import { SupportCategory, Role } from '../../../generated/prisma/client';
-import { CreateFAQDto, UpdateFAQDto } from './dto';
+import { NotificationService } from '../../../infrastructure/notification/notification.service';
+import {
+  SupportCategory,
+  Role,
+  FAQDeflectionOutcome,
+  ContentLanguage,
+  FAQRevisionStatus,
+  FAQArticle,
+  FAQArticleRevision,
+  FAQArticleTranslation,
+} from '../../../generated/prisma/client';
+import { rankFaqSuggestions } from './faq-suggestion.util';
+import { diffLines, summarizeDiff } from './text-diff.util';
+import {
+  CreateFAQDto,
+  UpdateFAQDto,
+  SuggestFAQDto,
+  RecordDeflectionDto,
+  SaveFAQDraftDto,
+  ReviewFAQRevisionDto,
+  RollbackFAQRevisionDto,
+} from './dto';
+
+// Revisions that are still being worked on; at most one per article and language
+const OPEN_REVISION_STATUSES: FAQRevisionStatus[] = [
+  FAQRevisionStatus.DRAFT,
+  FAQRevisionStatus.IN_REVIEW,
+  FAQRevisionStatus.REJECTED,
+];
+
+// Revision fields returned in history lists (content is fetched per revision)
+const REVISION_SUMMARY_SELECT = {
+  id: true,
+  articleId: true,
+  language: true,
+  version: true,
+  title: true,
+  changeNote: true,
+  status: true,
+  basedOnVersion: true,
+  restoredFrom: true,
+  authorId: true,
+  authorName: true,
+  submittedAt: true,
+  reviewedByName: true,
+  reviewedAt: true,
+  reviewNote: true,
+  publishedAt: true,
+  createdAt: true,
+  updatedAt: true,
+} as const;
+
+type ArticleWithTranslations = FAQArticle & { translations?: FAQArticleTranslation[] };
 
 @Injectable()
 export class FAQService {
@@ -12,8 +70,52 @@ export class FAQService {
   constructor(
     private readonly prisma: PrismaService,
     private readonly cache: CacheService,
+    private readonly notificationService: NotificationService,
   ) {}
 
+  /**
+   * Pick the content language: an explicit request first, then the user's
+   * preference, then English
+   */
+  resolveLanguage(requested?: string, preferred?: ContentLanguage | null): ContentLanguage {
+    const code = requested?.trim().toUpperCase();
+    if (code && (Object.values(ContentLanguage) as string[]).includes(code)) {
+      return code as ContentLanguage;
+    }
+    return preferred || ContentLanguage.EN;
+  }
+
+  /**
+   * Include clause loading the published translation for a language
+   */
+  private translationInclude(language: ContentLanguage) {
+    return language === ContentLanguage.EN
+      ? undefined
+      : { translations: { where: { language } } };
+  }
+
+  /**
+   * Overlay the translation (if published) on the English article.
+   * English search terms are kept so queries typed in English still match.
+   */
+  private localize(article: ArticleWithTranslations, language: ContentLanguage) {
+    const { translations, ...base } = article;
+    const translation = translations?.find((t) => t.language === language);
+
+    if (!translation) {
+      return { ...base, language: ContentLanguage.EN };
+    }
+
+    return {
+      ...base,
+      title: translation.title,
+      content: translation.content,
+      summary: translation.summary,
+      searchTerms: [...new Set([...translation.searchTerms, ...base.searchTerms])],
+      language,
+    };
+  }
+
   /**
    * Generate URL-friendly slug from title
    */
@@ -65,6 +167,9 @@ export class FAQService {
       const baseSlug = this.generateSlug(data.title);
       const slug = await this.ensureUniqueSlug(baseSlug);
 
+      const now = new Date();
+
+      // The initial English content is version 1; published right away only when asked to
       const faq = await this.prisma.fAQArticle.create({
         data: {
           title: data.title,
@@ -74,13 +179,28 @@ export class FAQService {
           tags: data.tags || [],
           targetRoles: data.targetRoles || [], // Empty array = visible to all roles
           isPublished: data.isPublished || false,
-          publishedAt: data.isPublished ? new Date() : null,
+          publishedAt: data.isPublished ? now : null,
           publishedBy: data.isPublished ? authorId : null,
           authorId,
           authorName: author.name,
           slug,
           searchTerms: data.searchTerms || [],
           sortOrder: data.sortOrder || 0,
+          revisions: {
+            create: {
+              language: ContentLanguage.EN,
+              version: 1,
+              title: data.title,
+              content: data.content,
+              summary: data.summary,
+              searchTerms: data.searchTerms || [],
+              changeNote: data.changeNote,
+              status: data.isPublished ? FAQRevisionStatus.PUBLISHED : FAQRevisionStatus.DRAFT,
+              authorId,
+              authorName: author.name,
+              publishedAt: data.isPublished ? now : null,
+            },
+          },
         },
       });
 
@@ -95,7 +215,10 @@ export class FAQService {
   }
 
   /**
-   * Update an FAQ article
+   * Update an FAQ article.
+   * Settings (category, tags, target roles, order, visibility) apply immediately.
+   * Content changes (title, content, summary, search terms) never touch the live
+   * article; they are saved to the English draft, which goes live once reviewed.
    */
   async updateFAQ(id: string, updaterId: string, data: UpdateFAQDto) {
     try {
@@ -109,17 +232,22 @@ export class FAQService {
         throw new NotFoundException('FAQ article not found');
       }
 
-      const updateData: any = { ...data };
-
-      // If title is being updated, regenerate slug
-      if (data.title && data.title !== faq.title) {
-        const baseSlug = this.generateSlug(data.title);
-        updateData.slug = await this.ensureUniqueSlug(baseSlug, id);
-      }
+      const { title, content, summary, searchTerms, changeNote, ...settings } = data;
+      const updateData: any = { ...settings };
 
       // Handle publish state change
       if (data.isPublished !== undefined && data.isPublished !== faq.isPublished) {
         if (data.isPublished) {
+          const published = await this.prisma.fAQArticleRevision.count({
+            where: {
+              articleId: id,
+              language: ContentLanguage.EN,
+              status: { in: [FAQRevisionStatus.PUBLISHED, FAQRevisionStatus.SUPERSEDED] },
+            },
+          });
+          if (published === 0) {
+            throw new BadRequestException('The English draft must be reviewed and published first');
+          }
           updateData.publishedAt = new Date();
           updateData.publishedBy = updaterId;
         } else {
@@ -133,10 +261,25 @@ export class FAQService {
         data: updateData,
       });
 
+      let draft: Awaited<ReturnType<FAQService['saveDraft']>> | null = null;
+      if ([title, content, summary, searchTerms].some((value) => value !== undefined)) {
+        // Start from the open English draft if there is one, otherwise from the live article
+        const open = await this.findOpenRevision(id, ContentLanguage.EN);
+        const current = open || faq;
+        draft = await this.saveDraft(id, updaterId, {
+          language: ContentLanguage.EN,
+          title: title ?? current.title,
+          content: content ?? current.content,
+          summary: summary ?? current.summary ?? undefined,
+          searchTerms: searchTerms ?? current.searchTerms,
+          changeNote,
+        });
+      }
+
       // Invalidate cache
       await this.invalidateFAQCache();
 
-      return updated;
+      return { ...updated, draft };
     } catch (error) {
       this.logger.error(`Failed to update FAQ: ${error.message}`, error.stack);
       throw error;
@@ -191,25 +334,28 @@ export class FAQService {
   }
 
   /**
-   * Get all published FAQ articles filtered by user role
+   * Get all published FAQ articles filtered by user role, in the given language
+   * (falling back to English for articles not translated yet)
    */
-  async getPublishedFAQs(userRole?: string) {
+  async getPublishedFAQs(userRole?: string, language: ContentLanguage = ContentLanguage.EN) {
     try {
-      const cacheKey = userRole ? `faqs:published:${userRole}` : 'faqs:published:public';
+      const cacheKey = `faqs:published:${userRole || 'public'}:${language}`;
 
       return await this.cache.getOrSet(
         cacheKey,
         async () => {
-          return await this.prisma.fAQArticle.findMany({
+          const articles = await this.prisma.fAQArticle.findMany({
             where: {
               isPublished: true,
               ...this.buildRoleFilter(userRole),
             },
+            include: this.translationInclude(language),
             orderBy: [
               { sortOrder: 'asc' },
               { viewCount: 'desc' },
             ],
           });
+          return articles.map((article) => this.localize(article, language));
         },
         this.CACHE_TTL,
       );
@@ -220,11 +366,19 @@ export class FAQService {
   }
 
   /**
-   * Get all FAQ articles (including drafts) - for admin
+   * Get all FAQ articles (including drafts) - for admin.
+   * Lists the published translations and open revisions of each article.
    */
   async getAllFAQs() {
     try {
       return await this.prisma.fAQArticle.findMany({
+        include: {
+          translations: { select: { language: true, publishedAt: true } },
+          revisions: {
+            where: { status: { in: OPEN_REVISION_STATUSES } },
+            select: { id: true, language: true, version: true, status: true, updatedAt: true },
+          },
+        },
         orderBy: [
           { category: 'asc' },
           { sortOrder: 'asc' },
@@ -244,6 +398,13 @@ export class FAQService {
     try {
       const faq = await this.prisma.fAQArticle.findUnique({
         where: { id },
+        include: {
+          translations: true,
+          revisions: {
+            where: { status: { in: OPEN_REVISION_STATUSES } },
+            select: REVISION_SUMMARY_SELECT,
+          },
+        },
       });
 
       if (!faq) {
@@ -258,12 +419,14 @@ export class FAQService {
   }
 
   /**
-   * Get FAQ by slug (for public view)
+   * Get FAQ by slug (for public view) in the given language.
+   * Also lists the languages the article is available in.
    */
-  async getFAQBySlug(slug: string, incrementView: boolean = true) {
+  async getFAQBySlug(slug: string, incrementView: boolean = true, language: ContentLanguage = ContentLanguage.EN) {
     try {
       const faq = await this.prisma.fAQArticle.findUnique({
         where: { slug },
+        include: { translations: true },
       });
 
       if (!faq || !faq.isPublished) {
@@ -278,7 +441,10 @@ export class FAQService {
         });
       }
 
-      return faq;
+      return {
+        ...this.localize(faq, language),
+        availableLanguages: [ContentLanguage.EN, ...faq.translations.map((t) => t.language)],
+      };
     } catch (error) {
       this.logger.error(`Failed to get FAQ by slug ${slug}: ${error.message}`, error.stack);
       throw error;
@@ -288,24 +454,30 @@ export class FAQService {
   /**
    * Get FAQs by category filtered by user role
    */
-  async getFAQsByCategory(category: SupportCategory, userRole?: string) {
+  async getFAQsByCategory(
+    category: SupportCategory,
+    userRole?: string,
+    language: ContentLanguage = ContentLanguage.EN,
+  ) {
     try {
-      const cacheKey = userRole ? `faqs:category:${category}:${userRole}` : `faqs:category:${category}:public`;
+      const cacheKey = `faqs:category:${category}:${userRole || 'public'}:${language}`;
 
       return await this.cache.getOrSet(
         cacheKey,
         async () => {
-          return await this.prisma.fAQArticle.findMany({
+          const articles = await this.prisma.fAQArticle.findMany({
             where: {
               category,
               isPublished: true,
               ...this.buildRoleFilter(userRole),
             },
+            include: this.translationInclude(language),
             orderBy: [
               { sortOrder: 'asc' },
               { viewCount: 'desc' },
             ],
           });
+          return articles.map((article) => this.localize(article, language));
         },
         this.CACHE_TTL,
       );
@@ -316,9 +488,11 @@ export class FAQService {
   }
 
   /**
-   * Search FAQs filtered by user role
+   * Search FAQs filtered by user role.
+   * For Hindi/Punjabi the published translation is searched as well as the English
+   * article, and results are returned in the chosen language.
    */
-  async searchFAQs(query: string, userRole?: string) {
+  async searchFAQs(query: string, userRole?: string, language: ContentLanguage = ContentLanguage.EN) {
     try {
       if (!query || query.trim().length < 2) {
         return [];
@@ -326,24 +500,47 @@ export class FAQService {
 
       const searchTerm = query.trim().toLowerCase();
 
-      // MongoDB text search using contains with role filtering
+      const matchesTranslation =
+        language === ContentLanguage.EN
+          ? []
+          : [
+              {
+                translations: {
+                  some: {
+                    language,
+                    OR: [
+                      { title: { contains: searchTerm, mode: 'insensitive' as const } },
+                      { content: { contains: searchTerm, mode: 'insensitive' as const } },
+                      { summary: { contains: searchTerm, mode: 'insensitive' as const } },
+                      { searchTerms: { has: searchTerm } },
+                    ],
+                  },
+                },
+              },
+            ];
+
+      // Text search using contains with role filtering
       const results = await this.prisma.fAQArticle.findMany({
         where: {
           isPublished: true,
           ...this.buildRoleFilter(userRole),
-          OR: [
-            { title: { contains: searchTerm, mode: 'insensitive' } },
-            { content: { contains: searchTerm, mode: 'insensitive' } },
-            { summary: { contains: searchTerm, mode: 'insensitive' } },
-            { tags: { has: searchTerm } },
-            { searchTerms: { has: searchTerm } },
-          ],
+          AND: {
+            OR: [
+              { title: { contains: searchTerm, mode: 'insensitive' } },
+              { content: { contains: searchTerm, mode: 'insensitive' } },
+              { summary: { contains: searchTerm, mode: 'insensitive' } },
+              { tags: { has: searchTerm } },
+              { searchTerms: { has: searchTerm } },
+              ...matchesTranslation,
+            ],
+          },
         },
+        include: this.translationInclude(language),
         orderBy: { viewCount: 'desc' },
         take: 20,
       });
 
-      return results;
+      return results.map((article) => this.localize(article, language));
     } catch (error) {
       this.logger.error(`Failed to search FAQs: ${error.message}`, error.stack);
       throw error;
@@ -425,22 +622,627 @@ export class FAQService {
   /**
    * Get popular FAQs filtered by user role
    */
-  async getPopularFAQs(limit: number = 10, userRole?: string) {
+  async getPopularFAQs(limit: number = 10, userRole?: string, language: ContentLanguage = ContentLanguage.EN) {
     try {
-      return await this.prisma.fAQArticle.findMany({
+      const articles = await this.prisma.fAQArticle.findMany({
         where: {
           isPublished: true,
           ...this.buildRoleFilter(userRole),
         },
+        include: this.translationInclude(language),
         orderBy: { viewCount: 'desc' },
         take: limit,
       });
+      return articles.map((article) => this.localize(article, language));
     } catch (error) {
       this.logger.error(`Failed to get popular FAQs: ${error.message}`, error.stack);
       throw error;
     }
   }
 
+  /**
+   * Suggest published FAQs for a support ticket draft, ranked by relevance.
+   * Uses the cached role-filtered article list, so targetRoles is respected.
+   * Ranked in the user's language, so a Hindi draft matches Hindi articles.
+   */
+  async suggestFAQs(
+    draft: SuggestFAQDto,
+    userRole?: string,
+    limit: number = 5,
+    language: ContentLanguage = ContentLanguage.EN,
+  ) {
+    try {
+      const articles = await this.getPublishedFAQs(userRole, language);
+
+      return rankFaqSuggestions(articles, draft, limit).map(({ article, score }) => ({
+        id: article.id,
+        title: article.title,
+        summary: article.summary,
+        content: article.content,
+        category: article.category,
+        slug: article.slug,
+        helpfulCount: article.helpfulCount,
+        score,
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to suggest FAQs: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a suggested FAQ answered the user's question and no ticket was submitted
+   */
+  async recordDeflection(userId: string, userRole: Role, data: RecordDeflectionDto) {
+    try {
+      const faq = await this.prisma.fAQArticle.findUnique({
+        where: { id: data.faqArticleId },
+        select: { id: true },
+      });
+
+      if (!faq) {
+        throw new NotFoundException('FAQ article not found');
+      }
+
+      return await this.prisma.fAQDeflection.create({
+        data: {
+          userId,
+          userRole,
+          outcome: FAQDeflectionOutcome.DEFLECTED,
+          faqArticleId: data.faqArticleId,
+          suggestedIds: data.suggestedIds || [data.faqArticleId],
+          query: data.query,
+          category: data.category,
+        },
+      });
+    } catch (error) {
+      this.logger.error(`Failed to record FAQ deflection: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a ticket was submitted after FAQ suggestions were offered
+   */
+  async recordSubmittedTicket(
+    userId: string,
+    userRole: Role,
+    ticket: { id: string; subject: string; category: SupportCategory },
+    suggestedIds: string[],
+  ) {
+    try {
+      await this.prisma.fAQDeflection.create({
+        data: {
+          userId,
+          userRole,
+          outcome: FAQDeflectionOutcome.SUBMITTED,
+          suggestedIds,
+          ticketId: ticket.id,
+          query: ticket.subject,
+          category: ticket.category,
+        },
+      });
+    } catch (error) {
+      // Analytics only; never fail ticket creation over it
+      this.logger.warn(`Failed to record FAQ suggestion outcome for ticket ${ticket.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deflection analytics for FAQ authors: per article, how often it was suggested,
+   * how often it answered the question, and how often a ticket was submitted anyway.
+   * Also lists recent tickets for which no article was suggested (content gaps).
+   */
+  async getDeflectionStats(days: number = 90) {
+    try {
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+
+      const [events, articles] = await Promise.all([
+        this.prisma.fAQDeflection.findMany({
+          where: { createdAt: { gte: since } },
+          select: {
+            outcome: true,
+            suggestedIds: true,
+            faqArticleId: true,
+            ticketId: true,
+            query: true,
+            category: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: 'desc' },
+        }),
+        this.prisma.fAQArticle.findMany({
+          select: { id: true, title: true, category: true, isPublished: true, helpfulCount: true, viewCount: true },
+        }),
+      ]);
+
+      const perArticle = new Map<string, { suggested: number; deflected: number; submittedAnyway: number }>();
+      const entry = (id: string) => {
+        if (!perArticle.has(id)) perArticle.set(id, { suggested: 0, deflected: 0, submittedAnyway: 0 });
+        return perArticle.get(id);
+      };
+
+      let deflected = 0;
+      let submitted = 0;
+      const contentGaps: Array<{ query: string; category: SupportCategory; ticketId: string; createdAt: Date }> = [];
+
+      for (const event of events) {
+        for (const id of event.suggestedIds) entry(id).suggested++;
+
+        if (event.outcome === FAQDeflectionOutcome.DEFLECTED) {
+          deflected++;
+          if (event.faqArticleId) entry(event.faqArticleId).deflected++;
+        } else {
+          submitted++;
+          for (const id of event.suggestedIds) entry(id).submittedAnyway++;
+          if (event.suggestedIds.length === 0 && event.query && contentGaps.length < 20) {
+            contentGaps.push({
+              query: event.query,
+              category: event.category,
+              ticketId: event.ticketId,
+              createdAt: event.createdAt,
+            });
+          }
+        }
+      }
+
+      const rate = (part: number, total: number) => (total > 0 ? Math.round((part / total) * 1000) / 10 : null);
+
+      return {
+        periodDays: days,
+        summary: {
+          sessions: deflected + submitted,
+          deflected,
+          submitted,
+          deflectionRate: rate(deflected, deflected + submitted),
+        },
+        articles: articles
+          .filter((article) => perArticle.has(article.id))
+          .map((article) => {
+            const stats = perArticle.get(article.id);
+            return {
+              ...article,
+              ...stats,
+              deflectionRate: rate(stats.deflected, stats.deflected + stats.submittedAnyway),
+            };
+          })
+          .sort((a, b) => b.deflected - a.deflected || b.suggested - a.suggested),
+        contentGaps,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get FAQ deflection stats: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Revisions: draft -> review -> publish, history, diff and rollback
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Revision history of an article, newest first (optionally for one language)
+   */
+  async getRevisions(articleId: string, language?: ContentLanguage) {
+    try {
+      await this.getArticleOrThrow(articleId);
+
+      return await this.prisma.fAQArticleRevision.findMany({
+        where: { articleId, ...(language && { language }) },
+        select: REVISION_SUMMARY_SELECT,
+        orderBy: [{ language: 'asc' }, { version: 'desc' }],
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get revisions for FAQ ${articleId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * A single revision with its content
+   */
+  async getRevision(revisionId: string) {
+    try {
+      return await this.getRevisionOrThrow(revisionId);
+    } catch (error) {
+      this.logger.error(`Failed to get FAQ revision ${revisionId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Revisions waiting for review across all articles
+   */
+  async getPendingReviews() {
+    try {
+      return await this.prisma.fAQArticleRevision.findMany({
+        where: { status: FAQRevisionStatus.IN_REVIEW },
+        select: {
+          ...REVISION_SUMMARY_SELECT,
+          article: { select: { id: true, title: true, slug: true, category: true } },
+        },
+        orderBy: { submittedAt: 'asc' },
+      });
+    } catch (error) {
+      this.logger.error(`Failed to get pending FAQ reviews: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the draft of an article in one language.
+   * There is a single open revision per article and language; a rejected revision
+   * becomes a draft again when edited. A revision under review can't be edited.
+   */
+  async saveDraft(articleId: string, authorId: string, data: SaveFAQDraftDto) {
+    try {
+      await this.getArticleOrThrow(articleId);
+
+      const author = await this.prisma.user.findUnique({
+        where: { id: authorId },
+        select: { name: true },
+      });
+
+      if (!author) {
+        throw new NotFoundException('Author not found');
+      }
+
+      const open = await this.findOpenRevision(articleId, data.language);
+
+      if (open?.status === FAQRevisionStatus.IN_REVIEW) {
+        throw new ConflictException('A revision in this language is awaiting review');
+      }
+
+      const content = {
+        title: data.title,
+        content: data.content,
+        summary: data.summary ?? null,
+        searchTerms: data.searchTerms || [],
+        changeNote: data.changeNote ?? null,
+        authorId,
+        authorName: author.name,
+      };
+
+      if (open) {
+        return await this.prisma.fAQArticleRevision.update({
+          where: { id: open.id },
+          data: { ...content, status: FAQRevisionStatus.DRAFT },
+        });
+      }
+
+      const [latest, published] = await Promise.all([
+        this.prisma.fAQArticleRevision.findFirst({
+          where: { articleId, language: data.language },
+          orderBy: { version: 'desc' },
+          select: { version: true },
+        }),
+        this.findPublishedRevision(articleId, data.language),
+      ]);
+
+      return await this.prisma.fAQArticleRevision.create({
+        data: {
+          articleId,
+          language: data.language,
+          version: (latest?.version ?? 0) + 1,
+          basedOnVersion: published?.version ?? null,
+          ...content,
+        },
+      });
+    } catch (error) {
+      this.logger.error(`Failed to save FAQ draft for ${articleId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a draft (or a reworked rejected revision) for review
+   */
+  async submitRevisionForReview(revisionId: string, userId: string) {
+    try {
+      const revision = await this.getRevisionOrThrow(revisionId);
+
+      if (revision.status !== FAQRevisionStatus.DRAFT && revision.status !== FAQRevisionStatus.REJECTED) {
+        throw new BadRequestException(`A ${revision.status.toLowerCase().replace('_', ' ')} revision cannot be submitted`);
+      }
+
+      this.logger.log(`FAQ revision ${revisionId} submitted for review by ${userId}`);
+
+      return await this.prisma.fAQArticleRevision.update({
+        where: { id: revisionId },
+        data: {
+          status: FAQRevisionStatus.IN_REVIEW,
+          submittedAt: new Date(),
+          reviewedById: null,
+          reviewedByName: null,
+          reviewedAt: null,
+          reviewNote: null,
+        },
+      });
+    } catch (error) {
+      this.logger.error(`Failed to submit FAQ revision ${revisionId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve (publish) or reject a revision under review.
+   * Reviews must be done by someone other than the revision's author.
+   */
+  async reviewRevision(revisionId: string, reviewerId: string, data: ReviewFAQRevisionDto) {
+    try {
+      const revision = await this.getRevisionOrThrow(revisionId);
+
+      if (revision.status !== FAQRevisionStatus.IN_REVIEW) {
+        throw new BadRequestException('Only revisions awaiting review can be reviewed');
+      }
+      if (revision.authorId === reviewerId) {
+        throw new ForbiddenException('Revisions must be reviewed by someone other than their author');
+      }
+
+      const reviewer = await this.prisma.user.findUnique({
+        where: { id: reviewerId },
+        select: { name: true },
+      });
+
+      const review = {
+        reviewedById: reviewerId,
+        reviewedByName: reviewer?.name ?? 'Unknown',
+        reviewedAt: new Date(),
+        reviewNote: data.note ?? null,
+      };
+
+      let result: FAQArticleRevision;
+      if (data.approve) {
+        result = await this.publishRevision(revision, reviewerId, review);
+      } else {
+        result = await this.prisma.fAQArticleRevision.update({
+          where: { id: revisionId },
+          data: { ...review, status: FAQRevisionStatus.REJECTED },
+        });
+      }
+
+      await this.notificationService.create(
+        revision.authorId,
+        data.approve ? 'FAQ_REVISION_PUBLISHED' : 'FAQ_REVISION_REJECTED',
+        data.approve ? 'FAQ Revision Published' : 'FAQ Revision Returned',
+        data.approve
+          ? `Your changes to "${revision.title}" (${revision.language}) are now live`
+          : `Your changes to "${revision.title}" (${revision.language}) need rework${data.note ? `: ${data.note}` : ''}`,
+        { articleId: revision.articleId, revisionId, language: revision.language },
+      );
+
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to review FAQ revision ${revisionId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the content of an earlier published revision.
+   * The content was reviewed when it first went live, so the restored copy is
+   * published straight away as a new version; open drafts are left untouched.
+   */
+  async rollbackToRevision(revisionId: string, userId: string, data: RollbackFAQRevisionDto) {
+    try {
+      const source = await this.getRevisionOrThrow(revisionId);
+
+      if (source.status === FAQRevisionStatus.PUBLISHED) {
+        throw new BadRequestException('This revision is already live');
+      }
+      if (source.status !== FAQRevisionStatus.SUPERSEDED) {
+        throw new BadRequestException('Only previously published revisions can be restored');
+      }
+
+      const user = await this.prisma.user.findUnique({
+        where: { id: userId },
+        select: { name: true },
+      });
+
+      const [latest, published] = await Promise.all([
+        this.prisma.fAQArticleRevision.findFirst({
+          where: { articleId: source.articleId, language: source.language },
+          orderBy: { version: 'desc' },
+          select: { version: true },
+        }),
+        this.findPublishedRevision(source.articleId, source.language),
+      ]);
+
+      const restored = await this.prisma.fAQArticleRevision.create({
+        data: {
+          articleId: source.articleId,
+          language: source.language,
+          version: latest.version + 1,
+          title: source.title,
+          content: source.content,
+          summary: source.summary,
+          searchTerms: source.searchTerms,
+          changeNote: data.changeNote || `Rolled back to version ${source.version}`,
+          basedOnVersion: published?.version ?? null,
+          restoredFrom: source.version,
+          authorId: userId,
+          authorName: user?.name ?? 'Unknown',
+        },
+      });
+
+      this.logger.log(`FAQ ${source.articleId} (${source.language}) rolled back to version ${source.version}`);
+
+      return await this.publishRevision(restored, userId);
+    } catch (error) {
+      this.logger.error(`Failed to roll back FAQ revision ${revisionId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Line diff of a revision against another revision of the same article and
+   * language. Defaults to the live revision, or the previous version when the
+   * revision itself is live.
+   */
+  async getRevisionDiff(revisionId: string, compareToId?: string) {
+    try {
+      const revision = await this.getRevisionOrThrow(revisionId);
+
+      let base: FAQArticleRevision | null;
+      if (compareToId) {
+        base = await this.getRevisionOrThrow(compareToId);
+        if (base.articleId !== revision.articleId || base.language !== revision.language) {
+          throw new BadRequestException('Revisions must belong to the same article and language');
+        }
+      } else {
+        const published = await this.findPublishedRevision(revision.articleId, revision.language);
+        base =
+          published && published.id !== revision.id
+            ? published
+            : await this.prisma.fAQArticleRevision.findFirst({
+                where: {
+                  articleId: revision.articleId,
+                  language: revision.language,
+                  version: { lt: revision.version },
+                },
+                orderBy: { version: 'desc' },
+              });
+      }
+
+      const field = (from: string | null | undefined, to: string | null | undefined) => ({
+        from: from ?? null,
+        to: to ?? null,
+        changed: (from ?? '') !== (to ?? ''),
+      });
+      const contentDiff = diffLines(base?.content, revision.content);
+
+      return {
+        base: base ? { id: base.id, version: base.version, status: base.status } : null,
+        revision: { id: revision.id, version: revision.version, status: revision.status },
+        language: revision.language,
+        title: field(base?.title, revision.title),
+        summary: field(base?.summary, revision.summary),
+        searchTerms: {
+          added: revision.searchTerms.filter((term) => !base?.searchTerms.includes(term)),
+          removed: (base?.searchTerms || []).filter((term) => !revision.searchTerms.includes(term)),
+        },
+        content: contentDiff,
+        stats: summarizeDiff(contentDiff),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to diff FAQ revision ${revisionId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a revision the live content for its language. English content is written
+   * to the article itself (publishing it the first time round); other languages
+   * are written to the article's translation.
+   */
+  private async publishRevision(
+    revision: FAQArticleRevision,
+    publisherId: string,
+    review: Partial<Pick<FAQArticleRevision, 'reviewedById' | 'reviewedByName' | 'reviewedAt' | 'reviewNote'>> = {},
+  ) {
+    const article = await this.getArticleOrThrow(revision.articleId);
+    const now = new Date();
+
+    const slug =
+      revision.language === ContentLanguage.EN && revision.title !== article.title
+        ? await this.ensureUniqueSlug(this.generateSlug(revision.title), article.id)
+        : undefined;
+
+    const published = await this.prisma.$transaction(async (tx) => {
+      const previouslyPublished = await tx.fAQArticleRevision.count({
+        where: {
+          articleId: revision.articleId,
+          language: revision.language,
+          status: { in: [FAQRevisionStatus.PUBLISHED, FAQRevisionStatus.SUPERSEDED] },
+          id: { not: revision.id },
+        },
+      });
+
+      await tx.fAQArticleRevision.updateMany({
+        where: {
+          articleId: revision.articleId,
+          language: revision.language,
+          status: FAQRevisionStatus.PUBLISHED,
+          id: { not: revision.id },
+        },
+        data: { status: FAQRevisionStatus.SUPERSEDED },
+      });
+
+      const updated = await tx.fAQArticleRevision.update({
+        where: { id: revision.id },
+        data: { ...review, status: FAQRevisionStatus.PUBLISHED, publishedAt: now },
+      });
+
+      const content = {
+        title: revision.title,
+        content: revision.content,
+        summary: revision.summary,
+        searchTerms: revision.searchTerms,
+      };
+
+      if (revision.language === ContentLanguage.EN) {
+        await tx.fAQArticle.update({
+          where: { id: revision.articleId },
+          data: {
+            ...content,
+            ...(slug && { slug }),
+            // First English publication makes the article visible; later ones keep its visibility
+            ...(previouslyPublished === 0 && { isPublished: true, publishedAt: now, publishedBy: publisherId }),
+          },
+        });
+      } else {
+        await tx.fAQArticleTranslation.upsert({
+          where: { articleId_language: { articleId: revision.articleId, language: revision.language } },
+          create: {
+            articleId: revision.articleId,
+            language: revision.language,
+            ...content,
+            revisionId: revision.id,
+            publishedAt: now,
+            publishedBy: publisherId,
+          },
+          update: { ...content, revisionId: revision.id, publishedAt: now, publishedBy: publisherId },
+        });
+      }
+
+      return updated;
+    });
+
+    this.logger.log(`Published FAQ ${revision.articleId} ${revision.language} version ${revision.version}`);
+    await this.invalidateFAQCache();
+
+    return published;
+  }
+
+  private async getArticleOrThrow(articleId: string) {
+    const article = await this.prisma.fAQArticle.findUnique({ where: { id: articleId } });
+    if (!article) {
+      throw new NotFoundException('FAQ article not found');
+    }
+    return article;
+  }
+
+  private async getRevisionOrThrow(revisionId: string) {
+    const revision = await this.prisma.fAQArticleRevision.findUnique({ where: { id: revisionId } });
+    if (!revision) {
+      throw new NotFoundException('FAQ revision not found');
+    }
+    return revision;
+  }
+
+  private findOpenRevision(articleId: string, language: ContentLanguage) {
+    return this.prisma.fAQArticleRevision.findFirst({
+      where: { articleId, language, status: { in: OPEN_REVISION_STATUSES } },
+      orderBy: { version: 'desc' },
+    });
+  }
+
+  private findPublishedRevision(articleId: string, language: ContentLanguage) {
+    return this.prisma.fAQArticleRevision.findFirst({
+      where: { articleId, language, status: FAQRevisionStatus.PUBLISHED },
+    });
+  }
+
   /**
    * Format category label for display
    */
@@ -460,25 +1262,7 @@ export class FAQService {
    * Helper to invalidate FAQ cache
    */
   private async invalidateFAQCache() {
-    // All roles in the system
-    const roles = Object.values(Role);
-
-    // Invalidate public caches
-    await this.cache.del('faqs:published:public');
-    await this.cache.del('faqs:categories:public');
-
-    // Invalidate role-specific caches
-    for (const role of roles) {
-      await this.cache.del(`faqs:published:${role}`);
-      await this.cache.del(`faqs:categories:${role}`);
-    }
-
-    // Invalidate all category caches (both public and role-specific)
-    for (const category of Object.values(SupportCategory)) {
-      await this.cache.del(`faqs:category:${category}:public`);
-      for (const role of roles) {
-        await this.cache.del(`faqs:category:${category}:${role}`);
-      }
-    }
+    // Published, category and count caches are keyed by role and language
+    await this.cache.invalidate('faqs:*');
   }
 }
@@ -0,0 +1,167 @@
+import {
+  parseInboundEmail,
+  parseEmailAddress,
+  parseHeaderParams,
+  decodeMimeWords,
+  extractSupportTicketNumber,
+  cleanInboundSubject,
+  extractReplyText,
+  isAutoGeneratedEmail,
+  isSenderAuthenticated,
+  parseAuthenticationResults,
+} from './inbound-email.util';
+
+const multipartMessage = [
+  'From: "Asha Kaur" <Asha.Kaur@Example.edu>',
+  'To: helpdesk@cms.example.gov, "Second" <second@cms.example.gov>',
+  'Subject: =?UTF-8?B?UmU6IFtTVVAtMjAyNjAyMDQtMDAwN10gUmVwb3J0IMOpdMOp?=',
+  'Message-ID: <abc123@mail.example.edu>',
+  'In-Reply-To: <ticket-1@cms.example.gov>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  'This is a multi-part message in MIME format.',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'The upload still fails =E2=80=93 see attached.',
+  '',
+  'On Tue, 3 Feb 2026 at 10:00, Helpdesk <helpdesk@cms.example.gov> wrote:',
+  '> Please try again',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>The upload still fails</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="report.pdf"',
+  'Content-Disposition: attachment; filename="report.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('%PDF-1.4 test').toString('base64'),
+  '--outer--',
+  '',
+].join('\r\n');
+
+describe('parseInboundEmail', () => {
+  it('parses headers, body parts and attachments of a multipart message', () => {
+    const email = parseInboundEmail(multipartMessage);
+
+    expect(email.from).toEqual({ address: 'asha.kaur@example.edu', name: 'Asha Kaur' });
+    expect(email.to.map((to) => to.address)).toEqual(['helpdesk@cms.example.gov', 'second@cms.example.gov']);
+    expect(email.subject).toBe('Re: [SUP-20260204-0007] Report été');
+    expect(email.messageId).toBe('abc123@mail.example.edu');
+    expect(email.inReplyTo).toBe('ticket-1@cms.example.gov');
+    expect(email.text).toContain('The upload still fails – see attached.');
+    expect(email.html).toBe('<p>The upload still fails</p>');
+    expect(email.attachments).toHaveLength(1);
+    expect(email.attachments[0]).toMatchObject({ filename: 'report.pdf', contentType: 'application/pdf' });
+    expect(email.attachments[0].content.toString()).toBe('%PDF-1.4 test');
+  });
+
+  it('falls back to the HTML part when there is no plain text', () => {
+    const email = parseInboundEmail(
+      'From: a@b.com\r\nSubject: Hi\r\nContent-Type: text/html\r\n\r\n<div>Line one<br>Line &amp; two</div>',
+    );
+    expect(email.text).toBe('Line one\nLine & two');
+  });
+
+  it('handles a plain single-part message with LF line endings', () => {
+    const email = parseInboundEmail('From: a@b.com\nSubject: Hello\n\nJust text\n');
+    expect(email.subject).toBe('Hello');
+    expect(email.text).toBe('Just text\n');
+    expect(email.attachments).toEqual([]);
+  });
+});
+
+describe('header helpers', () => {
+  it('decodes Q-encoded words', () => {
+    expect(decodeMimeWords('=?ISO-8859-1?Q?Caf=E9_menu?=')).toBe('Café menu');
+  });
+
+  it('reads RFC 2231 encoded filenames', () => {
+    const { value, params } = parseHeaderParams("attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf");
+    expect(value).toBe('attachment');
+    expect(params.filename).toBe('résumé.pdf');
+  });
+
+  it('rejects values that are not an address', () => {
+    expect(parseEmailAddress('Undisclosed recipients')).toBeNull();
+    expect(parseEmailAddress('user@example.com')).toEqual({ address: 'user@example.com' });
+  });
+});
+
+describe('ticket threading helpers', () => {
+  it('finds the ticket number in a subject', () => {
+    expect(extractSupportTicketNumber('RE: [sup-20260204-0007] Report')).toBe('SUP-20260204-0007');
+    expect(extractSupportTicketNumber('Report upload fails')).toBeNull();
+  });
+
+  it('strips reply prefixes and ticket numbers from a subject', () => {
+    expect(cleanInboundSubject('Re: Fwd: [SUP-20260204-0007] Report upload')).toBe('Report upload');
+  });
+
+  it('keeps only the new part of a reply', () => {
+    const text = [
+      'Still broken.',
+      '',
+      'On Tue, 3 Feb 2026 at 10:00, Helpdesk <',
+      'helpdesk@cms.example.gov> wrote:',
+      '> Please try again',
+    ].join('\n');
+    expect(extractReplyText(text)).toBe('Still broken.');
+    expect(extractReplyText('Thanks\n-- \nAsha\nPrincipal')).toBe('Thanks');
+  });
+
+  it('detects auto-replies and bounces', () => {
+    expect(isAutoGeneratedEmail({ 'auto-submitted': 'auto-replied' })).toBe(true);
+    expect(isAutoGeneratedEmail({ from: 'MAILER-DAEMON@example.com' })).toBe(true);
+    expect(isAutoGeneratedEmail({ 'auto-submitted': 'no', from: 'a@b.com' })).toBe(false);
+  });
+});
+
+describe('sender authentication', () => {
+  const authservId = 'mx.cms.example.gov';
+
+  it('parses Authentication-Results with comments and properties', () => {
+    const parsed = parseAuthenticationResults(
+      'MX.cms.example.gov 1; spf=pass (sender IP is 10.0.0.1) smtp.mailfrom=a@Example.edu; ' +
+        'dkim=pass header.d=example.edu header.s="sel; 1"; dmarc=fail header.from=example.edu',
+    );
+
+    expect(parsed.authservId).toBe('mx.cms.example.gov');
+    expect(parsed.results).toEqual([
+      { method: 'spf', result: 'pass', properties: { 'smtp.mailfrom': 'a@example.edu' } },
+      { method: 'dkim', result: 'pass', properties: { 'header.d': 'example.edu', 'header.s': 'sel; 1' } },
+      { method: 'dmarc', result: 'fail', properties: { 'header.from': 'example.edu' } },
+    ]);
+  });
+
+  it('accepts DMARC, or DKIM / SPF aligned with the From domain', () => {
+    const from = 'asha@example.edu';
+    expect(isSenderAuthenticated(`${authservId}; dmarc=pass header.from=example.edu`, from, authservId)).toBe(true);
+    expect(isSenderAuthenticated(`${authservId}; dkim=pass header.d=mail.example.edu`, from, authservId)).toBe(true);
+    expect(
+      isSenderAuthenticated(`${authservId}; spf=pass smtp.mailfrom=bounce@example.edu`, from, authservId, 'bounce@example.edu'),
+    ).toBe(true);
+  });
+
+  it('rejects failures, unaligned passes and results from other servers', () => {
+    const from = 'asha@example.edu';
+    expect(isSenderAuthenticated(undefined, from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; dmarc=fail header.from=example.edu`, from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; dmarc=pass header.from=attacker.com`, from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; dkim=pass header.d=attacker.com`, from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; dkim=pass header.d=notexample.edu`, from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; spf=pass smtp.mailfrom=x@attacker.com`, from, authservId)).toBe(false);
+    expect(
+      isSenderAuthenticated(`${authservId}; spf=pass smtp.mailfrom=x@example.edu`, from, authservId, 'x@attacker.com'),
+    ).toBe(false);
+    expect(isSenderAuthenticated('mx.attacker.com; dmarc=pass header.from=example.edu', from, authservId)).toBe(false);
+    expect(isSenderAuthenticated(`${authservId}; dmarc=pass header.from=example.edu`, from, '')).toBe(false);
+  });
+});
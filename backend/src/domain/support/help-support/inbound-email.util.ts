@@ -0,0 +1,482 @@
+/**
+ * Inbound Email Utility
+ *
+ * Minimal RFC 5322 / MIME parser for helpdesk mail: headers (with RFC 2047 encoded
+ * words), multipart bodies, base64 and quoted-printable transfer encodings, and
+ * attachments. It keeps the first text/plain and text/html parts as the message
+ * body; anything with a filename or a non-text type is returned as an attachment.
+ *
+ * Replies are threaded through the ticket number in the subject, e.g.
+ * "Re: [SUP-20260204-0007] Cannot upload report" -> "SUP-20260204-0007".
+ *
+ * Senders are checked against the Authentication-Results (RFC 8601) recorded by the
+ * relaying MTA, never against the From header alone.
+ */
+
+export interface InboundEmailAddress {
+  address: string;
+  name?: string;
+}
+
+export interface InboundEmailAttachment {
+  filename: string;
+  contentType: string;
+  content: Buffer;
+}
+
+export interface ParsedInboundEmail {
+  headers: Record<string, string>;
+  from: InboundEmailAddress | null;
+  to: InboundEmailAddress[];
+  subject: string;
+  messageId: string | null;
+  inReplyTo: string | null;
+  text: string;
+  html: string | null;
+  attachments: InboundEmailAttachment[];
+}
+
+interface MimePart {
+  headers: Record<string, string>;
+  body: Buffer;
+}
+
+// Matches the SupportTicketService ticket number format: SUP-YYYYMMDD-XXXX
+const TICKET_NUMBER_PATTERN = /\bSUP-\d{8}-\d{4,}\b/i;
+
+// Guard against pathological nesting in crafted messages
+const MAX_MULTIPART_DEPTH = 10;
+
+function decodeCharset(buffer: Buffer, charset?: string): string {
+  const label = (charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch {
+    return buffer.toString(label === 'us-ascii' || label.startsWith('iso-8859') ? 'latin1' : 'utf8');
+  }
+}
+
+function decodeQuotedPrintable(input: string): Buffer {
+  const bytes: number[] = [];
+  const text = input.replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. "=?UTF-8?B?w6l0w6k=?=" -> "été"
+ */
+export function decodeMimeWords(value: string): string {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_match, charset: string, encoding: string, text: string) => {
+      const bytes =
+        encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+function parseHeaderBlock(block: string): Record<string, string> {
+  const headers: Record<string, string> = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    // Keep the first occurrence; later duplicates (e.g. Received) are not needed
+    if (!(name in headers)) {
+      headers[name] = value;
+    }
+  }
+
+  return headers;
+}
+
+function splitPart(raw: Buffer): MimePart {
+  const text = raw.toString('latin1');
+  const match = /\r?\n\r?\n/.exec(text);
+
+  if (!match) {
+    return { headers: parseHeaderBlock(text), body: Buffer.alloc(0) };
+  }
+
+  return {
+    headers: parseHeaderBlock(text.slice(0, match.index)),
+    body: raw.subarray(match.index + match[0].length),
+  };
+}
+
+/**
+ * Split a structured header such as Content-Type into its value and parameters.
+ * Handles quoted values and RFC 2231 extended parameters (filename*=UTF-8''...).
+ */
+export function parseHeaderParams(value: string | undefined): { value: string; params: Record<string, string> } {
+  if (!value) return { value: '', params: {} };
+
+  const [main, ...rest] = value.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params: Record<string, string> = {};
+  const continuations: Record<string, string[]> = {};
+
+  for (const segment of rest) {
+    const eq = segment.indexOf('=');
+    if (eq <= 0) continue;
+
+    let key = segment.slice(0, eq).trim().toLowerCase();
+    let paramValue = segment.slice(eq + 1).trim().replace(/^"(.*)"$/s, '$1');
+
+    const extended = /^(.+?)(?:\*(\d+))?(\*)?$/.exec(key);
+    if (extended && (extended[2] !== undefined || extended[3])) {
+      key = extended[1];
+      if (extended[3]) {
+        const charsetMatch = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+        const encoded = charsetMatch ? charsetMatch[2] : paramValue;
+        const bytes = Buffer.from(encoded.replace(/%([0-9A-Fa-f]{2})/g, (_m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        paramValue = decodeCharset(bytes, charsetMatch?.[1] || 'utf-8');
+      }
+      (continuations[key] ||= [])[Number(extended[2] ?? 0)] = paramValue;
+      continue;
+    }
+
+    params[key] = decodeMimeWords(paramValue);
+  }
+
+  for (const [key, pieces] of Object.entries(continuations)) {
+    params[key] = pieces.join('');
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+function decodeTransfer(body: Buffer, encoding: string | undefined): Buffer {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body.toString('latin1'));
+    default:
+      return body;
+  }
+}
+
+function splitMultipart(body: Buffer, boundary: string): Buffer[] {
+  const text = body.toString('latin1');
+  const delimiter = `--${boundary}`;
+  const parts: Buffer[] = [];
+
+  let start = text.indexOf(delimiter);
+  while (start !== -1) {
+    const afterDelimiter = start + delimiter.length;
+    if (text.startsWith('--', afterDelimiter)) break; // closing delimiter
+
+    const contentStart = text.indexOf('\n', afterDelimiter);
+    if (contentStart === -1) break;
+
+    const next = text.indexOf(`\n${delimiter}`, contentStart);
+    const end = next === -1 ? text.length : next;
+    const content = text.slice(contentStart + 1, end).replace(/\r$/, '');
+    parts.push(Buffer.from(content, 'latin1'));
+
+    start = next === -1 ? -1 : next + 1;
+  }
+
+  return parts;
+}
+
+/**
+ * Parse a single mailbox, e.g. '"Asha K" <asha@example.com>' or 'asha@example.com'
+ */
+export function parseEmailAddress(value: string | undefined): InboundEmailAddress | null {
+  if (!value) return null;
+
+  const decoded = decodeMimeWords(value).trim();
+  const angle = /^(.*?)<([^>]+)>/.exec(decoded);
+  const address = (angle ? angle[2] : decoded.split(/[\s,;]/)[0]).trim().toLowerCase();
+
+  if (!/^[^@\s]+@[^@\s]+$/.test(address)) return null;
+
+  const name = angle?.[1].trim().replace(/^"(.*)"$/, '$1').trim();
+  return name ? { address, name } : { address };
+}
+
+function parseAddressList(value: string | undefined): InboundEmailAddress[] {
+  if (!value) return [];
+  return value
+    .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+    .map((entry) => parseEmailAddress(entry))
+    .filter((entry): entry is InboundEmailAddress => entry !== null);
+}
+
+/**
+ * Rough plain-text rendering of an HTML body for mail clients that send no text part
+ */
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&amp;/gi, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse a raw RFC 5322 message
+ */
+export function parseInboundEmail(raw: Buffer | string): ParsedInboundEmail {
+  const source = typeof raw === 'string' ? Buffer.from(raw, 'utf8') : raw;
+  const root = splitPart(source);
+
+  let text: string | null = null;
+  let html: string | null = null;
+  const attachments: InboundEmailAttachment[] = [];
+
+  const walk = (part: MimePart, depth: number) => {
+    const contentType = parseHeaderParams(part.headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderParams(part.headers['content-disposition']);
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MULTIPART_DEPTH) {
+      for (const child of splitMultipart(part.body, contentType.params.boundary)) {
+        walk(splitPart(child), depth + 1);
+      }
+      return;
+    }
+
+    const content = decodeTransfer(part.body, part.headers['content-transfer-encoding']);
+    const filename = disposition.params.filename || contentType.params.name;
+    const isBodyText =
+      !filename && disposition.value !== 'attachment' && ['text/plain', 'text/html'].includes(contentType.value);
+
+    if (isBodyText) {
+      const decoded = decodeCharset(content, contentType.params.charset);
+      if (contentType.value === 'text/plain' && text === null) text = decoded;
+      else if (contentType.value === 'text/html' && html === null) html = decoded;
+      return;
+    }
+
+    if (contentType.value === 'message/rfc822' && !filename) {
+      attachments.push({ filename: 'forwarded-message.eml', contentType: 'message/rfc822', content });
+      return;
+    }
+
+    attachments.push({
+      filename: filename || `attachment-${attachments.length + 1}`,
+      contentType: contentType.value || 'application/octet-stream',
+      content,
+    });
+  };
+
+  walk(root, 0);
+
+  const headers = Object.fromEntries(
+    Object.entries(root.headers).map(([name, value]) => [name, decodeMimeWords(value)]),
+  );
+  const messageId = /<([^>]+)>/.exec(root.headers['message-id'] || '')?.[1] ?? (root.headers['message-id'] || null);
+  const inReplyTo = /<([^>]+)>/.exec(root.headers['in-reply-to'] || '')?.[1] ?? null;
+
+  return {
+    headers,
+    from: parseEmailAddress(root.headers['from']),
+    to: parseAddressList(root.headers['to']),
+    subject: headers['subject'] || '',
+    messageId,
+    inReplyTo,
+    text: (text ?? (html ? htmlToText(html) : '')).replace(/\r\n/g, '\n'),
+    html,
+    attachments,
+  };
+}
+
+/**
+ * Ticket number referenced in a subject line, if any
+ */
+export function extractSupportTicketNumber(subject: string): string | null {
+  return TICKET_NUMBER_PATTERN.exec(subject || '')?.[0].toUpperCase() ?? null;
+}
+
+/**
+ * Subject without reply/forward prefixes and bracketed ticket numbers
+ */
+export function cleanInboundSubject(subject: string): string {
+  let cleaned = (subject || '').trim();
+  let previous: string;
+
+  do {
+    previous = cleaned;
+    cleaned = cleaned
+      .replace(/^(re|fw|fwd|aw|wg)\s*(\[\d+\])?\s*:\s*/i, '')
+      .replace(/^\[?\s*SUP-\d{8}-\d{4,}\s*\]?\s*[:-]?\s*/i, '')
+      .trim();
+  } while (cleaned !== previous);
+
+  return cleaned;
+}
+
+/**
+ * New text of a reply: drops the quoted original below "On ... wrote:" or an
+ * "Original Message" separator, quoted (">") lines, and a "-- " signature.
+ */
+export function extractReplyText(text: string): string {
+  const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept: string[] = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const nextLines = `${line} ${lines[i + 1] ?? ''}`;
+
+    if (/^-- ?$/.test(line)) break;
+    if (/^-{2,}\s*(Original Message|Forwarded message)/i.test(line)) break;
+    if (/^_{5,}\s*$/.test(line)) break; // Outlook separator
+    if (/^On\b.+\bwrote:\s*$/i.test(line) || /^On\b.+\bwrote:\s*$/i.test(nextLines.trim())) break;
+    if (/^From:\s.+/i.test(line) && /^(Sent|Date):\s/i.test(lines[i + 1] ?? '')) break;
+    if (/^>/.test(line)) continue;
+
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+}
+
+/**
+ * Whether a message is an auto-reply, bounce or list mail that must not open tickets
+ * (and must never be answered, to avoid mail loops)
+ */
+export function isAutoGeneratedEmail(headers: Record<string, string>): boolean {
+  const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+  const precedence = (headers['precedence'] || '').toLowerCase();
+  const from = (headers['from'] || '').toLowerCase();
+
+  return (
+    (autoSubmitted !== '' && autoSubmitted !== 'no') ||
+    ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence) ||
+    'x-autoreply' in headers ||
+    'x-autorespond' in headers ||
+    /mailer-daemon|postmaster@/.test(from)
+  );
+}
+
+export interface AuthenticationResult {
+  /** e.g. "dmarc", "dkim", "spf" */
+  method: string;
+  /** e.g. "pass", "fail", "none" */
+  result: string;
+  /** Properties such as "header.from", "header.d", "smtp.mailfrom" */
+  properties: Record<string, string>;
+}
+
+/**
+ * Parse an RFC 8601 Authentication-Results header, e.g.
+ * "mx.example.gov; dkim=pass header.d=example.edu; spf=pass smtp.mailfrom=a@example.edu"
+ */
+export function parseAuthenticationResults(
+  value: string | undefined,
+): { authservId: string; results: AuthenticationResult[] } | null {
+  if (!value) return null;
+
+  // Comments ("(sender IP is 10.0.0.1)") carry nothing we rely on
+  let uncommented = value;
+  let previous: string;
+  do {
+    previous = uncommented;
+    uncommented = uncommented.replace(/\([^()]*\)/g, ' ');
+  } while (uncommented !== previous);
+
+  const [head, ...segments] = uncommented.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const authservId = head.trim().split(/\s+/)[0]?.toLowerCase();
+  if (!authservId) return null;
+
+  const results: AuthenticationResult[] = [];
+  for (const segment of segments) {
+    const pairs = [...segment.matchAll(/([\w.\-/]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^\s;]+)/g)];
+    if (pairs.length === 0) continue;
+
+    const [[, method, result], ...rest] = pairs;
+    results.push({
+      method: method.split('/')[0].toLowerCase(),
+      result: result.replace(/^"(.*)"$/s, '$1').toLowerCase(),
+      properties: Object.fromEntries(
+        rest.map(([, key, propertyValue]) => [key.toLowerCase(), propertyValue.replace(/^"(.*)"$/s, '$1').toLowerCase()]),
+      ),
+    });
+  }
+
+  return { authservId, results };
+}
+
+/**
+ * Domain part of an address or identity ("a@Example.edu" -> "example.edu")
+ */
+export function emailDomain(value: string | undefined): string {
+  return (value || '').trim().replace(/^.*@/, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * DMARC-style relaxed alignment without a public suffix list: the domains are equal
+ * or one is a subdomain of the other
+ */
+export function isDomainAligned(domain: string, fromDomain: string): boolean {
+  if (!domain || !fromDomain) return false;
+  return domain === fromDomain || domain.endsWith(`.${fromDomain}`) || fromDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether the MTA identified by `authservId` vouched for the From address: DMARC passed
+ * for the From domain, or DKIM / SPF passed for a domain aligned with it. Results added
+ * by any other server (including ones the sender wrote into the message) are ignored.
+ * Only the topmost header is read, which is the one the relaying MTA added last.
+ */
+export function isSenderAuthenticated(
+  headerValue: string | undefined,
+  fromAddress: string,
+  authservId: string,
+  envelopeSender?: string,
+): boolean {
+  const parsed = parseAuthenticationResults(headerValue);
+  if (!parsed || !authservId || parsed.authservId !== authservId.trim().toLowerCase()) {
+    return false;
+  }
+
+  const fromDomain = emailDomain(fromAddress);
+
+  return parsed.results.some(({ method, result, properties }) => {
+    if (result !== 'pass') return false;
+
+    switch (method) {
+      case 'dmarc':
+        return !properties['header.from'] || properties['header.from'] === fromDomain;
+      case 'dkim':
+        return isDomainAligned(emailDomain(properties['header.d'] || properties['header.i']), fromDomain);
+      case 'spf': {
+        const mailFrom = emailDomain(properties['smtp.mailfrom'] || envelopeSender);
+        // The SPF result is about the envelope sender the MTA saw, which must be the one relayed to us
+        return (
+          isDomainAligned(mailFrom, fromDomain) &&
+          (!envelopeSender || isDomainAligned(emailDomain(envelopeSender), mailFrom))
+        );
+      }
+      default:
+        return false;
+    }
+  });
+}
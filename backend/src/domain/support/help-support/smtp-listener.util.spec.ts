@@ -0,0 +1,117 @@
+import * as net from 'net';
+import { AddressInfo } from 'net';
+import { createSmtpListener, SmtpEnvelope } from './smtp-listener.util';
+
+/**
+ * Minimal SMTP client: sends one command at a time and resolves with the reply lines
+ */
+async function connect(port: number) {
+  const socket = net.connect(port, '127.0.0.1');
+  let received = '';
+  let waiting: (() => void) | null = null;
+
+  socket.on('data', (chunk) => {
+    received += chunk.toString();
+    waiting?.();
+  });
+
+  const readReply = () =>
+    new Promise<string>((resolve) => {
+      const check = () => {
+        // A reply ends with a line whose code is followed by a space
+        const match = /(^|\r\n)(\d{3}) [^\r\n]*\r\n/.exec(received);
+        if (!match) return;
+        const end = match.index + match[0].length;
+        const reply = received.slice(0, end);
+        received = received.slice(end);
+        waiting = null;
+        resolve(reply);
+      };
+      waiting = check;
+      check();
+    });
+
+  const send = (line: string) => {
+    socket.write(`${line}\r\n`);
+    return readReply();
+  };
+
+  await readReply(); // greeting
+  return { socket, send };
+}
+
+describe('createSmtpListener', () => {
+  let server: net.Server;
+  let port: number;
+  const received: Array<{ envelope: SmtpEnvelope; raw: string }> = [];
+  let failNext = false;
+
+  beforeAll(async () => {
+    server = createSmtpListener({
+      hostname: 'cms.test',
+      maxMessageBytes: 1024,
+      acceptRecipient: (address) => address.endsWith('@cms.test'),
+      onMessage: async (envelope, raw) => {
+        if (failNext) {
+          failNext = false;
+          throw new Error('ingest failed');
+        }
+        received.push({ envelope, raw: raw.toString() });
+      },
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  afterAll(async () => {
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  it('accepts a message and undoes dot-stuffing', async () => {
+    const { socket, send } = await connect(port);
+
+    expect(await send('EHLO client.test')).toContain('250-SIZE 1024');
+    expect(await send('MAIL FROM:<Asha@Example.edu>')).toMatch(/^250/);
+    expect(await send('RCPT TO:<helpdesk@cms.test>')).toMatch(/^250/);
+    expect(await send('DATA')).toMatch(/^354/);
+    expect(await send('Subject: Hi\r\n\r\nLine one\r\n..dotted line\r\n.')).toMatch(/^250/);
+    expect(await send('QUIT')).toMatch(/^221/);
+    socket.destroy();
+
+    expect(received).toHaveLength(1);
+    expect(received[0].envelope).toMatchObject({ mailFrom: 'asha@example.edu', rcptTo: ['helpdesk@cms.test'] });
+    expect(received[0].raw).toBe('Subject: Hi\r\n\r\nLine one\r\n.dotted line\r\n');
+  });
+
+  it('enforces command order, recipients and size', async () => {
+    const { socket, send } = await connect(port);
+
+    expect(await send('MAIL FROM:<a@b.com>')).toMatch(/^503/);
+    await send('HELO client.test');
+    await send('MAIL FROM:<a@b.com>');
+    expect(await send('RCPT TO:<someone@elsewhere.com>')).toMatch(/^550/);
+    expect(await send('DATA')).toMatch(/^503/);
+    await send('RCPT TO:<helpdesk@cms.test>');
+    await send('DATA');
+    expect(await send(`Subject: Big\r\n\r\n${'x'.repeat(2048)}\r\n.`)).toMatch(/^552/);
+    socket.destroy();
+
+    expect(received).toHaveLength(0);
+  });
+
+  it('answers 451 when the handler fails so the sender retries', async () => {
+    const { socket, send } = await connect(port);
+    failNext = true;
+
+    await send('HELO client.test');
+    await send('MAIL FROM:<a@b.com>');
+    await send('RCPT TO:<helpdesk@cms.test>');
+    await send('DATA');
+    expect(await send('Subject: Retry\r\n\r\nBody\r\n.')).toMatch(/^451/);
+    socket.destroy();
+  });
+});
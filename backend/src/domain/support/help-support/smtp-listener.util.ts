@@ -0,0 +1,217 @@
+/**
+ * SMTP Listener Utility
+ *
+ * A small receive-only SMTP server (RFC 5321 subset: HELO/EHLO, MAIL, RCPT, DATA,
+ * RSET, NOOP, QUIT) for accepting mail relayed by the local MTA. It has no TLS and no
+ * authentication, so it must only listen on a private interface behind an MTA that
+ * does the spam and sender checks.
+ *
+ * Each accepted message is handed to `onMessage` with its envelope and raw bytes; the
+ * client gets "250" only after the handler resolves, so a failed ingest is retried by
+ * the sending MTA ("451").
+ */
+
+import * as net from 'net';
+
+export interface SmtpEnvelope {
+  mailFrom: string;
+  rcptTo: string[];
+  remoteAddress?: string;
+}
+
+export interface SmtpListenerOptions {
+  /** Name announced in the greeting and EHLO reply */
+  hostname?: string;
+  /** Messages larger than this are rejected with 552 */
+  maxMessageBytes?: number;
+  /** Return false to reject a recipient with 550 */
+  acceptRecipient?: (address: string) => boolean;
+  /** Connections idle for longer than this are closed */
+  idleTimeoutMs?: number;
+  onMessage: (envelope: SmtpEnvelope, raw: Buffer) => Promise<void>;
+  onError?: (error: Error) => void;
+}
+
+const DEFAULT_MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RECIPIENTS = 100;
+const MAX_COMMAND_LENGTH = 4096;
+
+const DATA_TERMINATOR = Buffer.from('\r\n.\r\n');
+
+function parsePath(argument: string, keyword: 'FROM' | 'TO'): string | null {
+  const match = new RegExp(`^${keyword}:\\s*<([^>]*)>`, 'i').exec(argument.trim());
+  return match ? match[1].trim().toLowerCase() : null;
+}
+
+/**
+ * Create the server; call `listen(port, host)` on the result to start accepting mail
+ */
+export function createSmtpListener(options: SmtpListenerOptions): net.Server {
+  const hostname = options.hostname || 'localhost';
+  const maxMessageBytes = options.maxMessageBytes ?? DEFAULT_MAX_MESSAGE_BYTES;
+
+  return net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let mode: 'COMMAND' | 'DATA' = 'COMMAND';
+    let busy = false;
+    let greeted = false;
+    let envelope: SmtpEnvelope | null = null;
+    let dataChunks: Buffer[] = [];
+    let dataBytes = 0;
+    let oversized = false;
+
+    const reply = (line: string) => {
+      if (!socket.destroyed) socket.write(`${line}\r\n`);
+    };
+
+    const resetTransaction = () => {
+      envelope = null;
+      dataChunks = [];
+      dataBytes = 0;
+      oversized = false;
+    };
+
+    const handleCommand = (line: string) => {
+      const [verb, ...rest] = line.split(' ');
+      const argument = rest.join(' ');
+
+      switch (verb.toUpperCase()) {
+        case 'HELO':
+          greeted = true;
+          resetTransaction();
+          return reply(`250 ${hostname}`);
+        case 'EHLO':
+          greeted = true;
+          resetTransaction();
+          reply(`250-${hostname}`);
+          reply(`250-SIZE ${maxMessageBytes}`);
+          return reply('250 8BITMIME');
+        case 'MAIL': {
+          if (!greeted) return reply('503 Send HELO/EHLO first');
+          if (envelope) return reply('503 Nested MAIL command');
+          const from = parsePath(argument, 'FROM');
+          if (from === null) return reply('501 Syntax: MAIL FROM:<address>');
+          const size = /SIZE=(\d+)/i.exec(argument);
+          if (size && Number(size[1]) > maxMessageBytes) return reply('552 Message size exceeds fixed limit');
+          envelope = { mailFrom: from, rcptTo: [], remoteAddress: socket.remoteAddress };
+          return reply('250 OK');
+        }
+        case 'RCPT': {
+          if (!envelope) return reply('503 Need MAIL command');
+          const to = parsePath(argument, 'TO');
+          if (!to) return reply('501 Syntax: RCPT TO:<address>');
+          if (envelope.rcptTo.length >= MAX_RECIPIENTS) return reply('452 Too many recipients');
+          if (options.acceptRecipient && !options.acceptRecipient(to)) return reply('550 No such user here');
+          envelope.rcptTo.push(to);
+          return reply('250 OK');
+        }
+        case 'DATA':
+          if (!envelope || envelope.rcptTo.length === 0) return reply('503 Need RCPT command');
+          mode = 'DATA';
+          // Leading CRLF lets a message that starts with the terminator (empty body) match it
+          buffer = Buffer.concat([Buffer.from('\r\n'), buffer]);
+          dataChunks = [];
+          dataBytes = 0;
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          resetTransaction();
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'VRFY':
+          return reply('252 Cannot VRFY user');
+        case 'QUIT':
+          reply(`221 ${hostname} closing connection`);
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    const finishData = async (content: Buffer) => {
+      const current = envelope;
+      const tooLarge = oversized;
+      mode = 'COMMAND';
+      resetTransaction();
+
+      if (tooLarge || !current) {
+        return reply('552 Message size exceeds fixed limit');
+      }
+
+      // Strip the leading CRLF added at DATA and undo dot-stuffing
+      const raw = Buffer.from(content.toString('latin1').slice(2).replace(/\r\n\.\./g, '\r\n.'), 'latin1');
+
+      try {
+        await options.onMessage(current, Buffer.concat([raw, Buffer.from('\r\n')]));
+        reply('250 OK: message accepted');
+      } catch (error) {
+        options.onError?.(error);
+        reply('451 Requested action aborted: local error in processing');
+      }
+    };
+
+    const pump = async () => {
+      if (busy) return;
+      busy = true;
+
+      try {
+        while (!socket.destroyed) {
+          if (mode === 'DATA') {
+            const index = buffer.indexOf(DATA_TERMINATOR);
+            const pending = index === -1 ? buffer : buffer.subarray(0, index);
+
+            // Keep a few trailing bytes back in case the terminator is split across packets
+            const keep = index === -1 ? Math.min(buffer.length, DATA_TERMINATOR.length - 1) : 0;
+            const chunk = pending.subarray(0, pending.length - keep);
+
+            dataBytes += chunk.length;
+            if (dataBytes > maxMessageBytes) {
+              oversized = true;
+              dataChunks = [];
+            } else {
+              dataChunks.push(chunk);
+            }
+
+            if (index === -1) {
+              buffer = buffer.subarray(buffer.length - keep);
+              return;
+            }
+
+            buffer = buffer.subarray(index + DATA_TERMINATOR.length);
+            await finishData(Buffer.concat(dataChunks));
+            continue;
+          }
+
+          const newline = buffer.indexOf('\n');
+          if (newline === -1) {
+            if (buffer.length > MAX_COMMAND_LENGTH) {
+              reply('500 Line too long');
+              socket.end();
+            }
+            return;
+          }
+
+          const line = buffer.subarray(0, newline).toString('latin1').replace(/\r$/, '');
+          buffer = buffer.subarray(newline + 1);
+          handleCommand(line.trim());
+        }
+      } finally {
+        busy = false;
+      }
+    };
+
+    socket.setTimeout(options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS, () => {
+      reply('421 Idle timeout, closing connection');
+      socket.end();
+    });
+    socket.on('data', (chunk: Buffer) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      // A running pump picks the new data up itself
+      void pump();
+    });
+    socket.on('error', (error) => options.onError?.(error));
+
+    reply(`220 ${hostname} ESMTP ready`);
+  });
+}
@@ -0,0 +1,131 @@
+import { Role, SupportTicketSource, SupportTicketStatus } from '../../../generated/prisma/client';
+import { SupportEmailIngestionService } from './support-email-ingestion.service';
+
+const AUTHSERV_ID = 'mx.cms.example.gov';
+
+const users = [
+  { id: 'student-1', email: 'asha@example.edu', role: Role.STUDENT },
+  { id: 'student-2', email: 'ravi@example.edu', role: Role.STUDENT },
+];
+
+const ticket = {
+  id: 'ticket-1',
+  ticketNumber: 'SUP-20260204-0007',
+  status: SupportTicketStatus.OPEN,
+  submittedById: 'student-1',
+  assignedToId: null,
+};
+
+function message(from: string, subject: string, authenticationResults?: string) {
+  return [
+    ...(authenticationResults ? [`Authentication-Results: ${authenticationResults}`] : []),
+    `From: ${from}`,
+    'To: helpdesk@cms.example.gov',
+    `Subject: ${subject}`,
+    `Message-ID: <${Math.random().toString(36).slice(2)}@example.edu>`,
+    '',
+    'The report upload still fails.',
+    '',
+  ].join('\r\n');
+}
+
+function createService(config: Record<string, unknown> = { SUPPORT_INBOUND_AUTHSERV_ID: AUTHSERV_ID }) {
+  const prisma: any = {
+    user: {
+      findFirst: jest.fn(async ({ where }: any) => {
+        const user = users.find((candidate) => candidate.email === where.email.equals.toLowerCase());
+        return user ? { id: user.id, role: user.role } : null;
+      }),
+    },
+    supportTicket: {
+      findUnique: jest.fn(async ({ where }: any) => (where.ticketNumber === ticket.ticketNumber ? ticket : null)),
+    },
+    supportResponse: { findUnique: jest.fn(async () => null) },
+  };
+  const ticketService: any = {
+    createTicket: jest.fn(async () => ({ id: 'ticket-2', ticketNumber: 'SUP-20260205-0001' })),
+    respondToTicket: jest.fn(async () => ({ id: 'response-1' })),
+  };
+  const configService: any = { get: (key: string, fallback?: unknown) => config[key] ?? fallback };
+
+  const service = new SupportEmailIngestionService(prisma, ticketService, {} as any, configService);
+  return { service, prisma, ticketService };
+}
+
+describe('SupportEmailIngestionService', () => {
+  const dmarcPass = `${AUTHSERV_ID}; dmarc=pass header.from=example.edu`;
+
+  it('ignores mail whose sender was not authenticated by the relaying MTA', async () => {
+    const { service, prisma, ticketService } = createService();
+
+    for (const results of [undefined, `${AUTHSERV_ID}; dmarc=fail header.from=example.edu`, 'mx.attacker.com; dmarc=pass']) {
+      await expect(service.ingest(message('asha@example.edu', 'Report upload', results))).resolves.toEqual({
+        action: 'IGNORED',
+        reason: 'sender asha@example.edu not authenticated',
+      });
+    }
+
+    expect(prisma.user.findFirst).not.toHaveBeenCalled();
+    expect(ticketService.createTicket).not.toHaveBeenCalled();
+  });
+
+  it('ignores everything while sender authentication is not configured', async () => {
+    const { service, ticketService } = createService({});
+
+    expect(service.isSenderAuthenticationConfigured()).toBe(false);
+    await expect(service.ingest(message('asha@example.edu', 'Report upload', dmarcPass))).resolves.toMatchObject({
+      action: 'IGNORED',
+    });
+    expect(ticketService.createTicket).not.toHaveBeenCalled();
+  });
+
+  it('ignores bounces sent with a null envelope sender', async () => {
+    const { service } = createService();
+
+    await expect(
+      service.ingest(message('asha@example.edu', 'Undeliverable', dmarcPass), { mailFrom: '' }),
+    ).resolves.toEqual({ action: 'IGNORED', reason: 'auto-generated message' });
+  });
+
+  it('opens a ticket for an authenticated sender', async () => {
+    const { service, ticketService } = createService();
+
+    const result = await service.ingest(message('Asha <asha@example.edu>', 'Report upload', dmarcPass), {
+      mailFrom: 'asha@example.edu',
+    });
+
+    expect(result).toEqual({ action: 'CREATED', ticketId: 'ticket-2', ticketNumber: 'SUP-20260205-0001' });
+    expect(ticketService.createTicket).toHaveBeenCalledWith(
+      'student-1',
+      expect.objectContaining({ subject: 'Report upload' }),
+      expect.objectContaining({ source: SupportTicketSource.EMAIL }),
+    );
+  });
+
+  it("adds replies to the sender's own ticket only", async () => {
+    const { service, ticketService } = createService();
+    const subject = `Re: [${ticket.ticketNumber}] Report upload`;
+
+    await expect(service.ingest(message('asha@example.edu', subject, dmarcPass))).resolves.toMatchObject({
+      action: 'REPLIED',
+      ticketId: ticket.id,
+    });
+    expect(ticketService.respondToTicket).toHaveBeenCalledWith(
+      ticket.id,
+      'student-1',
+      expect.objectContaining({ isInternal: false }),
+      expect.anything(),
+    );
+
+    // Another student quoting the ticket number gets a ticket of their own
+    await expect(service.ingest(message('ravi@example.edu', subject, dmarcPass))).resolves.toMatchObject({
+      action: 'CREATED',
+    });
+    expect(ticketService.respondToTicket).toHaveBeenCalledTimes(1);
+    expect(ticketService.createTicket).toHaveBeenCalledWith(
+      'student-2',
+      expect.objectContaining({ description: expect.stringContaining(`Follow-up to ${ticket.ticketNumber}`) }),
+      expect.anything(),
+    );
+  });
+});
@@ -0,0 +1,215 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { FileStorageService } from '../../../infrastructure/file-storage/file-storage.service';
+import {
+  Role,
+  SupportCategory,
+  SupportTicketPriority,
+  SupportTicketSource,
+  SupportTicketStatus,
+} from '../../../generated/prisma/client';
+import {
+  InboundEmailAttachment,
+  ParsedInboundEmail,
+  cleanInboundSubject,
+  extractReplyText,
+  extractSupportTicketNumber,
+  isAutoGeneratedEmail,
+  isSenderAuthenticated,
+  parseInboundEmail,
+} from './inbound-email.util';
+import { SmtpEnvelope } from './smtp-listener.util';
+import { SupportTicketService } from './support-ticket.service';
+
+// Limits mirror CreateTicketDto / RespondTicketDto
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_ATTACHMENTS = 10;
+
+const STAFF_ROLES: Role[] = [Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN];
+
+export type SupportEmailIngestResult =
+  | { action: 'CREATED' | 'REPLIED'; ticketId: string; ticketNumber: string }
+  | { action: 'IGNORED'; reason: string };
+
+/**
+ * Turns helpdesk emails into support tickets.
+ * A subject carrying an existing ticket number (SUP-YYYYMMDD-XXXX) is added to that
+ * ticket as a response when the sender is its submitter, its assignee or support
+ * staff; anything else opens a new ticket. Senders must match an active user by email.
+ *
+ * The From header alone proves nothing, so a message is only accepted when the
+ * relaying MTA (SUPPORT_INBOUND_AUTHSERV_ID) recorded a DMARC pass, or a DKIM / SPF
+ * pass aligned with the From domain, in its Authentication-Results header. Without
+ * that setting every message is ignored.
+ */
+@Injectable()
+export class SupportEmailIngestionService {
+  private readonly logger = new Logger(SupportEmailIngestionService.name);
+  private readonly maxAttachmentBytes: number;
+  private readonly authservId: string;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly ticketService: SupportTicketService,
+    private readonly fileStorageService: FileStorageService,
+    private readonly configService: ConfigService,
+  ) {
+    this.maxAttachmentBytes = Number(this.configService.get('MAX_FILE_SIZE', 10 * 1024 * 1024));
+    this.authservId = String(this.configService.get('SUPPORT_INBOUND_AUTHSERV_ID', '')).trim();
+  }
+
+  /**
+   * Whether sender authentication is configured; without it nothing is ingested
+   */
+  isSenderAuthenticationConfigured(): boolean {
+    return this.authservId !== '';
+  }
+
+  /**
+   * Ingest one raw RFC 5322 message, with the SMTP envelope it was relayed with
+   */
+  async ingest(raw: Buffer | string, envelope?: Pick<SmtpEnvelope, 'mailFrom'>): Promise<SupportEmailIngestResult> {
+    const email = parseInboundEmail(raw);
+    const sender = email.from?.address;
+
+    if (!sender) {
+      return this.ignore(email, 'no sender address');
+    }
+    // A null reverse path (MAIL FROM:<>) marks a bounce or other notification
+    if (isAutoGeneratedEmail(email.headers) || this.isOwnAddress(sender) || envelope?.mailFrom === '') {
+      return this.ignore(email, 'auto-generated message');
+    }
+    if (!isSenderAuthenticated(email.headers['authentication-results'], sender, this.authservId, envelope?.mailFrom)) {
+      return this.ignore(email, `sender ${sender} not authenticated`);
+    }
+
+    if (email.messageId && (await this.isDuplicate(email.messageId))) {
+      return this.ignore(email, 'already processed');
+    }
+
+    const user = await this.prisma.user.findFirst({
+      where: { email: { equals: sender, mode: 'insensitive' }, active: true },
+      select: { id: true, role: true },
+    });
+
+    if (!user) {
+      return this.ignore(email, `unknown sender ${sender}`);
+    }
+
+    const ticketNumber = extractSupportTicketNumber(email.subject);
+    const existing = ticketNumber
+      ? await this.prisma.supportTicket.findUnique({
+          where: { ticketNumber },
+          select: { id: true, ticketNumber: true, status: true, submittedById: true, assignedToId: true },
+        })
+      : null;
+
+    const canReply =
+      existing &&
+      existing.status !== SupportTicketStatus.CLOSED &&
+      (existing.submittedById === user.id || existing.assignedToId === user.id || STAFF_ROLES.includes(user.role));
+
+    const { urls, skipped } = await this.storeAttachments(email.attachments);
+    const skippedNote = skipped.length > 0 ? `\n\n[Attachments not saved: ${skipped.join(', ')}]` : '';
+
+    if (canReply) {
+      const replyText = extractReplyText(email.text) || email.text.trim();
+      const response = await this.ticketService.respondToTicket(
+        existing.id,
+        user.id,
+        {
+          message: this.truncate((replyText || '(Attachments sent by email)') + skippedNote, MAX_MESSAGE_LENGTH),
+          attachments: urls,
+          isInternal: false,
+        },
+        { emailMessageId: email.messageId },
+      );
+
+      this.logger.log(`Email from ${sender} added to ticket ${existing.ticketNumber} (response ${response.id})`);
+      return { action: 'REPLIED', ticketId: existing.id, ticketNumber: existing.ticketNumber };
+    }
+
+    const subject = cleanInboundSubject(email.subject) || '(no subject)';
+    const followUp = existing ? `Follow-up to ${existing.ticketNumber}\n\n` : '';
+    const description = `${followUp}${email.text.trim() || '(No message body)'}${skippedNote}`;
+
+    const ticket = await this.ticketService.createTicket(
+      user.id,
+      {
+        subject: this.truncate(subject, MAX_SUBJECT_LENGTH),
+        description: this.truncate(description, MAX_MESSAGE_LENGTH),
+        category: SupportCategory.GENERAL_INQUIRIES,
+        priority: SupportTicketPriority.MEDIUM,
+        attachments: urls,
+      },
+      { source: SupportTicketSource.EMAIL, emailMessageId: email.messageId },
+    );
+
+    this.logger.log(`Email from ${sender} opened ticket ${ticket.ticketNumber}`);
+    return { action: 'CREATED', ticketId: ticket.id, ticketNumber: ticket.ticketNumber };
+  }
+
+  /**
+   * Upload attachments to file storage; oversized or surplus files are skipped and
+   * reported back so the agent knows to ask for them
+   */
+  private async storeAttachments(attachments: InboundEmailAttachment[]) {
+    const urls: string[] = [];
+    const skipped: string[] = [];
+
+    for (const attachment of attachments) {
+      if (urls.length >= MAX_ATTACHMENTS) {
+        skipped.push(`${attachment.filename} (limit of ${MAX_ATTACHMENTS} files)`);
+        continue;
+      }
+      if (attachment.content.length === 0 || attachment.content.length > this.maxAttachmentBytes) {
+        skipped.push(`${attachment.filename} (${attachment.content.length === 0 ? 'empty' : 'too large'})`);
+        continue;
+      }
+
+      try {
+        const result = await this.fileStorageService.uploadBuffer(
+          attachment.content,
+          attachment.filename.replace(/[^\w.\-]+/g, '_'),
+          {
+            folder: 'support-tickets',
+            subfolder: 'email',
+            contentType: attachment.contentType,
+            metadata: { source: 'email' },
+          },
+        );
+        urls.push(result.url);
+      } catch (error) {
+        this.logger.warn(`Failed to store email attachment ${attachment.filename}: ${error.message}`);
+        skipped.push(`${attachment.filename} (upload failed)`);
+      }
+    }
+
+    return { urls, skipped };
+  }
+
+  private async isDuplicate(messageId: string): Promise<boolean> {
+    const [ticket, response] = await Promise.all([
+      this.prisma.supportTicket.findUnique({ where: { emailMessageId: messageId }, select: { id: true } }),
+      this.prisma.supportResponse.findUnique({ where: { emailMessageId: messageId }, select: { id: true } }),
+    ]);
+    return Boolean(ticket || response);
+  }
+
+  // Mail sent by the portal itself must never come back in as a ticket
+  private isOwnAddress(address: string): boolean {
+    const from = String(this.configService.get('MAIL_FROM') || this.configService.get('MAIL_USER') || '');
+    return from.toLowerCase().includes(address);
+  }
+
+  private ignore(email: ParsedInboundEmail, reason: string): SupportEmailIngestResult {
+    this.logger.warn(`Ignored inbound email ${email.messageId ?? '(no Message-ID)'}: ${reason}`);
+    return { action: 'IGNORED', reason };
+  }
+
+  private truncate(value: string, max: number): string {
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  }
+}
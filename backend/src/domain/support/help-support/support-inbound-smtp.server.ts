@@ -0,0 +1,74 @@
+import { Injectable, Logger, OnModuleDestroy, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Server } from 'net';
+import { createSmtpListener } from './smtp-listener.util';
+import { SupportEmailIngestionService } from './support-email-ingestion.service';
+
+/**
+ * Local SMTP listener for the helpdesk mailbox. The organisation's MTA relays mail for
+ * the helpdesk address to it (e.g. a Postfix transport to 127.0.0.1:2525).
+ *
+ * Disabled unless SUPPORT_INBOUND_SMTP_PORT is set. SUPPORT_INBOUND_ADDRESSES (comma
+ * separated) limits the accepted recipients; by default any recipient is accepted.
+ * SUPPORT_INBOUND_AUTHSERV_ID names the MTA whose Authentication-Results are trusted
+ * (see SupportEmailIngestionService).
+ */
+@Injectable()
+export class SupportInboundSmtpServer implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(SupportInboundSmtpServer.name);
+  private server: Server | null = null;
+
+  constructor(
+    private readonly configService: ConfigService,
+    private readonly ingestionService: SupportEmailIngestionService,
+  ) {}
+
+  async onModuleInit(): Promise<void> {
+    const port = Number(this.configService.get('SUPPORT_INBOUND_SMTP_PORT'));
+    if (!port) {
+      return;
+    }
+
+    if (!this.ingestionService.isSenderAuthenticationConfigured()) {
+      this.logger.warn('SUPPORT_INBOUND_AUTHSERV_ID is not set; inbound support email will be ignored');
+    }
+
+    const host = this.configService.get<string>('SUPPORT_INBOUND_SMTP_HOST', '127.0.0.1');
+    const addresses = String(this.configService.get('SUPPORT_INBOUND_ADDRESSES', ''))
+      .split(',')
+      .map((address) => address.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.server = createSmtpListener({
+      hostname: this.configService.get<string>('SUPPORT_INBOUND_SMTP_HOSTNAME', 'localhost'),
+      maxMessageBytes: Number(this.configService.get('SUPPORT_INBOUND_MAX_MESSAGE_BYTES', 25 * 1024 * 1024)),
+      acceptRecipient: addresses.length > 0 ? (address) => addresses.includes(address) : undefined,
+      onMessage: async (envelope, raw) => {
+        const result = await this.ingestionService.ingest(raw, envelope);
+        this.logger.debug(`Inbound email from ${envelope.mailFrom}: ${result.action}`);
+      },
+      onError: (error) => this.logger.error(`Inbound SMTP error: ${error.message}`, error.stack),
+    });
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(port, host, () => {
+          this.server.off('error', reject);
+          resolve();
+        });
+      });
+      this.logger.log(`Inbound support SMTP listening on ${host}:${port}`);
+    } catch (error) {
+      // Don't block startup; tickets can still be raised from the portal
+      this.logger.error(`Failed to start inbound support SMTP on ${host}:${port}: ${error.message}`);
+      this.server = null;
+    }
+  }
+
+  async onModuleDestroy(): Promise<void> {
+    if (!this.server) return;
+    await new Promise<void>((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
@@ -0,0 +1,98 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { Cron } from '@nestjs/schedule';
+import { PrismaService } from '../../../core/database/prisma.service';
+import { NotificationService } from '../../../infrastructure/notification/notification.service';
+import { Role, SupportTicketStatus } from '../../../generated/prisma/client';
+import { SUPPORT_TICKET_CLOSED_STATUSES } from './support-ticket.util';
+
+// Tickets handled per run; the rest are picked up on the next run
+const BATCH_SIZE = 200;
+
+const CLOSED = [...SUPPORT_TICKET_CLOSED_STATUSES] as SupportTicketStatus[];
+
+type BreachKind = 'FIRST_RESPONSE' | 'RESOLUTION';
+
+/**
+ * Flags support tickets that miss their first-response or resolution SLA. Each breach
+ * is stamped once and reported to the assignee, or to the state directorate when the
+ * ticket is still unassigned.
+ */
+@Injectable()
+export class SupportTicketSlaScheduler {
+  private readonly logger = new Logger(SupportTicketSlaScheduler.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly notificationService: NotificationService,
+  ) {}
+
+  /**
+   * Check SLA timers every 15 minutes
+   */
+  @Cron('0 */15 * * * *')
+  async checkSlaTimers(): Promise<void> {
+    try {
+      const now = new Date();
+      const firstResponse = await this.flagBreaches('FIRST_RESPONSE', now);
+      const resolution = await this.flagBreaches('RESOLUTION', now);
+
+      if (firstResponse + resolution > 0) {
+        this.logger.log(`Flagged ${firstResponse} first-response and ${resolution} resolution SLA breaches`);
+      }
+    } catch (error) {
+      this.logger.error('Failed to check support ticket SLA timers', error.stack);
+    }
+  }
+
+  private async flagBreaches(kind: BreachKind, now: Date): Promise<number> {
+    const where =
+      kind === 'FIRST_RESPONSE'
+        ? { firstRespondedAt: null, firstResponseBreachedAt: null, firstResponseDueAt: { lte: now } }
+        : { resolutionBreachedAt: null, resolutionDueAt: { lte: now } };
+
+    const tickets = await this.prisma.supportTicket.findMany({
+      where: { status: { notIn: CLOSED }, ...where },
+      select: { id: true, ticketNumber: true, subject: true, priority: true, assignedToId: true },
+      take: BATCH_SIZE,
+    });
+
+    if (tickets.length === 0) {
+      return 0;
+    }
+
+    const stateUsers = tickets.some((ticket) => !ticket.assignedToId)
+      ? await this.prisma.user.findMany({
+          where: { role: Role.STATE_DIRECTORATE, active: true },
+          select: { id: true },
+        })
+      : [];
+
+    const label = kind === 'FIRST_RESPONSE' ? 'first response' : 'resolution';
+
+    for (const ticket of tickets) {
+      try {
+        // Conditional update so a concurrent run cannot report the same breach twice
+        const { count } = await this.prisma.supportTicket.updateMany({
+          where: { id: ticket.id, ...where },
+          data: kind === 'FIRST_RESPONSE' ? { firstResponseBreachedAt: now } : { resolutionBreachedAt: now },
+        });
+        if (count === 0) continue;
+
+        const recipients = ticket.assignedToId ? [ticket.assignedToId] : stateUsers.map((user) => user.id);
+        for (const recipientId of recipients) {
+          await this.notificationService.create(
+            recipientId,
+            'SUPPORT_TICKET_SLA_BREACH',
+            'Support Ticket SLA Breached',
+            `Ticket ${ticket.ticketNumber} "${ticket.subject}" (${ticket.priority}) has missed its ${label} SLA`,
+            { ticketId: ticket.id, ticketNumber: ticket.ticketNumber, breach: kind },
+          );
+        }
+      } catch (error) {
+        this.logger.error(`Failed to flag SLA breach for ticket ${ticket.id}`, error.stack);
+      }
+    }
+
+    return tickets.length;
+  }
+}
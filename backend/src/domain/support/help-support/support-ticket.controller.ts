@@ -89,6 +89,16 @@ export class SupportTicketController {
     return this.ticketService.getStatistics();
   }
 
+  /**
+   * Get open tickets that breached or are close to an SLA
+   * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
+   */
+  @Get('sla-breaches')
+  @Roles('STATE_DIRECTORATE', 'SYSTEM_ADMIN')
+  async getSlaBreaches() {
+    return this.ticketService.getSlaBreaches();
+  }
+
   /**
    * Get assignable users for ticket assignment
    * Access: STATE_DIRECTORATE or SYSTEM_ADMIN
@@ -2,12 +2,24 @@ import { Injectable, NotFoundException, Logger, BadRequestException } from '@nes
 import { PrismaService } from '../../../core/database/prisma.service';
 import { CacheService } from '../../../core/cache/cache.service';
 import { NotificationService } from '../../../infrastructure/notification/notification.service';
+import { SystemConfigService } from '../../../api/system-admin/services/system-config.service';
+import { FAQService } from './faq.service';
 import {
   SupportCategory,
   SupportTicketStatus,
   SupportTicketPriority,
+  SupportTicketSource,
   Role,
 } from '../../../generated/prisma/client';
+import {
+  SupportTicketAutoAssignStrategy,
+  SupportTicketSlaPolicy,
+  SUPPORT_TICKET_CLOSED_STATUSES,
+  computeSupportTicketSlaDueDates,
+  getSupportTicketSlaState,
+  normalizeSupportTicketSlaPolicy,
+  pickNextAssignee,
+} from './support-ticket.util';
 import {
   CreateTicketDto,
   RespondTicketDto,
@@ -22,12 +34,25 @@ export class SupportTicketService {
   private readonly logger = new Logger(SupportTicketService.name);
   private readonly CACHE_TTL = 300; // 5 minutes
 
+  /** Open tickets this close to an SLA deadline are reported as due soon */
+  static readonly SLA_DUE_SOON_HOURS = 2;
+
   constructor(
     private readonly prisma: PrismaService,
     private readonly cache: CacheService,
     private readonly notificationService: NotificationService,
+    private readonly systemConfigService: SystemConfigService,
+    private readonly faqService: FAQService,
   ) {}
 
+  /**
+   * Current SLA policy from system config, merged over the defaults
+   */
+  async getSlaPolicy(): Promise<SupportTicketSlaPolicy> {
+    const policy = await this.systemConfigService.get('support.slaPolicy');
+    return normalizeSupportTicketSlaPolicy(policy);
+  }
+
   /**
    * Generate unique ticket number: SUP-YYYYMMDD-XXXX
    */
@@ -104,8 +129,13 @@ export class SupportTicketService {
 
   /**
    * Create a new support ticket
+   * @param options - Origin of the ticket; email tickets keep their Message-ID for de-duplication
    */
-  async createTicket(userId: string, data: CreateTicketDto) {
+  async createTicket(
+    userId: string,
+    data: CreateTicketDto,
+    options: { source?: SupportTicketSource; emailMessageId?: string | null } = {},
+  ) {
     try {
       this.logger.log(`Creating support ticket for user ${userId}`);
 
@@ -119,20 +149,25 @@ export class SupportTicketService {
       }
 
       const ticketNumber = await this.generateTicketNumber();
+      const priority = data.priority || SupportTicketPriority.MEDIUM;
+      const slaDueDates = computeSupportTicketSlaDueDates(await this.getSlaPolicy(), priority, new Date());
 
-      const ticket = await this.prisma.supportTicket.create({
+      let ticket = await this.prisma.supportTicket.create({
         data: {
           ticketNumber,
           submittedById: userId,
           submitterRole: user.role,
           submitterName: user.name,
           submitterEmail: user.email,
+          source: options.source ?? SupportTicketSource.WEB,
+          emailMessageId: options.emailMessageId ?? null,
           subject: data.subject,
           description: data.description,
           category: data.category,
-          priority: data.priority || SupportTicketPriority.MEDIUM,
+          priority,
           attachments: data.attachments || [],
           status: SupportTicketStatus.OPEN,
+          ...slaDueDates,
           institutionId: user.institutionId,
           statusHistory: [
             {
@@ -166,6 +201,18 @@ export class SupportTicketService {
         );
       }
 
+      // Ticket drafted with FAQ suggestions: count it as not deflected
+      if (data.suggestedFaqIds) {
+        await this.faqService.recordSubmittedTicket(userId, user.role, ticket, data.suggestedFaqIds);
+      }
+
+      // Auto-assignment failures must not fail ticket creation; the ticket stays OPEN
+      try {
+        ticket = (await this.autoAssignTicket(ticket.id, ticket.category)) ?? ticket;
+      } catch (error) {
+        this.logger.warn(`Auto-assignment failed for ticket ${ticketNumber}: ${error.message}`);
+      }
+
       // Invalidate cache
       await this.invalidateTicketCache(userId);
 
@@ -270,8 +317,14 @@ export class SupportTicketService {
 
   /**
    * Respond to a ticket
+   * @param options - Message-ID when the response arrived by email
    */
-  async respondToTicket(ticketId: string, responderId: string, data: RespondTicketDto) {
+  async respondToTicket(
+    ticketId: string,
+    responderId: string,
+    data: RespondTicketDto,
+    options: { emailMessageId?: string | null } = {},
+  ) {
     try {
       this.logger.log(`Responding to ticket ${ticketId} by user ${responderId}`);
 
@@ -302,6 +355,7 @@ export class SupportTicketService {
           message: data.message,
           attachments: data.attachments || [],
           isInternal: data.isInternal || false,
+          emailMessageId: options.emailMessageId ?? null,
         },
         include: {
           responder: {
@@ -322,6 +376,9 @@ export class SupportTicketService {
           ? SupportTicketStatus.IN_PROGRESS
           : ticket.status;
 
+      // The first-response SLA stops at the first public reply from support
+      const isFirstResponse = !isFromSubmitter && !data.isInternal && !ticket.firstRespondedAt;
+
       await this.prisma.supportTicket.update({
         where: { id: ticketId },
         data: {
@@ -329,6 +386,7 @@ export class SupportTicketService {
           lastResponseById: responderId,
           responseCount: { increment: 1 },
           status: newStatus,
+          ...(isFirstResponse && { firstRespondedAt: response.createdAt }),
         },
       });
 
@@ -632,7 +690,11 @@ export class SupportTicketService {
       const sevenDaysAgo = new Date();
       sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-      const [recentCount, unassigned] = await Promise.all([
+      const now = new Date();
+      const dueSoonBy = new Date(now.getTime() + SupportTicketService.SLA_DUE_SOON_HOURS * 60 * 60 * 1000);
+      const openStatuses = { notIn: [...SUPPORT_TICKET_CLOSED_STATUSES] as SupportTicketStatus[] };
+
+      const [recentCount, unassigned, firstResponseBreached, resolutionBreached, dueSoon] = await Promise.all([
         this.prisma.supportTicket.count({
           where: { createdAt: { gte: sevenDaysAgo } },
         }),
@@ -642,6 +704,23 @@ export class SupportTicketService {
             status: { in: [SupportTicketStatus.OPEN] },
           },
         }),
+        this.prisma.supportTicket.count({
+          where: { status: openStatuses, firstResponseBreachedAt: { not: null } },
+        }),
+        this.prisma.supportTicket.count({
+          where: { status: openStatuses, resolutionBreachedAt: { not: null } },
+        }),
+        this.prisma.supportTicket.count({
+          where: {
+            status: openStatuses,
+            firstResponseBreachedAt: null,
+            resolutionBreachedAt: null,
+            OR: [
+              { firstRespondedAt: null, firstResponseDueAt: { lte: dueSoonBy } },
+              { resolutionDueAt: { lte: dueSoonBy } },
+            ],
+          },
+        }),
       ]);
 
       // Build status map
@@ -694,6 +773,12 @@ export class SupportTicketService {
           unassigned,
           recentWeek: recentCount,
         },
+        // Breach counts cover open tickets only
+        sla: {
+          firstResponseBreached,
+          resolutionBreached,
+          dueSoon,
+        },
       };
     } catch (error) {
       this.logger.error(`Failed to get statistics: ${error.message}`, error.stack);
@@ -725,6 +810,111 @@ export class SupportTicketService {
     }
   }
 
+  /**
+   * Open tickets that have breached an SLA or are about to, most overdue first
+   */
+  async getSlaBreaches() {
+    try {
+      const now = new Date();
+      const dueSoonBy = new Date(now.getTime() + SupportTicketService.SLA_DUE_SOON_HOURS * 60 * 60 * 1000);
+
+      const tickets = await this.prisma.supportTicket.findMany({
+        where: {
+          status: { notIn: [...SUPPORT_TICKET_CLOSED_STATUSES] as SupportTicketStatus[] },
+          OR: [
+            { firstResponseBreachedAt: { not: null } },
+            { resolutionBreachedAt: { not: null } },
+            { firstRespondedAt: null, firstResponseDueAt: { lte: dueSoonBy } },
+            { resolutionDueAt: { lte: dueSoonBy } },
+          ],
+        },
+        include: this.getTicketInclude(0),
+        orderBy: { resolutionDueAt: 'asc' },
+      });
+
+      return tickets.map((ticket) => ({
+        ...ticket,
+        slaState: getSupportTicketSlaState(ticket, now, SupportTicketService.SLA_DUE_SOON_HOURS),
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to get SLA breaches: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a new ticket according to `support.autoAssignStrategy`.
+   * ROUND_ROBIN rotates through all assignable users; CATEGORY rotates through the
+   * users listed for the ticket's category in `support.categoryAssignees`, falling
+   * back to everyone when none of them is active.
+   * Returns the updated ticket, or null when the ticket was left unassigned.
+   */
+  async autoAssignTicket(ticketId: string, category: SupportCategory) {
+    const strategy = await this.systemConfigService.get<SupportTicketAutoAssignStrategy>('support.autoAssignStrategy');
+    if (strategy !== 'ROUND_ROBIN' && strategy !== 'CATEGORY') {
+      return null;
+    }
+
+    let candidateIds = (await this.getAssignableUsers()).map((user) => user.id);
+
+    if (strategy === 'CATEGORY') {
+      const categoryAssignees = await this.systemConfigService.get<Record<string, string[]>>('support.categoryAssignees');
+      const listed = Array.isArray(categoryAssignees?.[category]) ? categoryAssignees[category] : [];
+      const active = candidateIds.filter((id) => listed.includes(id));
+      if (active.length > 0) {
+        candidateIds = active;
+      }
+    }
+
+    if (candidateIds.length === 0) {
+      return null;
+    }
+
+    const lastAssignments = await this.prisma.supportTicket.groupBy({
+      by: ['assignedToId'],
+      where: { assignedToId: { in: candidateIds } },
+      _max: { assignedAt: true },
+    });
+    const assigneeId = pickNextAssignee(
+      candidateIds,
+      new Map(lastAssignments.map((row) => [row.assignedToId as string, row._max.assignedAt])),
+    );
+
+    if (!assigneeId) {
+      return null;
+    }
+
+    const updated = await this.prisma.supportTicket.update({
+      where: { id: ticketId },
+      data: {
+        assignedToId: assigneeId,
+        assignedAt: new Date(),
+        status: SupportTicketStatus.ASSIGNED,
+        statusHistory: {
+          push: {
+            status: SupportTicketStatus.ASSIGNED,
+            changedBy: null,
+            changedByName: 'System',
+            changedAt: new Date().toISOString(),
+            action: 'AUTO_ASSIGNED',
+            remarks: strategy === 'CATEGORY' ? `Auto-assigned for ${category.replace(/_/g, ' ')}` : 'Auto-assigned (round robin)',
+          },
+        },
+      },
+      include: this.getTicketInclude(),
+    });
+
+    await this.notificationService.create(
+      assigneeId,
+      'SUPPORT_TICKET_ASSIGNED',
+      'Ticket Assigned',
+      `Support ticket "${updated.subject}" has been assigned to you`,
+      { ticketId, ticketNumber: updated.ticketNumber }
+    );
+
+    return updated;
+  }
+
   /**
    * Helper to invalidate ticket cache
    */
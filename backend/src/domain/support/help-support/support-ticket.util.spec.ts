@@ -0,0 +1,112 @@
+import {
+  DEFAULT_SUPPORT_TICKET_SLA_POLICY,
+  normalizeSupportTicketSlaPolicy,
+  computeSupportTicketSlaDueDates,
+  getSupportTicketSlaState,
+  pickNextAssignee,
+  renderCannedResponse,
+} from './support-ticket.util';
+
+describe('normalizeSupportTicketSlaPolicy', () => {
+  it('falls back to defaults for missing or invalid values', () => {
+    const policy = normalizeSupportTicketSlaPolicy({
+      firstResponseHours: { LOW: 72, MEDIUM: 0, HIGH: 'x' },
+      resolutionHours: { URGENT: '12' },
+    });
+
+    expect(policy.firstResponseHours).toEqual({ LOW: 72, MEDIUM: 24, HIGH: 8, URGENT: 2 });
+    expect(policy.resolutionHours.URGENT).toBe(12);
+    expect(policy.resolutionHours.LOW).toBe(240);
+  });
+
+  it('returns the defaults for non-object input', () => {
+    expect(normalizeSupportTicketSlaPolicy(undefined)).toEqual(DEFAULT_SUPPORT_TICKET_SLA_POLICY);
+  });
+});
+
+describe('computeSupportTicketSlaDueDates', () => {
+  it('adds the priority hours to the creation time', () => {
+    const from = new Date('2026-02-01T10:00:00Z');
+    expect(computeSupportTicketSlaDueDates(DEFAULT_SUPPORT_TICKET_SLA_POLICY, 'HIGH', from)).toEqual({
+      firstResponseDueAt: new Date('2026-02-01T18:00:00Z'),
+      resolutionDueAt: new Date('2026-02-03T10:00:00Z'),
+    });
+  });
+
+  it('treats an unknown priority as MEDIUM', () => {
+    const from = new Date('2026-02-01T10:00:00Z');
+    const { firstResponseDueAt } = computeSupportTicketSlaDueDates(DEFAULT_SUPPORT_TICKET_SLA_POLICY, 'CRITICAL', from);
+    expect(firstResponseDueAt).toEqual(new Date('2026-02-02T10:00:00Z'));
+  });
+});
+
+describe('getSupportTicketSlaState', () => {
+  const now = new Date('2026-02-01T12:00:00Z');
+  const base = {
+    firstResponseDueAt: new Date('2026-02-01T18:00:00Z'),
+    resolutionDueAt: new Date('2026-02-03T10:00:00Z'),
+  };
+
+  it('is on track well before the due dates', () => {
+    expect(getSupportTicketSlaState({ ...base, status: 'OPEN' }, now, 2)).toBe('ON_TRACK');
+  });
+
+  it('is due soon inside the warning window', () => {
+    expect(getSupportTicketSlaState({ ...base, status: 'OPEN' }, now, 6)).toBe('DUE_SOON');
+  });
+
+  it('ignores the first-response clock once someone has replied in time', () => {
+    const ticket = { ...base, status: 'IN_PROGRESS', firstRespondedAt: new Date('2026-02-01T11:00:00Z') };
+    expect(getSupportTicketSlaState(ticket, now, 6)).toBe('ON_TRACK');
+  });
+
+  it('stays breached when the first reply came late', () => {
+    const ticket = { ...base, status: 'IN_PROGRESS', firstRespondedAt: new Date('2026-02-01T19:00:00Z') };
+    expect(getSupportTicketSlaState(ticket, new Date('2026-02-01T20:00:00Z'), 2)).toBe('BREACHED');
+  });
+
+  it('reports resolved tickets as met or breached', () => {
+    const onTime = {
+      ...base,
+      status: 'RESOLVED',
+      firstRespondedAt: new Date('2026-02-01T11:00:00Z'),
+      resolvedAt: new Date('2026-02-02T09:00:00Z'),
+    };
+    expect(getSupportTicketSlaState(onTime, now, 2)).toBe('MET');
+    expect(getSupportTicketSlaState({ ...onTime, resolvedAt: new Date('2026-02-04T09:00:00Z') }, now, 2)).toBe('BREACHED');
+  });
+});
+
+describe('pickNextAssignee', () => {
+  it('prefers candidates who have never been assigned', () => {
+    const last = new Map([['a', new Date('2026-02-01T10:00:00Z')]]);
+    expect(pickNextAssignee(['a', 'b'], last)).toBe('b');
+  });
+
+  it('picks whoever was assigned longest ago', () => {
+    const last = new Map([
+      ['a', new Date('2026-02-01T10:00:00Z')],
+      ['b', new Date('2026-01-31T10:00:00Z')],
+    ]);
+    expect(pickNextAssignee(['a', 'b'], last)).toBe('b');
+  });
+
+  it('returns null without candidates', () => {
+    expect(pickNextAssignee([], new Map())).toBeNull();
+  });
+});
+
+describe('renderCannedResponse', () => {
+  it('fills known placeholders and keeps unknown ones', () => {
+    expect(
+      renderCannedResponse('Hi {{ submitterName }}, about {{ticketNumber}} - {{unknown}}', {
+        submitterName: 'Asha',
+        ticketNumber: 'SUP-20260201-0001',
+      }),
+    ).toBe('Hi Asha, about SUP-20260201-0001 - {{unknown}}');
+  });
+
+  it('keeps placeholders with no value', () => {
+    expect(renderCannedResponse('Regards, {{agentName}}', { agentName: null })).toBe('Regards, {{agentName}}');
+  });
+});
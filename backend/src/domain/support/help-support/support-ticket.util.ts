@@ -0,0 +1,181 @@
+/**
+ * Support Ticket Utility
+ *
+ * SLA: every ticket has a first-response clock (someone other than the submitter has
+ * to reply publicly) and a resolution clock, both counted from creation. Hours come
+ * from the ticket priority. The policy is stored in SystemConfig under
+ * `support.slaPolicy`; missing or invalid values fall back to
+ * DEFAULT_SUPPORT_TICKET_SLA_POLICY.
+ *
+ * Auto-assignment: the next assignee is the candidate who was auto- or manually
+ * assigned a ticket longest ago (never-assigned candidates first), which gives a
+ * round-robin without storing a cursor.
+ *
+ * Canned responses: `{{placeholder}}` tokens are replaced with ticket values; unknown
+ * tokens are left as typed so the agent notices them before sending.
+ *
+ * Example:
+ * renderCannedResponse('Hi {{submitterName}}, re {{ticketNumber}}', { submitterName: 'Asha', ticketNumber: 'SUP-1' })
+ *   -> 'Hi Asha, re SUP-1'
+ */
+
+export type SupportTicketSlaPriority = 'LOW' | 'MEDIUM' | 'HIGH' | 'URGENT';
+
+export interface SupportTicketSlaPolicy {
+  firstResponseHours: Record<SupportTicketSlaPriority, number>;
+  resolutionHours: Record<SupportTicketSlaPriority, number>;
+}
+
+export type SupportTicketSlaState = 'ON_TRACK' | 'DUE_SOON' | 'BREACHED' | 'MET';
+
+export type SupportTicketAutoAssignStrategy = 'NONE' | 'ROUND_ROBIN' | 'CATEGORY';
+
+const PRIORITIES: SupportTicketSlaPriority[] = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Upper bound for any single SLA window (90 days); anything above is a typo
+const MAX_SLA_HOURS = 90 * 24;
+
+export const DEFAULT_SUPPORT_TICKET_SLA_POLICY: SupportTicketSlaPolicy = {
+  firstResponseHours: { LOW: 48, MEDIUM: 24, HIGH: 8, URGENT: 2 },
+  resolutionHours: { LOW: 240, MEDIUM: 120, HIGH: 48, URGENT: 24 },
+};
+
+// Statuses where the resolution clock has stopped
+export const SUPPORT_TICKET_CLOSED_STATUSES = ['RESOLVED', 'CLOSED'] as const;
+
+// Placeholders available in canned responses
+export const CANNED_RESPONSE_PLACEHOLDERS = [
+  'submitterName',
+  'ticketNumber',
+  'subject',
+  'category',
+  'priority',
+  'agentName',
+] as const;
+
+export type CannedResponsePlaceholder = (typeof CANNED_RESPONSE_PLACEHOLDERS)[number];
+
+function toHours(value: unknown, fallback: number): number {
+  const hours = typeof value === 'string' ? Number(value) : value;
+  if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > MAX_SLA_HOURS) {
+    return fallback;
+  }
+  return hours;
+}
+
+/**
+ * Merge a stored policy over the defaults, dropping values that are not positive hours
+ */
+export function normalizeSupportTicketSlaPolicy(raw: unknown): SupportTicketSlaPolicy {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, any>) : {};
+  const defaults = DEFAULT_SUPPORT_TICKET_SLA_POLICY;
+
+  const byPriority = (key: keyof SupportTicketSlaPolicy) =>
+    PRIORITIES.reduce(
+      (acc, priority) => {
+        acc[priority] = toHours(source[key]?.[priority], defaults[key][priority]);
+        return acc;
+      },
+      {} as Record<SupportTicketSlaPriority, number>,
+    );
+
+  return {
+    firstResponseHours: byPriority('firstResponseHours'),
+    resolutionHours: byPriority('resolutionHours'),
+  };
+}
+
+/**
+ * Due dates for both clocks of a ticket created at `from`
+ */
+export function computeSupportTicketSlaDueDates(
+  policy: SupportTicketSlaPolicy,
+  priority: string,
+  from: Date,
+): { firstResponseDueAt: Date; resolutionDueAt: Date } {
+  const key = (PRIORITIES.includes(priority as SupportTicketSlaPriority) ? priority : 'MEDIUM') as SupportTicketSlaPriority;
+  const start = from.getTime();
+
+  return {
+    firstResponseDueAt: new Date(start + policy.firstResponseHours[key] * 60 * 60 * 1000),
+    resolutionDueAt: new Date(start + policy.resolutionHours[key] * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Where a ticket stands against its SLA right now. A missed first response stays a
+ * breach even after someone replies.
+ */
+export function getSupportTicketSlaState(
+  ticket: {
+    status: string;
+    firstResponseDueAt?: Date | null;
+    firstRespondedAt?: Date | null;
+    resolutionDueAt?: Date | null;
+    resolvedAt?: Date | null;
+  },
+  now: Date,
+  dueSoonHours: number,
+): SupportTicketSlaState {
+  const time = (date?: Date | null) => (date ? new Date(date).getTime() : null);
+
+  const firstResponseDue = time(ticket.firstResponseDueAt);
+  const firstResponded = time(ticket.firstRespondedAt);
+  const resolutionDue = time(ticket.resolutionDueAt);
+  const resolved = time(ticket.resolvedAt);
+
+  const firstResponseMissed =
+    firstResponseDue !== null && (firstResponded ?? now.getTime()) > firstResponseDue;
+
+  if ((SUPPORT_TICKET_CLOSED_STATUSES as readonly string[]).includes(ticket.status)) {
+    const resolutionMissed = resolutionDue !== null && resolved !== null && resolved > resolutionDue;
+    return firstResponseMissed || resolutionMissed ? 'BREACHED' : 'MET';
+  }
+
+  if (firstResponseMissed || (resolutionDue !== null && resolutionDue <= now.getTime())) {
+    return 'BREACHED';
+  }
+
+  const upcoming = [firstResponded === null ? firstResponseDue : null, resolutionDue].filter(
+    (value): value is number => value !== null,
+  );
+  if (upcoming.length === 0) return 'ON_TRACK';
+
+  return Math.min(...upcoming) - now.getTime() <= dueSoonHours * 60 * 60 * 1000 ? 'DUE_SOON' : 'ON_TRACK';
+}
+
+/**
+ * Next assignee in round-robin order: whoever has gone longest without being
+ * assigned a ticket. Ties keep the candidates' order.
+ */
+export function pickNextAssignee(
+  candidateIds: string[],
+  lastAssignedAt: Map<string, Date | null | undefined>,
+): string | null {
+  let next: string | null = null;
+  let nextTime = Infinity;
+
+  for (const id of candidateIds) {
+    const assignedAt = lastAssignedAt.get(id);
+    const time = assignedAt ? new Date(assignedAt).getTime() : -Infinity;
+    if (next === null || time < nextTime) {
+      next = id;
+      nextTime = time;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Fill `{{placeholder}}` tokens in a canned response
+ */
+export function renderCannedResponse(
+  body: string,
+  values: Partial<Record<CannedResponsePlaceholder, string | null | undefined>>,
+): string {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, name: string) => {
+    const value = values[name as CannedResponsePlaceholder];
+    return value === undefined || value === null ? token : String(value);
+  });
+}
@@ -0,0 +1,38 @@
+import { diffLines, summarizeDiff } from './text-diff.util';
+
+describe('diffLines', () => {
+  it('returns a single equal hunk for identical texts', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([{ type: 'equal', lines: ['a', 'b'] }]);
+  });
+
+  it('groups changed lines between unchanged ones', () => {
+    expect(diffLines('intro\nold step\nfooter', 'intro\nnew step\nextra\nfooter')).toEqual([
+      { type: 'equal', lines: ['intro'] },
+      { type: 'removed', lines: ['old step'] },
+      { type: 'added', lines: ['new step', 'extra'] },
+      { type: 'equal', lines: ['footer'] },
+    ]);
+  });
+
+  it('keeps lines common to both texts in the middle', () => {
+    const hunks = diffLines('a\nx\nb\nc', 'a\nb\ny\nc');
+    expect(hunks).toEqual([
+      { type: 'equal', lines: ['a'] },
+      { type: 'removed', lines: ['x'] },
+      { type: 'equal', lines: ['b'] },
+      { type: 'added', lines: ['y'] },
+      { type: 'equal', lines: ['c'] },
+    ]);
+  });
+
+  it('treats missing text as empty and normalises line endings', () => {
+    expect(diffLines(null, 'one\r\ntwo')).toEqual([{ type: 'added', lines: ['one', 'two'] }]);
+    expect(diffLines('gone', undefined)).toEqual([{ type: 'removed', lines: ['gone'] }]);
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('counts lines per change type', () => {
+    expect(summarizeDiff(diffLines('a\nb\nc', 'a\nc\nd\ne'))).toEqual({ added: 2, removed: 1, unchanged: 2 });
+  });
+});
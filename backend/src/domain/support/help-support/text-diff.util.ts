@@ -0,0 +1,108 @@
+/**
+ * Text Diff Utility
+ *
+ * Line-based diff (longest common subsequence) used to compare FAQ article revisions.
+ * Consecutive lines of the same kind are grouped into one hunk so the UI can render
+ * them as blocks.
+ */
+
+export type TextDiffType = 'equal' | 'added' | 'removed';
+
+export interface TextDiffHunk {
+  type: TextDiffType;
+  lines: string[];
+}
+
+export interface TextDiffSummary {
+  added: number;
+  removed: number;
+  unchanged: number;
+}
+
+// Beyond this many cells the LCS table gets expensive; fall back to a whole-block replace
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text: string | null | undefined): string[] {
+  if (!text) return [];
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+function pushLine(hunks: TextDiffHunk[], type: TextDiffType, line: string) {
+  const last = hunks[hunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(line);
+  } else {
+    hunks.push({ type, lines: [line] });
+  }
+}
+
+/**
+ * Diff two texts line by line
+ */
+export function diffLines(oldText: string | null | undefined, newText: string | null | undefined): TextDiffHunk[] {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const hunks: TextDiffHunk[] = [];
+
+  // Common prefix and suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach((line) => pushLine(hunks, 'equal', line));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    midA.forEach((line) => pushLine(hunks, 'removed', line));
+    midB.forEach((line) => pushLine(hunks, 'added', line));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const lcs: number[][] = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushLine(hunks, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        pushLine(hunks, 'removed', midA[i++]);
+      } else {
+        pushLine(hunks, 'added', midB[j++]);
+      }
+    }
+    while (i < midA.length) pushLine(hunks, 'removed', midA[i++]);
+    while (j < midB.length) pushLine(hunks, 'added', midB[j++]);
+  }
+
+  a.slice(endA).forEach((line) => pushLine(hunks, 'equal', line));
+
+  return hunks;
+}
+
+/**
+ * Count added, removed and unchanged lines of a diff
+ */
+export function summarizeDiff(hunks: TextDiffHunk[]): TextDiffSummary {
+  return hunks.reduce(
+    (summary, hunk) => {
+      const key = hunk.type === 'equal' ? 'unchanged' : hunk.type;
+      summary[key] += hunk.lines.length;
+      return summary;
+    },
+    { added: 0, removed: 0, unchanged: 0 },
+  );
+}
@@ -0,0 +1 @@
+export * from './notice.dto';
@@ -0,0 +1,135 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsEnum,
+  IsOptional,
+  IsArray,
+  IsBoolean,
+  IsDateString,
+  IsInt,
+  IsIn,
+  ArrayMaxSize,
+  MaxLength,
+  MinLength,
+  Min,
+  Max,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+import { PartialType } from '@nestjs/swagger';
+import { NoticePriority, Role } from '../../../../generated/prisma/client';
+
+export class CreateNoticeDto {
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(5, { message: 'Title must be at least 5 characters long' })
+  @MaxLength(200, { message: 'Title must not exceed 200 characters' })
+  title: string;
+
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(10000, { message: 'Message must not exceed 10000 characters' })
+  message: string;
+
+  @IsEnum(NoticePriority)
+  @IsOptional()
+  priority?: NoticePriority;
+
+  // Audience; leave a list empty to include everyone for that dimension
+  @IsArray()
+  @IsEnum(Role, { each: true })
+  @IsOptional()
+  targetRoles?: Role[];
+
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(500)
+  @IsOptional()
+  institutionIds?: string[];
+
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(200)
+  @IsOptional()
+  branchIds?: string[];
+
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(50)
+  @IsOptional()
+  batchIds?: string[];
+
+  @IsArray()
+  @IsString({ each: true })
+  @ArrayMaxSize(10)
+  @IsOptional()
+  attachments?: string[];
+
+  @IsBoolean()
+  @IsOptional()
+  requiresAcknowledgement?: boolean;
+
+  @IsDateString()
+  @IsOptional()
+  acknowledgementDueAt?: string;
+
+  @IsBoolean()
+  @IsOptional()
+  isPublished?: boolean;
+
+  @IsDateString()
+  @IsOptional()
+  publishAt?: string;
+
+  @IsDateString()
+  @IsOptional()
+  expiresAt?: string;
+}
+
+export class UpdateNoticeDto extends PartialType(CreateNoticeDto) {}
+
+export class NoticeQueryDto {
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @IsOptional()
+  page?: number;
+
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  @IsOptional()
+  limit?: number;
+
+  @IsString()
+  @IsOptional()
+  @MaxLength(100)
+  search?: string;
+
+  @IsIn(['DRAFT', 'SCHEDULED', 'ACTIVE', 'EXPIRED'])
+  @IsOptional()
+  visibility?: 'DRAFT' | 'SCHEDULED' | 'ACTIVE' | 'EXPIRED';
+}
+
+export class NoticeRecipientQueryDto {
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @IsOptional()
+  page?: number;
+
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  @IsOptional()
+  limit?: number;
+
+  @IsString()
+  @IsOptional()
+  institutionId?: string;
+
+  @IsIn(['UNREAD', 'UNACKNOWLEDGED'])
+  @IsOptional()
+  status?: 'UNREAD' | 'UNACKNOWLEDGED';
+}
@@ -0,0 +1,81 @@
+import {
+  matchesNoticeAudience,
+  describeNoticeAudience,
+  getNoticeVisibility,
+  getNoticeAcknowledgementState,
+  NoticeAudience,
+} from './notice-audience.util';
+
+const audience = (overrides: Partial<NoticeAudience> = {}): NoticeAudience => ({
+  targetRoles: [],
+  institutionIds: [],
+  branchIds: [],
+  batchIds: [],
+  ...overrides,
+});
+
+describe('matchesNoticeAudience', () => {
+  it('matches everyone when no dimension is restricted', () => {
+    expect(matchesNoticeAudience(audience(), { role: 'TEACHER' })).toBe(true);
+    expect(matchesNoticeAudience(audience(), { role: 'STUDENT', institutionId: 'inst-1' })).toBe(true);
+  });
+
+  it('requires every restricted dimension to match', () => {
+    const target = audience({ targetRoles: ['STUDENT', 'TEACHER'], institutionIds: ['inst-1'], branchIds: ['cse'] });
+
+    expect(matchesNoticeAudience(target, { role: 'TEACHER', institutionId: 'inst-1', branchId: 'cse' })).toBe(true);
+    expect(matchesNoticeAudience(target, { role: 'PRINCIPAL', institutionId: 'inst-1', branchId: 'cse' })).toBe(false);
+    expect(matchesNoticeAudience(target, { role: 'TEACHER', institutionId: 'inst-2', branchId: 'cse' })).toBe(false);
+    expect(matchesNoticeAudience(target, { role: 'TEACHER', institutionId: 'inst-1', branchId: null })).toBe(false);
+  });
+
+  it('limits batch-targeted notices to students of those batches', () => {
+    const target = audience({ batchIds: ['2023-26'] });
+
+    expect(matchesNoticeAudience(target, { role: 'STUDENT', batchId: '2023-26' })).toBe(true);
+    expect(matchesNoticeAudience(target, { role: 'STUDENT', batchId: '2024-27' })).toBe(false);
+    expect(matchesNoticeAudience(target, { role: 'TEACHER' })).toBe(false);
+  });
+});
+
+describe('describeNoticeAudience', () => {
+  it('summarises roles and scope', () => {
+    expect(describeNoticeAudience(audience())).toBe('Everyone');
+    expect(
+      describeNoticeAudience(audience({ targetRoles: ['STUDENT', 'TEACHER'], institutionIds: ['a', 'b'], branchIds: ['x'] })),
+    ).toBe('Students, Faculty in 2 institutions, 1 branch');
+  });
+});
+
+describe('getNoticeVisibility', () => {
+  const now = new Date('2026-02-14T10:00:00Z');
+
+  it('reports drafts, scheduled, active and expired notices', () => {
+    const publishAt = new Date('2026-02-10T00:00:00Z');
+
+    expect(getNoticeVisibility({ isPublished: false, publishAt }, now)).toBe('DRAFT');
+    expect(getNoticeVisibility({ isPublished: true, publishAt: new Date('2026-02-15T00:00:00Z') }, now)).toBe('SCHEDULED');
+    expect(getNoticeVisibility({ isPublished: true, publishAt, expiresAt: null }, now)).toBe('ACTIVE');
+    expect(getNoticeVisibility({ isPublished: true, publishAt, expiresAt: now }, now)).toBe('EXPIRED');
+  });
+});
+
+describe('getNoticeAcknowledgementState', () => {
+  const now = new Date('2026-02-14T10:00:00Z');
+  const readAt = new Date('2026-02-12T10:00:00Z');
+
+  it('tracks read and acknowledged receipts', () => {
+    const notice = { requiresAcknowledgement: true, acknowledgementDueAt: new Date('2026-02-20T00:00:00Z') };
+
+    expect(getNoticeAcknowledgementState(notice, null, now)).toBe('UNREAD');
+    expect(getNoticeAcknowledgementState(notice, { readAt }, now)).toBe('READ');
+    expect(getNoticeAcknowledgementState(notice, { readAt, acknowledgedAt: now }, now)).toBe('ACKNOWLEDGED');
+  });
+
+  it('flags missing acknowledgements after the due date', () => {
+    const notice = { requiresAcknowledgement: true, acknowledgementDueAt: new Date('2026-02-13T00:00:00Z') };
+
+    expect(getNoticeAcknowledgementState(notice, { readAt }, now)).toBe('OVERDUE');
+    expect(getNoticeAcknowledgementState({ ...notice, requiresAcknowledgement: false }, { readAt }, now)).toBe('READ');
+  });
+});
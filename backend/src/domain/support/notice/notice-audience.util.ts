@@ -0,0 +1,112 @@
+/**
+ * Notice Audience Utility
+ *
+ * A circular is targeted along four dimensions: roles, institutions, branches and
+ * batches. An empty list means "no restriction" for that dimension, and a user has to
+ * match every non-empty one. Batches only exist for students, so a batch filter
+ * narrows students and leaves staff out.
+ *
+ * Example:
+ * matchesNoticeAudience(
+ *   { targetRoles: ['STUDENT'], institutionIds: ['inst-1'], branchIds: [], batchIds: [] },
+ *   { role: 'STUDENT', institutionId: 'inst-1' },
+ * ) -> true
+ */
+
+export interface NoticeAudience {
+  targetRoles: string[];
+  institutionIds: string[];
+  branchIds: string[];
+  batchIds: string[];
+}
+
+export interface NoticeAudienceMember {
+  role: string;
+  institutionId?: string | null;
+  branchId?: string | null;
+  batchId?: string | null;
+}
+
+export interface NoticeSchedule {
+  isPublished: boolean;
+  publishAt: Date;
+  expiresAt?: Date | null;
+}
+
+export type NoticeVisibility = 'DRAFT' | 'SCHEDULED' | 'ACTIVE' | 'EXPIRED';
+
+export type NoticeAcknowledgementState = 'UNREAD' | 'READ' | 'ACKNOWLEDGED' | 'OVERDUE';
+
+function matchesList(values: string[], value?: string | null): boolean {
+  return values.length === 0 || (!!value && values.includes(value));
+}
+
+/**
+ * Whether a user is part of a notice's audience
+ */
+export function matchesNoticeAudience(audience: NoticeAudience, member: NoticeAudienceMember): boolean {
+  if (!matchesList(audience.targetRoles, member.role)) return false;
+  if (!matchesList(audience.institutionIds, member.institutionId)) return false;
+  if (!matchesList(audience.branchIds, member.branchId)) return false;
+  if (audience.batchIds.length > 0 && (member.role !== 'STUDENT' || !audience.batchIds.includes(member.batchId || ''))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Human-readable summary of the audience, e.g. "Students, Faculty in 2 institutions"
+ */
+export function describeNoticeAudience(audience: NoticeAudience): string {
+  const roleLabels: Record<string, string> = {
+    STUDENT: 'Students',
+    TEACHER: 'Faculty',
+    PRINCIPAL: 'Principals',
+    STATE_DIRECTORATE: 'State Directorate',
+    SYSTEM_ADMIN: 'System Admins',
+    INDUSTRY_SUPERVISOR: 'Industry Supervisors',
+  };
+  const count = (values: string[], singular: string, plural: string) =>
+    values.length ? `${values.length} ${values.length === 1 ? singular : plural}` : null;
+
+  const who = audience.targetRoles.length
+    ? audience.targetRoles.map((role) => roleLabels[role] || role).join(', ')
+    : 'Everyone';
+  const scope = [
+    count(audience.institutionIds, 'institution', 'institutions'),
+    count(audience.branchIds, 'branch', 'branches'),
+    count(audience.batchIds, 'batch', 'batches'),
+  ].filter(Boolean);
+
+  return scope.length ? `${who} in ${scope.join(', ')}` : who;
+}
+
+/**
+ * Where a notice is in its publishing lifecycle
+ */
+export function getNoticeVisibility(notice: NoticeSchedule, now: Date = new Date()): NoticeVisibility {
+  if (!notice.isPublished) return 'DRAFT';
+  if (notice.publishAt.getTime() > now.getTime()) return 'SCHEDULED';
+  if (notice.expiresAt && notice.expiresAt.getTime() <= now.getTime()) return 'EXPIRED';
+  return 'ACTIVE';
+}
+
+/**
+ * Read/acknowledgement state of one audience member.
+ * OVERDUE only applies when acknowledgement is required and its due date has passed.
+ */
+export function getNoticeAcknowledgementState(
+  notice: { requiresAcknowledgement: boolean; acknowledgementDueAt?: Date | null },
+  receipt: { readAt: Date; acknowledgedAt?: Date | null } | null,
+  now: Date = new Date(),
+): NoticeAcknowledgementState {
+  if (receipt?.acknowledgedAt) return 'ACKNOWLEDGED';
+  if (
+    notice.requiresAcknowledgement &&
+    notice.acknowledgementDueAt &&
+    notice.acknowledgementDueAt.getTime() < now.getTime()
+  ) {
+    return 'OVERDUE';
+  }
+  return receipt ? 'READ' : 'UNREAD';
+}
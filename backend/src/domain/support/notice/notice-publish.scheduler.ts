@@ -0,0 +1,32 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { Cron } from '@nestjs/schedule';
+import { NoticeService } from './notice.service';
+
+// Notices notified per run; the rest are picked up on the next run
+const BATCH_SIZE = 50;
+
+/**
+ * Notifies the audience of notices scheduled for a future publish time once that
+ * time has passed. Notices published immediately are notified when they are saved.
+ */
+@Injectable()
+export class NoticePublishScheduler {
+  private readonly logger = new Logger(NoticePublishScheduler.name);
+
+  constructor(private readonly noticeService: NoticeService) {}
+
+  /**
+   * Check for notices that went live every 15 minutes
+   */
+  @Cron('0 */15 * * * *')
+  async publishDueNotices(): Promise<void> {
+    try {
+      const count = await this.noticeService.notifyDueNotices(BATCH_SIZE);
+      if (count > 0) {
+        this.logger.log(`Notified the audience of ${count} scheduled notice(s)`);
+      }
+    } catch (error) {
+      this.logger.error('Failed to publish scheduled notices', error.stack);
+    }
+  }
+}
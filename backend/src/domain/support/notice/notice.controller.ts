@@ -0,0 +1,140 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Delete,
+  Body,
+  Param,
+  Query,
+  UseGuards,
+  UseInterceptors,
+  UploadedFile,
+  Request,
+} from '@nestjs/common';
+import { FileInterceptor } from '@nestjs/platform-express';
+import { memoryStorage } from 'multer';
+import { NoticeService } from './notice.service';
+import { JwtAuthGuard } from '../../../core/auth/guards/jwt-auth.guard';
+import { RolesGuard } from '../../../core/auth/guards/roles.guard';
+import { Roles } from '../../../core/auth/decorators/roles.decorator';
+import { CreateNoticeDto, UpdateNoticeDto, NoticeQueryDto, NoticeRecipientQueryDto } from './dto';
+import { Role } from '../../../generated/prisma/client';
+
+@Controller('notices')
+@UseGuards(JwtAuthGuard, RolesGuard)
+export class NoticeController {
+  constructor(private readonly noticeService: NoticeService) {}
+
+  /**
+   * Live notices addressed to the current user
+   * Access: Authenticated users
+   */
+  @Get('my')
+  async getMyNotices(@Request() req: any) {
+    return this.noticeService.getMyNotices(req.user.userId);
+  }
+
+  /**
+   * Notices the user can manage, with read and acknowledgement counts
+   * Access: STATE_DIRECTORATE, PRINCIPAL, SYSTEM_ADMIN
+   */
+  @Get('manage')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async getManagedNotices(@Request() req: any, @Query() query: NoticeQueryDto) {
+    return this.noticeService.getManagedNotices(req.user, query);
+  }
+
+  /**
+   * Upload an attachment; the returned URL goes into the notice's attachments
+   * Access: STATE_DIRECTORATE, PRINCIPAL, SYSTEM_ADMIN
+   */
+  @Post('attachments')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  @UseInterceptors(FileInterceptor('file', { storage: memoryStorage() }))
+  async uploadAttachment(@Request() req: any, @UploadedFile() file: Express.Multer.File) {
+    return this.noticeService.uploadAttachment(req.user, file);
+  }
+
+  /**
+   * Create a notice
+   * Access: STATE_DIRECTORATE, PRINCIPAL, SYSTEM_ADMIN
+   */
+  @Post()
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async createNotice(@Request() req: any, @Body() data: CreateNoticeDto) {
+    return this.noticeService.createNotice(req.user, data);
+  }
+
+  /**
+   * Open a notice (records that the user has read it)
+   * Access: Authenticated users in the notice's audience, or its managers
+   */
+  @Get(':id')
+  async getNotice(@Param('id') id: string, @Request() req: any) {
+    return this.noticeService.getNotice(req.user, id);
+  }
+
+  /**
+   * Update a notice
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Put(':id')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async updateNotice(@Param('id') id: string, @Request() req: any, @Body() data: UpdateNoticeDto) {
+    return this.noticeService.updateNotice(req.user, id, data);
+  }
+
+  /**
+   * Delete a notice
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Delete(':id')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async deleteNotice(@Param('id') id: string, @Request() req: any) {
+    return this.noticeService.deleteNotice(req.user, id);
+  }
+
+  /**
+   * Acknowledge a notice that requires it
+   * Access: Authenticated users in the notice's audience
+   */
+  @Post(':id/acknowledge')
+  async acknowledgeNotice(@Param('id') id: string, @Request() req: any) {
+    return this.noticeService.acknowledgeNotice(req.user.userId, id);
+  }
+
+  /**
+   * Read and acknowledgement status per institution
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Get(':id/report')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async getAcknowledgementReport(@Param('id') id: string, @Request() req: any) {
+    return this.noticeService.getAcknowledgementReport(req.user, id);
+  }
+
+  /**
+   * Users who have not yet read or acknowledged a notice
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Get(':id/pending')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async getPendingRecipients(@Param('id') id: string, @Request() req: any, @Query() query: NoticeRecipientQueryDto) {
+    return this.noticeService.getPendingRecipients(req.user, id, query);
+  }
+
+  /**
+   * Remind users who have not yet read or acknowledged a notice
+   * Access: STATE_DIRECTORATE, PRINCIPAL (own institution), SYSTEM_ADMIN
+   */
+  @Post(':id/remind')
+  @Roles(Role.STATE_DIRECTORATE, Role.PRINCIPAL, Role.SYSTEM_ADMIN)
+  async remindPendingRecipients(
+    @Param('id') id: string,
+    @Request() req: any,
+    @Body('institutionId') institutionId?: string,
+  ) {
+    return this.noticeService.remindPendingRecipients(req.user, id, institutionId);
+  }
+}
@@ -1,42 +1,839 @@
-import { Injectable, NotFoundException, Logger } from '@nestjs/common';
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  ForbiddenException,
+  Logger,
+} from '@nestjs/common';
 import { PrismaService } from '../../../core/database/prisma.service';
-import { CacheService } from '../../../core/cache/cache.service';
+import { AuditService } from '../../../infrastructure/audit/audit.service';
+import { NotificationSenderService } from '../../../infrastructure/notification/notification-sender.service';
+import { FileStorageService } from '../../../infrastructure/file-storage/file-storage.service';
+import {
+  validateUploadedFile,
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZES,
+} from '../../../core/common/utils/file-validation.util';
+import { calculatePagination, formatPaginatedResponse } from '../../../common/utils/pagination.util';
+import {
+  describeNoticeAudience,
+  getNoticeAcknowledgementState,
+  getNoticeVisibility,
+  matchesNoticeAudience,
+  NoticeAudience,
+  NoticeAudienceMember,
+} from './notice-audience.util';
+import {
+  AuditAction,
+  AuditCategory,
+  AuditSeverity,
+  Notice,
+  Prisma,
+  Role,
+} from '../../../generated/prisma/client';
+import { CreateNoticeDto, UpdateNoticeDto, NoticeQueryDto, NoticeRecipientQueryDto } from './dto';
 
-export interface CreateNoticeDto {
-  title: string;
-  message: string;
+interface UserContext {
+  userId: string;
+  role: Role;
   institutionId?: string;
 }
 
-export interface UpdateNoticeDto extends Partial<CreateNoticeDto> {}
+// Roles a principal can address; their notices are always limited to their own institution
+const PRINCIPAL_TARGET_ROLES: Role[] = [Role.TEACHER, Role.STUDENT];
 
+// Above this many recipients notifications go through the background queue
+const ASYNC_NOTIFY_THRESHOLD = 10;
+
+const noticeAuthorSelect = {
+  createdBy: { select: { id: true, name: true, role: true } },
+} satisfies Prisma.NoticeInclude;
+
+/**
+ * Circulars from the state directorate (any audience) and principals (their own
+ * institution). Tracks who has read each notice and, where required, acknowledged it.
+ */
 @Injectable()
 export class NoticeService {
   private readonly logger = new Logger(NoticeService.name);
-  private readonly CACHE_TTL = 300; // 5 minutes
 
   constructor(
     private readonly prisma: PrismaService,
-    private readonly cache: CacheService,
+    private readonly auditService: AuditService,
+    private readonly notificationSender: NotificationSenderService,
+    private readonly fileStorageService: FileStorageService,
   ) {}
 
-  async createNotice(creatorId: string, data: CreateNoticeDto) {
-    throw new NotFoundException('Notice feature has been removed');
+  /**
+   * Create a notice; published notices that are already live notify their audience
+   */
+  async createNotice(user: UserContext, data: CreateNoticeDto) {
+    try {
+      const audience = await this.resolveAudience(user, data);
+      const schedule = this.resolveSchedule(data);
+
+      const notice = await this.prisma.notice.create({
+        data: {
+          title: data.title.trim(),
+          message: data.message,
+          priority: data.priority,
+          createdById: user.userId,
+          institutionId: user.role === Role.PRINCIPAL ? user.institutionId : null,
+          ...audience,
+          attachments: data.attachments || [],
+          ...schedule,
+        },
+        include: noticeAuthorSelect,
+      });
+
+      this.auditService.log({
+        action: notice.isPublished ? AuditAction.NOTICE_PUBLISH : AuditAction.NOTICE_UPDATE,
+        entityType: 'Notice',
+        entityId: notice.id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `${notice.isPublished ? 'Notice published' : 'Notice draft created'}: ${notice.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.MEDIUM,
+        institutionId: notice.institutionId || undefined,
+        newValues: { title: notice.title, audience: describeNoticeAudience(notice), publishAt: notice.publishAt },
+      }).catch(() => {});
+
+      await this.notifyIfLive(notice);
+
+      return this.toNoticeSummary(notice);
+    } catch (error) {
+      this.logger.error(`Failed to create notice: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Notices the user issued (principal) or every notice (state directorate), with read counts
+   */
+  async getManagedNotices(user: UserContext, query: NoticeQueryDto) {
+    try {
+      const { page, limit, skip } = calculatePagination(query, 20);
+      const now = new Date();
+
+      const where: Prisma.NoticeWhereInput = {
+        isDeleted: false,
+        ...(user.role === Role.PRINCIPAL && { institutionId: user.institutionId }),
+        AND: [
+          ...(query.search
+            ? [
+                {
+                  OR: [
+                    { title: { contains: query.search, mode: 'insensitive' as const } },
+                    { message: { contains: query.search, mode: 'insensitive' as const } },
+                  ],
+                },
+              ]
+            : []),
+          ...(query.visibility ? [this.visibilityWhere(query.visibility, now)] : []),
+        ],
+      };
+
+      const [notices, total] = await Promise.all([
+        this.prisma.notice.findMany({
+          where,
+          include: noticeAuthorSelect,
+          orderBy: { publishAt: 'desc' },
+          skip,
+          take: limit,
+        }),
+        this.prisma.notice.count({ where }),
+      ]);
+
+      const items = await Promise.all(
+        notices.map(async (notice) => {
+          const [audienceCount, readCount, acknowledgedCount] = await Promise.all([
+            this.prisma.user.count({ where: this.buildAudienceWhere(notice) }),
+            this.prisma.noticeAcknowledgement.count({ where: { noticeId: notice.id } }),
+            this.prisma.noticeAcknowledgement.count({ where: { noticeId: notice.id, acknowledgedAt: { not: null } } }),
+          ]);
+          return { ...this.toNoticeSummary(notice, now), audienceCount, readCount, acknowledgedCount };
+        }),
+      );
+
+      return formatPaginatedResponse(items, total, page, limit);
+    } catch (error) {
+      this.logger.error(`Failed to get managed notices: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Live notices addressed to the user, newest first, with their read/acknowledgement state
+   */
+  async getMyNotices(userId: string) {
+    try {
+      const member = await this.getAudienceMember(userId);
+      const now = new Date();
+
+      const notices = await this.prisma.notice.findMany({
+        where: { ...this.liveWhere(now), AND: this.memberFilters(member) },
+        include: {
+          ...noticeAuthorSelect,
+          acknowledgements: { where: { userId }, select: { readAt: true, acknowledgedAt: true } },
+        },
+        orderBy: [{ priority: 'desc' }, { publishAt: 'desc' }],
+        take: 100,
+      });
+
+      const items = notices.map(({ acknowledgements, ...notice }) => {
+        const receipt = acknowledgements[0] ?? null;
+        return {
+          ...this.toNoticeSummary(notice, now),
+          readAt: receipt?.readAt ?? null,
+          acknowledgedAt: receipt?.acknowledgedAt ?? null,
+          acknowledgementState: getNoticeAcknowledgementState(notice, receipt, now),
+        };
+      });
+
+      return {
+        notices: items,
+        unreadCount: items.filter((notice) => !notice.readAt).length,
+        pendingAcknowledgements: items.filter((notice) => notice.requiresAcknowledgement && !notice.acknowledgedAt)
+          .length,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get notices for user ${userId}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a notice. Audience members get a read receipt; issuers can preview any notice they manage.
+   */
+  async getNotice(user: UserContext, id: string) {
+    try {
+      const notice = await this.prisma.notice.findFirst({
+        where: { id, isDeleted: false },
+        include: noticeAuthorSelect,
+      });
+      if (!notice) {
+        throw new NotFoundException('Notice not found');
+      }
+
+      const now = new Date();
+      const member = await this.getAudienceMember(user.userId);
+      const isLiveForMember =
+        getNoticeVisibility(notice, now) === 'ACTIVE' && matchesNoticeAudience(notice, member);
+
+      if (!isLiveForMember) {
+        if (!this.canManage(user, notice)) {
+          throw new NotFoundException('Notice not found');
+        }
+        return { ...this.toNoticeSummary(notice, now), readAt: null, acknowledgedAt: null };
+      }
+
+      const receipt = await this.prisma.noticeAcknowledgement.upsert({
+        where: { noticeId_userId: { noticeId: id, userId: user.userId } },
+        create: { noticeId: id, userId: user.userId },
+        update: {},
+      });
+
+      return {
+        ...this.toNoticeSummary(notice, now),
+        readAt: receipt.readAt,
+        acknowledgedAt: receipt.acknowledgedAt,
+        acknowledgementState: getNoticeAcknowledgementState(notice, receipt, now),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge a notice that asks for it
+   */
+  async acknowledgeNotice(userId: string, id: string) {
+    try {
+      const notice = await this.prisma.notice.findFirst({ where: { id, isDeleted: false } });
+      const member = await this.getAudienceMember(userId);
+
+      if (!notice || getNoticeVisibility(notice) !== 'ACTIVE' || !matchesNoticeAudience(notice, member)) {
+        throw new NotFoundException('Notice not found');
+      }
+      if (!notice.requiresAcknowledgement) {
+        throw new BadRequestException('This notice does not require acknowledgement');
+      }
+
+      const now = new Date();
+      const existing = await this.prisma.noticeAcknowledgement.findUnique({
+        where: { noticeId_userId: { noticeId: id, userId } },
+      });
+      if (existing?.acknowledgedAt) {
+        return existing;
+      }
+
+      return await this.prisma.noticeAcknowledgement.upsert({
+        where: { noticeId_userId: { noticeId: id, userId } },
+        create: { noticeId: id, userId, readAt: now, acknowledgedAt: now },
+        update: { acknowledgedAt: now },
+      });
+    } catch (error) {
+      this.logger.error(`Failed to acknowledge notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a notice. Audience changes after it went out are not re-notified.
+   */
+  async updateNotice(user: UserContext, id: string, data: UpdateNoticeDto) {
+    try {
+      const existing = await this.findManagedNotice(user, id);
+
+      const audience = await this.resolveAudience(user, {
+        targetRoles: data.targetRoles ?? (existing.targetRoles as Role[]),
+        institutionIds: data.institutionIds ?? existing.institutionIds,
+        branchIds: data.branchIds ?? existing.branchIds,
+        batchIds: data.batchIds ?? existing.batchIds,
+      });
+      const schedule = this.resolveSchedule(data, existing);
+
+      const notice = await this.prisma.notice.update({
+        where: { id },
+        data: {
+          ...(data.title !== undefined && { title: data.title.trim() }),
+          ...(data.message !== undefined && { message: data.message }),
+          ...(data.priority !== undefined && { priority: data.priority }),
+          ...(data.attachments !== undefined && { attachments: data.attachments }),
+          ...audience,
+          ...schedule,
+        },
+        include: noticeAuthorSelect,
+      });
+
+      const justPublished = !existing.isPublished && notice.isPublished;
+      this.auditService.log({
+        action: justPublished ? AuditAction.NOTICE_PUBLISH : AuditAction.NOTICE_UPDATE,
+        entityType: 'Notice',
+        entityId: id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `${justPublished ? 'Notice published' : 'Notice updated'}: ${notice.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.MEDIUM,
+        institutionId: notice.institutionId || undefined,
+        oldValues: {
+          title: existing.title,
+          audience: describeNoticeAudience(existing),
+          publishAt: existing.publishAt,
+          expiresAt: existing.expiresAt,
+        },
+        newValues: {
+          title: notice.title,
+          audience: describeNoticeAudience(notice),
+          publishAt: notice.publishAt,
+          expiresAt: notice.expiresAt,
+        },
+      }).catch(() => {});
+
+      await this.notifyIfLive(notice);
+
+      return this.toNoticeSummary(notice);
+    } catch (error) {
+      this.logger.error(`Failed to update notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a notice
+   */
+  async deleteNotice(user: UserContext, id: string) {
+    try {
+      const notice = await this.findManagedNotice(user, id);
+
+      await this.prisma.notice.update({
+        where: { id },
+        data: { isDeleted: true, deletedAt: new Date() },
+      });
+
+      this.auditService.log({
+        action: AuditAction.NOTICE_DELETE,
+        entityType: 'Notice',
+        entityId: id,
+        userId: user.userId,
+        userRole: user.role,
+        description: `Notice deleted: ${notice.title}`,
+        category: AuditCategory.ADMINISTRATIVE,
+        severity: AuditSeverity.MEDIUM,
+        institutionId: notice.institutionId || undefined,
+        oldValues: { title: notice.title, isPublished: notice.isPublished },
+      }).catch(() => {});
+
+      return { success: true, message: 'Notice deleted successfully' };
+    } catch (error) {
+      this.logger.error(`Failed to delete notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Read and acknowledgement counts per institution, least-read institutions first
+   */
+  async getAcknowledgementReport(user: UserContext, id: string) {
+    try {
+      const notice = await this.findManagedNotice(user, id);
+      const audienceWhere = this.buildAudienceWhere(notice);
+
+      const [audience, read, acknowledged] = await Promise.all([
+        this.prisma.user.groupBy({ by: ['institutionId'], where: audienceWhere, _count: { _all: true } }),
+        this.prisma.user.groupBy({
+          by: ['institutionId'],
+          where: { AND: [audienceWhere, { noticeAcknowledgements: { some: { noticeId: id } } }] },
+          _count: { _all: true },
+        }),
+        this.prisma.user.groupBy({
+          by: ['institutionId'],
+          where: {
+            AND: [audienceWhere, { noticeAcknowledgements: { some: { noticeId: id, acknowledgedAt: { not: null } } } }],
+          },
+          _count: { _all: true },
+        }),
+      ]);
+
+      const readBy = new Map(read.map((row) => [row.institutionId, row._count._all]));
+      const acknowledgedBy = new Map(acknowledged.map((row) => [row.institutionId, row._count._all]));
+
+      const institutionIds = audience.map((row) => row.institutionId).filter((value): value is string => !!value);
+      const institutions = await this.prisma.institution.findMany({
+        where: { id: { in: institutionIds } },
+        select: { id: true, name: true, code: true },
+      });
+      const institutionById = new Map(institutions.map((institution) => [institution.id, institution]));
+
+      const rows = audience
+        .map((row) => {
+          const total = row._count._all;
+          const readCount = readBy.get(row.institutionId) || 0;
+          const acknowledgedCount = acknowledgedBy.get(row.institutionId) || 0;
+          const institution = row.institutionId ? institutionById.get(row.institutionId) : null;
+          return {
+            institutionId: row.institutionId,
+            institutionName: institution?.name || 'No institution',
+            institutionCode: institution?.code || null,
+            audienceCount: total,
+            readCount,
+            unreadCount: total - readCount,
+            acknowledgedCount,
+            pendingAcknowledgementCount: notice.requiresAcknowledgement ? total - acknowledgedCount : 0,
+            readRate: total ? Math.round((readCount / total) * 100) : 0,
+            acknowledgementRate: total ? Math.round((acknowledgedCount / total) * 100) : 0,
+          };
+        })
+        .sort((a, b) =>
+          notice.requiresAcknowledgement
+            ? a.acknowledgementRate - b.acknowledgementRate || a.readRate - b.readRate
+            : a.readRate - b.readRate,
+        );
+
+      const sum = (key: 'audienceCount' | 'readCount' | 'acknowledgedCount') =>
+        rows.reduce((total, row) => total + row[key], 0);
+      const totals = {
+        audienceCount: sum('audienceCount'),
+        readCount: sum('readCount'),
+        acknowledgedCount: sum('acknowledgedCount'),
+      };
+
+      return {
+        notice: this.toNoticeSummary(notice),
+        totals: {
+          ...totals,
+          unreadCount: totals.audienceCount - totals.readCount,
+          pendingAcknowledgementCount: notice.requiresAcknowledgement
+            ? totals.audienceCount - totals.acknowledgedCount
+            : 0,
+        },
+        institutions: rows,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to build acknowledgement report for notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Audience members who have not read (or not acknowledged) a notice
+   */
+  async getPendingRecipients(user: UserContext, id: string, query: NoticeRecipientQueryDto) {
+    try {
+      const notice = await this.findManagedNotice(user, id);
+      const { page, limit, skip } = calculatePagination(query, 20);
+
+      const where = this.pendingWhere(notice, query.status, query.institutionId);
+      const [users, total] = await Promise.all([
+        this.prisma.user.findMany({
+          where,
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true,
+            rollNumber: true,
+            Institution: { select: { id: true, name: true, code: true } },
+            noticeAcknowledgements: { where: { noticeId: id }, select: { readAt: true, acknowledgedAt: true } },
+          },
+          orderBy: [{ institutionId: 'asc' }, { name: 'asc' }],
+          skip,
+          take: limit,
+        }),
+        this.prisma.user.count({ where }),
+      ]);
+
+      const items = users.map(({ noticeAcknowledgements, Institution, ...recipient }) => ({
+        ...recipient,
+        institution: Institution,
+        readAt: noticeAcknowledgements[0]?.readAt ?? null,
+        acknowledgementState: getNoticeAcknowledgementState(notice, noticeAcknowledgements[0] ?? null),
+      }));
+
+      return formatPaginatedResponse(items, total, page, limit);
+    } catch (error) {
+      this.logger.error(`Failed to get pending recipients for notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a reminder to everyone who still has to read or acknowledge a live notice
+   */
+  async remindPendingRecipients(user: UserContext, id: string, institutionId?: string) {
+    try {
+      const notice = await this.findManagedNotice(user, id);
+      if (getNoticeVisibility(notice) !== 'ACTIVE') {
+        throw new BadRequestException('Only live notices can be reminded');
+      }
+
+      const recipients = await this.prisma.user.findMany({
+        where: this.pendingWhere(notice, undefined, institutionId),
+        select: { id: true },
+      });
+      if (recipients.length === 0) {
+        return { success: true, remindedCount: 0, message: 'Everyone has already responded to this notice' };
+      }
+
+      await this.sendNoticeNotification(
+        notice,
+        recipients.map((recipient) => recipient.id),
+        `Reminder: ${notice.title}`,
+        user.userId,
+      );
+
+      return {
+        success: true,
+        remindedCount: recipients.length,
+        message: `Reminder sent to ${recipients.length} user(s)`,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to remind recipients of notice ${id}: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to attach to a notice
+   */
+  async uploadAttachment(user: UserContext, file: Express.Multer.File) {
+    if (!file) {
+      throw new BadRequestException('File is required');
+    }
+
+    validateUploadedFile(file, {
+      allowedTypes: ALLOWED_MIME_TYPES.all,
+      maxSize: MAX_FILE_SIZES.document,
+      context: 'Attachment',
+    });
+
+    try {
+      const result = await this.fileStorageService.uploadFile(file, {
+        folder: 'notices',
+        subfolder: user.role === Role.PRINCIPAL && user.institutionId ? user.institutionId : 'state',
+      });
+
+      return {
+        url: result.url,
+        filename: file.originalname,
+        size: result.size,
+        contentType: result.contentType,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to upload notice attachment: ${error.message}`, error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the audience of published notices whose publish time has passed.
+   * Called by NoticePublishScheduler.
+   */
+  async notifyDueNotices(batchSize: number): Promise<number> {
+    const notices = await this.prisma.notice.findMany({
+      where: { ...this.liveWhere(new Date()), notifiedAt: null },
+      orderBy: { publishAt: 'asc' },
+      take: batchSize,
+    });
+
+    for (const notice of notices) {
+      await this.notifyAudience(notice);
+    }
+
+    return notices.length;
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  private canManage(user: UserContext, notice: Pick<Notice, 'institutionId'>): boolean {
+    if (user.role === Role.STATE_DIRECTORATE || user.role === Role.SYSTEM_ADMIN) return true;
+    return user.role === Role.PRINCIPAL && !!user.institutionId && notice.institutionId === user.institutionId;
+  }
+
+  private async findManagedNotice(user: UserContext, id: string) {
+    const notice = await this.prisma.notice.findFirst({
+      where: { id, isDeleted: false },
+      include: noticeAuthorSelect,
+    });
+    if (!notice) {
+      throw new NotFoundException('Notice not found');
+    }
+    if (!this.canManage(user, notice)) {
+      throw new ForbiddenException('You can only manage notices issued by your institution');
+    }
+    return notice;
+  }
+
+  /**
+   * Check the requested audience against what the issuer is allowed to target
+   */
+  private async resolveAudience(
+    user: UserContext,
+    data: Pick<CreateNoticeDto, 'targetRoles' | 'institutionIds' | 'branchIds' | 'batchIds'>,
+  ): Promise<NoticeAudience & { targetRoles: Role[] }> {
+    const unique = (values?: string[]) => [...new Set((values || []).filter(Boolean))];
+    const audience = {
+      targetRoles: unique(data.targetRoles) as Role[],
+      institutionIds: unique(data.institutionIds),
+      branchIds: unique(data.branchIds),
+      batchIds: unique(data.batchIds),
+    };
+
+    if (user.role === Role.PRINCIPAL) {
+      if (!user.institutionId) {
+        throw new ForbiddenException('Principal is not linked to an institution');
+      }
+      if (audience.targetRoles.some((role) => !PRINCIPAL_TARGET_ROLES.includes(role))) {
+        throw new BadRequestException('Principals can only address faculty and students');
+      }
+      if (audience.institutionIds.some((institutionId) => institutionId !== user.institutionId)) {
+        throw new ForbiddenException('Principals can only address their own institution');
+      }
+      audience.targetRoles = audience.targetRoles.length ? audience.targetRoles : PRINCIPAL_TARGET_ROLES;
+      audience.institutionIds = [user.institutionId];
+    }
+
+    const [institutions, branches, batches] = await Promise.all([
+      audience.institutionIds.length
+        ? this.prisma.institution.count({ where: { id: { in: audience.institutionIds } } })
+        : 0,
+      audience.branchIds.length ? this.prisma.branch.count({ where: { id: { in: audience.branchIds } } }) : 0,
+      audience.batchIds.length ? this.prisma.batch.count({ where: { id: { in: audience.batchIds } } }) : 0,
+    ]);
+
+    if (institutions !== audience.institutionIds.length) {
+      throw new BadRequestException('One or more institutions were not found');
+    }
+    if (branches !== audience.branchIds.length) {
+      throw new BadRequestException('One or more branches were not found');
+    }
+    if (batches !== audience.batchIds.length) {
+      throw new BadRequestException('One or more batches were not found');
+    }
+
+    return audience;
   }
 
-  async getNotices(institutionId?: string) {
-    return [];
+  /**
+   * Publish, expiry and acknowledgement dates, merged over the stored notice on update.
+   * Passing null clears an optional date.
+   */
+  private resolveSchedule(data: UpdateNoticeDto, existing?: Notice) {
+    const toDate = (value: string | null | undefined, current: Date | null) =>
+      value === undefined ? current : value ? new Date(value) : null;
+
+    const isPublished = data.isPublished ?? existing?.isPublished ?? false;
+    const publishAt = toDate(data.publishAt, existing?.publishAt ?? null) || new Date();
+    const expiresAt = toDate(data.expiresAt, existing?.expiresAt ?? null);
+    const requiresAcknowledgement = data.requiresAcknowledgement ?? existing?.requiresAcknowledgement ?? false;
+    const acknowledgementDueAt = requiresAcknowledgement
+      ? toDate(data.acknowledgementDueAt, existing?.acknowledgementDueAt ?? null)
+      : null;
+
+    if (expiresAt && expiresAt.getTime() <= publishAt.getTime()) {
+      throw new BadRequestException('Expiry date must be after the publish date');
+    }
+    if (acknowledgementDueAt && acknowledgementDueAt.getTime() <= publishAt.getTime()) {
+      throw new BadRequestException('Acknowledgement due date must be after the publish date');
+    }
+
+    return { isPublished, publishAt, expiresAt, requiresAcknowledgement, acknowledgementDueAt };
   }
 
-  async updateNotice(id: string, data: UpdateNoticeDto) {
-    throw new NotFoundException('Notice feature has been removed');
+  private liveWhere(now: Date): Prisma.NoticeWhereInput {
+    return {
+      isDeleted: false,
+      isPublished: true,
+      publishAt: { lte: now },
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+    };
   }
 
-  async deleteNotice(id: string) {
-    throw new NotFoundException('Notice feature has been removed');
+  private visibilityWhere(visibility: NonNullable<NoticeQueryDto['visibility']>, now: Date): Prisma.NoticeWhereInput {
+    switch (visibility) {
+      case 'DRAFT':
+        return { isPublished: false };
+      case 'SCHEDULED':
+        return { isPublished: true, publishAt: { gt: now } };
+      case 'EXPIRED':
+        return { isPublished: true, expiresAt: { lte: now } };
+      default:
+        return this.liveWhere(now);
+    }
+  }
+
+  private async getAudienceMember(userId: string): Promise<NoticeAudienceMember> {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true, institutionId: true, branchId: true, Student: { select: { batchId: true } } },
+    });
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+
+    return {
+      role: user.role,
+      institutionId: user.institutionId,
+      branchId: user.branchId,
+      batchId: user.Student?.batchId ?? null,
+    };
+  }
+
+  /**
+   * Notice filters equivalent to matchesNoticeAudience for one user
+   */
+  private memberFilters(member: NoticeAudienceMember): Prisma.NoticeWhereInput[] {
+    const listFilter = (
+      field: 'institutionIds' | 'branchIds' | 'batchIds',
+      value?: string | null,
+    ): Prisma.NoticeWhereInput => ({
+      OR: [{ [field]: { isEmpty: true } }, ...(value ? [{ [field]: { has: value } }] : [])],
+    });
+
+    return [
+      { OR: [{ targetRoles: { isEmpty: true } }, { targetRoles: { has: member.role as Role } }] },
+      listFilter('institutionIds', member.institutionId),
+      listFilter('branchIds', member.branchId),
+      listFilter('batchIds', member.role === Role.STUDENT ? member.batchId : null),
+    ];
+  }
+
+  /**
+   * Active users in a notice's audience, equivalent to matchesNoticeAudience
+   */
+  private buildAudienceWhere(audience: NoticeAudience): Prisma.UserWhereInput {
+    return {
+      active: true,
+      ...(audience.targetRoles.length > 0 && { role: { in: audience.targetRoles as Role[] } }),
+      ...(audience.institutionIds.length > 0 && { institutionId: { in: audience.institutionIds } }),
+      ...(audience.branchIds.length > 0 && { branchId: { in: audience.branchIds } }),
+      ...(audience.batchIds.length > 0 && {
+        AND: [{ role: Role.STUDENT }, { Student: { batchId: { in: audience.batchIds } } }],
+      }),
+    };
+  }
+
+  private pendingWhere(
+    notice: Notice,
+    status?: NoticeRecipientQueryDto['status'],
+    institutionId?: string,
+  ): Prisma.UserWhereInput {
+    const pendingStatus = status ?? (notice.requiresAcknowledgement ? 'UNACKNOWLEDGED' : 'UNREAD');
+    return {
+      AND: [
+        this.buildAudienceWhere(notice),
+        ...(institutionId ? [{ institutionId }] : []),
+        pendingStatus === 'UNREAD'
+          ? { noticeAcknowledgements: { none: { noticeId: notice.id } } }
+          : { noticeAcknowledgements: { none: { noticeId: notice.id, acknowledgedAt: { not: null } } } },
+      ],
+    };
+  }
+
+  private async notifyIfLive(notice: Notice) {
+    if (!notice.notifiedAt && getNoticeVisibility(notice) === 'ACTIVE') {
+      await this.notifyAudience(notice);
+    }
+  }
+
+  /**
+   * Notify every audience member once; later edits do not notify again
+   */
+  private async notifyAudience(notice: Notice) {
+    try {
+      // Claim the notice first so a concurrent scheduler run does not notify twice
+      const claimed = await this.prisma.notice.updateMany({
+        where: { id: notice.id, notifiedAt: null },
+        data: { notifiedAt: new Date() },
+      });
+      if (claimed.count === 0) return;
+
+      const recipients = await this.prisma.user.findMany({
+        where: { ...this.buildAudienceWhere(notice), id: { not: notice.createdById } },
+        select: { id: true },
+      });
+      if (recipients.length === 0) return;
+
+      await this.sendNoticeNotification(
+        notice,
+        recipients.map((recipient) => recipient.id),
+        notice.title,
+        notice.createdById,
+      );
+    } catch (error) {
+      this.logger.error(`Failed to notify audience of notice ${notice.id}: ${error.message}`, error.stack);
+    }
+  }
+
+  private async sendNoticeNotification(notice: Notice, userIds: string[], title: string, initiatedBy: string) {
+    const body = notice.requiresAcknowledgement
+      ? 'A new circular needs your acknowledgement. Open Notices to read it.'
+      : 'A new circular has been published. Open Notices to read it.';
+    const options = {
+      userIds,
+      type: 'ANNOUNCEMENT' as const,
+      title,
+      body,
+      data: { noticeId: notice.id, priority: notice.priority, requiresAcknowledgement: notice.requiresAcknowledgement },
+    };
+
+    if (userIds.length > ASYNC_NOTIFY_THRESHOLD) {
+      await this.notificationSender.sendBulkAsync({ ...options, initiatedBy });
+    } else {
+      await this.notificationSender.sendBulk(options);
+    }
   }
 
-  async getActiveNotices() {
-    return [];
+  private toNoticeSummary<T extends Notice>(notice: T, now = new Date()) {
+    return {
+      ...notice,
+      visibility: getNoticeVisibility(notice, now),
+      audienceSummary: describeNoticeAudience(notice),
+    };
   }
 }
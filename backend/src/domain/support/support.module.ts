@@ -1,35 +1,61 @@
 import { Module } from '@nestjs/common';
 import { GrievanceService } from './grievance/grievance.service';
 import { GrievanceController } from './grievance/grievance.controller';
+import { GrievanceSlaScheduler } from './grievance/grievance-sla.scheduler';
+import { GrievanceCommitteeService } from './grievance/grievance-committee.service';
 import { NoticeService } from './notice/notice.service';
+import { NoticeController } from './notice/notice.controller';
+import { NoticePublishScheduler } from './notice/notice-publish.scheduler';
 import { CalendarService } from './calendar/calendar.service';
+import { CalendarController } from './calendar/calendar.controller';
+import { VisitRouteService } from './calendar/visit-route.service';
 import { NotificationModule } from '../../infrastructure/notification/notification.module';
 import { AuditModule } from '../../infrastructure/audit/audit.module';
+import { FileStorageModule } from '../../infrastructure/file-storage/file-storage.module';
+import { SystemAdminModule } from '../../api/system-admin/system-admin.module';
 // Help & Support
 import { SupportTicketService } from './help-support/support-ticket.service';
 import { SupportTicketController } from './help-support/support-ticket.controller';
+import { SupportTicketSlaScheduler } from './help-support/support-ticket-sla.scheduler';
+import { CannedResponseService } from './help-support/canned-response.service';
+import { CannedResponseController } from './help-support/canned-response.controller';
+import { SupportEmailIngestionService } from './help-support/support-email-ingestion.service';
+import { SupportInboundSmtpServer } from './help-support/support-inbound-smtp.server';
 import { FAQService } from './help-support/faq.service';
 import { FAQController } from './help-support/faq.controller';
 
 @Module({
-  imports: [NotificationModule, AuditModule],
+  imports: [NotificationModule, AuditModule, SystemAdminModule, FileStorageModule],
   controllers: [
     GrievanceController,
     SupportTicketController,
+    CannedResponseController,
     FAQController,
+    CalendarController,
+    NoticeController,
   ],
   providers: [
     GrievanceService,
+    GrievanceSlaScheduler,
+    GrievanceCommitteeService,
     NoticeService,
+    NoticePublishScheduler,
     CalendarService,
+    VisitRouteService,
     SupportTicketService,
+    SupportTicketSlaScheduler,
+    CannedResponseService,
+    SupportEmailIngestionService,
+    SupportInboundSmtpServer,
     FAQService,
   ],
   exports: [
     GrievanceService,
+    GrievanceCommitteeService,
     NoticeService,
     CalendarService,
     SupportTicketService,
+    CannedResponseService,
     FAQService,
   ],
 })
@@ -0,0 +1,2 @@
+export * from './verification.service';
+export * from './verification.module';
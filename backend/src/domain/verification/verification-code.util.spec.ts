@@ -0,0 +1,43 @@
+import {
+  generateVerificationCode,
+  parseVerificationCode,
+  VerificationCodeKind,
+} from './verification-code.util';
+
+const SECRET = 'test-secret';
+
+describe('verification codes', () => {
+  it('generates codes in the dashed format', () => {
+    const code = generateVerificationCode(VerificationCodeKind.CERTIFICATE, SECRET);
+    expect(code).toMatch(/^C-[2-9A-Z]{4}-[2-9A-Z]{4}-[2-9A-Z]{6}$/);
+  });
+
+  it('accepts its own codes regardless of case, spaces and dashes', () => {
+    const code = generateVerificationCode(VerificationCodeKind.JOINING_LETTER, SECRET);
+    const typed = code.toLowerCase().replace(/-/g, ' ');
+
+    expect(parseVerificationCode(typed, SECRET)).toEqual({
+      kind: VerificationCodeKind.JOINING_LETTER,
+      code,
+    });
+  });
+
+  it('rejects a code with a tampered body', () => {
+    const code = generateVerificationCode(VerificationCodeKind.CERTIFICATE, SECRET);
+    const replacement = code[2] === 'A' ? 'B' : 'A';
+    const tampered = `${code.slice(0, 2)}${replacement}${code.slice(3)}`;
+
+    expect(parseVerificationCode(tampered, SECRET)).toBeNull();
+  });
+
+  it('rejects codes signed with another secret', () => {
+    const code = generateVerificationCode(VerificationCodeKind.CERTIFICATE, 'other-secret');
+    expect(parseVerificationCode(code, SECRET)).toBeNull();
+  });
+
+  it('rejects malformed input', () => {
+    expect(parseVerificationCode('', SECRET)).toBeNull();
+    expect(parseVerificationCode('X-AAAA-BBBB-CCCCCC', SECRET)).toBeNull();
+    expect(parseVerificationCode('C-AAAA', SECRET)).toBeNull();
+  });
+});
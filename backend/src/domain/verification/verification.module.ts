@@ -0,0 +1,10 @@
+import { Module } from '@nestjs/common';
+import { VerificationService } from './verification.service';
+import { AuditModule } from '../../infrastructure/audit/audit.module';
+
+@Module({
+  imports: [AuditModule],
+  providers: [VerificationService],
+  exports: [VerificationService],
+})
+export class VerificationModule {}
@@ -0,0 +1,23 @@
+import { VerificationService } from './verification.service';
+import { generateVerificationCode, VerificationCodeKind } from './verification-code.util';
+
+const createService = (env: Record<string, string>) => {
+  const configService: any = { get: jest.fn((key: string, fallback?: string) => env[key] ?? fallback) };
+  const auditService: any = { log: jest.fn(async () => null) };
+  return new VerificationService({} as any, auditService, configService);
+};
+
+describe('VerificationService secret', () => {
+  it('refuses to start without a dedicated VERIFICATION_SECRET', () => {
+    expect(() => createService({ JWT_SECRET: 'jwt-secret' })).toThrow(
+      'VERIFICATION_SECRET must be configured to sign document verification codes.',
+    );
+  });
+
+  it('does not accept codes signed with the JWT secret', async () => {
+    const service = createService({ JWT_SECRET: 'jwt-secret', VERIFICATION_SECRET: 'verification-secret' });
+    const forged = generateVerificationCode(VerificationCodeKind.CERTIFICATE, 'jwt-secret');
+
+    await expect(service.verify(forged)).resolves.toMatchObject({ valid: false });
+  });
+});
@@ -0,0 +1,181 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import * as QRCode from 'qrcode';
+import { AuditAction, AuditCategory, AuditSeverity } from '../../generated/prisma/client';
+import { PrismaService } from '../../core/database/prisma.service';
+import { AuditService } from '../../infrastructure/audit/audit.service';
+import {
+  generateVerificationCode,
+  parseVerificationCode,
+  VerificationCodeKind,
+} from './verification-code.util';
+
+export type VerifiedDocumentType = 'INTERNSHIP_CERTIFICATE' | 'JOINING_LETTER';
+
+/**
+ * What the public verification page may show. Deliberately limited to facts an
+ * employer needs to confirm the document; no contact details, roll numbers or progress data.
+ */
+export interface VerificationResult {
+  valid: boolean;
+  code: string;
+  documentType?: VerifiedDocumentType;
+  status?: 'VALID' | 'REVOKED';
+  studentName?: string;
+  institutionName?: string;
+  companyName?: string;
+  startDate?: Date | null;
+  endDate?: Date | null;
+  issuedAt?: Date | null;
+  certificateNumber?: string;
+  message?: string;
+}
+
+export interface VerificationRequestContext {
+  ipAddress?: string;
+  userAgent?: string;
+}
+
+@Injectable()
+export class VerificationService {
+  private readonly logger = new Logger(VerificationService.name);
+  private readonly secret: string;
+  private readonly appUrl: string;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly auditService: AuditService,
+    private readonly configService: ConfigService,
+  ) {
+    const secret = this.configService.get<string>('VERIFICATION_SECRET');
+    if (!secret) {
+      // Codes outlive sessions, so they must not share a key with JWTs that get rotated
+      throw new Error('VERIFICATION_SECRET must be configured to sign document verification codes.');
+    }
+    this.secret = secret;
+    this.appUrl = this.configService.get('FRONTEND_URL') || this.configService.get('APP_URL', 'http://localhost:5173');
+  }
+
+  /**
+   * New signed code for an internship certificate
+   */
+  generateCertificateCode(): string {
+    return generateVerificationCode(VerificationCodeKind.CERTIFICATE, this.secret);
+  }
+
+  /**
+   * New signed code for an approved joining letter
+   */
+  generateJoiningLetterCode(): string {
+    return generateVerificationCode(VerificationCodeKind.JOINING_LETTER, this.secret);
+  }
+
+  /**
+   * Public page that confirms the document behind a code
+   */
+  getVerificationUrl(code: string): string {
+    return `${this.appUrl.replace(/\/$/, '')}/verify/${encodeURIComponent(code)}`;
+  }
+
+  /**
+   * PNG QR code pointing at the verification page, for embedding in generated documents
+   */
+  async getQrCode(code: string): Promise<Buffer> {
+    return QRCode.toBuffer(this.getVerificationUrl(code), { margin: 1, width: 240 });
+  }
+
+  /**
+   * Look up a verification code on behalf of a member of the public.
+   * Every lookup is written to the audit log, including failed ones.
+   */
+  async verify(input: string, context: VerificationRequestContext = {}): Promise<VerificationResult> {
+    const parsed = parseVerificationCode(input, this.secret);
+
+    let result: VerificationResult;
+    let entity: { type: string; id?: string; institutionId?: string | null } = { type: 'Verification' };
+
+    if (!parsed) {
+      result = { valid: false, code: (input || '').slice(0, 40), message: 'This is not a valid verification code' };
+    } else if (parsed.kind === VerificationCodeKind.CERTIFICATE) {
+      const certificate = await this.prisma.internshipCertificate.findUnique({
+        where: { verificationCode: parsed.code },
+      });
+      entity = { type: 'InternshipCertificate', id: certificate?.id, institutionId: certificate?.institutionId };
+
+      result = certificate
+        ? {
+            valid: !certificate.revokedAt,
+            code: parsed.code,
+            documentType: 'INTERNSHIP_CERTIFICATE',
+            status: certificate.revokedAt ? 'REVOKED' : 'VALID',
+            studentName: certificate.studentName,
+            institutionName: certificate.institutionName,
+            companyName: certificate.companyName,
+            startDate: certificate.startDate,
+            endDate: certificate.endDate,
+            issuedAt: certificate.issuedAt,
+            certificateNumber: certificate.certificateNumber,
+            ...(certificate.revokedAt && { message: 'This certificate has been revoked by the institution' }),
+          }
+        : { valid: false, code: parsed.code, message: 'No document was found for this code' };
+    } else {
+      const application = await this.prisma.internshipApplication.findUnique({
+        where: { joiningLetterVerificationCode: parsed.code },
+        select: {
+          id: true,
+          companyName: true,
+          startDate: true,
+          endDate: true,
+          reviewedAt: true,
+          company: { select: { name: true } },
+          student: {
+            select: {
+              institutionId: true,
+              user: { select: { name: true } },
+              Institution: { select: { name: true } },
+            },
+          },
+        },
+      });
+      entity = { type: 'InternshipApplication', id: application?.id, institutionId: application?.student.institutionId };
+
+      result = application
+        ? {
+            valid: true,
+            code: parsed.code,
+            documentType: 'JOINING_LETTER',
+            status: 'VALID',
+            studentName: application.student.user?.name,
+            institutionName: application.student.Institution?.name ?? undefined,
+            companyName: application.company?.name ?? application.companyName ?? undefined,
+            startDate: application.startDate,
+            endDate: application.endDate,
+            issuedAt: application.reviewedAt,
+          }
+        : { valid: false, code: parsed.code, message: 'No document was found for this code' };
+    }
+
+    this.auditService.log({
+      action: AuditAction.VERIFICATION_LOOKUP,
+      entityType: entity.type,
+      entityId: entity.id,
+      userName: 'Public verification',
+      category: AuditCategory.COMPLIANCE,
+      severity: result.valid ? AuditSeverity.LOW : AuditSeverity.MEDIUM,
+      institutionId: entity.institutionId ?? undefined,
+      description: `Verification lookup for ${result.documentType ?? 'unknown document'}: ${result.status ?? 'NOT_FOUND'}`,
+      newValues: {
+        code: result.code,
+        valid: result.valid,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+      },
+    }).catch(() => {});
+
+    if (!result.valid) {
+      this.logger.warn(`Failed verification lookup from ${context.ipAddress ?? 'unknown'}`);
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,157 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { AuditChainService } from './audit-chain.service';
+
+/**
+ * In-memory stand-in for the queries the chain service runs
+ */
+function createPrisma() {
+  const rows: any[] = [];
+  const state = { failures: 0, transactionOptions: [] as unknown[], statements: [] as string[] };
+
+  const auditLog = {
+    findFirst: async ({ where, orderBy }: any) => {
+      const chained = rows.filter((row) => row.sequence !== null && (!where?.timestamp || (row.timestamp >= where.timestamp.gte && row.timestamp <= where.timestamp.lte)));
+      chained.sort((a, b) => (orderBy.sequence === 'desc' ? b.sequence - a.sequence : a.sequence - b.sequence));
+      return chained[0] ?? null;
+    },
+    findUnique: async ({ where }: any) => rows.find((row) => row.sequence === where.sequence) ?? null,
+    findMany: async ({ where, take }: any) =>
+      rows
+        .filter((row) => row.sequence > where.sequence.gt && row.sequence <= where.sequence.lte)
+        .sort((a, b) => a.sequence - b.sequence)
+        .slice(0, take),
+    count: async () => 0,
+    create: async ({ data }: any) => {
+      const row = { ...JSON.parse(JSON.stringify(data)), id: `log-${rows.length + 1}`, timestamp: data.timestamp };
+      rows.push(row);
+      return row;
+    },
+  };
+  const auditArchiveSegment = {
+    findFirst: async () => null,
+    findMany: async () => [],
+  };
+
+  const prisma: any = {
+    auditLog,
+    auditArchiveSegment,
+    $transaction: async (operation: (tx: any) => Promise<unknown>, options: unknown) => {
+      state.transactionOptions.push(options);
+      if (state.failures > 0) {
+        state.failures--;
+        throw new Error('canceling statement due to lock timeout');
+      }
+      const tx = {
+        auditLog,
+        auditArchiveSegment,
+        $executeRaw: async (strings: TemplateStringsArray) => {
+          state.statements.push(strings.join('?'));
+          return 1;
+        },
+      };
+      return operation(tx);
+    },
+  };
+
+  return { prisma, rows, state };
+}
+
+const entry = (action: string) => ({
+  action: action as any,
+  entityType: 'User',
+  entityId: 'user-1',
+  userRole: 'STUDENT' as any,
+  changedFields: [],
+  category: 'SECURITY' as any,
+  severity: 'HIGH' as any,
+});
+
+describe('AuditChainService', () => {
+  let spoolDir: string;
+  const originalSpoolDir = process.env.AUDIT_SPOOL_DIR;
+
+  beforeEach(() => {
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-spool-'));
+    process.env.AUDIT_SPOOL_DIR = spoolDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+    process.env.AUDIT_SPOOL_DIR = originalSpoolDir;
+  });
+
+  it('links appends under a bounded lock and transaction', async () => {
+    const { prisma, rows, state } = createPrisma();
+    const service = new AuditChainService(prisma, null);
+
+    await service.append(entry('FAILED_LOGIN'));
+    await service.append(entry('USER_LOGIN'));
+
+    expect(rows.map((row) => row.sequence)).toEqual([1, 2]);
+    expect(rows[1].previousHash).toBe(rows[0].hash);
+    expect(state.transactionOptions[0]).toEqual({ maxWait: expect.any(Number), timeout: expect.any(Number) });
+    expect(state.statements[0]).toContain('lock_timeout');
+
+    const now = new Date();
+    const report = await service.verify(new Date(now.getTime() - 60_000), new Date(now.getTime() + 60_000));
+    expect(report).toMatchObject({ valid: true, checked: 2 });
+  });
+
+  it('retries appends that time out', async () => {
+    const { prisma, rows, state } = createPrisma();
+    state.failures = 2;
+
+    await new AuditChainService(prisma, null).append(entry('FAILED_LOGIN'));
+
+    expect(rows).toHaveLength(1);
+    expect(state.transactionOptions).toHaveLength(3);
+  });
+
+  it('throws after the last attempt so the caller can spool the entry', async () => {
+    const { prisma, rows, state } = createPrisma();
+    state.failures = 3;
+
+    await expect(new AuditChainService(prisma, null).append(entry('FAILED_LOGIN'))).rejects.toThrow('lock timeout');
+    expect(rows).toHaveLength(0);
+  });
+
+  it('replays spooled entries in order with their original time', async () => {
+    const { prisma, rows, state } = createPrisma();
+    const service = new AuditChainService(prisma, null);
+    const spooledAt = new Date('2026-03-01T08:00:00.000Z');
+
+    await service.spool({ ...entry('FAILED_LOGIN'), timestamp: spooledAt }, { ipAddress: '10.0.0.7' });
+    await service.spool(entry('UNAUTHORIZED_ACCESS'));
+
+    // Database still down: nothing is lost
+    state.failures = 3;
+    await expect(service.replaySpool()).resolves.toEqual([]);
+    expect(fs.readFileSync(path.join(spoolDir, 'pending.jsonl'), 'utf8').trim().split('\n')).toHaveLength(2);
+
+    const appended = await service.replaySpool();
+
+    expect(appended.map(({ entry: row, context }) => [row.action, context.ipAddress ?? null])).toEqual([
+      ['FAILED_LOGIN', '10.0.0.7'],
+      ['UNAUTHORIZED_ACCESS', null],
+    ]);
+    expect(rows[0].timestamp).toEqual(spooledAt);
+    expect(rows[1].previousHash).toBe(rows[0].hash);
+    expect(fs.readFileSync(path.join(spoolDir, 'pending.jsonl'), 'utf8')).toBe('');
+  });
+
+  it('reports entries changed after they were written', async () => {
+    const { prisma, rows } = createPrisma();
+    const service = new AuditChainService(prisma, null);
+    await service.append(entry('FAILED_LOGIN'));
+    await service.append(entry('USER_LOGIN'));
+
+    rows[0].entityId = 'user-2';
+
+    const now = new Date();
+    const report = await service.verify(new Date(now.getTime() - 60_000), new Date(now.getTime() + 60_000));
+    expect(report.valid).toBe(false);
+    expect(report.issues).toEqual([expect.objectContaining({ type: 'MODIFIED', sequence: 1 })]);
+  });
+});
@@ -0,0 +1,512 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { gunzipSync, gzipSync } from 'zlib';
+import * as fs from 'fs';
+import * as path from 'path';
+import { PrismaService } from '../../core/database/prisma.service';
+import { FileStorageService } from '../file-storage/file-storage.service';
+import { AuditLog, Prisma } from '../../generated/prisma/client';
+import {
+  AUDIT_CHAIN_GENESIS_HASH,
+  AuditChainEntry,
+  AuditChainIssue,
+  AuditChainLink,
+  computeAuditEntryHash,
+  hashAuditSegmentContent,
+  signAuditSegment,
+  verifyAuditChain,
+  verifyAuditSegmentSignature,
+} from './audit-chain.util';
+
+/**
+ * Audit Chain Configuration
+ */
+const AUDIT_CHAIN_CONFIG = {
+  // Postgres advisory lock serialising chain appends across instances
+  lockId: 7_301_001,
+  // Entries read per query during verification
+  verifyBatchSize: 1000,
+  // Issues returned by a verification (the total is always reported)
+  maxReportedIssues: 100,
+  // Storage folder for archived segments
+  archiveFolder: 'audit-archive',
+  // Longest wait for the chain lock before an append attempt gives up
+  lockTimeoutMs: 3000,
+  // Interactive transaction limits for an append (wait for a connection / total time)
+  appendMaxWaitMs: 5000,
+  appendTimeoutMs: 10000,
+  // Attempts per append, and the pause before the next attempt (multiplied by the attempt)
+  appendAttempts: 3,
+  appendRetryDelayMs: 200,
+  // Entries replayed from the spool per run
+  spoolReplayBatchSize: 500,
+};
+
+export type AuditEntryData = Omit<
+  Prisma.AuditLogUncheckedCreateInput,
+  'sequence' | 'previousHash' | 'hash' | 'timestamp'
+> & {
+  /** Time of the event; set when the entry is appended unless it was spooled first */
+  timestamp?: Date;
+};
+
+/**
+ * Entry waiting in the spool, with the request context needed to forward it later
+ */
+export interface SpooledAuditEntry {
+  data: AuditEntryData;
+  context: { ipAddress?: string | null; userAgent?: string | null };
+}
+
+export interface AuditArchiveFile {
+  manifest: {
+    version: number;
+    entryCount: number;
+    firstSequence: number | null;
+    lastSequence: number | null;
+    firstPreviousHash: string | null;
+    lastHash: string | null;
+    fromTimestamp: string;
+    toTimestamp: string;
+    contentHash: string;
+    createdAt: string;
+  };
+  signature: string;
+  entries: Record<string, any>[];
+}
+
+export interface AuditChainReport {
+  from: Date;
+  to: Date;
+  valid: boolean;
+  keyed: boolean;
+  checked: number;
+  firstSequence: number | null;
+  lastSequence: number | null;
+  archivedSegments: number;
+  issueCount: number;
+  issues: AuditChainIssue[];
+}
+
+/**
+ * Audit Chain Service
+ * Tamper-evident hash chain over audit entries:
+ * - append(): assigns the next sequence and links the entry to the previous hash
+ * - spool() / replaySpool(): entries that could not be appended wait in a local file
+ *   (AUDIT_SPOOL_DIR, one per instance) until the database accepts them
+ * - verify(): detects gaps, modifications and unchained entries over a date range,
+ *   including segments already archived by retention
+ * - buildSegment() / readSegment(): signed archive files for retention
+ *
+ * AUDIT_CHAIN_KEY keys the hashes and segment signatures; keep it outside the database.
+ */
+@Injectable()
+export class AuditChainService {
+  private readonly logger = new Logger(AuditChainService.name);
+  private readonly key: string | undefined;
+  private readonly spoolFile: string;
+  // Serialises spool file writes and rewrites within this process
+  private spoolQueue: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    private prisma: PrismaService,
+    private fileStorage: FileStorageService,
+  ) {
+    this.key = process.env.AUDIT_CHAIN_KEY || undefined;
+    if (!this.key) {
+      this.logger.warn('AUDIT_CHAIN_KEY not set. Audit chain uses unkeyed SHA-256 hashes.');
+    }
+
+    const spoolDir = process.env.AUDIT_SPOOL_DIR || path.join(process.cwd(), 'storage', 'audit-spool');
+    this.spoolFile = path.join(spoolDir, 'pending.jsonl');
+  }
+
+  /**
+   * Append an entry to the chain. Appends are serialised with an advisory lock held only
+   * for the head read and the insert; attempts that time out (lock, connection pool or
+   * transaction) are retried, and the last error is thrown so the caller can spool().
+   */
+  async append(data: AuditEntryData): Promise<AuditLog> {
+    let lastError: Error;
+
+    for (let attempt = 1; attempt <= AUDIT_CHAIN_CONFIG.appendAttempts; attempt++) {
+      try {
+        return await this.appendOnce(data);
+      } catch (error) {
+        lastError = error;
+        if (attempt < AUDIT_CHAIN_CONFIG.appendAttempts) {
+          await new Promise((resolve) => setTimeout(resolve, AUDIT_CHAIN_CONFIG.appendRetryDelayMs * attempt));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  private appendOnce(data: AuditEntryData): Promise<AuditLog> {
+    return this.prisma.$transaction(
+      async (tx) => {
+        await this.lockChain(tx, AUDIT_CHAIN_CONFIG.lockTimeoutMs);
+
+        const head = await this.getHead(tx);
+        const sequence = head.sequence + 1;
+        const timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
+        const hash = computeAuditEntryHash({ ...data, timestamp } as any, sequence, head.hash, this.key);
+
+        return tx.auditLog.create({
+          data: { ...data, timestamp, sequence, previousHash: head.hash, hash },
+        });
+      },
+      { maxWait: AUDIT_CHAIN_CONFIG.appendMaxWaitMs, timeout: AUDIT_CHAIN_CONFIG.appendTimeoutMs },
+    );
+  }
+
+  /**
+   * Take the chain lock for the current transaction, giving up after timeoutMs if set
+   */
+  async lockChain(tx: Prisma.TransactionClient, timeoutMs?: number): Promise<void> {
+    if (timeoutMs) {
+      await tx.$executeRaw`SELECT set_config('lock_timeout', ${`${timeoutMs}ms`}, true)`;
+    }
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_CONFIG.lockId}::bigint)`;
+  }
+
+  /**
+   * Last link of the chain: newest chained entry, or the end of the newest archived
+   * segment once retention has archived every chained entry
+   */
+  private async getHead(tx: Prisma.TransactionClient): Promise<AuditChainLink> {
+    const latest = await tx.auditLog.findFirst({
+      where: { sequence: { not: null } },
+      orderBy: { sequence: 'desc' },
+      select: { sequence: true, hash: true },
+    });
+    if (latest) {
+      return { sequence: latest.sequence, hash: latest.hash };
+    }
+
+    const archived = await tx.auditArchiveSegment.findFirst({
+      where: { lastSequence: { not: null } },
+      orderBy: { lastSequence: 'desc' },
+      select: { lastSequence: true, lastHash: true },
+    });
+    if (archived) {
+      return { sequence: archived.lastSequence, hash: archived.lastHash };
+    }
+    return { sequence: 0, hash: AUDIT_CHAIN_GENESIS_HASH };
+  }
+
+  /**
+   * Keep an entry that could not be appended in the local spool (AUDIT_SPOOL_DIR) so
+   * that replaySpool() can chain it later with its original timestamp
+   */
+  async spool(data: AuditEntryData, context: SpooledAuditEntry['context'] = {}): Promise<void> {
+    const entry: SpooledAuditEntry = { data: { ...data, timestamp: data.timestamp || new Date() }, context };
+    const line = `${JSON.stringify(entry)}\n`;
+
+    try {
+      await this.withSpool(async () => {
+        await fs.promises.mkdir(path.dirname(this.spoolFile), { recursive: true });
+        await fs.promises.appendFile(this.spoolFile, line, 'utf8');
+      });
+      this.logger.warn(`Audit entry ${data.action} spooled to ${this.spoolFile}`);
+    } catch (error) {
+      // Last resort: the entry is only in the application log
+      this.logger.error(`Failed to spool audit entry: ${line.trim()}`, error.stack);
+    }
+  }
+
+  /**
+   * Append spooled entries in order; stops at the first entry that still fails.
+   * Returns the entries appended with their spooled context.
+   */
+  async replaySpool(): Promise<{ entry: AuditLog; context: SpooledAuditEntry['context'] }[]> {
+    const lines = await this.readSpoolLines();
+    const appended: { entry: AuditLog; context: SpooledAuditEntry['context'] }[] = [];
+    let processed = 0;
+
+    for (const line of lines.slice(0, AUDIT_CHAIN_CONFIG.spoolReplayBatchSize)) {
+      let item: SpooledAuditEntry;
+      try {
+        item = JSON.parse(line);
+      } catch {
+        this.logger.error(`Dropping unreadable spooled audit entry: ${line}`);
+        processed++;
+        continue;
+      }
+
+      try {
+        const data = { ...item.data, timestamp: new Date(item.data.timestamp) };
+        appended.push({ entry: await this.append(data), context: item.context });
+        processed++;
+      } catch (error) {
+        this.logger.warn(`Audit spool replay paused: ${error.message}`);
+        break;
+      }
+    }
+
+    if (processed > 0) {
+      // Drop the processed lines; entries spooled meanwhile stay after the rest
+      await this.withSpool(async () => {
+        const remaining = (await this.readSpoolLines()).slice(processed);
+        const temp = `${this.spoolFile}.tmp`;
+        await fs.promises.writeFile(temp, remaining.map((line) => `${line}\n`).join(''), 'utf8');
+        await fs.promises.rename(temp, this.spoolFile);
+      });
+      this.logger.log(`Replayed ${appended.length} spooled audit entries (${lines.length - processed} left)`);
+    }
+
+    return appended;
+  }
+
+  private async readSpoolLines(): Promise<string[]> {
+    try {
+      return (await fs.promises.readFile(this.spoolFile, 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  private withSpool<T>(operation: () => Promise<T>): Promise<T> {
+    const run = this.spoolQueue.then(operation, operation);
+    this.spoolQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Verify the chain for entries written between from and to
+   */
+  async verify(from: Date, to: Date): Promise<AuditChainReport> {
+    try {
+      const issues: AuditChainIssue[] = [];
+      let checked = 0;
+
+      const [firstLive, lastLive, segments] = await Promise.all([
+        this.prisma.auditLog.findFirst({
+          where: { sequence: { not: null }, timestamp: { gte: from, lte: to } },
+          orderBy: { sequence: 'asc' },
+          select: { sequence: true },
+        }),
+        this.prisma.auditLog.findFirst({
+          where: { sequence: { not: null }, timestamp: { gte: from, lte: to } },
+          orderBy: { sequence: 'desc' },
+          select: { sequence: true },
+        }),
+        this.prisma.auditArchiveSegment.findMany({
+          where: { lastSequence: { not: null }, fromTimestamp: { lte: to }, toTimestamp: { gte: from } },
+          orderBy: { firstSequence: 'asc' },
+        }),
+      ]);
+
+      const candidatesStart = [segments[0]?.firstSequence, firstLive?.sequence].filter((value) => value != null);
+      const candidatesEnd = [segments[segments.length - 1]?.lastSequence, lastLive?.sequence].filter((value) => value != null);
+      const firstSequence = candidatesStart.length ? Math.min(...candidatesStart) : null;
+      const lastSequence = candidatesEnd.length ? Math.max(...candidatesEnd) : null;
+
+      let last: AuditChainLink | null = null;
+      if (firstSequence !== null) {
+        last = await this.findLink(firstSequence - 1);
+        if (!last) {
+          issues.push({
+            type: 'GAP',
+            sequence: firstSequence - 1,
+            message: `Entry ${firstSequence - 1} before the range is missing`,
+          });
+        }
+      }
+
+      // Archived part of the range
+      for (const segment of segments) {
+        let file: AuditArchiveFile;
+        try {
+          file = await this.readSegment(segment.storageKey);
+        } catch (error) {
+          issues.push({
+            type: 'ARCHIVE_TAMPERED',
+            sequence: segment.firstSequence,
+            message: `Archived segment ${segment.storageKey} could not be read: ${error.message}`,
+          });
+          last = { sequence: segment.lastSequence, hash: segment.lastHash };
+          continue;
+        }
+
+        if (!this.isSegmentIntact(file, segment)) {
+          issues.push({
+            type: 'ARCHIVE_TAMPERED',
+            sequence: segment.firstSequence,
+            message: `Archived segment ${segment.storageKey} does not match its signature`,
+          });
+        }
+
+        const result = verifyAuditChain(file.entries as AuditChainEntry[], last, this.key);
+        issues.push(...result.issues);
+        checked += result.checked;
+        last = result.last;
+      }
+
+      // Entries still in the database
+      if (lastLive) {
+        let cursor = last ? last.sequence : firstSequence - 1;
+        for (;;) {
+          const entries = await this.prisma.auditLog.findMany({
+            where: { sequence: { gt: cursor, lte: lastSequence } },
+            orderBy: { sequence: 'asc' },
+            take: AUDIT_CHAIN_CONFIG.verifyBatchSize,
+          });
+          if (entries.length === 0) break;
+
+          const result = verifyAuditChain(entries as unknown as AuditChainEntry[], last, this.key);
+          issues.push(...result.issues);
+          checked += result.checked;
+          last = result.last;
+          cursor = entries[entries.length - 1].sequence;
+        }
+      }
+
+      // Entries written around the chain after it started
+      const chainStart = await this.getChainStart();
+      if (chainStart) {
+        const unchained = await this.prisma.auditLog.count({
+          where: {
+            sequence: null,
+            timestamp: { gte: chainStart > from ? chainStart : from, lte: to },
+          },
+        });
+        if (unchained > 0) {
+          issues.push({ type: 'UNCHAINED', message: `${unchained} entries in the range are not part of the chain` });
+        }
+      }
+
+      return {
+        from,
+        to,
+        valid: issues.length === 0,
+        keyed: !!this.key,
+        checked,
+        firstSequence,
+        lastSequence,
+        archivedSegments: segments.length,
+        issueCount: issues.length,
+        issues: issues.slice(0, AUDIT_CHAIN_CONFIG.maxReportedIssues),
+      };
+    } catch (error) {
+      this.logger.error('Failed to verify audit chain', error.stack);
+      throw error;
+    }
+  }
+
+  /**
+   * Link of a given sequence, from the database or the segment archived with it
+   */
+  private async findLink(sequence: number): Promise<AuditChainLink | null> {
+    if (sequence === 0) {
+      return { sequence: 0, hash: AUDIT_CHAIN_GENESIS_HASH };
+    }
+
+    const entry = await this.prisma.auditLog.findUnique({
+      where: { sequence },
+      select: { sequence: true, hash: true },
+    });
+    if (entry) {
+      return { sequence: entry.sequence, hash: entry.hash };
+    }
+
+    const segment = await this.prisma.auditArchiveSegment.findFirst({
+      where: { lastSequence: sequence },
+      select: { lastSequence: true, lastHash: true },
+    });
+    return segment ? { sequence: segment.lastSequence, hash: segment.lastHash } : null;
+  }
+
+  /**
+   * Time of the first chained entry (live or archived)
+   */
+  private async getChainStart(): Promise<Date | null> {
+    const [live, archived] = await Promise.all([
+      this.prisma.auditLog.findFirst({
+        where: { sequence: { not: null } },
+        orderBy: { sequence: 'asc' },
+        select: { timestamp: true },
+      }),
+      this.prisma.auditArchiveSegment.findFirst({
+        where: { firstSequence: { not: null } },
+        orderBy: { firstSequence: 'asc' },
+        select: { fromTimestamp: true },
+      }),
+    ]);
+
+    return archived?.fromTimestamp || live?.timestamp || null;
+  }
+
+  /**
+   * Build a signed, gzipped archive file for entries (ordered by sequence, or by time
+   * for entries written before chaining)
+   */
+  buildSegment(entries: AuditLog[]): { file: AuditArchiveFile; buffer: Buffer } {
+    const serialized = JSON.parse(JSON.stringify(entries)) as Record<string, any>[];
+    const chained = entries.filter((entry) => entry.sequence !== null);
+    const timestamps = entries.map((entry) => entry.timestamp.getTime());
+
+    const manifest: AuditArchiveFile['manifest'] = {
+      version: 1,
+      entryCount: entries.length,
+      firstSequence: chained[0]?.sequence ?? null,
+      lastSequence: chained[chained.length - 1]?.sequence ?? null,
+      firstPreviousHash: chained[0]?.previousHash ?? null,
+      lastHash: chained[chained.length - 1]?.hash ?? null,
+      fromTimestamp: new Date(Math.min(...timestamps)).toISOString(),
+      toTimestamp: new Date(Math.max(...timestamps)).toISOString(),
+      contentHash: hashAuditSegmentContent(serialized),
+      createdAt: new Date().toISOString(),
+    };
+
+    const file: AuditArchiveFile = {
+      manifest,
+      signature: signAuditSegment(manifest, this.key),
+      entries: serialized,
+    };
+
+    return { file, buffer: gzipSync(Buffer.from(JSON.stringify(file))) };
+  }
+
+  /**
+   * Store a segment file and return its storage key
+   */
+  async storeSegment(file: AuditArchiveFile, buffer: Buffer): Promise<string> {
+    const { manifest } = file;
+    const range =
+      manifest.firstSequence !== null
+        ? `${manifest.firstSequence}-${manifest.lastSequence}`
+        : `unchained-${manifest.fromTimestamp.replace(/[:.]/g, '')}`;
+
+    const result = await this.fileStorage.uploadBuffer(buffer, `${range}.json.gz`, {
+      folder: AUDIT_CHAIN_CONFIG.archiveFolder,
+      subfolder: manifest.fromTimestamp.slice(0, 4),
+      filename: `audit-${range}.json.gz`,
+      contentType: 'application/gzip',
+    });
+    return result.key;
+  }
+
+  async readSegment(storageKey: string): Promise<AuditArchiveFile> {
+    const buffer = await this.fileStorage.getFile(storageKey);
+    return JSON.parse(gunzipSync(buffer).toString('utf8'));
+  }
+
+  /**
+   * Signature, content hash and the database record of a segment agree
+   */
+  private isSegmentIntact(
+    file: AuditArchiveFile,
+    segment: { contentHash: string; signature: string; entryCount: number; lastHash: string | null },
+  ): boolean {
+    return (
+      verifyAuditSegmentSignature(file.manifest, file.signature, this.key) &&
+      file.signature === segment.signature &&
+      file.manifest.contentHash === segment.contentHash &&
+      file.manifest.lastHash === segment.lastHash &&
+      file.entries.length === segment.entryCount &&
+      hashAuditSegmentContent(file.entries) === file.manifest.contentHash
+    );
+  }
+}
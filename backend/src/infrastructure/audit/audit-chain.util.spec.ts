@@ -0,0 +1,106 @@
+import {
+  AUDIT_CHAIN_GENESIS_HASH,
+  AuditChainEntry,
+  canonicalJson,
+  computeAuditEntryHash,
+  verifyAuditChain,
+  hashAuditSegmentContent,
+  signAuditSegment,
+  verifyAuditSegmentSignature,
+} from './audit-chain.util';
+
+const KEY = 'test-chain-key';
+
+const buildChain = (count: number): AuditChainEntry[] => {
+  const entries: AuditChainEntry[] = [];
+  let previousHash = AUDIT_CHAIN_GENESIS_HASH;
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const content = {
+      timestamp: new Date(Date.UTC(2026, 0, 1, 10, sequence)),
+      action: 'USER_LOGIN',
+      entityType: 'User',
+      entityId: `user-${sequence}`,
+      userRole: 'STUDENT',
+      userName: 'Asha',
+      description: null,
+      newValues: { at: new Date(Date.UTC(2026, 0, 1)), b: 1, a: [1, 2] },
+      changedFields: [],
+      category: 'AUTHENTICATION',
+      severity: 'LOW',
+    };
+    const hash = computeAuditEntryHash(content, sequence, previousHash, KEY);
+    entries.push({ ...content, id: `log-${sequence}`, sequence, previousHash, hash });
+    previousHash = hash;
+  }
+  return entries;
+};
+
+// Entries as they read back from the database (Json columns hold plain JSON)
+const readBack = (entries: AuditChainEntry[]): AuditChainEntry[] => JSON.parse(JSON.stringify(entries));
+
+describe('canonicalJson', () => {
+  it('does not depend on key order and drops undefined keys', () => {
+    expect(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: undefined } })).toBe(
+      canonicalJson({ a: { d: [1, { e: 3, f: 2 }] }, b: 1 }),
+    );
+    expect(canonicalJson(new Date('2026-01-01T00:00:00.000Z'))).toBe('"2026-01-01T00:00:00.000Z"');
+  });
+});
+
+describe('verifyAuditChain', () => {
+  it('accepts an intact chain read back from storage', () => {
+    const result = verifyAuditChain(readBack(buildChain(5)), { sequence: 0, hash: AUDIT_CHAIN_GENESIS_HASH }, KEY);
+    expect(result.issues).toEqual([]);
+    expect(result.checked).toBe(5);
+    expect(result.last.sequence).toBe(5);
+  });
+
+  it('continues across batches', () => {
+    const chain = buildChain(4);
+    const first = verifyAuditChain(chain.slice(0, 2), null, KEY);
+    expect(verifyAuditChain(chain.slice(2), first.last, KEY).issues).toEqual([]);
+  });
+
+  it('detects modified entries', () => {
+    const chain = buildChain(3);
+    chain[1] = { ...chain[1], description: 'edited' };
+    expect(verifyAuditChain(chain, null, KEY).issues).toEqual([
+      expect.objectContaining({ type: 'MODIFIED', sequence: 2, entryId: 'log-2' }),
+    ]);
+  });
+
+  it('detects deleted entries as gaps', () => {
+    const chain = buildChain(6);
+    const issues = verifyAuditChain([chain[0], chain[3], chain[5]], null, KEY).issues;
+    expect(issues.map((issue) => [issue.type, issue.message])).toEqual([
+      ['GAP', 'Entries 2 to 3 are missing'],
+      ['GAP', 'Entry 5 is missing'],
+    ]);
+  });
+
+  it('detects an entry re-hashed without the key or re-linked', () => {
+    const chain = buildChain(3);
+    const forged = { ...chain[1], previousHash: 'f'.repeat(64) };
+    forged.hash = computeAuditEntryHash(forged, forged.sequence, forged.previousHash, KEY);
+    expect(verifyAuditChain([chain[0], forged], null, KEY).issues).toEqual([
+      expect.objectContaining({ type: 'BROKEN_LINK', sequence: 2 }),
+    ]);
+
+    const unkeyed = { ...chain[1], description: 'edited' };
+    unkeyed.hash = computeAuditEntryHash(unkeyed, unkeyed.sequence, unkeyed.previousHash);
+    expect(verifyAuditChain([chain[0], unkeyed], null, KEY).issues.map((issue) => issue.type)).toEqual(['MODIFIED']);
+  });
+});
+
+describe('archived segments', () => {
+  it('signs the manifest and rejects altered segments', () => {
+    const entries = readBack(buildChain(2));
+    const manifest = { entryCount: 2, lastHash: entries[1].hash, contentHash: hashAuditSegmentContent(entries) };
+    const signature = signAuditSegment(manifest, KEY);
+
+    expect(verifyAuditSegmentSignature(manifest, signature, KEY)).toBe(true);
+    expect(verifyAuditSegmentSignature({ ...manifest, entryCount: 1 }, signature, KEY)).toBe(false);
+    expect(verifyAuditSegmentSignature(manifest, 'abc', KEY)).toBe(false);
+    expect(hashAuditSegmentContent([{ ...entries[0], userName: 'X' }, entries[1]])).not.toBe(manifest.contentHash);
+  });
+});
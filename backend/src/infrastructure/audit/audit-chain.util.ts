@@ -0,0 +1,195 @@
+/**
+ * Audit Chain Utility
+ *
+ * Every audit entry stores a hash over its own content and the hash of the entry
+ * before it (sequence n-1), so that editing, deleting or inserting rows breaks the chain:
+ *
+ *   hash(n) = HMAC-SHA256(key, canonical({ sequence, previousHash: hash(n-1), ...entry }))
+ *
+ * - Without a key plain SHA-256 is used (detects accidental edits only, anyone can recompute it)
+ * - The first entry links to AUDIT_CHAIN_GENESIS_HASH
+ * - Foreign keys (userId, institutionId) are not hashed: deleting a user or institution
+ *   nulls them on old entries. The cached userName / userRole are hashed instead.
+ *
+ * Archived segments are signed over the hash of their entries (signAuditSegment).
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const AUDIT_CHAIN_GENESIS_HASH = '0'.repeat(64);
+
+export interface AuditChainContent {
+  timestamp: Date | string;
+  action: string;
+  entityType: string;
+  entityId?: string | null;
+  userRole: string;
+  userName?: string | null;
+  description?: string | null;
+  oldValues?: unknown;
+  newValues?: unknown;
+  changedFields?: string[];
+  category: string;
+  severity: string;
+}
+
+export interface AuditChainEntry extends AuditChainContent {
+  id: string;
+  sequence: number;
+  previousHash: string;
+  hash: string;
+}
+
+/**
+ * GAP: entries deleted; MODIFIED: content changed; BROKEN_LINK: entry re-chained or inserted;
+ * UNCHAINED: entries written around the chain; ARCHIVE_TAMPERED: archived segment altered
+ */
+export type AuditChainIssueType = 'GAP' | 'MODIFIED' | 'BROKEN_LINK' | 'UNCHAINED' | 'ARCHIVE_TAMPERED';
+
+export interface AuditChainIssue {
+  type: AuditChainIssueType;
+  sequence?: number;
+  entryId?: string;
+  message: string;
+}
+
+export interface AuditChainLink {
+  sequence: number;
+  hash: string;
+}
+
+export interface AuditChainVerification {
+  checked: number;
+  issues: AuditChainIssue[];
+  /** Last entry seen, to continue verification with the next batch */
+  last: AuditChainLink | null;
+}
+
+/**
+ * JSON with sorted object keys so that the hash does not depend on key order
+ * (jsonb columns do not preserve it)
+ */
+export function canonicalJson(value: unknown): string {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .filter((key) => (value as Record<string, unknown>)[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Value as it reads back from a Json column (Dates become strings, undefined keys disappear)
+ */
+export function toStoredJson<T>(value: T): T | null {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function digest(payload: string, key?: string): string {
+  return key
+    ? createHmac('sha256', key).update(payload).digest('hex')
+    : createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Hash of an audit entry linked to the previous entry
+ */
+export function computeAuditEntryHash(
+  entry: AuditChainContent,
+  sequence: number,
+  previousHash: string,
+  key?: string,
+): string {
+  const timestamp = entry.timestamp instanceof Date ? entry.timestamp.toISOString() : new Date(entry.timestamp).toISOString();
+
+  return digest(
+    canonicalJson({
+      sequence,
+      previousHash,
+      timestamp,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId ?? null,
+      userRole: entry.userRole,
+      userName: entry.userName ?? null,
+      description: entry.description ?? null,
+      oldValues: toStoredJson(entry.oldValues),
+      newValues: toStoredJson(entry.newValues),
+      changedFields: entry.changedFields || [],
+      category: entry.category,
+      severity: entry.severity,
+    }),
+    key,
+  );
+}
+
+/**
+ * Verify consecutive entries (ordered by sequence). Pass the last link of the previous
+ * batch (or the entry just before the range) to check the link into the first entry.
+ */
+export function verifyAuditChain(
+  entries: AuditChainEntry[],
+  previous: AuditChainLink | null,
+  key?: string,
+): AuditChainVerification {
+  const issues: AuditChainIssue[] = [];
+  let last = previous;
+
+  for (const entry of entries) {
+    if (last && entry.sequence !== last.sequence + 1) {
+      issues.push({
+        type: 'GAP',
+        sequence: last.sequence + 1,
+        message:
+          entry.sequence - last.sequence === 2
+            ? `Entry ${last.sequence + 1} is missing`
+            : `Entries ${last.sequence + 1} to ${entry.sequence - 1} are missing`,
+      });
+    } else if (last && entry.previousHash !== last.hash) {
+      issues.push({
+        type: 'BROKEN_LINK',
+        sequence: entry.sequence,
+        entryId: entry.id,
+        message: `Entry ${entry.sequence} does not link to entry ${last.sequence}`,
+      });
+    }
+
+    if (computeAuditEntryHash(entry, entry.sequence, entry.previousHash, key) !== entry.hash) {
+      issues.push({
+        type: 'MODIFIED',
+        sequence: entry.sequence,
+        entryId: entry.id,
+        message: `Entry ${entry.sequence} was modified after it was written`,
+      });
+    }
+
+    last = { sequence: entry.sequence, hash: entry.hash };
+  }
+
+  return { checked: entries.length, issues, last };
+}
+
+/**
+ * Hash over the serialized entries of an archived segment
+ */
+export function hashAuditSegmentContent(entries: unknown[]): string {
+  return createHash('sha256').update(canonicalJson(entries)).digest('hex');
+}
+
+/**
+ * Signature over an archived segment's manifest (which includes its content hash)
+ */
+export function signAuditSegment(manifest: Record<string, unknown>, key?: string): string {
+  return digest(canonicalJson(manifest), key);
+}
+
+export function verifyAuditSegmentSignature(manifest: Record<string, unknown>, signature: string, key?: string): boolean {
+  const expected = Buffer.from(signAuditSegment(manifest, key), 'hex');
+  const actual = Buffer.from(signature || '', 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,418 @@
+import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import * as dgram from 'dgram';
+import * as dns from 'dns';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import * as tls from 'tls';
+import { PrismaService } from '../../core/database/prisma.service';
+import {
+  SIEM_FORWARDING_CONFIG_KEY,
+  SiemAuditEvent,
+  SiemSinkConfig,
+  formatSyslogMessage,
+  frameSyslogMessage,
+  isInternalAddress,
+  matchesSiemSink,
+  normalizeSiemForwardingConfig,
+  parseSiemHostList,
+  resolveSiemFilePath,
+  siemRetryDelay,
+  toSiemJson,
+} from './siem-forwarding.util';
+
+/**
+ * SIEM Forwarding Configuration
+ * (sinks and filters are edited in System Settings, see siem-forwarding.util.ts)
+ */
+const SIEM_CONFIG = {
+  // Entries buffered per sink while it is unreachable; the oldest are dropped beyond this
+  bufferSize: parseInt(process.env.SIEM_BUFFER_SIZE || '10000', 10),
+  // Entries per write / webhook request
+  batchSize: 100,
+  // Retry backoff while a sink is down: 1s, 2s, 4s ... up to 5 minutes
+  retryBaseMs: 1000,
+  retryMaxMs: 5 * 60 * 1000,
+  // Connect and request timeout
+  timeoutMs: 10000,
+  // Syslog over UDP: larger messages are truncated
+  maxDatagramBytes: 8192,
+  // How long the stored settings are reused before they are read again
+  settingsTtlMs: 30 * 1000,
+  // PEM bundle to trust for syslog over TLS when the collector uses a private CA
+  tlsCaFile: process.env.SIEM_TLS_CA_FILE,
+  // Syslog HOSTNAME and APP-NAME
+  hostname: process.env.SIEM_HOSTNAME || os.hostname(),
+  appName: process.env.SIEM_APP_NAME || 'cms-backend',
+  // File sinks write below this directory; their configured path is relative to it
+  fileDir: path.resolve(process.env.SIEM_FILE_DIR || path.join(process.cwd(), 'storage', 'siem')),
+  // Internal webhook hosts that may be used anyway (e.g. a collector on the private network)
+  allowedWebhookHosts: parseSiemHostList(process.env.SIEM_WEBHOOK_ALLOWED_HOSTS),
+};
+
+/**
+ * DNS lookup for webhook requests that refuses names resolving to internal addresses,
+ * checked on every connection so a changed DNS answer can't point a sink inward
+ */
+function externalOnlyLookup(hostname: string, options: dns.LookupOptions, callback: (...args: any[]) => void) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to internal address ${internal.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+interface SinkState {
+  sink: SiemSinkConfig;
+  // Formatted entries waiting to be delivered
+  queue: string[];
+  // Entries dropped because the buffer was full, since the last delivery
+  dropped: number;
+  // Failed attempts since the last delivery
+  attempts: number;
+  sending: boolean;
+  closed: boolean;
+  retryTimer: NodeJS.Timeout | null;
+  socket: net.Socket | null;
+  udp: dgram.Socket | null;
+}
+
+/**
+ * Audit Forwarder Service
+ * Streams audit entries to external SIEM collectors (syslog, JSON lines file, webhook).
+ * - Forwarding never blocks or fails the audit write
+ * - File sinks stay inside SIEM_FILE_DIR and webhooks can't reach internal addresses
+ *   (unless allow-listed), since the sinks are edited from the admin UI
+ * - Each sink has its own buffer; while a sink is down its entries are kept and retried
+ *   with backoff, and delivered in order once it is reachable again (at least once)
+ * - Settings are read from SystemConfig directly: SystemConfigService itself depends on
+ *   AuditService
+ */
+@Injectable()
+export class AuditForwarderService implements OnModuleDestroy {
+  private readonly logger = new Logger(AuditForwarderService.name);
+  private readonly tlsCa: Buffer | undefined;
+  private sinks = new Map<string, SinkState>();
+  private settingsLoadedAt = 0;
+  private settingsLoading: Promise<void> | null = null;
+
+  constructor(private prisma: PrismaService) {
+    if (SIEM_CONFIG.tlsCaFile) {
+      try {
+        this.tlsCa = fs.readFileSync(SIEM_CONFIG.tlsCaFile);
+      } catch (error) {
+        this.logger.error(`Could not read SIEM_TLS_CA_FILE ${SIEM_CONFIG.tlsCaFile}`, error.stack);
+      }
+    }
+  }
+
+  /**
+   * Queue an audit entry for every sink that wants it
+   */
+  forward(event: SiemAuditEvent): void {
+    this.dispatch(event).catch((error) => {
+      this.logger.warn(`Failed to forward audit entry ${event.id}: ${error.message}`);
+    });
+  }
+
+  onModuleDestroy() {
+    for (const state of this.sinks.values()) {
+      this.closeSink(state);
+    }
+    this.sinks.clear();
+  }
+
+  private async dispatch(event: SiemAuditEvent): Promise<void> {
+    await this.loadSettings();
+
+    for (const state of this.sinks.values()) {
+      if (!matchesSiemSink(state.sink, event)) continue;
+
+      state.queue.push(this.format(state.sink, event));
+      this.trimQueue(state);
+      void this.flush(state);
+    }
+  }
+
+  /**
+   * Refresh the sinks from the stored settings. Unchanged sinks keep their buffer and
+   * connection; sinks that were removed or edited are closed.
+   */
+  private loadSettings(): Promise<void> {
+    if (Date.now() - this.settingsLoadedAt < SIEM_CONFIG.settingsTtlMs) {
+      return Promise.resolve();
+    }
+
+    if (!this.settingsLoading) {
+      this.settingsLoading = this.readSettings().finally(() => {
+        this.settingsLoadedAt = Date.now();
+        this.settingsLoading = null;
+      });
+    }
+    return this.settingsLoading;
+  }
+
+  private async readSettings(): Promise<void> {
+    const stored = await this.prisma.systemConfig.findUnique({
+      where: { key: SIEM_FORWARDING_CONFIG_KEY },
+      select: { value: true },
+    });
+    const config = normalizeSiemForwardingConfig(stored?.value, {
+      allowedWebhookHosts: SIEM_CONFIG.allowedWebhookHosts,
+    });
+
+    const next = new Map<string, SinkState>();
+    for (const sink of config.enabled ? config.sinks : []) {
+      const key = JSON.stringify(sink);
+      next.set(key, this.sinks.get(key) || this.createSink(sink));
+    }
+
+    for (const [key, state] of this.sinks) {
+      if (next.has(key)) continue;
+      if (state.queue.length) {
+        this.logger.warn(`SIEM sink "${state.sink.name}" was removed with ${state.queue.length} entries undelivered`);
+      }
+      this.closeSink(state);
+    }
+
+    this.sinks = next;
+  }
+
+  private createSink(sink: SiemSinkConfig): SinkState {
+    return {
+      sink,
+      queue: [],
+      dropped: 0,
+      attempts: 0,
+      sending: false,
+      closed: false,
+      retryTimer: null,
+      socket: null,
+      udp: null,
+    };
+  }
+
+  private closeSink(state: SinkState) {
+    state.closed = true;
+    if (state.retryTimer) clearTimeout(state.retryTimer);
+    state.retryTimer = null;
+    state.socket?.destroy();
+    state.socket = null;
+    state.udp?.close();
+    state.udp = null;
+  }
+
+  private format(sink: SiemSinkConfig, event: SiemAuditEvent): string {
+    switch (sink.type) {
+      case 'syslog': {
+        const message = formatSyslogMessage(event, {
+          hostname: SIEM_CONFIG.hostname,
+          appName: SIEM_CONFIG.appName,
+          procId: process.pid,
+          facility: sink.facility,
+        });
+        return sink.protocol === 'udp' ? message : frameSyslogMessage(message);
+      }
+      case 'file':
+        return `${JSON.stringify(toSiemJson(event))}\n`;
+      case 'webhook':
+        return JSON.stringify(toSiemJson(event));
+    }
+  }
+
+  /**
+   * Drop the oldest entries once the buffer is full
+   */
+  private trimQueue(state: SinkState) {
+    const overflow = state.queue.length - SIEM_CONFIG.bufferSize;
+    if (overflow <= 0) return;
+
+    if (!state.dropped) {
+      this.logger.warn(`SIEM sink "${state.sink.name}" buffer is full, dropping the oldest entries`);
+    }
+    state.queue.splice(0, overflow);
+    state.dropped += overflow;
+  }
+
+  /**
+   * Deliver the buffer in batches; on failure the batch goes back to the front and a
+   * retry is scheduled
+   */
+  private async flush(state: SinkState): Promise<void> {
+    if (state.sending || state.retryTimer || state.closed) return;
+    state.sending = true;
+
+    try {
+      while (state.queue.length && !state.closed) {
+        const batch = state.queue.splice(0, SIEM_CONFIG.batchSize);
+
+        try {
+          await this.send(state, batch);
+        } catch (error) {
+          state.queue.unshift(...batch);
+          this.trimQueue(state);
+          this.scheduleRetry(state, error);
+          return;
+        }
+
+        if (state.attempts || state.dropped) {
+          this.logger.log(
+            `SIEM sink "${state.sink.name}" is reachable again` +
+              (state.dropped ? ` (${state.dropped} entries were dropped while it was down)` : ''),
+          );
+          state.attempts = 0;
+          state.dropped = 0;
+        }
+      }
+    } finally {
+      state.sending = false;
+    }
+  }
+
+  private scheduleRetry(state: SinkState, error: Error) {
+    if (state.closed) return;
+
+    state.attempts++;
+    const delay = siemRetryDelay(state.attempts, SIEM_CONFIG.retryBaseMs, SIEM_CONFIG.retryMaxMs);
+    this.logger.warn(
+      `SIEM sink "${state.sink.name}" unavailable: ${error.message}. ` +
+        `Retrying in ${Math.round(delay / 1000)}s with ${state.queue.length} entries buffered`,
+    );
+
+    state.retryTimer = setTimeout(() => {
+      state.retryTimer = null;
+      void this.flush(state);
+    }, delay);
+    state.retryTimer.unref();
+  }
+
+  private async send(state: SinkState, batch: string[]): Promise<void> {
+    const { sink } = state;
+
+    switch (sink.type) {
+      case 'syslog':
+        return sink.protocol === 'udp' ? this.sendDatagrams(state, batch) : this.sendStream(state, batch);
+      case 'file': {
+        const filePath = resolveSiemFilePath(SIEM_CONFIG.fileDir, sink.path);
+        if (!filePath) {
+          throw new Error(`File path ${sink.path} is outside SIEM_FILE_DIR`);
+        }
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, batch.join(''), 'utf8');
+        return;
+      }
+      case 'webhook':
+        return this.postWebhook(sink, `[${batch.join(',')}]`);
+    }
+  }
+
+  /**
+   * POST a batch to a webhook. Redirects are not followed, and unless the host is in
+   * SIEM_WEBHOOK_ALLOWED_HOSTS it must not resolve to an internal address.
+   */
+  private postWebhook(sink: SiemSinkConfig, body: string): Promise<void> {
+    const url = new URL(sink.url);
+    const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(
+        url,
+        {
+          method: 'POST',
+          headers: { ...sink.headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          lookup: SIEM_CONFIG.allowedWebhookHosts.includes(host) ? undefined : (externalOnlyLookup as net.LookupFunction),
+          signal: AbortSignal.timeout(SIEM_CONFIG.timeoutMs),
+        },
+        (response) => {
+          response.resume();
+          const status = response.statusCode ?? 0;
+          if (status >= 200 && status < 300) resolve();
+          else reject(new Error(`Webhook responded with HTTP ${status}`));
+        },
+      );
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Syslog over UDP: one message per datagram
+   */
+  private async sendDatagrams(state: SinkState, batch: string[]): Promise<void> {
+    const { sink } = state;
+    if (!state.udp) {
+      const socket = dgram.createSocket(net.isIPv6(sink.host) ? 'udp6' : 'udp4');
+      socket.on('error', (error) => {
+        this.logger.warn(`SIEM sink "${sink.name}" socket error: ${error.message}`);
+        if (state.udp === socket) state.udp = null;
+        socket.close();
+      });
+      socket.unref();
+      state.udp = socket;
+    }
+
+    const socket = state.udp;
+    for (const message of batch) {
+      const datagram = Buffer.from(message, 'utf8').subarray(0, SIEM_CONFIG.maxDatagramBytes);
+      await new Promise<void>((resolve, reject) => {
+        socket.send(datagram, sink.port, sink.host, (error) => (error ? reject(error) : resolve()));
+      });
+    }
+  }
+
+  /**
+   * Syslog over TCP / TLS: framed messages over a kept-alive connection
+   */
+  private async sendStream(state: SinkState, batch: string[]): Promise<void> {
+    const socket = await this.connect(state);
+    await new Promise<void>((resolve, reject) => {
+      socket.write(batch.join(''), 'utf8', (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  private connect(state: SinkState): Promise<net.Socket> {
+    if (state.socket && !state.socket.destroyed) {
+      return Promise.resolve(state.socket);
+    }
+
+    const { sink } = state;
+    return new Promise((resolve, reject) => {
+      const socket =
+        sink.protocol === 'tls'
+          ? tls.connect({
+              host: sink.host,
+              port: sink.port,
+              servername: net.isIP(sink.host) ? undefined : sink.host,
+              ca: this.tlsCa,
+            })
+          : net.connect({ host: sink.host, port: sink.port });
+
+      socket.setTimeout(SIEM_CONFIG.timeoutMs);
+      socket.once('timeout', () => socket.destroy(new Error('Connection timed out')));
+      socket.once(sink.protocol === 'tls' ? 'secureConnect' : 'connect', () => {
+        socket.setTimeout(0);
+        socket.setKeepAlive(true);
+        state.socket = socket;
+        resolve(socket);
+      });
+      // Rejects while connecting; afterwards the next write notices the closed socket
+      socket.on('error', (error) => {
+        if (state.socket === socket) state.socket = null;
+        reject(error);
+      });
+      socket.on('close', () => {
+        if (state.socket === socket) state.socket = null;
+      });
+      socket.unref();
+    });
+  }
+}
@@ -1,7 +1,9 @@
 import { Injectable, Logger } from '@nestjs/common';
 import { Cron, CronExpression } from '@nestjs/schedule';
 import { PrismaService } from '../../core/database/prisma.service';
-import { AuditAction, AuditCategory, AuditSeverity, Role } from '../../generated/prisma/client';
+import { AuditAction, AuditCategory, AuditLog, AuditSeverity, Role } from '../../generated/prisma/client';
+import { AuditService } from './audit.service';
+import { AuditChainService } from './audit-chain.service';
 
 /**
  * Audit Retention Configuration
@@ -9,26 +11,34 @@ import { AuditAction, AuditCategory, AuditSeverity, Role } from '../../generated
 const RETENTION_CONFIG = {
   // Days to retain audit logs (default 180 days per CERT-In guidelines)
   retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '180', 10),
-  // Batch size for deletion
-  batchSize: 1000,
+  // Entries per archived segment
+  batchSize: 5000,
+  // Recording a segment and deleting its entries holds the chain lock, so appends wait for it
+  segmentTransaction: { maxWait: 10000, timeout: 60000 },
   // Enable/disable retention cleanup
   enabled: process.env.AUDIT_RETENTION_ENABLED !== 'false',
 };
 
 /**
  * Audit Retention Service
- * Handles automatic cleanup of old audit logs per retention policy
+ * Moves audit logs past the retention period out of the database per retention policy
  * - Default: 180 days (CERT-In guideline)
  * - Runs daily at 2 AM
+ * - Entries are archived to file storage as signed segments (AuditChainService) before
+ *   they are removed, so the hash chain stays verifiable across the archive
  */
 @Injectable()
 export class AuditRetentionService {
   private readonly logger = new Logger(AuditRetentionService.name);
 
-  constructor(private prisma: PrismaService) {}
+  constructor(
+    private prisma: PrismaService,
+    private auditService: AuditService,
+    private auditChain: AuditChainService,
+  ) {}
 
   /**
-   * Daily cleanup of old audit logs
+   * Daily archival of old audit logs
    * Runs at 2:00 AM every day
    */
   @Cron(CronExpression.EVERY_DAY_AT_2AM)
@@ -37,87 +47,120 @@ export class AuditRetentionService {
       return;
     }
 
-    this.logger.log('Starting audit log retention cleanup...');
+    this.logger.log('Starting audit log retention archival...');
 
     try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - RETENTION_CONFIG.retentionDays);
-
-      // Count logs to be deleted
-      const count = await this.prisma.auditLog.count({
-        where: { timestamp: { lt: cutoffDate } },
-      });
+      await this.archiveOldLogs(RETENTION_CONFIG.retentionDays);
+    } catch (error) {
+      this.logger.error('Audit log archival failed', error.stack);
+    }
+  }
 
-      if (count === 0) {
-        this.logger.log('No old audit logs to clean up');
-        return;
-      }
+  /**
+   * Manual archival trigger (for admin use)
+   */
+  async manualCleanup(olderThanDays?: number): Promise<{
+    archivedCount: number;
+    segmentCount: number;
+    cutoffDate: Date;
+  }> {
+    return this.archiveOldLogs(olderThanDays || RETENTION_CONFIG.retentionDays);
+  }
 
-      this.logger.log(
-        `Found ${count} audit logs older than ${RETENTION_CONFIG.retentionDays} days`,
-      );
+  /**
+   * Archive entries older than the cutoff in segments: entries written before chaining
+   * first (by time), then the chain from its oldest entry (by sequence)
+   */
+  private async archiveOldLogs(days: number): Promise<{
+    archivedCount: number;
+    segmentCount: number;
+    cutoffDate: Date;
+  }> {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
 
-      // Delete in batches to avoid memory issues
-      let totalDeleted = 0;
+    let archivedCount = 0;
+    let segmentCount = 0;
 
-      while (totalDeleted < count) {
-        const deleted = await this.prisma.auditLog.deleteMany({
-          where: { timestamp: { lt: cutoffDate } },
+    for (const chained of [false, true]) {
+      for (;;) {
+        const entries = await this.prisma.auditLog.findMany({
+          where: {
+            timestamp: { lt: cutoffDate },
+            sequence: chained ? { not: null } : null,
+          },
+          orderBy: chained ? { sequence: 'asc' } : [{ timestamp: 'asc' }, { id: 'asc' }],
+          take: RETENTION_CONFIG.batchSize,
         });
+        if (entries.length === 0) break;
 
-        totalDeleted += deleted.count;
+        await this.archiveSegment(entries);
+        archivedCount += entries.length;
+        segmentCount++;
 
-        if (deleted.count === 0) break;
-
-        this.logger.debug(`Deleted batch of ${deleted.count} logs`);
+        this.logger.debug(`Archived segment of ${entries.length} logs`);
       }
+    }
 
-      this.logger.log(
-        `Audit log cleanup complete. Deleted ${totalDeleted} logs older than ${RETENTION_CONFIG.retentionDays} days`,
-      );
-
-      // Log the cleanup action itself
-      await this.prisma.auditLog.create({
-        data: {
-          action: AuditAction.SYSTEM_BACKUP, // Using SYSTEM_BACKUP for system maintenance actions
-          entityType: 'AuditLog',
-          userRole: Role.SYSTEM_ADMIN,
-          description: `Automatic cleanup: Deleted ${totalDeleted} audit logs older than ${RETENTION_CONFIG.retentionDays} days`,
-          category: AuditCategory.SYSTEM,
-          severity: AuditSeverity.LOW,
-          newValues: {
-            deletedCount: totalDeleted,
-            retentionDays: RETENTION_CONFIG.retentionDays,
-            cutoffDate: cutoffDate.toISOString(),
-          },
-        },
-      });
-    } catch (error) {
-      this.logger.error('Audit log cleanup failed', error.stack);
+    if (archivedCount === 0) {
+      this.logger.log('No old audit logs to archive');
+      return { archivedCount, segmentCount, cutoffDate };
     }
+
+    this.logger.log(
+      `Audit log archival complete. Archived ${archivedCount} logs older than ${days} days in ${segmentCount} segment(s)`,
+    );
+
+    // Log the archival itself
+    await this.auditService.log({
+      action: AuditAction.AUDIT_LOG_ARCHIVE,
+      entityType: 'AuditLog',
+      userRole: Role.SYSTEM_ADMIN,
+      description: `Archived ${archivedCount} audit logs older than ${days} days`,
+      category: AuditCategory.SYSTEM,
+      severity: AuditSeverity.LOW,
+      newValues: {
+        archivedCount,
+        segmentCount,
+        retentionDays: days,
+        cutoffDate: cutoffDate.toISOString(),
+      },
+    });
+
+    return { archivedCount, segmentCount, cutoffDate };
   }
 
   /**
-   * Manual cleanup trigger (for admin use)
+   * Store one signed segment, record it and remove its entries from the database
    */
-  async manualCleanup(olderThanDays?: number): Promise<{
-    deletedCount: number;
-    cutoffDate: Date;
-  }> {
-    const days = olderThanDays || RETENTION_CONFIG.retentionDays;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+  private async archiveSegment(entries: AuditLog[]): Promise<void> {
+    const { file, buffer } = this.auditChain.buildSegment(entries);
+    const storageKey = await this.auditChain.storeSegment(file, buffer);
+    const { manifest } = file;
 
-    const result = await this.prisma.auditLog.deleteMany({
-      where: { timestamp: { lt: cutoffDate } },
-    });
+    await this.prisma.$transaction(async (tx) => {
+      // Appends read the chain head from the newest segment once its entries are gone
+      await this.auditChain.lockChain(tx);
 
-    this.logger.log(`Manual cleanup: Deleted ${result.count} logs older than ${days} days`);
+      await tx.auditArchiveSegment.create({
+        data: {
+          storageKey,
+          entryCount: manifest.entryCount,
+          firstSequence: manifest.firstSequence,
+          lastSequence: manifest.lastSequence,
+          firstPreviousHash: manifest.firstPreviousHash,
+          lastHash: manifest.lastHash,
+          fromTimestamp: new Date(manifest.fromTimestamp),
+          toTimestamp: new Date(manifest.toTimestamp),
+          contentHash: manifest.contentHash,
+          signature: file.signature,
+        },
+      });
 
-    return {
-      deletedCount: result.count,
-      cutoffDate,
-    };
+      await tx.auditLog.deleteMany({
+        where: { id: { in: entries.map((entry) => entry.id) } },
+      });
+    }, RETENTION_CONFIG.segmentTransaction);
   }
 
   /**
@@ -125,7 +168,8 @@ export class AuditRetentionService {
    */
   async getRetentionStats(): Promise<{
     totalLogs: number;
-    logsToBeDeleted: number;
+    logsToBeArchived: number;
+    archivedSegments: number;
     oldestLogDate: Date | null;
     newestLogDate: Date | null;
     retentionDays: number;
@@ -133,9 +177,10 @@ export class AuditRetentionService {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - RETENTION_CONFIG.retentionDays);
 
-    const [totalLogs, logsToBeDeleted, oldest, newest] = await Promise.all([
+    const [totalLogs, logsToBeArchived, archivedSegments, oldest, newest] = await Promise.all([
       this.prisma.auditLog.count(),
       this.prisma.auditLog.count({ where: { timestamp: { lt: cutoffDate } } }),
+      this.prisma.auditArchiveSegment.count(),
       this.prisma.auditLog.findFirst({
         orderBy: { timestamp: 'asc' },
         select: { timestamp: true },
@@ -148,7 +193,8 @@ export class AuditRetentionService {
 
     return {
       totalLogs,
-      logsToBeDeleted,
+      logsToBeArchived,
+      archivedSegments,
       oldestLogDate: oldest?.timestamp || null,
       newestLogDate: newest?.timestamp || null,
       retentionDays: RETENTION_CONFIG.retentionDays,
@@ -1,10 +1,13 @@
-import { Controller, Get, Query, UseGuards, Req } from '@nestjs/common';
+import { BadRequestException, Controller, Get, Query, UseGuards, Req } from '@nestjs/common';
 import { JwtAuthGuard } from '../../core/auth/guards/jwt-auth.guard';
 import { RolesGuard } from '../../core/auth/guards/roles.guard';
 import { Roles } from '../../core/auth/decorators/roles.decorator';
 import { Role } from '../../generated/prisma/client';
 import { AuditService } from './audit.service';
 
+// Range verified when none is given
+const DEFAULT_VERIFY_DAYS = 30;
+
 @Controller('audit')
 @UseGuards(JwtAuthGuard, RolesGuard)
 export class AuditController {
@@ -33,6 +36,27 @@ export class AuditController {
     });
   }
 
+  /**
+   * Verify the tamper-evident hash chain for entries written in a date range
+   * (defaults to the last 30 days), including archived segments
+   */
+  @Get('verify')
+  @Roles(Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN)
+  async verifyChain(
+    @Query('startDate') startDate: string,
+    @Query('endDate') endDate: string,
+    @Req() req: any,
+  ) {
+    const to = endDate ? new Date(endDate) : new Date();
+    const from = startDate ? new Date(startDate) : new Date(to.getTime() - DEFAULT_VERIFY_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      throw new BadRequestException('startDate and endDate must be valid dates with startDate before endDate');
+    }
+
+    return this.auditService.verifyChain(from, to, req.user);
+  }
+
   @Get('entity-trail')
   @Roles(Role.STATE_DIRECTORATE, Role.SYSTEM_ADMIN)
   async getEntityTrail(@Query('entityType') entityType: string, @Query('entityId') entityId: string) {
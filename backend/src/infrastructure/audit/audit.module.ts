@@ -3,11 +3,15 @@ import { AuditService } from './audit.service';
 import { AuditInterceptor } from './audit.interceptor';
 import { AuditRetentionService } from './audit-retention.service';
 import { AuditController } from './audit.controller';
+import { AuditChainService } from './audit-chain.service';
+import { AuditForwarderService } from './audit-forwarder.service';
 import { PrismaService } from '../../core/database/prisma.service';
+import { FileStorageModule } from '../file-storage/file-storage.module';
 
 @Module({
+  imports: [FileStorageModule],
   controllers: [AuditController],
-  providers: [PrismaService, AuditService, AuditInterceptor, AuditRetentionService],
-  exports: [AuditService, AuditInterceptor, AuditRetentionService],
+  providers: [PrismaService, AuditChainService, AuditForwarderService, AuditService, AuditInterceptor, AuditRetentionService],
+  exports: [AuditService, AuditChainService, AuditInterceptor, AuditRetentionService],
 })
 export class AuditModule {}
@@ -1,7 +1,13 @@
 import { Injectable, Logger } from '@nestjs/common';
+import { Interval } from '@nestjs/schedule';
 import { PrismaService } from '../../core/database/prisma.service';
+import { AuditChainReport, AuditChainService, AuditEntryData } from './audit-chain.service';
+import { AuditForwarderService } from './audit-forwarder.service';
 import { AuditAction, AuditCategory, AuditSeverity, Role } from '../../generated/prisma/client';
 
+// How often entries spooled by failed writes are retried
+const AUDIT_SPOOL_REPLAY_INTERVAL_MS = 30 * 1000;
+
 interface AuditLogData {
   action: AuditAction | string;
   entityType: string;
@@ -45,60 +51,96 @@ export interface AuditStatistics {
 export class AuditService {
   private readonly logger = new Logger(AuditService.name);
 
-  constructor(private prisma: PrismaService) {}
+  constructor(
+    private prisma: PrismaService,
+    private auditChain: AuditChainService,
+    private auditForwarder: AuditForwarderService,
+  ) {}
 
   /**
-   * Log an audit entry with comprehensive tracking
+   * Log an audit entry with comprehensive tracking.
+   * Entries are appended to the tamper-evident hash chain (see AuditChainService)
+   * and streamed to the configured SIEM sinks (see AuditForwarderService).
+   * Entries the database does not accept in time are spooled and appended later.
    */
   async log(data: AuditLogData) {
+    let record: AuditEntryData;
     try {
-      // Determine action - convert string to enum if necessary
-      let action: AuditAction;
-      if (typeof data.action === 'string') {
-        // Try to match to enum, fallback to a generic action
-        action = AuditAction[data.action as keyof typeof AuditAction] || AuditAction.SYSTEM_BACKUP;
-      } else {
-        action = data.action;
-      }
-
-      // Determine userRole - convert string to enum if necessary
-      let userRole: Role = Role.STUDENT; // Default
-      if (data.userRole) {
-        if (typeof data.userRole === 'string') {
-          userRole = Role[data.userRole as keyof typeof Role] || Role.STUDENT;
-        } else {
-          userRole = data.userRole;
-        }
-      }
-
-      // Determine category based on action if not provided
-      const category = data.category || this.determineCategory(action);
-
-      return await this.prisma.auditLog.create({
-        data: {
-          action,
-          entityType: data.entityType,
-          entityId: data.entityId || null,
-          userId: data.userId || null,
-          userRole,
-          userName: data.userName || null,
-          description: data.description || null,
-          oldValues: data.oldValues || null,
-          newValues: data.newValues || null,
-          changedFields: data.changedFields || [],
-          category,
-          severity: data.severity || AuditSeverity.LOW,
-          institutionId: data.institutionId || null,
-          timestamp: new Date(),
-        },
-      });
+      record = this.buildRecord(data);
     } catch (error) {
       this.logger.error('Failed to create audit log', error);
+      return null;
+    }
+
+    const context = { ipAddress: data.ipAddress || null, userAgent: data.userAgent || null };
+    try {
+      const entry = await this.auditChain.append(record);
+      this.auditForwarder.forward({ ...entry, ...context });
+      return entry;
+    } catch (error) {
+      this.logger.error('Failed to create audit log, spooling it for a later append', error.stack);
       // Don't throw - audit logging should not break application flow
+      await this.auditChain.spool({ ...record, timestamp: new Date() }, context);
       return null;
     }
   }
 
+  /**
+   * Append entries left in the spool by failed writes, and forward them
+   */
+  @Interval(AUDIT_SPOOL_REPLAY_INTERVAL_MS)
+  async replaySpooledEntries() {
+    try {
+      const appended = await this.auditChain.replaySpool();
+      for (const { entry, context } of appended) {
+        this.auditForwarder.forward({ ...entry, ...context });
+      }
+    } catch (error) {
+      this.logger.error('Failed to replay spooled audit entries', error.stack);
+    }
+  }
+
+  private buildRecord(data: AuditLogData): AuditEntryData {
+    // Determine action - convert string to enum if necessary
+    let action: AuditAction;
+    if (typeof data.action === 'string') {
+      // Try to match to enum, fallback to a generic action
+      action = AuditAction[data.action as keyof typeof AuditAction] || AuditAction.SYSTEM_BACKUP;
+    } else {
+      action = data.action;
+    }
+
+    // Determine userRole - convert string to enum if necessary
+    let userRole: Role = Role.STUDENT; // Default
+    if (data.userRole) {
+      if (typeof data.userRole === 'string') {
+        userRole = Role[data.userRole as keyof typeof Role] || Role.STUDENT;
+      } else {
+        userRole = data.userRole;
+      }
+    }
+
+    // Determine category based on action if not provided
+    const category = data.category || this.determineCategory(action);
+
+    return {
+      action,
+      entityType: data.entityType,
+      entityId: data.entityId || null,
+      userId: data.userId || null,
+      userRole,
+      userName: data.userName || null,
+      description: data.description || null,
+      // Omitted rather than null: Json columns only accept Prisma.DbNull for null
+      oldValues: data.oldValues || undefined,
+      newValues: data.newValues || undefined,
+      changedFields: data.changedFields || [],
+      category,
+      severity: data.severity || AuditSeverity.LOW,
+      institutionId: data.institutionId || null,
+    };
+  }
+
   /**
    * Get audit logs with filters and pagination
    */
@@ -352,27 +394,41 @@ export class AuditService {
   }
 
   /**
-   * Delete old audit logs (cleanup)
+   * Verify the audit hash chain over a date range and record the check itself
    */
-  async deleteOldLogs(daysToKeep: number = 90): Promise<number> {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-      const result = await this.prisma.auditLog.deleteMany({
-        where: {
-          timestamp: {
-            lt: cutoffDate,
-          },
-        },
-      });
-
-      this.logger.log(`Deleted ${result.count} old audit logs`);
-      return result.count;
-    } catch (error) {
-      this.logger.error('Failed to delete old audit logs', error);
-      throw error;
+  async verifyChain(
+    from: Date,
+    to: Date,
+    user: { userId: string; role: Role | string; name?: string },
+  ): Promise<AuditChainReport> {
+    const report = await this.auditChain.verify(from, to);
+
+    await this.log({
+      action: AuditAction.AUDIT_CHAIN_VERIFY,
+      entityType: 'AuditLog',
+      userId: user.userId,
+      userRole: user.role,
+      userName: user.name,
+      description: report.valid
+        ? `Audit chain verified: ${report.checked} entries intact`
+        : `Audit chain verification found ${report.issueCount} issue(s)`,
+      category: AuditCategory.COMPLIANCE,
+      severity: report.valid ? AuditSeverity.LOW : AuditSeverity.CRITICAL,
+      newValues: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        checked: report.checked,
+        issueCount: report.issueCount,
+      },
+    });
+
+    if (!report.valid) {
+      this.logger.warn(
+        `Audit chain verification ${from.toISOString()} - ${to.toISOString()} found ${report.issueCount} issue(s)`,
+      );
     }
+
+    return report;
   }
 
   /**
@@ -0,0 +1,160 @@
+import {
+  SiemAuditEvent,
+  normalizeSiemForwardingConfig,
+  matchesSiemSink,
+  formatSyslogMessage,
+  frameSyslogMessage,
+  toSiemJson,
+  siemRetryDelay,
+  siemSinkError,
+  resolveSiemFilePath,
+  isInternalAddress,
+  isWebhookHostAllowed,
+} from './siem-forwarding.util';
+
+const event: SiemAuditEvent = {
+  id: 'log-1',
+  sequence: 42,
+  hash: 'abc',
+  timestamp: new Date('2026-01-05T10:00:00.000Z'),
+  action: 'FAILED_LOGIN',
+  category: 'SECURITY',
+  severity: 'HIGH',
+  entityType: 'User',
+  entityId: 'user-1',
+  userRole: 'STUDENT',
+  userName: 'Asha "A" [K]',
+  description: 'Invalid password\nattempt 3',
+  ipAddress: '10.0.0.7',
+};
+
+describe('normalizeSiemForwardingConfig', () => {
+  it('fills defaults and drops sinks without a destination', () => {
+    const config = normalizeSiemForwardingConfig({
+      enabled: true,
+      sinks: [
+        { type: 'syslog', host: ' siem.punjab.gov.in ', protocol: 'tls' },
+        { type: 'syslog', protocol: 'tcp' },
+        { type: 'file', path: 'cms/audit.jsonl', categories: ['SECURITY'], minSeverity: 'HIGH' },
+        { type: 'webhook', url: 'ftp://example.org' },
+        { type: 'file', path: '/var/log/cms/audit.jsonl' },
+        { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' },
+        { type: 'kafka', url: 'https://example.org' },
+        'garbage',
+      ],
+    });
+
+    expect(config.enabled).toBe(true);
+    expect(config.sinks).toEqual([
+      {
+        name: 'syslog-1',
+        type: 'syslog',
+        enabled: true,
+        categories: [],
+        minSeverity: 'LOW',
+        protocol: 'tls',
+        host: 'siem.punjab.gov.in',
+        port: 6514,
+        facility: 13,
+      },
+      {
+        name: 'file-3',
+        type: 'file',
+        enabled: true,
+        categories: ['SECURITY'],
+        minSeverity: 'HIGH',
+        path: 'cms/audit.jsonl',
+      },
+    ]);
+  });
+
+  it('is disabled for missing or invalid values', () => {
+    expect(normalizeSiemForwardingConfig(undefined)).toEqual({ enabled: false, sinks: [] });
+    expect(normalizeSiemForwardingConfig({ enabled: 'yes', sinks: {} })).toEqual({ enabled: false, sinks: [] });
+  });
+});
+
+describe('sink destinations', () => {
+  it('keeps file sinks inside the SIEM directory', () => {
+    expect(resolveSiemFilePath('/srv/siem', 'cms/audit.jsonl')).toBe('/srv/siem/cms/audit.jsonl');
+    expect(resolveSiemFilePath('/srv/siem', '/etc/cron.d/x')).toBeNull();
+    expect(resolveSiemFilePath('/srv/siem', '../cms/.env')).toBeNull();
+    expect(resolveSiemFilePath('/srv/siem', 'cms/../../etc/passwd')).toBeNull();
+    expect(resolveSiemFilePath('/srv/siem', 'C:\\audit.jsonl')).toBeNull();
+    expect(resolveSiemFilePath('/srv/siem', '.')).toBeNull();
+    expect(siemSinkError({ type: 'file', path: '/var/log/cms/audit.jsonl' })).toMatch(/relative to SIEM_FILE_DIR/);
+  });
+
+  it('recognises internal addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+      expect(isInternalAddress(address)).toBe(true);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', 'siem.example.org']) {
+      expect(isInternalAddress(address)).toBe(false);
+    }
+  });
+
+  it('refuses internal webhook hosts unless allow-listed', () => {
+    expect(isWebhookHostAllowed('siem.example.org')).toBe(true);
+    expect(isWebhookHostAllowed('localhost')).toBe(false);
+    expect(isWebhookHostAllowed('[::1]')).toBe(false);
+    expect(isWebhookHostAllowed('10.0.5.20', ['10.0.5.20'])).toBe(true);
+
+    // URL parsing normalises alternative spellings before the check
+    expect(siemSinkError({ type: 'webhook', url: 'http://2130706433/' })).toMatch(/is internal/);
+    expect(siemSinkError({ type: 'webhook', url: 'http://[::ffff:127.0.0.1]/' })).toMatch(/is internal/);
+    expect(siemSinkError({ type: 'webhook', url: 'http://10.0.5.20/ingest' }, { allowedWebhookHosts: ['10.0.5.20'] })).toBeNull();
+    expect(siemSinkError({ type: 'webhook', url: 'https://siem.example.org/ingest' })).toBeNull();
+  });
+});
+
+describe('matchesSiemSink', () => {
+  const [sink] = normalizeSiemForwardingConfig({
+    sinks: [{ type: 'file', path: 'audit.jsonl', categories: ['SECURITY'], minSeverity: 'HIGH' }],
+  }).sinks;
+
+  it('filters by category and minimum severity', () => {
+    expect(matchesSiemSink(sink, { category: 'SECURITY', severity: 'HIGH' })).toBe(true);
+    expect(matchesSiemSink(sink, { category: 'SECURITY', severity: 'CRITICAL' })).toBe(true);
+    expect(matchesSiemSink(sink, { category: 'SECURITY', severity: 'MEDIUM' })).toBe(false);
+    expect(matchesSiemSink(sink, { category: 'AUTHENTICATION', severity: 'CRITICAL' })).toBe(false);
+    expect(matchesSiemSink({ ...sink, categories: [] }, { category: 'SYSTEM', severity: 'HIGH' })).toBe(true);
+    expect(matchesSiemSink({ ...sink, enabled: false }, { category: 'SECURITY', severity: 'HIGH' })).toBe(false);
+  });
+});
+
+describe('formatSyslogMessage', () => {
+  it('builds an RFC 5424 message with escaped structured data', () => {
+    expect(formatSyslogMessage(event, { hostname: 'cms-api', appName: 'cms', procId: 123 })).toBe(
+      '<108>1 2026-01-05T10:00:00.000Z cms-api cms 123 FAILED_LOGIN ' +
+        '[audit@32473 id="log-1" sequence="42" category="SECURITY" severity="HIGH" entityType="User" ' +
+        'entityId="user-1" userRole="STUDENT" userName="Asha \\"A\\" [K\\]" ip="10.0.0.7"] ' +
+        'Invalid password attempt 3',
+    );
+  });
+
+  it('uses the nil value for missing header fields and the facility for the priority', () => {
+    const message = formatSyslogMessage({ ...event, severity: 'CRITICAL', description: null }, { facility: 4 });
+    expect(message.startsWith('<34>1 2026-01-05T10:00:00.000Z - - - FAILED_LOGIN [')).toBe(true);
+    expect(message.endsWith('] FAILED_LOGIN')).toBe(true);
+  });
+
+  it('frames messages by their byte length', () => {
+    expect(frameSyslogMessage('<14>1 - - - - - - ok')).toBe('20 <14>1 - - - - - - ok');
+    expect(frameSyslogMessage('ਪੰਜਾਬ')).toBe('15 ਪੰਜਾਬ');
+  });
+});
+
+describe('toSiemJson', () => {
+  it('forwards metadata only', () => {
+    const json = toSiemJson({ ...event, oldValues: { password: 'x' } } as SiemAuditEvent);
+    expect(json).toMatchObject({ id: 'log-1', timestamp: '2026-01-05T10:00:00.000Z', userAgent: null });
+    expect(json).not.toHaveProperty('oldValues');
+  });
+});
+
+describe('siemRetryDelay', () => {
+  it('backs off exponentially up to the cap', () => {
+    expect([1, 2, 3, 4, 10].map((attempt) => siemRetryDelay(attempt, 1000, 5000))).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+});
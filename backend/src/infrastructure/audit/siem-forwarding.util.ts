@@ -0,0 +1,376 @@
+/**
+ * SIEM Forwarding Utility
+ *
+ * Audit entries can be streamed to external collectors ("sinks"). Each sink picks the
+ * entries it wants by AuditCategory and a minimum AuditSeverity, and receives them as:
+ *
+ * - syslog:  RFC 5424 messages over UDP (one datagram each, RFC 5426), TCP (RFC 6587) or
+ *            TLS (RFC 5425); stream transports use octet-counting framing
+ * - file:    JSON lines appended to a file under SIEM_FILE_DIR (for a log shipper to pick
+ *            up); the stored path is relative to that directory
+ * - webhook: JSON array of events POSTed to a URL; loopback, private and link-local
+ *            hosts are refused unless listed in SIEM_WEBHOOK_ALLOWED_HOSTS
+ *
+ * The settings are stored in SystemConfig under `integrations.siemForwarding`; sinks that
+ * are incomplete are dropped by normalizeSiemForwardingConfig so a bad edit only disables
+ * that sink. Only metadata is forwarded — oldValues / newValues can hold personal data.
+ *
+ * Example:
+ * formatSyslogMessage(event, { hostname: 'cms-api', appName: 'cms' })
+ *   -> '<108>1 2026-01-05T10:00:00.000Z cms-api cms - FAILED_LOGIN [audit@32473 ...] Invalid password'
+ */
+
+import * as net from 'net';
+import * as path from 'path';
+
+export const SIEM_FORWARDING_CONFIG_KEY = 'integrations.siemForwarding';
+
+export type SiemSinkType = 'syslog' | 'file' | 'webhook';
+export type SiemSyslogProtocol = 'udp' | 'tcp' | 'tls';
+export type SiemSeverity = 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
+
+export interface SiemSinkConfig {
+  name: string;
+  type: SiemSinkType;
+  enabled: boolean;
+  /** AuditCategory values to forward; empty forwards every category */
+  categories: string[];
+  minSeverity: SiemSeverity;
+  // syslog
+  protocol?: SiemSyslogProtocol;
+  host?: string;
+  port?: number;
+  /** Syslog facility code, 13 (log audit) by default */
+  facility?: number;
+  // file
+  path?: string;
+  // webhook
+  url?: string;
+  headers?: Record<string, string>;
+}
+
+export interface SiemForwardingConfig {
+  enabled: boolean;
+  sinks: SiemSinkConfig[];
+}
+
+export interface SiemAuditEvent {
+  id: string;
+  sequence?: number | null;
+  hash?: string | null;
+  timestamp: Date | string;
+  action: string;
+  category: string;
+  severity: string;
+  entityType: string;
+  entityId?: string | null;
+  userId?: string | null;
+  userRole?: string | null;
+  userName?: string | null;
+  institutionId?: string | null;
+  description?: string | null;
+  ipAddress?: string | null;
+  userAgent?: string | null;
+}
+
+export interface SiemDestinationPolicy {
+  /** Webhook hosts (names or IP literals) allowed even though they are internal */
+  allowedWebhookHosts?: string[];
+}
+
+export interface SyslogHeaderOptions {
+  hostname?: string;
+  appName?: string;
+  procId?: string | number;
+  facility?: number;
+}
+
+export const DEFAULT_SIEM_FORWARDING_CONFIG: SiemForwardingConfig = {
+  enabled: false,
+  sinks: [],
+};
+
+const SEVERITIES: SiemSeverity[] = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const SINK_TYPES: SiemSinkType[] = ['syslog', 'file', 'webhook'];
+const SYSLOG_PROTOCOLS: SiemSyslogProtocol[] = ['udp', 'tcp', 'tls'];
+
+// Default ports: 514 for plain syslog, 6514 for syslog over TLS
+const DEFAULT_SYSLOG_PORTS: Record<SiemSyslogProtocol, number> = { udp: 514, tcp: 514, tls: 6514 };
+
+const DEFAULT_SYSLOG_FACILITY = 13; // log audit
+
+// Syslog severities: AuditSeverity LOW -> informational ... CRITICAL -> critical
+const SYSLOG_SEVERITY: Record<SiemSeverity, number> = { LOW: 6, MEDIUM: 5, HIGH: 4, CRITICAL: 2 };
+
+// Structured data ID; 32473 is the enterprise number reserved for examples (RFC 5612)
+const SYSLOG_SD_ID = 'audit@32473';
+
+/**
+ * Why a stored sink can't be used, or null when it can
+ */
+export function siemSinkError(raw: unknown, policy: SiemDestinationPolicy = {}): string | null {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return 'not an object';
+  const source = raw as Record<string, any>;
+  if (!SINK_TYPES.includes(source.type)) return `unknown type "${source.type}"`;
+
+  switch (source.type as SiemSinkType) {
+    case 'syslog':
+      return typeof source.host === 'string' && source.host.trim() ? null : 'host is required';
+    case 'file':
+      if (typeof source.path !== 'string' || !source.path.trim()) return 'path is required';
+      return isSafeSiemFilePath(source.path.trim())
+        ? null
+        : 'path must be relative to SIEM_FILE_DIR without ".." segments';
+    case 'webhook': {
+      const url = typeof source.url === 'string' ? parseUrl(source.url.trim()) : null;
+      if (!url || !['http:', 'https:'].includes(url.protocol)) return 'url must be an http(s) URL';
+      return isWebhookHostAllowed(url.hostname, policy.allowedWebhookHosts)
+        ? null
+        : `webhook host ${url.hostname} is internal; add it to SIEM_WEBHOOK_ALLOWED_HOSTS to allow it`;
+    }
+  }
+}
+
+function normalizeSink(raw: unknown, index: number, policy: SiemDestinationPolicy): SiemSinkConfig | null {
+  if (siemSinkError(raw, policy)) return null;
+  const source = raw as Record<string, any>;
+
+  const sink: SiemSinkConfig = {
+    name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : `${source.type}-${index + 1}`,
+    type: source.type,
+    enabled: source.enabled !== false,
+    categories: Array.isArray(source.categories) ? source.categories.filter((c: unknown) => typeof c === 'string') : [],
+    minSeverity: SEVERITIES.includes(source.minSeverity) ? source.minSeverity : 'LOW',
+  };
+
+  switch (sink.type) {
+    case 'syslog': {
+      sink.protocol = SYSLOG_PROTOCOLS.includes(source.protocol) ? source.protocol : 'udp';
+      sink.host = source.host.trim();
+      const port = Number(source.port);
+      sink.port = Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_SYSLOG_PORTS[sink.protocol];
+      const facility = Number(source.facility);
+      sink.facility = Number.isInteger(facility) && facility >= 0 && facility <= 23 ? facility : DEFAULT_SYSLOG_FACILITY;
+      return sink;
+    }
+    case 'file': {
+      sink.path = source.path.trim();
+      return sink;
+    }
+    case 'webhook': {
+      sink.url = source.url.trim();
+      if (source.headers && typeof source.headers === 'object' && !Array.isArray(source.headers)) {
+        sink.headers = Object.fromEntries(
+          Object.entries(source.headers).filter(([, value]) => typeof value === 'string'),
+        ) as Record<string, string>;
+      }
+      return sink;
+    }
+  }
+}
+
+function parseUrl(value: string): URL | null {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the stored settings, dropping sinks that siemSinkError rejects
+ */
+export function normalizeSiemForwardingConfig(raw: unknown, policy: SiemDestinationPolicy = {}): SiemForwardingConfig {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, any>) : {};
+  const sinks = Array.isArray(source.sinks) ? source.sinks : [];
+
+  return {
+    enabled: source.enabled === true,
+    sinks: sinks
+      .map((sink, index) => normalizeSink(sink, index, policy))
+      .filter((sink): sink is SiemSinkConfig => sink !== null),
+  };
+}
+
+/**
+ * Whether a sink wants an entry (its category is selected and it is severe enough)
+ */
+export function matchesSiemSink(sink: SiemSinkConfig, event: Pick<SiemAuditEvent, 'category' | 'severity'>): boolean {
+  if (!sink.enabled) return false;
+  if (sink.categories.length && !sink.categories.includes(event.category)) return false;
+
+  const severity = SEVERITIES.indexOf(event.severity as SiemSeverity);
+  return severity >= SEVERITIES.indexOf(sink.minSeverity);
+}
+
+/**
+ * Header field: printable US-ASCII without spaces, truncated, or the NILVALUE "-"
+ */
+function headerField(value: unknown, maxLength: number): string {
+  const text = value === undefined || value === null ? '' : String(value).replace(/[^\x21-\x7e]/g, '');
+  return text ? text.slice(0, maxLength) : '-';
+}
+
+function escapeParamValue(value: string): string {
+  return value.replace(/[\\"\]]/g, (char) => `\\${char}`);
+}
+
+/**
+ * RFC 5424 message for an audit entry
+ */
+export function formatSyslogMessage(event: SiemAuditEvent, options: SyslogHeaderOptions = {}): string {
+  const facility = options.facility ?? DEFAULT_SYSLOG_FACILITY;
+  const severity = SYSLOG_SEVERITY[event.severity as SiemSeverity] ?? SYSLOG_SEVERITY.LOW;
+  const timestamp = new Date(event.timestamp).toISOString();
+
+  const params: [string, unknown][] = [
+    ['id', event.id],
+    ['sequence', event.sequence],
+    ['category', event.category],
+    ['severity', event.severity],
+    ['entityType', event.entityType],
+    ['entityId', event.entityId],
+    ['userId', event.userId],
+    ['userRole', event.userRole],
+    ['userName', event.userName],
+    ['institutionId', event.institutionId],
+    ['ip', event.ipAddress],
+  ];
+  const structuredData = params
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}="${escapeParamValue(String(value))}"`)
+    .join(' ');
+
+  const message = (event.description || event.action).replace(/[\r\n]+/g, ' ');
+
+  return [
+    `<${facility * 8 + severity}>1`,
+    timestamp,
+    headerField(options.hostname, 255),
+    headerField(options.appName, 48),
+    headerField(options.procId, 128),
+    headerField(event.action, 32),
+    `[${SYSLOG_SD_ID} ${structuredData}]`,
+    message,
+  ].join(' ');
+}
+
+/**
+ * Octet-counting frame for syslog over TCP / TLS: "<byte length> <message>"
+ */
+export function frameSyslogMessage(message: string): string {
+  return `${Buffer.byteLength(message, 'utf8')} ${message}`;
+}
+
+/**
+ * Forwarded form of an entry, as used for JSON lines and webhooks
+ */
+export function toSiemJson(event: SiemAuditEvent): Record<string, unknown> {
+  return {
+    id: event.id,
+    sequence: event.sequence ?? null,
+    hash: event.hash ?? null,
+    timestamp: new Date(event.timestamp).toISOString(),
+    action: event.action,
+    category: event.category,
+    severity: event.severity,
+    entityType: event.entityType,
+    entityId: event.entityId ?? null,
+    userId: event.userId ?? null,
+    userRole: event.userRole ?? null,
+    userName: event.userName ?? null,
+    institutionId: event.institutionId ?? null,
+    description: event.description ?? null,
+    ipAddress: event.ipAddress ?? null,
+    userAgent: event.userAgent ?? null,
+  };
+}
+
+/**
+ * Exponential backoff for retrying a sink: base, 2x base, 4x base ... capped at max
+ */
+export function siemRetryDelay(attempt: number, baseMs: number, maxMs: number): number {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
+
+/**
+ * A file sink path: relative, with no ".." segments, so it stays inside SIEM_FILE_DIR
+ */
+export function isSafeSiemFilePath(value: string): boolean {
+  if (!value || value.includes('\0')) return false;
+  if (path.posix.isAbsolute(value) || path.win32.isAbsolute(value)) return false;
+  return !value.split(/[\\/]+/).includes('..');
+}
+
+/**
+ * Absolute path of a file sink inside `dir`, or null when it would land outside it
+ */
+export function resolveSiemFilePath(dir: string, value: string): string | null {
+  if (!isSafeSiemFilePath(value)) return null;
+
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, value);
+  const relative = path.relative(root, resolved);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? resolved : null;
+}
+
+/**
+ * Comma separated host list from the environment, lowercased
+ */
+export function parseSiemHostList(value: string | undefined): string[] {
+  return (value || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1'))
+    .filter(Boolean);
+}
+
+/**
+ * Loopback, private, link-local (incl. cloud metadata 169.254.169.254), shared,
+ * multicast and unspecified addresses
+ */
+export function isInternalAddress(address: string): boolean {
+  const ip = address.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+
+  if (net.isIPv6(ip)) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+    if (mapped) return isInternalAddress(mapped[1]);
+    if (/^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(ip)) {
+      const [high, low] = ip.slice(7).split(':').map((part) => parseInt(part, 16));
+      return isInternalAddress([high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+    }
+    return (
+      ip === '::' ||
+      ip === '::1' ||
+      /^f[cd][0-9a-f]{2}:/.test(ip) || // unique local fc00::/7
+      /^fe[89ab][0-9a-f]:/.test(ip) || // link-local fe80::/10
+      /^ff[0-9a-f]{2}:/.test(ip) // multicast
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Whether a webhook may target `hostname` by name. Names that resolve to internal
+ * addresses are refused again when the forwarder connects.
+ */
+export function isWebhookHostAllowed(hostname: string, allowedHosts: string[] = []): boolean {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  if (allowedHosts.includes(host)) return true;
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  return !isInternalAddress(host);
+}
@@ -39,6 +39,7 @@ export interface StudentDocumentOptions {
   month?: string; // e.g., 'january'
   year?: string;
   customName?: string;
+  revision?: number; // Monthly report version; versions after the first get their own file
 }
 
 export interface ReportUploadOptions {
@@ -226,13 +227,14 @@ export class FileStorageService implements OnModuleInit {
    *   - dte_punjab/profile/2021001_profile.webp
    *   - dte_punjab/joining-letters/2021001_joiningletter.pdf
    *   - dte_punjab/reports/2021001_january_2025_monthlyreport.pdf
+   *   - dte_punjab/reports/2021001_january_2025_monthlyreport_v2.pdf (resubmission)
    *   - dte_punjab/documents/2021001_resume_document.pdf
    */
   private buildStudentDocumentPath(
     originalName: string,
     options: StudentDocumentOptions,
   ): string {
-    const { institutionName, rollNumber, documentType, month, year, customName } = options;
+    const { institutionName, rollNumber, documentType, month, year, customName, revision } = options;
     const sanitizedInstitution = this.sanitizeFolderName(institutionName);
     const sanitizedRollNumber = this.sanitizeRollNumber(rollNumber);
     const ext = originalName.split('.').pop()?.toLowerCase() || 'pdf';
@@ -252,7 +254,8 @@ export class FileStorageService implements OnModuleInit {
       case 'monthly-report':
         const monthName = month || new Date().toLocaleString('default', { month: 'long' }).toLowerCase();
         const yearStr = year || new Date().getFullYear().toString();
-        filename = `${sanitizedRollNumber}_${monthName}_${yearStr}_monthlyreport.${ext}`;
+        const versionSuffix = revision && revision > 1 ? `_v${revision}` : '';
+        filename = `${sanitizedRollNumber}_${monthName}_${yearStr}_monthlyreport${versionSuffix}.${ext}`;
         folderPath = `${sanitizedInstitution}/reports`;
         break;
       case 'completion-certificate':
@@ -0,0 +1,143 @@
+import { Role, ScheduledNotificationStatus } from '../../generated/prisma/client';
+import { NotificationSchedulerService } from './notification-scheduler.service';
+
+/**
+ * In-memory scheduled_notifications table for the filters the scheduler uses
+ */
+function createPrisma() {
+  const rows = new Map<string, any>();
+  const matches = (row: any, where: any) =>
+    Object.entries(where).every(([key, value]: [string, any]) =>
+      value && typeof value === 'object' && 'lt' in value ? row[key] < value.lt : row[key] === value,
+    );
+  const touch = (row: any, data: any) => Object.assign(row, data, { updatedAt: new Date() });
+
+  const scheduledNotification = {
+    create: async ({ data }: any) => {
+      const row = { status: ScheduledNotificationStatus.PENDING, updatedAt: new Date(), ...data };
+      rows.set(row.id, row);
+      return { ...row };
+    },
+    findUnique: async ({ where }: any) => (rows.has(where.id) ? { ...rows.get(where.id) } : null),
+    findFirst: async ({ where }: any) => [...rows.values()].find((row) => matches(row, where)) ?? null,
+    findMany: async ({ where }: any) => [...rows.values()].filter((row) => matches(row, where)).map((row) => ({ ...row })),
+    update: async ({ where, data }: any) => ({ ...touch(rows.get(where.id), data) }),
+    updateMany: async ({ where, data }: any) => {
+      const matched = [...rows.values()].filter((row) => matches(row, where));
+      matched.forEach((row) => touch(row, data));
+      return { count: matched.length };
+    },
+  };
+
+  return { prisma: { scheduledNotification } as any, rows };
+}
+
+/**
+ * BullMQ stand-in: adding an existing job ID is ignored, like the real queue
+ */
+function createQueue() {
+  const jobs = new Map<string, any>();
+  const state = { removable: true };
+
+  const queue: any = {
+    add: jest.fn(async (name: string, data: any, options: any) => {
+      if (!jobs.has(options.jobId)) jobs.set(options.jobId, { id: options.jobId, name, data });
+    }),
+    getJob: async (jobId: string) => {
+      const job = jobs.get(jobId);
+      return job
+        ? {
+            ...job,
+            remove: async () => {
+              if (!state.removable) throw new Error('Job is locked');
+              jobs.delete(jobId);
+            },
+          }
+        : undefined;
+    },
+  };
+
+  return { queue, jobs, state };
+}
+
+describe('NotificationSchedulerService scheduled notifications', () => {
+  const setup = () => {
+    const { prisma, rows } = createPrisma();
+    const { queue, jobs, state } = createQueue();
+    const config: any = { get: (_key: string, fallback?: string) => fallback };
+    const service = new NotificationSchedulerService(queue, {} as any, {} as any, prisma, {} as any, config);
+    const dispatch = jest.spyOn(service as any, 'dispatchScheduled').mockResolvedValue({ sent: 1 });
+
+    // Fire every queued job the way the worker does
+    const fireAll = () =>
+      Promise.all([...jobs.values()].map((job) => service.deliverScheduledNotification(job.data.scheduledNotificationId, job.id)));
+
+    return { service, rows, jobs, queueState: state, dispatch, fireAll };
+  };
+
+  const input = (scheduledAt: Date) => ({
+    kind: 'send' as const,
+    title: 'Exam schedule',
+    body: 'Published',
+    payload: { target: 'user', userId: 'user-1' },
+    scheduledAt,
+    createdBy: { userId: 'admin-1', role: Role.SYSTEM_ADMIN },
+  });
+
+  it('stores the job ID before queueing the job', async () => {
+    const { service, jobs } = setup();
+
+    const scheduled = await service.scheduleNotification(input(new Date(Date.now() + 60_000)));
+
+    expect(scheduled.jobId).toMatch(new RegExp(`^scheduled-notification-${scheduled.id}-`));
+    expect([...jobs.keys()]).toEqual([scheduled.jobId]);
+  });
+
+  it('skips the old job when a reschedule could not remove it', async () => {
+    const { service, rows, jobs, queueState, dispatch, fireAll } = setup();
+    const scheduled = await service.scheduleNotification(input(new Date(Date.now() + 60_000)));
+    queueState.removable = false;
+
+    const moved = await service.rescheduleNotification(scheduled.id, new Date(Date.now() + 120_000));
+
+    expect(moved.jobId).not.toBe(scheduled.jobId);
+    expect(jobs.size).toBe(2);
+
+    const results = await fireAll();
+
+    expect(results).toEqual([{ success: true, skipped: true }, { success: true, result: { sent: 1 } }]);
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(rows.get(scheduled.id).status).toBe(ScheduledNotificationStatus.SENT);
+  });
+
+  it('reclaims notifications a stopped worker left processing', async () => {
+    const { service, rows, jobs, dispatch } = setup();
+    const scheduled = await service.scheduleNotification(input(new Date(Date.now() - 60_000)));
+    const row = rows.get(scheduled.id);
+
+    // The worker claimed the row, then died; BullMQ dropped the job
+    Object.assign(row, { status: ScheduledNotificationStatus.PROCESSING, updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+    jobs.clear();
+
+    await service.requeueScheduledNotifications();
+
+    expect(row.status).toBe(ScheduledNotificationStatus.PENDING);
+    expect(row.jobId).not.toBe(scheduled.jobId);
+    expect([...jobs.keys()]).toEqual([row.jobId]);
+
+    await expect(service.deliverScheduledNotification(scheduled.id, row.jobId)).resolves.toMatchObject({ success: true });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves recently claimed notifications alone', async () => {
+    const { service, rows, jobs } = setup();
+    const scheduled = await service.scheduleNotification(input(new Date()));
+    Object.assign(rows.get(scheduled.id), { status: ScheduledNotificationStatus.PROCESSING, updatedAt: new Date() });
+    jobs.clear();
+
+    await service.requeueScheduledNotifications();
+
+    expect(rows.get(scheduled.id).status).toBe(ScheduledNotificationStatus.PROCESSING);
+    expect(jobs.size).toBe(0);
+  });
+});
@@ -1,21 +1,77 @@
-import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import { BadRequestException, Injectable, Logger } from '@nestjs/common';
 import { Cron, CronExpression } from '@nestjs/schedule';
+import { InjectQueue } from '@nestjs/bullmq';
+import { Queue } from 'bullmq';
 import { NotificationService } from './notification.service';
+import {
+  NotificationSenderService,
+  NotificationType,
+  SendNotificationOptions,
+} from './notification-sender.service';
 import { PrismaService } from '../../core/database/prisma.service';
 import { MailService } from '../mail/mail.service';
 import { ConfigService } from '@nestjs/config';
-import { ApplicationStatus } from '../../generated/prisma/client';
+import { randomBytes, randomUUID } from 'crypto';
+import {
+  ApplicationStatus,
+  Prisma,
+  Role,
+  ScheduledNotification,
+  ScheduledNotificationStatus,
+} from '../../generated/prisma/client';
+
+/**
+ * How the audience of a scheduled notification is resolved when it fires.
+ * Mirrors the send endpoints under shared/notifications.
+ */
+export type ScheduledNotificationKind =
+  | 'send'
+  | 'student-reminder'
+  | 'institution-announcement'
+  | 'system-announcement';
+
+/**
+ * Audience and delivery options stored with a scheduled notification
+ */
+export interface ScheduledNotificationPayload {
+  target?: string;
+  userId?: string;
+  userIds?: string[];
+  role?: Role;
+  institutionId?: string;
+  roleFilter?: Role[];
+  targetRoles?: Role[];
+  studentIds?: string[];
+  sendEmail?: boolean;
+  force?: boolean;
+  data?: Record<string, any>;
+}
+
+export interface ScheduleNotificationInput {
+  kind: ScheduledNotificationKind;
+  type?: NotificationType;
+  title: string;
+  body: string;
+  payload: ScheduledNotificationPayload;
+  scheduledAt: Date;
+  createdBy: { userId: string; role: Role; institutionId?: string | null };
+}
+
+/**
+ * Scheduled notifications still PROCESSING after this long were abandoned by a worker
+ * that stopped mid-delivery and are queued again
+ */
+const SCHEDULED_PROCESSING_STALE_MS = 30 * 60 * 1000;
 
 @Injectable()
-export class NotificationSchedulerService implements OnModuleDestroy {
+export class NotificationSchedulerService {
   private readonly logger = new Logger(NotificationSchedulerService.name);
   private readonly appUrl: string;
 
-  // Track scheduled timeouts for cleanup
-  private scheduledTimeouts: Map<string, NodeJS.Timeout> = new Map();
-
   constructor(
+    @InjectQueue('notifications') private readonly notificationQueue: Queue,
     private notificationService: NotificationService,
+    private notificationSender: NotificationSenderService,
     private prisma: PrismaService,
     private mailService: MailService,
     private configService: ConfigService,
@@ -23,18 +79,6 @@ export class NotificationSchedulerService implements OnModuleDestroy {
     this.appUrl = this.configService.get('FRONTEND_URL') || this.configService.get('APP_URL', 'http://localhost:5173');
   }
 
-  /**
-   * Cleanup all scheduled timeouts on module destroy
-   */
-  onModuleDestroy(): void {
-    this.logger.log(`Cleaning up ${this.scheduledTimeouts.size} scheduled notifications`);
-    for (const [id, timeout] of this.scheduledTimeouts) {
-      clearTimeout(timeout);
-      this.logger.debug(`Cleared scheduled notification: ${id}`);
-    }
-    this.scheduledTimeouts.clear();
-  }
-
   // ============ FACULTY VISIT REMINDERS ============
   /**
    * Remind faculty 7 days before visit is due
@@ -422,73 +466,336 @@ export class NotificationSchedulerService implements OnModuleDestroy {
     }
   }
 
-  // ============ UTILITY METHODS ============
+  // ============ SCHEDULED NOTIFICATIONS ============
   /**
-   * Schedule a notification for a specific user
-   * Returns the schedule ID for cancellation if needed
+   * Persist a notification for future delivery and queue a delayed job to fire it.
+   * Times in the past are delivered as soon as a worker picks the job up.
+   *
+   * Each schedule version has its own job ID, stored on the row before the job is
+   * queued; a job only delivers while its ID is the stored one, so jobs left behind by a
+   * reschedule or a reclaim can't fire.
    */
-  async scheduleNotification(
-    userId: string,
-    type: string,
-    title: string,
-    body: string,
-    scheduledAt: Date,
-    data?: any,
-  ): Promise<string | null> {
+  async scheduleNotification(input: ScheduleNotificationInput): Promise<ScheduledNotification> {
+    const id = randomUUID();
+    const scheduled = await this.prisma.scheduledNotification.create({
+      data: {
+        id,
+        kind: input.kind,
+        type: input.type ?? 'ANNOUNCEMENT',
+        title: input.title,
+        body: input.body,
+        payload: input.payload as Prisma.InputJsonValue,
+        scheduledAt: input.scheduledAt,
+        jobId: this.newJobId(id),
+        createdById: input.createdBy.userId,
+        createdByRole: input.createdBy.role,
+        institutionId: input.createdBy.institutionId ?? null,
+      },
+    });
+
+    await this.enqueue(scheduled);
+    this.logger.log(`Notification ${scheduled.id} scheduled for ${scheduled.scheduledAt.toISOString()} (job ${scheduled.jobId})`);
+
+    return scheduled;
+  }
+
+  /**
+   * Cancel a pending scheduled notification
+   */
+  async cancelScheduledNotification(id: string, cancelledBy: string): Promise<ScheduledNotification> {
+    const { count } = await this.prisma.scheduledNotification.updateMany({
+      where: { id, status: ScheduledNotificationStatus.PENDING },
+      data: { status: ScheduledNotificationStatus.CANCELLED, cancelledAt: new Date(), cancelledBy },
+    });
+
+    if (count === 0) {
+      throw new BadRequestException('Only pending scheduled notifications can be cancelled');
+    }
+
+    const cancelled = await this.prisma.scheduledNotification.findUnique({ where: { id } });
+    await this.removeJob(cancelled.jobId);
+    this.logger.log(`Scheduled notification ${id} cancelled by ${cancelledBy}`);
+
+    return cancelled;
+  }
+
+  /**
+   * Move a pending scheduled notification to a new delivery time. The new time gets a
+   * new job ID, so the old job is skipped even if it can't be removed from the queue.
+   */
+  async rescheduleNotification(id: string, scheduledAt: Date): Promise<ScheduledNotification> {
+    const previous = await this.prisma.scheduledNotification.findFirst({
+      where: { id, status: ScheduledNotificationStatus.PENDING },
+      select: { jobId: true },
+    });
+    const { count } = previous
+      ? await this.prisma.scheduledNotification.updateMany({
+          where: { id, status: ScheduledNotificationStatus.PENDING, jobId: previous.jobId },
+          data: { scheduledAt, jobId: this.newJobId(id) },
+        })
+      : { count: 0 };
+
+    if (count === 0) {
+      throw new BadRequestException('Only pending scheduled notifications can be rescheduled');
+    }
+
+    await this.removeJob(previous.jobId);
+    const scheduled = await this.prisma.scheduledNotification.findUnique({ where: { id } });
+    await this.enqueue(scheduled);
+    this.logger.log(`Scheduled notification ${id} moved to ${scheduledAt.toISOString()} (job ${scheduled.jobId})`);
+
+    return scheduled;
+  }
+
+  /**
+   * Deliver a scheduled notification. Called by the notifications queue worker when the
+   * delayed job fires; the status claim makes repeated or concurrent runs a no-op, and
+   * the job ID check skips jobs of an earlier schedule version.
+   */
+  async deliverScheduledNotification(
+    id: string,
+    jobId?: string,
+  ): Promise<{ success: boolean; skipped?: boolean; result?: any }> {
+    const { count } = await this.prisma.scheduledNotification.updateMany({
+      where: { id, status: ScheduledNotificationStatus.PENDING, ...(jobId && { jobId }) },
+      data: { status: ScheduledNotificationStatus.PROCESSING },
+    });
+
+    if (count === 0) {
+      this.logger.debug(`Scheduled notification ${id} is no longer pending for job ${jobId ?? '-'}, skipping`);
+      return { success: true, skipped: true };
+    }
+
+    const scheduled = await this.prisma.scheduledNotification.findUnique({ where: { id } });
+
     try {
-      const delay = scheduledAt.getTime() - Date.now();
-
-      if (delay > 0) {
-        // Generate unique ID for this scheduled notification
-        const scheduleId = `${userId}-${type}-${Date.now()}`;
-
-        const timeout = setTimeout(async () => {
-          try {
-            await this.notificationService.create(userId, type, title, body, data);
-            this.logger.log(`Scheduled notification sent to user ${userId}`);
-          } catch (error) {
-            this.logger.error(`Failed to send scheduled notification to user ${userId}`, error.stack);
-          } finally {
-            // Remove from tracking after execution
-            this.scheduledTimeouts.delete(scheduleId);
-          }
-        }, delay);
+      const result = await this.dispatchScheduled(scheduled);
+
+      await this.prisma.scheduledNotification.update({
+        where: { id },
+        data: { status: ScheduledNotificationStatus.SENT, sentAt: new Date(), result: result as Prisma.InputJsonValue },
+      });
+
+      this.logger.log(`Scheduled notification ${id} delivered: "${scheduled.title}"`);
+      return { success: true, result };
+    } catch (error) {
+      await this.prisma.scheduledNotification.update({
+        where: { id },
+        data: { status: ScheduledNotificationStatus.FAILED, error: error.message?.slice(0, 1000) },
+      });
+
+      this.logger.error(`Failed to deliver scheduled notification ${id}`, error.stack);
+      return { success: false };
+    }
+  }
 
-        // Track the timeout for cleanup
-        this.scheduledTimeouts.set(scheduleId, timeout);
-        this.logger.log(`Notification scheduled for user ${userId} at ${scheduledAt} (ID: ${scheduleId})`);
+  /**
+   * Re-queue pending notifications whose delayed job is missing, e.g. after the queue
+   * store was flushed, and reclaim notifications a stopped worker left PROCESSING.
+   * Missing jobs are re-added under the stored job ID and reclaims are claimed with a
+   * conditional update, so this is safe to run on every instance.
+   */
+  @Cron(CronExpression.EVERY_10_MINUTES)
+  async requeueScheduledNotifications(): Promise<void> {
+    try {
+      const reclaimed = await this.reclaimStaleScheduledNotifications();
 
-        return scheduleId;
-      } else {
-        this.logger.warn('Scheduled time is in the past, sending immediately');
-        await this.notificationService.create(userId, type, title, body, data);
-        return null;
+      const pending = await this.prisma.scheduledNotification.findMany({
+        where: { status: ScheduledNotificationStatus.PENDING },
+      });
+
+      let requeued = 0;
+      for (let scheduled of pending) {
+        if (!scheduled.jobId) {
+          const { count } = await this.prisma.scheduledNotification.updateMany({
+            where: { id: scheduled.id, status: ScheduledNotificationStatus.PENDING, jobId: null },
+            data: { jobId: this.newJobId(scheduled.id) },
+          });
+          if (count === 0) continue;
+          scheduled = await this.prisma.scheduledNotification.findUnique({ where: { id: scheduled.id } });
+        }
+
+        const job = await this.notificationQueue.getJob(scheduled.jobId);
+        if (!job) {
+          await this.enqueue(scheduled);
+          requeued++;
+        }
+      }
+
+      if (requeued > 0) {
+        this.logger.warn(
+          `Re-queued ${requeued} scheduled notification(s) with missing jobs` +
+            (reclaimed > 0 ? ` (${reclaimed} reclaimed from a stopped worker)` : ''),
+        );
       }
     } catch (error) {
-      this.logger.error('Failed to schedule notification', error.stack);
-      throw error;
+      this.logger.error('Failed to re-queue scheduled notifications', error.stack);
     }
   }
 
   /**
-   * Cancel a scheduled notification
+   * Return notifications stuck in PROCESSING to PENDING under a new job ID. Delivery is
+   * at least once: recipients reached before the worker stopped may be notified again.
    */
-  cancelScheduledNotification(scheduleId: string): boolean {
-    const timeout = this.scheduledTimeouts.get(scheduleId);
-    if (timeout) {
-      clearTimeout(timeout);
-      this.scheduledTimeouts.delete(scheduleId);
-      this.logger.log(`Cancelled scheduled notification: ${scheduleId}`);
-      return true;
+  private async reclaimStaleScheduledNotifications(): Promise<number> {
+    const staleBefore = new Date(Date.now() - SCHEDULED_PROCESSING_STALE_MS);
+    const stale = await this.prisma.scheduledNotification.findMany({
+      where: { status: ScheduledNotificationStatus.PROCESSING, updatedAt: { lt: staleBefore } },
+      select: { id: true },
+    });
+
+    let reclaimed = 0;
+    for (const { id } of stale) {
+      const { count } = await this.prisma.scheduledNotification.updateMany({
+        where: { id, status: ScheduledNotificationStatus.PROCESSING, updatedAt: { lt: staleBefore } },
+        data: { status: ScheduledNotificationStatus.PENDING, jobId: this.newJobId(id) },
+      });
+      if (count > 0) {
+        this.logger.warn(`Scheduled notification ${id} was left processing by a stopped worker, re-queueing`);
+        reclaimed++;
+      }
+    }
+    return reclaimed;
+  }
+
+  private newJobId(scheduledNotificationId: string): string {
+    return `scheduled-notification-${scheduledNotificationId}-${randomBytes(4).toString('hex')}`;
+  }
+
+  private async enqueue(scheduled: ScheduledNotification): Promise<void> {
+    await this.notificationQueue.add(
+      'scheduled-notification',
+      { scheduledNotificationId: scheduled.id },
+      {
+        jobId: scheduled.jobId,
+        delay: Math.max(0, scheduled.scheduledAt.getTime() - Date.now()),
+        attempts: 1,
+        removeOnComplete: true,
+        removeOnFail: 100,
+      },
+    );
+  }
+
+  private async removeJob(jobId: string | null): Promise<void> {
+    if (!jobId) return;
+    try {
+      const job = await this.notificationQueue.getJob(jobId);
+      await job?.remove();
+    } catch (error) {
+      // Housekeeping only: a leftover job no longer matches the stored job ID and is skipped
+      this.logger.warn(`Could not remove scheduled notification job ${jobId}: ${error.message}`);
     }
-    return false;
   }
 
   /**
-   * Get count of pending scheduled notifications
+   * Resolve the audience at delivery time so recipients added after scheduling are included
    */
-  getPendingScheduledCount(): number {
-    return this.scheduledTimeouts.size;
+  private async dispatchScheduled(scheduled: ScheduledNotification): Promise<Record<string, unknown>> {
+    const payload = (scheduled.payload ?? {}) as ScheduledNotificationPayload;
+    const type = scheduled.type as NotificationType;
+    const content = {
+      type,
+      title: scheduled.title,
+      body: scheduled.body,
+      sendEmail: payload.sendEmail,
+      initiatedBy: scheduled.createdById,
+    };
+
+    switch (scheduled.kind) {
+      case 'student-reminder':
+        return this.sendToMentees(scheduled.createdById, payload.studentIds, {
+          ...content,
+          data: { ...payload.data, fromFaculty: scheduled.createdById },
+        });
+
+      case 'institution-announcement':
+        return this.notificationSender.sendToInstitutionAsync(
+          scheduled.institutionId,
+          { ...content, data: { ...payload.data, fromPrincipal: scheduled.createdById } },
+          payload.targetRoles,
+        );
+
+      case 'system-announcement': {
+        const data = { ...payload.data, fromAdmin: scheduled.createdById };
+        if (payload.targetRoles?.length) {
+          const results = await Promise.all(
+            payload.targetRoles.map((role) =>
+              this.notificationSender.sendToRoleAsync(role, { ...content, data, force: payload.force }),
+            ),
+          );
+          return {
+            jobIds: results.map((r) => r.jobId),
+            totalUsers: results.reduce((sum, r) => sum + r.totalUsers, 0),
+          };
+        }
+        return this.broadcastToAll({ ...content, data, force: payload.force });
+      }
+
+      case 'send':
+        switch (payload.target) {
+          case 'user': {
+            const result = await this.notificationSender.send({ ...content, userId: payload.userId, data: payload.data });
+            return { ...result, totalUsers: 1 };
+          }
+          case 'users':
+            return this.notificationSender.sendBulkAsync({ ...content, userIds: payload.userIds || [], data: payload.data });
+          case 'role':
+            return this.notificationSender.sendToRoleAsync(payload.role, { ...content, data: payload.data });
+          case 'institution':
+            return this.notificationSender.sendToInstitutionAsync(
+              payload.institutionId || scheduled.institutionId,
+              { ...content, data: payload.data },
+              payload.roleFilter,
+            );
+          case 'my_students':
+            return this.sendToMentees(scheduled.createdById, undefined, { ...content, data: payload.data });
+          case 'broadcast':
+            return this.broadcastToAll({ ...content, data: payload.data });
+          default:
+            throw new Error(`Unknown notification target: ${payload.target}`);
+        }
+
+      default:
+        throw new Error(`Unknown scheduled notification kind: ${scheduled.kind}`);
+    }
+  }
+
+  private async sendToMentees(
+    mentorId: string,
+    studentIds: string[] | undefined,
+    options: Omit<SendNotificationOptions, 'userId'> & { initiatedBy?: string },
+  ) {
+    // Assignments are re-checked at delivery in case a student was reassigned meanwhile
+    const assignments = await this.prisma.mentorAssignment.findMany({
+      where: {
+        mentorId,
+        isActive: true,
+        ...(studentIds?.length ? { studentId: { in: studentIds } } : {}),
+      },
+      select: { student: { select: { userId: true } } },
+    });
+
+    const userIds = [...new Set(assignments.map((a) => a.student?.userId).filter(Boolean))];
+    if (userIds.length === 0) {
+      return { totalUsers: 0, message: 'No assigned students found' };
+    }
+
+    return this.notificationSender.sendBulkAsync({ ...options, userIds });
+  }
+
+  private async broadcastToAll(options: Omit<SendNotificationOptions, 'userId'> & { initiatedBy?: string }) {
+    this.notificationSender.broadcast(options.type, options.title, options.body, options.data);
+
+    const users = await this.prisma.user.findMany({
+      where: { active: true },
+      select: { id: true },
+    });
+
+    return this.notificationSender.sendBulkAsync({
+      ...options,
+      userIds: users.map((u) => u.id),
+      sendRealtime: false, // Already broadcast via WebSocket
+    });
   }
 
   /**
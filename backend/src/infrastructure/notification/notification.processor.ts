@@ -3,6 +3,7 @@ import { Injectable, Logger } from '@nestjs/common';
 import { Job } from 'bullmq';
 import { PrismaService } from '../../core/database/prisma.service';
 import { NotificationService } from './notification.service';
+import { NotificationSchedulerService } from './notification-scheduler.service';
 import { WebSocketService } from '../websocket/websocket.service';
 import { MailService } from '../mail/mail.service';
 import { NotificationPayload } from '../websocket/dto';
@@ -45,6 +46,13 @@ export interface SingleNotificationJobData {
   force?: boolean;
 }
 
+/**
+ * Job data for a delayed scheduled-notification job; the details live in the database
+ */
+export interface ScheduledNotificationJobData {
+  scheduledNotificationId: string;
+}
+
 @Processor('notifications')
 @Injectable()
 export class NotificationProcessor extends WorkerHost {
@@ -84,11 +92,14 @@ export class NotificationProcessor extends WorkerHost {
     private readonly notificationService: NotificationService,
     private readonly wsService: WebSocketService,
     private readonly mailService: MailService,
+    private readonly schedulerService: NotificationSchedulerService,
   ) {
     super();
   }
 
-  async process(job: Job<BulkNotificationJobData | SingleNotificationJobData>): Promise<any> {
+  async process(
+    job: Job<BulkNotificationJobData | SingleNotificationJobData | ScheduledNotificationJobData>,
+  ): Promise<any> {
     const jobName = job.name;
 
     this.logger.log(`Processing notification job: ${jobName} (${job.id})`);
@@ -99,6 +110,11 @@ export class NotificationProcessor extends WorkerHost {
           return this.processBulkNotification(job as Job<BulkNotificationJobData>);
         case 'single-notification':
           return this.processSingleNotification(job as Job<SingleNotificationJobData>);
+        case 'scheduled-notification':
+          return this.schedulerService.deliverScheduledNotification(
+            (job.data as ScheduledNotificationJobData).scheduledNotificationId,
+            job.id,
+          );
         default:
           this.logger.warn(`Unknown job name: ${jobName}`);
           return { success: false, error: 'Unknown job type' };
@@ -138,7 +138,7 @@ export interface BackupProgressPayload {
 export interface RestoreProgressPayload {
   backupId: string;
   status: 'in_progress' | 'completed' | 'failed';
-  stage: 'initializing' | 'downloading' | 'restoring' | 'finalizing' | 'done';
+  stage: 'initializing' | 'safety_snapshot' | 'downloading' | 'restoring' | 'finalizing' | 'done';
   progress?: number;
   message?: string;
   timestamp: Date;
@@ -0,0 +1,30 @@
+const { TestEnvironment } = require('jest-environment-node');
+
+/**
+ * Node test environment that lets a suite switch the process timezone.
+ *
+ * Jest hands each test file a copy of process.env, so assigning TZ inside a
+ * test never reaches the real process and local-time Date math is unaffected.
+ * Suites opt in with a `@jest-environment ../test/timezone-environment.js`
+ * docblock and call the global setTimezone('Area/City').
+ */
+class TimezoneEnvironment extends TestEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    this.originalTimezone = process.env.TZ;
+    this.global.setTimezone = (timezone) => {
+      process.env.TZ = timezone;
+    };
+  }
+
+  async teardown() {
+    if (this.originalTimezone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = this.originalTimezone;
+    }
+    await super.teardown();
+  }
+}
+
+module.exports = TimezoneEnvironment;
@@ -35,6 +35,7 @@ import ChangePassword from '../../features/auth/components/ChangePassword';
 import Signup from '../../features/auth/components/Signup';
 import StudentSignup from '../../features/auth/components/StudentSignup';
 import StudentLogin from '../../features/auth/components/StudentLogin';
+import VerifyDocument from '../../features/verification/VerifyDocument';
 
 // State
 import StateDashboard from '../../features/state/dashboard/StateDashboard';
@@ -49,6 +50,7 @@ import AuditLogs from '../../features/state/audit/AuditLogs';
 import BulkUserCreate from '../../features/state/users/BulkUserCreate';
 import CredentialsReset from '../../features/state/users/CredentialsReset';
 import CompaniesOverview from '../../features/state/companies/CompaniesOverview';
+import IndustryPartners from '../../features/state/companies/IndustryPartners';
 import RestoreCenter from '../../features/state/restore/RestoreCenter';
 import MasterData from '../../features/state/master-data/MasterData';
 
@@ -59,6 +61,8 @@ import SubmitGrievance from '../../features/student/grievances/SubmitGrievance';
 
 // Help & Support
 import { HelpCenter, MyTickets, SupportDashboard } from '../../features/help-support';
+import { NoticeBoard, ManageNotices } from '../../features/notices';
+import { AcademicCalendar } from '../../features/academic-calendar';
 
 // Principal
 import PrincipalDashboard from '../../features/principal/dashboard/PrincipalDashboard';
@@ -77,6 +81,7 @@ import BulkJobHistory from '../../features/common/bulk/BulkJobHistory';
 // Faculty
 import FacultyDashboard from '../../features/faculty/dashboard/FacultyDashboard';
 import VisitLogList from '../../features/faculty/visits/VisitLogList';
+import VisitCalendar from '../../features/faculty/visits/VisitCalendar';
 import AssignedStudentsList from '../../features/faculty/students/AssignedStudentsList';
 import SelfIdentifiedApproval from '../../features/faculty/approvals/SelfIdentifiedApproval';
 import MonthlyReportsPage from '../../features/faculty/reports/MonthlyReportsPage';
@@ -86,7 +91,6 @@ import FacultyGrievances from '../../features/faculty/grievances/FacultyGrievanc
 // Student
 import StudentDashboard from '../../features/student/dashboard/StudentDashboard';
 import StudentProfile from '../../features/student/profile/StudentProfile';
-import MonthlyReportForm from '../../features/student/reports/MonthlyReportForm';
 import StudentReportSubmit from '../../features/student/reports/StudentReportSubmit';
 import InternshipList from '../../features/student/internships/InternshipList';
 import InternshipDetails from '../../features/student/internships/InternshipDetails';
@@ -97,6 +101,7 @@ import IndustryDashboard from '../../features/industry/dashboard/IndustryDashboa
 import InternshipPostingList from '../../features/industry/postings/InternshipPostingList';
 import ApplicationsList from '../../features/industry/applications/ApplicationsList';
 import IndustryProfile from '../../features/industry/profile/IndustryProfile';
+import PlacedStudents from '../../features/industry/students/PlacedStudents';
 
 // Admin
 import {
@@ -168,6 +173,8 @@ const AppRoutes = () => {
       <Route path="/forgot-password" element={<ForgotPassword />} />
       <Route path="/reset-password" element={<ResetPassword />} />
       <Route path="/reset-password/:token" element={<ResetPassword />} />
+      <Route path="/verify" element={<VerifyDocument />} />
+      <Route path="/verify/:code" element={<VerifyDocument />} />
 
       {/* Protected Routes */}
       <Route
@@ -221,6 +228,14 @@ const AppRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="industry-partners"
+          element={
+            <ProtectedRoute allowedRoles={[ROLES.STATE]}>
+              <IndustryPartners />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="restore-center"
           element={
@@ -401,6 +416,14 @@ const AppRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="visit-calendar"
+          element={
+            <ProtectedRoute allowedRoles={ROLES.FACULTY}>
+              <VisitCalendar />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="assigned-students"
           element={
@@ -455,7 +478,7 @@ const AppRoutes = () => {
           path="reports/new"
           element={
             <ProtectedRoute allowedRoles={[ROLES.STUDENT]}>
-              <MonthlyReportForm />
+              <Navigate to="/app/reports/submit" replace />
             </ProtectedRoute>
           }
         />
@@ -471,7 +494,7 @@ const AppRoutes = () => {
           path="reports/:id/edit"
           element={
             <ProtectedRoute allowedRoles={[ROLES.STUDENT]}>
-              <MonthlyReportForm />
+              <Navigate to="/app/reports/submit" replace />
             </ProtectedRoute>
           }
         />
@@ -515,6 +538,14 @@ const AppRoutes = () => {
         />
 
         {/* Industry Routes */}
+        <Route
+          path="industry/students"
+          element={
+            <ProtectedRoute allowedRoles={ROLES.INDUSTRY}>
+              <PlacedStudents />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="postings"
           element={
@@ -567,6 +598,20 @@ const AppRoutes = () => {
         />
         <Route path="change-password" element={<ChangePassword />} />
 
+        {/* Circulars & Notices - board for all users, management for issuers */}
+        <Route path="notices" element={<NoticeBoard />} />
+        <Route
+          path="notices/manage"
+          element={
+            <ProtectedRoute allowedRoles={[ROLES.STATE, ROLES.PRINCIPAL, ROLES.SYSTEM_ADMIN]}>
+              <ManageNotices />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Academic Calendar - events and deadlines for all users, editable by state and principals */}
+        <Route path="academic-calendar" element={<AcademicCalendar />} />
+
         {/* Help & Support Routes - Available to all authenticated users */}
         <Route path="help" element={<HelpCenter />} />
         <Route path="my-tickets" element={<MyTickets />} />
@@ -735,12 +780,7 @@ const DashboardRouter = () => {
   }
   // Industry (includes INDUSTRY_PARTNER, INDUSTRY_SUPERVISOR)
   if (ROLES.INDUSTRY.includes(role)) {
-    return (
-      <ComingSoon
-        title="Industry Dashboard"
-        description="View your company's dashboard with analytics and insights. This feature is currently under development and will be available soon."
-      />
-    );
+    return <IndustryDashboard />;
   }
 
   return <Navigate to="/login" replace />;
@@ -189,6 +189,7 @@ const UserProfile = ({ visible, onClose }) => {
       TEACHER: { color: 'green', label: 'Teacher' },
       FACULTY_SUPERVISOR: { color: 'cyan', label: 'Faculty Supervisor' },
       INDUSTRY: { color: 'orange', label: 'Industry' },
+      INDUSTRY_SUPERVISOR: { color: 'orange', label: 'Industry Supervisor' },
       STATE_DIRECTORATE: { color: 'red', label: 'State Directorate' },
       SYSTEM_ADMIN: { color: 'magenta', label: 'System Admin' },
       ACCOUNTANT: { color: 'gold', label: 'Accountant' },
@@ -0,0 +1,349 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, Empty, Input, Popconfirm, Spin, Tag, Typography, theme } from 'antd';
+import {
+  LeftOutlined,
+  RightOutlined,
+  CommentOutlined,
+  DeleteOutlined,
+  FileTextOutlined,
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import * as pdfjs from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const { Text, Paragraph } = Typography;
+
+// Drags smaller than this fraction of the page are treated as clicks
+const MIN_REGION = 0.01;
+
+const hasRegion = (annotation) => annotation.x !== null && annotation.x !== undefined;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Renders a PDF one page at a time with comment boxes drawn over it.
+ * When editable, dragging on the page highlights a region and opens a comment box;
+ * "Comment on page" adds a comment without a region. Regions are stored as
+ * fractions of the page size so they line up at any zoom level.
+ */
+const AnnotatedPdfViewer = ({
+  fileUrl,
+  annotations = [],
+  editable = false,
+  onAdd,
+  onDelete,
+  canDelete = () => false,
+}) => {
+  const { token } = theme.useToken();
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  const [pdf, setPdf] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState({ width: 0, height: 0 });
+  const [dragStart, setDragStart] = useState(null);
+  const [dragRect, setDragRect] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [draftComment, setDraftComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+
+  // Load the document
+  useEffect(() => {
+    if (!fileUrl) return undefined;
+
+    let cancelled = false;
+    const task = pdfjs.getDocument({ url: fileUrl });
+    setLoading(true);
+    setLoadError(null);
+    setPdf(null);
+    setPage(1);
+
+    task.promise
+      .then((doc) => {
+        if (!cancelled) setPdf(doc);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError('The report file could not be displayed. It may not be a PDF.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      task.destroy();
+    };
+  }, [fileUrl]);
+
+  // Render the current page to fit the container width
+  useEffect(() => {
+    if (!pdf || !canvasRef.current || !containerRef.current) return undefined;
+
+    let renderTask = null;
+    let cancelled = false;
+
+    pdf.getPage(page).then((pdfPage) => {
+      if (cancelled) return;
+      const baseViewport = pdfPage.getViewport({ scale: 1 });
+      const scale = containerRef.current.clientWidth / baseViewport.width;
+      const viewport = pdfPage.getViewport({ scale });
+      const ratio = window.devicePixelRatio || 1;
+
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      canvas.style.width = `${viewport.width}px`;
+      canvas.style.height = `${viewport.height}px`;
+      setPageSize({ width: viewport.width, height: viewport.height });
+
+      renderTask = pdfPage.render({
+        canvas,
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : undefined,
+      });
+      renderTask.promise.catch(() => {});
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, page]);
+
+  const pointerToFraction = (event) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - rect.left) / rect.width),
+      y: clamp((event.clientY - rect.top) / rect.height),
+    };
+  };
+
+  const handleMouseDown = (event) => {
+    if (!editable || event.button !== 0) return;
+    const point = pointerToFraction(event);
+    setDragStart(point);
+    setDragRect({ ...point, width: 0, height: 0 });
+  };
+
+  const handleMouseMove = (event) => {
+    if (!dragStart) return;
+    const point = pointerToFraction(event);
+    setDragRect({
+      x: Math.min(dragStart.x, point.x),
+      y: Math.min(dragStart.y, point.y),
+      width: Math.abs(point.x - dragStart.x),
+      height: Math.abs(point.y - dragStart.y),
+    });
+  };
+
+  const handleMouseUp = () => {
+    if (!dragStart) return;
+    if (dragRect && dragRect.width >= MIN_REGION && dragRect.height >= MIN_REGION) {
+      setDraft({ page, ...dragRect });
+    }
+    setDragStart(null);
+    setDragRect(null);
+  };
+
+  const startPageComment = () => {
+    setDraft({ page });
+  };
+
+  const cancelDraft = () => {
+    setDraft(null);
+    setDraftComment('');
+  };
+
+  const saveDraft = async () => {
+    if (!draftComment.trim() || !onAdd) return;
+    setSaving(true);
+    try {
+      await onAdd({ ...draft, comment: draftComment.trim() });
+      cancelDraft();
+    } catch {
+      // Keep the draft open so the comment is not lost
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const goToPage = useCallback((target) => {
+    if (!pdf) return;
+    setPage(Math.min(pdf.numPages, Math.max(1, target)));
+  }, [pdf]);
+
+  const selectAnnotation = (annotation) => {
+    setActiveId(annotation.id);
+    goToPage(annotation.page);
+  };
+
+  // Number annotations in reading order so boxes and list entries match
+  const numbered = annotations.map((annotation, index) => ({ ...annotation, number: index + 1 }));
+  const pageRegions = numbered.filter((a) => a.page === page && hasRegion(a));
+
+  const renderBox = (region, key, { number, active, draftBox } = {}) => (
+    <div
+      key={key}
+      className="absolute rounded-sm"
+      style={{
+        left: `${region.x * 100}%`,
+        top: `${region.y * 100}%`,
+        width: `${region.width * 100}%`,
+        height: `${region.height * 100}%`,
+        border: `2px ${draftBox ? 'dashed' : 'solid'} ${active ? token.colorError : token.colorWarning}`,
+        backgroundColor: active ? `${token.colorErrorBg}99` : `${token.colorWarningBg}66`,
+        pointerEvents: 'none',
+      }}
+    >
+      {number && (
+        <span
+          className="absolute -top-3 -left-3 w-6 h-6 rounded-full text-xs font-bold flex items-center justify-center"
+          style={{ backgroundColor: active ? token.colorError : token.colorWarning, color: '#fff' }}
+        >
+          {number}
+        </span>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[1fr_320px] gap-4">
+      <div className="min-w-0">
+        <div className="flex items-center justify-between mb-2 gap-2">
+          <div className="flex items-center gap-2">
+            <Button size="small" icon={<LeftOutlined />} disabled={!pdf || page <= 1} onClick={() => goToPage(page - 1)} />
+            <Text className="text-sm" style={{ color: token.colorTextSecondary }}>
+              Page {pdf ? page : '-'} of {pdf?.numPages ?? '-'}
+            </Text>
+            <Button size="small" icon={<RightOutlined />} disabled={!pdf || page >= pdf.numPages} onClick={() => goToPage(page + 1)} />
+          </div>
+          {editable && pdf && (
+            <div className="flex items-center gap-2">
+              <Text className="text-xs hidden md:inline" style={{ color: token.colorTextTertiary }}>
+                Drag on the page to highlight a region
+              </Text>
+              <Button size="small" icon={<CommentOutlined />} onClick={startPageComment} disabled={!!draft}>
+                Comment on page
+              </Button>
+            </div>
+          )}
+        </div>
+
+        <div
+          ref={containerRef}
+          className="relative rounded-lg border overflow-hidden"
+          style={{ borderColor: token.colorBorder, backgroundColor: token.colorFillQuaternary, minHeight: 400 }}
+        >
+          {loading && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <Spin />
+            </div>
+          )}
+          {loadError && (
+            <Empty className="py-16" image={<FileTextOutlined className="text-4xl" />} description={loadError} />
+          )}
+          <canvas ref={canvasRef} className="block" style={{ display: pdf ? 'block' : 'none' }} />
+          {pdf && (
+            <div
+              ref={overlayRef}
+              className="absolute top-0 left-0 select-none"
+              style={{ width: pageSize.width, height: pageSize.height, cursor: editable ? 'crosshair' : 'default' }}
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              onMouseLeave={handleMouseUp}
+            >
+              {pageRegions.map((a) => renderBox(a, a.id, { number: a.number, active: a.id === activeId }))}
+              {dragRect && renderBox(dragRect, 'drag', { draftBox: true })}
+              {draft && hasRegion(draft) && draft.page === page && renderBox(draft, 'draft', { draftBox: true })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-3 lg:max-h-[70vh] lg:overflow-y-auto">
+        {draft && (
+          <div className="rounded-lg border p-3 space-y-2" style={{ borderColor: token.colorWarningBorder, backgroundColor: token.colorWarningBg }}>
+            <Text className="text-xs font-semibold block" style={{ color: token.colorText }}>
+              New comment · page {draft.page}{hasRegion(draft) ? ' (highlighted region)' : ''}
+            </Text>
+            <Input.TextArea
+              autoFocus
+              rows={3}
+              maxLength={1000}
+              value={draftComment}
+              onChange={(e) => setDraftComment(e.target.value)}
+              placeholder="What should the student change here?"
+            />
+            <div className="flex justify-end gap-2">
+              <Button size="small" onClick={cancelDraft}>Cancel</Button>
+              <Button size="small" type="primary" loading={saving} disabled={!draftComment.trim()} onClick={saveDraft}>
+                Save
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {numbered.length === 0 && !draft && (
+          <Empty
+            image={Empty.PRESENTED_IMAGE_SIMPLE}
+            description={editable ? 'No comments yet' : 'Your mentor has not left any comments on this file'}
+          />
+        )}
+
+        {numbered.map((annotation) => (
+          <div
+            key={annotation.id}
+            role="button"
+            tabIndex={0}
+            onClick={() => selectAnnotation(annotation)}
+            onKeyDown={(e) => e.key === 'Enter' && selectAnnotation(annotation)}
+            className="rounded-lg border p-3 cursor-pointer transition-colors"
+            style={{
+              borderColor: annotation.id === activeId ? token.colorError : token.colorBorder,
+              backgroundColor: token.colorBgContainer,
+            }}
+          >
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <div className="flex items-center gap-1">
+                <Tag color={hasRegion(annotation) ? 'warning' : 'default'} className="m-0 rounded-full">
+                  {annotation.number}
+                </Tag>
+                <Text className="text-xs" style={{ color: token.colorTextTertiary }}>
+                  Page {annotation.page}{hasRegion(annotation) ? '' : ' · whole page'}
+                </Text>
+              </div>
+              {onDelete && canDelete(annotation) && (
+                <Popconfirm
+                  title="Delete this comment?"
+                  onConfirm={(e) => {
+                    e?.stopPropagation();
+                    onDelete(annotation);
+                  }}
+                  onCancel={(e) => e?.stopPropagation()}
+                  okButtonProps={{ danger: true }}
+                >
+                  <Button size="small" type="text" danger icon={<DeleteOutlined />} onClick={(e) => e.stopPropagation()} />
+                </Popconfirm>
+              )}
+            </div>
+            <Paragraph className="mb-1 text-sm whitespace-pre-line" style={{ color: token.colorText }}>
+              {annotation.comment}
+            </Paragraph>
+            <Text className="text-[11px]" style={{ color: token.colorTextTertiary }}>
+              {annotation.authorName || 'Mentor'} · {dayjs(annotation.createdAt).format('DD MMM YYYY, HH:mm')}
+            </Text>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AnnotatedPdfViewer;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Tag, Typography, theme } from 'antd';
+import { ClockCircleOutlined } from '@ant-design/icons';
+
+const { Text, Paragraph } = Typography;
+
+/**
+ * Read-only rendering of the structured monthly report form
+ * (tasks, hours, skills, challenges, next-month plan).
+ */
+const MonthlyReportContentView = ({ content }) => {
+  const { token } = theme.useToken();
+
+  if (!content) return null;
+
+  const tasks = content.tasksCompleted || [];
+  const skills = content.skillsLearned || [];
+
+  const label = (text) => (
+    <Text className="text-[10px] uppercase font-bold block mb-1" style={{ color: token.colorTextTertiary }}>
+      {text}
+    </Text>
+  );
+
+  return (
+    <div className="space-y-4">
+      {content.hoursWorked !== null && content.hoursWorked !== undefined && (
+        <div className="flex items-center gap-2">
+          <ClockCircleOutlined style={{ color: token.colorPrimary }} />
+          <Text strong style={{ color: token.colorText }}>{content.hoursWorked} hours</Text>
+          <Text className="text-xs" style={{ color: token.colorTextTertiary }}>worked this month</Text>
+        </div>
+      )}
+
+      {tasks.length > 0 && (
+        <div>
+          {label('Tasks Completed')}
+          <ul className="list-disc pl-5 m-0 space-y-1">
+            {tasks.map((task, index) => (
+              <li key={index} style={{ color: token.colorText }}>{task}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {skills.length > 0 && (
+        <div>
+          {label('Skills Learned')}
+          <div className="flex flex-wrap gap-1">
+            {skills.map((skill) => (
+              <Tag key={skill} color="blue" className="rounded-full m-0">{skill}</Tag>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {content.challenges && (
+        <div>
+          {label('Challenges')}
+          <Paragraph className="mb-0 whitespace-pre-line" style={{ color: token.colorText }}>{content.challenges}</Paragraph>
+        </div>
+      )}
+
+      {content.nextMonthPlan && (
+        <div>
+          {label('Plan for Next Month')}
+          <Paragraph className="mb-0 whitespace-pre-line" style={{ color: token.colorText }}>{content.nextMonthPlan}</Paragraph>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MonthlyReportContentView;
@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Select, Spin, Alert, Typography, theme } from 'antd';
+import { HighlightOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import AnnotatedPdfViewer from './AnnotatedPdfViewer';
+import { getPresignedUrl } from '../../utils/imageUtils';
+
+const { Text } = Typography;
+
+/**
+ * Monthly report file with mentor annotations, for one report version at a time.
+ * Pass `onAdd`/`onDelete` (mentor view) to allow annotating the latest version;
+ * without them the modal is read-only (student view).
+ *
+ * `loadAnnotations(reportId, version)` must resolve to the annotations API response:
+ * { currentVersion, versionNumber, reportFileUrl, annotations }
+ */
+const ReportAnnotationModal = ({
+  open,
+  report,
+  onClose,
+  loadAnnotations,
+  onAdd,
+  onDelete,
+  currentUserId,
+  title = 'Report Comments',
+}) => {
+  const { token } = theme.useToken();
+  const [version, setVersion] = useState(null);
+  const [data, setData] = useState(null);
+  const [fileUrl, setFileUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async (versionNumber) => {
+    if (!report?.id) return;
+    setLoading(true);
+    try {
+      const result = await loadAnnotations(report.id, versionNumber);
+      setData(result);
+      setVersion(result.versionNumber);
+      setFileUrl(result.reportFileUrl ? await getPresignedUrl(result.reportFileUrl) : null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load report comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [report?.id, loadAnnotations]);
+
+  useEffect(() => {
+    if (open) {
+      load();
+    } else {
+      setData(null);
+      setFileUrl(null);
+      setVersion(null);
+    }
+  }, [open, load]);
+
+  const editable = !!onAdd && !!data && data.versionNumber === data.currentVersion && !!fileUrl;
+
+  const handleAdd = async (annotation) => {
+    try {
+      const created = await onAdd(report.id, { ...annotation, versionNumber: data.versionNumber });
+      setData((prev) => ({
+        ...prev,
+        annotations: [...prev.annotations, created].sort(
+          (a, b) => a.page - b.page || new Date(a.createdAt) - new Date(b.createdAt)
+        ),
+      }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save comment');
+      throw error;
+    }
+  };
+
+  const handleDelete = async (annotation) => {
+    try {
+      await onDelete(report.id, annotation.id);
+      setData((prev) => ({ ...prev, annotations: prev.annotations.filter((a) => a.id !== annotation.id) }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const versionOptions = Array.from({ length: data?.currentVersion || 0 }, (_, i) => ({
+    value: i + 1,
+    label: `Version ${i + 1}${i + 1 === data.currentVersion ? ' (latest)' : ''}`,
+  }));
+
+  return (
+    <Modal
+      title={
+        <div className="flex items-center gap-2 pr-8">
+          <HighlightOutlined style={{ color: token.colorPrimary }} />
+          <span>{title}</span>
+          {report && (
+            <Text className="text-xs font-normal" style={{ color: token.colorTextTertiary }}>
+              {report.monthName || ''} {report.reportYear}
+            </Text>
+          )}
+          {versionOptions.length > 1 && (
+            <Select
+              size="small"
+              value={version}
+              onChange={load}
+              options={versionOptions}
+              className="ml-auto min-w-[150px]"
+            />
+          )}
+        </div>
+      }
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={1200}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        {onAdd && data && !editable && data.versionNumber !== data.currentVersion && (
+          <Alert type="info" showIcon className="rounded-lg mb-3" message="Earlier versions are read-only. Switch to the latest version to add comments." />
+        )}
+        {data && !data.reportFileUrl ? (
+          <Alert type="info" showIcon className="rounded-lg" message="This version was submitted as a form only, so there is no file to comment on." />
+        ) : (
+          fileUrl && (
+            <AnnotatedPdfViewer
+              fileUrl={fileUrl}
+              annotations={data?.annotations || []}
+              editable={editable}
+              onAdd={handleAdd}
+              onDelete={onDelete ? handleDelete : undefined}
+              canDelete={(annotation) => annotation.authorId === currentUserId}
+            />
+          )
+        )}
+      </Spin>
+    </Modal>
+  );
+};
+
+export default ReportAnnotationModal;
@@ -33,6 +33,8 @@ import {
   HistoryOutlined,
   CloudUploadOutlined,
   SendOutlined,
+  CalendarOutlined,
+  NotificationOutlined,
 } from '@ant-design/icons';
 import React from 'react';
 
@@ -65,6 +67,7 @@ export const menuConfig = {
     icon: <ShopOutlined />,
     items: [
       { key: 'companies-overview', label: 'Overview', icon: <ShopOutlined />, path: '/app/companies-overview' },
+      { key: 'industry-partners', label: 'Industry Partners', icon: <DeploymentUnitOutlined />, path: '/app/industry-partners' },
       { key: 'student-grievances', label: 'Grievances', icon: <AlertOutlined />, path: '/app/grievances' },
     ],
   },
@@ -90,6 +93,7 @@ export const menuConfig = {
       { key: 'credentials-reset', label: 'Reset Credentials', icon: <LockOutlined />, path: '/app/users/reset-credentials' },
       { key: 'restore-center', label: 'Restore Center', icon: <HistoryOutlined />, path: '/app/restore-center' },
       { key: 'audit-logs', label: 'Audit Logs', icon: <AuditOutlined />, path: '/app/audit-logs' },
+      { key: 'manage-notices', label: 'Circulars', icon: <NotificationOutlined />, path: '/app/notices/manage' },
     ],
   },
 
@@ -133,6 +137,7 @@ export const menuConfig = {
     items: [
       { key: 'bulk-staff-upload', label: 'Bulk Upload', icon: <UploadOutlined />, path: '/app/bulk-upload' },
       { key: 'bulk-internship-upload', label: 'Bulk Internships', icon: <UploadOutlined />, path: '/app/bulk/self-internships' },
+      { key: 'manage-notices', label: 'Circulars', icon: <NotificationOutlined />, path: '/app/notices/manage' },
       // { key: 'bulk-job-history', label: 'Job History', icon: <HistoryOutlined />, path: '/app/bulk/job-history' },
     ],
   },
@@ -155,6 +160,7 @@ export const menuConfig = {
     icon: <SolutionOutlined />,
     items: [
       { key: 'visit-logs', label: 'Visit Logs', icon: <FileDoneOutlined />, path: '/app/visit-logs' },
+      { key: 'visit-calendar', label: 'Visit Calendar', icon: <CalendarOutlined />, path: '/app/visit-calendar' },
       { key: 'monthly-reports', label: 'Monthly Reports', icon: <FileTextOutlined />, path: '/app/monthly-reports' },
       { key: 'joining-letters', label: 'Joining Letters', icon: <SafetyCertificateOutlined />, path: '/app/joining-letters' },
       // { key: 'pending-approvals', label: 'Pending Approvals', icon: <AuditOutlined />, path: '/app/approvals' },
@@ -195,17 +201,17 @@ export const menuConfig = {
   // ==========================================
   // INDUSTRY MENUS
   // ==========================================
-  // INDUSTRY_PORTAL: {
-  //   key: 'industry-portal',
-  //   title: 'Industry Portal',
-  //   icon: <ShopOutlined />,
-  //   items: [
-  //     { key: 'industry-dashboard', label: 'Dashboard', icon: <DashboardOutlined />, path: '/app/dashboard' },
-  //     { key: 'postings', label: 'Internship Postings', icon: <PushpinOutlined />, path: '/app/postings' },
-  //     { key: 'applications', label: 'Applications', icon: <FileSyncOutlined />, path: '/app/applications' },
-  //     { key: 'industry-profile', label: 'Company Profile', icon: <IdcardOutlined />, path: '/app/company/profile' },
-  //   ],
-  // },
+  INDUSTRY_PORTAL: {
+    key: 'industry-portal',
+    title: 'Industry Portal',
+    icon: <ShopOutlined />,
+    items: [
+      { key: 'industry-dashboard', label: 'Dashboard', icon: <DashboardOutlined />, path: '/app/dashboard' },
+      { key: 'placed-students', label: 'Placed Students', icon: <TeamOutlined />, path: '/app/industry/students' },
+      // { key: 'postings', label: 'Internship Postings', icon: <PushpinOutlined />, path: '/app/postings' },
+      // { key: 'applications', label: 'Applications', icon: <FileSyncOutlined />, path: '/app/applications' },
+    ],
+  },
 
   // ==========================================
   // SYSTEM ADMIN MENUS
@@ -255,6 +261,7 @@ export const menuConfig = {
     icon: <CustomerServiceOutlined />,
     items: [
       { key: 'support-tickets', label: 'Support Tickets', icon: <CustomerServiceOutlined />, path: '/app/support-dashboard' },
+      { key: 'manage-notices', label: 'Circulars', icon: <NotificationOutlined />, path: '/app/notices/manage' },
       { key: 'system-alerts', label: 'Alerts', icon: <AlertOutlined />, path: '/app/admin/alerts' },
     ],
   },
@@ -268,6 +275,8 @@ export const menuConfig = {
     title: 'Help & Support',
     icon: <CustomerServiceOutlined />,
     items: [
+      { key: 'notices', label: 'Notices', icon: <NotificationOutlined />, path: '/app/notices' },
+      { key: 'academic-calendar', label: 'Academic Calendar', icon: <CalendarOutlined />, path: '/app/academic-calendar' },
       { key: 'help-center', label: 'Help Center', icon: <QuestionCircleOutlined />, path: '/app/help' },
       { key: 'my-tickets', label: 'My Tickets', icon: <MessageOutlined />, path: '/app/my-tickets' },
     ],
@@ -282,6 +291,8 @@ export const menuConfig = {
     icon: <CustomerServiceOutlined />,
     items: [
       { key: 'support-dashboard', label: 'Support Dashboard', icon: <DashboardOutlined />, path: '/app/support-dashboard' },
+      { key: 'notices', label: 'Notices', icon: <NotificationOutlined />, path: '/app/notices' },
+      { key: 'academic-calendar', label: 'Academic Calendar', icon: <CalendarOutlined />, path: '/app/academic-calendar' },
       { key: 'help-center', label: 'Help Center', icon: <QuestionCircleOutlined />, path: '/app/help' },
       { key: 'my-tickets', label: 'My Tickets', icon: <MessageOutlined />, path: '/app/my-tickets' },
     ],
@@ -320,11 +331,11 @@ export const getMenuSectionsForRole = (role) => {
       sections.push(menuConfig.STUDENT_INTERNSHIP);
       break;
 
-    // case 'INDUSTRY':
-    // case 'INDUSTRY_PARTNER':
-    // case 'INDUSTRY_SUPERVISOR':
-    //   sections.push(menuConfig.INDUSTRY_PORTAL);
-    //   break;
+    case 'INDUSTRY':
+    case 'INDUSTRY_PARTNER':
+    case 'INDUSTRY_SUPERVISOR':
+      sections.push(menuConfig.INDUSTRY_PORTAL);
+      break;
 
     case 'SYSTEM_ADMIN':
       sections.push(menuConfig.SYSTEM_ADMIN_HOME);
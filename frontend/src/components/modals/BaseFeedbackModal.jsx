@@ -206,7 +206,7 @@ const BaseFeedbackModal = ({
   const defaultFormatApplicationOption = (app) => (
     <div className="flex flex-col">
       <span className="font-medium text-text-primary">
-        {app.internship?.title || app.internshipTitle || 'N/A'}
+        {app.internship?.title || app.internshipTitle || app.jobProfile || 'N/A'}
       </span>
       <span className="text-xs text-text-secondary">
         Student: {app.student?.user?.name || app.student?.name || app.studentName} ({app.student?.user?.rollNumber || app.student?.rollNumber || app.studentRollNumber})
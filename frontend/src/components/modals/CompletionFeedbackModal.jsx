@@ -2,7 +2,7 @@
 import React, { useState, useEffect } from "react";
 import { Form, Input, Row, Col, Switch, Card } from "antd";
 import { toast } from "react-hot-toast";
-import API from "../../services/api";
+import industryService from "../../services/industry.service";
 import BaseFeedbackModal from "./BaseFeedbackModal";
 
 const { TextArea } = Input;
@@ -22,8 +22,8 @@ const CompletionFeedbackModal = ({
 
   useEffect(() => {
     if (visible) {
-      fetchSubmittedFeedbacks().then(() => {
-        fetchApplications();
+      fetchSubmittedFeedbacks().then((feedbacks) => {
+        fetchApplications(feedbacks);
       });
     }
   }, [visible]);
@@ -36,42 +36,33 @@ const CompletionFeedbackModal = ({
 
   const fetchSubmittedFeedbacks = async () => {
     try {
-      const res = await API.get("/completion-feedback/industry/my-feedbacks");
-      const feedbackData = res.data?.data || res.data || [];
-      setSubmittedFeedbacks(Array.isArray(feedbackData) ? feedbackData : []);
+      const feedbackData = await industryService.getCompletionFeedback();
+      const feedbacks = Array.isArray(feedbackData) ? feedbackData : [];
+      setSubmittedFeedbacks(feedbacks);
+      return feedbacks;
     } catch (e) {
       console.error("Failed to fetch submitted feedbacks:", e);
+      return [];
     }
   };
 
-  const fetchApplications = async () => {
+  const fetchApplications = async (feedbacks = submittedFeedbacks) => {
     setApplicationsLoading(true);
     try {
-      const res = await API.get("/internships/my-internships");
-      const internships = Array.isArray(res.data)
-        ? res.data
-        : res.data?.data || [];
+      const res = await industryService.getStudents({ limit: 500 });
+      const placements = res?.data || [];
 
       // Get submitted feedback application IDs
-      const submittedApplicationIds = submittedFeedbacks.map(
+      const submittedApplicationIds = feedbacks.map(
         (f) => f.applicationId
       );
 
-      // Flatten applications that are eligible for completion feedback
-      const allEligibleApps = internships.flatMap((internship) =>
-        (internship.applications || [])
-          .filter(
-            (app) =>
-              ["SELECTED", "JOINED", "COMPLETED"].includes(app.status) &&
-              (!submittedApplicationIds.includes(app.id) ||
-                (editingFeedback && editingFeedback?.applicationId === app.id))
-          )
-          .map((app) => ({
-            ...app,
-            internshipTitle: internship.title,
-            internshipDuration: internship.duration,
-            internship: internship,
-          }))
+      // Applications that are eligible for completion feedback
+      const allEligibleApps = placements.filter(
+        (app) =>
+          app.joiningConfirmedAt &&
+          (!submittedApplicationIds.includes(app.id) ||
+            (editingFeedback && editingFeedback?.applicationId === app.id))
       );
 
       setApplications(allEligibleApps);
@@ -95,28 +86,19 @@ const CompletionFeedbackModal = ({
         isCompleted: values.isCompleted !== false,
       };
 
-      let response;
       if (isEditing) {
-        response = await API.put(
-          `/completion-feedback/industry/${values.applicationId}`,
-          payload
-        );
+        await industryService.updateCompletionFeedback(values.applicationId, payload);
       } else {
-        response = await API.post(
-          `/completion-feedback/industry/${values.applicationId}`,
-          payload
-        );
+        await industryService.submitCompletionFeedback(values.applicationId, payload);
       }
 
-      if (response.status === 200 || response.status === 201) {
-        toast.success(
-          isEditing
-            ? "Completion feedback updated successfully!"
-            : "Completion feedback submitted successfully!"
-        );
+      toast.success(
+        isEditing
+          ? "Completion feedback updated successfully!"
+          : "Completion feedback submitted successfully!"
+      );
 
-        onSuccess && onSuccess();
-      }
+      onSuccess && onSuccess();
     } catch (e) {
       console.error("Feedback submission error:", e);
       const errorMessage =
@@ -132,7 +114,7 @@ const CompletionFeedbackModal = ({
   // Custom formatter for completion feedback showing internship details
   const formatApplicationOption = (app) => (
     <div className="flex flex-col">
-      <span className="font-medium text-text-primary">{app.internshipTitle} <span className="text-xs text-text-secondary font-normal">({app.internshipDuration})</span></span>
+      <span className="font-medium text-text-primary">{app.jobProfile || "Internship"}</span>
       <span className="text-xs text-primary font-medium mt-0.5">
         Student: {app.student?.user?.name || app.student?.name} ({app.student?.user?.rollNumber || app.student?.rollNumber})
       </span>
@@ -2,7 +2,7 @@
 import React, { useState, useEffect } from "react";
 import { Form, Input, Card, Row, Col } from "antd";
 import { toast } from "react-hot-toast";
-import API from "../../services/api";
+import industryService from "../../services/industry.service";
 import BaseFeedbackModal from "./BaseFeedbackModal";
 
 const { TextArea } = Input;
@@ -27,29 +27,15 @@ const MonthlyFeedbackModal = ({
 
   useEffect(() => {
     if (preSelectedStudentName && preSelectedApplicationId) {
-      toast.info(`Creating monthly feedback for ${preSelectedStudentName}`);
+      toast(`Creating monthly feedback for ${preSelectedStudentName}`);
     }
   }, [preSelectedApplicationId, preSelectedStudentName]);
 
   const fetchApplications = async () => {
     setApplicationsLoading(true);
     try {
-      const res = await API.get("/internships/my-internships");
-      const internships = res.data || [];
-
-      const allApplications = internships.flatMap((internship) =>
-        (internship.applications || []).map((app) => ({
-          ...app,
-          internshipTitle: internship.title,
-          internshipId: internship.id,
-        }))
-      );
-
-      const activeApplications = allApplications.filter((app) =>
-        ["JOINED", "SELECTED"].includes(app.status)
-      );
-
-      setApplications(activeApplications);
+      const res = await industryService.getStudents({ phase: "ACTIVE", limit: 500 });
+      setApplications(res?.data || []);
     } catch (e) {
       toast.error("Failed to fetch applications");
     } finally {
@@ -61,10 +47,11 @@ const MonthlyFeedbackModal = ({
     setLoading(true);
     try {
       if (isEditing) {
-        await API.patch(`/monthly-feedback/${editingFeedback.id}`, values);
+        const { applicationId, feedbackMonth, ...changes } = values;
+        await industryService.updateMonthlyFeedback(editingFeedback.id, changes);
         toast.success("Monthly feedback updated successfully!");
       } else {
-        await API.post("/monthly-feedback", values);
+        await industryService.createMonthlyFeedback(values);
         toast.success("Monthly feedback created successfully!");
       }
 
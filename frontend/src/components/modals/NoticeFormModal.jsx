@@ -1,76 +1,314 @@
-// === src/components/NoticeFormModal.jsx ===
-import React, { useEffect } from "react";
-import { Modal, Form, Input, message } from "antd";
-import API from "../../services/api";
-import { toast } from "react-hot-toast";
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, Input, Select, Switch, DatePicker, Upload, Button, Row, Col, Alert, Space } from 'antd';
+import { UploadOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import dayjs from 'dayjs';
+import { noticeService, NOTICE_PRIORITIES, getAttachmentName } from '../../services/notice.service';
+import { lookupService } from '../../services/lookup.service';
+import { useAuth } from '../../hooks/useAuth';
 
+const ROLE_OPTIONS = [
+  { value: 'PRINCIPAL', label: 'Principals' },
+  { value: 'TEACHER', label: 'Faculty' },
+  { value: 'STUDENT', label: 'Students' },
+  { value: 'INDUSTRY_SUPERVISOR', label: 'Industry Supervisors' },
+];
+
+// Principals address their own faculty and students only
+const PRINCIPAL_ROLES = ['TEACHER', 'STUDENT'];
+
+const toFormValues = (notice) => ({
+  title: notice.title,
+  message: notice.message,
+  priority: notice.priority,
+  targetRoles: notice.targetRoles,
+  institutionIds: notice.institutionIds,
+  branchIds: notice.branchIds,
+  batchIds: notice.batchIds,
+  requiresAcknowledgement: notice.requiresAcknowledgement,
+  acknowledgementDueAt: notice.acknowledgementDueAt ? dayjs(notice.acknowledgementDueAt) : null,
+  publishAt: notice.publishAt ? dayjs(notice.publishAt) : null,
+  expiresAt: notice.expiresAt ? dayjs(notice.expiresAt) : null,
+});
+
+/**
+ * Create or edit a circular: audience, attachments, publish/expiry dates and
+ * whether recipients must acknowledge it.
+ */
 const NoticeFormModal = ({ open, onClose, onSuccess, editingNotice }) => {
   const [form] = Form.useForm();
+  const { user } = useAuth();
+  const isPrincipal = user?.role === 'PRINCIPAL';
+  const [lookups, setLookups] = useState({ institutions: [], branches: [], batches: [] });
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(null);
+  const requiresAcknowledgement = Form.useWatch('requiresAcknowledgement', form);
 
   useEffect(() => {
-    if (open) {
-      if (editingNotice) {
-        form.setFieldsValue(editingNotice);
-      } else {
-        form.resetFields();
-      }
+    if (!open) return;
+    if (editingNotice) {
+      form.setFieldsValue(toFormValues(editingNotice));
+      setAttachments(editingNotice.attachments || []);
+    } else {
+      form.resetFields();
+      setAttachments([]);
     }
   }, [open, editingNotice, form]);
 
-  const handleSubmit = async (values) => {
+  useEffect(() => {
+    if (!open) return;
+    Promise.all([
+      isPrincipal ? Promise.resolve({ institutions: [] }) : lookupService.getInstitutions(),
+      lookupService.getBranches(),
+      lookupService.getBatches(),
+    ])
+      .then(([institutions, branches, batches]) =>
+        setLookups({
+          institutions: institutions.institutions || [],
+          branches: branches.branches || [],
+          batches: batches.batches || [],
+        }),
+      )
+      .catch(() => toast.error('Failed to load institutions, branches and batches'));
+  }, [open, isPrincipal]);
+
+  const handleUpload = async ({ file, onSuccess: done, onError }) => {
+    setUploading(true);
     try {
-      // Get institution ID from localStorage
-      const loginData = localStorage.getItem("loginResponse");
-      const parsed = JSON.parse(loginData);
-      const institutionId = parsed?.user?.institutionId;
+      const result = await noticeService.uploadAttachment(file);
+      setAttachments((prev) => [...prev, result.url]);
+      done?.(result);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload attachment');
+      onError?.(error);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (publish) => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch {
+      return;
+    }
 
-      // Include institutionId in the payload
-      const payload = {
-        ...values,
-        institutionId
-      };
+    const payload = {
+      title: values.title,
+      message: values.message,
+      priority: values.priority,
+      targetRoles: values.targetRoles || [],
+      institutionIds: isPrincipal ? [] : values.institutionIds || [],
+      branchIds: values.branchIds || [],
+      batchIds: values.batchIds || [],
+      attachments,
+      requiresAcknowledgement: !!values.requiresAcknowledgement,
+      acknowledgementDueAt: values.requiresAcknowledgement && values.acknowledgementDueAt
+        ? values.acknowledgementDueAt.toISOString()
+        : null,
+      publishAt: (values.publishAt || dayjs()).toISOString(),
+      expiresAt: values.expiresAt ? values.expiresAt.toISOString() : null,
+      isPublished: publish,
+    };
 
+    setSubmitting(publish ? 'publish' : 'draft');
+    try {
       if (editingNotice) {
-        await API.put(`/notice/${editingNotice.id}`, payload);
-        toast.success("Notice updated successfully");
+        await noticeService.updateNotice(editingNotice.id, payload);
+        toast.success('Notice updated successfully');
       } else {
-        await API.post("/notice", payload);
-        toast.success("Notice created successfully");
+        await noticeService.createNotice(payload);
+        toast.success(publish ? 'Notice published successfully' : 'Draft saved');
       }
-      onSuccess();
+      onSuccess?.();
       onClose();
-    } catch {
-      toast.error("Failed to submit notice");
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save notice');
+    } finally {
+      setSubmitting(null);
     }
   };
 
   return (
     <Modal
-      title={editingNotice ? "Edit Notice" : "Add Notice"}
+      title={editingNotice ? 'Edit Notice' : 'New Circular'}
       open={open}
       onCancel={onClose}
-      onOk={() => form.submit()}
-      okText={editingNotice ? "Update" : "Create"}
-      className="rounded-xl"
+      width={720}
+      destroyOnHidden
+      footer={
+        <Space>
+          <Button onClick={onClose}>Cancel</Button>
+          {!editingNotice?.isPublished && (
+            <Button loading={submitting === 'draft'} onClick={() => handleSubmit(false)}>
+              Save Draft
+            </Button>
+          )}
+          <Button type="primary" loading={submitting === 'publish'} onClick={() => handleSubmit(true)}>
+            {editingNotice?.isPublished ? 'Update' : 'Publish'}
+          </Button>
+        </Space>
+      }
     >
-      <Form form={form} layout="vertical" onFinish={handleSubmit}>
+      <Form form={form} layout="vertical" initialValues={{ priority: 'NORMAL', requiresAcknowledgement: false }}>
         <Form.Item
           name="title"
           label="Title"
-          rules={[{ required: true, message: "Please enter the notice title" }]}
+          rules={[
+            { required: true, message: 'Please enter the notice title' },
+            { min: 5, message: 'Title must be at least 5 characters' },
+          ]}
         >
-          <Input />
+          <Input maxLength={200} />
         </Form.Item>
-        <Form.Item
-          name="message"
-          label="Message"
-          rules={[{ required: true, message: "Please enter the message" }]}
-        >
-          <Input.TextArea rows={4} />
+        <Form.Item name="message" label="Message" rules={[{ required: true, message: 'Please enter the message' }]}>
+          <Input.TextArea rows={5} maxLength={10000} />
         </Form.Item>
+
+        <Row gutter={16}>
+          <Col span={8}>
+            <Form.Item name="priority" label="Priority">
+              <Select
+                options={Object.entries(NOTICE_PRIORITIES).map(([value, info]) => ({ value, label: info.label }))}
+              />
+            </Form.Item>
+          </Col>
+          <Col span={16}>
+            <Form.Item name="targetRoles" label="Audience" extra="Leave empty to address everyone">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder={isPrincipal ? 'Faculty and students' : 'Everyone'}
+                options={isPrincipal ? ROLE_OPTIONS.filter((option) => PRINCIPAL_ROLES.includes(option.value)) : ROLE_OPTIONS}
+              />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        {!isPrincipal && (
+          <Form.Item name="institutionIds" label="Institutions">
+            <Select
+              mode="multiple"
+              allowClear
+              placeholder="All institutions"
+              optionFilterProp="label"
+              options={lookups.institutions.map((institution) => ({
+                value: institution.id,
+                label: institution.code ? `${institution.code} - ${institution.name}` : institution.name,
+              }))}
+            />
+          </Form.Item>
+        )}
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item name="branchIds" label="Branches">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="All branches"
+                optionFilterProp="label"
+                options={lookups.branches.map((branch) => ({ value: branch.id, label: branch.name }))}
+              />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item name="batchIds" label="Batches" extra="Selecting batches limits the notice to students">
+              <Select
+                mode="multiple"
+                allowClear
+                placeholder="All batches"
+                optionFilterProp="label"
+                options={lookups.batches.map((batch) => ({ value: batch.id, label: batch.name }))}
+              />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item name="publishAt" label="Publish on" extra="Leave empty to publish immediately">
+              <DatePicker showTime format="DD MMM YYYY HH:mm" className="w-full" />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item
+              name="expiresAt"
+              label="Expires on"
+              dependencies={['publishAt']}
+              rules={[
+                ({ getFieldValue }) => ({
+                  validator(_, value) {
+                    if (!value || value.isAfter(getFieldValue('publishAt') || dayjs())) return Promise.resolve();
+                    return Promise.reject(new Error('Expiry must be after the publish date'));
+                  },
+                }),
+              ]}
+            >
+              <DatePicker showTime format="DD MMM YYYY HH:mm" className="w-full" />
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item name="requiresAcknowledgement" label="Require acknowledgement" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Col>
+          {requiresAcknowledgement && (
+            <Col span={12}>
+              <Form.Item name="acknowledgementDueAt" label="Acknowledge by">
+                <DatePicker showTime format="DD MMM YYYY HH:mm" className="w-full" />
+              </Form.Item>
+            </Col>
+          )}
+        </Row>
+
+        <Form.Item label="Attachments">
+          <Upload
+            customRequest={handleUpload}
+            showUploadList={false}
+            accept=".pdf,.jpg,.jpeg,.png,.docx,.xlsx"
+            disabled={attachments.length >= 10}
+          >
+            <Button icon={<UploadOutlined />} loading={uploading} disabled={attachments.length >= 10}>
+              Upload file
+            </Button>
+          </Upload>
+          {attachments.length > 0 && (
+            <ul className="mt-2 pl-0 list-none !space-y-1">
+              {attachments.map((url) => (
+                <li key={url} className="flex items-center justify-between text-sm">
+                  <a href={url} target="_blank" rel="noopener noreferrer" className="truncate">
+                    {getAttachmentName(url)}
+                  </a>
+                  <Button
+                    type="link"
+                    danger
+                    size="small"
+                    onClick={() => setAttachments((prev) => prev.filter((item) => item !== url))}
+                  >
+                    Remove
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Form.Item>
+
+        {editingNotice?.notifiedAt && (
+          <Alert
+            type="info"
+            showIcon
+            message="Recipients were already notified. Changes are visible immediately but are not notified again."
+          />
+        )}
       </Form>
     </Modal>
   );
 };
 
-export default NoticeFormModal;
\ No newline at end of file
+export default NoticeFormModal;
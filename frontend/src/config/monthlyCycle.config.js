@@ -10,7 +10,9 @@
  * After making changes:
  * 1. Update backend config first (source of truth)
  * 2. Copy the same values here
- * 3. Rebuild the frontend: npm run build
+ * 3. Run npm test - utils/monthlyCycle.js is checked against the same fixtures
+ *    as the backend (shared/fixtures/monthly-cycle.fixtures.json)
+ * 4. Rebuild the frontend: npm run build
  *
  * =============================================================================
  */
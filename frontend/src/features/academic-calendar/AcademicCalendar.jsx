@@ -0,0 +1,274 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Calendar, Card, Button, Tag, Space, Typography, Tooltip, Select, Empty, Popconfirm, Alert, theme } from 'antd';
+import { toast } from 'react-hot-toast';
+import {
+  ReloadOutlined,
+  DownloadOutlined,
+  LinkOutlined,
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { calendarService, ACADEMIC_EVENT_TYPES, ACADEMIC_DEADLINE_TYPES } from '../../services/calendar.service';
+import { lookupService } from '../../services/lookup.service';
+import { useAuth } from '../../hooks/useAuth';
+import { CalendarFeedModal } from '../shared/components';
+import AcademicEventModal from './AcademicEventModal';
+
+const { Title, Text } = Typography;
+
+const STATE_ROLES = ['STATE_DIRECTORATE', 'SYSTEM_ADMIN'];
+
+const SHIFT_POLICY_TEXT = {
+  NEXT_WORKING_DAY: 'Due dates that fall on a holiday (or a report blackout) move to the next working day.',
+  PREVIOUS_WORKING_DAY: 'Due dates that fall on a holiday (or a report blackout) move to the previous working day.',
+};
+
+const rangeFor = (month) => ({
+  from: month.startOf('month').subtract(7, 'day').toISOString(),
+  to: month.endOf('month').add(7, 'day').toISOString(),
+});
+
+/**
+ * Statewide and institution academic calendar with the monthly report and visit
+ * deadlines laid over it. The state directorate and principals manage events here.
+ */
+const AcademicCalendar = () => {
+  const { token } = theme.useToken();
+  const { user } = useAuth();
+  const isState = STATE_ROLES.includes(user?.role);
+  const canManage = isState || user?.role === 'PRINCIPAL';
+
+  const [month, setMonth] = useState(() => dayjs());
+  const [institutionId, setInstitutionId] = useState(null);
+  const [institutions, setInstitutions] = useState([]);
+  const [data, setData] = useState({ events: [], deadlines: [], policy: 'NONE' });
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingEvent, setEditingEvent] = useState(null);
+  const [feedOpen, setFeedOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { from, to } = rangeFor(month);
+      setData(await calendarService.getAcademicCalendar(from, to, institutionId));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load academic calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, [month, institutionId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!isState) return;
+    lookupService
+      .getInstitutions()
+      .then((result) => setInstitutions(result.institutions || []))
+      .catch(() => toast.error('Failed to load institutions'));
+  }, [isState]);
+
+  const eventsByDay = useMemo(() => {
+    const map = {};
+    data.events.forEach((event) => {
+      for (let day = dayjs(event.startDate); !day.isAfter(dayjs(event.endDate), 'day'); day = day.add(1, 'day')) {
+        const key = day.format('YYYY-MM-DD');
+        (map[key] = map[key] || []).push(event);
+      }
+    });
+    return map;
+  }, [data.events]);
+
+  const deadlinesByDay = useMemo(() => {
+    const map = {};
+    data.deadlines.forEach((deadline) => {
+      (map[deadline.day] = map[deadline.day] || []).push(deadline);
+    });
+    return map;
+  }, [data.deadlines]);
+
+  // Events overlapping the month shown
+  const monthEvents = useMemo(() => {
+    const start = month.startOf('month').format('YYYY-MM-DD');
+    const end = month.endOf('month').format('YYYY-MM-DD');
+    return data.events.filter((event) => event.startDate <= end && event.endDate >= start);
+  }, [data.events, month]);
+
+  const canEdit = (event) => isState || (user?.role === 'PRINCIPAL' && event.institutionId === user?.institutionId);
+
+  const openEditor = (event = null) => {
+    setEditingEvent(event);
+    setModalOpen(true);
+  };
+
+  const handleDelete = async (event) => {
+    try {
+      await calendarService.deleteEvent(event.id);
+      toast.success('Event deleted');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete event');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const { from, to } = rangeFor(month);
+      await calendarService.exportAcademicCalendar(from, to, institutionId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to export calendar');
+    }
+  };
+
+  const formatRange = (event) =>
+    event.startDate === event.endDate
+      ? dayjs(event.startDate).format('DD MMM YYYY')
+      : `${dayjs(event.startDate).format('DD MMM')} – ${dayjs(event.endDate).format('DD MMM YYYY')}`;
+
+  const dateCellRender = (current) => {
+    const key = current.format('YYYY-MM-DD');
+    const events = eventsByDay[key] || [];
+    const deadlines = deadlinesByDay[key] || [];
+    if (!events.length && !deadlines.length) return null;
+
+    return (
+      <div className="!space-y-1">
+        {events.map((event) => (
+          <Tooltip key={event.id} title={`${ACADEMIC_EVENT_TYPES[event.type]?.label}: ${event.title}`}>
+            <Tag color={ACADEMIC_EVENT_TYPES[event.type]?.color} className="rounded border-0 text-[10px] m-0 max-w-full truncate">
+              {event.title}
+            </Tag>
+          </Tooltip>
+        ))}
+        {deadlines.map((deadline) => (
+          <Tooltip
+            key={`${deadline.type}-${deadline.year}-${deadline.month}`}
+            title={
+              deadline.shiftedBy
+                ? `${deadline.monthName} ${deadline.year} – moved from ${dayjs(deadline.originalDay).format('DD MMM')}`
+                : `${deadline.monthName} ${deadline.year}`
+            }
+          >
+            <div className="text-[10px] truncate" style={{ color: token.colorError }}>
+              {ACADEMIC_DEADLINE_TYPES[deadline.type]?.label}
+            </div>
+          </Tooltip>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-6 min-h-screen" style={{ backgroundColor: token.colorBgLayout }}>
+      <div className="max-w-7xl mx-auto !space-y-4">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+          <div>
+            <Title level={3} className="!mb-1">Academic Calendar</Title>
+            <Text type="secondary">Holidays, internship windows and blackouts with report and visit deadlines</Text>
+          </div>
+          <Space wrap>
+            {isState && (
+              <Select
+                allowClear
+                showSearch
+                className="w-64"
+                placeholder="Statewide events only"
+                optionFilterProp="label"
+                value={institutionId}
+                onChange={(value) => setInstitutionId(value || null)}
+                options={institutions.map((institution) => ({
+                  value: institution.id,
+                  label: institution.code ? `${institution.code} - ${institution.name}` : institution.name,
+                }))}
+              />
+            )}
+            <Button icon={<ReloadOutlined spin={loading} />} onClick={load} loading={loading}>
+              Refresh
+            </Button>
+            <Button icon={<DownloadOutlined />} onClick={handleExport}>
+              Export .ics
+            </Button>
+            <Button icon={<LinkOutlined />} onClick={() => setFeedOpen(true)}>
+              Subscribe
+            </Button>
+            {canManage && (
+              <Button type="primary" icon={<PlusOutlined />} onClick={() => openEditor()}>
+                Add Event
+              </Button>
+            )}
+          </Space>
+        </div>
+
+        {SHIFT_POLICY_TEXT[data.policy] && <Alert type="info" showIcon message={SHIFT_POLICY_TEXT[data.policy]} />}
+
+        <div className="flex flex-col lg:flex-row gap-4">
+          <Card title={`Events in ${month.format('MMMM YYYY')}`} size="small" className="rounded-xl shadow-sm lg:w-80 shrink-0">
+            {monthEvents.length === 0 ? (
+              <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No events this month" />
+            ) : (
+              <div className="!space-y-2">
+                {monthEvents.map((event) => (
+                  <div key={event.id} className="p-2 rounded-lg border border-border bg-surface">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <Text strong className="block text-sm truncate">{event.title}</Text>
+                        <Text type="secondary" className="block text-xs">{formatRange(event)}</Text>
+                      </div>
+                      {canEdit(event) && (
+                        <Space size={0}>
+                          <Button type="text" size="small" icon={<EditOutlined />} onClick={() => openEditor(event)} />
+                          <Popconfirm title="Delete this event?" onConfirm={() => handleDelete(event)}>
+                            <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+                          </Popconfirm>
+                        </Space>
+                      )}
+                    </div>
+                    <Space size={4} className="mt-1" wrap>
+                      <Tag color={ACADEMIC_EVENT_TYPES[event.type]?.color} className="rounded border-0 text-[10px]">
+                        {ACADEMIC_EVENT_TYPES[event.type]?.label}
+                      </Tag>
+                      <Tag className="rounded border-0 text-[10px]">
+                        {event.isStatewide ? 'Statewide' : event.institution?.code || event.institution?.name || 'Institution'}
+                      </Tag>
+                    </Space>
+                    {event.description && (
+                      <Text type="secondary" className="block text-xs mt-1">{event.description}</Text>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card>
+
+          <Card className="rounded-xl shadow-sm flex-1" loading={loading && data.events.length === 0 && data.deadlines.length === 0}>
+            <Calendar
+              value={month}
+              onPanelChange={(value) => setMonth(value)}
+              onSelect={(value) => setMonth(value)}
+              cellRender={(current, info) => (info.type === 'date' ? dateCellRender(current) : info.originNode)}
+            />
+          </Card>
+        </div>
+      </div>
+
+      <AcademicEventModal
+        open={modalOpen}
+        onClose={() => setModalOpen(false)}
+        onSuccess={load}
+        editingEvent={editingEvent}
+        institutions={institutions}
+        canChooseInstitution={isState}
+      />
+
+      <CalendarFeedModal open={feedOpen} onClose={() => setFeedOpen(false)} />
+    </div>
+  );
+};
+
+export default AcademicCalendar;
@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, Input, Select, DatePicker, Alert } from 'antd';
+import { toast } from 'react-hot-toast';
+import dayjs from 'dayjs';
+import { calendarService, ACADEMIC_EVENT_TYPES } from '../../services/calendar.service';
+
+const { RangePicker } = DatePicker;
+
+const TYPE_HINTS = {
+  HOLIDAY: 'Due dates on a holiday move to a working day when due-date shifting is enabled.',
+  REPORT_BLACKOUT: 'No report deadline falls inside a blackout when due-date shifting is enabled.',
+};
+
+/**
+ * Create or edit an academic calendar event. The state directorate can add statewide
+ * events or pick an institution; principals always add events for their own institution.
+ */
+const AcademicEventModal = ({ open, onClose, onSuccess, editingEvent, institutions = [], canChooseInstitution }) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  const type = Form.useWatch('type', form);
+
+  useEffect(() => {
+    if (!open) return;
+    if (editingEvent) {
+      form.setFieldsValue({
+        title: editingEvent.title,
+        description: editingEvent.description,
+        type: editingEvent.type,
+        dates: [dayjs(editingEvent.startDate), dayjs(editingEvent.endDate)],
+        institutionId: editingEvent.institutionId || undefined,
+      });
+    } else {
+      form.resetFields();
+    }
+  }, [open, editingEvent, form]);
+
+  const handleSubmit = async (values) => {
+    const [start, end] = values.dates;
+    const payload = {
+      title: values.title,
+      description: values.description || '',
+      type: values.type,
+      startDate: start.format('YYYY-MM-DD'),
+      endDate: end.format('YYYY-MM-DD'),
+      ...(canChooseInstitution && { institutionId: values.institutionId || null }),
+    };
+
+    setSaving(true);
+    try {
+      if (editingEvent) {
+        await calendarService.updateEvent(editingEvent.id, payload);
+        toast.success('Event updated successfully');
+      } else {
+        await calendarService.createEvent(payload);
+        toast.success('Event added successfully');
+      }
+      onSuccess?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save event');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={editingEvent ? 'Edit Event' : 'Add Event'}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText={editingEvent ? 'Update' : 'Add'}
+      confirmLoading={saving}
+      destroyOnHidden
+    >
+      <Form form={form} layout="vertical" onFinish={handleSubmit} initialValues={{ type: 'HOLIDAY' }}>
+        <Form.Item name="title" label="Title" rules={[{ required: true, message: 'Please enter a title' }]}>
+          <Input maxLength={200} />
+        </Form.Item>
+        <Form.Item name="type" label="Type" rules={[{ required: true }]}>
+          <Select
+            options={Object.entries(ACADEMIC_EVENT_TYPES).map(([value, info]) => ({ value, label: info.label }))}
+          />
+        </Form.Item>
+        {TYPE_HINTS[type] && <Alert type="info" showIcon className="!mb-4" message={TYPE_HINTS[type]} />}
+        <Form.Item name="dates" label="Dates" rules={[{ required: true, message: 'Please select the dates' }]}>
+          <RangePicker format="DD MMM YYYY" className="w-full" />
+        </Form.Item>
+        {canChooseInstitution && (
+          <Form.Item name="institutionId" label="Institution" extra="Leave empty for a statewide event">
+            <Select
+              allowClear
+              showSearch
+              placeholder="All institutions (statewide)"
+              optionFilterProp="label"
+              options={institutions.map((institution) => ({
+                value: institution.id,
+                label: institution.code ? `${institution.code} - ${institution.name}` : institution.name,
+              }))}
+            />
+          </Form.Item>
+        )}
+        <Form.Item name="description" label="Description">
+          <Input.TextArea rows={3} maxLength={2000} />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AcademicEventModal;
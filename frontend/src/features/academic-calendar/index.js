@@ -0,0 +1 @@
+export { default as AcademicCalendar } from './AcademicCalendar';
@@ -15,6 +15,10 @@ import {
   Typography,
   Row,
   Col,
+  Radio,
+  Checkbox,
+  Alert,
+  Tooltip,
 } from 'antd';
 import { toast } from 'react-hot-toast';
 import {
@@ -29,6 +33,7 @@ import {
   SyncOutlined,
   CloseCircleOutlined,
   ClearOutlined,
+  SafetyCertificateOutlined,
 } from '@ant-design/icons';
 import { adminService } from '../../../services/admin.service';
 
@@ -46,6 +51,10 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
   const [createLoading, setCreateLoading] = useState(false);
   const [restoreLoading, setRestoreLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [tableOptions, setTableOptions] = useState([]);
+  const [restoreOptions, setRestoreOptions] = useState({ dropExisting: true, tables: [], skipSafetySnapshot: false });
+  const [verifyingId, setVerifyingId] = useState(null);
+  const [verification, setVerification] = useState(null);
   const [form] = Form.useForm();
 
   const fetchBackups = useCallback(async (page = 1, limit = 10) => {
@@ -70,6 +79,15 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
     fetchBackups();
   }, [fetchBackups]);
 
+  useEffect(() => {
+    adminService.listBackupTables()
+      .then((tables) => setTableOptions((tables || []).map(({ table, rowCount }) => ({
+        label: `${table} (${rowCount} rows)`,
+        value: table,
+      }))))
+      .catch((error) => console.error('Failed to fetch backup tables:', error));
+  }, []);
+
   // Refresh backups when backup completes via WebSocket
   useEffect(() => {
     if (backupProgress?.status === 'completed' || backupProgress?.status === 'failed') {
@@ -137,7 +155,9 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
       const response = await adminService.restoreBackup(selectedBackup.id, {
         confirmRestore: true,
         confirmationText: 'RESTORE',
-        dropExisting: true,
+        dropExisting: restoreOptions.dropExisting,
+        tables: restoreOptions.tables.length > 0 ? restoreOptions.tables : undefined,
+        skipSafetySnapshot: restoreOptions.skipSafetySnapshot,
       });
 
       if (response.success) {
@@ -156,6 +176,31 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
     }
   };
 
+  const openRestoreModal = (backup) => {
+    setSelectedBackup(backup);
+    setRestoreOptions({ dropExisting: true, tables: [], skipSafetySnapshot: false });
+    setRestoreModalOpen(true);
+  };
+
+  const handleVerify = async (backup) => {
+    try {
+      setVerifyingId(backup.id);
+      const result = await adminService.verifyBackup(backup.id);
+      setVerification({ backup, result });
+      if (result.passed) {
+        toast.success('Backup verified: row counts match');
+      } else {
+        toast.error('Backup verification found mismatched row counts');
+      }
+      fetchBackups(pagination.current, pagination.pageSize);
+    } catch (error) {
+      console.error('Failed to verify backup:', error);
+      toast.error(error.response?.data?.message || 'Failed to verify backup');
+    } finally {
+      setVerifyingId(null);
+    }
+  };
+
   const handleDelete = async (id) => {
     try {
       await adminService.deleteBackup(id);
@@ -215,6 +260,9 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
     );
   };
 
+  const isRestorable = (record) =>
+    (record.status === 'COMPLETED' || record.status === 'RESTORED') && record.format === 'pg_custom';
+
   const formatFileSize = (bytes) => {
     if (!bytes) return '0 B';
     const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -227,7 +275,27 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
       title: 'Filename',
       dataIndex: 'filename',
       key: 'filename',
-      render: (text) => <Text strong>{text}</Text>,
+      render: (text, record) => (
+        <Space direction="vertical" size={2}>
+          <Text strong>{text}</Text>
+          <Space size={4} wrap>
+            {record.isSafetySnapshot && <Tag color="gold">SAFETY SNAPSHOT</Tag>}
+            {record.tables?.length > 0 && (
+              <Tooltip title={record.tables.join(', ')}>
+                <Tag color="cyan">{record.tables.length} TABLES</Tag>
+              </Tooltip>
+            )}
+            {record.format !== 'pg_custom' && <Tag color="red">LEGACY {record.format?.toUpperCase()}</Tag>}
+            {record.verification && (
+              <Tooltip title={`Verified ${new Date(record.verifiedAt).toLocaleString()}`}>
+                <Tag color={record.verification.passed ? 'success' : 'error'}>
+                  {record.verification.passed ? 'VERIFIED' : 'VERIFY FAILED'}
+                </Tag>
+              </Tooltip>
+            )}
+          </Space>
+        </Space>
+      ),
     },
     {
       title: 'Description',
@@ -275,7 +343,7 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
     {
       title: 'Actions',
       key: 'actions',
-      width: 200,
+      width: 280,
       render: (_, record) => (
         <Space size="small">
           <Button
@@ -287,15 +355,22 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
           >
             Download
           </Button>
+          <Button
+            type="link"
+            size="small"
+            icon={<SafetyCertificateOutlined />}
+            onClick={() => handleVerify(record)}
+            loading={verifyingId === record.id}
+            disabled={!isRestorable(record) || (verifyingId && verifyingId !== record.id)}
+          >
+            Verify
+          </Button>
           <Button
             type="link"
             size="small"
             icon={<ReloadOutlined />}
-            onClick={() => {
-              setSelectedBackup(record);
-              setRestoreModalOpen(true);
-            }}
-            disabled={record.status !== 'COMPLETED' && record.status !== 'RESTORED'}
+            onClick={() => openRestoreModal(record)}
+            disabled={!isRestorable(record)}
           >
             Restore
           </Button>
@@ -486,6 +561,18 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
               <Select.Option value="both">Both (Recommended)</Select.Option>
             </Select>
           </Form.Item>
+          <Form.Item
+            name="tables"
+            label="Tables"
+            extra="Leave empty to back up the full database"
+          >
+            <Select
+              mode="multiple"
+              allowClear
+              placeholder="All tables"
+              options={tableOptions}
+            />
+          </Form.Item>
           <Form.Item className="mb-0">
             <Space className="w-full justify-end">
               <Button onClick={() => setCreateModalOpen(false)}>Cancel</Button>
@@ -510,7 +597,7 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
         <div className="py-4">
           <Upload.Dragger
             name="file"
-            accept=".gz,.tar,.tar.gz,.zip"
+            accept=".dump,.backup"
             beforeUpload={handleUpload}
             showUploadList={false}
             disabled={uploadProgress > 0}
@@ -520,7 +607,7 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
             </p>
             <p className="ant-upload-text">Click or drag backup file to upload</p>
             <p className="ant-upload-hint">
-              Supports .gz, .tar, .tar.gz, .zip formats (max 500MB)
+              PostgreSQL custom-format archives from pg_dump -Fc (max 500MB)
             </p>
           </Upload.Dragger>
           {uploadProgress > 0 && (
@@ -576,14 +663,97 @@ const DatabaseManagement = ({ backupProgress, restoreProgress, connected }) => {
               <Text className="text-text-secondary text-sm block">
                 Size: {formatFileSize(selectedBackup.size)}
               </Text>
+              {selectedBackup.checksum && (
+                <Text className="text-text-tertiary text-xs block font-mono">
+                  SHA-256: {selectedBackup.checksum}
+                </Text>
+              )}
             </Card>
           )}
+          <div className="mt-4 space-y-3">
+            <Radio.Group
+              value={restoreOptions.dropExisting}
+              onChange={(e) => setRestoreOptions((prev) => ({ ...prev, dropExisting: e.target.value }))}
+            >
+              <Space direction="vertical">
+                <Radio value={true}>Replace existing rows with the backup version</Radio>
+                <Radio value={false}>Only add rows that no longer exist (keep current rows)</Radio>
+              </Space>
+            </Radio.Group>
+            <Select
+              mode="multiple"
+              allowClear
+              className="w-full"
+              placeholder={selectedBackup?.tables?.length ? 'All tables in this backup' : 'All tables (full restore)'}
+              value={restoreOptions.tables}
+              onChange={(tables) => setRestoreOptions((prev) => ({ ...prev, tables }))}
+              options={selectedBackup?.tables?.length
+                ? selectedBackup.tables.map((table) => ({ label: table, value: table }))
+                : tableOptions}
+            />
+            <Checkbox
+              checked={!restoreOptions.skipSafetySnapshot}
+              onChange={(e) => setRestoreOptions((prev) => ({ ...prev, skipSafetySnapshot: !e.target.checked }))}
+            >
+              Take a safety snapshot of the current data first (recommended)
+            </Checkbox>
+          </div>
           <Paragraph type="danger" className="mt-4">
-            <strong>Warning:</strong> This operation will replace all current data with the backup data.
-            This action cannot be undone. Make sure you have a recent backup of the current state.
+            <strong>Warning:</strong>{' '}
+            {restoreOptions.dropExisting && restoreOptions.tables.length === 0 && !selectedBackup?.tables?.length
+              ? 'This operation will replace all current data with the backup data.'
+              : 'Rows from the backup will be merged into the selected tables.'}
+            {restoreOptions.skipSafetySnapshot
+              ? ' No safety snapshot will be taken, so this action cannot be undone.'
+              : ' A safety snapshot is taken first so the restore can be rolled back.'}
           </Paragraph>
         </div>
       </Modal>
+
+      {/* Verification Result Modal */}
+      <Modal
+        title="Backup Verification"
+        open={!!verification}
+        onCancel={() => setVerification(null)}
+        footer={[
+          <Button key="close" onClick={() => setVerification(null)}>
+            Close
+          </Button>,
+        ]}
+        width={720}
+      >
+        {verification && (
+          <div className="space-y-4">
+            <Alert
+              type={verification.result.passed ? 'success' : 'error'}
+              showIcon
+              message={verification.result.passed
+                ? `${verification.backup.filename} restored cleanly into a scratch schema`
+                : `${verification.backup.filename} restored with mismatched row counts`}
+            />
+            <Table
+              size="small"
+              rowKey="table"
+              dataSource={verification.result.tables}
+              pagination={{ pageSize: 10 }}
+              columns={[
+                { title: 'Table', dataIndex: 'table', key: 'table' },
+                { title: 'At Backup', dataIndex: 'expected', key: 'expected', render: (v) => v ?? '-' },
+                { title: 'Restored', dataIndex: 'restored', key: 'restored' },
+                { title: 'Live Now', dataIndex: 'live', key: 'live', render: (v) => v ?? '-' },
+                {
+                  title: 'Result',
+                  dataIndex: 'match',
+                  key: 'match',
+                  render: (match) => (
+                    <Tag color={match ? 'success' : 'error'}>{match ? 'MATCH' : 'MISMATCH'}</Tag>
+                  ),
+                },
+              ]}
+            />
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
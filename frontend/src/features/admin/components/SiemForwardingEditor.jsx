@@ -0,0 +1,251 @@
+import React from 'react';
+import {
+  Card,
+  Input,
+  InputNumber,
+  Switch,
+  Select,
+  Button,
+  Row,
+  Col,
+  Typography,
+  Empty,
+  Popconfirm,
+} from 'antd';
+import { PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+const AUDIT_CATEGORIES = [
+  'SECURITY',
+  'AUTHENTICATION',
+  'COMPLIANCE',
+  'USER_MANAGEMENT',
+  'SYSTEM',
+  'SYSTEM_ADMIN',
+  'DATA_MANAGEMENT',
+  'ADMINISTRATIVE',
+  'PROFILE_MANAGEMENT',
+  'INTERNSHIP_WORKFLOW',
+  'APPLICATION_PROCESS',
+  'FEEDBACK_SYSTEM',
+  'SUPPORT',
+];
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const SINK_TYPES = [
+  { value: 'syslog', label: 'Syslog (RFC 5424)' },
+  { value: 'file', label: 'JSON lines file' },
+  { value: 'webhook', label: 'HTTP webhook' },
+];
+
+const PROTOCOLS = [
+  { value: 'udp', label: 'UDP', port: 514 },
+  { value: 'tcp', label: 'TCP', port: 514 },
+  { value: 'tls', label: 'TLS', port: 6514 },
+];
+
+const NEW_SINK = {
+  type: 'syslog',
+  enabled: true,
+  categories: ['SECURITY'],
+  minSeverity: 'MEDIUM',
+  protocol: 'tls',
+  host: '',
+  port: 6514,
+};
+
+// Webhook headers are edited as "Name: value" lines
+const headersToText = (headers) =>
+  Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+
+const textToHeaders = (text) =>
+  text.split('\n').reduce((headers, line) => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+    return headers;
+  }, {});
+
+/**
+ * Form control for the `integrations.siemForwarding` setting
+ */
+const SiemForwardingEditor = ({ value, onChange }) => {
+  const config = value || { enabled: false, sinks: [] };
+  const sinks = config.sinks || [];
+
+  const update = (changes) => onChange?.({ ...config, ...changes });
+
+  const updateSink = (index, changes) =>
+    update({ sinks: sinks.map((sink, i) => (i === index ? { ...sink, ...changes } : sink)) });
+
+  const addSink = () => update({ sinks: [...sinks, { ...NEW_SINK, name: `siem-${sinks.length + 1}` }] });
+
+  const removeSink = (index) => update({ sinks: sinks.filter((_, i) => i !== index) });
+
+  const renderDestination = (sink, index) => {
+    switch (sink.type) {
+      case 'file':
+        return (
+          <Col xs={24}>
+            <Text type="secondary">File path (relative to the server's SIEM_FILE_DIR)</Text>
+            <Input
+              value={sink.path}
+              placeholder="cms/audit.jsonl"
+              onChange={(e) => updateSink(index, { path: e.target.value })}
+            />
+          </Col>
+        );
+      case 'webhook':
+        return (
+          <>
+            <Col xs={24}>
+              <Text type="secondary">URL</Text>
+              <Input
+                value={sink.url}
+                placeholder="https://siem.example.gov.in/ingest"
+                onChange={(e) => updateSink(index, { url: e.target.value })}
+              />
+            </Col>
+            <Col xs={24}>
+              <Text type="secondary">Headers (one "Name: value" per line)</Text>
+              <Input.TextArea
+                rows={2}
+                defaultValue={headersToText(sink.headers)}
+                placeholder="Authorization: Bearer <token>"
+                onBlur={(e) => updateSink(index, { headers: textToHeaders(e.target.value) })}
+              />
+            </Col>
+          </>
+        );
+      default:
+        return (
+          <>
+            <Col xs={24} md={6}>
+              <Text type="secondary">Protocol</Text>
+              <Select
+                style={{ width: '100%' }}
+                value={sink.protocol || 'udp'}
+                options={PROTOCOLS}
+                onChange={(protocol) =>
+                  updateSink(index, { protocol, port: PROTOCOLS.find((p) => p.value === protocol).port })
+                }
+              />
+            </Col>
+            <Col xs={24} md={10}>
+              <Text type="secondary">Host</Text>
+              <Input
+                value={sink.host}
+                placeholder="siem.example.gov.in"
+                onChange={(e) => updateSink(index, { host: e.target.value })}
+              />
+            </Col>
+            <Col xs={12} md={4}>
+              <Text type="secondary">Port</Text>
+              <InputNumber
+                style={{ width: '100%' }}
+                min={1}
+                max={65535}
+                value={sink.port}
+                onChange={(port) => updateSink(index, { port })}
+              />
+            </Col>
+            <Col xs={12} md={4}>
+              <Text type="secondary">Facility</Text>
+              <InputNumber
+                style={{ width: '100%' }}
+                min={0}
+                max={23}
+                placeholder="13"
+                value={sink.facility}
+                onChange={(facility) => updateSink(index, { facility })}
+              />
+            </Col>
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <Switch checked={config.enabled} onChange={(enabled) => update({ enabled })} />
+        <span>Forward audit entries</span>
+      </div>
+
+      {sinks.length === 0 && (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No sinks configured" />
+      )}
+
+      {sinks.map((sink, index) => (
+        <Card
+          key={index}
+          size="small"
+          title={
+            <Input
+              variant="borderless"
+              value={sink.name}
+              placeholder="Sink name"
+              onChange={(e) => updateSink(index, { name: e.target.value })}
+            />
+          }
+          extra={
+            <div className="flex items-center gap-2">
+              <Switch
+                size="small"
+                checked={sink.enabled !== false}
+                onChange={(enabled) => updateSink(index, { enabled })}
+              />
+              <Popconfirm title="Remove this sink?" onConfirm={() => removeSink(index)}>
+                <Button type="text" danger size="small" icon={<DeleteOutlined />} />
+              </Popconfirm>
+            </div>
+          }
+        >
+          <Row gutter={[12, 8]}>
+            <Col xs={24} md={6}>
+              <Text type="secondary">Type</Text>
+              <Select
+                style={{ width: '100%' }}
+                value={sink.type}
+                options={SINK_TYPES}
+                onChange={(type) => updateSink(index, { type })}
+              />
+            </Col>
+            <Col xs={24} md={12}>
+              <Text type="secondary">Categories (empty forwards all)</Text>
+              <Select
+                mode="multiple"
+                allowClear
+                style={{ width: '100%' }}
+                value={sink.categories || []}
+                options={AUDIT_CATEGORIES.map((category) => ({ value: category, label: category }))}
+                onChange={(categories) => updateSink(index, { categories })}
+              />
+            </Col>
+            <Col xs={24} md={6}>
+              <Text type="secondary">Minimum severity</Text>
+              <Select
+                style={{ width: '100%' }}
+                value={sink.minSeverity || 'LOW'}
+                options={SEVERITIES.map((severity) => ({ value: severity, label: severity }))}
+                onChange={(minSeverity) => updateSink(index, { minSeverity })}
+              />
+            </Col>
+            {renderDestination(sink, index)}
+          </Row>
+        </Card>
+      ))}
+
+      <Button type="dashed" icon={<PlusOutlined />} onClick={addSink} block>
+        Add Sink
+      </Button>
+    </div>
+  );
+};
+
+export default SiemForwardingEditor;
@@ -358,10 +358,11 @@ const UserManagement = ({ bulkOperationProgress, connected }) => {
         <div className="flex flex-wrap gap-4 items-center justify-between">
           <div className="flex flex-wrap gap-3">
             <Input.Search
-              placeholder="Search users..."
+              placeholder="Name, email or full phone number"
+              title="Phone numbers are matched only when the full number is entered"
               allowClear
               onSearch={handleSearch}
-              style={{ width: 250 }}
+              style={{ width: 280 }}
               prefix={<SearchOutlined className="text-text-tertiary" />}
             />
             <Select
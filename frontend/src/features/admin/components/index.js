@@ -2,3 +2,4 @@ export { default as SystemOverview } from './SystemOverview';
 export { default as DatabaseManagement } from './DatabaseManagement';
 export { default as UserManagement } from './UserManagement';
 export { default as ActiveSessions } from './ActiveSessions';
+export { default as SiemForwardingEditor } from './SiemForwardingEditor';
@@ -33,6 +33,7 @@ const BackupSchedules = () => {
   const [scheduleStatus, setScheduleStatus] = useState([]);
   const [modalVisible, setModalVisible] = useState(false);
   const [editingSchedule, setEditingSchedule] = useState(null);
+  const [tableOptions, setTableOptions] = useState([]);
   const [form] = Form.useForm();
 
   const fetchData = async () => {
@@ -54,6 +55,9 @@ const BackupSchedules = () => {
 
   useEffect(() => {
     fetchData();
+    adminService.listBackupTables()
+      .then((tables) => setTableOptions((tables || []).map(({ table }) => ({ label: table, value: table }))))
+      .catch((error) => console.error('Failed to fetch backup tables:', error));
   }, []);
 
   const handleCreate = () => {
@@ -62,6 +66,7 @@ const BackupSchedules = () => {
     form.setFieldsValue({
       storageType: 'both',
       retentionDays: 30,
+      tables: [],
     });
     setModalVisible(true);
   };
@@ -73,6 +78,7 @@ const BackupSchedules = () => {
       cronExpression: schedule.cronExpression,
       storageType: schedule.storageType,
       retentionDays: schedule.retentionDays,
+      tables: schedule.tables || [],
     });
     setModalVisible(true);
   };
@@ -335,6 +341,19 @@ const BackupSchedules = () => {
           >
             <InputNumber min={1} max={365} style={{ width: '100%' }} />
           </Form.Item>
+
+          <Form.Item
+            name="tables"
+            label="Tables"
+            extra="Leave empty to back up the full database"
+          >
+            <Select
+              mode="multiple"
+              allowClear
+              placeholder="All tables"
+              options={tableOptions}
+            />
+          </Form.Item>
         </Form>
       </Modal>
     </div>
@@ -27,8 +27,10 @@ import {
   BellOutlined,
   ToolOutlined,
   AppstoreOutlined,
+  ApiOutlined,
 } from '@ant-design/icons';
 import { adminService } from '../../../services/admin.service';
+import SiemForwardingEditor from '../components/SiemForwardingEditor';
 
 const { TabPane } = Tabs;
 
@@ -135,6 +137,10 @@ const SystemSettings = () => {
       style: { width: '100%' },
     };
 
+    if (config.key === 'integrations.siemForwarding') {
+      return <SiemForwardingEditor />;
+    }
+
     switch (config.type) {
       case 'boolean':
         return <Switch />;
@@ -176,6 +182,8 @@ const SystemSettings = () => {
         return <BellOutlined />;
       case 'maintenance':
         return <ToolOutlined />;
+      case 'integrations':
+        return <ApiOutlined />;
       default:
         return <SettingOutlined />;
     }
@@ -238,7 +246,7 @@ const SystemSettings = () => {
     );
   }
 
-  const categoryOrder = ['general', 'security', 'features', 'notifications', 'maintenance'];
+  const categoryOrder = ['general', 'security', 'features', 'notifications', 'maintenance', 'integrations'];
   const sortedCategories = categoryOrder.filter((cat) => configs[cat]);
 
   return (
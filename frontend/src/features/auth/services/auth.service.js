@@ -56,6 +56,11 @@ export const authService = {
     return response.data;
   },
 
+  updatePreferredLanguage: async (preferredLanguage) => {
+    const response = await apiClient.post(API_ENDPOINTS.PROFILE, { preferredLanguage });
+    return response.data;
+  },
+
   register: async (userData) => {
     const response = await apiClient.post('/auth/register', userData);
     return response.data;
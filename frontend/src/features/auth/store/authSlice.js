@@ -140,6 +140,10 @@ const authSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
+    // Merge profile changes made elsewhere into the signed-in user
+    updateUser: (state, action) => {
+      state.user = { ...state.user, ...action.payload };
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -192,5 +196,5 @@ const authSlice = createSlice({
   },
 });
 
-export const { logout, setCredentials, clearError } = authSlice.actions;
+export const { logout, setCredentials, clearError, updateUser } = authSlice.actions;
 export default authSlice.reducer;
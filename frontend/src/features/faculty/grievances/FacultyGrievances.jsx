@@ -42,6 +42,7 @@ import {
   ArrowUpOutlined,
   SendOutlined,
   MessageOutlined,
+  LockOutlined,
 } from "@ant-design/icons";
 import toast from "react-hot-toast";
 import dayjs from "dayjs";
@@ -309,6 +310,9 @@ export default function FacultyGrievances() {
       render: (name, record) => (
         <Space orientation="vertical" size={0}>
           <Text>{name || record.student?.user?.name || record.student?.name || "N/A"}</Text>
+          {record.isConfidential && (
+            <Tag icon={<LockOutlined />} color="purple" className="text-[10px]">Confidential</Tag>
+          )}
           <Text type="secondary" className="text-xs">
             {record.student?.user?.rollNumber || record.student?.rollNumber}
           </Text>
@@ -703,7 +707,7 @@ export default function FacultyGrievances() {
                 <Card size="small" title={<><ClockCircleOutlined /> Status History</>}>
                   <Timeline
                     items={selectedGrievance.statusHistory.map((history) => ({
-                      color: history.action === "ESCALATED" ? "red" :
+                      color: history.action === "ESCALATED" || history.action === "AUTO_ESCALATED" ? "red" :
                              history.action === "RESOLVED" ? "green" : "blue",
                       children: (
                         <div>
@@ -711,6 +715,9 @@ export default function FacultyGrievances() {
                             {history.action === "SUBMITTED" && "Submitted"}
                             {history.action === "ASSIGNED" && `Assigned to ${history.changedBy?.name}`}
                             {history.action === "ESCALATED" && `Escalated to ${ESCALATION_LEVELS[history.escalationLevel]?.label}`}
+                            {history.action === "AUTO_ESCALATED" && `Auto-escalated to ${ESCALATION_LEVELS[history.escalationLevel]?.label} (SLA missed)`}
+                            {history.action === "REOPENED" && "Reopened by student"}
+                            {history.action === "FEEDBACK" && "Student feedback"}
                             {history.action === "RESPONDED" && "Response Added"}
                             {history.action === "STATUS_CHANGED" && `Status: ${history.toStatus?.replace(/_/g, " ")}`}
                             {history.action === "REJECTED" && "Rejected"}
@@ -40,6 +40,10 @@ import {
   UploadOutlined,
   InboxOutlined,
   DeleteOutlined,
+  FormOutlined,
+  EditOutlined,
+  HistoryOutlined,
+  HighlightOutlined,
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 import {
@@ -51,8 +55,18 @@ import {
   selectStudents,
   viewMonthlyReport,
   deleteMonthlyReport,
+  requestMonthlyReportRevision,
 } from '../store/facultySlice';
 import ProfileAvatar from '../../../components/common/ProfileAvatar';
+import MonthlyReportContentView from '../../../components/common/MonthlyReportContentView';
+import ReportVersionCompare from './ReportVersionCompare';
+import ReportAnnotationModal from '../../../components/common/ReportAnnotationModal';
+import facultyService from '../../../services/faculty.service';
+
+const loadAnnotations = (reportId, version) => facultyService.getMonthlyReportAnnotations(reportId, version);
+const addAnnotation = async (reportId, annotation) =>
+  (await facultyService.addMonthlyReportAnnotation(reportId, annotation)).data;
+const deleteAnnotation = (reportId, annotationId) => facultyService.deleteMonthlyReportAnnotation(reportId, annotationId);
 
 const MONTH_NAMES = [
   'January', 'February', 'March', 'April', 'May', 'June',
@@ -80,13 +94,22 @@ const MonthlyReportsPage = () => {
   const { list: reports, loading, total, page, totalPages } = useSelector(selectMonthlyReports);
   const { list: students } = useSelector(selectStudents);
   const lastFetched = useSelector((state) => state.faculty.lastFetched?.monthlyReports);
+  const currentUserId = useSelector((state) => state.auth.user?.id);
 
   const [searchText, setSearchText] = useState('');
+  const [contentSearch, setContentSearch] = useState('');
   const [activeTab, setActiveTab] = useState('all');
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [detailDrawer, setDetailDrawer] = useState(false);
   const [selectedReport, setSelectedReport] = useState(null);
 
+  // Revision workflow states
+  const [revisionModal, setRevisionModal] = useState(false);
+  const [revisionComments, setRevisionComments] = useState('');
+  const [requestingRevision, setRequestingRevision] = useState(false);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [annotationReport, setAnnotationReport] = useState(null);
+
   // Upload modal states
   const [modalVisible, setModalVisible] = useState(false);
   const [fileList, setFileList] = useState([]);
@@ -131,17 +154,24 @@ const MonthlyReportsPage = () => {
     dispatch(fetchAssignedStudents({ limit: 100 }));
   }, [dispatch]);
 
+  // Full-text search runs on the server over structured report answers
+  const handleContentSearch = useCallback((value) => {
+    const search = value.trim();
+    setContentSearch(search);
+    dispatch(fetchMonthlyReports({ search, forceRefresh: true }));
+  }, [dispatch]);
+
   const handleRefresh = useCallback(async () => {
     setIsRefreshing(true);
     try {
-      await dispatch(fetchMonthlyReports({ forceRefresh: true })).unwrap();
+      await dispatch(fetchMonthlyReports({ search: contentSearch, forceRefresh: true })).unwrap();
       toast.success('Data refreshed successfully');
     } catch (error) {
       toast.error('Failed to refresh data');
     } finally {
       setIsRefreshing(false);
     }
-  }, [dispatch]);
+  }, [dispatch, contentSearch]);
 
   const handleDownload = async (report) => {
     try {
@@ -192,6 +222,32 @@ const MonthlyReportsPage = () => {
     setDetailDrawer(true);
   };
 
+  // Send the report back to the student with feedback; their next upload becomes a new version
+  const handleRequestRevision = async () => {
+    if (revisionComments.trim().length < 10) {
+      toast.error('Please explain what needs to change (at least 10 characters)');
+      return;
+    }
+
+    setRequestingRevision(true);
+    try {
+      const result = await dispatch(requestMonthlyReportRevision({
+        reportId: selectedReport.id,
+        comments: revisionComments.trim(),
+      })).unwrap();
+      toast.success(result?.message || 'Revision requested');
+      setSelectedReport((prev) => ({ ...prev, ...result?.data }));
+      setRevisionModal(false);
+      setRevisionComments('');
+      dispatch(fetchMonthlyReports({ search: contentSearch, forceRefresh: true }));
+    } catch (error) {
+      const errorMessage = typeof error === 'string' ? error : error?.message || 'Failed to request revision';
+      toast.error(errorMessage);
+    } finally {
+      setRequestingRevision(false);
+    }
+  };
+
   // Handle file change
   const handleFileChange = useCallback(({ fileList: newFileList }) => {
     const file = newFileList[0]?.originFileObj;
@@ -389,6 +445,26 @@ const MonthlyReportsPage = () => {
               onClick={() => handleViewDetails(record)}
             />
           </Tooltip>
+          {record.content && (
+            <Tooltip title="View Report Form">
+              <Button
+                type="text"
+                size="small"
+                icon={<FormOutlined />}
+                onClick={() => handleViewDetails(record)}
+              />
+            </Tooltip>
+          )}
+          {record.reportFileUrl && record.currentVersion > 0 && (
+            <Tooltip title="Annotate Report">
+              <Button
+                type="text"
+                size="small"
+                icon={<HighlightOutlined />}
+                onClick={() => setAnnotationReport(record)}
+              />
+            </Tooltip>
+          )}
           {record.reportFileUrl && (
             <>
               <Tooltip title="View Report">
@@ -526,7 +602,7 @@ const MonthlyReportsPage = () => {
 
         {/* Search and Table */}
         <Card className="rounded-2xl shadow-sm overflow-hidden" style={{ borderColor: token.colorBorder }} styles={{ body: { padding: 0 } }}>
-          <div className="p-4 border-b" style={{ borderColor: token.colorBorder }}>
+          <div className="p-4 border-b flex flex-wrap gap-3" style={{ borderColor: token.colorBorder }}>
             <Input
               placeholder="Search by student name or roll number..."
               prefix={<SearchOutlined style={{ color: token.colorTextTertiary }} />}
@@ -535,6 +611,13 @@ const MonthlyReportsPage = () => {
               className="max-w-md rounded-lg h-10"
               allowClear
             />
+            <Input.Search
+              placeholder="Search report content (tasks, skills...)"
+              onSearch={handleContentSearch}
+              className="max-w-sm"
+              size="large"
+              allowClear
+            />
           </div>
 
           {/* <Tabs
@@ -653,6 +736,14 @@ const MonthlyReportsPage = () => {
                     <Text style={{ color: token.colorText }}>{selectedReport.reviewedAt ? dayjs(selectedReport.reviewedAt).format('DD MMM YYYY, HH:mm') : '-'}</Text>
                   </div>
                 </div>
+                {selectedReport.currentVersion > 0 && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Tag icon={<HistoryOutlined />}>Version {selectedReport.currentVersion}</Tag>
+                    {selectedReport.isLateSubmission && (
+                      <Tag color="orange">{selectedReport.daysLate} day(s) late</Tag>
+                    )}
+                  </div>
+                )}
                 {selectedReport.reviewComments && (
                   <div>
                     <Text className="text-[10px] uppercase font-bold block mb-1" style={{ color: token.colorTextTertiary }}>Review Comments</Text>
@@ -664,8 +755,49 @@ const MonthlyReportsPage = () => {
               </div>
             </div>
 
-            {/* Actions - View only mode */}
-            <div className="pt-4 flex justify-end gap-3 border-t" style={{ borderColor: token.colorBorder }}>
+            {/* Structured Report */}
+            {selectedReport.content && (
+              <div className="rounded-xl border overflow-hidden" style={{ backgroundColor: token.colorBgContainer, borderColor: token.colorBorder }}>
+                <div className="px-4 py-3 border-b" style={{ backgroundColor: token.colorFillQuaternary, borderColor: token.colorBorder }}>
+                  <Text className="text-xs uppercase font-bold flex items-center gap-2" style={{ color: token.colorTextTertiary }}>
+                    <FormOutlined style={{ color: token.colorPrimary }} /> Report Content
+                  </Text>
+                </div>
+                <div className="p-4">
+                  <MonthlyReportContentView content={selectedReport.content} />
+                </div>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="pt-4 flex flex-wrap justify-end gap-3 border-t" style={{ borderColor: token.colorBorder }}>
+              {selectedReport.reportFileUrl && selectedReport.currentVersion > 0 && (
+                <Button
+                  icon={<HighlightOutlined />}
+                  onClick={() => setAnnotationReport(selectedReport)}
+                  className="rounded-lg"
+                >
+                  Annotate
+                </Button>
+              )}
+              {selectedReport.currentVersion > 1 && (
+                <Button
+                  icon={<HistoryOutlined />}
+                  onClick={() => setCompareOpen(true)}
+                  className="rounded-lg"
+                >
+                  Compare Versions
+                </Button>
+              )}
+              {selectedReport.currentVersion > 0 && selectedReport.status !== 'REVISION_REQUIRED' && (
+                <Button
+                  icon={<EditOutlined />}
+                  onClick={() => setRevisionModal(true)}
+                  className="rounded-lg"
+                >
+                  Request Revision
+                </Button>
+              )}
               {selectedReport.reportFileUrl && (
                 <Button
                   icon={<DownloadOutlined />}
@@ -680,6 +812,59 @@ const MonthlyReportsPage = () => {
         )}
       </Drawer>
 
+      {/* Request Revision Modal */}
+      <Modal
+        title={
+          <div className="flex items-center gap-2">
+            <EditOutlined style={{ color: token.colorWarning }} />
+            <span>Request Revision</span>
+          </div>
+        }
+        open={revisionModal}
+        onCancel={() => {
+          setRevisionModal(false);
+          setRevisionComments('');
+        }}
+        onOk={handleRequestRevision}
+        okText="Send to Student"
+        confirmLoading={requestingRevision}
+        okButtonProps={{ disabled: revisionComments.trim().length < 10 }}
+        destroyOnClose
+      >
+        <div className="pt-2 space-y-3">
+          <Text className="text-sm block" style={{ color: token.colorTextSecondary }}>
+            The student will see your feedback and can resubmit. Earlier versions are kept for comparison.
+            Use Annotate to point at specific pages of the file.
+          </Text>
+          <Input.TextArea
+            rows={5}
+            value={revisionComments}
+            onChange={(e) => setRevisionComments(e.target.value)}
+            maxLength={2000}
+            showCount
+            placeholder="Describe what needs to be corrected or added..."
+            className="rounded-lg"
+          />
+        </div>
+      </Modal>
+
+      <ReportVersionCompare
+        open={compareOpen}
+        report={selectedReport}
+        onClose={() => setCompareOpen(false)}
+      />
+
+      <ReportAnnotationModal
+        open={!!annotationReport}
+        report={annotationReport}
+        onClose={() => setAnnotationReport(null)}
+        loadAnnotations={loadAnnotations}
+        onAdd={addAnnotation}
+        onDelete={deleteAnnotation}
+        currentUserId={currentUserId}
+        title="Annotate Report"
+      />
+
       {/* Upload Modal */}
       <Modal
         title={
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Select, Button, Tag, Typography, Spin, Empty, Alert, theme } from 'antd';
+import { FileTextOutlined, HistoryOutlined, WarningOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import dayjs from 'dayjs';
+import facultyService from '../../../services/faculty.service';
+import MonthlyReportContentView from '../../../components/common/MonthlyReportContentView';
+
+const { Text, Paragraph } = Typography;
+
+const REVIEW_TAGS = {
+  APPROVED: { color: 'green', label: 'Approved' },
+  REJECTED: { color: 'red', label: 'Rejected' },
+  REVISION_REQUIRED: { color: 'warning', label: 'Revision Required' },
+};
+
+/**
+ * Side-by-side viewer for the submitted versions of one monthly report.
+ * Opens with the two most recent versions selected.
+ */
+const ReportVersionCompare = ({ open, report, onClose }) => {
+  const { token } = theme.useToken();
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [leftVersion, setLeftVersion] = useState(null);
+  const [rightVersion, setRightVersion] = useState(null);
+
+  useEffect(() => {
+    if (!open || !report?.id) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setHistory(null);
+    facultyService
+      .getMonthlyReportVersions(report.id)
+      .then((result) => {
+        if (cancelled) return;
+        const versions = result?.versions || [];
+        setHistory(result);
+        setRightVersion(versions[versions.length - 1]?.versionNumber ?? null);
+        setLeftVersion(versions[versions.length - 2]?.versionNumber ?? versions[0]?.versionNumber ?? null);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(error.response?.data?.message || 'Failed to load report versions');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, report?.id]);
+
+  const versions = history?.versions || [];
+  const versionOptions = versions.map((v) => ({
+    value: v.versionNumber,
+    label: `Version ${v.versionNumber} · ${dayjs(v.submittedAt).format('DD MMM YYYY')}`,
+  }));
+
+  const handleOpenFile = async (versionNumber) => {
+    try {
+      const result = await facultyService.viewMonthlyReport(report.id, versionNumber);
+      if (result?.url) {
+        window.open(result.url, '_blank');
+      } else {
+        toast.error('No file available for this version');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to open report file');
+    }
+  };
+
+  const renderVersion = (versionNumber, onChange) => {
+    const version = versions.find((v) => v.versionNumber === versionNumber);
+    const reviewTag = version?.reviewStatus ? REVIEW_TAGS[version.reviewStatus] : null;
+
+    return (
+      <div className="rounded-xl border overflow-hidden flex flex-col" style={{ borderColor: token.colorBorder }}>
+        <div className="px-4 py-3 border-b" style={{ backgroundColor: token.colorFillQuaternary, borderColor: token.colorBorder }}>
+          <Select value={versionNumber} onChange={onChange} options={versionOptions} className="w-full" />
+        </div>
+
+        {version ? (
+          <div className="p-4 space-y-4">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <Text className="text-[10px] uppercase font-bold block mb-1" style={{ color: token.colorTextTertiary }}>Submitted On</Text>
+                <Text style={{ color: token.colorText }}>{dayjs(version.submittedAt).format('DD MMM YYYY, HH:mm')}</Text>
+              </div>
+              {reviewTag ? <Tag color={reviewTag.color}>{reviewTag.label}</Tag> : <Tag>Awaiting Review</Tag>}
+            </div>
+
+            {version.reviewComments && (
+              <div>
+                <Text className="text-[10px] uppercase font-bold block mb-1" style={{ color: token.colorTextTertiary }}>Mentor Feedback</Text>
+                <Paragraph className="mb-0 p-3 rounded-lg whitespace-pre-line" style={{ backgroundColor: token.colorFillQuaternary, color: token.colorText }}>
+                  {version.reviewComments}
+                </Paragraph>
+              </div>
+            )}
+
+            {version.reportFileUrl && (
+              <Button icon={<FileTextOutlined />} onClick={() => handleOpenFile(version.versionNumber)} className="rounded-lg">
+                Open Report File
+              </Button>
+            )}
+
+            {version.content ? (
+              <MonthlyReportContentView content={version.content} />
+            ) : (
+              !version.reportFileUrl && <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Nothing submitted" />
+            )}
+          </div>
+        ) : (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Select a version" className="py-8" />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title={
+        <div className="flex items-center gap-2">
+          <HistoryOutlined style={{ color: token.colorPrimary }} />
+          <span>Compare Report Versions</span>
+          {history && (
+            <Text className="text-xs font-normal" style={{ color: token.colorTextTertiary }}>
+              {history.monthName} {history.reportYear}
+            </Text>
+          )}
+        </div>
+      }
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={1100}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        {history?.isLateSubmission && (
+          <Alert
+            type="warning"
+            showIcon
+            icon={<WarningOutlined />}
+            className="rounded-lg mb-4"
+            message={`First submitted ${dayjs(history.submittedAt).format('DD MMM YYYY')}, ${history.daysLate} day(s) late. Resubmissions do not change this.`}
+          />
+        )}
+
+        {versions.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderVersion(leftVersion, setLeftVersion)}
+            {renderVersion(rightVersion, setRightVersion)}
+          </div>
+        ) : (
+          !loading && <Empty description="No submitted versions yet" />
+        )}
+      </Spin>
+    </Modal>
+  );
+};
+
+export default ReportVersionCompare;
@@ -621,6 +621,18 @@ export const rejectMonthlyReport = createAsyncThunk(
   }
 );
 
+export const requestMonthlyReportRevision = createAsyncThunk(
+  'faculty/requestMonthlyReportRevision',
+  async ({ reportId, comments }, { rejectWithValue }) => {
+    try {
+      const response = await facultyService.requestMonthlyReportRevision(reportId, comments);
+      return { id: reportId, ...response };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to request revision');
+    }
+  }
+);
+
 export const deleteMonthlyReport = createAsyncThunk(
   'faculty/deleteMonthlyReport',
   async (reportId, { rejectWithValue }) => {
@@ -97,16 +97,18 @@ const FacultyStudentModal = ({ open, onClose, studentId, studentData: propStuden
         // Fetch unmasked contact details for edit form
         let unmaskedEmail = studentData?.user?.email || studentData.email;
         let unmaskedPhone = studentData?.user?.phoneNo || studentData.contact || studentData.phoneNo;
+        let unmaskedParentContact = studentData.parentContact;
 
         // Check if values are masked (contain asterisks)
         const isMasked = (value) => value && typeof value === 'string' && value.includes('*');
 
-        if (studentId && (isMasked(unmaskedEmail) || isMasked(unmaskedPhone))) {
+        if (studentId && (isMasked(unmaskedEmail) || isMasked(unmaskedPhone) || isMasked(unmaskedParentContact))) {
           try {
             const unmaskedData = await facultyService.getUnmaskedContactDetails(studentId);
             if (unmaskedData) {
               unmaskedEmail = unmaskedData.email || unmaskedEmail;
               unmaskedPhone = unmaskedData.phoneNo || unmaskedPhone;
+              unmaskedParentContact = unmaskedData.parentContact || unmaskedParentContact;
             }
           } catch (err) {
             console.error('Failed to fetch unmasked contact details:', err);
@@ -125,7 +127,7 @@ const FacultyStudentModal = ({ open, onClose, studentId, studentData: propStuden
           currentSemester: studentData.currentSemester,
           clearanceStatus: studentData.clearanceStatus,
           parentName: studentData.parentName,
-          parentContact: studentData.parentContact,
+          parentContact: unmaskedParentContact,
           motherName: studentData.motherName,
           gender: studentData.gender,
           address: studentData.address,
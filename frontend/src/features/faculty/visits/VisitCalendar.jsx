@@ -0,0 +1,382 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Calendar, Card, Button, Tag, Space, Typography, Tooltip, Modal, Select, Form, Input, Empty, Popconfirm, Badge, theme } from 'antd';
+import { toast } from 'react-hot-toast';
+import { ReloadOutlined, DownloadOutlined, LinkOutlined, WarningOutlined, CloseOutlined, HolderOutlined, CarOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { calendarService, VISIT_WINDOW_STATES } from '../../../services/calendar.service';
+import { CalendarFeedModal } from '../../shared/components';
+import VisitTripPlannerModal from './VisitTripPlannerModal';
+
+const { Title, Text } = Typography;
+
+const VISIT_TYPE_OPTIONS = [
+  { value: 'PHYSICAL', label: 'Physical' },
+  { value: 'VIRTUAL', label: 'Virtual' },
+  { value: 'TELEPHONIC', label: 'Telephonic' },
+];
+
+const VISIT_STATUS_BADGES = {
+  SCHEDULED: 'processing',
+  IN_PROGRESS: 'processing',
+  DRAFT: 'warning',
+  COMPLETED: 'success',
+  CANCELLED: 'default',
+};
+
+const DRAG_TYPE = 'application/x-visit-calendar';
+
+// Show a little of the neighbouring months, which the month grid also displays
+const rangeFor = (month) => ({
+  from: month.startOf('month').subtract(7, 'day').toISOString(),
+  to: month.endOf('month').add(7, 'day').toISOString(),
+});
+
+const describeConflict = (conflict, visitsById) => {
+  const [a, b] = conflict.visitIds.map((id) => visitsById[id]);
+  const names = `${a?.companyName || a?.studentName || 'Visit'} and ${b?.companyName || b?.studentName || 'visit'}`;
+  return conflict.reason === 'DISTANCE'
+    ? `${names} are ${conflict.distanceKm} km apart`
+    : `${names} are in different areas`;
+};
+
+/**
+ * Month calendar for planning faculty visits: every mentee's monthly visit window,
+ * scheduled visits that can be dragged to another day, and warnings when two
+ * physical visits on one day are too far apart.
+ */
+const VisitCalendar = () => {
+  const { token } = theme.useToken();
+  const [month, setMonth] = useState(() => dayjs());
+  const [data, setData] = useState({ windows: [], visits: [], conflicts: [] });
+  const [loading, setLoading] = useState(false);
+  const [scheduleDay, setScheduleDay] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [feedOpen, setFeedOpen] = useState(false);
+  const [tripsOpen, setTripsOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { from, to } = rangeFor(month);
+      setData(await calendarService.getVisitCalendar(from, to));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load visit calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const visitsById = useMemo(
+    () => Object.fromEntries(data.visits.map((visit) => [visit.id, visit])),
+    [data.visits],
+  );
+
+  const visitsByDay = useMemo(() => {
+    const map = {};
+    data.visits.forEach((visit) => {
+      if (!visit.day) return;
+      (map[visit.day] = map[visit.day] || []).push(visit);
+    });
+    return map;
+  }, [data.visits]);
+
+  const dueByDay = useMemo(() => {
+    const map = {};
+    data.windows
+      .filter((window) => window.state !== 'COMPLETED')
+      .forEach((window) => {
+        (map[window.dueDay] = map[window.dueDay] || []).push(window);
+      });
+    return map;
+  }, [data.windows]);
+
+  const conflictsByDay = useMemo(() => {
+    const map = {};
+    data.conflicts.forEach((conflict) => {
+      (map[conflict.day] = map[conflict.day] || []).push(conflict);
+    });
+    return map;
+  }, [data.conflicts]);
+
+  // Mentees that still need a visit planned in the visible range
+  const openWindows = useMemo(
+    () => data.windows.filter((window) => window.state === 'UNPLANNED' || window.state === 'OVERDUE'),
+    [data.windows],
+  );
+
+  const menteeOptions = useMemo(() => {
+    const seen = new Map();
+    data.windows.forEach((window) => {
+      if (!seen.has(window.applicationId)) {
+        seen.set(window.applicationId, {
+          value: window.applicationId,
+          label: `${window.studentName || 'Student'}${window.companyName ? ` – ${window.companyName}` : ''}`,
+        });
+      }
+    });
+    return [...seen.values()];
+  }, [data.windows]);
+
+  const warnConflicts = (conflicts, visits) => {
+    if (!conflicts?.length) return;
+    const lookup = { ...visitsById, ...Object.fromEntries(visits.map((visit) => [visit.id, visit])) };
+    Modal.warning({
+      title: 'Visits on this day are far apart',
+      content: (
+        <ul className="pl-4 mt-2">
+          {conflicts.map((conflict) => (
+            <li key={conflict.visitIds.join('-')}>{describeConflict(conflict, lookup)}</li>
+          ))}
+        </ul>
+      ),
+    });
+  };
+
+  const schedule = async (values) => {
+    setSaving(true);
+    try {
+      const result = await calendarService.scheduleVisit(values);
+      toast.success(`Visit scheduled for ${dayjs(values.day).format('DD MMM YYYY')}`);
+      warnConflicts(result.conflicts, [result.visit]);
+      setScheduleDay(null);
+      form.resetFields();
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule visit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reschedule = async (visitId, day) => {
+    try {
+      const result = await calendarService.rescheduleVisit(visitId, day);
+      toast.success(`Visit moved to ${dayjs(day).format('DD MMM YYYY')}`);
+      warnConflicts(result.conflicts, [result.visit]);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to move visit');
+    }
+  };
+
+  const cancelVisit = async (visitId) => {
+    try {
+      await calendarService.cancelVisit(visitId);
+      toast.success('Visit cancelled');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel visit');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const { from, to } = rangeFor(month);
+      await calendarService.exportVisitCalendar(from, to);
+    } catch (error) {
+      toast.error('Failed to export calendar');
+    }
+  };
+
+  const handleDrop = (event, day) => {
+    event.preventDefault();
+    let payload;
+    try {
+      payload = JSON.parse(event.dataTransfer.getData(DRAG_TYPE));
+    } catch {
+      return;
+    }
+
+    if (payload.visitId) {
+      if (visitsById[payload.visitId]?.day !== day) reschedule(payload.visitId, day);
+    } else if (payload.applicationId) {
+      schedule({ applicationId: payload.applicationId, day, visitType: 'PHYSICAL' });
+    }
+  };
+
+  const dragProps = (payload) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      event.dataTransfer.setData(DRAG_TYPE, JSON.stringify(payload));
+      event.dataTransfer.effectAllowed = 'move';
+    },
+  });
+
+  const dateCellRender = (value) => {
+    const day = value.format('YYYY-MM-DD');
+    const visits = visitsByDay[day] || [];
+    const due = dueByDay[day] || [];
+    const conflicts = conflictsByDay[day] || [];
+
+    return (
+      <div
+        className="h-full min-h-[60px]"
+        onDragOver={(event) => event.preventDefault()}
+        onDrop={(event) => handleDrop(event, day)}
+      >
+        {conflicts.length > 0 && (
+          <Tooltip title={conflicts.map((conflict) => describeConflict(conflict, visitsById)).join('; ')}>
+            <Tag color="warning" icon={<WarningOutlined />} className="!mb-1 text-[10px]">
+              Far apart
+            </Tag>
+          </Tooltip>
+        )}
+        {visits.map((visit) => {
+          const movable = visit.status === 'SCHEDULED';
+          return (
+            <div
+              key={visit.id}
+              className={`flex items-center gap-1 text-[11px] ${movable ? 'cursor-move' : ''}`}
+              onClick={(event) => event.stopPropagation()}
+              {...(movable ? dragProps({ visitId: visit.id }) : {})}
+            >
+              <Badge status={VISIT_STATUS_BADGES[visit.status] || 'default'} />
+              <Tooltip title={`${visit.visitType} · ${visit.companyName || ''} · ${visit.status}`}>
+                <span className={`truncate ${visit.status === 'CANCELLED' ? 'line-through text-text-tertiary' : ''}`}>
+                  {visit.studentName?.split(' ')[0] || 'Visit'}
+                </span>
+              </Tooltip>
+              {movable && (
+                <Popconfirm title="Cancel this visit?" onConfirm={() => cancelVisit(visit.id)}>
+                  <CloseOutlined className="text-[9px] text-text-tertiary hover:text-red-500" />
+                </Popconfirm>
+              )}
+            </div>
+          );
+        })}
+        {due.map((window) => (
+          <Tooltip
+            key={`${window.applicationId}-${window.year}-${window.month}`}
+            title={`${window.monthName} visit due for ${window.studentName || 'student'}`}
+          >
+            <div className="text-[10px] truncate" style={{ color: token.colorError }}>
+              Due: {window.studentName?.split(' ')[0] || 'Student'}
+            </div>
+          </Tooltip>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-6 min-h-screen" style={{ backgroundColor: token.colorBgLayout }}>
+      <div className="max-w-7xl mx-auto !space-y-4">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+          <div>
+            <Title level={3} className="!mb-1">Visit Calendar</Title>
+            <Text type="secondary">
+              Plan visits by dragging a student onto a day, or click a day to schedule one
+            </Text>
+          </div>
+          <Space wrap>
+            <Button icon={<ReloadOutlined spin={loading} />} onClick={load} loading={loading}>
+              Refresh
+            </Button>
+            <Button icon={<CarOutlined />} onClick={() => setTripsOpen(true)}>
+              Plan Trips
+            </Button>
+            <Button icon={<DownloadOutlined />} onClick={handleExport}>
+              Export .ics
+            </Button>
+            <Button type="primary" icon={<LinkOutlined />} onClick={() => setFeedOpen(true)}>
+              Subscribe
+            </Button>
+          </Space>
+        </div>
+
+        <div className="flex flex-col lg:flex-row gap-4">
+          {/* Mentees still needing a visit */}
+          <Card title="Needs a Visit" size="small" className="rounded-xl shadow-sm lg:w-72 shrink-0">
+            {openWindows.length === 0 ? (
+              <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="All visit windows are covered" />
+            ) : (
+              <div className="!space-y-2">
+                {openWindows.map((window) => (
+                  <div
+                    key={`${window.applicationId}-${window.year}-${window.month}`}
+                    className="flex items-start gap-2 p-2 rounded-lg border border-border bg-surface cursor-move"
+                    {...dragProps({ applicationId: window.applicationId })}
+                  >
+                    <HolderOutlined className="mt-1 text-text-tertiary" />
+                    <div className="min-w-0">
+                      <Text strong className="block text-sm truncate">{window.studentName || 'Student'}</Text>
+                      <Text type="secondary" className="block text-xs truncate">{window.companyName || '—'}</Text>
+                      <Space size={4} className="mt-1">
+                        <Tag color={VISIT_WINDOW_STATES[window.state]?.color} className="rounded border-0 text-[10px]">
+                          {VISIT_WINDOW_STATES[window.state]?.label}
+                        </Tag>
+                        <Text type="secondary" className="text-[11px]">
+                          due {dayjs(window.dueDay).format('DD MMM')}
+                        </Text>
+                      </Space>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card>
+
+          <Card className="rounded-xl shadow-sm flex-1" loading={loading && data.visits.length === 0}>
+            <Calendar
+              value={month}
+              onPanelChange={(value) => setMonth(value)}
+              onSelect={(value, info) => {
+                setMonth(value);
+                if (info?.source === 'date') {
+                  form.setFieldsValue({ visitType: 'PHYSICAL' });
+                  setScheduleDay(value.format('YYYY-MM-DD'));
+                }
+              }}
+              cellRender={(current, info) => (info.type === 'date' ? dateCellRender(current) : info.originNode)}
+            />
+          </Card>
+        </div>
+      </div>
+
+      <Modal
+        title={scheduleDay ? `Schedule Visit – ${dayjs(scheduleDay).format('DD MMM YYYY')}` : 'Schedule Visit'}
+        open={!!scheduleDay}
+        onCancel={() => setScheduleDay(null)}
+        onOk={() => form.submit()}
+        okText="Schedule"
+        confirmLoading={saving}
+        destroyOnHidden
+      >
+        <Form form={form} layout="vertical" onFinish={(values) => schedule({ ...values, day: scheduleDay })}>
+          <Form.Item name="applicationId" label="Student" rules={[{ required: true, message: 'Select a student' }]}>
+            <Select
+              showSearch
+              optionFilterProp="label"
+              options={menteeOptions}
+              placeholder="Select a student"
+              notFoundContent="No internships active in this period"
+            />
+          </Form.Item>
+          <Form.Item name="visitType" label="Visit Type" rules={[{ required: true }]}>
+            <Select options={VISIT_TYPE_OPTIONS} />
+          </Form.Item>
+          <Form.Item name="visitLocation" label="Location" extra="Defaults to the company address for physical visits">
+            <Input placeholder="Optional" maxLength={500} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <VisitTripPlannerModal
+        open={tripsOpen}
+        initialMonth={month}
+        onClose={() => setTripsOpen(false)}
+        onScheduled={load}
+      />
+
+      <CalendarFeedModal open={feedOpen} onClose={() => setFeedOpen(false)} />
+    </div>
+  );
+};
+
+export default VisitCalendar;
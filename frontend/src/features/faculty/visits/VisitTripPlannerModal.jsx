@@ -0,0 +1,188 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, DatePicker, Card, Tag, Button, Checkbox, Typography, Empty, Space, Spin, Alert } from 'antd';
+import { toast } from 'react-hot-toast';
+import { EnvironmentOutlined, CarOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { calendarService, VISIT_WINDOW_STATES } from '../../../services/calendar.service';
+
+const { Text } = Typography;
+
+/**
+ * Proposed day trips for the month's pending physical visits, grouped by company
+ * location. Each trip can be scheduled in one go on its suggested (or a chosen) day.
+ */
+const VisitTripPlannerModal = ({ open, initialMonth, onClose, onScheduled }) => {
+  const [month, setMonth] = useState(() => initialMonth || dayjs());
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [days, setDays] = useState({});
+  const [selected, setSelected] = useState({});
+  const [savingTrip, setSavingTrip] = useState(null);
+
+  useEffect(() => {
+    if (open && initialMonth) setMonth(initialMonth);
+  }, [open, initialMonth]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await calendarService.getVisitTripPlan(month.year(), month.month() + 1);
+      setPlan(result);
+      setDays(Object.fromEntries(result.trips.map((trip) => [trip.id, trip.suggestedDay])));
+      setSelected(
+        Object.fromEntries(
+          result.trips.map((trip) => [
+            trip.id,
+            trip.sites.flatMap((site) => site.students.map((student) => student.applicationId)),
+          ]),
+        ),
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to plan visit trips');
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const scheduleTrip = async (trip) => {
+    const day = days[trip.id];
+    const applicationIds = selected[trip.id] || [];
+    if (!day || applicationIds.length === 0) {
+      toast.error('Pick a day and at least one student');
+      return;
+    }
+
+    setSavingTrip(trip.id);
+    try {
+      const result = await calendarService.scheduleVisitTrip(day, applicationIds);
+      toast.success(`${applicationIds.length} visit(s) scheduled for ${dayjs(day).format('DD MMM YYYY')}`);
+      if (result.conflicts?.length) {
+        toast('Other physical visits that day are far from this trip', { icon: '⚠️' });
+      }
+      onScheduled?.();
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule trip');
+    } finally {
+      setSavingTrip(null);
+    }
+  };
+
+  return (
+    <Modal title="Plan Visit Trips" open={open} onCancel={onClose} footer={null} width={760} destroyOnHidden>
+      <div className="flex items-center justify-between mb-4">
+        <Text type="secondary">
+          {plan ? `${plan.pendingVisits} physical visit(s) still to plan in ${plan.monthName} ${plan.year}` : ' '}
+        </Text>
+        <DatePicker
+          picker="month"
+          value={month}
+          onChange={(value) => value && setMonth(value)}
+          allowClear={false}
+          format="MMMM YYYY"
+        />
+      </div>
+
+      <Spin spinning={loading}>
+        {!plan?.trips?.length ? (
+          <Empty description="Every visit for this month is already completed or scheduled" />
+        ) : (
+          <div className="!space-y-3 max-h-[60vh] overflow-y-auto pr-1">
+            {plan.trips.map((trip) => {
+              const studentCount = trip.sites.reduce((sum, site) => sum + site.students.length, 0);
+              return (
+                <Card
+                  key={trip.id}
+                  size="small"
+                  className="rounded-xl border-border"
+                  title={
+                    <Space>
+                      <CarOutlined />
+                      <span>{trip.area}</span>
+                      <Tag className="rounded border-0">{studentCount} student(s)</Tag>
+                      {trip.distanceKm > 0 && <Tag className="rounded border-0">~{trip.distanceKm} km between stops</Tag>}
+                    </Space>
+                  }
+                  extra={
+                    <Space>
+                      <DatePicker
+                        value={days[trip.id] ? dayjs(days[trip.id]) : null}
+                        onChange={(value) => setDays((prev) => ({ ...prev, [trip.id]: value ? value.format('YYYY-MM-DD') : null }))}
+                        disabledDate={(date) => {
+                          const day = date.format('YYYY-MM-DD');
+                          return day < trip.earliestDay || day > trip.latestDay;
+                        }}
+                        format="DD MMM"
+                        placeholder="No free day"
+                        size="small"
+                      />
+                      <Button
+                        type="primary"
+                        size="small"
+                        loading={savingTrip === trip.id}
+                        onClick={() => scheduleTrip(trip)}
+                      >
+                        Schedule Trip
+                      </Button>
+                    </Space>
+                  }
+                >
+                  {trip.unlocatedSites > 0 && (
+                    <Alert
+                      type="info"
+                      showIcon
+                      className="mb-2"
+                      message={`${trip.unlocatedSites} company site(s) have no GPS record yet and were grouped by PIN code or city.`}
+                    />
+                  )}
+                  <Checkbox.Group
+                    className="w-full"
+                    value={selected[trip.id] || []}
+                    onChange={(values) => setSelected((prev) => ({ ...prev, [trip.id]: values }))}
+                  >
+                    <ol className="w-full pl-0 !space-y-2 list-none">
+                      {trip.sites.map((site) => (
+                        <li key={`${trip.id}-${site.order}`} className="flex gap-3">
+                          <div className="w-6 h-6 shrink-0 rounded-full bg-primary/5 text-primary text-xs flex items-center justify-center">
+                            {site.order}
+                          </div>
+                          <div className="min-w-0 flex-1">
+                            <Text strong className="block text-sm">{site.companyName || 'Company'}</Text>
+                            {site.address && (
+                              <Text type="secondary" className="block text-xs truncate">
+                                <EnvironmentOutlined /> {site.address}
+                              </Text>
+                            )}
+                            <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                              {site.students.map((student) => (
+                                <Checkbox key={student.applicationId} value={student.applicationId}>
+                                  <span className="text-xs">{student.studentName || 'Student'}</span>
+                                  <Tag
+                                    color={VISIT_WINDOW_STATES[student.state]?.color}
+                                    className="ml-1 rounded border-0 text-[10px]"
+                                  >
+                                    {VISIT_WINDOW_STATES[student.state]?.label}
+                                  </Tag>
+                                </Checkbox>
+                              ))}
+                            </div>
+                          </div>
+                        </li>
+                      ))}
+                    </ol>
+                  </Checkbox.Group>
+                </Card>
+              );
+            })}
+          </div>
+        )}
+      </Spin>
+    </Modal>
+  );
+};
+
+export default VisitTripPlannerModal;
@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Table, Tag, Button, Form, Input, Select, Switch, Popconfirm, Space, Typography } from 'antd';
+import { DeleteOutlined, EditOutlined, PlusOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import { helpSupportService, SUPPORT_CATEGORIES } from '../../services/helpSupport.service';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+const PLACEHOLDERS = ['submitterName', 'ticketNumber', 'subject', 'category', 'priority', 'agentName'];
+
+/**
+ * Manage the canned response library used from the ticket reply box.
+ * Bodies may contain {{placeholder}} tokens that are filled from the ticket when inserted.
+ */
+const CannedResponsesModal = ({ open, onClose, onChanged }) => {
+  const [responses, setResponses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(null); // null = list, {} = new, record = edit
+  const [saving, setSaving] = useState(false);
+  const [form] = Form.useForm();
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await helpSupportService.getCannedResponses({ includeInactive: true });
+      setResponses(data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load canned responses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      setEditing(null);
+      load();
+    }
+  }, [open, load]);
+
+  const startEdit = (record) => {
+    setEditing(record);
+    form.setFieldsValue({
+      title: record.title,
+      body: record.body,
+      category: record.category ?? null,
+      isActive: record.isActive ?? true,
+    });
+  };
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      if (editing?.id) {
+        await helpSupportService.updateCannedResponse(editing.id, values);
+        toast.success('Canned response updated');
+      } else {
+        const { isActive, ...data } = values;
+        await helpSupportService.createCannedResponse({ ...data, category: data.category || undefined });
+        toast.success('Canned response created');
+      }
+      setEditing(null);
+      form.resetFields();
+      load();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save canned response');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    try {
+      await helpSupportService.deleteCannedResponse(record.id);
+      toast.success('Canned response deleted');
+      load();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete canned response');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Title',
+      key: 'title',
+      render: (_, record) => (
+        <div>
+          <Text strong className={record.isActive ? '' : 'text-text-tertiary'}>{record.title}</Text>
+          {!record.isActive && <Tag className="ml-2">Inactive</Tag>}
+          <Text type="secondary" className="block text-xs" ellipsis>{record.body}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Category',
+      dataIndex: 'category',
+      key: 'category',
+      width: 150,
+      render: (category) => category ? (
+        <Tag color={SUPPORT_CATEGORIES[category]?.color}>{SUPPORT_CATEGORIES[category]?.label || category}</Tag>
+      ) : (
+        <Text type="secondary" className="text-xs">Any</Text>
+      ),
+    },
+    {
+      title: 'Used',
+      dataIndex: 'usageCount',
+      key: 'usageCount',
+      width: 70,
+    },
+    {
+      title: '',
+      key: 'actions',
+      width: 90,
+      render: (_, record) => (
+        <Space size={0}>
+          <Button type="text" size="small" icon={<EditOutlined />} onClick={() => startEdit(record)} />
+          <Popconfirm title="Delete this canned response?" onConfirm={() => handleDelete(record)} okButtonProps={{ danger: true }}>
+            <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title="Canned Responses"
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={760}
+      destroyOnClose
+    >
+      {editing ? (
+        <Form form={form} layout="vertical" onFinish={handleSave} className="pt-2">
+          <Form.Item name="title" label="Title" rules={[{ required: true, min: 3, max: 100 }]}>
+            <Input placeholder="e.g. Password reset steps" className="rounded-lg" />
+          </Form.Item>
+          <Form.Item name="category" label="Suggested for category">
+            <Select
+              allowClear
+              placeholder="Any category"
+              className="rounded-lg"
+              options={Object.values(SUPPORT_CATEGORIES).map((c) => ({ value: c.value, label: c.label }))}
+            />
+          </Form.Item>
+          <Form.Item
+            name="body"
+            label="Response"
+            rules={[{ required: true, min: 5, max: 5000 }]}
+            extra={`Placeholders: ${PLACEHOLDERS.map((p) => `{{${p}}}`).join(', ')}`}
+          >
+            <TextArea rows={6} placeholder="Hi {{submitterName}}, ..." className="rounded-lg" />
+          </Form.Item>
+          {editing.id && (
+            <Form.Item name="isActive" label="Active" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          )}
+          <div className="flex justify-end gap-3 pt-4 border-t border-border">
+            <Button onClick={() => { setEditing(null); form.resetFields(); }} className="rounded-xl h-10">Back</Button>
+            <Button type="primary" htmlType="submit" loading={saving} className="rounded-xl h-10 font-bold">
+              {editing.id ? 'Save' : 'Create'}
+            </Button>
+          </div>
+        </Form>
+      ) : (
+        <>
+          <div className="flex justify-end mb-3">
+            <Button type="primary" icon={<PlusOutlined />} onClick={() => startEdit({})} className="rounded-lg">
+              New Response
+            </Button>
+          </div>
+          <Table
+            columns={columns}
+            dataSource={responses}
+            rowKey="id"
+            loading={loading}
+            size="small"
+            pagination={{ pageSize: 8 }}
+            locale={{ emptyText: 'No canned responses yet' }}
+          />
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default CannedResponsesModal;
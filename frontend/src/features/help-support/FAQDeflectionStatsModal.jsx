@@ -0,0 +1,155 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Table, Tag, Select, Statistic, Row, Col, Card, Typography, Empty } from 'antd';
+import { toast } from 'react-hot-toast';
+import dayjs from 'dayjs';
+import { helpSupportService, SUPPORT_CATEGORIES } from '../../services/helpSupport.service';
+
+const { Text } = Typography;
+
+const PERIOD_OPTIONS = [
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 180, label: 'Last 180 days' },
+  { value: 365, label: 'Last year' },
+];
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const categoryTag = (category) => {
+  const info = SUPPORT_CATEGORIES[category];
+  return info ? <Tag color={info.color} className="rounded border-0 text-[10px]">{info.label}</Tag> : null;
+};
+
+/**
+ * Ticket deflection analytics for FAQ authors: which suggested articles stopped a
+ * ticket from being raised, which were shown but the user submitted anyway, and
+ * recent tickets for which no article matched (content gaps).
+ */
+const FAQDeflectionStatsModal = ({ open, onClose }) => {
+  const [days, setDays] = useState(90);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setStats(await helpSupportService.getFAQDeflectionStats(days));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load FAQ deflection stats');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const articleColumns = [
+    {
+      title: 'Article',
+      dataIndex: 'title',
+      key: 'title',
+      render: (title, record) => (
+        <div>
+          <Text className="text-sm">{title}</Text>
+          <div className="mt-1 flex gap-1">
+            {categoryTag(record.category)}
+            {!record.isPublished && <Tag className="rounded border-0 text-[10px]">Unpublished</Tag>}
+          </div>
+        </div>
+      ),
+    },
+    { title: 'Suggested', dataIndex: 'suggested', key: 'suggested', width: 100, align: 'right' },
+    { title: 'Deflected', dataIndex: 'deflected', key: 'deflected', width: 100, align: 'right' },
+    { title: 'Submitted Anyway', dataIndex: 'submittedAnyway', key: 'submittedAnyway', width: 140, align: 'right' },
+    {
+      title: 'Deflection Rate',
+      dataIndex: 'deflectionRate',
+      key: 'deflectionRate',
+      width: 130,
+      align: 'right',
+      render: formatRate,
+    },
+  ];
+
+  const gapColumns = [
+    { title: 'Ticket Subject', dataIndex: 'query', key: 'query' },
+    { title: 'Category', dataIndex: 'category', key: 'category', width: 160, render: categoryTag },
+    {
+      title: 'Raised',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 130,
+      render: (date) => dayjs(date).format('DD MMM YYYY'),
+    },
+  ];
+
+  return (
+    <Modal
+      title="FAQ Ticket Deflection"
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={860}
+    >
+      <div className="flex justify-end mb-4">
+        <Select value={days} onChange={setDays} options={PERIOD_OPTIONS} className="w-40" />
+      </div>
+
+      <Row gutter={16} className="mb-4">
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Ticket Drafts" value={stats?.summary.sessions ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Deflected" value={stats?.summary.deflected ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Submitted" value={stats?.summary.submitted ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic
+              title="Deflection Rate"
+              value={formatRate(stats?.summary.deflectionRate)}
+              loading={loading}
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Text strong className="block mb-2">Suggested Articles</Text>
+      <Table
+        rowKey="id"
+        size="small"
+        loading={loading}
+        columns={articleColumns}
+        dataSource={stats?.articles || []}
+        pagination={{ pageSize: 8, hideOnSinglePage: true }}
+        locale={{ emptyText: <Empty description="No articles suggested in this period" /> }}
+      />
+
+      <Text strong className="block mt-6 mb-2">Content Gaps</Text>
+      <Text type="secondary" className="block text-xs mb-2">
+        Recent tickets for which no FAQ article could be suggested.
+      </Text>
+      <Table
+        rowKey="ticketId"
+        size="small"
+        loading={loading}
+        columns={gapColumns}
+        dataSource={stats?.contentGaps || []}
+        pagination={false}
+        locale={{ emptyText: <Empty description="No content gaps found" /> }}
+      />
+    </Modal>
+  );
+};
+
+export default FAQDeflectionStatsModal;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Card,
   Row,
@@ -18,6 +18,7 @@ import {
   Divider,
 } from 'antd';
 import { toast } from 'react-hot-toast';
+import { useDispatch } from 'react-redux';
 import {
   SearchOutlined,
   QuestionCircleOutlined,
@@ -29,9 +30,18 @@ import {
   DislikeOutlined,
   EyeOutlined,
   FireOutlined,
+  GlobalOutlined,
 } from '@ant-design/icons';
-import { helpSupportService, SUPPORT_CATEGORIES, TICKET_PRIORITY } from '../../services/helpSupport.service';
+import {
+  helpSupportService,
+  SUPPORT_CATEGORIES,
+  TICKET_PRIORITY,
+  CONTENT_LANGUAGES,
+} from '../../services/helpSupport.service';
+import TicketFAQSuggestions from './TicketFAQSuggestions';
 import { useAuth } from '../../hooks/useAuth';
+import { authService } from '../auth/services/auth.service';
+import { updateUser } from '../auth/store/authSlice';
 
 const { Text, Paragraph } = Typography;
 const { TextArea } = Input;
@@ -131,6 +141,8 @@ const renderMarkdown = (text) => {
 
 const HelpCenter = () => {
   const { user } = useAuth();
+  const dispatch = useDispatch();
+  const [language, setLanguage] = useState(user?.preferredLanguage || 'EN');
   const [loading, setLoading] = useState(true);
   const [faqs, setFaqs] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -145,15 +157,16 @@ const HelpCenter = () => {
   const [ticketModalVisible, setTicketModalVisible] = useState(false);
   const [submittingTicket, setSubmittingTicket] = useState(false);
   const [ticketForm] = Form.useForm();
+  const suggestedFaqIds = useRef(new Set());
 
   // Fetch FAQs and categories
   const fetchData = useCallback(async () => {
     setLoading(true);
     try {
       const [faqsData, categoriesData, popularData] = await Promise.all([
-        helpSupportService.getPublishedFAQs(),
+        helpSupportService.getPublishedFAQs(language),
         helpSupportService.getFAQCategories(),
-        helpSupportService.getPopularFAQs(5),
+        helpSupportService.getPopularFAQs(5, language),
       ]);
       setFaqs(faqsData);
       setCategories(categoriesData);
@@ -164,12 +177,24 @@ const HelpCenter = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [language]);
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
+  // Switch article language and remember it as the user's preference
+  const handleLanguageChange = async (value) => {
+    setLanguage(value);
+    if (!user) return;
+    try {
+      await authService.updatePreferredLanguage(value);
+      dispatch(updateUser({ preferredLanguage: value }));
+    } catch (error) {
+      console.error('Failed to save language preference:', error);
+    }
+  };
+
   // Search FAQs
   const handleSearch = useCallback(async (query) => {
     if (!query || query.trim().length < 2) {
@@ -179,14 +204,14 @@ const HelpCenter = () => {
 
     setSearching(true);
     try {
-      const results = await helpSupportService.searchFAQs(query);
+      const results = await helpSupportService.searchFAQs(query, language);
       setSearchResults(results);
     } catch (error) {
       console.error('Failed to search FAQs:', error);
     } finally {
       setSearching(false);
     }
-  }, []);
+  }, [language]);
 
   // Debounced search
   useEffect(() => {
@@ -229,6 +254,17 @@ const HelpCenter = () => {
     }
   };
 
+  const closeTicketModal = () => {
+    setTicketModalVisible(false);
+    ticketForm.resetFields();
+    suggestedFaqIds.current = new Set();
+  };
+
+  // Remember every FAQ shown while drafting so deflection stats know what was tried
+  const handleFaqSuggested = useCallback((ids) => {
+    ids.forEach((id) => suggestedFaqIds.current.add(id));
+  }, []);
+
   // Submit ticket
   const handleSubmitTicket = async (values) => {
     setSubmittingTicket(true);
@@ -239,10 +275,10 @@ const HelpCenter = () => {
         category: values.category,
         priority: values.priority || 'MEDIUM',
         attachments: [],
+        suggestedFaqIds: [...suggestedFaqIds.current],
       });
       toast.success('Support ticket submitted successfully! We will respond soon.');
-      setTicketModalVisible(false);
-      ticketForm.resetFields();
+      closeTicketModal();
     } catch (error) {
       console.error('Failed to submit ticket:', error);
       toast.error('Failed to submit support ticket. Please try again.');
@@ -273,14 +309,24 @@ const HelpCenter = () => {
             <h1 className="text-lg font-semibold text-text-primary">Help & Support Center</h1>
             <Text className="text-text-tertiary text-sm">Find answers or submit a support ticket</Text>
           </div>
-          <Button
-            type="primary"
-            icon={<PlusOutlined />}
-            onClick={() => setTicketModalVisible(true)}
-            className="rounded-lg shadow-md shadow-primary/20"
-          >
-            Submit Ticket
-          </Button>
+          <div className="flex items-center gap-2">
+            <Select
+              value={language}
+              onChange={handleLanguageChange}
+              suffixIcon={<GlobalOutlined />}
+              options={Object.values(CONTENT_LANGUAGES)}
+              className="w-32"
+              aria-label="Article language"
+            />
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => setTicketModalVisible(true)}
+              className="rounded-lg shadow-md shadow-primary/20"
+            >
+              Submit Ticket
+            </Button>
+          </div>
         </div>
 
         {/* Search Card */}
@@ -510,10 +556,7 @@ const HelpCenter = () => {
         <Modal
           title="Submit Support Ticket"
           open={ticketModalVisible}
-          onCancel={() => {
-            setTicketModalVisible(false);
-            ticketForm.resetFields();
-          }}
+          onCancel={closeTicketModal}
           footer={null}
           width={520}
         >
@@ -578,8 +621,14 @@ const HelpCenter = () => {
               />
             </Form.Item>
 
+            <TicketFAQSuggestions
+              form={ticketForm}
+              onSuggested={handleFaqSuggested}
+              onDeflected={closeTicketModal}
+            />
+
             <div className="flex justify-end gap-2 pt-3 border-t border-border">
-              <Button onClick={() => setTicketModalVisible(false)} className="rounded-lg">
+              <Button onClick={closeTicketModal} className="rounded-lg">
                 Cancel
               </Button>
               <Button
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Card,
   Table,
@@ -33,6 +33,7 @@ import {
 } from '@ant-design/icons';
 import { helpSupportService, SUPPORT_CATEGORIES, TICKET_STATUS, TICKET_PRIORITY } from '../../services/helpSupport.service';
 import { useAuth } from '../../hooks/useAuth';
+import TicketFAQSuggestions from './TicketFAQSuggestions';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 
@@ -70,6 +71,7 @@ const MyTickets = () => {
   const [newTicketVisible, setNewTicketVisible] = useState(false);
   const [submittingTicket, setSubmittingTicket] = useState(false);
   const [ticketForm] = Form.useForm();
+  const suggestedFaqIds = useRef(new Set());
 
   // Check if user is SYSTEM_ADMIN
   const isSystemAdmin = user?.role === 'SYSTEM_ADMIN';
@@ -185,6 +187,17 @@ const MyTickets = () => {
     }
   };
 
+  const closeNewTicket = () => {
+    setNewTicketVisible(false);
+    ticketForm.resetFields();
+    suggestedFaqIds.current = new Set();
+  };
+
+  // Remember every FAQ shown while drafting so deflection stats know what was tried
+  const handleFaqSuggested = useCallback((ids) => {
+    ids.forEach((id) => suggestedFaqIds.current.add(id));
+  }, []);
+
   // Submit new ticket
   const handleSubmitTicket = async (values) => {
     setSubmittingTicket(true);
@@ -195,10 +208,10 @@ const MyTickets = () => {
         category: values.category,
         priority: values.priority || 'MEDIUM',
         attachments: [],
+        suggestedFaqIds: [...suggestedFaqIds.current],
       });
       toast.success('Ticket submitted successfully');
-      setNewTicketVisible(false);
-      ticketForm.resetFields();
+      closeNewTicket();
       fetchTickets();
     } catch (error) {
       console.error('Failed to submit ticket:', error);
@@ -723,10 +736,7 @@ const MyTickets = () => {
         <Modal
           title="Submit New Ticket"
           open={newTicketVisible}
-          onCancel={() => {
-            setNewTicketVisible(false);
-            ticketForm.resetFields();
-          }}
+          onCancel={closeNewTicket}
           footer={null}
           width={520}
         >
@@ -788,8 +798,14 @@ const MyTickets = () => {
               <TextArea rows={5} placeholder="Please describe your issue in detail..." className="rounded-lg" />
             </Form.Item>
 
+            <TicketFAQSuggestions
+              form={ticketForm}
+              onSuggested={handleFaqSuggested}
+              onDeflected={closeNewTicket}
+            />
+
             <div className="flex justify-end gap-2 pt-3 border-t border-border">
-              <Button onClick={() => setNewTicketVisible(false)} className="rounded-lg">
+              <Button onClick={closeNewTicket} className="rounded-lg">
                 Cancel
               </Button>
               <Button type="primary" htmlType="submit" loading={submittingTicket} className="rounded-lg">
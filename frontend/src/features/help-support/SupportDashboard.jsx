@@ -41,9 +41,16 @@ import {
   InboxOutlined,
   CheckSquareOutlined,
   CloseCircleOutlined,
+  FieldTimeOutlined,
+  SnippetsOutlined,
+  BulbOutlined,
+  MailOutlined,
+  PaperClipOutlined,
 } from '@ant-design/icons';
-import { helpSupportService, SUPPORT_CATEGORIES, TICKET_STATUS, TICKET_PRIORITY } from '../../services/helpSupport.service';
+import { helpSupportService, SUPPORT_CATEGORIES, TICKET_STATUS, TICKET_PRIORITY, SLA_STATE } from '../../services/helpSupport.service';
 import { useAuth } from '../../hooks/useAuth';
+import CannedResponsesModal from './CannedResponsesModal';
+import FAQDeflectionStatsModal from './FAQDeflectionStatsModal';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 
@@ -53,12 +60,42 @@ const { Title, Text, Paragraph } = Typography;
 const { TextArea } = Input;
 const { RangePicker } = DatePicker;
 
+// Matches SupportTicketService.SLA_DUE_SOON_HOURS on the backend
+const SLA_DUE_SOON_HOURS = 2;
+
+/**
+ * SLA state of a ticket from its due dates and breach flags
+ */
+const getTicketSlaState = (ticket) => {
+  if (ticket.slaState) return ticket.slaState;
+  if (!ticket.firstResponseDueAt && !ticket.resolutionDueAt) return null;
+
+  const firstResponseLate = ticket.firstResponseBreachedAt
+    || (ticket.firstRespondedAt && ticket.firstResponseDueAt && dayjs(ticket.firstRespondedAt).isAfter(ticket.firstResponseDueAt));
+
+  if (['RESOLVED', 'CLOSED'].includes(ticket.status)) {
+    return firstResponseLate || ticket.resolutionBreachedAt ? 'BREACHED' : 'MET';
+  }
+  if (firstResponseLate || ticket.resolutionBreachedAt) return 'BREACHED';
+
+  const nextDue = [!ticket.firstRespondedAt && ticket.firstResponseDueAt, ticket.resolutionDueAt]
+    .filter(Boolean)
+    .map((date) => dayjs(date))
+    .sort((a, b) => a.valueOf() - b.valueOf())[0];
+
+  if (!nextDue) return 'ON_TRACK';
+  if (!nextDue.isAfter(dayjs())) return 'BREACHED';
+  return nextDue.diff(dayjs(), 'hour', true) <= SLA_DUE_SOON_HOURS ? 'DUE_SOON' : 'ON_TRACK';
+};
+
 const SupportDashboard = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [tickets, setTickets] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [assignableUsers, setAssignableUsers] = useState([]);
+  const [slaBreaches, setSlaBreaches] = useState([]);
+  const [activeTab, setActiveTab] = useState('all');
 
   // Filters
   const [searchText, setSearchText] = useState('');
@@ -75,6 +112,10 @@ const SupportDashboard = () => {
   // Forms
   const [replyForm] = Form.useForm();
   const [submittingReply, setSubmittingReply] = useState(false);
+  const [cannedResponses, setCannedResponses] = useState([]);
+  const [insertingCanned, setInsertingCanned] = useState(false);
+  const [cannedModalVisible, setCannedModalVisible] = useState(false);
+  const [deflectionModalVisible, setDeflectionModalVisible] = useState(false);
 
   // Modals
   const [assignModalVisible, setAssignModalVisible] = useState(false);
@@ -94,15 +135,17 @@ const SupportDashboard = () => {
       if (dateRange && dateRange[0]) filters.fromDate = dateRange[0].toISOString();
       if (dateRange && dateRange[1]) filters.toDate = dateRange[1].toISOString();
 
-      const [ticketsData, statsData, usersData] = await Promise.all([
+      const [ticketsData, statsData, usersData, breachesData] = await Promise.all([
         helpSupportService.getAllTickets(filters),
         helpSupportService.getTicketStatistics(),
         helpSupportService.getAssignableUsers(),
+        helpSupportService.getSlaBreaches(),
       ]);
 
       setTickets(ticketsData);
       setStatistics(statsData);
       setAssignableUsers(usersData);
+      setSlaBreaches(breachesData);
     } catch (error) {
       console.error('Failed to fetch data:', error);
       toast.error('Failed to load support data');
@@ -115,8 +158,23 @@ const SupportDashboard = () => {
     fetchData();
   }, [fetchData]);
 
+  // Canned responses suggested for the open ticket's category
+  const fetchCannedResponses = useCallback(async () => {
+    if (!selectedTicket?.category) return;
+    try {
+      const data = await helpSupportService.getCannedResponses({ category: selectedTicket.category });
+      setCannedResponses(data);
+    } catch (error) {
+      console.error('Failed to fetch canned responses:', error);
+    }
+  }, [selectedTicket?.category]);
+
+  useEffect(() => {
+    fetchCannedResponses();
+  }, [fetchCannedResponses]);
+
   // Filter tickets by search
-  const filteredTickets = tickets.filter((ticket) => {
+  const filteredTickets = (activeTab === 'sla' ? slaBreaches : tickets).filter((ticket) => {
     if (!searchText) return true;
     const search = searchText.toLowerCase();
     return (
@@ -167,6 +225,23 @@ const SupportDashboard = () => {
     }
   };
 
+  // Insert a canned response into the reply box with its placeholders filled in
+  const handleInsertCannedResponse = async (cannedResponseId) => {
+    if (!selectedTicket) return;
+
+    setInsertingCanned(true);
+    try {
+      const { message } = await helpSupportService.renderCannedResponse(cannedResponseId, selectedTicket.id);
+      const current = replyForm.getFieldValue('message');
+      replyForm.setFieldsValue({ message: current ? `${current}\n\n${message}` : message });
+    } catch (error) {
+      console.error('Failed to insert canned response:', error);
+      toast.error('Failed to insert canned response');
+    } finally {
+      setInsertingCanned(false);
+    }
+  };
+
   // Assign ticket
   const handleAssignTicket = async (values) => {
     if (!selectedTicket) return;
@@ -253,6 +328,36 @@ const SupportDashboard = () => {
     return <Tag color={priorityInfo.color}>{priorityInfo.label}</Tag>;
   };
 
+  // Get SLA tag with the next deadline in the tooltip
+  const getSlaTag = (ticket) => {
+    const state = getTicketSlaState(ticket);
+    if (!state) return <Text type="secondary">-</Text>;
+
+    const slaInfo = SLA_STATE[state];
+    const deadlines = [
+      ticket.firstResponseDueAt && `First response ${ticket.firstRespondedAt ? 'sent' : 'due'} ${dayjs(ticket.firstRespondedAt || ticket.firstResponseDueAt).format('DD MMM, HH:mm')}`,
+      ticket.resolutionDueAt && `Resolution due ${dayjs(ticket.resolutionDueAt).format('DD MMM, HH:mm')}`,
+    ].filter(Boolean);
+
+    return (
+      <Tooltip title={deadlines.map((line) => <div key={line}>{line}</div>)}>
+        <Tag color={slaInfo.color}>{slaInfo.label}</Tag>
+      </Tooltip>
+    );
+  };
+
+  // Attachment links (email tickets carry the files sent with the message)
+  const renderAttachments = (attachments) => attachments?.length > 0 && (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {attachments.map((url) => (
+        <a key={url} href={url} target="_blank" rel="noopener noreferrer" className="text-xs">
+          <PaperClipOutlined className="mr-1" />
+          {decodeURIComponent(url.split('/').pop()).replace(/^[0-9a-f-]{36}-/, '')}
+        </a>
+      ))}
+    </div>
+  );
+
   // Get category info
   const getCategoryInfo = (category) => {
     return SUPPORT_CATEGORIES[category] || { label: category, color: 'default' };
@@ -319,6 +424,14 @@ const SupportDashboard = () => {
       filters: Object.values(TICKET_STATUS).map(s => ({ text: s.label, value: s.value })),
       onFilter: (value, record) => record.status === value,
     },
+    {
+      title: 'SLA',
+      key: 'sla',
+      width: 100,
+      render: (_, record) => getSlaTag(record),
+      filters: Object.values(SLA_STATE).map(s => ({ text: s.label, value: s.value })),
+      onFilter: (value, record) => getTicketSlaState(record) === value,
+    },
     {
       title: 'Assigned To',
       dataIndex: 'assignedTo',
@@ -388,7 +501,7 @@ const SupportDashboard = () => {
 
         {/* Statistics */}
         {statistics && (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-7 gap-4">
             <Card size="small" className="rounded-xl border-border shadow-sm hover:shadow-md transition-all">
               <div className="flex items-center gap-3">
                 <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-primary/10 text-primary">
@@ -460,6 +573,26 @@ const SupportDashboard = () => {
                 </div>
               </div>
             </Card>
+
+            <Card
+              size="small"
+              className="rounded-xl border-border shadow-sm hover:shadow-md transition-all cursor-pointer"
+              onClick={() => setActiveTab('sla')}
+            >
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-error/10 text-error">
+                  <FieldTimeOutlined className="text-lg" />
+                </div>
+                <div>
+                  <Tooltip title={`${statistics.sla?.firstResponseBreached || 0} first response, ${statistics.sla?.resolutionBreached || 0} resolution, ${statistics.sla?.dueSoon || 0} due soon`}>
+                    <div className="text-2xl font-bold text-text-primary">
+                      {(statistics.sla?.firstResponseBreached || 0) + (statistics.sla?.resolutionBreached || 0)}
+                    </div>
+                  </Tooltip>
+                  <div className="text-[10px] uppercase font-bold text-text-tertiary">SLA Breaches</div>
+                </div>
+              </div>
+            </Card>
           </div>
         )}
 
@@ -530,11 +663,43 @@ const SupportDashboard = () => {
             >
               Clear Filters
             </Button>
+            <Button
+              icon={<SnippetsOutlined />}
+              onClick={() => setCannedModalVisible(true)}
+              className="rounded-lg h-10 border-border text-text-secondary hover:text-text-primary ml-auto"
+            >
+              Canned Responses
+            </Button>
+            {user?.role === 'STATE_DIRECTORATE' && (
+              <Button
+                icon={<BulbOutlined />}
+                onClick={() => setDeflectionModalVisible(true)}
+                className="rounded-lg h-10 border-border text-text-secondary hover:text-text-primary"
+              >
+                FAQ Deflection
+              </Button>
+            )}
           </div>
         </Card>
 
         {/* Tickets Table */}
         <Card className="rounded-2xl border-border shadow-sm overflow-hidden" styles={{ body: { padding: 0 } }}>
+          <Tabs
+            activeKey={activeTab}
+            onChange={setActiveTab}
+            className="px-6"
+            items={[
+              { key: 'all', label: 'All Tickets' },
+              {
+                key: 'sla',
+                label: (
+                  <span>
+                    SLA Breaches <Badge count={slaBreaches.length} size="small" className="ml-1" />
+                  </span>
+                ),
+              },
+            ]}
+          />
           <Table
             columns={columns}
             dataSource={filteredTickets}
@@ -605,14 +770,18 @@ const SupportDashboard = () => {
                     {getCategoryInfo(selectedTicket.category).label}
                   </Tag>
                   {getPriorityTag(selectedTicket.priority)}
+                  {selectedTicket.source === 'EMAIL' && (
+                    <Tag icon={<MailOutlined />} className="rounded-md m-0">Via Email</Tag>
+                  )}
                   <div className="flex items-center text-text-tertiary text-xs ml-auto">
                     <ClockCircleOutlined className="mr-1" />
                     {dayjs(selectedTicket.createdAt).format('DD MMM YYYY, HH:mm')}
                   </div>
                 </div>
-                <Paragraph className="text-text-secondary leading-relaxed mb-0 bg-background-tertiary/30 p-3 rounded-lg border border-border/50">
+                <Paragraph className="text-text-secondary leading-relaxed mb-0 bg-background-tertiary/30 p-3 rounded-lg border border-border/50 whitespace-pre-line">
                   {selectedTicket.description}
                 </Paragraph>
+                {renderAttachments(selectedTicket.attachments)}
 
                 <Divider className="my-4 border-border/50" />
 
@@ -634,6 +803,26 @@ const SupportDashboard = () => {
                   </Col>
                 </Row>
 
+                {(selectedTicket.firstResponseDueAt || selectedTicket.resolutionDueAt) && (
+                  <div className="mt-4 pt-3 border-t border-border/50 flex flex-wrap items-center gap-2">
+                    <FieldTimeOutlined className="text-text-tertiary" />
+                    <span className="text-text-tertiary text-sm">SLA:</span>
+                    {getSlaTag(selectedTicket)}
+                    {selectedTicket.firstResponseDueAt && (
+                      <Text className="text-xs text-text-secondary">
+                        First response {selectedTicket.firstRespondedAt
+                          ? `sent ${dayjs(selectedTicket.firstRespondedAt).format('DD MMM, HH:mm')}`
+                          : `due ${dayjs(selectedTicket.firstResponseDueAt).fromNow()}`}
+                      </Text>
+                    )}
+                    {selectedTicket.resolutionDueAt && !['RESOLVED', 'CLOSED'].includes(selectedTicket.status) && (
+                      <Text className="text-xs text-text-secondary">
+                        · Resolution due {dayjs(selectedTicket.resolutionDueAt).fromNow()}
+                      </Text>
+                    )}
+                  </div>
+                )}
+
                 {selectedTicket.assignedTo && (
                   <div className="mt-4 pt-3 border-t border-border/50 flex items-center gap-2">
                     <UserOutlined className="text-text-tertiary" />
@@ -703,7 +892,8 @@ const SupportDashboard = () => {
                             {dayjs(response.createdAt).fromNow()}
                           </Text>
                         </div>
-                        <Paragraph className="mb-0 text-text-secondary">{response.message}</Paragraph>
+                        <Paragraph className="mb-0 text-text-secondary whitespace-pre-line">{response.message}</Paragraph>
+                        {renderAttachments(response.attachments)}
                       </Card>
                     </Timeline.Item>
                   ))}
@@ -715,7 +905,21 @@ const SupportDashboard = () => {
               {/* Reply Form */}
               {!['CLOSED'].includes(selectedTicket.status) && (
                 <div className="pt-4 border-t border-border mt-4">
-                  <Text strong className="block mb-3 text-text-primary">Add Response</Text>
+                  <div className="flex items-center justify-between gap-3 mb-3">
+                    <Text strong className="text-text-primary">Add Response</Text>
+                    <Select
+                      placeholder="Insert canned response"
+                      value={null}
+                      onChange={handleInsertCannedResponse}
+                      loading={insertingCanned}
+                      disabled={insertingCanned || cannedResponses.length === 0}
+                      showSearch
+                      optionFilterProp="label"
+                      className="w-64"
+                      options={cannedResponses.map((c) => ({ value: c.id, label: c.title }))}
+                      notFoundContent="No canned responses"
+                    />
+                  </div>
                   <Form form={replyForm} onFinish={handleSubmitReply}>
                     <Form.Item
                       name="message"
@@ -738,6 +942,17 @@ const SupportDashboard = () => {
           ) : null}
         </Drawer>
 
+        <CannedResponsesModal
+          open={cannedModalVisible}
+          onClose={() => setCannedModalVisible(false)}
+          onChanged={fetchCannedResponses}
+        />
+
+        <FAQDeflectionStatsModal
+          open={deflectionModalVisible}
+          onClose={() => setDeflectionModalVisible(false)}
+        />
+
         {/* Assign Modal */}
         <Modal
           title={<div className="flex items-center gap-2"><TeamOutlined className="text-primary" /> Assign Ticket</div>}
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { Form, Button, Typography, Spin } from 'antd';
+import { BulbOutlined, CheckOutlined, DownOutlined, UpOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import { helpSupportService } from '../../services/helpSupport.service';
+
+const { Text, Paragraph } = Typography;
+
+// Minimum draft length before asking the backend for suggestions
+const MIN_QUERY_LENGTH = 8;
+
+/**
+ * FAQ articles that may answer a support ticket while it is being typed.
+ * Reads subject, description and category from the ticket form; reports every
+ * article it showed through `onSuggested` and calls `onDeflected` when the user
+ * says an article solved their problem.
+ */
+const TicketFAQSuggestions = ({ form, onSuggested, onDeflected }) => {
+  const subject = Form.useWatch('subject', form);
+  const description = Form.useWatch('description', form);
+  const category = Form.useWatch('category', form);
+
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const draft = `${subject || ''} ${description || ''}`.trim();
+    if (draft.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const results = await helpSupportService.suggestFAQs({
+          subject: subject || undefined,
+          description: description || undefined,
+          category: category || undefined,
+        });
+        if (cancelled) return;
+        setSuggestions(results);
+        onSuggested?.(results.map((faq) => faq.id));
+      } catch (error) {
+        console.error('Failed to load FAQ suggestions:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [subject, description, category, onSuggested]);
+
+  const handleSolved = async (faq) => {
+    try {
+      await helpSupportService.recordFAQDeflection({
+        faqArticleId: faq.id,
+        suggestedIds: suggestions.map((s) => s.id),
+        query: subject || undefined,
+        category: category || undefined,
+      });
+    } catch (error) {
+      console.error('Failed to record FAQ deflection:', error);
+    }
+    toast.success('Glad that helped!');
+    onDeflected?.(faq);
+  };
+
+  if (suggestions.length === 0 && !loading) return null;
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-primary/20 bg-primary/5">
+      <div className="flex items-center gap-2 mb-2">
+        <BulbOutlined className="text-primary" />
+        <Text strong className="text-sm">These articles might answer your question</Text>
+        {loading && <Spin size="small" />}
+      </div>
+      <div className="space-y-2">
+        {suggestions.map((faq) => {
+          const expanded = expandedId === faq.id;
+          return (
+            <div key={faq.id} className="rounded-md bg-surface border border-border px-3 py-2">
+              <button
+                type="button"
+                className="w-full flex items-center justify-between gap-2 text-left bg-transparent border-0 p-0 cursor-pointer"
+                onClick={() => setExpandedId(expanded ? null : faq.id)}
+              >
+                <Text className="text-sm font-medium text-text-primary">{faq.title}</Text>
+                {expanded ? <UpOutlined className="text-xs" /> : <DownOutlined className="text-xs" />}
+              </button>
+              {!expanded && faq.summary && (
+                <Text type="secondary" className="text-xs block mt-1" ellipsis>{faq.summary}</Text>
+              )}
+              {expanded && (
+                <>
+                  <Paragraph className="text-xs text-text-secondary whitespace-pre-line mt-2 mb-2">
+                    {faq.content}
+                  </Paragraph>
+                  <div className="flex justify-end">
+                    <Button size="small" type="primary" ghost icon={<CheckOutlined />} onClick={() => handleSolved(faq)}>
+                      This solved my problem
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TicketFAQSuggestions;
@@ -1,115 +1,185 @@
-// src/pages/industry/IndustryDashboard.jsx
-import React, { memo } from "react";
+import React, { useEffect, useState, useCallback } from 'react';
+import { Card, Row, Col, Button, Typography, Spin, Alert, theme } from 'antd';
 import {
-  Card,
-  Button,
-  Typography,
-  Alert,
-  Result,
-} from "antd";
-import {
-  InfoCircleOutlined,
-  PhoneOutlined,
-  MailOutlined,
-  HomeOutlined,
-} from "@ant-design/icons";
-import { useNavigate } from "react-router-dom";
-
-import Layouts from "../../../components/Layout";
+  TeamOutlined,
+  LoginOutlined,
+  RocketOutlined,
+  CheckCircleOutlined,
+  FormOutlined,
+  FileDoneOutlined,
+  ReloadOutlined,
+  ShopOutlined,
+} from '@ant-design/icons';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import industryService from '../../../services/industry.service';
 
-const { Title, Text, Paragraph } = Typography;
+const { Title, Text } = Typography;
 
 const IndustryDashboard = () => {
   const navigate = useNavigate();
+  const { token } = theme.useToken();
+  const [stats, setStats] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDashboard = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [dashboard, supervisor] = await Promise.all([
+        industryService.getDashboard(),
+        industryService.getProfile(),
+      ]);
+      setStats(dashboard);
+      setProfile(supervisor);
+    } catch (err) {
+      const message = err?.response?.data?.message || 'Failed to load dashboard';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDashboard();
+  }, [loadDashboard]);
+
+  const statCards = [
+    {
+      key: 'total',
+      label: 'Placed Students',
+      value: stats?.totalStudents,
+      icon: <TeamOutlined />,
+      color: token.colorPrimary,
+      bg: token.colorPrimaryBg,
+    },
+    {
+      key: 'awaiting',
+      label: 'Awaiting Joining',
+      value: stats?.awaitingJoining,
+      icon: <LoginOutlined />,
+      color: token.colorWarning,
+      bg: token.colorWarningBg,
+    },
+    {
+      key: 'active',
+      label: 'Active Interns',
+      value: stats?.activeStudents,
+      icon: <RocketOutlined />,
+      color: token.colorInfo,
+      bg: token.colorInfoBg,
+    },
+    {
+      key: 'completed',
+      label: 'Completed',
+      value: stats?.completedStudents,
+      icon: <CheckCircleOutlined />,
+      color: token.colorSuccess,
+      bg: token.colorSuccessBg,
+    },
+  ];
 
   return (
-    <Layouts>
-      <div className="p-4 md:p-8 bg-gray-50 dark:bg-slate-950 min-h-screen flex items-center justify-center">
-        <div className="max-w-4xl w-full">
-          <Card
-            bordered={false}
-            className="rounded-2xl border border-gray-100 dark:border-slate-800 shadow-xl bg-white dark:bg-slate-900"
+    <div className="p-4 md:p-6 min-h-screen" style={{ backgroundColor: token.colorBgLayout }}>
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-3">
+          <div>
+            <Title level={4} className="mb-0" style={{ color: token.colorText }}>
+              Welcome{profile?.name ? `, ${profile.name}` : ''}
+            </Title>
+            <Text className="text-xs" style={{ color: token.colorTextSecondary }}>
+              <ShopOutlined className="mr-1" />
+              {profile?.company?.name || 'Industry Supervisor'}
+            </Text>
+          </div>
+          <Button
+            icon={<ReloadOutlined spin={loading} />}
+            onClick={loadDashboard}
+            loading={loading}
+            className="rounded-lg"
+            size="small"
           >
-            <Result
-              status="info"
-              icon={<InfoCircleOutlined className="text-blue-500" />}
-              title={
-                <Title level={2} className="text-gray-900 dark:text-white mb-0">
-                  Industry Portal No Longer Available
-                </Title>
-              }
-              subTitle={
-                <div className="mt-6 space-y-6 text-left">
-                  <Alert
-                    message="Important Update"
-                    description="The industry portal for posting and managing internships through this platform has been discontinued."
-                    type="warning"
-                    showIcon
-                    className="rounded-xl"
-                  />
+            Refresh
+          </Button>
+        </div>
 
-                  <div className="space-y-4 mt-8">
-                    <Title level={4} className="text-gray-900 dark:text-white">
-                      Self-Identified Internships
-                    </Title>
-                    <Paragraph className="text-gray-600 dark:text-slate-400 text-base">
-                      Students can now complete their internship requirements through self-identified opportunities.
-                      This allows students greater flexibility to:
-                    </Paragraph>
-                    <ul className="list-disc list-inside space-y-2 text-gray-600 dark:text-slate-400 ml-4">
-                      <li>Find internships directly with companies of their choice</li>
-                      <li>Pursue opportunities aligned with their career goals</li>
-                      <li>Work with local or remote organizations</li>
-                      <li>Submit internship documentation through the student portal</li>
-                    </ul>
-                  </div>
+        {error && <Alert type="error" showIcon message={error} className="rounded-xl" />}
 
-                  <div className="space-y-4 mt-8 bg-blue-50 dark:bg-blue-900/20 p-6 rounded-xl border border-blue-100 dark:border-blue-800">
-                    <Title level={4} className="text-gray-900 dark:text-white flex items-center gap-2">
-                      <PhoneOutlined className="text-blue-600 dark:text-blue-400" />
-                      Need Assistance?
-                    </Title>
-                    <Paragraph className="text-gray-600 dark:text-slate-400 text-base mb-4">
-                      If you have questions about internship coordination or partnerships, please contact:
-                    </Paragraph>
-                    <div className="space-y-3">
-                      <div className="flex items-center gap-3 text-gray-700 dark:text-slate-300">
-                        <MailOutlined className="text-blue-600 dark:text-blue-400 text-lg" />
-                        <Text className="text-base font-medium">Training & Placement Office</Text>
-                      </div>
-                      <div className="flex items-center gap-3 text-gray-700 dark:text-slate-300">
-                        <PhoneOutlined className="text-blue-600 dark:text-blue-400 text-lg" />
-                        <Text className="text-base font-medium">Contact your institution's placement coordinator</Text>
+        <Spin spinning={loading && !stats}>
+          <Row gutter={[16, 16]}>
+            {statCards.map((card) => (
+              <Col xs={12} lg={6} key={card.key}>
+                <Card size="small" className="rounded-xl shadow-sm" style={{ borderColor: token.colorBorder }}>
+                  <div className="flex items-center gap-3">
+                    <div
+                      className="w-10 h-10 rounded-xl flex items-center justify-center"
+                      style={{ backgroundColor: card.bg, color: card.color }}
+                    >
+                      {card.icon}
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold" style={{ color: token.colorText }}>{card.value ?? 0}</div>
+                      <div className="text-[10px] uppercase font-bold" style={{ color: token.colorTextTertiary }}>
+                        {card.label}
                       </div>
                     </div>
                   </div>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        </Spin>
 
-                  <div className="mt-8 pt-6 border-t border-gray-200 dark:border-slate-700">
-                    <Paragraph className="text-gray-500 dark:text-slate-400 text-sm text-center">
-                      Thank you for your interest in collaborating with our institution.
-                      We appreciate your commitment to student development and professional growth.
-                    </Paragraph>
+        {/* Pending Feedback */}
+        <Row gutter={[16, 16]}>
+          <Col xs={24} md={12}>
+            <Card className="rounded-2xl shadow-sm" style={{ borderColor: token.colorBorder }}>
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <FormOutlined className="text-xl" style={{ color: token.colorWarning }} />
+                  <div>
+                    <div className="font-semibold" style={{ color: token.colorText }}>
+                      Monthly feedback due: {stats?.pendingFeedback?.monthly ?? 0}
+                    </div>
+                    <Text className="text-xs" style={{ color: token.colorTextSecondary }}>
+                      Active interns without feedback for this month
+                    </Text>
                   </div>
                 </div>
-              }
-              extra={[
-                <Button
-                  type="primary"
-                  size="large"
-                  icon={<HomeOutlined />}
-                  onClick={() => navigate("/")}
-                  key="home"
-                  className="h-12 px-8 rounded-xl font-bold bg-blue-600 hover:bg-blue-500 border-0 shadow-lg"
-                >
-                  Return to Home
+                <Button type="primary" className="rounded-lg" onClick={() => navigate('/app/industry/students')}>
+                  Review
                 </Button>
-              ]}
-            />
-          </Card>
-        </div>
+              </div>
+            </Card>
+          </Col>
+          <Col xs={24} md={12}>
+            <Card className="rounded-2xl shadow-sm" style={{ borderColor: token.colorBorder }}>
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <FileDoneOutlined className="text-xl" style={{ color: token.colorSuccess }} />
+                  <div>
+                    <div className="font-semibold" style={{ color: token.colorText }}>
+                      Completion feedback due: {stats?.pendingFeedback?.completion ?? 0}
+                    </div>
+                    <Text className="text-xs" style={{ color: token.colorTextSecondary }}>
+                      Internships that have ended without final feedback
+                    </Text>
+                  </div>
+                </div>
+                <Button type="primary" className="rounded-lg" onClick={() => navigate('/app/industry/students')}>
+                  Review
+                </Button>
+              </div>
+            </Card>
+          </Col>
+        </Row>
       </div>
-    </Layouts>
+    </div>
   );
 };
 
-export default memo(IndustryDashboard);
\ No newline at end of file
+export default IndustryDashboard;
@@ -0,0 +1,332 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Tag,
+  Space,
+  Input,
+  Select,
+  Typography,
+  Avatar,
+  Tooltip,
+  Modal,
+  DatePicker,
+  theme,
+} from 'antd';
+import { toast } from 'react-hot-toast';
+import {
+  UserOutlined,
+  SearchOutlined,
+  ReloadOutlined,
+  LoginOutlined,
+  FormOutlined,
+  FileDoneOutlined,
+  CheckCircleOutlined,
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import industryService from '../../../services/industry.service';
+import MonthlyFeedbackModal from '../../../components/modals/MonthlyFeedbackModal';
+import CompletionFeedbackModal from '../../../components/modals/CompletionFeedbackModal';
+import { useDebounce } from '../../../hooks/useDebounce';
+
+const { Title, Text } = Typography;
+
+const PHASE_COLORS = {
+  NOT_STARTED: 'default',
+  ACTIVE: 'processing',
+  COMPLETED: 'success',
+  TERMINATED: 'error',
+};
+
+const PHASE_OPTIONS = [
+  { value: 'NOT_STARTED', label: 'Not Started' },
+  { value: 'ACTIVE', label: 'Active' },
+  { value: 'COMPLETED', label: 'Completed' },
+  { value: 'TERMINATED', label: 'Terminated' },
+];
+
+const PlacedStudents = () => {
+  const { token } = theme.useToken();
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0 });
+  const [searchText, setSearchText] = useState('');
+  const [phase, setPhase] = useState(null);
+  const debouncedSearch = useDebounce(searchText, 400);
+
+  const [joiningModal, setJoiningModal] = useState({ open: false, record: null, date: null });
+  const [confirming, setConfirming] = useState(false);
+  const [monthlyModal, setMonthlyModal] = useState({ open: false, record: null });
+  const [completionModal, setCompletionModal] = useState({ open: false, record: null, feedback: null });
+
+  const loadStudents = useCallback(async (page = 1, limit = pagination.limit) => {
+    setLoading(true);
+    try {
+      const result = await industryService.getStudents({
+        page,
+        limit,
+        search: debouncedSearch,
+        phase,
+      });
+      setStudents(result?.data || []);
+      setPagination({ page, limit, total: result?.total || 0 });
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to load students');
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, phase, pagination.limit]);
+
+  useEffect(() => {
+    loadStudents(1);
+  }, [debouncedSearch, phase]);
+
+  const handleConfirmJoining = async () => {
+    const { record, date } = joiningModal;
+    setConfirming(true);
+    try {
+      await industryService.confirmJoining(record.id, date ? date.toISOString() : null);
+      toast.success(`Joining confirmed for ${record.student?.user?.name}`);
+      setJoiningModal({ open: false, record: null, date: null });
+      loadStudents(pagination.page);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to confirm joining');
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  const openCompletionFeedback = async (record) => {
+    let feedback = null;
+    if (record.hasCompletionFeedback) {
+      try {
+        const detail = await industryService.getStudentDetail(record.id);
+        feedback = detail?.completionFeedback || null;
+      } catch (err) {
+        toast.error(err?.response?.data?.message || 'Failed to load feedback');
+        return;
+      }
+    }
+    setCompletionModal({ open: true, record, feedback });
+  };
+
+  const handleFeedbackSuccess = () => {
+    setMonthlyModal({ open: false, record: null });
+    setCompletionModal({ open: false, record: null, feedback: null });
+    loadStudents(pagination.page);
+  };
+
+  const columns = [
+    {
+      title: 'Student',
+      key: 'student',
+      render: (_, record) => (
+        <div className="flex items-center gap-3">
+          <Avatar icon={<UserOutlined />} style={{ backgroundColor: token.colorPrimary }} />
+          <div>
+            <div className="font-semibold" style={{ color: token.colorText }}>{record.student?.user?.name || 'Unknown'}</div>
+            <div className="text-xs" style={{ color: token.colorTextTertiary }}>
+              {record.student?.user?.rollNumber} · {record.student?.Institution?.name}
+            </div>
+          </div>
+        </div>
+      ),
+    },
+    {
+      title: 'Role',
+      key: 'jobProfile',
+      render: (_, record) => record.jobProfile || '-',
+    },
+    {
+      title: 'Duration',
+      key: 'duration',
+      render: (_, record) => (
+        <span className="text-xs">
+          {record.startDate ? dayjs(record.startDate).format('DD/MM/YYYY') : '-'}
+          {' → '}
+          {record.endDate ? dayjs(record.endDate).format('DD/MM/YYYY') : '-'}
+        </span>
+      ),
+    },
+    {
+      title: 'Joining',
+      key: 'joining',
+      render: (_, record) =>
+        record.joiningConfirmedAt ? (
+          <Tooltip title={`Confirmed on ${dayjs(record.joiningConfirmedAt).format('DD/MM/YYYY')}`}>
+            <Tag color="green" icon={<CheckCircleOutlined />}>
+              {record.joiningDate ? dayjs(record.joiningDate).format('DD/MM/YYYY') : 'Confirmed'}
+            </Tag>
+          </Tooltip>
+        ) : (
+          <Tag color="orange">Pending</Tag>
+        ),
+    },
+    {
+      title: 'Phase',
+      dataIndex: 'internshipPhase',
+      key: 'internshipPhase',
+      render: (value) => <Tag color={PHASE_COLORS[value] || 'default'}>{value?.replace('_', ' ')}</Tag>,
+    },
+    {
+      title: 'Feedback',
+      key: 'feedback',
+      render: (_, record) => (
+        <Space size={4} wrap>
+          <Tag>{record.monthlyFeedbackCount || 0} monthly</Tag>
+          {record.hasCompletionFeedback && <Tag color="green">Final</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space size="small">
+          {!record.joiningConfirmedAt && (
+            <Tooltip title="Confirm Joining">
+              <Button
+                type="text"
+                size="small"
+                icon={<LoginOutlined />}
+                onClick={() => setJoiningModal({ open: true, record, date: record.joiningDate ? dayjs(record.joiningDate) : dayjs() })}
+              />
+            </Tooltip>
+          )}
+          <Tooltip title="Monthly Feedback">
+            <Button
+              type="text"
+              size="small"
+              icon={<FormOutlined />}
+              disabled={record.internshipPhase !== 'ACTIVE'}
+              onClick={() => setMonthlyModal({ open: true, record })}
+            />
+          </Tooltip>
+          <Tooltip title={record.hasCompletionFeedback ? 'Edit Completion Feedback' : 'Completion Feedback'}>
+            <Button
+              type="text"
+              size="small"
+              icon={<FileDoneOutlined />}
+              disabled={!record.joiningConfirmedAt}
+              onClick={() => openCompletionFeedback(record)}
+            />
+          </Tooltip>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="p-4 md:p-6 min-h-screen" style={{ backgroundColor: token.colorBgLayout }}>
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-3">
+          <div>
+            <Title level={4} className="mb-0" style={{ color: token.colorText }}>
+              Placed Students
+            </Title>
+            <Text className="text-xs" style={{ color: token.colorTextSecondary }}>
+              Students interning with your company
+            </Text>
+          </div>
+          <Button
+            icon={<ReloadOutlined spin={loading} />}
+            onClick={() => loadStudents(pagination.page)}
+            loading={loading}
+            className="rounded-lg"
+            size="small"
+          >
+            Refresh
+          </Button>
+        </div>
+
+        <Card className="rounded-2xl shadow-sm overflow-hidden" style={{ borderColor: token.colorBorder, backgroundColor: token.colorBgContainer }} styles={{ body: { padding: 0 } }}>
+          <div className="p-4 flex flex-wrap gap-3" style={{ borderBottom: `1px solid ${token.colorBorder}` }}>
+            <Input
+              placeholder="Search by student name or roll number..."
+              prefix={<SearchOutlined style={{ color: token.colorTextTertiary }} />}
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              className="max-w-md rounded-lg h-10"
+              allowClear
+            />
+            <Select
+              placeholder="All phases"
+              value={phase}
+              onChange={setPhase}
+              options={PHASE_OPTIONS}
+              allowClear
+              className="w-44"
+              size="large"
+            />
+          </div>
+
+          <Table
+            columns={columns}
+            dataSource={students}
+            loading={loading}
+            rowKey="id"
+            pagination={{
+              current: pagination.page,
+              pageSize: pagination.limit,
+              total: pagination.total,
+              showSizeChanger: true,
+              showTotal: (total) => `Total ${total} students`,
+              className: 'px-4 py-3',
+            }}
+            onChange={(config) => loadStudents(config.current, config.pageSize)}
+            size="middle"
+            scroll={{ x: 900 }}
+          />
+        </Card>
+      </div>
+
+      {/* Confirm Joining Modal */}
+      <Modal
+        title="Confirm Joining"
+        open={joiningModal.open}
+        onCancel={() => setJoiningModal({ open: false, record: null, date: null })}
+        onOk={handleConfirmJoining}
+        okText="Confirm"
+        confirmLoading={confirming}
+        destroyOnHidden
+      >
+        <div className="space-y-3">
+          <Text>
+            Confirm that <strong>{joiningModal.record?.student?.user?.name}</strong> has reported for work.
+          </Text>
+          <div>
+            <Text className="block mb-2 font-medium">Joining Date</Text>
+            <DatePicker
+              value={joiningModal.date}
+              onChange={(date) => setJoiningModal((prev) => ({ ...prev, date }))}
+              disabledDate={(current) => current && current > dayjs().endOf('day')}
+              format="DD/MM/YYYY"
+              className="w-full"
+            />
+          </div>
+        </div>
+      </Modal>
+
+      <MonthlyFeedbackModal
+        visible={monthlyModal.open}
+        onCancel={() => setMonthlyModal({ open: false, record: null })}
+        onSuccess={handleFeedbackSuccess}
+        preSelectedApplicationId={monthlyModal.record?.id}
+        preSelectedStudentName={monthlyModal.record?.student?.user?.name}
+      />
+
+      <CompletionFeedbackModal
+        visible={completionModal.open}
+        onCancel={() => setCompletionModal({ open: false, record: null, feedback: null })}
+        onSuccess={handleFeedbackSuccess}
+        preSelectedApplicationId={completionModal.feedback ? null : completionModal.record?.id}
+        preSelectedStudentName={completionModal.record?.student?.user?.name}
+        editingFeedback={completionModal.feedback}
+      />
+    </div>
+  );
+};
+
+export default PlacedStudents;
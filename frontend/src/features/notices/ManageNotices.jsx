@@ -0,0 +1,246 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Table, Tag, Button, Space, Input, Select, Typography, Popconfirm, Tooltip } from 'antd';
+import { toast } from 'react-hot-toast';
+import {
+  PlusOutlined,
+  SearchOutlined,
+  ReloadOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  BarChartOutlined,
+  PaperClipOutlined,
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import NoticeFormModal from '../../components/modals/NoticeFormModal';
+import NoticeAcknowledgementReportModal from './NoticeAcknowledgementReportModal';
+import { noticeService, NOTICE_PRIORITIES, NOTICE_VISIBILITY } from '../../services/notice.service';
+
+const { Text } = Typography;
+
+/**
+ * Circulars issued by the state directorate (all) or the principal's institution,
+ * with read/acknowledgement progress.
+ */
+const ManageNotices = () => {
+  const [notices, setNotices] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [visibility, setVisibility] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingNotice, setEditingNotice] = useState(null);
+  const [reportNotice, setReportNotice] = useState(null);
+
+  const fetchNotices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await noticeService.getManagedNotices({
+        page,
+        limit: 10,
+        ...(search && { search }),
+        ...(visibility && { visibility }),
+      });
+      setNotices(result.data || []);
+      setTotal(result.total || 0);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load notices');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, visibility]);
+
+  useEffect(() => {
+    fetchNotices();
+  }, [fetchNotices]);
+
+  const handleDelete = async (notice) => {
+    try {
+      await noticeService.deleteNotice(notice.id);
+      toast.success('Notice deleted');
+      fetchNotices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete notice');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Notice',
+      key: 'title',
+      render: (_, notice) => (
+        <div>
+          <Text strong className="text-sm">{notice.title}</Text>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {notice.priority !== 'NORMAL' && (
+              <Tag color={NOTICE_PRIORITIES[notice.priority]?.color} className="rounded border-0 text-[10px]">
+                {NOTICE_PRIORITIES[notice.priority]?.label}
+              </Tag>
+            )}
+            {notice.requiresAcknowledgement && (
+              <Tag color="purple" className="rounded border-0 text-[10px]">Acknowledgement required</Tag>
+            )}
+            {notice.attachments?.length > 0 && (
+              <Tag className="rounded border-0 text-[10px]">
+                <PaperClipOutlined /> {notice.attachments.length}
+              </Tag>
+            )}
+          </div>
+          <Text type="secondary" className="block text-xs mt-1">
+            {notice.audienceSummary} · by {notice.createdBy?.name}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'visibility',
+      key: 'visibility',
+      width: 110,
+      render: (value) => (
+        <Tag color={NOTICE_VISIBILITY[value]?.color} className="rounded border-0">
+          {NOTICE_VISIBILITY[value]?.label}
+        </Tag>
+      ),
+    },
+    {
+      title: 'Publish / Expiry',
+      key: 'dates',
+      width: 170,
+      render: (_, notice) => (
+        <div className="text-xs">
+          <div>{dayjs(notice.publishAt).format('DD MMM YYYY HH:mm')}</div>
+          <Text type="secondary" className="text-xs">
+            {notice.expiresAt ? `until ${dayjs(notice.expiresAt).format('DD MMM YYYY')}` : 'No expiry'}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Read',
+      key: 'read',
+      width: 130,
+      render: (_, notice) => (
+        <div className="text-xs">
+          <div>
+            {notice.readCount} / {notice.audienceCount} read
+          </div>
+          {notice.requiresAcknowledgement && (
+            <Text type="secondary" className="text-xs">
+              {notice.acknowledgedCount} acknowledged
+            </Text>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 130,
+      render: (_, notice) => (
+        <Space size="small">
+          <Tooltip title="Acknowledgement status">
+            <Button size="small" icon={<BarChartOutlined />} onClick={() => setReportNotice(notice)} />
+          </Tooltip>
+          <Tooltip title="Edit">
+            <Button
+              size="small"
+              icon={<EditOutlined />}
+              onClick={() => {
+                setEditingNotice(notice);
+                setFormOpen(true);
+              }}
+            />
+          </Tooltip>
+          <Popconfirm title="Delete this notice?" onConfirm={() => handleDelete(notice)} okText="Delete">
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="p-4 md:p-6 bg-background-secondary min-h-screen">
+      <div className="max-w-7xl mx-auto !space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h1 className="text-lg font-semibold text-text-primary">Circulars & Notices</h1>
+            <Text className="text-text-tertiary text-sm">
+              Publish circulars and track who has read and acknowledged them
+            </Text>
+          </div>
+          <Space size="small">
+            <Button icon={<ReloadOutlined />} onClick={fetchNotices} className="rounded-lg">
+              Refresh
+            </Button>
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => {
+                setEditingNotice(null);
+                setFormOpen(true);
+              }}
+              className="rounded-lg shadow-md shadow-primary/20"
+            >
+              New Circular
+            </Button>
+          </Space>
+        </div>
+
+        <Card className="rounded-xl border border-border shadow-sm" styles={{ body: { padding: '12px 16px' } }}>
+          <div className="flex flex-wrap gap-3 items-center">
+            <Input.Search
+              placeholder="Search notices..."
+              prefix={<SearchOutlined className="text-gray-400" />}
+              allowClear
+              onSearch={(value) => {
+                setSearch(value.trim());
+                setPage(1);
+              }}
+              className="w-full sm:w-64"
+            />
+            <Select
+              placeholder="Status"
+              value={visibility}
+              onChange={(value) => {
+                setVisibility(value);
+                setPage(1);
+              }}
+              className="w-full sm:w-40"
+              allowClear
+              options={Object.entries(NOTICE_VISIBILITY).map(([value, info]) => ({ value, label: info.label }))}
+            />
+          </div>
+        </Card>
+
+        <Card className="rounded-xl border border-border shadow-sm" styles={{ body: { padding: 0 } }}>
+          <Table
+            rowKey="id"
+            columns={columns}
+            dataSource={notices}
+            loading={loading}
+            pagination={{ current: page, pageSize: 10, total, onChange: setPage, showSizeChanger: false }}
+          />
+        </Card>
+      </div>
+
+      <NoticeFormModal
+        open={formOpen}
+        editingNotice={editingNotice}
+        onClose={() => setFormOpen(false)}
+        onSuccess={fetchNotices}
+      />
+      <NoticeAcknowledgementReportModal
+        open={!!reportNotice}
+        notice={reportNotice}
+        onClose={() => {
+          setReportNotice(null);
+          fetchNotices();
+        }}
+      />
+    </div>
+  );
+};
+
+export default ManageNotices;
@@ -0,0 +1,264 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Table, Tag, Button, Progress, Statistic, Row, Col, Card, Typography, Segmented } from 'antd';
+import { toast } from 'react-hot-toast';
+import { BellOutlined } from '@ant-design/icons';
+import { noticeService, NOTICE_ACK_STATES } from '../../services/notice.service';
+
+const { Text } = Typography;
+
+const ROLE_LABELS = {
+  STUDENT: 'Student',
+  TEACHER: 'Faculty',
+  PRINCIPAL: 'Principal',
+  INDUSTRY_SUPERVISOR: 'Industry Supervisor',
+  STATE_DIRECTORATE: 'State Directorate',
+  SYSTEM_ADMIN: 'System Admin',
+};
+
+/**
+ * Who has read and acknowledged a circular: totals, per-institution breakdown
+ * (least-read first) and the users still pending, with reminders.
+ */
+const NoticeAcknowledgementReportModal = ({ open, notice, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [institutionId, setInstitutionId] = useState(null);
+  const [pending, setPending] = useState({ data: [], total: 0 });
+  const [pendingPage, setPendingPage] = useState(1);
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [loadingPending, setLoadingPending] = useState(false);
+  const [reminding, setReminding] = useState(false);
+
+  const requiresAck = !!notice?.requiresAcknowledgement;
+  const status = pendingStatus || (requiresAck ? 'UNACKNOWLEDGED' : 'UNREAD');
+
+  const loadReport = useCallback(async () => {
+    if (!notice) return;
+    setLoading(true);
+    try {
+      setReport(await noticeService.getAcknowledgementReport(notice.id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load acknowledgement report');
+    } finally {
+      setLoading(false);
+    }
+  }, [notice]);
+
+  const loadPending = useCallback(async () => {
+    if (!notice) return;
+    setLoadingPending(true);
+    try {
+      const result = await noticeService.getPendingRecipients(notice.id, {
+        page: pendingPage,
+        limit: 10,
+        status,
+        ...(institutionId && { institutionId }),
+      });
+      setPending({ data: result.data || [], total: result.total || 0 });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load pending users');
+    } finally {
+      setLoadingPending(false);
+    }
+  }, [notice, pendingPage, status, institutionId]);
+
+  useEffect(() => {
+    if (open) {
+      setInstitutionId(null);
+      setPendingPage(1);
+      setPendingStatus(null);
+      loadReport();
+    }
+  }, [open, loadReport]);
+
+  useEffect(() => {
+    if (open) loadPending();
+  }, [open, loadPending]);
+
+  const remind = async (targetInstitutionId) => {
+    setReminding(true);
+    try {
+      const result = await noticeService.remindPendingRecipients(notice.id, targetInstitutionId);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reminders');
+    } finally {
+      setReminding(false);
+    }
+  };
+
+  const institutionColumns = [
+    {
+      title: 'Institution',
+      key: 'institution',
+      render: (_, row) => (
+        <div>
+          <Text className="text-sm">{row.institutionName}</Text>
+          {row.institutionCode && <Text type="secondary" className="block text-xs">{row.institutionCode}</Text>}
+        </div>
+      ),
+    },
+    { title: 'Audience', dataIndex: 'audienceCount', key: 'audienceCount', width: 90 },
+    {
+      title: 'Read',
+      key: 'read',
+      width: 160,
+      render: (_, row) => <Progress percent={row.readRate} size="small" format={() => `${row.readCount}`} />,
+    },
+    ...(requiresAck
+      ? [
+          {
+            title: 'Acknowledged',
+            key: 'acknowledged',
+            width: 160,
+            render: (_, row) => (
+              <Progress
+                percent={row.acknowledgementRate}
+                size="small"
+                status={row.acknowledgementRate < 50 ? 'exception' : undefined}
+                format={() => `${row.acknowledgedCount}`}
+              />
+            ),
+          },
+        ]
+      : []),
+    {
+      title: '',
+      key: 'actions',
+      width: 150,
+      render: (_, row) => (
+        <div className="flex gap-1">
+          <Button
+            size="small"
+            type={institutionId === row.institutionId ? 'primary' : 'default'}
+            onClick={() => {
+              setInstitutionId(institutionId === row.institutionId ? null : row.institutionId);
+              setPendingPage(1);
+            }}
+          >
+            Pending
+          </Button>
+          {row.institutionId && (
+            <Button size="small" icon={<BellOutlined />} loading={reminding} onClick={() => remind(row.institutionId)} />
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  const pendingColumns = [
+    {
+      title: 'Name',
+      key: 'name',
+      render: (_, row) => (
+        <div>
+          <Text className="text-sm">{row.name}</Text>
+          <Text type="secondary" className="block text-xs">{row.rollNumber || row.email}</Text>
+        </div>
+      ),
+    },
+    { title: 'Role', dataIndex: 'role', key: 'role', width: 130, render: (role) => ROLE_LABELS[role] || role },
+    { title: 'Institution', key: 'institution', render: (_, row) => row.institution?.name || '—' },
+    {
+      title: 'Status',
+      dataIndex: 'acknowledgementState',
+      key: 'acknowledgementState',
+      width: 120,
+      render: (state) => (
+        <Tag color={NOTICE_ACK_STATES[state]?.color} className="rounded border-0">
+          {NOTICE_ACK_STATES[state]?.label || state}
+        </Tag>
+      ),
+    },
+  ];
+
+  const totals = report?.totals;
+
+  return (
+    <Modal
+      title={notice ? `Acknowledgement Status - ${notice.title}` : 'Acknowledgement Status'}
+      open={open}
+      onCancel={onClose}
+      width={960}
+      destroyOnHidden
+      footer={
+        <Button type="primary" icon={<BellOutlined />} loading={reminding} onClick={() => remind()}>
+          Remind everyone pending
+        </Button>
+      }
+    >
+      <Row gutter={16} className="mb-4">
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Audience" value={totals?.audienceCount ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Read" value={totals?.readCount ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic title="Not read" value={totals?.unreadCount ?? 0} loading={loading} />
+          </Card>
+        </Col>
+        <Col span={6}>
+          <Card size="small" className="rounded-xl border-border">
+            <Statistic
+              title="Pending acknowledgement"
+              value={requiresAck ? totals?.pendingAcknowledgementCount ?? 0 : '—'}
+              loading={loading}
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Table
+        size="small"
+        rowKey={(row) => row.institutionId || 'none'}
+        columns={institutionColumns}
+        dataSource={report?.institutions || []}
+        loading={loading}
+        pagination={{ pageSize: 8, hideOnSinglePage: true }}
+      />
+
+      <div className="flex items-center justify-between mt-4 mb-2">
+        <Text strong>
+          Pending users
+          {institutionId && ` - ${report?.institutions.find((row) => row.institutionId === institutionId)?.institutionName}`}
+        </Text>
+        {requiresAck && (
+          <Segmented
+            size="small"
+            value={status}
+            onChange={(value) => {
+              setPendingStatus(value);
+              setPendingPage(1);
+            }}
+            options={[
+              { value: 'UNACKNOWLEDGED', label: 'Not acknowledged' },
+              { value: 'UNREAD', label: 'Not read' },
+            ]}
+          />
+        )}
+      </div>
+      <Table
+        size="small"
+        rowKey="id"
+        columns={pendingColumns}
+        dataSource={pending.data}
+        loading={loadingPending}
+        pagination={{
+          current: pendingPage,
+          pageSize: 10,
+          total: pending.total,
+          onChange: setPendingPage,
+          showSizeChanger: false,
+        }}
+      />
+    </Modal>
+  );
+};
+
+export default NoticeAcknowledgementReportModal;
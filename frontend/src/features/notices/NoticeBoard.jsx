@@ -0,0 +1,224 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Tag, Button, Drawer, Typography, Empty, Spin, Badge, Segmented, Alert } from 'antd';
+import { toast } from 'react-hot-toast';
+import { ReloadOutlined, PaperClipOutlined, CheckCircleOutlined, NotificationOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import {
+  noticeService,
+  NOTICE_PRIORITIES,
+  NOTICE_ACK_STATES,
+  getAttachmentName,
+} from '../../services/notice.service';
+
+const { Text, Paragraph } = Typography;
+
+/**
+ * Circulars addressed to the current user. Opening a notice marks it as read;
+ * notices that require it can be acknowledged from the drawer.
+ */
+const NoticeBoard = () => {
+  const [data, setData] = useState({ notices: [], unreadCount: 0, pendingAcknowledgements: 0 });
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState('ALL');
+  const [selected, setSelected] = useState(null);
+  const [loadingNotice, setLoadingNotice] = useState(false);
+  const [acknowledging, setAcknowledging] = useState(false);
+
+  const fetchNotices = useCallback(async () => {
+    setLoading(true);
+    try {
+      setData(await noticeService.getMyNotices());
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load notices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotices();
+  }, [fetchNotices]);
+
+  const openNotice = async (notice) => {
+    setSelected(notice);
+    setLoadingNotice(true);
+    try {
+      const detail = await noticeService.getNotice(notice.id);
+      setSelected(detail);
+      if (!notice.readAt) fetchNotices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to open notice');
+    } finally {
+      setLoadingNotice(false);
+    }
+  };
+
+  const acknowledge = async () => {
+    setAcknowledging(true);
+    try {
+      const receipt = await noticeService.acknowledgeNotice(selected.id);
+      setSelected((prev) => ({ ...prev, acknowledgedAt: receipt.acknowledgedAt, acknowledgementState: 'ACKNOWLEDGED' }));
+      toast.success('Notice acknowledged');
+      fetchNotices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to acknowledge notice');
+    } finally {
+      setAcknowledging(false);
+    }
+  };
+
+  const notices = data.notices.filter((notice) => {
+    if (filter === 'UNREAD') return !notice.readAt;
+    if (filter === 'PENDING') return notice.requiresAcknowledgement && !notice.acknowledgedAt;
+    return true;
+  });
+
+  return (
+    <div className="p-4 md:p-6 bg-background-secondary min-h-screen">
+      <div className="max-w-5xl mx-auto !space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h1 className="text-lg font-semibold text-text-primary">Notices</h1>
+            <Text className="text-text-tertiary text-sm">Circulars from the state directorate and your institution</Text>
+          </div>
+          <Button icon={<ReloadOutlined />} onClick={fetchNotices} className="rounded-lg">
+            Refresh
+          </Button>
+        </div>
+
+        {data.pendingAcknowledgements > 0 && (
+          <Alert
+            type="warning"
+            showIcon
+            message={`${data.pendingAcknowledgements} notice(s) need your acknowledgement`}
+          />
+        )}
+
+        <Segmented
+          value={filter}
+          onChange={setFilter}
+          options={[
+            { value: 'ALL', label: `All (${data.notices.length})` },
+            { value: 'UNREAD', label: `Unread (${data.unreadCount})` },
+            { value: 'PENDING', label: `To acknowledge (${data.pendingAcknowledgements})` },
+          ]}
+        />
+
+        <Spin spinning={loading}>
+          {notices.length === 0 ? (
+            <Card className="rounded-xl border border-border">
+              <Empty image={<NotificationOutlined className="text-4xl text-text-tertiary" />} description="No notices" />
+            </Card>
+          ) : (
+            <div className="!space-y-3">
+              {notices.map((notice) => (
+                <Card
+                  key={notice.id}
+                  hoverable
+                  size="small"
+                  className={`rounded-xl border border-border ${notice.readAt ? '' : 'bg-primary/5'}`}
+                  onClick={() => openNotice(notice)}
+                >
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <Badge dot={!notice.readAt} offset={[6, 0]}>
+                        <Text strong className="text-sm">{notice.title}</Text>
+                      </Badge>
+                      <Paragraph type="secondary" className="!mb-0 text-xs" ellipsis={{ rows: 2 }}>
+                        {notice.message}
+                      </Paragraph>
+                      <Text type="secondary" className="text-[11px]">
+                        {notice.createdBy?.name} · {dayjs(notice.publishAt).format('DD MMM YYYY')}
+                        {notice.attachments?.length > 0 && (
+                          <>
+                            {' · '}
+                            <PaperClipOutlined /> {notice.attachments.length}
+                          </>
+                        )}
+                      </Text>
+                    </div>
+                    <div className="flex flex-col items-end gap-1 shrink-0">
+                      {notice.priority !== 'NORMAL' && (
+                        <Tag color={NOTICE_PRIORITIES[notice.priority]?.color} className="rounded border-0 m-0">
+                          {NOTICE_PRIORITIES[notice.priority]?.label}
+                        </Tag>
+                      )}
+                      {notice.requiresAcknowledgement && (
+                        <Tag color={NOTICE_ACK_STATES[notice.acknowledgementState]?.color} className="rounded border-0 m-0">
+                          {NOTICE_ACK_STATES[notice.acknowledgementState]?.label}
+                        </Tag>
+                      )}
+                    </div>
+                  </div>
+                </Card>
+              ))}
+            </div>
+          )}
+        </Spin>
+      </div>
+
+      <Drawer
+        title={selected?.title}
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        width={560}
+        destroyOnHidden
+        footer={
+          selected?.requiresAcknowledgement && (
+            selected.acknowledgedAt ? (
+              <Text type="success">
+                <CheckCircleOutlined /> Acknowledged on {dayjs(selected.acknowledgedAt).format('DD MMM YYYY HH:mm')}
+              </Text>
+            ) : (
+              <Button type="primary" block loading={acknowledging} disabled={loadingNotice} onClick={acknowledge}>
+                I have read and understood this notice
+              </Button>
+            )
+          )
+        }
+      >
+        {selected && (
+          <Spin spinning={loadingNotice}>
+            <div className="flex flex-wrap gap-1 mb-3">
+              {selected.priority !== 'NORMAL' && (
+                <Tag color={NOTICE_PRIORITIES[selected.priority]?.color} className="rounded border-0">
+                  {NOTICE_PRIORITIES[selected.priority]?.label}
+                </Tag>
+              )}
+              <Tag className="rounded border-0">{dayjs(selected.publishAt).format('DD MMM YYYY')}</Tag>
+              {selected.expiresAt && (
+                <Tag className="rounded border-0">Valid until {dayjs(selected.expiresAt).format('DD MMM YYYY')}</Tag>
+              )}
+            </div>
+            <Text type="secondary" className="block text-xs mb-3">Issued by {selected.createdBy?.name}</Text>
+            {selected.requiresAcknowledgement && selected.acknowledgementDueAt && !selected.acknowledgedAt && (
+              <Alert
+                type={selected.acknowledgementState === 'OVERDUE' ? 'error' : 'info'}
+                showIcon
+                className="mb-3"
+                message={`Please acknowledge by ${dayjs(selected.acknowledgementDueAt).format('DD MMM YYYY HH:mm')}`}
+              />
+            )}
+            <Paragraph className="whitespace-pre-wrap text-sm">{selected.message}</Paragraph>
+            {selected.attachments?.length > 0 && (
+              <div className="mt-4">
+                <Text strong className="block text-sm mb-1">Attachments</Text>
+                <ul className="pl-0 list-none !space-y-1">
+                  {selected.attachments.map((url) => (
+                    <li key={url}>
+                      <a href={url} target="_blank" rel="noopener noreferrer" className="text-sm">
+                        <PaperClipOutlined /> {getAttachmentName(url)}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </Spin>
+        )}
+      </Drawer>
+    </div>
+  );
+};
+
+export default NoticeBoard;
@@ -0,0 +1,2 @@
+export { default as NoticeBoard } from './NoticeBoard';
+export { default as ManageNotices } from './ManageNotices';
@@ -858,6 +858,14 @@ const PrincipalDashboard = () => {
                   <div className="text-sm text-text-tertiary">Pending / Unaddressed</div>
                 </div>
               </div>
+              {(stats?.grievances?.slaBreached?.open || 0) > 0 && (
+                <div className="p-4 mb-4 bg-error-light rounded-lg">
+                  <Text type="secondary">
+                    {stats.grievances.slaBreached.open} open grievance(s) missed their response or resolution deadline
+                    ({stats.grievances.slaBreached.total} overall). Overdue grievances are escalated automatically.
+                  </Text>
+                </div>
+              )}
               {(stats?.grievances?.pending || 0) > 0 && (
                 <div className="p-4 bg-warning-light rounded-lg">
                   <Text type="secondary">
@@ -0,0 +1,163 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Table, Tag, Button, Select, Checkbox, Popconfirm, Alert, Space, Typography } from 'antd';
+import { DeleteOutlined, CrownOutlined, UserAddOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import grievanceService from '../../../services/grievance.service';
+
+const { Text } = Typography;
+
+/**
+ * Manage the institution's confidential grievance committee.
+ * Committee members handle harassment and discrimination grievances and are the only
+ * staff who see the student's identity on them. New confidential grievances go to the chair.
+ */
+const GrievanceCommitteeModal = ({ open, onClose, institutionId, assignableUsers = [] }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [userId, setUserId] = useState(null);
+  const [isChair, setIsChair] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await grievanceService.getCommittee(institutionId);
+      setMembers(data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load committee');
+    } finally {
+      setLoading(false);
+    }
+  }, [institutionId]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const handleAdd = async () => {
+    if (!userId) return;
+    setSaving(true);
+    try {
+      const result = await grievanceService.addCommitteeMember({ userId, institutionId, isChair });
+      toast.success(result.message || 'Member added');
+      setUserId(null);
+      setIsChair(false);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    try {
+      const result = await grievanceService.removeCommitteeMember(member.id);
+      toast.success(result.message || 'Member removed');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const memberIds = new Set(members.map((m) => m.userId));
+
+  const columns = [
+    {
+      title: 'Name',
+      key: 'name',
+      render: (_, record) => (
+        <div>
+          <Text className="block font-medium">
+            {record.user?.name}
+            {record.isChair && (
+              <Tag icon={<CrownOutlined />} color="gold" className="ml-2">Chair</Tag>
+            )}
+          </Text>
+          <Text className="text-xs text-text-tertiary">{record.user?.email}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Role',
+      key: 'role',
+      width: 120,
+      render: (_, record) => <Tag>{record.user?.role?.replace(/_/g, ' ')}</Tag>,
+    },
+    {
+      title: '',
+      key: 'actions',
+      width: 60,
+      render: (_, record) => (
+        <Popconfirm
+          title="Remove from committee?"
+          description="They will lose access to confidential grievances."
+          onConfirm={() => handleRemove(record)}
+          okButtonProps={{ danger: true }}
+        >
+          <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title="Grievance Committee"
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={640}
+      destroyOnClose
+    >
+      <Alert
+        type="info"
+        showIcon
+        className="mb-4"
+        message="Harassment and discrimination grievances are confidential"
+        description="They go straight to this committee instead of the student's mentor. Only committee members see who submitted them; every view is recorded in the audit log."
+      />
+
+      {!loading && members.length === 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          className="mb-4"
+          message="No committee yet. Confidential grievances stay unassigned until you add at least one member."
+        />
+      )}
+
+      <Space.Compact className="w-full mb-4">
+        <Select
+          className="w-full"
+          placeholder="Select faculty member"
+          showSearch
+          optionFilterProp="label"
+          value={userId}
+          onChange={setUserId}
+          options={assignableUsers
+            .filter((u) => !memberIds.has(u.id))
+            .map((u) => ({ value: u.id, label: `${u.name} - ${u.role?.replace(/_/g, ' ')}` }))}
+        />
+        <Button type="primary" icon={<UserAddOutlined />} onClick={handleAdd} loading={saving} disabled={!userId}>
+          Add
+        </Button>
+      </Space.Compact>
+      <Checkbox checked={isChair} onChange={(e) => setIsChair(e.target.checked)} className="mb-4">
+        Make chair (receives new confidential grievances)
+      </Checkbox>
+
+      <Table
+        columns={columns}
+        dataSource={members}
+        rowKey="id"
+        loading={loading}
+        size="small"
+        pagination={false}
+        locale={{ emptyText: 'No committee members' }}
+      />
+    </Modal>
+  );
+};
+
+export default GrievanceCommitteeModal;
@@ -19,6 +19,7 @@ import {
   Descriptions,
   Alert,
   Steps,
+  Rate,
 } from 'antd';
 import {
   AlertOutlined,
@@ -42,6 +43,10 @@ import {
   RiseOutlined,
   BankOutlined,
   ArrowUpOutlined,
+  LockOutlined,
+  StarOutlined,
+  RedoOutlined,
+  FrownOutlined,
 } from '@ant-design/icons';
 import { toast } from 'react-hot-toast';
 import { debounce } from 'lodash';
@@ -51,6 +56,7 @@ import grievanceService from '../../../services/grievance.service';
 import API from '../../../services/api';
 import { useAuth } from '../../../hooks/useAuth';
 import ProfileAvatar from '../../../components/common/ProfileAvatar';
+import GrievanceCommitteeModal from './GrievanceCommitteeModal';
 
 dayjs.extend(relativeTime);
 
@@ -85,6 +91,8 @@ const Grievances = () => {
       stateDirectorate: 0,
       notSet: 0,
     },
+    satisfaction: { rated: 0, averageRating: null, dissatisfied: 0 },
+    reopened: { grievances: 0, total: 0 },
   });
   const [selectedGrievance, setSelectedGrievance] = useState(null);
   const [escalationChain, setEscalationChain] = useState(null);
@@ -93,6 +101,7 @@ const Grievances = () => {
   const [escalateVisible, setEscalateVisible] = useState(false);
   const [assignVisible, setAssignVisible] = useState(false);
   const [assignableUsers, setAssignableUsers] = useState([]);
+  const [committeeVisible, setCommitteeVisible] = useState(false);
   const [searchText, setSearchText] = useState('');
   const [activeTab, setActiveTab] = useState('all');
   const [filters, setFilters] = useState({
@@ -150,6 +159,15 @@ const Grievances = () => {
           stateDirectorate: statsData.byEscalationLevel?.stateDirectorate || 0,
           notSet: statsData.byEscalationLevel?.notSet || 0,
         },
+        satisfaction: {
+          rated: statsData.satisfaction?.rated || 0,
+          averageRating: statsData.satisfaction?.averageRating ?? null,
+          dissatisfied: statsData.satisfaction?.dissatisfied || 0,
+        },
+        reopened: {
+          grievances: statsData.reopened?.grievances || 0,
+          total: statsData.reopened?.total || 0,
+        },
       });
 
       setPagination(prev => ({ ...prev, total: data?.length || 0 }));
@@ -415,6 +433,9 @@ const Grievances = () => {
             <Tag color="default" className="text-[10px] mt-1">
               {record.category?.replace(/_/g, ' ') || 'Uncategorized'}
             </Tag>
+            {record.isConfidential && (
+              <Tag icon={<LockOutlined />} color="purple" className="text-[10px] mt-1">Confidential</Tag>
+            )}
           </div>
         </div>
       ),
@@ -468,12 +489,21 @@ const Grievances = () => {
       dataIndex: 'status',
       key: 'status',
       width: 120,
-      render: (status) => {
+      render: (status, record) => {
         const config = getStatusConfig(status || 'PENDING');
         return (
-          <Tag icon={config.icon} color={config.color} className="rounded-full px-2">
-            {config.text}
-          </Tag>
+          <div>
+            <Tag icon={config.icon} color={config.color} className="rounded-full px-2">
+              {config.text}
+            </Tag>
+            {record.reopenCount > 0 && (
+              <Tooltip title={`Reopened by the student ${record.reopenCount} time${record.reopenCount > 1 ? 's' : ''}`}>
+                <Tag icon={<RedoOutlined />} color="volcano" className="rounded-full px-2 mt-1 text-[10px]">
+                  Reopened{record.reopenCount > 1 ? ` ×${record.reopenCount}` : ''}
+                </Tag>
+              </Tooltip>
+            )}
+          </div>
         );
       },
     },
@@ -652,14 +682,21 @@ const Grievances = () => {
             {isState ? 'Monitor grievances across all institutions' : 'Track and resolve student grievances'}
           </Text>
         </div>
-        <Button
-          icon={<ReloadOutlined />}
-          onClick={handleRefresh}
-          loading={loading}
-          className="rounded-lg"
-        >
-          Refresh
-        </Button>
+        <Space>
+          {isPrincipal && institutionId && (
+            <Button icon={<LockOutlined />} onClick={() => setCommitteeVisible(true)} className="rounded-lg">
+              Grievance Committee
+            </Button>
+          )}
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={handleRefresh}
+            loading={loading}
+            className="rounded-lg"
+          >
+            Refresh
+          </Button>
+        </Space>
       </div>
 
       {/* Stats */}
@@ -672,6 +709,38 @@ const Grievances = () => {
         <StatCard title="Rejected" value={stats.rejected} icon={<CloseCircleOutlined />} color="#6b7280" subtitle="Closed" />
       </div>
 
+      {/* Student feedback on resolutions */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <StatCard
+          title="Avg. Satisfaction"
+          value={stats.satisfaction.averageRating !== null ? `${stats.satisfaction.averageRating} / 5` : '-'}
+          icon={<StarOutlined />}
+          color="#eab308"
+          subtitle={`${stats.satisfaction.rated} rated resolution${stats.satisfaction.rated === 1 ? '' : 's'}`}
+        />
+        <StatCard
+          title="Dissatisfied"
+          value={stats.satisfaction.dissatisfied}
+          icon={<FrownOutlined />}
+          color="#f97316"
+          subtitle="Rated 1 or 2 stars"
+        />
+        <StatCard
+          title="Reopened"
+          value={stats.reopened.grievances}
+          icon={<RedoOutlined />}
+          color="#dc2626"
+          subtitle="Grievances reopened by students"
+        />
+        <StatCard
+          title="Total Reopens"
+          value={stats.reopened.total}
+          icon={<HistoryOutlined />}
+          color="#7c3aed"
+          subtitle="Including repeat reopens"
+        />
+      </div>
+
       {/* Info alert for active students only */}
       <Alert
         type="info"
@@ -859,14 +928,43 @@ const Grievances = () => {
                 {dayjs(selectedGrievance.submittedDate || selectedGrievance.createdAt).format('DD MMM YYYY HH:mm')}
               </Descriptions.Item>
               <Descriptions.Item label="Student" span={2}>
+                {selectedGrievance.identityHidden ? (
+                  <Tag icon={<LockOutlined />} color="purple">
+                    Confidential - identity visible to the grievance committee only
+                  </Tag>
+                ) : (
                 <Space>
                   <ProfileAvatar size="small" profileImage={selectedGrievance.student?.profileImage || selectedGrievance.student?.user?.profileImage} />
                   <span>{selectedGrievance.student?.user?.name || 'Unknown'}</span>
                   {selectedGrievance.student?.user?.email && (
                     <Text type="secondary">({selectedGrievance.student.user.email})</Text>
                   )}
+                  {selectedGrievance.isConfidential && (
+                    <Tag icon={<LockOutlined />} color="purple">Confidential</Tag>
+                  )}
                 </Space>
+                )}
               </Descriptions.Item>
+              {selectedGrievance.satisfactionRating && (
+                <Descriptions.Item label="Student Rating" span={2}>
+                  <Space orientation="vertical" size={0}>
+                    <Rate disabled value={selectedGrievance.satisfactionRating} className="text-sm" />
+                    {selectedGrievance.satisfactionComment && (
+                      <Text type="secondary" className="text-xs italic">"{selectedGrievance.satisfactionComment}"</Text>
+                    )}
+                  </Space>
+                </Descriptions.Item>
+              )}
+              {selectedGrievance.reopenCount > 0 && (
+                <Descriptions.Item label="Reopened" span={2}>
+                  {selectedGrievance.reopenCount} time{selectedGrievance.reopenCount > 1 ? 's' : ''}
+                  {selectedGrievance.reopenedAt && (
+                    <Text type="secondary" className="ml-2">
+                      (last on {dayjs(selectedGrievance.reopenedAt).format('DD MMM YYYY')})
+                    </Text>
+                  )}
+                </Descriptions.Item>
+              )}
               {selectedGrievance.assignedTo && (
                 <Descriptions.Item label="Assigned To" span={2}>
                   <Space>
@@ -899,7 +997,7 @@ const Grievances = () => {
               <Card size="small" title={<><HistoryOutlined /> Status History</>}>
                 <Timeline
                   items={selectedGrievance.statusHistory.map((history) => ({
-                    color: history.action === 'ESCALATED' ? 'red' :
+                    color: history.action === 'ESCALATED' || history.action === 'AUTO_ESCALATED' ? 'red' :
                            history.action === 'RESOLVED' ? 'green' : 'blue',
                     children: (
                       <div>
@@ -907,6 +1005,9 @@ const Grievances = () => {
                           {history.action === 'SUBMITTED' && 'Submitted'}
                           {history.action === 'ASSIGNED' && `Assigned to ${history.changedBy?.name}`}
                           {history.action === 'ESCALATED' && `Escalated to ${ESCALATION_LEVELS[history.escalationLevel]?.label}`}
+                          {history.action === 'AUTO_ESCALATED' && `Auto-escalated to ${ESCALATION_LEVELS[history.escalationLevel]?.label} (SLA missed)`}
+                          {history.action === 'REOPENED' && 'Reopened by student'}
+                          {history.action === 'FEEDBACK' && 'Student feedback'}
                           {history.action === 'RESPONDED' && 'Response Added'}
                           {history.action === 'STATUS_CHANGED' && `Status: ${history.toStatus?.replace(/_/g, ' ')}`}
                           {history.action === 'REJECTED' && 'Rejected'}
@@ -1043,6 +1144,13 @@ const Grievances = () => {
           </Form.Item>
         </Form>
       </Modal>
+
+      <GrievanceCommitteeModal
+        open={committeeVisible}
+        onClose={() => setCommitteeVisible(false)}
+        institutionId={institutionId}
+        assignableUsers={assignableUsers}
+      />
     </div>
   );
 };
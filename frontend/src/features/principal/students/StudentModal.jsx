@@ -83,16 +83,18 @@ const StudentModal = ({ open, onClose, studentId, onSuccess }) => {
         // Fetch unmasked contact details for edit form
         let unmaskedEmail = student?.user?.email || student.email;
         let unmaskedPhone = student?.user?.phoneNo || student.contact || student.phoneNo;
+        let unmaskedParentContact = student.parentContact;
 
         // Check if values are masked (contain asterisks)
         const isMasked = (value) => value && typeof value === 'string' && value.includes('*');
 
-        if (studentId && (isMasked(unmaskedEmail) || isMasked(unmaskedPhone))) {
+        if (studentId && (isMasked(unmaskedEmail) || isMasked(unmaskedPhone) || isMasked(unmaskedParentContact))) {
           try {
             const unmaskedData = await principalService.getUnmaskedContactDetails(studentId);
             if (unmaskedData) {
               unmaskedEmail = unmaskedData.email || unmaskedEmail;
               unmaskedPhone = unmaskedData.phoneNo || unmaskedPhone;
+              unmaskedParentContact = unmaskedData.parentContact || unmaskedParentContact;
             }
           } catch (err) {
             console.error('Failed to fetch unmasked contact details:', err);
@@ -109,7 +111,7 @@ const StudentModal = ({ open, onClose, studentId, onSuccess }) => {
           currentSemester: student.currentSemester,
           clearanceStatus: student.clearanceStatus,
           parentName: student.parentName,
-          parentContact: student.parentContact,
+          parentContact: unmaskedParentContact,
           motherName: student.motherName,
           gender: student.gender,
           address: student.address,
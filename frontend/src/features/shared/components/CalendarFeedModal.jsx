@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Typography, Alert, Space, Popconfirm } from 'antd';
+import { toast } from 'react-hot-toast';
+import { calendarService } from '../../../services/calendar.service';
+import { useAuth } from '../../../hooks/useAuth';
+
+const { Text, Paragraph } = Typography;
+
+/**
+ * Personal iCalendar subscription link. The URL carries a secret token, so it is
+ * only shown right after it is generated; regenerating invalidates the old link.
+ * The feed holds the academic calendar and deadlines, plus planned visits for faculty.
+ */
+const CalendarFeedModal = ({ open, onClose }) => {
+  const { user } = useAuth();
+  const deadlines =
+    user?.role === 'TEACHER'
+      ? 'your planned visits and visit deadlines'
+      : user?.role === 'STUDENT'
+        ? 'your monthly report deadlines'
+        : 'report and visit deadlines';
+  const [enabled, setEnabled] = useState(false);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFeedUrl(null);
+    calendarService
+      .getFeedStatus()
+      .then((status) => setEnabled(!!status?.enabled))
+      .catch(() => setEnabled(false));
+  }, [open]);
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    try {
+      setFeedUrl(await calendarService.rotateFeedToken());
+      setEnabled(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate calendar link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    setLoading(true);
+    try {
+      await calendarService.revokeFeedToken();
+      setEnabled(false);
+      setFeedUrl(null);
+      toast.success('Calendar link disabled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable calendar link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal title="Subscribe to Calendar" open={open} onCancel={onClose} footer={null} width={560} destroyOnHidden>
+      <Paragraph type="secondary">
+        Add this link to Google Calendar, Outlook or your phone&apos;s calendar (&quot;Subscribe from URL&quot;)
+        to see holidays, academic events and {deadlines} alongside your other events.
+      </Paragraph>
+
+      {feedUrl && (
+        <>
+          <Alert
+            type="warning"
+            showIcon
+            className="mb-3"
+            message="Copy this link now. Anyone with the link can see your calendar, and it will not be shown again."
+          />
+          <Paragraph copyable={{ text: feedUrl }} className="!mb-4 break-all bg-surface border border-border rounded-lg p-3">
+            <Text code>{feedUrl}</Text>
+          </Paragraph>
+        </>
+      )}
+
+      {!feedUrl && enabled && (
+        <Paragraph>
+          <Text>A subscription link is active. Generate a new one if you lost it or think it was shared.</Text>
+        </Paragraph>
+      )}
+
+      <Space>
+        {enabled ? (
+          <Popconfirm
+            title="Generate a new link?"
+            description="Calendars subscribed with the current link will stop updating."
+            onConfirm={handleGenerate}
+          >
+            <Button type="primary" loading={loading}>Generate New Link</Button>
+          </Popconfirm>
+        ) : (
+          <Button type="primary" loading={loading} onClick={handleGenerate}>Generate Link</Button>
+        )}
+        {enabled && (
+          <Popconfirm title="Disable the calendar link?" onConfirm={handleRevoke}>
+            <Button danger loading={loading}>Disable</Button>
+          </Popconfirm>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default CalendarFeedModal;
@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, Table, Tag, Button, Space, Popconfirm, Modal, DatePicker, Tooltip, Select } from 'antd';
+import { ClockCircleOutlined, ReloadOutlined, StopOutlined, EditOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import dayjs from 'dayjs';
+import NotificationService from '../../../services/notification.service';
+
+const STATUS_COLORS = {
+  PENDING: 'processing',
+  PROCESSING: 'processing',
+  SENT: 'success',
+  FAILED: 'error',
+  CANCELLED: 'default',
+};
+
+const KIND_LABELS = {
+  send: 'Notification',
+  'student-reminder': 'My Students',
+  'institution-announcement': 'Institution',
+  'system-announcement': 'System',
+};
+
+const disabledPastDate = (current) => current && current < dayjs().startOf('day');
+
+/**
+ * Scheduled notifications with cancel and reschedule actions.
+ * Pass a changing `refreshKey` to reload after a new notification is scheduled.
+ */
+const ScheduledNotificationsList = ({ refreshKey }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState('PENDING');
+  const [rescheduling, setRescheduling] = useState(null);
+  const [newTime, setNewTime] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await NotificationService.getScheduled({ status: status || undefined, limit: 50 });
+      setItems(response.data?.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load scheduled notifications');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const handleCancel = async (record) => {
+    try {
+      await NotificationService.cancelScheduled(record.id);
+      toast.success('Scheduled notification cancelled');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel');
+    }
+  };
+
+  const handleReschedule = async () => {
+    if (!newTime) return;
+    setSaving(true);
+    try {
+      await NotificationService.reschedule(rescheduling.id, newTime.toISOString());
+      toast.success('Notification rescheduled');
+      setRescheduling(null);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reschedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Title',
+      dataIndex: 'title',
+      key: 'title',
+      ellipsis: true,
+      render: (title, record) => (
+        <Tooltip title={record.body}>
+          <span className="font-medium">{title}</span>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Audience',
+      dataIndex: 'kind',
+      key: 'kind',
+      width: 130,
+      render: (kind) => <Tag>{KIND_LABELS[kind] || kind}</Tag>,
+    },
+    {
+      title: 'Scheduled For',
+      dataIndex: 'scheduledAt',
+      key: 'scheduledAt',
+      width: 180,
+      render: (date) => dayjs(date).format('DD MMM YYYY, hh:mm A'),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      width: 120,
+      render: (value, record) => (
+        <Tooltip title={record.error}>
+          <Tag color={STATUS_COLORS[value]}>{value}</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 110,
+      render: (_, record) =>
+        record.status === 'PENDING' && (
+          <Space size="small">
+            <Tooltip title="Reschedule">
+              <Button
+                type="text"
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => {
+                  setRescheduling(record);
+                  setNewTime(dayjs(record.scheduledAt));
+                }}
+              />
+            </Tooltip>
+            <Popconfirm
+              title="Cancel this scheduled notification?"
+              onConfirm={() => handleCancel(record)}
+              okText="Yes"
+              cancelText="No"
+              okButtonProps={{ danger: true }}
+            >
+              <Tooltip title="Cancel">
+                <Button type="text" size="small" danger icon={<StopOutlined />} />
+              </Tooltip>
+            </Popconfirm>
+          </Space>
+        ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <span className="flex items-center gap-2">
+          <ClockCircleOutlined /> Scheduled Notifications
+        </span>
+      }
+      extra={
+        <Space>
+          <Select
+            value={status}
+            onChange={setStatus}
+            style={{ width: 140 }}
+            options={[
+              { value: 'PENDING', label: 'Pending' },
+              { value: 'SENT', label: 'Sent' },
+              { value: 'FAILED', label: 'Failed' },
+              { value: 'CANCELLED', label: 'Cancelled' },
+              { value: '', label: 'All' },
+            ]}
+          />
+          <Button icon={<ReloadOutlined />} onClick={load} loading={loading} />
+        </Space>
+      }
+      className="mt-6"
+    >
+      <Table
+        columns={columns}
+        dataSource={items}
+        rowKey="id"
+        loading={loading}
+        size="small"
+        pagination={{ pageSize: 10 }}
+        locale={{ emptyText: 'No scheduled notifications' }}
+      />
+
+      <Modal
+        title="Reschedule Notification"
+        open={!!rescheduling}
+        onCancel={() => setRescheduling(null)}
+        onOk={handleReschedule}
+        okText="Reschedule"
+        confirmLoading={saving}
+        okButtonProps={{ disabled: !newTime || newTime.isBefore(dayjs()) }}
+        destroyOnClose
+      >
+        <p className="mb-2 text-gray-500">{rescheduling?.title}</p>
+        <DatePicker
+          showTime={{ format: 'hh:mm A', minuteStep: 5 }}
+          format="DD MMM YYYY, hh:mm A"
+          value={newTime}
+          onChange={setNewTime}
+          disabledDate={disabledPastDate}
+          className="w-full"
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default ScheduledNotificationsList;
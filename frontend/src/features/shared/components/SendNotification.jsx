@@ -10,6 +10,7 @@ import {
   Alert,
   Tag,
   Divider,
+  DatePicker,
 } from 'antd';
 import { toast } from 'react-hot-toast';
 import {
@@ -19,9 +20,12 @@ import {
   GlobalOutlined,
   UserOutlined,
   MailOutlined,
+  ClockCircleOutlined,
 } from '@ant-design/icons';
 import { useSelector } from 'react-redux';
+import dayjs from 'dayjs';
 import NotificationService from '../../../services/notification.service';
+import ScheduledNotificationsList from './ScheduledNotificationsList';
 
 const { TextArea } = Input;
 const { Option } = Select;
@@ -48,6 +52,8 @@ const SendNotification = () => {
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
   const [sendType, setSendType] = useState(null);
+  const [scheduledRefresh, setScheduledRefresh] = useState(0);
+  const scheduleLater = Form.useWatch('scheduleLater', form);
 
   const { user } = useSelector((state) => state.auth);
   const userRole = user?.role;
@@ -96,12 +102,15 @@ const SendNotification = () => {
 
   const handleSendTypeChange = (type) => {
     setSendType(type);
-    form.resetFields(['title', 'body', 'targetRoles', 'sendEmail', 'force']);
+    form.resetFields(['title', 'body', 'targetRoles', 'sendEmail', 'force', 'scheduleLater', 'scheduledAt']);
   };
 
   const handleSubmit = async (values) => {
     setLoading(true);
 
+    // Only sent when "Schedule for later" is on; the server delivers it at that time
+    const scheduledAt = values.scheduleLater && values.scheduledAt ? values.scheduledAt.toISOString() : undefined;
+
     try {
       let response;
 
@@ -111,6 +120,7 @@ const SendNotification = () => {
             title: values.title,
             body: values.body,
             sendEmail: values.sendEmail,
+            scheduledAt,
           });
           break;
 
@@ -120,6 +130,7 @@ const SendNotification = () => {
             body: values.body,
             targetRoles: values.targetRoles,
             sendEmail: values.sendEmail,
+            scheduledAt,
           });
           break;
 
@@ -130,6 +141,7 @@ const SendNotification = () => {
             targetRoles: values.targetRoles,
             sendEmail: values.sendEmail,
             force: values.force,
+            scheduledAt,
           });
           break;
 
@@ -140,6 +152,7 @@ const SendNotification = () => {
             title: values.title,
             body: values.body,
             sendEmail: values.sendEmail,
+            scheduledAt,
           });
           break;
 
@@ -148,7 +161,12 @@ const SendNotification = () => {
       }
 
       const data = response.data;
-      toast.success(data.message || `Notification sent to ${data.sentCount || 0} users`);
+      if (data.scheduled) {
+        toast.success(`Scheduled for ${dayjs(data.data?.scheduledAt).format('DD MMM YYYY, hh:mm A')}`);
+        setScheduledRefresh((key) => key + 1);
+      } else {
+        toast.success(data.message || `Notification sent to ${data.sentCount || 0} users`);
+      }
       form.resetFields();
       setSendType(null);
     } catch (error) {
@@ -336,6 +354,38 @@ const SendNotification = () => {
                   </Checkbox>
                 </Form.Item>
               )}
+
+              <Form.Item name="scheduleLater" valuePropName="checked" className="mb-2">
+                <Checkbox>
+                  <Space>
+                    <ClockCircleOutlined />
+                    Schedule for later
+                  </Space>
+                </Checkbox>
+              </Form.Item>
+
+              {scheduleLater && (
+                <Form.Item
+                  name="scheduledAt"
+                  label="Deliver at"
+                  rules={[
+                    { required: true, message: 'Please pick a delivery time' },
+                    {
+                      validator: (_, value) =>
+                        !value || value.isAfter(dayjs())
+                          ? Promise.resolve()
+                          : Promise.reject(new Error('Delivery time must be in the future')),
+                    },
+                  ]}
+                >
+                  <DatePicker
+                    showTime={{ format: 'hh:mm A', minuteStep: 5 }}
+                    format="DD MMM YYYY, hh:mm A"
+                    disabledDate={(current) => current && current < dayjs().startOf('day')}
+                    className="w-full md:w-72"
+                  />
+                </Form.Item>
+              )}
             </Space>
 
             <Divider />
@@ -345,11 +395,11 @@ const SendNotification = () => {
                 <Button
                   type="primary"
                   htmlType="submit"
-                  icon={<SendOutlined />}
+                  icon={scheduleLater ? <ClockCircleOutlined /> : <SendOutlined />}
                   loading={loading}
                   size="large"
                 >
-                  Send Notification
+                  {scheduleLater ? 'Schedule Notification' : 'Send Notification'}
                 </Button>
                 <Button onClick={() => form.resetFields()}>
                   Clear
@@ -359,6 +409,8 @@ const SendNotification = () => {
           </Form>
         </Card>
       )}
+
+      <ScheduledNotificationsList refreshKey={scheduledRefresh} />
     </div>
   );
 };
@@ -1 +1,2 @@
 export { default as SendNotification } from './SendNotification';
+export { default as CalendarFeedModal } from './CalendarFeedModal';
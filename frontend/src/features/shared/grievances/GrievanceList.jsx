@@ -40,6 +40,7 @@ import {
   CalendarOutlined,
   TeamOutlined,
   GlobalOutlined,
+  LockOutlined,
 } from '@ant-design/icons';
 import { grievanceService } from '../../../services/grievance.service';
 import toast from 'react-hot-toast';
@@ -322,6 +323,9 @@ const GrievanceList = () => {
         <Space>
           <UserOutlined />
           <Text>{name || record.student?.user?.name || record.student?.name || 'N/A'}</Text>
+          {record.isConfidential && (
+            <Tag icon={<LockOutlined />} color="purple" className="text-[10px]">Confidential</Tag>
+          )}
         </Space>
       ),
     },
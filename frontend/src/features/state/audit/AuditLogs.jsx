@@ -54,6 +54,8 @@ const AuditLogs = () => {
   const [loading, setLoading] = useState(false);
   const [statsLoading, setStatsLoading] = useState(false);
   const [expandedRowKeys, setExpandedRowKeys] = useState([]);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
 
   // Filter states
   const [filters, setFilters] = useState({
@@ -212,6 +214,8 @@ const AuditLogs = () => {
     'GRIEVANCE_SUBMIT',
     'GRIEVANCE_UPDATE',
     'GRIEVANCE_RESOLVE',
+    'GRIEVANCE_VIEW',
+    'GRIEVANCE_REOPEN',
     'TECHNICAL_QUERY_SUBMIT',
     'TECHNICAL_QUERY_RESOLVE',
     
@@ -221,6 +225,8 @@ const AuditLogs = () => {
     'PRIVACY_POLICY_UPDATE',
     'CONSENT_GIVEN',
     'CONSENT_WITHDRAWN',
+    'AUDIT_LOG_ARCHIVE',
+    'AUDIT_CHAIN_VERIFY',
   ];
 
   // Entity types for dropdown (common entity types in system)
@@ -362,6 +368,31 @@ const AuditLogs = () => {
     fetchLogs(newFilters);
   };
 
+  // Verify the hash chain for the selected date range (last 30 days by default)
+  const handleVerifyChain = async () => {
+    setVerifying(true);
+    try {
+      const params = {};
+      if (filters.dateRange && filters.dateRange.length === 2) {
+        params.startDate = filters.dateRange[0].startOf('day').toISOString();
+        params.endDate = filters.dateRange[1].endOf('day').toISOString();
+      }
+
+      const result = await auditService.verifyChain(params);
+      setVerification(result);
+      if (result.valid) {
+        toast.success(`Audit trail intact (${result.checked} entries checked)`);
+      } else {
+        toast.error(`Audit trail verification found ${result.issueCount} issue(s)`);
+      }
+    } catch (error) {
+      console.error('Error verifying audit chain:', error);
+      toast.error(error.response?.data?.message || 'Failed to verify audit trail');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
   // Export to CSV
   const handleExportCSV = () => {
     if (logs.length === 0) {
@@ -834,6 +865,15 @@ const AuditLogs = () => {
                 >
                   Refresh
                 </Button>
+                <Tooltip title="Check that no entry in the selected range was modified or removed">
+                  <Button
+                    icon={<SafetyOutlined />}
+                    onClick={handleVerifyChain}
+                    loading={verifying}
+                  >
+                    Verify Integrity
+                  </Button>
+                </Tooltip>
                 <Button
                   type="primary"
                   icon={<DownloadOutlined />}
@@ -848,6 +888,42 @@ const AuditLogs = () => {
 
           <Divider style={{ margin: '16px 0' }} />
 
+          {/* Hash chain verification result */}
+          {verification && (
+            <Alert
+              type={verification.valid ? 'success' : 'error'}
+              showIcon
+              closable
+              onClose={() => setVerification(null)}
+              style={{ marginBottom: 16 }}
+              title={
+                verification.valid
+                  ? `Audit trail intact: ${verification.checked} entries checked`
+                  : `Audit trail verification found ${verification.issueCount} issue(s)`
+              }
+              description={
+                <Space direction="vertical" size={4}>
+                  <Text type="secondary">
+                    {dayjs(verification.from).format('DD MMM YYYY HH:mm')} to {dayjs(verification.to).format('DD MMM YYYY HH:mm')}
+                    {verification.archivedSegments > 0 && ` · ${verification.archivedSegments} archived segment(s) included`}
+                    {!verification.keyed && ' · unkeyed hashes (AUDIT_CHAIN_KEY not set)'}
+                  </Text>
+                  {verification.issues.map((issue, index) => (
+                    <Text key={`${issue.type}-${issue.sequence}-${index}`}>
+                      <Tag color="error">{issue.type.replace(/_/g, ' ')}</Tag>
+                      {issue.message}
+                    </Text>
+                  ))}
+                  {verification.issueCount > verification.issues.length && (
+                    <Text type="secondary">
+                      and {verification.issueCount - verification.issues.length} more
+                    </Text>
+                  )}
+                </Space>
+              }
+            />
+          )}
+
           {/* Alert for active filters */}
           {(filters.dateRange || filters.action || filters.entityType || filters.category) && (
             <Alert
@@ -42,7 +42,8 @@ import {
   BuildOutlined,
   RiseOutlined,
   GlobalOutlined,
-  FileTextOutlined
+  FileTextOutlined,
+  MergeCellsOutlined
 } from '@ant-design/icons';
 import {
   fetchAllCompanies,
@@ -60,6 +61,7 @@ import {
   clearSelectedCompany,
 } from '../store/stateSlice';
 import { useDebounce } from '../../../hooks/useDebounce';
+import CompanyMergeModal from './CompanyMergeModal';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -87,6 +89,7 @@ const CompaniesOverview = () => {
   const [pageSize, setPageSize] = useState(20);
   const [detailModalVisible, setDetailModalVisible] = useState(false);
   const [isInitialMount, setIsInitialMount] = useState(true);
+  const [mergeModalVisible, setMergeModalVisible] = useState(false);
 
   const debouncedSearch = useDebounce(searchInput);
 
@@ -338,13 +341,23 @@ const CompaniesOverview = () => {
             </Text>
           </div>
         </div>
-        <Button
-          icon={<ReloadOutlined />}
-          onClick={() => fetchCompanies({ forceRefresh: true })}
-          loading={loading}
-          size="small"
-          className="rounded-lg border-border hover:border-primary hover:text-primary"
-        />
+        <Space size="small">
+          <Button
+            icon={<MergeCellsOutlined />}
+            onClick={() => setMergeModalVisible(true)}
+            size="small"
+            className="rounded-lg border-border hover:border-primary hover:text-primary"
+          >
+            Merge Duplicates
+          </Button>
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={() => fetchCompanies({ forceRefresh: true })}
+            loading={loading}
+            size="small"
+            className="rounded-lg border-border hover:border-primary hover:text-primary"
+          />
+        </Space>
       </div>
 
       {/* Summary Cards - Compact */}
@@ -488,6 +501,12 @@ const CompaniesOverview = () => {
         />
       </Card>
 
+      <CompanyMergeModal
+        open={mergeModalVisible}
+        onClose={() => setMergeModalVisible(false)}
+        onMerged={() => fetchCompanies({ forceRefresh: true })}
+      />
+
       {/* Company Details Modal */}
       <Modal
         title={
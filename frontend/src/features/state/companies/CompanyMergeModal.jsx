@@ -0,0 +1,275 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Modal,
+  Table,
+  Tag,
+  Button,
+  Checkbox,
+  Radio,
+  Input,
+  Slider,
+  Space,
+  Typography,
+  Empty,
+  Alert,
+} from 'antd';
+import { MergeCellsOutlined, ReloadOutlined, BankOutlined, PlusOutlined } from '@ant-design/icons';
+import { toast } from 'react-hot-toast';
+import stateService from '../../../services/state.service';
+
+const { Text } = Typography;
+
+const NEW_COMPANY = '__new__';
+
+/**
+ * Fuzzy de-duplication of free-text company names.
+ * Each cluster groups spellings of what looks like one employer; merging links their
+ * applications to a registered company (existing or created on the spot).
+ */
+const CompanyMergeModal = ({ open, onClose, onMerged }) => {
+  const [clusters, setClusters] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [threshold, setThreshold] = useState(0.8);
+
+  const [activeCluster, setActiveCluster] = useState(null);
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [target, setTarget] = useState(NEW_COMPANY);
+  const [newName, setNewName] = useState('');
+  const [alsoMergeIds, setAlsoMergeIds] = useState([]);
+  const [merging, setMerging] = useState(false);
+
+  const loadClusters = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await stateService.getCompanyDuplicates({ threshold });
+      setClusters(result?.data || []);
+      setTotal(result?.total || 0);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to load duplicate companies');
+    } finally {
+      setLoading(false);
+    }
+  }, [threshold]);
+
+  useEffect(() => {
+    if (open) loadClusters();
+  }, [open, loadClusters]);
+
+  const openCluster = (cluster) => {
+    setActiveCluster(cluster);
+    setSelectedNames(cluster.variants.map((v) => v.name));
+    setTarget(cluster.matches[0]?.id || NEW_COMPANY);
+    setNewName(cluster.suggestedName);
+    setAlsoMergeIds([]);
+  };
+
+  const closeCluster = () => setActiveCluster(null);
+
+  const handleMerge = async () => {
+    if (selectedNames.length === 0) {
+      toast.error('Select at least one name to merge');
+      return;
+    }
+    if (target === NEW_COMPANY && !newName.trim()) {
+      toast.error('Enter a name for the new company');
+      return;
+    }
+
+    setMerging(true);
+    try {
+      let companyId = target;
+      if (target === NEW_COMPANY) {
+        const created = await stateService.createIndustryPartner({ name: newName.trim() });
+        companyId = created.id;
+      }
+      const result = await stateService.mergeIndustryPartner(companyId, {
+        names: selectedNames,
+        companyIds: alsoMergeIds.filter((id) => id !== companyId),
+      });
+      toast.success(`Linked ${result?.linked || 0} application(s) to ${result?.company?.name}`);
+      closeCluster();
+      loadClusters();
+      onMerged?.();
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to merge companies');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Spellings',
+      key: 'variants',
+      render: (_, record) => (
+        <div className="flex flex-wrap gap-1">
+          {record.variants.map((variant) => (
+            <Tag key={variant.name} className="m-0 rounded">
+              {variant.name} <strong className="text-primary">({variant.count})</strong>
+            </Tag>
+          ))}
+        </div>
+      ),
+    },
+    {
+      title: 'Applications',
+      dataIndex: 'applicationCount',
+      key: 'applicationCount',
+      width: 110,
+      align: 'center',
+    },
+    {
+      title: 'Registered Match',
+      key: 'matches',
+      width: 220,
+      render: (_, record) =>
+        record.matches.length ? (
+          <Space direction="vertical" size={2}>
+            {record.matches.map((match) => (
+              <Text key={match.id} className="text-xs">
+                <BankOutlined className="mr-1" />
+                {match.name} <Text type="secondary" className="text-xs">{Math.round(match.score * 100)}%</Text>
+              </Text>
+            ))}
+          </Space>
+        ) : (
+          <Text type="secondary" className="text-xs">None</Text>
+        ),
+    },
+    {
+      title: 'Action',
+      key: 'action',
+      width: 100,
+      align: 'center',
+      render: (_, record) => (
+        <Button size="small" type="primary" icon={<MergeCellsOutlined />} onClick={() => openCluster(record)}>
+          Merge
+        </Button>
+      ),
+    },
+  ];
+
+  const otherMatches = activeCluster?.matches.filter((match) => match.id !== target) || [];
+
+  return (
+    <>
+      <Modal
+        title={
+          <div className="flex items-center gap-2">
+            <MergeCellsOutlined className="text-primary" />
+            <span>Merge Duplicate Companies</span>
+          </div>
+        }
+        open={open}
+        onCancel={onClose}
+        footer={null}
+        width={1000}
+        destroyOnHidden
+      >
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <Text type="secondary" className="text-xs">
+            {total} group(s) of company names that look like the same employer
+          </Text>
+          <div className="flex items-center gap-3">
+            <Text className="text-xs">Match strictness</Text>
+            <Slider
+              min={0.6}
+              max={1}
+              step={0.05}
+              value={threshold}
+              onChange={setThreshold}
+              tooltip={{ formatter: (v) => `${Math.round(v * 100)}%` }}
+              className="w-40"
+            />
+            <Button size="small" icon={<ReloadOutlined />} onClick={loadClusters} loading={loading} />
+          </div>
+        </div>
+
+        <Table
+          columns={columns}
+          dataSource={clusters}
+          rowKey="key"
+          loading={loading}
+          size="small"
+          pagination={{ pageSize: 10, hideOnSinglePage: true }}
+          locale={{ emptyText: <Empty description="No duplicate company names found" /> }}
+          scroll={{ x: 700 }}
+        />
+      </Modal>
+
+      <Modal
+        title="Merge into a canonical company"
+        open={!!activeCluster}
+        onCancel={closeCluster}
+        onOk={handleMerge}
+        okText="Merge"
+        confirmLoading={merging}
+        destroyOnHidden
+      >
+        {activeCluster && (
+          <div className="space-y-4">
+            <div>
+              <Text strong className="block mb-2">Names to merge</Text>
+              <Checkbox.Group
+                value={selectedNames}
+                onChange={setSelectedNames}
+                className="flex flex-col gap-1"
+                options={activeCluster.variants.map((variant) => ({
+                  value: variant.name,
+                  label: `${variant.name} (${variant.count} application${variant.count === 1 ? '' : 's'})`,
+                }))}
+              />
+            </div>
+
+            <div>
+              <Text strong className="block mb-2">Canonical company</Text>
+              <Radio.Group value={target} onChange={(e) => setTarget(e.target.value)} className="flex flex-col gap-2">
+                {activeCluster.matches.map((match) => (
+                  <Radio key={match.id} value={match.id}>
+                    {match.name}
+                    {!match.isActive && <Tag className="ml-2">Inactive</Tag>}
+                  </Radio>
+                ))}
+                <Radio value={NEW_COMPANY}>
+                  <PlusOutlined className="mr-1" />
+                  Register a new company
+                </Radio>
+              </Radio.Group>
+              {target === NEW_COMPANY && (
+                <Input
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="Official company name"
+                  className="mt-2 rounded-lg"
+                />
+              )}
+            </div>
+
+            {otherMatches.length > 0 && (
+              <div>
+                <Text strong className="block mb-2">Also fold these registered companies into it</Text>
+                <Checkbox.Group
+                  value={alsoMergeIds}
+                  onChange={setAlsoMergeIds}
+                  className="flex flex-col gap-1"
+                  options={otherMatches.map((match) => ({ value: match.id, label: match.name }))}
+                />
+                {alsoMergeIds.length > 0 && (
+                  <Alert
+                    type="warning"
+                    showIcon
+                    className="mt-2 rounded-lg"
+                    message="Their supervisors and applications move to the canonical company and the duplicates are deleted."
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default CompanyMergeModal;
@@ -0,0 +1,451 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Tag,
+  Space,
+  Input,
+  Typography,
+  Tooltip,
+  Modal,
+  Form,
+  Drawer,
+  Descriptions,
+  List,
+  Avatar,
+  App,
+  theme,
+} from 'antd';
+import { toast } from 'react-hot-toast';
+import {
+  PlusOutlined,
+  EditOutlined,
+  SearchOutlined,
+  ReloadOutlined,
+  UserAddOutlined,
+  LinkOutlined,
+  UserOutlined,
+  ShopOutlined,
+} from '@ant-design/icons';
+import stateService from '../../../services/state.service';
+import { useDebounce } from '../../../hooks/useDebounce';
+
+const { Title, Text } = Typography;
+
+const getErrorMessage = (err, fallback) => {
+  const message = err?.response?.data?.message;
+  return Array.isArray(message) ? message.join(', ') : message || fallback;
+};
+
+const IndustryPartners = () => {
+  const { modal } = App.useApp();
+  const { token } = theme.useToken();
+  const [companyForm] = Form.useForm();
+  const [supervisorForm] = Form.useForm();
+
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0 });
+  const [searchText, setSearchText] = useState('');
+  const debouncedSearch = useDebounce(searchText, 400);
+
+  const [companyModal, setCompanyModal] = useState({ open: false, company: null });
+  const [supervisorModal, setSupervisorModal] = useState({ open: false, company: null });
+  const [saving, setSaving] = useState(false);
+  const [details, setDetails] = useState({ open: false, loading: false, company: null });
+
+  const loadCompanies = useCallback(async (page = 1, limit = pagination.limit) => {
+    setLoading(true);
+    try {
+      const result = await stateService.getIndustryPartners({ page, limit, search: debouncedSearch });
+      setCompanies(result?.data || []);
+      setPagination({ page, limit, total: result?.total || 0 });
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load industry partners'));
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, pagination.limit]);
+
+  useEffect(() => {
+    loadCompanies(1);
+  }, [debouncedSearch]);
+
+  const openDetails = async (id) => {
+    setDetails({ open: true, loading: true, company: null });
+    try {
+      const company = await stateService.getIndustryPartner(id);
+      setDetails({ open: true, loading: false, company });
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load company'));
+      setDetails({ open: false, loading: false, company: null });
+    }
+  };
+
+  const openCompanyModal = (company = null) => {
+    companyForm.resetFields();
+    if (company) {
+      companyForm.setFieldsValue(company);
+    }
+    setCompanyModal({ open: true, company });
+  };
+
+  const handleSaveCompany = async () => {
+    const values = await companyForm.validateFields();
+    setSaving(true);
+    try {
+      if (companyModal.company) {
+        await stateService.updateIndustryPartner(companyModal.company.id, values);
+        toast.success('Company updated');
+      } else {
+        await stateService.createIndustryPartner(values);
+        toast.success('Company registered');
+      }
+      setCompanyModal({ open: false, company: null });
+      loadCompanies(pagination.page);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save company'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openSupervisorModal = (company) => {
+    supervisorForm.resetFields();
+    setSupervisorModal({ open: true, company });
+  };
+
+  const handleCreateSupervisor = async () => {
+    const values = await supervisorForm.validateFields();
+    setSaving(true);
+    try {
+      const result = await stateService.createIndustrySupervisor(supervisorModal.company.id, values);
+      setSupervisorModal({ open: false, company: null });
+      loadCompanies(pagination.page);
+      if (result?.temporaryPassword) {
+        modal.success({
+          title: 'Supervisor Created',
+          content: (
+            <div>
+              <p>Login created for <strong>{result.supervisor?.email}</strong>. Temporary password:</p>
+              <p className="font-mono bg-gray-100 p-2 rounded my-2 select-all">{result.temporaryPassword}</p>
+              <p className="text-sm text-gray-500">Please share this password securely with the supervisor.</p>
+            </div>
+          ),
+          width: 500,
+        });
+      } else {
+        toast.success('Supervisor created');
+      }
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to create supervisor'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLinkByName = (company) => {
+    modal.confirm({
+      title: 'Link Applications',
+      content: (
+        <div>
+          <p>
+            Link every unlinked internship application whose company name matches <strong>{company.name}</strong> (ignoring
+            case, punctuation and suffixes like Pvt Ltd) or one of its merged spellings to this company?
+          </p>
+          <p className="text-gray-500 text-sm">Supervisors of this company will then see those students.</p>
+        </div>
+      ),
+      okText: 'Link',
+      onOk: async () => {
+        try {
+          const result = await stateService.linkIndustryPartnerApplications(company.id, { matchByName: true });
+          toast.success(`${result?.linked || 0} application(s) linked`);
+          loadCompanies(pagination.page);
+        } catch (err) {
+          toast.error(getErrorMessage(err, 'Failed to link applications'));
+          throw err;
+        }
+      },
+    });
+  };
+
+  const columns = [
+    {
+      title: 'Company',
+      key: 'name',
+      render: (_, record) => (
+        <div>
+          <Button type="link" className="p-0 h-auto font-semibold" onClick={() => openDetails(record.id)}>
+            {record.name}
+          </Button>
+          <div className="text-xs" style={{ color: token.colorTextTertiary }}>
+            {[record.city, record.state].filter(Boolean).join(', ') || '-'}
+          </div>
+        </div>
+      ),
+    },
+    {
+      title: 'Industry',
+      dataIndex: 'industryType',
+      key: 'industryType',
+      render: (value) => value || '-',
+    },
+    {
+      title: 'Supervisors',
+      key: 'supervisors',
+      render: (_, record) => record._count?.supervisors ?? 0,
+    },
+    {
+      title: 'Linked Applications',
+      key: 'applications',
+      render: (_, record) => record._count?.applications ?? 0,
+    },
+    {
+      title: 'Status',
+      dataIndex: 'isActive',
+      key: 'isActive',
+      render: (isActive) => <Tag color={isActive ? 'green' : 'default'}>{isActive ? 'Active' : 'Inactive'}</Tag>,
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space size="small">
+          <Tooltip title="Edit">
+            <Button type="text" size="small" icon={<EditOutlined />} onClick={() => openCompanyModal(record)} />
+          </Tooltip>
+          <Tooltip title="Add Supervisor">
+            <Button
+              type="text"
+              size="small"
+              icon={<UserAddOutlined />}
+              disabled={!record.isActive}
+              onClick={() => openSupervisorModal(record)}
+            />
+          </Tooltip>
+          <Tooltip title="Link Applications by Name">
+            <Button type="text" size="small" icon={<LinkOutlined />} onClick={() => handleLinkByName(record)} />
+          </Tooltip>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="p-4 md:p-6 min-h-screen" style={{ backgroundColor: token.colorBgLayout }}>
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-3">
+          <div>
+            <Title level={4} className="mb-0" style={{ color: token.colorText }}>
+              Industry Partners
+            </Title>
+            <Text className="text-xs" style={{ color: token.colorTextSecondary }}>
+              Registered host companies and their supervisor logins
+            </Text>
+          </div>
+          <Space size="small">
+            <Button type="primary" icon={<PlusOutlined />} onClick={() => openCompanyModal()} className="rounded-lg" size="small">
+              Add Company
+            </Button>
+            <Button
+              icon={<ReloadOutlined spin={loading} />}
+              onClick={() => loadCompanies(pagination.page)}
+              loading={loading}
+              className="rounded-lg"
+              size="small"
+            >
+              Refresh
+            </Button>
+          </Space>
+        </div>
+
+        <Card className="rounded-2xl shadow-sm overflow-hidden" style={{ borderColor: token.colorBorder, backgroundColor: token.colorBgContainer }} styles={{ body: { padding: 0 } }}>
+          <div className="p-4" style={{ borderBottom: `1px solid ${token.colorBorder}` }}>
+            <Input
+              placeholder="Search by company name..."
+              prefix={<SearchOutlined style={{ color: token.colorTextTertiary }} />}
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              className="max-w-md rounded-lg h-10"
+              allowClear
+            />
+          </div>
+
+          <Table
+            columns={columns}
+            dataSource={companies}
+            loading={loading}
+            rowKey="id"
+            pagination={{
+              current: pagination.page,
+              pageSize: pagination.limit,
+              total: pagination.total,
+              showSizeChanger: true,
+              showTotal: (total) => `Total ${total} companies`,
+              className: 'px-4 py-3',
+            }}
+            onChange={(config) => loadCompanies(config.current, config.pageSize)}
+            size="middle"
+          />
+        </Card>
+      </div>
+
+      {/* Company Modal */}
+      <Modal
+        title={companyModal.company ? 'Edit Company' : 'Add Company'}
+        open={companyModal.open}
+        onCancel={() => setCompanyModal({ open: false, company: null })}
+        onOk={handleSaveCompany}
+        okText={companyModal.company ? 'Update' : 'Create'}
+        confirmLoading={saving}
+        destroyOnHidden
+      >
+        <Form form={companyForm} layout="vertical" preserve={false}>
+          <Form.Item name="name" label="Company Name" rules={[{ required: true, message: 'Company name is required' }]}>
+            <Input placeholder="e.g. Infosys Limited" />
+          </Form.Item>
+          <Form.Item name="industryType" label="Industry Type">
+            <Input placeholder="e.g. IT Services" />
+          </Form.Item>
+          <Space className="w-full" size="middle">
+            <Form.Item
+              name="gstin"
+              label="GSTIN"
+              normalize={(value) => value?.toUpperCase()}
+              rules={[{ pattern: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, message: 'Invalid GSTIN' }]}
+            >
+              <Input placeholder="15 characters" maxLength={15} />
+            </Form.Item>
+            <Form.Item
+              name="cin"
+              label="CIN"
+              normalize={(value) => value?.toUpperCase()}
+              rules={[{ pattern: /^[LU][0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/, message: 'Invalid CIN' }]}
+            >
+              <Input placeholder="21 characters" maxLength={21} />
+            </Form.Item>
+          </Space>
+          <Form.Item name="address" label="Address">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+          <Space className="w-full" size="middle">
+            <Form.Item name="city" label="City">
+              <Input />
+            </Form.Item>
+            <Form.Item name="state" label="State">
+              <Input />
+            </Form.Item>
+            <Form.Item name="pinCode" label="PIN Code" rules={[{ pattern: /^[1-9][0-9]{5}$/, message: '6 digits' }]}>
+              <Input maxLength={6} />
+            </Form.Item>
+          </Space>
+          <Form.Item name="contactEmail" label="Contact Email" rules={[{ type: 'email', message: 'Invalid email' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="contactPhone" label="Contact Phone">
+            <Input />
+          </Form.Item>
+          <Form.Item name="website" label="Website">
+            <Input />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* Supervisor Modal */}
+      <Modal
+        title={`Add Supervisor${supervisorModal.company ? ` - ${supervisorModal.company.name}` : ''}`}
+        open={supervisorModal.open}
+        onCancel={() => setSupervisorModal({ open: false, company: null })}
+        onOk={handleCreateSupervisor}
+        okText="Create Login"
+        confirmLoading={saving}
+        destroyOnHidden
+      >
+        <Form form={supervisorForm} layout="vertical" preserve={false}>
+          <Form.Item name="name" label="Full Name" rules={[{ required: true, message: 'Name is required' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item
+            name="email"
+            label="Email"
+            rules={[
+              { required: true, message: 'Email is required' },
+              { type: 'email', message: 'Invalid email' },
+            ]}
+          >
+            <Input />
+          </Form.Item>
+          <Form.Item name="phoneNo" label="Phone">
+            <Input />
+          </Form.Item>
+          <Form.Item name="designation" label="Designation">
+            <Input placeholder="Industry Supervisor" />
+          </Form.Item>
+          <Text type="secondary" className="text-xs">
+            A temporary password is generated and shown once after creation.
+          </Text>
+        </Form>
+      </Modal>
+
+      {/* Company Details */}
+      <Drawer
+        title={
+          <span>
+            <ShopOutlined className="mr-2" />
+            {details.company?.name || 'Company'}
+          </span>
+        }
+        open={details.open}
+        onClose={() => setDetails({ open: false, loading: false, company: null })}
+        width={520}
+        loading={details.loading}
+      >
+        {details.company && (
+          <div className="space-y-6">
+            <Descriptions column={1} size="small" bordered>
+              <Descriptions.Item label="Industry">{details.company.industryType || '-'}</Descriptions.Item>
+              <Descriptions.Item label="GSTIN">{details.company.gstin || '-'}</Descriptions.Item>
+              <Descriptions.Item label="CIN">{details.company.cin || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Address">{details.company.address || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Email">{details.company.contactEmail || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Phone">{details.company.contactPhone || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Website">{details.company.website || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Linked Applications">{details.company._count?.applications ?? 0}</Descriptions.Item>
+              {details.company.aliases?.length > 0 && (
+                <Descriptions.Item label="Merged Spellings">
+                  <div className="flex flex-wrap gap-1">
+                    {details.company.aliases.map((alias) => (
+                      <Tag key={alias} className="m-0">{alias}</Tag>
+                    ))}
+                  </div>
+                </Descriptions.Item>
+              )}
+            </Descriptions>
+
+            <div>
+              <Title level={5}>Supervisors</Title>
+              <List
+                dataSource={details.company.supervisors || []}
+                locale={{ emptyText: 'No supervisors yet' }}
+                renderItem={(supervisor) => (
+                  <List.Item extra={<Tag color={supervisor.active ? 'green' : 'default'}>{supervisor.active ? 'Active' : 'Inactive'}</Tag>}>
+                    <List.Item.Meta
+                      avatar={<Avatar icon={<UserOutlined />} />}
+                      title={supervisor.name}
+                      description={`${supervisor.email}${supervisor.designation ? ` · ${supervisor.designation}` : ''}`}
+                    />
+                  </List.Item>
+                )}
+              />
+            </div>
+          </div>
+        )}
+      </Drawer>
+    </div>
+  );
+};
+
+export default IndustryPartners;
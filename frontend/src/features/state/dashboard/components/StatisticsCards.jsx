@@ -92,6 +92,7 @@ const StatisticsCards = ({ stats, selectedMonth }) => {
   const assignments = stats?.assignments || {};
   const facultyVisits = stats?.facultyVisits || {};
   const monthlyReports = stats?.monthlyReports || {};
+  const grievanceSla = stats?.grievanceSla || {};
 
   // Students
   const totalStudents = students?.total ?? 0;
@@ -296,6 +297,16 @@ const StatisticsCards = ({ stats, selectedMonth }) => {
             <StatRow label="Completed" value={visitsCompleted} color={visitsCompleted > 0 ? 'text-green-600' : 'text-red-500'} />
             <StatRow label="Expected" value={visitsExpected} color="text-gray-500" />
             <StatRow label="All Time" value={totalVisitsAllTime} color="text-gray-400" isChild />
+
+            <SectionHeader>Grievance SLA</SectionHeader>
+            <StatRow
+              label="Open & Overdue"
+              value={grievanceSla.breachedOpen ?? 0}
+              color={grievanceSla.breachedOpen > 0 ? 'text-red-500' : 'text-green-600'}
+              warning={grievanceSla.breachedOpen > 0}
+            />
+            <StatRow label="Breached All Time" value={grievanceSla.breachedTotal ?? 0} color="text-gray-400" isChild />
+            <StatRow label="Auto-escalated" value={grievanceSla.autoEscalated ?? 0} color="text-gray-400" isChild />
           </Card>
         </Col>
       </Row>
@@ -0,0 +1,521 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  Card,
+  Table,
+  Tag,
+  Button,
+  Input,
+  Select,
+  Typography,
+  Modal,
+  Spin,
+  Empty,
+  Alert,
+  Tabs,
+  Popconfirm,
+  Segmented,
+  Descriptions,
+} from 'antd';
+import { toast } from 'react-hot-toast';
+import {
+  UndoOutlined,
+  SearchOutlined,
+  ReloadOutlined,
+  DatabaseOutlined,
+  FolderOpenOutlined,
+  CloseCircleOutlined,
+  DiffOutlined,
+  UserOutlined,
+  FileTextOutlined,
+  SolutionOutlined,
+  ExclamationCircleOutlined,
+} from '@ant-design/icons';
+import stateService from '../../../services/state.service';
+import { useDebounce } from '../../../hooks/useDebounce';
+import dayjs from 'dayjs';
+
+const { Text } = Typography;
+
+const RECORD_TYPES = [
+  { key: 'students', label: 'Students', icon: <UserOutlined /> },
+  { key: 'applications', label: 'Applications', icon: <SolutionOutlined /> },
+  { key: 'monthly-reports', label: 'Monthly Reports', icon: <FileTextOutlined /> },
+  { key: 'grievances', label: 'Grievances', icon: <ExclamationCircleOutlined /> },
+];
+
+const CHANGE_COLORS = {
+  deleted: 'error',
+  modified: 'warning',
+  unchanged: 'default',
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${units[i]}`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return <Text type="secondary">empty</Text>;
+  if (typeof value === 'object') return <code className="text-xs break-all">{JSON.stringify(value)}</code>;
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return String(value);
+};
+
+const getErrorMessage = (err, fallback) => err?.response?.data?.message || err?.message || fallback;
+
+/**
+ * Point-in-time restore: browse an institution's records as they were in a backup,
+ * compare them with live data and copy selected records back.
+ */
+const BackupRestorePanel = ({ institutions, institutionsLoading }) => {
+  const [backups, setBackups] = useState([]);
+  const [backupsLoading, setBackupsLoading] = useState(false);
+  const [backupId, setBackupId] = useState(null);
+  const [opening, setOpening] = useState(false);
+
+  const [recordType, setRecordType] = useState('students');
+  const [institutionId, setInstitutionId] = useState(null);
+  const [change, setChange] = useState('all');
+  const [searchInput, setSearchInput] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(20);
+
+  const [records, setRecords] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [recordsLoading, setRecordsLoading] = useState(false);
+  const [selectedRowKeys, setSelectedRowKeys] = useState([]);
+  const [restoring, setRestoring] = useState(false);
+  const [diffRecord, setDiffRecord] = useState(null);
+
+  const debouncedSearch = useDebounce(searchInput);
+  const selectedBackup = backups.find((backup) => backup.id === backupId);
+  const isOpen = !!selectedBackup?.isOpen;
+
+  const fetchBackups = useCallback(async () => {
+    setBackupsLoading(true);
+    try {
+      const data = await stateService.getRestorableBackups();
+      setBackups(Array.isArray(data) ? data : []);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load backups'));
+    } finally {
+      setBackupsLoading(false);
+    }
+  }, []);
+
+  const fetchRecords = useCallback(async () => {
+    if (!backupId || !isOpen || !institutionId) return;
+    setRecordsLoading(true);
+    try {
+      const result = await stateService.getBackupRecords(backupId, recordType, {
+        institutionId,
+        page: currentPage,
+        limit: pageSize,
+        search: debouncedSearch || undefined,
+        change: change === 'all' ? undefined : change,
+      });
+      setRecords(result?.data || []);
+      setSummary(result?.summary || null);
+      setTotal(result?.pagination?.total || 0);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load backup records'));
+    } finally {
+      setRecordsLoading(false);
+    }
+  }, [backupId, isOpen, institutionId, recordType, currentPage, pageSize, debouncedSearch, change]);
+
+  useEffect(() => {
+    fetchBackups();
+  }, [fetchBackups]);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [fetchRecords]);
+
+  // Reset selection and pagination when the browsed set changes
+  useEffect(() => {
+    setSelectedRowKeys([]);
+    setCurrentPage(1);
+  }, [backupId, institutionId, recordType, change, debouncedSearch]);
+
+  const handleOpen = async () => {
+    setOpening(true);
+    try {
+      const result = await stateService.openBackup(backupId);
+      toast.success(result?.message || 'Backup opened');
+      await fetchBackups();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to open backup'));
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  const handleClose = async () => {
+    try {
+      await stateService.closeBackup(backupId);
+      setRecords([]);
+      setSummary(null);
+      toast.success('Backup closed');
+      await fetchBackups();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to close backup'));
+    }
+  };
+
+  const handleRestore = async (ids) => {
+    const validIds = ids.filter((id) => id && typeof id === 'string');
+    if (validIds.length === 0) {
+      toast('No records selected for restore', { icon: '⚠️' });
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const result = await stateService.restoreBackupRecords(backupId, recordType, validIds);
+      if (result?.failed > 0) {
+        toast(`${result.message} ${result.errors?.[0] || ''}`, { icon: '⚠️', duration: 6000 });
+      } else {
+        toast.success(result?.message || 'Records restored');
+      }
+      setSelectedRowKeys([]);
+      setDiffRecord(null);
+      fetchRecords();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to restore records'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Record',
+      key: 'title',
+      render: (_, record) => (
+        <div>
+          <Text strong className="text-sm text-text-primary block">{record.title}</Text>
+          {record.studentRollNo && (
+            <Text className="text-xs text-text-tertiary">Roll No: {record.studentRollNo}</Text>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Compared to live',
+      key: 'change',
+      width: 160,
+      render: (_, record) => (
+        <Tag color={CHANGE_COLORS[record.change]} className="rounded border-0 capitalize">
+          {record.change}
+        </Tag>
+      ),
+    },
+    {
+      title: 'Changed Fields',
+      key: 'changedFields',
+      width: 260,
+      render: (_, record) => (
+        record.changedFields?.length > 0 ? (
+          <Text className="text-xs text-text-secondary">
+            {record.changedFields.slice(0, 4).join(', ')}
+            {record.changedFields.length > 4 && ` +${record.changedFields.length - 4} more`}
+          </Text>
+        ) : (
+          <Text className="text-xs text-text-tertiary">—</Text>
+        )
+      ),
+    },
+    {
+      title: 'Action',
+      key: 'action',
+      width: 200,
+      fixed: 'right',
+      align: 'center',
+      render: (_, record) => (
+        <div className="flex items-center justify-center gap-2">
+          <Button size="small" icon={<DiffOutlined />} onClick={() => setDiffRecord(record)} className="rounded-lg">
+            Compare
+          </Button>
+          <Popconfirm
+            title="Restore this record?"
+            description="The live record will be replaced with the backup version."
+            onConfirm={() => handleRestore([record.id])}
+            okText="Restore"
+            cancelText="Cancel"
+            disabled={record.change === 'unchanged'}
+          >
+            <Button
+              type="primary"
+              size="small"
+              icon={<UndoOutlined />}
+              disabled={record.change === 'unchanged'}
+              loading={restoring}
+              className="rounded-lg"
+            >
+              Restore
+            </Button>
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  const diffFields = diffRecord
+    ? Object.keys(diffRecord.backup || {}).sort((a, b) => {
+        const aChanged = diffRecord.changedFields?.includes(a) ? 0 : 1;
+        const bChanged = diffRecord.changedFields?.includes(b) ? 0 : 1;
+        return aChanged - bChanged || a.localeCompare(b);
+      })
+    : [];
+
+  return (
+    <Card className="rounded-2xl border-border shadow-soft bg-surface" styles={{ body: { padding: '0' } }}>
+      {/* Backup selection */}
+      <div className="p-4 border-b border-border bg-background-tertiary/30">
+        <div className="flex flex-wrap items-center gap-4">
+          <Select
+            placeholder="Select a backup"
+            value={backupId || undefined}
+            onChange={setBackupId}
+            loading={backupsLoading}
+            className="w-full md:w-96 h-10 rounded-lg"
+            showSearch
+            optionFilterProp="label"
+            options={backups.map((backup) => ({
+              value: backup.id,
+              label: `${dayjs(backup.createdAt).format('MMM DD, YYYY HH:mm')} — ${backup.description || backup.filename} (${formatSize(backup.size)})${backup.isOpen ? ' • open' : ''}`,
+            }))}
+            notFoundContent={backupsLoading ? <Spin size="small" /> : 'No PostgreSQL backups found'}
+          />
+          {backupId && !isOpen && (
+            <Button
+              type="primary"
+              icon={<FolderOpenOutlined />}
+              onClick={handleOpen}
+              loading={opening}
+              className="h-10 rounded-xl font-medium"
+            >
+              Open Backup
+            </Button>
+          )}
+          {backupId && isOpen && (
+            <Popconfirm
+              title="Close this backup?"
+              description="The temporary copy of the backup will be discarded."
+              onConfirm={handleClose}
+              okText="Close"
+              cancelText="Cancel"
+            >
+              <Button icon={<CloseCircleOutlined />} className="h-10 rounded-xl font-medium">
+                Close Backup
+              </Button>
+            </Popconfirm>
+          )}
+          <Button icon={<ReloadOutlined />} onClick={fetchBackups} className="h-10 rounded-xl" />
+        </div>
+        {opening && (
+          <Alert
+            type="info"
+            showIcon
+            className="rounded-xl mt-4"
+            message="Loading backup"
+            description="The backup is being loaded into a temporary workspace. This can take a few minutes for large backups."
+          />
+        )}
+      </div>
+
+      {!isOpen ? (
+        <div className="py-16">
+          <Empty
+            image={<DatabaseOutlined className="text-5xl text-text-tertiary" />}
+            description={
+              <span className="text-text-tertiary">
+                Select and open a backup to browse records as they were at backup time
+              </span>
+            }
+          />
+        </div>
+      ) : (
+        <>
+          <Tabs
+            activeKey={recordType}
+            onChange={setRecordType}
+            className="px-4 pt-2"
+            items={RECORD_TYPES.map((type) => ({
+              key: type.key,
+              label: (
+                <span className="flex items-center gap-2">
+                  {type.icon}
+                  {type.label}
+                </span>
+              ),
+            }))}
+          />
+
+          {/* Filters */}
+          <div className="p-4 border-b border-border bg-background-tertiary/30">
+            <div className="flex flex-wrap items-center gap-4">
+              <Select
+                placeholder="Select Institution"
+                value={institutionId || undefined}
+                onChange={setInstitutionId}
+                className="w-full md:w-64 h-10 rounded-lg"
+                showSearch
+                optionFilterProp="children"
+                loading={institutionsLoading}
+              >
+                {Array.isArray(institutions) && institutions.map((inst) => (
+                  <Select.Option key={inst.id} value={inst.id}>{inst.name}</Select.Option>
+                ))}
+              </Select>
+              <Input.Search
+                placeholder="Search by student name or roll no..."
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className="w-full md:w-64 rounded-xl h-10 bg-background border-border"
+                allowClear
+                prefix={<SearchOutlined className="text-text-tertiary" />}
+              />
+              <Segmented
+                value={change}
+                onChange={setChange}
+                options={[
+                  { value: 'all', label: `All${summary ? ` (${summary.total})` : ''}` },
+                  { value: 'deleted', label: `Deleted${summary ? ` (${summary.deleted})` : ''}` },
+                  { value: 'modified', label: `Modified${summary ? ` (${summary.modified})` : ''}` },
+                  { value: 'unchanged', label: `Unchanged${summary ? ` (${summary.unchanged})` : ''}` },
+                ]}
+              />
+              {selectedRowKeys.length > 0 && (
+                <Popconfirm
+                  title={`Restore ${selectedRowKeys.length} records?`}
+                  description="Live records will be replaced with their backup versions."
+                  onConfirm={() => handleRestore(selectedRowKeys)}
+                  okText="Restore All"
+                  cancelText="Cancel"
+                >
+                  <Button type="primary" icon={<UndoOutlined />} loading={restoring} className="h-10 rounded-xl font-medium">
+                    Restore Selected ({selectedRowKeys.length})
+                  </Button>
+                </Popconfirm>
+              )}
+            </div>
+          </div>
+
+          {institutionId ? (
+            <Table
+              columns={columns}
+              dataSource={records}
+              rowKey="id"
+              loading={recordsLoading}
+              rowSelection={{
+                selectedRowKeys,
+                onChange: setSelectedRowKeys,
+                getCheckboxProps: (record) => ({ disabled: record.change === 'unchanged' }),
+              }}
+              pagination={{
+                current: currentPage,
+                pageSize,
+                total,
+                showSizeChanger: true,
+                showTotal: (count, range) => (
+                  <span className="text-text-tertiary">
+                    Showing {range[0]}-{range[1]} of {count} records
+                  </span>
+                ),
+                pageSizeOptions: ['10', '20', '50', '100'],
+                className: 'px-6 py-4',
+              }}
+              onChange={(paginationConfig) => {
+                setCurrentPage(paginationConfig.current);
+                setPageSize(paginationConfig.pageSize);
+              }}
+              scroll={{ x: 900 }}
+              size="middle"
+              className="custom-table"
+              locale={{
+                emptyText: (
+                  <Empty
+                    image={Empty.PRESENTED_IMAGE_SIMPLE}
+                    description={<span className="text-text-tertiary">No records found in this backup</span>}
+                  />
+                ),
+              }}
+            />
+          ) : (
+            <div className="py-16">
+              <Empty
+                image={Empty.PRESENTED_IMAGE_SIMPLE}
+                description={<span className="text-text-tertiary">Select an institution to browse its records</span>}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Compare modal */}
+      <Modal
+        title={diffRecord?.title}
+        open={!!diffRecord}
+        onCancel={() => setDiffRecord(null)}
+        width={900}
+        footer={[
+          <Button key="close" onClick={() => setDiffRecord(null)}>
+            Close
+          </Button>,
+          diffRecord?.change !== 'unchanged' && (
+            <Popconfirm
+              key="restore"
+              title="Restore this record?"
+              description="The live record will be replaced with the backup version."
+              onConfirm={() => handleRestore([diffRecord.id])}
+              okText="Restore"
+              cancelText="Cancel"
+            >
+              <Button type="primary" icon={<UndoOutlined />} loading={restoring}>
+                Restore Backup Version
+              </Button>
+            </Popconfirm>
+          ),
+        ]}
+      >
+        {diffRecord?.change === 'deleted' && (
+          <Alert
+            type="warning"
+            showIcon
+            className="rounded-xl mb-4"
+            message="This record no longer exists in the live database"
+          />
+        )}
+        <Descriptions bordered size="small" column={1} className="max-h-[60vh] overflow-auto">
+          {diffFields.map((field) => {
+            const changed = diffRecord.changedFields?.includes(field);
+            return (
+              <Descriptions.Item
+                key={field}
+                label={<span className={changed ? 'font-semibold text-warning' : ''}>{field}</span>}
+              >
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <Text className="text-[10px] uppercase text-text-tertiary block">Backup</Text>
+                    {formatValue(diffRecord.backup?.[field])}
+                  </div>
+                  <div>
+                    <Text className="text-[10px] uppercase text-text-tertiary block">Live</Text>
+                    {diffRecord.current ? formatValue(diffRecord.current[field]) : <Text type="secondary">deleted</Text>}
+                  </div>
+                </div>
+              </Descriptions.Item>
+            );
+          })}
+        </Descriptions>
+      </Modal>
+    </Card>
+  );
+};
+
+export default BackupRestorePanel;
@@ -19,6 +19,7 @@ import {
   Tabs,
   DatePicker,
   Popconfirm,
+  Segmented,
 } from 'antd';
 import { toast } from 'react-hot-toast';
 import {
@@ -35,6 +36,7 @@ import {
   DeleteOutlined,
   HistoryOutlined,
   WarningOutlined,
+  DatabaseOutlined,
 } from '@ant-design/icons';
 import {
   fetchDeletedItemsSummary,
@@ -56,6 +58,7 @@ import {
   fetchInstitutions,
 } from '../store/stateSlice';
 import { useDebounce } from '../../../hooks/useDebounce';
+import BackupRestorePanel from './BackupRestorePanel';
 import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
@@ -77,6 +80,7 @@ const RestoreCenter = () => {
   const institutionsLoading = useSelector(selectInstitutionsLoading);
 
   // Local state
+  const [mode, setMode] = useState('deleted');
   const [searchInput, setSearchInput] = useState('');
   const [institutionId, setInstitutionId] = useState('');
   const [dateRange, setDateRange] = useState(null);
@@ -469,219 +473,242 @@ const RestoreCenter = () => {
               Restore Center
             </Title>
             <Text className="text-text-secondary text-sm">
-              Restore soft-deleted items across all institutions
+              {mode === 'deleted'
+                ? 'Restore soft-deleted items across all institutions'
+                : 'Restore individual records as they were at the time of a backup'}
             </Text>
           </div>
         </div>
-        <Button
-          icon={<ReloadOutlined />}
-          onClick={handleRefresh}
-          loading={loading || summaryLoading}
-          className="rounded-xl h-10 border-border hover:border-primary hover:text-primary shadow-sm bg-surface font-medium"
-        >
-          Refresh Data
-        </Button>
+        <div className="flex items-center gap-3">
+          <Segmented
+            value={mode}
+            onChange={setMode}
+            options={[
+              { value: 'deleted', label: 'Deleted Items', icon: <DeleteOutlined /> },
+              { value: 'backup', label: 'From Backup', icon: <DatabaseOutlined /> },
+            ]}
+          />
+          {mode === 'deleted' && (
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={handleRefresh}
+              loading={loading || summaryLoading}
+              className="rounded-xl h-10 border-border hover:border-primary hover:text-primary shadow-sm bg-surface font-medium"
+            >
+              Refresh Data
+            </Button>
+          )}
+        </div>
       </div>
 
-      {/* Summary Cards */}
-      <Row gutter={[16, 16]}>
-        <Col xs={24} sm={12} lg={6}>
-          <Card className="rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300">
-            <div className="flex items-center gap-4">
-              <div className="w-12 h-12 rounded-xl bg-error/10 flex items-center justify-center text-error shadow-sm border border-error/20">
-                <DeleteOutlined className="text-xl" />
-              </div>
-              <div>
-                <Spin spinning={summaryLoading} size="small">
-                  <div className="text-3xl font-black text-text-primary leading-tight">{summary.total}</div>
-                </Spin>
-                <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Total Deleted</div>
-              </div>
-            </div>
-          </Card>
-        </Col>
-        <Col xs={24} sm={12} lg={6}>
-          <Card
-            className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'monthly-reports' ? 'ring-2 ring-primary' : ''}`}
-            onClick={() => handleTypeChange('monthly-reports')}
-          >
-            <div className="flex items-center gap-4">
-              <div className="w-12 h-12 rounded-xl bg-primary/10 flex items-center justify-center text-primary shadow-sm border border-primary/20">
-                <FileTextOutlined className="text-xl" />
+      {mode === 'backup' && (
+        <BackupRestorePanel institutions={institutions} institutionsLoading={institutionsLoading} />
+      )}
+
+      {mode === 'deleted' && (
+        <>
+
+        {/* Summary Cards */}
+        <Row gutter={[16, 16]}>
+          <Col xs={24} sm={12} lg={6}>
+            <Card className="rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-error/10 flex items-center justify-center text-error shadow-sm border border-error/20">
+                  <DeleteOutlined className="text-xl" />
+                </div>
+                <div>
+                  <Spin spinning={summaryLoading} size="small">
+                    <div className="text-3xl font-black text-text-primary leading-tight">{summary.total}</div>
+                  </Spin>
+                  <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Total Deleted</div>
+                </div>
               </div>
-              <div>
-                <Spin spinning={summaryLoading} size="small">
-                  <div className="text-3xl font-black text-text-primary leading-tight">{summary.monthlyReports}</div>
-                </Spin>
-                <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Monthly Reports</div>
-              </div>
-            </div>
-          </Card>
-        </Col>
-        <Col xs={24} sm={12} lg={6}>
-          <Card
-            className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'faculty-visits' ? 'ring-2 ring-success' : ''}`}
-            onClick={() => handleTypeChange('faculty-visits')}
-          >
-            <div className="flex items-center gap-4">
-              <div className="w-12 h-12 rounded-xl bg-success/10 flex items-center justify-center text-success shadow-sm border border-success/20">
-                <EyeOutlined className="text-xl" />
-              </div>
-              <div>
-                <Spin spinning={summaryLoading} size="small">
-                  <div className="text-3xl font-black text-text-primary leading-tight">{summary.facultyVisits}</div>
-                </Spin>
-                <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Faculty Visits</div>
-              </div>
-            </div>
-          </Card>
-        </Col>
-        <Col xs={24} sm={12} lg={6}>
-          <Card
-            className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'documents' ? 'ring-2 ring-warning' : ''}`}
-            onClick={() => handleTypeChange('documents')}
-          >
-            <div className="flex items-center gap-4">
-              <div className="w-12 h-12 rounded-xl bg-warning/10 flex items-center justify-center text-warning shadow-sm border border-warning/20">
-                <FileTextOutlined className="text-xl" />
+            </Card>
+          </Col>
+          <Col xs={24} sm={12} lg={6}>
+            <Card
+              className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'monthly-reports' ? 'ring-2 ring-primary' : ''}`}
+              onClick={() => handleTypeChange('monthly-reports')}
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-primary/10 flex items-center justify-center text-primary shadow-sm border border-primary/20">
+                  <FileTextOutlined className="text-xl" />
+                </div>
+                <div>
+                  <Spin spinning={summaryLoading} size="small">
+                    <div className="text-3xl font-black text-text-primary leading-tight">{summary.monthlyReports}</div>
+                  </Spin>
+                  <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Monthly Reports</div>
+                </div>
               </div>
-              <div>
-                <Spin spinning={summaryLoading} size="small">
-                  <div className="text-3xl font-black text-text-primary leading-tight">{summary.documents}</div>
-                </Spin>
-                <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Documents</div>
+            </Card>
+          </Col>
+          <Col xs={24} sm={12} lg={6}>
+            <Card
+              className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'faculty-visits' ? 'ring-2 ring-success' : ''}`}
+              onClick={() => handleTypeChange('faculty-visits')}
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-success/10 flex items-center justify-center text-success shadow-sm border border-success/20">
+                  <EyeOutlined className="text-xl" />
+                </div>
+                <div>
+                  <Spin spinning={summaryLoading} size="small">
+                    <div className="text-3xl font-black text-text-primary leading-tight">{summary.facultyVisits}</div>
+                  </Spin>
+                  <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Faculty Visits</div>
+                </div>
               </div>
-            </div>
-          </Card>
-        </Col>
-      </Row>
-
-      {/* Tabs */}
-      <Card className="rounded-2xl border-border shadow-soft bg-surface" styles={{ body: { padding: '0' } }}>
-        <Tabs
-          activeKey={selectedType}
-          onChange={handleTypeChange}
-          items={tabItems}
-          className="px-4 pt-2"
-        />
-
-        {/* Filters */}
-        <div className="p-4 border-b border-border bg-background-tertiary/30">
-          <div className="flex flex-wrap items-center gap-4">
-            <Input.Search
-              placeholder={`Search ${getTypeLabel(selectedType).toLowerCase()}...`}
-              value={searchInput}
-              onChange={(e) => setSearchInput(e.target.value)}
-              className="w-full md:w-64 rounded-xl h-10 bg-background border-border"
-              allowClear
-              prefix={<SearchOutlined className="text-text-tertiary" />}
-            />
-            <Select
-              placeholder="All Institutions"
-              value={institutionId || undefined}
-              onChange={setInstitutionId}
-              allowClear
-              className="w-full md:w-56 h-10 rounded-lg"
-              showSearch
-              optionFilterProp="children"
-              loading={institutionsLoading}
-              notFoundContent={institutionsLoading ? <Spin size="small" /> : 'No institutions found'}
+            </Card>
+          </Col>
+          <Col xs={24} sm={12} lg={6}>
+            <Card
+              className={`rounded-2xl border-border shadow-soft bg-surface h-full hover:translate-y-[-2px] transition-transform duration-300 cursor-pointer ${selectedType === 'documents' ? 'ring-2 ring-warning' : ''}`}
+              onClick={() => handleTypeChange('documents')}
             >
-              {Array.isArray(institutions) && institutions.map((inst) => (
-                <Select.Option key={inst.id} value={inst.id}>{inst.name}</Select.Option>
-              ))}
-            </Select>
-            <RangePicker
-              value={dateRange}
-              onChange={setDateRange}
-              className="w-full md:w-auto h-10 rounded-xl"
-              placeholder={['From Date', 'To Date']}
-            />
-            {selectedRowKeys.length > 0 && (
-              <Popconfirm
-                title={`Restore ${selectedRowKeys.length} items?`}
-                description="This will restore all selected items and their associated data."
-                onConfirm={handleBulkRestore}
-                okText="Restore All"
-                cancelText="Cancel"
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 rounded-xl bg-warning/10 flex items-center justify-center text-warning shadow-sm border border-warning/20">
+                  <FileTextOutlined className="text-xl" />
+                </div>
+                <div>
+                  <Spin spinning={summaryLoading} size="small">
+                    <div className="text-3xl font-black text-text-primary leading-tight">{summary.documents}</div>
+                  </Spin>
+                  <div className="text-[10px] uppercase font-bold text-text-tertiary tracking-widest">Documents</div>
+                </div>
+              </div>
+            </Card>
+          </Col>
+        </Row>
+
+        {/* Tabs */}
+        <Card className="rounded-2xl border-border shadow-soft bg-surface" styles={{ body: { padding: '0' } }}>
+          <Tabs
+            activeKey={selectedType}
+            onChange={handleTypeChange}
+            items={tabItems}
+            className="px-4 pt-2"
+          />
+
+          {/* Filters */}
+          <div className="p-4 border-b border-border bg-background-tertiary/30">
+            <div className="flex flex-wrap items-center gap-4">
+              <Input.Search
+                placeholder={`Search ${getTypeLabel(selectedType).toLowerCase()}...`}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className="w-full md:w-64 rounded-xl h-10 bg-background border-border"
+                allowClear
+                prefix={<SearchOutlined className="text-text-tertiary" />}
+              />
+              <Select
+                placeholder="All Institutions"
+                value={institutionId || undefined}
+                onChange={setInstitutionId}
+                allowClear
+                className="w-full md:w-56 h-10 rounded-lg"
+                showSearch
+                optionFilterProp="children"
+                loading={institutionsLoading}
+                notFoundContent={institutionsLoading ? <Spin size="small" /> : 'No institutions found'}
               >
-                <Button
-                  type="primary"
-                  icon={<UndoOutlined />}
-                  className="h-10 rounded-xl font-medium"
+                {Array.isArray(institutions) && institutions.map((inst) => (
+                  <Select.Option key={inst.id} value={inst.id}>{inst.name}</Select.Option>
+                ))}
+              </Select>
+              <RangePicker
+                value={dateRange}
+                onChange={setDateRange}
+                className="w-full md:w-auto h-10 rounded-xl"
+                placeholder={['From Date', 'To Date']}
+              />
+              {selectedRowKeys.length > 0 && (
+                <Popconfirm
+                  title={`Restore ${selectedRowKeys.length} items?`}
+                  description="This will restore all selected items and their associated data."
+                  onConfirm={handleBulkRestore}
+                  okText="Restore All"
+                  cancelText="Cancel"
                 >
-                  Restore Selected ({selectedRowKeys.length})
-                </Button>
-              </Popconfirm>
-            )}
+                  <Button
+                    type="primary"
+                    icon={<UndoOutlined />}
+                    className="h-10 rounded-xl font-medium"
+                  >
+                    Restore Selected ({selectedRowKeys.length})
+                  </Button>
+                </Popconfirm>
+              )}
+            </div>
           </div>
-        </div>
 
-        {/* Error Alert */}
-        {error && (
-          <div className="p-4">
+          {/* Error Alert */}
+          {error && (
+            <div className="p-4">
+              <Alert
+                type="error"
+                message="Error"
+                description={error}
+                showIcon
+                closable
+                onClose={() => dispatch(clearRestoreCenterError())}
+                className="rounded-xl border-error/20 bg-error/5"
+              />
+            </div>
+          )}
+
+          {/* Info Alert */}
+          <div className="p-4 pt-0">
             <Alert
-              type="error"
-              message="Error"
-              description={error}
+              type="info"
+              message="Restore Information"
+              description="Restoring items will also restore associated counters (e.g., visit counts, report counts) and create an audit log entry."
               showIcon
+              className="rounded-xl border-blue-200/50 bg-blue-50/50 mt-4"
               closable
-              onClose={() => dispatch(clearRestoreCenterError())}
-              className="rounded-xl border-error/20 bg-error/5"
             />
           </div>
-        )}
-
-        {/* Info Alert */}
-        <div className="p-4 pt-0">
-          <Alert
-            type="info"
-            message="Restore Information"
-            description="Restoring items will also restore associated counters (e.g., visit counts, report counts) and create an audit log entry."
-            showIcon
-            className="rounded-xl border-blue-200/50 bg-blue-50/50 mt-4"
-            closable
-          />
-        </div>
 
-        {/* Table */}
-        <Table
-          columns={columns}
-          dataSource={items}
-          rowKey="id"
-          loading={loading}
-          rowSelection={rowSelection}
-          pagination={{
-            current: currentPage,
-            pageSize: pageSize,
-            total: pagination?.total || 0,
-            showSizeChanger: true,
-            showTotal: (total, range) => (
-              <span className="text-text-tertiary">
-                Showing {range[0]}-{range[1]} of {total} deleted items
-              </span>
-            ),
-            pageSizeOptions: ['10', '20', '50', '100'],
-            className: 'px-6 py-4',
-          }}
-          onChange={handleTableChange}
-          scroll={{ x: 1000 }}
-          size="middle"
-          className="custom-table"
-          locale={{
-            emptyText: (
-              <Empty
-                image={Empty.PRESENTED_IMAGE_SIMPLE}
-                description={
-                  <span className="text-text-tertiary">
-                    No deleted {getTypeLabel(selectedType).toLowerCase()} found
-                  </span>
-                }
-              />
-            ),
-          }}
-        />
-      </Card>
+          {/* Table */}
+          <Table
+            columns={columns}
+            dataSource={items}
+            rowKey="id"
+            loading={loading}
+            rowSelection={rowSelection}
+            pagination={{
+              current: currentPage,
+              pageSize: pageSize,
+              total: pagination?.total || 0,
+              showSizeChanger: true,
+              showTotal: (total, range) => (
+                <span className="text-text-tertiary">
+                  Showing {range[0]}-{range[1]} of {total} deleted items
+                </span>
+              ),
+              pageSizeOptions: ['10', '20', '50', '100'],
+              className: 'px-6 py-4',
+            }}
+            onChange={handleTableChange}
+            scroll={{ x: 1000 }}
+            size="middle"
+            className="custom-table"
+            locale={{
+              emptyText: (
+                <Empty
+                  image={Empty.PRESENTED_IMAGE_SIMPLE}
+                  description={
+                    <span className="text-text-tertiary">
+                      No deleted {getTypeLabel(selectedType).toLowerCase()} found
+                    </span>
+                  }
+                />
+              ),
+            }}
+          />
+        </Card>
+        </>
+      )}
     </div>
   );
 };
@@ -1,6 +1,6 @@
 import React, { memo, useState } from 'react';
 import { useDispatch } from 'react-redux';
-import { Card, Button, Typography, Tabs, Tag, Upload, Modal, Progress, Tooltip, theme, Row, Col } from 'antd';
+import { Card, Button, Typography, Tabs, Tag, Upload, Modal, Progress, Tooltip, Popover, QRCode, theme, Row, Col } from 'antd';
 import { toast } from 'react-hot-toast';
 import {
   ArrowLeftOutlined,
@@ -14,6 +14,9 @@ import {
   DeleteOutlined,
   BankOutlined,
   CalendarOutlined,
+  SafetyCertificateOutlined,
+  DownloadOutlined,
+  QrcodeOutlined,
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 import { hasInternshipStarted } from '../utils/applicationUtils';
@@ -25,6 +28,7 @@ import {
 import FacultyVisitsSection from './FacultyVisitsSection';
 import { uploadJoiningLetter, deleteJoiningLetter } from '../../store/studentSlice';
 import { openFileWithPresignedUrl } from '../../../../utils/imageUtils';
+import studentService from '../../../../services/student.service';
 
 const { Text } = Typography;
 
@@ -49,6 +53,7 @@ const ApplicationDetailsView = ({
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [deleteConfirmVisible, setDeleteConfirmVisible] = useState(false);
+  const [downloadingCertificate, setDownloadingCertificate] = useState(false);
 
   if (!application) return null;
 
@@ -61,7 +66,10 @@ const ApplicationDetailsView = ({
     ? { companyName: application.companyName, city: application.companyAddress?.split(',')[0] }
     : industry;
 
+  const isCompleted = application.internshipPhase === 'COMPLETED';
   const hasJoiningLetter = !!(application?.joiningLetterUrl || application?.joiningLetter);
+  const joiningLetterCode = application.joiningLetterVerificationCode;
+  const certificateCode = application.certificate?.verificationCode;
   const joiningLetterUrl = application?.joiningLetterUrl || application?.joiningLetter;
 
   // Calculate progress
@@ -120,6 +128,44 @@ const ApplicationDetailsView = ({
     if (joiningLetterUrl) openFileWithPresignedUrl(joiningLetterUrl);
   };
 
+  const handleDownloadCertificate = async () => {
+    setDownloadingCertificate(true);
+    try {
+      const blob = await studentService.downloadCertificate(application.id);
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `internship-certificate-${application.id}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      // The first download issues the certificate; reload to show its verification code
+      if (!certificateCode) onRefresh?.();
+    } catch (error) {
+      toast.error('Failed to download certificate');
+    } finally {
+      setDownloadingCertificate(false);
+    }
+  };
+
+  // Code and QR that third parties use on the public verification page
+  const renderVerificationCode = (code) => (
+    <Popover
+      trigger="click"
+      content={
+        <div className="flex flex-col items-center gap-2">
+          <QRCode value={`${window.location.origin}/verify/${code}`} size={140} bordered={false} />
+          <Text copyable className="font-mono text-xs">{code}</Text>
+        </div>
+      }
+    >
+      <Tooltip title="Verification code">
+        <Button type="text" size="small" icon={<QrcodeOutlined />} className="hover:bg-transparent" />
+      </Tooltip>
+    </Popover>
+  );
+
   const getStatusColor = (status) => {
     const colors = {
       APPLIED: 'blue', SHORTLISTED: 'orange', SELECTED: 'green',
@@ -286,7 +332,7 @@ const ApplicationDetailsView = ({
               <div>
                 <Text strong className="text-sm block mb-0.5" style={{ color: token.colorText }}>Joining Letter</Text>
                 <Text className="text-[10px] font-medium" style={{ color: hasJoiningLetter ? token.colorSuccess : token.colorWarning }}>
-                  {hasJoiningLetter ? 'Uploaded' : 'Required'}
+                  {hasJoiningLetter ? (joiningLetterCode ? 'Approved' : 'Uploaded') : 'Required'}
                 </Text>
               </div>
             </div>
@@ -294,6 +340,7 @@ const ApplicationDetailsView = ({
             <div className="flex items-center gap-1">
               {hasJoiningLetter ? (
                 <>
+                  {joiningLetterCode && renderVerificationCode(joiningLetterCode)}
                   <Tooltip title="View">
                     <Button type="text" size="small" icon={<EyeOutlined />} onClick={handleViewJoiningLetter} className="hover:bg-transparent" />
                   </Tooltip>
@@ -314,6 +361,46 @@ const ApplicationDetailsView = ({
         </Card>
       )}
 
+      {/* Completion Certificate */}
+      {isCompleted && (
+        <Card
+          className="rounded-xl shadow-sm border"
+          style={{ borderColor: token.colorBorderSecondary, backgroundColor: token.colorBgContainer }}
+          styles={{ body: { padding: '16px' } }}
+        >
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div
+                className="w-10 h-10 rounded-lg flex items-center justify-center"
+                style={{ backgroundColor: token.colorSuccessBg }}
+              >
+                <SafetyCertificateOutlined className="text-base" style={{ color: token.colorSuccess }} />
+              </div>
+              <div>
+                <Text strong className="text-sm block mb-0.5" style={{ color: token.colorText }}>Completion Certificate</Text>
+                <Text className="text-[10px] font-medium" style={{ color: token.colorSuccess }}>
+                  Internship completed
+                </Text>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-1">
+              {certificateCode && renderVerificationCode(certificateCode)}
+              <Button
+                type="primary"
+                size="small"
+                icon={<DownloadOutlined />}
+                loading={downloadingCertificate}
+                onClick={handleDownloadCertificate}
+                className="rounded-lg"
+              >
+                Download
+              </Button>
+            </div>
+          </div>
+        </Card>
+      )}
+
       {/* Tabs */}
       <Card
         className="rounded-xl shadow-sm border"
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Button, Input, Rate, Typography } from 'antd';
+import { RedoOutlined, StarOutlined } from '@ant-design/icons';
+import toast from 'react-hot-toast';
+import dayjs from 'dayjs';
+import grievanceService from '../../../services/grievance.service';
+
+const { Text, Paragraph } = Typography;
+const { TextArea } = Input;
+
+const RATING_LABELS = ['Very dissatisfied', 'Dissatisfied', 'Neutral', 'Satisfied', 'Very satisfied'];
+
+/**
+ * Lets the student rate the resolution of their grievance and, within the reopen
+ * window, reopen it if the issue is not actually fixed.
+ */
+const GrievanceFeedbackPanel = ({ grievance, onUpdated }) => {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [reopening, setReopening] = useState(false);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!['RESOLVED', 'CLOSED'].includes(grievance.status)) return null;
+
+  // A new rating can be given each time the grievance is resolved
+  const rated =
+    grievance.feedbackAt &&
+    (!grievance.resolvedDate || !dayjs(grievance.feedbackAt).isBefore(grievance.resolvedDate));
+  const canReopen = grievance.reopenUntil && dayjs().isBefore(grievance.reopenUntil);
+
+  const handleRate = async () => {
+    setSaving(true);
+    try {
+      await grievanceService.submitFeedback(grievance.id, rating, comment.trim() || null);
+      toast.success('Thanks for your feedback');
+      onUpdated?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit feedback');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReopen = async () => {
+    setSaving(true);
+    try {
+      await grievanceService.reopen(grievance.id, reason.trim(), rated ? null : rating || null);
+      toast.success('Grievance reopened');
+      onUpdated?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reopen grievance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-3 rounded-xl border border-gray-100 space-y-3">
+      <div>
+        <Text className="text-[10px] text-text-tertiary uppercase font-semibold block mb-1">
+          <StarOutlined className="mr-1" />
+          How satisfied are you with the resolution?
+        </Text>
+        {rated ? (
+          <div>
+            <Rate disabled value={grievance.satisfactionRating} className="text-base" />
+            {grievance.satisfactionComment && (
+              <Paragraph className="text-xs text-text-secondary mb-0 mt-1 italic">"{grievance.satisfactionComment}"</Paragraph>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <Rate value={rating} onChange={setRating} tooltips={RATING_LABELS} className="text-base" />
+            {rating > 0 && !reopening && (
+              <>
+                <TextArea
+                  rows={2}
+                  maxLength={500}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="Anything you'd like to add? (optional)"
+                  className="rounded-lg text-xs"
+                />
+                <div className="flex justify-end">
+                  <Button type="primary" size="small" loading={saving} onClick={handleRate} className="rounded-lg text-xs">
+                    Submit Rating
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {canReopen && (
+        <div>
+          {reopening ? (
+            <div className="space-y-2">
+              <TextArea
+                rows={3}
+                maxLength={1000}
+                autoFocus
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="What is still not resolved?"
+                className="rounded-lg text-xs"
+              />
+              <div className="flex justify-end gap-2">
+                <Button size="small" onClick={() => setReopening(false)} className="rounded-lg text-xs">Cancel</Button>
+                <Button
+                  danger
+                  size="small"
+                  loading={saving}
+                  disabled={!reason.trim()}
+                  onClick={handleReopen}
+                  className="rounded-lg text-xs"
+                >
+                  Reopen Grievance
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center justify-between gap-2">
+              <Text className="text-[10px] text-text-tertiary">
+                Not fixed? You can reopen until {dayjs(grievance.reopenUntil).format('MMM D, YYYY')}
+              </Text>
+              <Button size="small" icon={<RedoOutlined />} onClick={() => setReopening(true)} className="rounded-lg text-xs">
+                Reopen
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GrievanceFeedbackPanel;
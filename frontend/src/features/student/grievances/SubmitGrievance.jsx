@@ -18,6 +18,7 @@ import {
   Divider,
   Spin,
   Modal,
+  Alert,
 } from 'antd';
 import {
   PlusOutlined,
@@ -30,6 +31,7 @@ import {
   UserOutlined,
   TeamOutlined,
   GlobalOutlined,
+  LockOutlined,
 } from '@ant-design/icons';
 import toast from 'react-hot-toast';
 import dayjs from 'dayjs';
@@ -43,6 +45,7 @@ import {
   selectGrievancesLoading,
   selectMentorWithFallback,
 } from '../store/studentSelectors';
+import GrievanceFeedbackPanel from './GrievanceFeedbackPanel';
 
 const { Title, Text, Paragraph } = Typography;
 const { TextArea } = Input;
@@ -59,11 +62,16 @@ const CATEGORIES = [
   { value: 'INDUSTRY_RELATED', label: 'Industry Related' },
   { value: 'PAYMENT_ISSUE', label: 'Payment Issue' },
   { value: 'WORKPLACE_HARASSMENT', label: 'Workplace Harassment' },
+  { value: 'HARASSMENT', label: 'Harassment' },
+  { value: 'DISCRIMINATION', label: 'Discrimination' },
   { value: 'WORK_CONDITION', label: 'Work Condition' },
   { value: 'SAFETY_CONCERN', label: 'Safety Concern' },
   { value: 'OTHER', label: 'Other' },
 ];
 
+// Handled by the institution's grievance committee instead of the mentor
+const CONFIDENTIAL_CATEGORIES = ['WORKPLACE_HARASSMENT', 'HARASSMENT', 'DISCRIMINATION'];
+
 const PRIORITIES = [
   { value: 'LOW', label: 'Low', color: 'green' },
   { value: 'MEDIUM', label: 'Medium', color: 'orange' },
@@ -74,6 +82,7 @@ const PRIORITIES = [
 const SubmitGrievance = () => {
   const dispatch = useDispatch();
   const [form] = Form.useForm();
+  const selectedCategory = Form.useWatch('category', form);
 
   // Redux state
   const grievances = useSelector(selectGrievancesList);
@@ -282,6 +291,17 @@ const SubmitGrievance = () => {
             <Input placeholder="Brief summary of your concern" className="rounded-lg h-9 text-xs" />
           </Form.Item>
 
+          {CONFIDENTIAL_CATEGORIES.includes(selectedCategory) && (
+            <Alert
+              type="info"
+              showIcon
+              icon={<LockOutlined />}
+              className="mb-4 text-xs"
+              message="This grievance will be handled confidentially"
+              description="It goes to your institution's grievance committee, not your mentor. Only committee members can see your name and attachments."
+            />
+          )}
+
           <Form.Item name="description" label={<span className="text-xs font-medium">Description</span>} rules={[{ required: true }, { min: 50, message: 'Min 50 characters' }]}>
             <TextArea rows={4} placeholder="Provide detailed information about your concern..." className="rounded-lg text-xs" />
           </Form.Item>
@@ -357,6 +377,16 @@ const SubmitGrievance = () => {
               </div>
             )}
 
+            <GrievanceFeedbackPanel
+              key={selectedGrievance.id}
+              grievance={selectedGrievance}
+              onUpdated={() => {
+                setDrawerVisible(false);
+                setSelectedGrievance(null);
+                dispatch(fetchGrievances({ forceRefresh: true }));
+              }}
+            />
+
             {/* History */}
             {selectedGrievance.statusHistory?.length > 0 && (
               <div>
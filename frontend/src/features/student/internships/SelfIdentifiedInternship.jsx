@@ -14,6 +14,8 @@ import {
   Row,
   Col,
   Typography,
+  AutoComplete,
+  Tag,
 } from "antd";
 import { UploadOutlined, PlusOutlined } from "@ant-design/icons";
 import { useDispatch, useSelector } from "react-redux";
@@ -26,6 +28,8 @@ import { toast } from "react-hot-toast";
 import { getStoredLoginResponse } from "../../../utils/authStorage";
 import { selectApplicationsList } from "../store/studentSelectors";
 import { submitSelfIdentified, fetchApplications } from "../store/studentSlice";
+import studentService from "../../../services/student.service";
+import { useDebounce } from "../../../hooks/useDebounce";
 
 const { TextArea } = Input;
 const { Option } = Select;
@@ -42,6 +46,9 @@ const SelfIdentifiedInternship = () => {
   const [joiningLetterFile, setJoiningLetterFile] = useState(null);
   const [facultyMentors, setFacultyMentors] = useState([]);
   const [internshipDuration, setInternshipDuration] = useState("");
+  const [companyQuery, setCompanyQuery] = useState("");
+  const [companySuggestions, setCompanySuggestions] = useState([]);
+  const debouncedCompanyQuery = useDebounce(companyQuery, 300);
 
   // Fetch institute data and applications on mount
   useEffect(() => {
@@ -59,6 +66,45 @@ const SelfIdentifiedInternship = () => {
     }
   }, [institute]);
 
+  // Suggest registered companies while the student types, so known employers are not re-spelled
+  useEffect(() => {
+    if (debouncedCompanyQuery.trim().length < 2) {
+      setCompanySuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    studentService
+      .getCompanySuggestions(debouncedCompanyQuery)
+      .then((companies) => {
+        if (!cancelled) setCompanySuggestions(Array.isArray(companies) ? companies : []);
+      })
+      .catch(() => {
+        if (!cancelled) setCompanySuggestions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedCompanyQuery]);
+
+  const handleCompanySearch = (value) => {
+    setCompanyQuery(value);
+    // Typing after picking a suggestion means the student wants a different company
+    form.setFieldsValue({ companyId: undefined });
+  };
+
+  const handleCompanySelect = (company) => {
+    if (!company) return;
+    const address = company.address || [company.city, company.state, company.pinCode].filter(Boolean).join(", ");
+    form.setFieldsValue({
+      companyId: company.id,
+      companyName: company.name,
+      // Only fill blanks - keep anything the student already entered
+      companyAddress: form.getFieldValue("companyAddress") || address || undefined,
+      companyContact: form.getFieldValue("companyContact") || company.contactPhone || undefined,
+      companyEmail: form.getFieldValue("companyEmail") || company.contactEmail || undefined,
+    });
+  };
+
   // Calculate internship duration when dates change
   const calculateDuration = (startDate, endDate) => {
     if (!startDate || !endDate) {
@@ -150,6 +196,9 @@ const SelfIdentifiedInternship = () => {
       // Append basic fields
       formData.append("studentId", studentId);
       formData.append("companyName", values.companyName || "");
+      if (values.companyId) {
+        formData.append("companyId", values.companyId);
+      }
       formData.append("companyAddress", values.companyAddress || "");
       formData.append("companyContact", values.companyContact || "");
       formData.append("companyEmail", values.companyEmail || "");
@@ -235,6 +284,7 @@ const SelfIdentifiedInternship = () => {
       // Reset form
       form.resetFields();
       setJoiningLetterFile(null);
+      setCompanyQuery("");
     } catch (error) {
       console.error("Submission error:", error);
       const errorMessage = typeof error === 'string' ? error : error?.message || "Failed to submit application. Please try again.";
@@ -287,7 +337,36 @@ const SelfIdentifiedInternship = () => {
                     name="companyName"
                     rules={[{ required: true, message: "Please enter company name" }]}
                   >
-                    <Input placeholder="e.g., Google India" className="rounded-lg h-11 bg-background border-border" />
+                    <AutoComplete
+                      options={companySuggestions.map((company) => ({
+                        key: company.id,
+                        value: company.name,
+                        company,
+                        label: (
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="truncate">{company.name}</span>
+                            <span className="text-xs text-text-tertiary truncate">
+                              {[company.city, company.state].filter(Boolean).join(", ")}
+                            </span>
+                          </div>
+                        ),
+                      }))}
+                      onSearch={handleCompanySearch}
+                      onSelect={(_, option) => handleCompanySelect(option.company)}
+                      className="w-full"
+                    >
+                      <Input placeholder="e.g., Google India" className="rounded-lg h-11 bg-background border-border" />
+                    </AutoComplete>
+                  </Form.Item>
+                  <Form.Item noStyle shouldUpdate={(prev, curr) => prev.companyId !== curr.companyId}>
+                    {({ getFieldValue }) =>
+                      getFieldValue("companyId") ? (
+                        <Tag color="green" className="-mt-4 mb-4 rounded-md">Registered company</Tag>
+                      ) : null
+                    }
+                  </Form.Item>
+                  <Form.Item name="companyId" hidden>
+                    <Input />
                   </Form.Item>
                 </Col>
 
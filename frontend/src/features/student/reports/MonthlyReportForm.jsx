@@ -1,16 +1,145 @@
-import React, { useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React from 'react';
+import { Form, Input, InputNumber, Select, Typography, theme } from 'antd';
 
-// This component redirects to the main reports page
-// The form is now integrated as a modal in StudentReportSubmit
-const MonthlyReportForm = () => {
-  const navigate = useNavigate();
+const { TextArea } = Input;
+const { Text } = Typography;
 
-  useEffect(() => {
-    navigate('/app/reports/submit', { replace: true });
-  }, [navigate]);
+// Keep in sync with MONTHLY_REPORT_CONTENT_LIMITS in the backend monthly-report-content.util
+const LIMITS = {
+  maxItems: 30,
+  maxItemLength: 500,
+  maxTextLength: 5000,
+  maxHours: 400,
+};
+
+const splitLines = (value) =>
+  (value || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+/**
+ * Convert form values into the content payload accepted by the monthly report API.
+ * Returns null when nothing was filled in.
+ */
+export const toReportContent = (values = {}) => {
+  const content = {
+    tasksCompleted: splitLines(values.tasksCompleted),
+    hoursWorked: values.hoursWorked ?? null,
+    skillsLearned: (values.skillsLearned || []).map((skill) => skill.trim()).filter(Boolean),
+    challenges: values.challenges?.trim() || '',
+    nextMonthPlan: values.nextMonthPlan?.trim() || '',
+  };
+
+  const isEmpty =
+    content.tasksCompleted.length === 0 &&
+    content.skillsLearned.length === 0 &&
+    content.hoursWorked === null &&
+    !content.challenges &&
+    !content.nextMonthPlan;
+
+  return isEmpty ? null : content;
+};
+
+/**
+ * Convert stored report content back into form values for editing
+ */
+export const toFormValues = (content) => ({
+  tasksCompleted: (content?.tasksCompleted || []).join('\n'),
+  hoursWorked: content?.hoursWorked ?? null,
+  skillsLearned: content?.skillsLearned || [],
+  challenges: content?.challenges || '',
+  nextMonthPlan: content?.nextMonthPlan || '',
+});
+
+const linesValidator = (_, value) => {
+  const lines = splitLines(value);
+  if (lines.length > LIMITS.maxItems) {
+    return Promise.reject(new Error(`List at most ${LIMITS.maxItems} tasks`));
+  }
+  if (lines.some((line) => line.length > LIMITS.maxItemLength)) {
+    return Promise.reject(new Error(`Keep each task under ${LIMITS.maxItemLength} characters`));
+  }
+  return Promise.resolve();
+};
+
+/**
+ * Structured monthly report form: tasks done, hours, skills learned, challenges and
+ * next-month plan. Used inside the report modal on StudentReportSubmit, either on its
+ * own or alongside an uploaded PDF.
+ */
+const MonthlyReportForm = ({ form, initialContent, disabled = false }) => {
+  const { token } = theme.useToken();
+
+  return (
+    <Form
+      form={form}
+      layout="vertical"
+      initialValues={toFormValues(initialContent)}
+      disabled={disabled}
+      requiredMark={false}
+      className="[&_.ant-form-item]:!mb-3"
+    >
+      <Form.Item
+        name="tasksCompleted"
+        label={<Text className="text-xs font-semibold" style={{ color: token.colorTextSecondary }}>Tasks Completed</Text>}
+        extra="One task per line"
+        rules={[{ validator: linesValidator }]}
+      >
+        <TextArea
+          rows={4}
+          placeholder={'Built the login page\nWrote API tests for the orders module'}
+          className="rounded-lg"
+        />
+      </Form.Item>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Form.Item
+          name="hoursWorked"
+          label={<Text className="text-xs font-semibold" style={{ color: token.colorTextSecondary }}>Hours Worked</Text>}
+        >
+          <InputNumber min={0} max={LIMITS.maxHours} step={1} placeholder="e.g. 160" className="!w-full rounded-lg" />
+        </Form.Item>
+
+        <Form.Item
+          name="skillsLearned"
+          className="sm:col-span-2"
+          label={<Text className="text-xs font-semibold" style={{ color: token.colorTextSecondary }}>Skills Learned</Text>}
+          rules={[
+            {
+              validator: (_, value) =>
+                (value || []).length > LIMITS.maxItems
+                  ? Promise.reject(new Error(`Add at most ${LIMITS.maxItems} skills`))
+                  : Promise.resolve(),
+            },
+          ]}
+        >
+          <Select
+            mode="tags"
+            tokenSeparators={[',']}
+            placeholder="Type a skill and press Enter"
+            open={false}
+            suffixIcon={null}
+            className="rounded-lg"
+          />
+        </Form.Item>
+      </div>
+
+      <Form.Item
+        name="challenges"
+        label={<Text className="text-xs font-semibold" style={{ color: token.colorTextSecondary }}>Challenges Faced</Text>}
+      >
+        <TextArea rows={3} maxLength={LIMITS.maxTextLength} showCount className="rounded-lg" />
+      </Form.Item>
 
-  return null;
+      <Form.Item
+        name="nextMonthPlan"
+        label={<Text className="text-xs font-semibold" style={{ color: token.colorTextSecondary }}>Plan for Next Month</Text>}
+      >
+        <TextArea rows={3} maxLength={LIMITS.maxTextLength} showCount className="rounded-lg" />
+      </Form.Item>
+    </Form>
+  );
 };
 
 export default MonthlyReportForm;
@@ -2,14 +2,14 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Card, Table, Button, Modal, Upload, Switch, Select, Alert,
-  Tag, Typography, Empty, Spin, Tooltip, Popconfirm, theme
+  Tag, Typography, Empty, Spin, Tooltip, Popconfirm, Form, theme
 } from 'antd';
 import { toast } from 'react-hot-toast';
 import {
   PlusOutlined, UploadOutlined, EyeOutlined,
   DeleteOutlined, FileTextOutlined, CalendarOutlined, ReloadOutlined,
   CheckCircleOutlined, ClockCircleOutlined, ExclamationCircleOutlined,
-  InboxOutlined
+  InboxOutlined, FormOutlined
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 import {
@@ -28,6 +28,12 @@ import {
 } from '../store/studentSelectors';
 import { openFileWithPresignedUrl } from '../../../utils/imageUtils';
 import API from '../../../services/api';
+import MonthlyReportForm, { toReportContent } from './MonthlyReportForm';
+import MonthlyReportContentView from '../../../components/common/MonthlyReportContentView';
+import ReportAnnotationModal from '../../../components/common/ReportAnnotationModal';
+import studentService from '../../../services/student.service';
+
+const loadAnnotations = (reportId, version) => studentService.getMonthlyReportAnnotations(reportId, version);
 
 const { Text } = Typography;
 
@@ -55,6 +61,10 @@ const StudentReportSubmit = () => {
   const [editingReport, setEditingReport] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [fileList, setFileList] = useState([]);
+  const [structuredMode, setStructuredMode] = useState(false);
+  const [contentReport, setContentReport] = useState(null);
+  const [annotatedReport, setAnnotatedReport] = useState(null);
+  const [contentForm] = Form.useForm();
 
   // Auto month detection states
   const [autoMonthSelection, setAutoMonthSelection] = useState(true);
@@ -182,6 +192,7 @@ const StudentReportSubmit = () => {
     }
     setEditingReport(null);
     setFileList([]);
+    setStructuredMode(false);
     setAutoMonthSelection(true);
     setSelectedMonth(dayjs().month() + 1);
     setSelectedYear(dayjs().year());
@@ -193,23 +204,33 @@ const StudentReportSubmit = () => {
     setModalVisible(false);
     setEditingReport(null);
     setFileList([]);
+    setStructuredMode(false);
     setAutoMonthSelection(true);
   }, []);
 
-  // Submit file
+  // Submit file and/or structured form
   const handleSubmit = useCallback(async () => {
     if (!selectedApplication?.id) {
       toast.error('No active internship selected');
       return;
     }
 
-    if (fileList.length === 0) {
-      toast.error('Please select a file to upload');
+    let content = null;
+    if (structuredMode) {
+      try {
+        content = toReportContent(await contentForm.validateFields());
+      } catch {
+        return;
+      }
+    }
+
+    if (fileList.length === 0 && !content) {
+      toast.error(structuredMode ? 'Fill in the report form or select a file' : 'Please select a file to upload');
       return;
     }
 
-    const file = fileList[0]?.originFileObj || fileList[0];
-    if (!file) {
+    const file = fileList.length > 0 ? fileList[0]?.originFileObj || fileList[0] : null;
+    if (fileList.length > 0 && !file) {
       toast.error('Invalid file');
       return;
     }
@@ -224,38 +245,45 @@ const StudentReportSubmit = () => {
 
     setSubmitting(true);
     try {
-      // Step 1: Upload file
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('applicationId', selectedApplication.id);
-      formData.append('reportMonth', monthValue.toString());
-      formData.append('reportYear', yearValue.toString());
-
+      // Step 1: Upload file (optional when the form is filled in)
       let fileUrl = null;
-      try {
-        const uploadResponse = await API.post('/student/monthly-reports/upload', formData, {
-          headers: { 'Content-Type': 'multipart/form-data' },
-        });
-        fileUrl = uploadResponse.data?.reportFileUrl || uploadResponse.data?.url;
-      } catch (uploadErr) {
-        // Fallback to shared documents upload
-        const genericFormData = new FormData();
-        genericFormData.append('file', file);
-        const genericUpload = await API.post('/shared/documents/upload', genericFormData, {
-          headers: { 'Content-Type': 'multipart/form-data' },
-        });
-        fileUrl = genericUpload.data?.url || genericUpload.data?.path;
+      if (file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('applicationId', selectedApplication.id);
+        formData.append('reportMonth', monthValue.toString());
+        formData.append('reportYear', yearValue.toString());
+
+        try {
+          const uploadResponse = await API.post('/student/monthly-reports/upload', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+          });
+          fileUrl = uploadResponse.data?.reportFileUrl || uploadResponse.data?.url;
+        } catch (uploadErr) {
+          // Fallback to shared documents upload
+          const genericFormData = new FormData();
+          genericFormData.append('file', file);
+          const genericUpload = await API.post('/shared/documents/upload', genericFormData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+          });
+          fileUrl = genericUpload.data?.url || genericUpload.data?.path;
+        }
       }
 
       // Step 2: Submit report using Redux action
-      await dispatch(createReport({
+      const result = await dispatch(createReport({
         applicationId: selectedApplication.id,
         reportMonth: monthValue,
         reportYear: yearValue,
-        reportFileUrl: fileUrl,
+        ...(fileUrl && { reportFileUrl: fileUrl }),
+        ...(content && { content }),
       })).unwrap();
 
-      toast.success('Report uploaded successfully!');
+      if (result?.currentVersion > 1) {
+        toast.success(result.message || 'Report resubmitted for mentor review');
+      } else {
+        toast.success(file ? 'Report uploaded successfully!' : 'Report submitted successfully!');
+      }
       handleCloseModal();
       fetchReports();
       // Refresh dashboard, applications, and reports to update counts and pending tags
@@ -268,7 +296,7 @@ const StudentReportSubmit = () => {
     } finally {
       setSubmitting(false);
     }
-  }, [dispatch, selectedApplication?.id, fileList, autoMonthSelection, selectedMonth, selectedYear, handleCloseModal, fetchReports]);
+  }, [dispatch, selectedApplication?.id, fileList, structuredMode, contentForm, autoMonthSelection, selectedMonth, selectedYear, handleCloseModal, fetchReports]);
 
   // Delete report using Redux
   const handleDelete = useCallback(async (id) => {
@@ -286,15 +314,20 @@ const StudentReportSubmit = () => {
     }
   }, [dispatch, fetchReports]);
 
-  // View report
-  const handleView = useCallback((url) => {
-    if (url) openFileWithPresignedUrl(url);
+  // View report: submitted reports open in the viewer alongside any mentor comments
+  const handleView = useCallback((report) => {
+    if (report.currentVersion > 0) {
+      setAnnotatedReport(report);
+    } else if (report.reportFileUrl) {
+      openFileWithPresignedUrl(report.reportFileUrl);
+    }
   }, []);
 
   // Replace report
   const handleReplace = useCallback((report) => {
     setEditingReport(report);
     setFileList([]);
+    setStructuredMode(!!report.content);
     setAutoMonthSelection(false);
     setSelectedMonth(report.reportMonth);
     setSelectedYear(report.reportYear);
@@ -309,6 +342,7 @@ const StudentReportSubmit = () => {
       PENDING: { color: 'warning', icon: <ExclamationCircleOutlined />, text: 'Pending' },
       DRAFT: { color: 'default', icon: <FileTextOutlined />, text: 'Draft' },
       REJECTED: { color: 'error', icon: <ExclamationCircleOutlined />, text: 'Rejected' },
+      REVISION_REQUIRED: { color: 'warning', icon: <ExclamationCircleOutlined />, text: 'Revise' },
     };
     const { color, icon, text } = config[status] || config.DRAFT;
     return <Tag color={color} icon={icon} className="rounded-full text-xs">{text}</Tag>;
@@ -343,15 +377,18 @@ const StudentReportSubmit = () => {
       ellipsis: true,
       render: (_, record) => (
         <div className="flex items-center gap-2">
-          {record.reportFileUrl && (
+          {(record.reportFileUrl || record.content) && (
             <div
               className="w-1.5 h-1.5 rounded-full"
               style={{ backgroundColor: token.colorSuccess }}
             />
           )}
-          <Text className="text-sm" style={{ color: record.reportFileUrl ? token.colorText : token.colorTextTertiary }}>
-            {record.reportFileUrl ? 'Report uploaded' : 'No file'}
+          <Text className="text-sm" style={{ color: record.reportFileUrl || record.content ? token.colorText : token.colorTextTertiary }}>
+            {record.reportFileUrl ? 'Report uploaded' : record.content ? 'Report form' : 'No file'}
           </Text>
+          {record.reportFileUrl && record.content && (
+            <Tag className="rounded-full text-xs m-0">+ form</Tag>
+          )}
         </div>
       ),
     },
@@ -360,7 +397,12 @@ const StudentReportSubmit = () => {
       dataIndex: 'status',
       key: 'status',
       width: 130,
-      render: (status) => getStatusTag(status),
+      render: (status, record) =>
+        status === 'REVISION_REQUIRED' && record.reviewComments ? (
+          <Tooltip title={record.reviewComments}>{getStatusTag(status)}</Tooltip>
+        ) : (
+          getStatusTag(status)
+        ),
     },
     {
       title: 'Actions',
@@ -375,14 +417,25 @@ const StudentReportSubmit = () => {
                 type="text"
                 size="small"
                 icon={<EyeOutlined />}
-                onClick={() => handleView(record.reportFileUrl)}
+                onClick={() => handleView(record)}
+                className="hover:bg-transparent"
+              />
+            </Tooltip>
+          )}
+          {record.content && (
+            <Tooltip title="View form">
+              <Button
+                type="text"
+                size="small"
+                icon={<FormOutlined />}
+                onClick={() => setContentReport(record)}
                 className="hover:bg-transparent"
               />
             </Tooltip>
           )}
           {record.status !== 'APPROVED' && (
             <>
-              <Tooltip title="Replace">
+              <Tooltip title={record.status === 'REVISION_REQUIRED' ? 'Resubmit' : 'Replace'}>
                 <Button
                   type="text"
                   size="small"
@@ -599,7 +652,7 @@ const StudentReportSubmit = () => {
         title={
           <div className="flex items-center gap-2">
             <FileTextOutlined style={{ color: token.colorPrimary }} />
-            <span>{editingReport ? 'Replace Report' : 'Upload Monthly Report'}</span>
+            <span>{editingReport ? 'Replace Report' : 'Submit Monthly Report'}</span>
           </div>
         }
         open={modalVisible}
@@ -613,14 +666,14 @@ const StudentReportSubmit = () => {
             type="primary"
             loading={submitting}
             onClick={handleSubmit}
-            disabled={fileList.length === 0 || (!autoMonthSelection && (!selectedMonth || !selectedYear))}
+            disabled={(fileList.length === 0 && !structuredMode) || (!autoMonthSelection && (!selectedMonth || !selectedYear))}
             icon={<UploadOutlined />}
             className="rounded-lg"
           >
-            {editingReport ? 'Replace' : 'Upload'}
+            {editingReport ? 'Replace' : fileList.length > 0 ? 'Upload' : 'Submit'}
           </Button>
         ]}
-        width={520}
+        width={structuredMode ? 640 : 520}
         destroyOnClose
         className="rounded-2xl"
       >
@@ -638,10 +691,45 @@ const StudentReportSubmit = () => {
             </div>
           )}
 
+          {/* Mentor feedback on a report sent back for revision */}
+          {editingReport?.status === 'REVISION_REQUIRED' && editingReport.reviewComments && (
+            <Alert
+              type="warning"
+              showIcon
+              message="Your mentor asked for changes"
+              description={<span className="whitespace-pre-line">{editingReport.reviewComments}</span>}
+              className="rounded-lg"
+            />
+          )}
+
+          {/* Structured Form Toggle */}
+          <div
+            className="rounded-lg p-3 flex items-center justify-between"
+            style={{ backgroundColor: token.colorBgLayout, border: `1px solid ${token.colorBorderSecondary}` }}
+          >
+            <div>
+              <Text className="text-sm font-medium block mb-0.5" style={{ color: token.colorText }}>
+                Fill in report form
+              </Text>
+              <Text className="text-xs" style={{ color: token.colorTextTertiary }}>
+                Describe your tasks, hours and skills here; the PDF becomes optional
+              </Text>
+            </div>
+            <Switch checked={structuredMode} onChange={setStructuredMode} />
+          </div>
+
+          {structuredMode && (
+            <MonthlyReportForm
+              key={editingReport?.id || 'new'}
+              form={contentForm}
+              initialContent={editingReport?.content}
+            />
+          )}
+
           {/* File Upload */}
           <div>
             <Text className="text-xs font-semibold block mb-2" style={{ color: token.colorTextSecondary }}>
-              Select Report File (PDF)
+              {structuredMode ? 'Attach Report File (PDF, optional)' : 'Select Report File (PDF)'}
             </Text>
             <Upload.Dragger
               accept=".pdf"
@@ -744,6 +832,36 @@ const StudentReportSubmit = () => {
           )}
         </div>
       </Modal>
+
+      {/* Structured Report View */}
+      <Modal
+        title={
+          <div className="flex items-center gap-2">
+            <FormOutlined style={{ color: token.colorPrimary }} />
+            <span>
+              {contentReport && `${MONTH_NAMES[contentReport.reportMonth - 1]} ${contentReport.reportYear} Report`}
+            </span>
+          </div>
+        }
+        open={!!contentReport}
+        onCancel={() => setContentReport(null)}
+        footer={null}
+        width={560}
+        className="rounded-2xl"
+      >
+        <div className="pt-2">
+          <MonthlyReportContentView content={contentReport?.content} />
+        </div>
+      </Modal>
+
+      {/* Report file with mentor annotations */}
+      <ReportAnnotationModal
+        open={!!annotatedReport}
+        report={annotatedReport && { ...annotatedReport, monthName: MONTH_NAMES[annotatedReport.reportMonth - 1] }}
+        onClose={() => setAnnotatedReport(null)}
+        loadAnnotations={loadAnnotations}
+        title="Report & Mentor Comments"
+      />
     </div>
   );
 };
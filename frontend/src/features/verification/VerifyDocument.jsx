@@ -0,0 +1,137 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Input, Button, Card, Typography, Result, Descriptions, Tag } from 'antd';
+import { SafetyCertificateOutlined, SearchOutlined } from '@ant-design/icons';
+import { useNavigate, useParams } from 'react-router-dom';
+import dayjs from 'dayjs';
+import verificationService from '../../services/verification.service';
+
+const { Title, Text } = Typography;
+
+const DOCUMENT_LABELS = {
+  INTERNSHIP_CERTIFICATE: 'Internship Completion Certificate',
+  JOINING_LETTER: 'Approved Joining Letter',
+};
+
+const formatDate = (value) => (value ? dayjs(value).format('DD MMM YYYY') : '-');
+
+/**
+ * Public page for employers and universities to confirm a certificate or joining letter.
+ * Reached by scanning the QR code on the document or typing the printed code.
+ */
+const VerifyDocument = () => {
+  const { code: codeParam } = useParams();
+  const navigate = useNavigate();
+  const [code, setCode] = useState(codeParam || '');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const lookup = useCallback(async (value) => {
+    if (!value?.trim()) return;
+    setLoading(true);
+    setError(null);
+    setResult(null);
+    try {
+      setResult(await verificationService.verifyCode(value.trim()));
+    } catch (err) {
+      setError(
+        err?.response?.status === 429
+          ? 'Too many lookups. Please wait a minute and try again.'
+          : err?.response?.data?.message || 'Verification is unavailable right now'
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (codeParam) {
+      setCode(codeParam);
+      lookup(codeParam);
+    }
+  }, [codeParam, lookup]);
+
+  const handleSubmit = () => {
+    const value = code.trim();
+    if (!value) return;
+    if (value === codeParam) {
+      lookup(value);
+    } else {
+      navigate(`/verify/${encodeURIComponent(value)}`);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen p-4">
+      <Card
+        variant="borderless"
+        className="w-full max-w-lg rounded-2xl shadow-xl shadow-slate-200/50 dark:shadow-black/20 bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800"
+        styles={{ body: { padding: '24px' } }}
+      >
+        <div className="text-center mb-5">
+          <div className="w-12 h-12 rounded-xl bg-blue-50 dark:bg-blue-900/30 text-blue-600 flex items-center justify-center mx-auto mb-3">
+            <SafetyCertificateOutlined className="text-xl" />
+          </div>
+          <Title level={4} className="!mb-1 !text-slate-800 dark:!text-white">Verify a Document</Title>
+          <Text className="text-slate-500 dark:text-slate-400 text-sm">
+            Enter the verification code printed on the certificate or joining letter
+          </Text>
+        </div>
+
+        <div className="flex gap-2">
+          <Input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onPressEnter={handleSubmit}
+            placeholder="e.g. C-7KQ2-M9XA-H3TP6W"
+            className="rounded-lg font-mono uppercase"
+            maxLength={40}
+            allowClear
+          />
+          <Button type="primary" icon={<SearchOutlined />} loading={loading} onClick={handleSubmit} className="rounded-lg">
+            Verify
+          </Button>
+        </div>
+
+        {error && (
+          <Result status="warning" title="Could not verify" subTitle={error} className="!pb-0" />
+        )}
+
+        {result && !result.documentType && (
+          <Result status="error" title="Not verified" subTitle={result.message} className="!pb-0" />
+        )}
+
+        {result?.documentType && (
+          <div className="mt-5">
+            <Result
+              status={result.valid ? 'success' : 'error'}
+              title={result.valid ? 'Genuine document' : 'Document revoked'}
+              subTitle={result.message || DOCUMENT_LABELS[result.documentType]}
+              className="!p-0 !mb-4"
+            />
+            <Descriptions column={1} size="small" bordered>
+              <Descriptions.Item label="Document">{DOCUMENT_LABELS[result.documentType]}</Descriptions.Item>
+              <Descriptions.Item label="Status">
+                <Tag color={result.valid ? 'green' : 'red'}>{result.status}</Tag>
+              </Descriptions.Item>
+              <Descriptions.Item label="Student">{result.studentName || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Institution">{result.institutionName || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Company">{result.companyName || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Internship Period">
+                {formatDate(result.startDate)} – {formatDate(result.endDate)}
+              </Descriptions.Item>
+              {result.certificateNumber && (
+                <Descriptions.Item label="Certificate No.">{result.certificateNumber}</Descriptions.Item>
+              )}
+              <Descriptions.Item label={result.documentType === 'JOINING_LETTER' ? 'Approved On' : 'Issued On'}>
+                {formatDate(result.issuedAt)}
+              </Descriptions.Item>
+            </Descriptions>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyDocument;
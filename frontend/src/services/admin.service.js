@@ -80,15 +80,33 @@ export const adminService = {
   },
 
   async restoreBackup(id, options = {}) {
-    const { confirmRestore = true, confirmationText = 'RESTORE', dropExisting = true } = options;
+    const {
+      confirmRestore = true,
+      confirmationText = 'RESTORE',
+      dropExisting = true,
+      tables,
+      skipSafetySnapshot = false,
+    } = options;
     const response = await API.post(`/system-admin/backup/restore/${id}`, {
       confirmRestore,
       confirmationText,
       dropExisting,
+      tables,
+      skipSafetySnapshot,
     });
     return response.data;
   },
 
+  async verifyBackup(id) {
+    const response = await API.post(`/system-admin/backup/${id}/verify`);
+    return response.data;
+  },
+
+  async listBackupTables() {
+    const response = await API.get('/system-admin/backup/tables');
+    return response.data;
+  },
+
   async uploadBackup(file, onProgress) {
     const formData = new FormData();
     formData.append('file', file);
@@ -58,6 +58,28 @@ export const auditService = {
     return response.data;
   },
 
+  /**
+   * Verify the tamper-evident hash chain over a date range (last 30 days by default)
+   * @param {Object} params - Query parameters
+   * @param {string} params.startDate - Range start (ISO string)
+   * @param {string} params.endDate - Range end (ISO string)
+   * @returns {Promise<{valid: boolean, checked: number, issueCount: number, issues: Array, archivedSegments: number, keyed: boolean}>}
+   */
+  async verifyChain(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const queryString = queryParams.toString();
+    const url = queryString ? `/audit/verify?${queryString}` : '/audit/verify';
+    const response = await API.get(url);
+    return response.data;
+  },
+
   /**
    * Get entity audit trail
    * @param {string} entityType - Entity type
@@ -0,0 +1,176 @@
+import API from './api';
+
+/**
+ * Absolute subscription URL for a feed path returned by the API
+ * (the API base may be relative when the frontend is served behind the same host)
+ */
+const toFeedUrl = (feedPath) => {
+  const base = new URL(API.defaults.baseURL, window.location.origin).toString().replace(/\/$/, '');
+  return `${base}/${feedPath}`;
+};
+
+const downloadICalendar = (data, filename) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type: 'text/calendar' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+export const calendarService = {
+  /**
+   * Academic events and report/visit deadlines for a range
+   * @param {string} from - ISO start of the range
+   * @param {string} to - ISO end of the range
+   * @param {string} [institutionId] - State only: include this institution's events
+   * @returns {Promise} - { events, deadlines, policy }
+   */
+  async getAcademicCalendar(from, to, institutionId) {
+    const response = await API.get('/calendar/academic', {
+      params: { from, to, ...(institutionId && { institutionId }) },
+    });
+    return response.data;
+  },
+
+  async getUpcomingEvents(limit = 5) {
+    const response = await API.get('/calendar/events/upcoming', { params: { limit } });
+    return response.data;
+  },
+
+  /**
+   * @param {Object} data - { title, description?, type, startDate: 'YYYY-MM-DD', endDate?, institutionId? }
+   */
+  async createEvent(data) {
+    const response = await API.post('/calendar/events', data);
+    return response.data;
+  },
+
+  async updateEvent(id, data) {
+    const response = await API.patch(`/calendar/events/${id}`, data);
+    return response.data;
+  },
+
+  async deleteEvent(id) {
+    const response = await API.delete(`/calendar/events/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Download the academic calendar for a range as an .ics file
+   */
+  async exportAcademicCalendar(from, to, institutionId) {
+    const response = await API.get('/calendar/academic/export', {
+      params: { from, to, ...(institutionId && { institutionId }) },
+      responseType: 'blob',
+    });
+    downloadICalendar(response.data, 'academic-calendar.ics');
+  },
+
+  /**
+   * Mentee visit windows, planned visits and same-day conflicts
+   * @param {string} from - ISO start of the range
+   * @param {string} to - ISO end of the range
+   */
+  async getVisitCalendar(from, to) {
+    const response = await API.get('/calendar/visits', { params: { from, to } });
+    return response.data;
+  },
+
+  /**
+   * Schedule a visit on a day
+   * @param {Object} data - { applicationId, day: 'YYYY-MM-DD', visitType?, visitLocation? }
+   * @returns {Promise} - { visit, conflicts }
+   */
+  async scheduleVisit(data) {
+    const response = await API.post('/calendar/visits', data);
+    return response.data;
+  },
+
+  /**
+   * Move a scheduled visit to another day
+   * @returns {Promise} - { visit, conflicts }
+   */
+  async rescheduleVisit(id, day, visitType) {
+    const response = await API.patch(`/calendar/visits/${id}/reschedule`, { day, ...(visitType && { visitType }) });
+    return response.data;
+  },
+
+  async cancelVisit(id) {
+    const response = await API.post(`/calendar/visits/${id}/cancel`);
+    return response.data;
+  },
+
+  /**
+   * Proposed multi-student trips for a month's pending physical visits
+   * @param {number} year
+   * @param {number} month - 1-12
+   */
+  async getVisitTripPlan(year, month) {
+    const response = await API.get('/calendar/visits/trips', { params: { year, month } });
+    return response.data;
+  },
+
+  /**
+   * Schedule all visits of a trip on one day
+   * @returns {Promise} - { visits, conflicts }
+   */
+  async scheduleVisitTrip(day, applicationIds) {
+    const response = await API.post('/calendar/visits/trips', { day, applicationIds });
+    return response.data;
+  },
+
+  /**
+   * Download the visit schedule for a range as an .ics file
+   */
+  async exportVisitCalendar(from, to) {
+    const response = await API.get('/calendar/visits/export', {
+      params: { from, to },
+      responseType: 'blob',
+    });
+    downloadICalendar(response.data, 'visit-schedule.ics');
+  },
+
+  async getFeedStatus() {
+    const response = await API.get('/calendar/feed-token');
+    return response.data;
+  },
+
+  /**
+   * Issue a new subscription URL; the previous one stops working
+   * @returns {Promise<string>} - Absolute feed URL (only shown once)
+   */
+  async rotateFeedToken() {
+    const response = await API.post('/calendar/feed-token');
+    return toFeedUrl(response.data.feedPath);
+  },
+
+  async revokeFeedToken() {
+    const response = await API.delete('/calendar/feed-token');
+    return response.data;
+  },
+};
+
+export const VISIT_WINDOW_STATES = {
+  COMPLETED: { label: 'Completed', color: 'green' },
+  SCHEDULED: { label: 'Scheduled', color: 'blue' },
+  UNPLANNED: { label: 'Not planned', color: 'orange' },
+  OVERDUE: { label: 'Overdue', color: 'red' },
+};
+
+export const ACADEMIC_EVENT_TYPES = {
+  INTERNSHIP_WINDOW: { label: 'Internship Window', color: 'blue' },
+  REPORT_BLACKOUT: { label: 'Report Blackout', color: 'volcano' },
+  HOLIDAY: { label: 'Holiday', color: 'green' },
+  EXAMINATION: { label: 'Examination', color: 'purple' },
+  OTHER: { label: 'Event', color: 'default' },
+};
+
+export const ACADEMIC_DEADLINE_TYPES = {
+  REPORT_DUE: { label: 'Monthly report due', color: 'orange' },
+  VISIT_DUE: { label: 'Faculty visit due', color: 'red' },
+};
+
+export default calendarService;
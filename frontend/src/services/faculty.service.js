@@ -125,6 +125,7 @@ export const facultyService = {
     if (params.page) queryParams.append('page', params.page);
     if (params.limit) queryParams.append('limit', params.limit);
     if (params.status) queryParams.append('status', params.status);
+    if (params.search) queryParams.append('search', params.search);
 
     const queryString = queryParams.toString();
     const url = queryString ? `/faculty/monthly-reports?${queryString}` : '/faculty/monthly-reports';
@@ -239,6 +240,35 @@ export const facultyService = {
     return response.data;
   },
 
+  async requestMonthlyReportRevision(reportId, comments) {
+    const response = await API.put(`/faculty/monthly-reports/${reportId}/request-revision`, { comments });
+    return response.data;
+  },
+
+  // Every submitted version of a monthly report, oldest first
+  async getMonthlyReportVersions(reportId) {
+    const response = await API.get(`/faculty/monthly-reports/${reportId}/versions`);
+    return response.data;
+  },
+
+  // Page and region annotations on a report file (latest version unless given)
+  async getMonthlyReportAnnotations(reportId, version) {
+    const response = await API.get(`/faculty/monthly-reports/${reportId}/annotations`, {
+      params: version ? { version } : undefined,
+    });
+    return response.data;
+  },
+
+  async addMonthlyReportAnnotation(reportId, annotation) {
+    const response = await API.post(`/faculty/monthly-reports/${reportId}/annotations`, annotation);
+    return response.data;
+  },
+
+  async deleteMonthlyReportAnnotation(reportId, annotationId) {
+    const response = await API.delete(`/faculty/monthly-reports/${reportId}/annotations/${annotationId}`);
+    return response.data;
+  },
+
   async deleteMonthlyReport(reportId) {
     const response = await API.delete(`/faculty/monthly-reports/${reportId}`);
     return response.data;
@@ -266,9 +296,11 @@ export const facultyService = {
     return response.data;
   },
 
-  // Get presigned URL to view monthly report
-  async viewMonthlyReport(reportId) {
-    const response = await API.get(`/faculty/monthly-reports/${reportId}/view`);
+  // Get presigned URL to view monthly report (latest file unless a version is given)
+  async viewMonthlyReport(reportId, version) {
+    const response = await API.get(`/faculty/monthly-reports/${reportId}/view`, {
+      params: version ? { version } : undefined,
+    });
     return response.data;
   },
 };
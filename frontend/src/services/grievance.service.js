@@ -182,6 +182,65 @@ export const grievanceService = {
     const response = await API.patch(`/grievances/${id}/reject`, { reason });
     return response.data;
   },
+
+  /**
+   * Rate the resolution of own grievance (students)
+   * @param {string} id - Grievance ID
+   * @param {number} rating - 1 to 5
+   * @param {string} comment - Optional comment
+   * @returns {Promise} - Updated grievance
+   */
+  async submitFeedback(id, rating, comment = null) {
+    const data = { rating };
+    if (comment) data.comment = comment;
+    const response = await API.post(`/grievances/${id}/feedback`, data);
+    return response.data;
+  },
+
+  /**
+   * Reopen own resolved grievance within the reopen window (students)
+   * @param {string} id - Grievance ID
+   * @param {string} reason - Why the issue is not resolved
+   * @param {number} rating - Optional rating of the resolution
+   * @returns {Promise} - Updated grievance
+   */
+  async reopen(id, reason, rating = null) {
+    const data = { reason };
+    if (rating) data.rating = rating;
+    const response = await API.post(`/grievances/${id}/reopen`, data);
+    return response.data;
+  },
+
+  /**
+   * Get the confidential grievance committee of an institution
+   * @param {string} institutionId - Institution ID (required for state users)
+   * @returns {Promise} - Committee members, chair first
+   */
+  async getCommittee(institutionId = null) {
+    const params = institutionId ? `?institutionId=${institutionId}` : '';
+    const response = await API.get(`/grievances/committee${params}`);
+    return response.data;
+  },
+
+  /**
+   * Add a member to the confidential grievance committee
+   * @param {Object} data - { userId, institutionId?, isChair? }
+   * @returns {Promise} - Added member
+   */
+  async addCommitteeMember(data) {
+    const response = await API.post('/grievances/committee', data);
+    return response.data;
+  },
+
+  /**
+   * Remove a member from the confidential grievance committee
+   * @param {string} memberId - Committee member ID
+   * @returns {Promise} - Result
+   */
+  async removeCommitteeMember(memberId) {
+    const response = await API.delete(`/grievances/committee/${memberId}`);
+    return response.data;
+  },
 };
 
 export default grievanceService;
@@ -132,24 +132,89 @@ export const helpSupportService = {
     return response.data;
   },
 
+  /**
+   * Get open tickets that breached or are close to an SLA (admin only)
+   * @returns {Promise} - List of tickets with slaState
+   */
+  async getSlaBreaches() {
+    const response = await API.get('/support/tickets/sla-breaches');
+    return response.data;
+  },
+
+  // ==================== CANNED RESPONSES ====================
+
+  /**
+   * Get canned responses (admin only)
+   * @param {Object} filters - { category, includeInactive }
+   * @returns {Promise} - List of canned responses
+   */
+  async getCannedResponses(filters = {}) {
+    const response = await API.get('/support/canned-responses', { params: filters });
+    return response.data;
+  },
+
+  /**
+   * Create canned response (admin only)
+   * @param {Object} data - { title, body, category }
+   * @returns {Promise} - Created canned response
+   */
+  async createCannedResponse(data) {
+    const response = await API.post('/support/canned-responses', data);
+    return response.data;
+  },
+
+  /**
+   * Update canned response (admin only)
+   * @param {string} id - Canned response ID
+   * @param {Object} data - Updated data
+   * @returns {Promise} - Updated canned response
+   */
+  async updateCannedResponse(id, data) {
+    const response = await API.put(`/support/canned-responses/${id}`, data);
+    return response.data;
+  },
+
+  /**
+   * Delete canned response (admin only)
+   * @param {string} id - Canned response ID
+   * @returns {Promise} - Delete result
+   */
+  async deleteCannedResponse(id) {
+    const response = await API.delete(`/support/canned-responses/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Fill a canned response's placeholders for a ticket (admin only)
+   * @param {string} id - Canned response ID
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise} - { id, title, message }
+   */
+  async renderCannedResponse(id, ticketId) {
+    const response = await API.post(`/support/canned-responses/${id}/render`, { ticketId });
+    return response.data;
+  },
+
   // ==================== FAQ / KNOWLEDGE BASE ====================
 
   /**
    * Get all published FAQ articles
+   * @param {string} [lang] - Content language (EN, HI, PA); defaults to the user's preference
    * @returns {Promise} - List of published FAQs
    */
-  async getPublishedFAQs() {
-    const response = await API.get('/support/faq');
+  async getPublishedFAQs(lang) {
+    const response = await API.get('/support/faq', { params: { lang } });
     return response.data;
   },
 
   /**
    * Search FAQ articles
    * @param {string} query - Search query
+   * @param {string} [lang] - Content language (EN, HI, PA)
    * @returns {Promise} - Search results
    */
-  async searchFAQs(query) {
-    const response = await API.get(`/support/faq/search?q=${encodeURIComponent(query)}`);
+  async searchFAQs(query, lang) {
+    const response = await API.get('/support/faq/search', { params: { q: query, lang } });
     return response.data;
   },
 
@@ -165,30 +230,33 @@ export const helpSupportService = {
   /**
    * Get popular FAQ articles
    * @param {number} limit - Number of articles to return
+   * @param {string} [lang] - Content language (EN, HI, PA)
    * @returns {Promise} - List of popular FAQs
    */
-  async getPopularFAQs(limit = 10) {
-    const response = await API.get(`/support/faq/popular?limit=${limit}`);
+  async getPopularFAQs(limit = 10, lang) {
+    const response = await API.get('/support/faq/popular', { params: { limit, lang } });
     return response.data;
   },
 
   /**
    * Get FAQs by category
    * @param {string} category - Category name
+   * @param {string} [lang] - Content language (EN, HI, PA)
    * @returns {Promise} - List of FAQs in category
    */
-  async getFAQsByCategory(category) {
-    const response = await API.get(`/support/faq/category/${category}`);
+  async getFAQsByCategory(category, lang) {
+    const response = await API.get(`/support/faq/category/${category}`, { params: { lang } });
     return response.data;
   },
 
   /**
    * Get FAQ by slug (for public view)
    * @param {string} slug - Article slug
-   * @returns {Promise} - FAQ article
+   * @param {string} [lang] - Content language (EN, HI, PA)
+   * @returns {Promise} - FAQ article with availableLanguages
    */
-  async getFAQBySlug(slug) {
-    const response = await API.get(`/support/faq/slug/${slug}`);
+  async getFAQBySlug(slug, lang) {
+    const response = await API.get(`/support/faq/slug/${slug}`, { params: { lang } });
     return response.data;
   },
 
@@ -202,6 +270,26 @@ export const helpSupportService = {
     return response.data;
   },
 
+  /**
+   * Suggest FAQ articles for a ticket draft
+   * @param {Object} draft - { subject, description, category }
+   * @returns {Promise} - Ranked FAQ suggestions
+   */
+  async suggestFAQs(draft) {
+    const response = await API.post('/support/faq/suggest', draft);
+    return response.data;
+  },
+
+  /**
+   * Record that a suggested FAQ answered the question, so no ticket was needed
+   * @param {Object} data - { faqArticleId, suggestedIds, query, category }
+   * @returns {Promise} - Recorded outcome
+   */
+  async recordFAQDeflection(data) {
+    const response = await API.post('/support/faq/deflections', data);
+    return response.data;
+  },
+
   // ==================== FAQ ADMIN ENDPOINTS ====================
 
   /**
@@ -234,10 +322,11 @@ export const helpSupportService = {
   },
 
   /**
-   * Update FAQ article (admin only)
+   * Update FAQ article (admin only).
+   * Content changes are saved as an English draft rather than going live.
    * @param {string} id - FAQ ID
    * @param {Object} data - Updated data
-   * @returns {Promise} - Updated FAQ
+   * @returns {Promise} - Updated FAQ with the saved draft (if any)
    */
   async updateFAQ(id, data) {
     const response = await API.put(`/support/faq/${id}`, data);
@@ -253,6 +342,100 @@ export const helpSupportService = {
     const response = await API.delete(`/support/faq/${id}`);
     return response.data;
   },
+
+  /**
+   * Get revision history of an FAQ article (admin only)
+   * @param {string} id - FAQ ID
+   * @param {string} [language] - Only revisions in this language
+   * @returns {Promise} - Revisions, newest first
+   */
+  async getFAQRevisions(id, language) {
+    const response = await API.get(`/support/faq/admin/${id}/revisions`, { params: { language } });
+    return response.data;
+  },
+
+  /**
+   * Save the draft of an FAQ article in one language (admin only)
+   * @param {string} id - FAQ ID
+   * @param {Object} data - { language, title, content, summary, searchTerms, changeNote }
+   * @returns {Promise} - Draft revision
+   */
+  async saveFAQDraft(id, data) {
+    const response = await API.put(`/support/faq/admin/${id}/draft`, data);
+    return response.data;
+  },
+
+  /**
+   * Get FAQ revisions awaiting review (admin only)
+   * @returns {Promise} - Revisions in review with their article
+   */
+  async getPendingFAQReviews() {
+    const response = await API.get('/support/faq/admin/reviews');
+    return response.data;
+  },
+
+  /**
+   * Get a single FAQ revision with content (admin only)
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise} - Revision
+   */
+  async getFAQRevision(revisionId) {
+    const response = await API.get(`/support/faq/admin/revisions/${revisionId}`);
+    return response.data;
+  },
+
+  /**
+   * Diff a revision against the live revision or another one (admin only)
+   * @param {string} revisionId - Revision ID
+   * @param {string} [compareTo] - Revision ID to compare against
+   * @returns {Promise} - { title, summary, searchTerms, content hunks, stats }
+   */
+  async getFAQRevisionDiff(revisionId, compareTo) {
+    const response = await API.get(`/support/faq/admin/revisions/${revisionId}/diff`, { params: { compareTo } });
+    return response.data;
+  },
+
+  /**
+   * Submit a draft revision for review (admin only)
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise} - Updated revision
+   */
+  async submitFAQRevision(revisionId) {
+    const response = await API.post(`/support/faq/admin/revisions/${revisionId}/submit`);
+    return response.data;
+  },
+
+  /**
+   * Approve (publish) or reject a revision under review (admin only)
+   * @param {string} revisionId - Revision ID
+   * @param {Object} data - { approve, note }
+   * @returns {Promise} - Updated revision
+   */
+  async reviewFAQRevision(revisionId, data) {
+    const response = await API.post(`/support/faq/admin/revisions/${revisionId}/review`, data);
+    return response.data;
+  },
+
+  /**
+   * Restore an earlier published revision (admin only)
+   * @param {string} revisionId - Revision ID to restore
+   * @param {Object} [data] - { changeNote }
+   * @returns {Promise} - Newly published revision
+   */
+  async rollbackFAQRevision(revisionId, data = {}) {
+    const response = await API.post(`/support/faq/admin/revisions/${revisionId}/rollback`, data);
+    return response.data;
+  },
+
+  /**
+   * Get ticket deflection analytics per FAQ article (admin only)
+   * @param {number} days - Period in days
+   * @returns {Promise} - { summary, articles, contentGaps }
+   */
+  async getFAQDeflectionStats(days = 90) {
+    const response = await API.get('/support/faq/admin/deflection-stats', { params: { days } });
+    return response.data;
+  },
 };
 
 // Constants for use in components
@@ -281,4 +464,25 @@ export const TICKET_PRIORITY = {
   URGENT: { value: 'URGENT', label: 'Urgent', color: 'magenta' },
 };
 
+export const SLA_STATE = {
+  ON_TRACK: { value: 'ON_TRACK', label: 'On Track', color: 'green' },
+  DUE_SOON: { value: 'DUE_SOON', label: 'Due Soon', color: 'orange' },
+  BREACHED: { value: 'BREACHED', label: 'Breached', color: 'red' },
+  MET: { value: 'MET', label: 'Met', color: 'default' },
+};
+
+export const CONTENT_LANGUAGES = {
+  EN: { value: 'EN', label: 'English' },
+  HI: { value: 'HI', label: 'हिन्दी' },
+  PA: { value: 'PA', label: 'ਪੰਜਾਬੀ' },
+};
+
+export const FAQ_REVISION_STATUS = {
+  DRAFT: { value: 'DRAFT', label: 'Draft', color: 'default' },
+  IN_REVIEW: { value: 'IN_REVIEW', label: 'In Review', color: 'processing' },
+  REJECTED: { value: 'REJECTED', label: 'Rejected', color: 'error' },
+  PUBLISHED: { value: 'PUBLISHED', label: 'Published', color: 'success' },
+  SUPERSEDED: { value: 'SUPERSEDED', label: 'Superseded', color: 'default' },
+};
+
 export default helpSupportService;
@@ -20,6 +20,9 @@ export { default as FileService } from './file.service';
 export { default as GrievanceService, grievanceService } from './grievance.service';
 export { default as CredentialsService, credentialsService } from './credentials.service';
 export { default as LookupService, lookupService } from './lookup.service';
+export { default as VerificationService, verificationService } from './verification.service';
+export { default as CalendarService, calendarService } from './calendar.service';
+export { default as NoticeService, noticeService } from './notice.service';
 
 // Legacy named exports for backward compatibility
 export { studentService } from './student.service';
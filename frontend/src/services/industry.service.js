@@ -1,11 +1,71 @@
+import API from './api';
+
 /**
- * Industry Service - STUBBED
- * Industry portal has been removed - only self-identified internships are supported
+ * Industry Service
+ * API methods for industry supervisors (students placed with their company and feedback).
+ * Internship postings and applications are not available - only self-identified internships are supported
  */
 export const industryService = {
   // Dashboard
   async getDashboard() {
-    throw new Error('Industry portal no longer available - only self-identified internships supported');
+    const response = await API.get('/industry/dashboard');
+    return response.data;
+  },
+
+  // Placed Students
+  async getStudents(params = {}) {
+    const cleanParams = Object.fromEntries(
+      Object.entries(params).filter(([, v]) => v != null && v !== '')
+    );
+    const queryParams = new URLSearchParams(cleanParams).toString();
+    const url = queryParams ? `/industry/students?${queryParams}` : '/industry/students';
+    const response = await API.get(url);
+    return response.data;
+  },
+
+  async getStudentDetail(applicationId) {
+    const response = await API.get(`/industry/students/${applicationId}`);
+    return response.data;
+  },
+
+  async confirmJoining(applicationId, joiningDate = null) {
+    const response = await API.post(`/industry/students/${applicationId}/confirm-joining`, joiningDate ? { joiningDate } : {});
+    return response.data;
+  },
+
+  // Monthly Feedback
+  async getMonthlyFeedback(applicationId = null) {
+    const url = applicationId
+      ? `/industry/monthly-feedback?applicationId=${applicationId}`
+      : '/industry/monthly-feedback';
+    const response = await API.get(url);
+    return response.data;
+  },
+
+  async createMonthlyFeedback(data) {
+    const response = await API.post('/industry/monthly-feedback', data);
+    return response.data;
+  },
+
+  async updateMonthlyFeedback(id, data) {
+    const response = await API.put(`/industry/monthly-feedback/${id}`, data);
+    return response.data;
+  },
+
+  // Completion Feedback
+  async getCompletionFeedback() {
+    const response = await API.get('/industry/completion-feedback');
+    return response.data;
+  },
+
+  async submitCompletionFeedback(applicationId, data) {
+    const response = await API.post(`/industry/completion-feedback/${applicationId}`, data);
+    return response.data;
+  },
+
+  async updateCompletionFeedback(applicationId, data) {
+    const response = await API.put(`/industry/completion-feedback/${applicationId}`, data);
+    return response.data;
   },
 
   // Internship Postings
@@ -60,7 +120,8 @@ export const industryService = {
 
   // Profile
   async getProfile() {
-    throw new Error('Industry portal no longer available - only self-identified internships supported');
+    const response = await API.get('/industry/profile');
+    return response.data;
   },
 
   async updateProfile(data, logo = null) {
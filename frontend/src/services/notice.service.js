@@ -0,0 +1,114 @@
+import API from './api';
+
+export const noticeService = {
+  /**
+   * Live notices addressed to the current user
+   * @returns {Promise} - { notices, unreadCount, pendingAcknowledgements }
+   */
+  async getMyNotices() {
+    const response = await API.get('/notices/my');
+    return response.data;
+  },
+
+  /**
+   * Notices the user manages, with read/acknowledgement counts
+   * @param {Object} params - { page, limit, search, visibility }
+   */
+  async getManagedNotices(params = {}) {
+    const response = await API.get('/notices/manage', { params });
+    return response.data;
+  },
+
+  /**
+   * Open a notice (marks it as read for audience members)
+   */
+  async getNotice(id) {
+    const response = await API.get(`/notices/${id}`);
+    return response.data;
+  },
+
+  async createNotice(data) {
+    const response = await API.post('/notices', data);
+    return response.data;
+  },
+
+  async updateNotice(id, data) {
+    const response = await API.put(`/notices/${id}`, data);
+    return response.data;
+  },
+
+  async deleteNotice(id) {
+    const response = await API.delete(`/notices/${id}`);
+    return response.data;
+  },
+
+  async acknowledgeNotice(id) {
+    const response = await API.post(`/notices/${id}/acknowledge`);
+    return response.data;
+  },
+
+  /**
+   * Upload an attachment
+   * @returns {Promise} - { url, filename, size, contentType }
+   */
+  async uploadAttachment(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await API.post('/notices/attachments', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * Read and acknowledgement counts per institution
+   */
+  async getAcknowledgementReport(id) {
+    const response = await API.get(`/notices/${id}/report`);
+    return response.data;
+  },
+
+  /**
+   * Users who have not read / acknowledged a notice
+   * @param {Object} params - { page, limit, institutionId, status: 'UNREAD' | 'UNACKNOWLEDGED' }
+   */
+  async getPendingRecipients(id, params = {}) {
+    const response = await API.get(`/notices/${id}/pending`, { params });
+    return response.data;
+  },
+
+  async remindPendingRecipients(id, institutionId) {
+    const response = await API.post(`/notices/${id}/remind`, institutionId ? { institutionId } : {});
+    return response.data;
+  },
+};
+
+export const NOTICE_PRIORITIES = {
+  NORMAL: { label: 'Normal', color: 'default' },
+  IMPORTANT: { label: 'Important', color: 'gold' },
+  URGENT: { label: 'Urgent', color: 'red' },
+};
+
+export const NOTICE_VISIBILITY = {
+  DRAFT: { label: 'Draft', color: 'default' },
+  SCHEDULED: { label: 'Scheduled', color: 'blue' },
+  ACTIVE: { label: 'Live', color: 'green' },
+  EXPIRED: { label: 'Expired', color: 'default' },
+};
+
+export const NOTICE_ACK_STATES = {
+  UNREAD: { label: 'Unread', color: 'orange' },
+  READ: { label: 'Read', color: 'blue' },
+  ACKNOWLEDGED: { label: 'Acknowledged', color: 'green' },
+  OVERDUE: { label: 'Overdue', color: 'red' },
+};
+
+/**
+ * Display name of an attachment URL (stored names are prefixed with a UUID)
+ */
+export const getAttachmentName = (url) => {
+  const name = decodeURIComponent(String(url).split('/').pop() || 'Attachment');
+  return name.replace(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-/i, '');
+};
+
+export default noticeService;
@@ -142,6 +142,33 @@ const NotificationService = {
   sendSystemAnnouncement: (data) => {
     return API.post('/shared/notifications/send/system-announcement', data);
   },
+
+  // ============ SCHEDULED NOTIFICATIONS ============
+
+  /**
+   * List notifications scheduled for later delivery
+   * @param {Object} params - { status?, page?, limit? }
+   */
+  getScheduled: (params = {}) => {
+    return API.get('/shared/notifications/scheduled', { params });
+  },
+
+  /**
+   * Cancel a pending scheduled notification
+   * @param {string} id - Scheduled notification ID
+   */
+  cancelScheduled: (id) => {
+    return API.put(`/shared/notifications/scheduled/${id}/cancel`);
+  },
+
+  /**
+   * Move a pending scheduled notification to a new time
+   * @param {string} id - Scheduled notification ID
+   * @param {string} scheduledAt - ISO date-time
+   */
+  reschedule: (id, scheduledAt) => {
+    return API.put(`/shared/notifications/scheduled/${id}/reschedule`, { scheduledAt });
+  },
 };
 
 export default NotificationService;
@@ -417,6 +417,59 @@ export const stateService = {
     return response.data;
   },
 
+  // ==================== INDUSTRY PARTNERS (REGISTERED COMPANIES) ====================
+
+  async getIndustryPartners(params = {}) {
+    const cleanParams = Object.fromEntries(
+      Object.entries(params).filter(([, v]) => v != null && v !== '')
+    );
+    const queryParams = new URLSearchParams(cleanParams).toString();
+    const url = queryParams ? `/state/industry-partners?${queryParams}` : '/state/industry-partners';
+    const response = await API.get(url);
+    return response.data;
+  },
+
+  async getIndustryPartner(id) {
+    const response = await API.get(`/state/industry-partners/${id}`);
+    return response.data;
+  },
+
+  async createIndustryPartner(data) {
+    const response = await API.post('/state/industry-partners', data);
+    return response.data;
+  },
+
+  async updateIndustryPartner(id, data) {
+    const response = await API.put(`/state/industry-partners/${id}`, data);
+    return response.data;
+  },
+
+  // Returns { supervisor, temporaryPassword } - the password is only present when generated
+  async createIndustrySupervisor(companyId, data) {
+    const response = await API.post(`/state/industry-partners/${companyId}/supervisors`, data);
+    return response.data;
+  },
+
+  // data: { applicationIds?: string[], matchByName?: boolean }
+  async linkIndustryPartnerApplications(companyId, data) {
+    const response = await API.post(`/state/industry-partners/${companyId}/applications`, data);
+    return response.data;
+  },
+
+  // Free-text company names that look like the same employer
+  async getCompanyDuplicates(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    const url = queryParams ? `/state/industry-partners/duplicates?${queryParams}` : '/state/industry-partners/duplicates';
+    const response = await API.get(url);
+    return response.data;
+  },
+
+  // Merge name variants (names) and duplicate companies (companyIds) into a canonical company
+  async mergeIndustryPartner(companyId, data) {
+    const response = await API.post(`/state/industry-partners/${companyId}/merge`, data);
+    return response.data;
+  },
+
   // ==================== COLLEGE-WISE BREAKDOWN ====================
 
   // Get college-wise breakdown for dashboard stats
@@ -467,6 +520,43 @@ export const stateService = {
     const response = await API.post(`/state/restore/${type}/bulk`, { ids });
     return response.data;
   },
+
+  // ==================== RESTORE FROM BACKUP ====================
+
+  // List backups that can be browsed for record-level restore
+  async getRestorableBackups() {
+    const response = await API.get('/state/restore/backups');
+    return response.data;
+  },
+
+  // Load a backup into a temporary schema so its records can be browsed
+  async openBackup(backupId) {
+    const response = await API.post(`/state/restore/backups/${backupId}/open`);
+    return response.data;
+  },
+
+  // Discard the browse session of a backup
+  async closeBackup(backupId) {
+    const response = await API.delete(`/state/restore/backups/${backupId}`);
+    return response.data;
+  },
+
+  // Browse one institution's records in an open backup
+  // type: 'students' | 'applications' | 'monthly-reports' | 'grievances'
+  async getBackupRecords(backupId, type, params = {}) {
+    const cleanParams = Object.fromEntries(
+      Object.entries(params).filter(([, v]) => v != null && v !== '')
+    );
+    const queryParams = new URLSearchParams(cleanParams).toString();
+    const response = await API.get(`/state/restore/backups/${backupId}/${type}?${queryParams}`);
+    return response.data;
+  },
+
+  // Restore selected records from an open backup over their live versions
+  async restoreBackupRecords(backupId, type, ids) {
+    const response = await API.post(`/state/restore/backups/${backupId}/${type}/restore`, { ids });
+    return response.data;
+  },
 };
 
 export default stateService;
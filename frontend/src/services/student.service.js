@@ -55,6 +55,13 @@ export const studentService = {
     return response.data;
   },
 
+  async downloadCertificate(applicationId) {
+    const response = await API.get(`/student/applications/${applicationId}/certificate`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
   async withdrawApplication(applicationId) {
     const response = await API.post(`/student/applications/${applicationId}/withdraw`);
     return response.data;
@@ -86,6 +93,11 @@ export const studentService = {
     return response.data;
   },
 
+  async getCompanySuggestions(query) {
+    const response = await API.get('/student/self-identified/company-suggestions', { params: { q: query } });
+    return response.data;
+  },
+
   async getSelfIdentified(params = {}) {
     const queryParams = new URLSearchParams(params).toString();
     const url = queryParams ? `/student/self-identified?${queryParams}` : '/student/self-identified';
@@ -118,6 +130,14 @@ export const studentService = {
     return response.data;
   },
 
+  // Mentor comments pinned to pages of the report file (latest version unless given)
+  async getMonthlyReportAnnotations(reportId, version) {
+    const response = await API.get(`/student/monthly-reports/${reportId}/annotations`, {
+      params: version ? { version } : undefined,
+    });
+    return response.data;
+  },
+
   // =====================
   // Documents
   // =====================
@@ -0,0 +1,15 @@
+import API from './api';
+
+/**
+ * Verification Service
+ * Public lookup of the verification codes printed on certificates and joining-letter approvals.
+ * No login required - synced with backend verification.controller.ts
+ */
+export const verificationService = {
+  async verifyCode(code) {
+    const response = await API.get(`/verify/${encodeURIComponent(code)}`);
+    return response.data;
+  },
+};
+
+export default verificationService;
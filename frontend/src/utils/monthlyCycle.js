@@ -19,6 +19,7 @@ import { MONTHLY_CYCLE_CONFIG } from '../config/monthlyCycle.config';
 const MONTH_NAMES = MONTHLY_CYCLE_CONFIG.MONTH_NAMES;
 const MIN_DAYS_FOR_INCLUSION = MONTHLY_CYCLE_CONFIG.MIN_DAYS_FOR_INCLUSION;
 const REPORT_DUE_DAY = MONTHLY_CYCLE_CONFIG.REPORT_DUE_DAY;
+const MAX_MONTHS = MONTHLY_CYCLE_CONFIG.MAX_MONTHS;
 
 /**
  * Report submission status values
@@ -110,9 +111,12 @@ function calculateDaysInMonth(startDate, endDate, year, month) {
     return 0;
   }
 
-  // Calculate days (inclusive of both start and end)
-  const diffTime = effectiveEnd.getTime() - effectiveStart.getTime();
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24)) + 1;
+  // Count calendar days (inclusive) between midnights; rounding absorbs the
+  // 23/25-hour days around DST changes
+  const lastDayStart = new Date(effectiveEnd);
+  lastDayStart.setHours(0, 0, 0, 0);
+  const diffTime = lastDayStart.getTime() - effectiveStart.getTime();
+  const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24)) + 1;
 
   return diffDays;
 }
@@ -159,7 +163,7 @@ export function getReportDueDate(year, month) {
   }
 
   // 5th of the next month at end of day
-  const dueDate = new Date(dueYear, dueMonth - 1, 5);
+  const dueDate = new Date(dueYear, dueMonth - 1, REPORT_DUE_DAY);
   dueDate.setHours(23, 59, 59, 999);
 
   return dueDate;
@@ -218,8 +222,8 @@ export function calculateExpectedMonths(startDate, endDate) {
   const endMonth = end.getMonth() + 1;
 
   while (
-    currentYear < endYear ||
-    (currentYear === endYear && currentMonth <= endMonth)
+    allMonths.length < MAX_MONTHS &&
+    (currentYear < endYear || (currentYear === endYear && currentMonth <= endMonth))
   ) {
     const daysInThisMonth = calculateDaysInMonth(start, end, currentYear, currentMonth);
 
@@ -241,7 +245,6 @@ export function calculateExpectedMonths(startDate, endDate) {
   for (let i = 0; i < allMonths.length; i++) {
     const monthInfo = allMonths[i];
     const isFirst = i === 0;
-    const isLast = i === allMonths.length - 1;
 
     // Both first and last month require >10 days
     const isIncluded = monthInfo.days > MIN_DAYS_FOR_INCLUSION;
@@ -254,7 +257,7 @@ export function calculateExpectedMonths(startDate, endDate) {
       visitDueDate: getVisitDueDate(monthInfo.year, monthInfo.month),
       daysInMonth: monthInfo.days,
       isFirstMonth: isFirst,
-      isLastMonth: isLast,
+      isLastMonth: false, // Set on the last included month below
       isIncluded: isIncluded
     };
 
@@ -263,6 +266,12 @@ export function calculateExpectedMonths(startDate, endDate) {
     }
   }
 
+  // Same as the backend: the last month that is actually expected is the last month,
+  // even when the calendar month the internship ends in is excluded
+  if (months.length > 0) {
+    months[months.length - 1].isLastMonth = true;
+  }
+
   return months;
 }
 
@@ -291,7 +300,7 @@ export function getExpectedReportsAsOfToday(startDate, endDate) {
   let count = 0;
   for (const month of months) {
     // Report is expected if due date has passed
-    if (month.reportDueDate <= now) {
+    if (now > month.reportDueDate) {
       count++;
     }
   }
@@ -313,7 +322,7 @@ export function getExpectedVisitsAsOfToday(startDate, endDate) {
   let count = 0;
   for (const month of months) {
     // Visit is expected if due date has passed
-    if (month.visitDueDate <= now) {
+    if (now > month.visitDueDate) {
       count++;
     }
   }
@@ -339,16 +348,17 @@ export function getReportSubmissionStatus(report, dueDate) {
     return ReportStatus.NOT_STARTED;
   }
 
-  // Check if report is approved/submitted
-  if (report.status === 'approved' || report.status === 'APPROVED') {
+  const reportStatus = report.status?.toUpperCase();
+
+  // Check if report is approved
+  if (reportStatus === 'APPROVED') {
     return ReportStatus.APPROVED;
   }
 
-  // Check if it's a draft
-  if (report.status === 'draft' || report.status === 'DRAFT' ||
-      report.status === 'pending' || report.status === 'PENDING') {
-    // Even drafts can be overdue
-    if (due && now > due && report.status !== 'approved' && report.status !== 'APPROVED') {
+  // Drafts and submitted reports awaiting review
+  if (reportStatus === 'DRAFT' || reportStatus === 'PENDING' || reportStatus === 'SUBMITTED') {
+    // Unsubmitted reports past the due date are overdue; late submissions stay in review
+    if (due && now > due && !report.submittedAt) {
       return ReportStatus.OVERDUE;
     }
     return ReportStatus.DRAFT;
@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach, afterAll, vi } from 'vitest';
+import fixtures from '../../../shared/fixtures/monthly-cycle.fixtures.json';
+import {
+  calculateExpectedMonths,
+  getTotalExpectedCount,
+  getExpectedReportsAsOfToday,
+  getExpectedVisitsAsOfToday,
+  getReportDueDate,
+  getVisitDueDate,
+  getReportSubmissionStatus,
+  getVisitSubmissionStatus,
+} from './monthlyCycle';
+
+// Same fixtures as backend/src/common/utils/monthly-cycle.util.spec.ts, so this copy
+// of the monthly cycle rules cannot drift from the backend source of truth.
+
+const originalTimezone = process.env.TZ;
+
+/**
+ * Switch to the case's timezone before parsing any of its dates, and pin the clock if needed
+ */
+const useCase = (testCase) => {
+  process.env.TZ = testCase.timezone ?? fixtures.timezone;
+  if (testCase.now) {
+    vi.useFakeTimers({ now: new Date(testCase.now) });
+  }
+};
+
+describe('monthlyCycle', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  afterAll(() => {
+    if (originalTimezone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = originalTimezone;
+    }
+  });
+
+  describe('due dates', () => {
+    it.each(fixtures.dueDates)('$name', (testCase) => {
+      useCase(testCase);
+
+      expect(getReportDueDate(testCase.year, testCase.month)).toEqual(new Date(testCase.reportDueDate));
+      expect(getVisitDueDate(testCase.year, testCase.month)).toEqual(new Date(testCase.visitDueDate));
+    });
+  });
+
+  describe('calculateExpectedMonths', () => {
+    it.each(fixtures.expectedMonths)('$name', (testCase) => {
+      useCase(testCase);
+
+      const months = calculateExpectedMonths(testCase.startDate, testCase.endDate);
+
+      expect(
+        months.map(({ monthNumber, year, daysInMonth, isFirstMonth, isLastMonth }) => ({
+          monthNumber,
+          year,
+          daysInMonth,
+          isFirstMonth,
+          isLastMonth,
+        }))
+      ).toEqual(testCase.months);
+      expect(getTotalExpectedCount(testCase.startDate, testCase.endDate)).toBe(testCase.months.length);
+    });
+  });
+
+  describe('expected counts as of today', () => {
+    it.each(fixtures.expectedCounts)('$name', (testCase) => {
+      useCase(testCase);
+
+      expect(getTotalExpectedCount(testCase.startDate, testCase.endDate)).toBe(testCase.total);
+      expect(getExpectedReportsAsOfToday(testCase.startDate, testCase.endDate)).toBe(testCase.reports);
+      expect(getExpectedVisitsAsOfToday(testCase.startDate, testCase.endDate)).toBe(testCase.visits);
+    });
+  });
+
+  // The frontend helpers return the status value only; labels are backend-only
+  describe('getReportSubmissionStatus', () => {
+    it.each(fixtures.reportStatus)('$name', (testCase) => {
+      useCase(testCase);
+
+      expect(getReportSubmissionStatus(testCase.report, testCase.dueDate)).toBe(testCase.expected.status);
+    });
+  });
+
+  describe('getVisitSubmissionStatus', () => {
+    it.each(fixtures.visitStatus)('$name', (testCase) => {
+      useCase(testCase);
+
+      expect(getVisitSubmissionStatus(testCase.visit, testCase.dueDate)).toBe(testCase.expected.status);
+    });
+  });
+});